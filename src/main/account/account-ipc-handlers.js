@@ -13,10 +13,11 @@ const { dataPath } = require('./data-path');
 /**
  * Setup all account/company IPC handlers
  * @param {Object} options
- * @param {Function} options.onCompanySelected - Callback when a company is selected. Receives (accountId, companyId). Should trigger store reinitialization.
+ * @param {Function} options.onCompanySelected - Callback when a company is selected. Receives (accountId, companyId, companyName). Should switch data path context and trigger store reinitialization.
  * @param {Function} options.onLogout - Callback when user logs out. Should cleanup current state.
+ * @param {Function} [options.onCompaniesChanged] - Callback after a company is created or deleted. Receives (accountId).
  */
-function setupAccountIpcHandlers({ onCompanySelected, onLogout }) {
+function setupAccountIpcHandlers({ onCompanySelected, onLogout, onCompaniesChanged }) {
   // ─── Account ──────────────────────────────────────────────
   
   ipcMain.handle('account:register', async (_event, { username, password }) => {
@@ -83,9 +84,18 @@ function setupAccountIpcHandlers({ onCompanySelected, onLogout }) {
 
   // ─── Company ──────────────────────────────────────────────
 
-  ipcMain.handle('company:create', (_event, { name, description }) => {
+  ipcMain.handle('company:create', async (_event, { name, description, template: selection }) => {
     try {
-      return companyStore.createCompany(name, description);
+      const { resolveTemplate } = require('../templates/template-ipc-handlers');
+      const resolved = resolveTemplate(selection);
+      if (!resolved.success) {
+        return { success: false, error: resolved.error };
+      }
+      const result = companyStore.createCompany(name, description, { template: resolved.template });
+      if (result.success && onCompaniesChanged) {
+        await onCompaniesChanged(sessionManager.getSession()?.accountId);
+      }
+      return result;
     } catch (error) {
       logger.error('创建公司失败', error);
       return { success: false, error: error.message };
@@ -101,9 +111,13 @@ function setupAccountIpcHandlers({ onCompanySelected, onLogout }) {
     }
   });
 
-  ipcMain.handle('company:delete', (_event, { companyId }) => {
+  ipcMain.handle('company:delete', async (_event, { companyId }) => {
     try {
-      return companyStore.deleteCompany(companyId);
+      const result = companyStore.deleteCompany(companyId);
+      if (result.success && onCompaniesChanged) {
+        await onCompaniesChanged(sessionManager.getSession()?.accountId);
+      }
+      return result;
     } catch (error) {
       logger.error('删除公司失败', error);
       return { success: false, error: error.message };
@@ -134,13 +148,14 @@ function setupAccountIpcHandlers({ onCompanySelected, onLogout }) {
       // Update session
       sessionManager.updateLastCompany(companyId);
 
-      // Update data path context (including company name for prompts)
-      dataPath.setCurrentContext(session.accountId, companyId, company.name);
-      dataPath.ensureDirectories();
-
-      // Trigger store reinitialization
+      // Switch data path context and reinitialize stores.
+      // The callback must flush the previous company before the context changes,
+      // otherwise pending writes would land in the newly selected company.
       if (onCompanySelected) {
-        await onCompanySelected(session.accountId, companyId);
+        await onCompanySelected(session.accountId, companyId, company.name);
+      } else {
+        dataPath.setCurrentContext(session.accountId, companyId, company.name);
+        dataPath.ensureDirectories();
       }
 
       logger.info('公司已选择', { companyId, name: company.name });
@@ -8,6 +8,8 @@ const path = require('path');
 const crypto = require('crypto');
 const { logger } = require('../utils/logger');
 const { SOLOFORGE_ROOT } = require('./data-path');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 const ACCOUNTS_FILE = path.join(SOLOFORGE_ROOT, 'accounts.json');
 
@@ -25,7 +27,7 @@ class AccountStore {
   _loadFromDisk() {
     try {
       if (fs.existsSync(ACCOUNTS_FILE)) {
-        const content = fs.readFileSync(ACCOUNTS_FILE, 'utf-8');
+        const content = readTextSync(ACCOUNTS_FILE);
         const data = JSON.parse(content);
         logger.info('账号数据已加载', { count: data.length });
         return data;
@@ -39,7 +41,7 @@ class AccountStore {
   _saveToDisk() {
     try {
       this._ensureDir();
-      fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify(this.accounts, null, 2), 'utf-8');
+      atomicWriteSync(ACCOUNTS_FILE, JSON.stringify(this.accounts, null, 2));
     } catch (error) {
       logger.error('保存账号数据失败', error);
     }
@@ -165,6 +167,13 @@ class AccountStore {
     logger.info('账号已删除', { accountId });
     return { success: true };
   }
+
+  /**
+   * Reload accounts from disk (after local data is unlocked)
+   */
+  reinitialize() {
+    this.accounts = this._loadFromDisk();
+  }
 }
 
 const accountStore = new AccountStore();
@@ -8,6 +8,8 @@ const path = require('path');
 const crypto = require('crypto');
 const { logger } = require('../utils/logger');
 const { SOLOFORGE_ROOT } = require('./data-path');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 class CompanyStore {
   constructor() {
@@ -41,7 +43,7 @@ class CompanyStore {
     try {
       const filePath = this._getFilePath();
       if (filePath && fs.existsSync(filePath)) {
-        const content = fs.readFileSync(filePath, 'utf-8');
+        const content = readTextSync(filePath);
         const data = JSON.parse(content);
         logger.info('公司列表已加载', { accountId: this._accountId, count: data.length });
         return data;
@@ -57,7 +59,7 @@ class CompanyStore {
       this._ensureDir();
       const filePath = this._getFilePath();
       if (filePath) {
-        fs.writeFileSync(filePath, JSON.stringify(this.companies, null, 2), 'utf-8');
+        atomicWriteSync(filePath, JSON.stringify(this.companies, null, 2));
       }
     } catch (error) {
       logger.error('保存公司列表失败', error);
@@ -68,9 +70,11 @@ class CompanyStore {
    * Create a new company
    * @param {string} name
    * @param {string} [description]
+   * @param {Object} [options]
+   * @param {import('../templates/company-template').CompanyTemplate} [options.template] - 创建后首次加载时应用的公司模板
    * @returns {{success: boolean, companyId?: string, company?: Object, error?: string}}
    */
-  createCompany(name, description = '') {
+  createCompany(name, description = '', { template = null } = {}) {
     if (!this._accountId) {
       return { success: false, error: '未设置账号上下文' };
     }
@@ -91,6 +95,9 @@ class CompanyStore {
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
+    if (template) {
+      company.templateName = template.name;
+    }
 
     this.companies.push(company);
     this._saveToDisk();
@@ -100,8 +107,12 @@ class CompanyStore {
     if (!fs.existsSync(companyDir)) {
       fs.mkdirSync(companyDir, { recursive: true });
     }
+    if (template) {
+      const { writePendingTemplate } = require('../templates/company-template');
+      writePendingTemplate(companyDir, template);
+    }
 
-    logger.info('公司已创建', { companyId, name });
+    logger.info('公司已创建', { companyId, name, template: template?.name });
     return { success: true, companyId, company };
   }
 
@@ -136,6 +147,7 @@ class CompanyStore {
 
     if (data.name !== undefined) company.name = data.name.trim();
     if (data.description !== undefined) company.description = data.description.trim();
+    if (typeof data.backgroundEnabled === 'boolean') company.backgroundEnabled = data.backgroundEnabled;
     company.updatedAt = new Date().toISOString();
 
     this._saveToDisk();
@@ -8,6 +8,8 @@ const fs = require('fs');
 const path = require('path');
 const { logger } = require('../utils/logger');
 const { SOLOFORGE_ROOT } = require('./data-path');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 const SESSION_FILE = path.join(SOLOFORGE_ROOT, 'session.json');
 
@@ -19,7 +21,7 @@ class SessionManager {
   _loadFromDisk() {
     try {
       if (fs.existsSync(SESSION_FILE)) {
-        const content = fs.readFileSync(SESSION_FILE, 'utf-8');
+        const content = readTextSync(SESSION_FILE);
         const data = JSON.parse(content);
         logger.info('会话数据已加载', { accountId: data.accountId });
         return data;
@@ -36,7 +38,7 @@ class SessionManager {
         fs.mkdirSync(SOLOFORGE_ROOT, { recursive: true });
       }
       if (this._session) {
-        fs.writeFileSync(SESSION_FILE, JSON.stringify(this._session, null, 2), 'utf-8');
+        atomicWriteSync(SESSION_FILE, JSON.stringify(this._session, null, 2));
       } else {
         // Clear session file
         if (fs.existsSync(SESSION_FILE)) {
@@ -99,6 +101,13 @@ class SessionManager {
   hasSession() {
     return !!(this._session && this._session.accountId);
   }
+
+  /**
+   * Reload session from disk (after local data is unlocked)
+   */
+  reinitialize() {
+    this._session = this._loadFromDisk();
+  }
 }
 
 const sessionManager = new SessionManager();
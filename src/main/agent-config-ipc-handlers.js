@@ -12,10 +12,14 @@ const {
   LEVELS,
   DEPARTMENTS,
   departmentStore,
-  AVAILABLE_MODELS,
+  getAvailableModels,
 } = require('./config/agent-config-store');
+const { toolPolicyStore } = require('./config/tool-policy-store');
+const { toolRegistry } = require('./tools/tool-registry');
+const { auditLog } = require('./audit/audit-log');
 const { logger } = require('./utils/logger');
 const { dataPath } = require('./account/data-path');
+const { atomicWriteSync } = require('./utils/atomic-write');
 const CHANNELS = require('../shared/ipc-channels');
 
 /**
@@ -70,7 +74,34 @@ function setupAgentConfigIpcHandlers() {
 
   // 获取可用模型列表
   ipcMain.handle('agent-config:get-models', async () => {
-    return AVAILABLE_MODELS;
+    return getAvailableModels();
+  });
+
+  // 获取工具策略（附带可用工具列表，供编辑时参考）
+  ipcMain.handle(CHANNELS.TOOL_POLICY_LIST, async () => {
+    return {
+      policies: toolPolicyStore.list(),
+      tools: toolRegistry.getAll().map((t) => ({ name: t.name, category: t.category })),
+    };
+  });
+
+  // 设置 Agent / 部门 / 职级的工具策略（policy 为 null 时删除）
+  ipcMain.handle(CHANNELS.TOOL_POLICY_SET, async (_event, { scope, target, policy } = {}) => {
+    logger.info('IPC: tool-policy:set', { scope, target, policy });
+    let result;
+    try {
+      result = toolPolicyStore.setPolicy(scope, target, policy || null);
+    } catch (error) {
+      logger.error('设置工具策略失败:', error);
+      result = { success: false, error: error.message };
+    }
+    auditLog.recordUserAction(CHANNELS.TOOL_POLICY_SET, { scope, target, policy }, result);
+    return result;
+  });
+
+  // 获取 Agent 生效的工具策略（合并 Agent / 部门 / 职级三层）
+  ipcMain.handle(CHANNELS.TOOL_POLICY_GET_EFFECTIVE, async (_event, agentId) => {
+    return toolPolicyStore.getEffectivePolicy(agentId);
   });
 
   // 获取老板配置
@@ -120,8 +151,8 @@ function setupAgentConfigIpcHandlers() {
       const filename = `${agentId}-${Date.now()}${ext}`;
       const destPath = path.join(avatarsDir, filename);
 
-      // 复制文件
-      fs.copyFileSync(sourcePath, destPath);
+      // 复制文件（开启本地数据加密时写入密文）
+      atomicWriteSync(destPath, fs.readFileSync(sourcePath));
 
       logger.info('Agent 头像已上传', { agentId, destPath });
 
@@ -16,6 +16,7 @@ const {
   formatProfileForReview,
 } = require('./agent-request');
 const { budgetManager } = require('../budget/budget-manager');
+const { readTextSync } = require('../storage/encrypted-storage');
 // 延迟加载 dynamicAgentFactory 以避免循环依赖
 let dynamicAgentFactory = null;
 const getDynamicAgentFactory = () => {
@@ -61,7 +62,7 @@ class ApprovalQueue {
     try {
       const queueFile = getQueueFile();
       if (fs.existsSync(queueFile)) {
-        const content = fs.readFileSync(queueFile, 'utf-8');
+        const content = readTextSync(queueFile);
         const data = JSON.parse(content);
         logger.debug(`加载了 ${data.requests?.length || 0} 条 Agent 招聘申请`);
         return data.requests || [];
@@ -351,6 +352,35 @@ class ApprovalQueue {
     return { success: true, request };
   }
 
+  /**
+   * 导入一条已批准的招聘记录（从公司模板实例化时使用，不经过审批讨论）
+   * 只写入记录，Agent 实例由 dynamicAgentFactory.restoreApprovedAgents() 在加载公司时创建
+   * @param {Object} params
+   * @param {string} params.agentId - 沿用模板中的 Agent ID
+   * @param {import('./agent-request').AgentProfile} params.profile
+   * @param {string} params.reason - 记录来源（如"从公司模板「xx」创建"）
+   * @returns {import('./agent-request').AgentRequest}
+   */
+  importApproved({ agentId, profile, reason }) {
+    const request = createAgentRequest({
+      requesterId: 'system',
+      requesterName: '系统',
+      reason,
+      profile,
+    });
+    request.status = 'approved';
+    request.reviewedBy = 'system';
+    request.reviewedAt = request.createdAt;
+    request.reviewComment = reason;
+    request.createdAgentId = agentId;
+
+    this.requests.push(request);
+    this.saveToDisk();
+    // 不发 approved 事件：批量导入时不应触发审批后的通知与入职流程
+    this.notifyListeners('imported', request);
+    return request;
+  }
+
   /**
    * 获取申请的完整信息（含格式化简历）
    * @param {string} requestId
@@ -8,6 +8,8 @@ const fs = require('fs');
 const path = require('path');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 function getConfigDir() {
   return dataPath.getBasePath();
@@ -64,7 +66,7 @@ class TerminationQueue {
     try {
       const queueFile = getQueueFile();
       if (fs.existsSync(queueFile)) {
-        const content = fs.readFileSync(queueFile, 'utf-8');
+        const content = readTextSync(queueFile);
         const data = JSON.parse(content);
         logger.debug(`加载了 ${data.requests?.length || 0} 条开除申请`);
         return data.requests || [];
@@ -86,7 +88,7 @@ class TerminationQueue {
         lastUpdated: new Date().toISOString(),
         requests: this.requests,
       };
-      fs.writeFileSync(getQueueFile(), JSON.stringify(data, null, 2));
+      atomicWriteSync(getQueueFile(), JSON.stringify(data, null, 2));
     } catch (error) {
       logger.error('保存开除申请失败:', error);
     }
@@ -82,6 +82,31 @@ class AgentOrchestrator {
     }
   }
 
+  /**
+   * 执行单个 Agent（供工作流引擎等外部编排使用）
+   * @param {string} agentId
+   * @param {Record<string, unknown>} input
+   * @param {OrchestratorContext} context
+   * @returns {Promise<Record<string, unknown>>} 规范化为对象的输出
+   * @throws {Error} Agent 不存在或执行失败
+   */
+  async executeAgent(agentId, input, context) {
+    const agent = registry.getAgent(agentId);
+    if (!agent) {
+      throw new Error(`未找到 Agent: ${agentId}`);
+    }
+
+    agent._setStatus('running', context.taskId);
+    try {
+      const output = await agent.execute(input, context);
+      agent._setStatus('completed', null);
+      return output && typeof output === 'object' ? { ...output } : { result: output };
+    } catch (err) {
+      agent._setStatus('error', null, err);
+      throw err;
+    }
+  }
+
   /**
    * 按 Pipeline 顺序执行 Agents
    * @param {import('../shared/ipc-types').TaskRequest} taskRequest
@@ -10,6 +10,8 @@ const path = require('path');
 const crypto = require('crypto');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
+const { readBufferSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 function getAttachmentsDirPath() {
   return path.join(dataPath.getBasePath(), 'attachments');
@@ -90,7 +92,7 @@ class AttachmentManager {
 
     // 确保 buffer 是 Buffer 类型
     const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
-    fs.writeFileSync(filePath, buf);
+    atomicWriteSync(filePath, buf);
 
     const size = buf.length;
     const type = isAudio ? 'audio' : 'image';
@@ -137,7 +139,7 @@ class AttachmentManager {
       throw new Error(`附件文件不存在: ${filePath}`);
     }
 
-    const buffer = fs.readFileSync(filePath);
+    const buffer = readBufferSync(filePath);
     const ext = path.extname(filePath).toLowerCase();
     const mimeType = this._extToMime(ext) || 'image/png';
     const base64 = buffer.toString('base64');
@@ -0,0 +1,66 @@
+/**
+ * SoloForge - 特权操作审计日志 IPC 处理器
+ * @module audit/audit-ipc-handlers
+ */
+
+const fs = require('fs');
+const { ipcMain, dialog } = require('electron');
+const { logger } = require('../utils/logger');
+const { auditLog } = require('./audit-log');
+const { AUDIT_QUERY, AUDIT_VERIFY, AUDIT_EXPORT } = require('../../shared/ipc-channels');
+
+/** 导出格式 */
+const EXPORT_FORMATS = {
+  jsonl: { name: 'JSON Lines', extension: 'jsonl', render: (filters) => auditLog.exportJsonl(filters) },
+  csv: { name: 'CSV', extension: 'csv', render: (filters) => auditLog.exportCsv(filters) },
+};
+
+/**
+ * 设置审计日志 IPC 处理器
+ */
+function setupAuditIpcHandlers() {
+  ipcMain.handle(AUDIT_QUERY, async (_event, { filters = {}, limit, offset } = {}) => {
+    try {
+      return { success: true, ...auditLog.query(filters, { limit, offset }) };
+    } catch (error) {
+      logger.error('查询审计日志失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(AUDIT_VERIFY, async () => {
+    try {
+      return { success: true, ...auditLog.verify() };
+    } catch (error) {
+      logger.error('校验审计日志失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 导出的文件不加密，只在用户确认保存位置后写出
+  ipcMain.handle(AUDIT_EXPORT, async (_event, { format = 'jsonl', filters = {} } = {}) => {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      return { success: false, error: `不支持的导出格式: ${format}` };
+    }
+    try {
+      const result = await dialog.showSaveDialog({
+        title: '导出审计日志',
+        defaultPath: `audit-${new Date().toISOString().slice(0, 10)}.${exporter.extension}`,
+        filters: [{ name: exporter.name, extensions: [exporter.extension] }],
+      });
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+      fs.writeFileSync(result.filePath, exporter.render(filters), 'utf-8');
+      return { success: true, filePath: result.filePath };
+    } catch (error) {
+      logger.error('导出审计日志失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  logger.info('审计日志 IPC 处理器已设置');
+}
+
+module.exports = { setupAuditIpcHandlers };
@@ -0,0 +1,423 @@
+/**
+ * SoloForge - 特权操作审计日志
+ *
+ * 记录人事、预算、权限、合并、Shell 等特权操作的执行者、工具、参数、批准来源和结果。
+ * 每条记录带上一条记录的哈希（prevHash）并以此计算自身哈希，形成哈希链：
+ * 修改或删除中间任何一条都会使之后的链校验失败；head.json 记录链尾，用于发现尾部被截断。
+ *
+ * 日志按月分段保存在 {公司目录}/audit/YYYY-MM.jsonl，每条记录追加一行，不修改已有内容；
+ * 开启本地数据加密时逐行加密（见 storage/encrypted-storage）。
+ * 内存中只保留链尾，查询和导出时从磁盘读取
+ * @module audit/audit-log
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { dataPath } = require('../account/data-path');
+const { readTextSync, readLinesSync, appendLineSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
+
+/** 链首记录的 prevHash */
+const GENESIS_HASH = '0'.repeat(64);
+
+/** 参数中单个字符串的最大保留长度（如 write_file 的文件内容） */
+const MAX_ARG_STRING = 1000;
+
+/** 结果摘要的最大长度 */
+const MAX_RESULT_SUMMARY = 500;
+
+/** 参数中需要脱敏的字段 */
+const SECRET_KEY_PATTERN = /pass(word|phrase)|secret|api_?key|access_?token|credential/i;
+
+function getAuditDir() {
+  return path.join(dataPath.getBasePath(), 'audit');
+}
+
+function getHeadFile() {
+  return path.join(getAuditDir(), 'head.json');
+}
+
+/**
+ * @typedef {Object} AuditActor
+ * @property {'agent' | 'user' | 'system'} type
+ * @property {string} id
+ * @property {string} [name]
+ */
+
+/**
+ * @typedef {Object} AuditApproval
+ * @property {'user_confirm' | 'user_action' | 'policy' | 'denied'} source
+ *   user_confirm：执行前经老板确认；user_action：老板在界面上直接操作；
+ *   policy：权限配置允许、无需确认；denied：被权限 / 预算 / 停职拦截或老板拒绝
+ * @property {string} [detail]
+ */
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {number} seq
+ * @property {string} id
+ * @property {string} timestamp
+ * @property {AuditActor} actor
+ * @property {string} action - 如 tool:git_merge、budget:grant-override、permissions:update
+ * @property {string | null} tool
+ * @property {Object} args
+ * @property {AuditApproval} approval
+ * @property {{ success: boolean, error?: string, summary?: string }} result
+ * @property {string} prevHash
+ * @property {string} hash
+ */
+
+/**
+ * 计算记录哈希（对除 hash 以外的字段按写入顺序序列化）
+ * @param {Omit<AuditEntry, 'hash'>} body
+ * @returns {string}
+ */
+function computeHash(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * 参数脱敏与截断
+ * @param {any} value
+ * @param {string} [key]
+ * @param {number} [depth]
+ * @returns {any}
+ */
+function sanitize(value, key = '', depth = 0) {
+  if (key && SECRET_KEY_PATTERN.test(key)) return '[已脱敏]';
+  if (typeof value === 'string') {
+    return value.length > MAX_ARG_STRING
+      ? `${value.slice(0, MAX_ARG_STRING)}...(共 ${value.length} 字符)`
+      : value;
+  }
+  if (value === null || typeof value !== 'object') return value ?? null;
+  if (depth >= 4) return '[...]';
+  if (Array.isArray(value)) return value.slice(0, 50).map((v) => sanitize(v, '', depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = sanitize(v, k, depth + 1);
+  }
+  return out;
+}
+
+/**
+ * 工具结果摘要
+ * @param {any} result
+ * @returns {string | undefined}
+ */
+function summarizeResult(result) {
+  if (result === undefined || result === null) return undefined;
+  const text = typeof result === 'string' ? result : JSON.stringify(result);
+  return text.length > MAX_RESULT_SUMMARY ? `${text.slice(0, MAX_RESULT_SUMMARY)}...` : text;
+}
+
+/** 老板在界面上的操作 */
+const USER_ACTOR = { type: 'user', id: 'boss', name: '老板' };
+
+class AuditLog {
+  constructor() {
+    /** @type {{ seq: number, hash: string } | null} 链尾（最后一条记录） */
+    this.last = null;
+    this._loaded = false;
+    /** 加载失败（文件损坏）时停止写入，避免在损坏的链后继续追加 */
+    this._loadFailed = false;
+  }
+
+  /**
+   * 重新初始化（切换公司后调用）
+   */
+  reinitialize() {
+    this.last = null;
+    this._loaded = false;
+    this._loadFailed = false;
+    this._load();
+  }
+
+  /**
+   * 从最新的分段读取链尾
+   */
+  _load() {
+    this._loaded = true;
+    try {
+      const segments = this._listSegments();
+      const latest = segments.length > 0 ? this._readSegment(segments[segments.length - 1]) : [];
+      const last = latest[latest.length - 1];
+      this.last = last ? { seq: last.seq, hash: last.hash } : null;
+      if (last) {
+        logger.info('审计日志已加载', { seq: last.seq });
+      }
+    } catch (error) {
+      this._loadFailed = true;
+      logger.error('加载审计日志失败，停止写入审计记录:', error);
+    }
+  }
+
+  /**
+   * 按时间顺序列出分段文件名
+   * @returns {string[]}
+   */
+  _listSegments() {
+    const dir = getAuditDir();
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter((f) => /^\d{4}-\d{2}\.jsonl$/.test(f)).sort();
+  }
+
+  /**
+   * @param {string} segment - 分段文件名
+   * @returns {AuditEntry[]}
+   */
+  _readSegment(segment) {
+    return readLinesSync(path.join(getAuditDir(), segment)).map((line) => JSON.parse(line));
+  }
+
+  /**
+   * 从磁盘读取全部记录
+   * @returns {AuditEntry[]}
+   */
+  _readAll() {
+    return this._listSegments().flatMap((segment) => this._readSegment(segment));
+  }
+
+  /**
+   * 追加一条记录
+   * @param {Object} params
+   * @param {AuditActor} params.actor
+   * @param {string} params.action
+   * @param {string} [params.tool]
+   * @param {Object} [params.args]
+   * @param {AuditApproval} params.approval
+   * @param {{ success: boolean, error?: string, result?: any }} params.result
+   * @returns {AuditEntry | null}
+   */
+  record({ actor, action, tool = null, args = {}, approval, result }) {
+    if (!dataPath.isContextSet()) {
+      logger.warn('未选择公司，审计记录未保存:', action);
+      return null;
+    }
+    if (!this._loaded) this._load();
+    if (this._loadFailed) {
+      logger.error('审计日志已损坏，记录未保存:', { action, actor: actor?.id });
+      return null;
+    }
+
+    const { last } = this;
+    const timestamp = new Date().toISOString();
+    /** @type {Omit<AuditEntry, 'hash'>} */
+    const body = {
+      seq: last ? last.seq + 1 : 1,
+      id: `audit-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      timestamp,
+      actor: { type: actor?.type || 'system', id: actor?.id || 'system', ...(actor?.name ? { name: actor.name } : {}) },
+      action,
+      tool,
+      args: sanitize(args || {}),
+      approval: { source: approval?.source || 'policy', ...(approval?.detail ? { detail: approval.detail } : {}) },
+      result: {
+        success: !!result?.success,
+        ...(result?.error ? { error: String(result.error).slice(0, MAX_RESULT_SUMMARY) } : {}),
+        ...(result?.result !== undefined ? { summary: summarizeResult(result.result) } : {}),
+      },
+      prevHash: last ? last.hash : GENESIS_HASH,
+    };
+    const entry = { ...body, hash: computeHash(body) };
+
+    try {
+      appendLineSync(path.join(getAuditDir(), `${timestamp.slice(0, 7)}.jsonl`), JSON.stringify(entry));
+    } catch (error) {
+      // 未写入的记录不进入链，下一条仍接在磁盘上的链尾之后
+      logger.error('写入审计日志失败:', error);
+      return null;
+    }
+    this.last = { seq: entry.seq, hash: entry.hash };
+    try {
+      atomicWriteSync(getHeadFile(), JSON.stringify({ seq: entry.seq, hash: entry.hash, updatedAt: timestamp }, null, 2));
+    } catch (error) {
+      logger.error('更新审计日志链尾失败:', error);
+    }
+    return entry;
+  }
+
+  /**
+   * 记录老板在界面上的直接操作
+   * @param {string} action - IPC 通道名，如 budget:grant-override
+   * @param {Object} args
+   * @param {{ success?: boolean, error?: string } | null} result - IPC 处理结果（未返回 success 时视为成功）
+   * @returns {AuditEntry | null}
+   */
+  recordUserAction(action, args, result) {
+    return this.record({
+      actor: USER_ACTOR,
+      action,
+      args,
+      approval: { source: 'user_action' },
+      result: { success: result?.success !== false, error: result?.error },
+    });
+  }
+
+  /**
+   * 校验磁盘上的哈希链（不使用内存中的副本，以发现运行期间对文件的改动）
+   * @returns {{ valid: boolean, checked: number, brokenAt?: number, reason?: string }}
+   */
+  verify() {
+    let entries;
+    try {
+      entries = this._readAll();
+    } catch (error) {
+      return { valid: false, checked: 0, reason: `读取审计日志失败: ${error.message}` };
+    }
+
+    let prevHash = GENESIS_HASH;
+    for (let i = 0; i < entries.length; i++) {
+      const { hash, ...body } = entries[i];
+      if (body.seq !== i + 1) {
+        return { valid: false, checked: i, brokenAt: body.seq, reason: `序号不连续：应为 ${i + 1}，实际为 ${body.seq}` };
+      }
+      if (body.prevHash !== prevHash) {
+        return { valid: false, checked: i, brokenAt: body.seq, reason: '与上一条记录的哈希不匹配（之前的记录被修改或删除）' };
+      }
+      if (computeHash(body) !== hash) {
+        return { valid: false, checked: i, brokenAt: body.seq, reason: '记录内容与哈希不匹配（记录被修改）' };
+      }
+      prevHash = hash;
+    }
+
+    // 链尾必须与 head.json 一致，否则说明末尾的记录被删除
+    const headFile = getHeadFile();
+    if (fs.existsSync(headFile)) {
+      try {
+        const head = JSON.parse(readTextSync(headFile));
+        const last = entries[entries.length - 1];
+        if (!last || last.seq !== head.seq || last.hash !== head.hash) {
+          return { valid: false, checked: entries.length, brokenAt: last ? last.seq + 1 : 1, reason: `链尾与记录的第 ${head.seq} 条不一致（末尾的记录被删除）` };
+        }
+      } catch (error) {
+        return { valid: false, checked: entries.length, reason: `读取链尾失败: ${error.message}` };
+      }
+    } else if (entries.length > 0) {
+      return { valid: false, checked: entries.length, reason: '链尾记录文件缺失' };
+    }
+
+    return { valid: true, checked: entries.length };
+  }
+
+  /**
+   * 按条件筛选（新的在前）
+   * @param {Object} [filters]
+   * @param {string} [filters.actorId]
+   * @param {string} [filters.action] - 动作前缀，如 tool: 或 budget:
+   * @param {string} [filters.approvalSource]
+   * @param {boolean} [filters.success]
+   * @param {string} [filters.from] - ISO 时间（含）
+   * @param {string} [filters.to] - ISO 时间（含）
+   * @param {string} [filters.search] - 在动作、工具、参数和结果中搜索
+   * @returns {AuditEntry[]}
+   */
+  filter(filters = {}) {
+    return this._filterEntries(this._readAllSafe(), filters);
+  }
+
+  /**
+   * 读取全部记录，失败时返回空列表（完整性问题由 verify() 报告）
+   * @returns {AuditEntry[]}
+   */
+  _readAllSafe() {
+    try {
+      return this._readAll();
+    } catch (error) {
+      logger.error('读取审计日志失败:', error);
+      return [];
+    }
+  }
+
+  /**
+   * @param {AuditEntry[]} entries
+   * @param {Object} filters - 同 filter()
+   * @returns {AuditEntry[]}
+   */
+  _filterEntries(entries, filters) {
+    const search = filters.search?.trim().toLowerCase();
+    return entries
+      .filter((e) => {
+        if (filters.actorId && e.actor.id !== filters.actorId) return false;
+        if (filters.action && !e.action.startsWith(filters.action)) return false;
+        if (filters.approvalSource && e.approval.source !== filters.approvalSource) return false;
+        if (typeof filters.success === 'boolean' && e.result.success !== filters.success) return false;
+        if (filters.from && e.timestamp < filters.from) return false;
+        if (filters.to && e.timestamp > filters.to) return false;
+        if (search && !JSON.stringify([e.action, e.tool, e.actor, e.args, e.result]).toLowerCase().includes(search)) return false;
+        return true;
+      })
+      .reverse();
+  }
+
+  /**
+   * 分页查询
+   * @param {Object} [filters] - 同 filter()
+   * @param {{ limit?: number, offset?: number }} [page]
+   * @returns {{ entries: AuditEntry[], total: number, actors: AuditActor[], actions: string[] }}
+   */
+  query(filters = {}, { limit = 100, offset = 0 } = {}) {
+    const entries = this._readAllSafe();
+    const matched = this._filterEntries(entries, filters);
+    const actors = new Map();
+    const actions = new Set();
+    for (const e of entries) {
+      actors.set(e.actor.id, e.actor);
+      actions.add(e.action);
+    }
+    return {
+      entries: matched.slice(offset, offset + limit),
+      total: matched.length,
+      actors: [...actors.values()],
+      actions: [...actions].sort(),
+    };
+  }
+
+  /**
+   * 导出为 JSONL（按时间正序，保留哈希以便离线校验）
+   * @param {Object} [filters]
+   * @returns {string}
+   */
+  exportJsonl(filters = {}) {
+    return this.filter(filters).reverse().map((e) => JSON.stringify(e)).join('\n') + '\n';
+  }
+
+  /**
+   * 导出为 CSV（按时间正序）
+   * @param {Object} [filters]
+   * @returns {string}
+   */
+  exportCsv(filters = {}) {
+    const columns = ['seq', 'timestamp', 'actor_type', 'actor_id', 'actor_name', 'action', 'tool', 'approval_source', 'approval_detail', 'success', 'error', 'args', 'result', 'prev_hash', 'hash'];
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = this.filter(filters).reverse().map((e) => [
+      e.seq,
+      e.timestamp,
+      e.actor.type,
+      e.actor.id,
+      e.actor.name,
+      e.action,
+      e.tool,
+      e.approval.source,
+      e.approval.detail,
+      e.result.success,
+      e.result.error,
+      JSON.stringify(e.args),
+      e.result.summary,
+      e.prevHash,
+      e.hash,
+    ].map(escape).join(','));
+    // BOM 让 Excel 正确识别 UTF-8
+    return '\uFEFF' + [columns.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+}
+
+// 单例
+const auditLog = new AuditLog();
+
+module.exports = { AuditLog, auditLog, USER_ACTOR, GENESIS_HASH };
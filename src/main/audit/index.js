@@ -0,0 +1,14 @@
+/**
+ * SoloForge - 特权操作审计日志模块入口
+ * @module audit
+ */
+
+const { auditLog, USER_ACTOR, GENESIS_HASH } = require('./audit-log');
+const { setupAuditIpcHandlers } = require('./audit-ipc-handlers');
+
+module.exports = {
+  auditLog,
+  USER_ACTOR,
+  GENESIS_HASH,
+  setupAuditIpcHandlers,
+};
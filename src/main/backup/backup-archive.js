@@ -0,0 +1,197 @@
+/**
+ * SoloForge - 公司备份归档格式
+ *
+ * 归档 = gzip( MAGIC | 清单长度 (uint32 BE) | 清单 JSON | 各文件内容按清单顺序首尾相接 )
+ * 清单记录归档版本、公司信息以及每个文件的相对路径、大小和 SHA-256，恢复前逐个校验；
+ * 归档内的文件内容一律为明文，整个归档写入 ~/.soloforge 时再按本地数据加密设置整体加密
+ * @module backup/backup-archive
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const MAGIC = Buffer.from('SFBACKUP', 'ascii');
+const BACKUP_FORMAT = 'soloforge-company-backup';
+
+/** 当前归档版本，结构不兼容地变化时递增，并在 migrateArchive 中补充旧版本的升级逻辑 */
+const BACKUP_VERSION = 1;
+
+/**
+ * @typedef {Object} BackupFileEntry
+ * @property {string} path - 相对公司数据目录的路径（统一使用 /）
+ * @property {number} size
+ * @property {string} sha256
+ */
+
+/**
+ * @typedef {Object} BackupManifest
+ * @property {string} format
+ * @property {number} version
+ * @property {string} createdAt
+ * @property {'manual' | 'auto' | 'pre-restore'} reason
+ * @property {{ id: string, name: string, description?: string, templateName?: string }} company
+ * @property {BackupFileEntry[]} files
+ * @property {number} totalSize
+ */
+
+/**
+ * @typedef {Object} BackupArchive
+ * @property {BackupManifest} manifest
+ * @property {Map<string, Buffer>} files - 相对路径 → 明文内容
+ */
+
+/**
+ * 计算 SHA-256
+ * @param {Buffer} content
+ * @returns {string}
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * 递归列出公司数据目录下需要备份的文件（跳过原子写入残留的 .tmp）
+ * @param {string} rootDir
+ * @returns {{ relPath: string, fullPath: string, mtimeMs: number }[]}
+ */
+function listCompanyFiles(rootDir) {
+  const files = [];
+  const walk = (dir) => {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.isFile() && !entry.name.endsWith('.tmp')) {
+        files.push({
+          relPath: path.relative(rootDir, fullPath).split(path.sep).join('/'),
+          fullPath,
+          mtimeMs: fs.statSync(fullPath).mtimeMs,
+        });
+      }
+    }
+  };
+  walk(rootDir);
+  return files.sort((a, b) => a.relPath.localeCompare(b.relPath));
+}
+
+/**
+ * 打包归档
+ * @param {Omit<BackupManifest, 'format' | 'version' | 'files' | 'totalSize'>} info
+ * @param {{ relPath: string, content: Buffer }[]} files
+ * @returns {{ buffer: Buffer, manifest: BackupManifest }}
+ */
+function packArchive(info, files) {
+  /** @type {BackupManifest} */
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    ...info,
+    files: files.map(({ relPath, content }) => ({ path: relPath, size: content.length, sha256: sha256(content) })),
+    totalSize: files.reduce((sum, { content }) => sum + content.length, 0),
+  };
+
+  const manifestBuffer = Buffer.from(JSON.stringify(manifest), 'utf-8');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(manifestBuffer.length, 0);
+  const raw = Buffer.concat([MAGIC, length, manifestBuffer, ...files.map((f) => f.content)]);
+
+  return { buffer: zlib.gzipSync(raw), manifest };
+}
+
+/**
+ * 归档中的路径必须留在公司数据目录内（导入的归档文件不可信）
+ * @param {string} relPath
+ * @returns {boolean}
+ */
+function isSafeRelativePath(relPath) {
+  if (typeof relPath !== 'string' || !relPath || relPath.includes('\0')) return false;
+  const normalized = path.posix.normalize(relPath);
+  return !path.posix.isAbsolute(normalized)
+    && !path.win32.isAbsolute(normalized)
+    && normalized !== '..'
+    && !normalized.startsWith('../')
+    && normalized === relPath;
+}
+
+/**
+ * 把旧版本归档升级到当前版本
+ * 数据文件自身的旧格式由各 store 在加载时兼容，这里只处理归档结构和目录布局的变化
+ * @param {BackupArchive} archive
+ * @returns {BackupArchive}
+ */
+function migrateArchive(archive) {
+  // 目前只有 v1；以后的版本在这里逐级升级，例如 if (archive.manifest.version === 1) { ...; archive.manifest.version = 2; }
+  return archive;
+}
+
+/**
+ * 解包并校验归档
+ * @param {Buffer} buffer - 归档文件内容（已解密）
+ * @returns {{ success: true, archive: BackupArchive, sourceVersion: number } | { success: false, error: string }}
+ */
+function unpackArchive(buffer) {
+  let raw;
+  try {
+    raw = zlib.gunzipSync(buffer);
+  } catch {
+    return { success: false, error: '不是有效的 SoloForge 备份文件' };
+  }
+  if (raw.length < MAGIC.length + 4 || !raw.subarray(0, MAGIC.length).equals(MAGIC)) {
+    return { success: false, error: '不是有效的 SoloForge 备份文件' };
+  }
+
+  const manifestLength = raw.readUInt32BE(MAGIC.length);
+  let offset = MAGIC.length + 4;
+  /** @type {BackupManifest} */
+  let manifest;
+  try {
+    manifest = JSON.parse(raw.subarray(offset, offset + manifestLength).toString('utf-8'));
+  } catch {
+    return { success: false, error: '备份清单已损坏' };
+  }
+  offset += manifestLength;
+
+  if (manifest?.format !== BACKUP_FORMAT || !Array.isArray(manifest.files)) {
+    return { success: false, error: '不是有效的 SoloForge 备份文件' };
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+    return { success: false, error: '备份缺少有效的版本号' };
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    return { success: false, error: `备份版本 v${manifest.version} 高于当前支持的 v${BACKUP_VERSION}，请升级 SoloForge 后再恢复` };
+  }
+
+  const files = new Map();
+  for (const entry of manifest.files) {
+    if (!isSafeRelativePath(entry.path) || files.has(entry.path)) {
+      return { success: false, error: `备份包含非法路径: ${entry.path}` };
+    }
+    if (!Number.isInteger(entry.size) || entry.size < 0 || offset + entry.size > raw.length) {
+      return { success: false, error: '备份文件不完整' };
+    }
+    const content = raw.subarray(offset, offset + entry.size);
+    offset += entry.size;
+    if (sha256(content) !== entry.sha256) {
+      return { success: false, error: `校验失败，文件已损坏: ${entry.path}` };
+    }
+    files.set(entry.path, content);
+  }
+  if (offset !== raw.length) {
+    return { success: false, error: '备份文件包含多余数据' };
+  }
+
+  const sourceVersion = manifest.version;
+  return { success: true, archive: migrateArchive({ manifest, files }), sourceVersion };
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  listCompanyFiles,
+  packArchive,
+  unpackArchive,
+  migrateArchive,
+};
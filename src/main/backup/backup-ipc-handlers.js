@@ -0,0 +1,136 @@
+/**
+ * SoloForge - 公司备份与恢复 IPC 处理器
+ * @module backup/backup-ipc-handlers
+ */
+
+const { ipcMain, dialog } = require('electron');
+const { logger } = require('../utils/logger');
+const { backupManager } = require('./backup-manager');
+const {
+  BACKUP_LIST,
+  BACKUP_CREATE,
+  BACKUP_DELETE,
+  BACKUP_EXPORT,
+  BACKUP_IMPORT_FILE,
+  BACKUP_RESTORE,
+  BACKUP_GET_SETTINGS,
+  BACKUP_UPDATE_SETTINGS,
+} = require('../../shared/ipc-channels');
+
+/** 备份文件扩展名 */
+const BACKUP_FILE_FILTERS = [{ name: 'SoloForge 公司备份', extensions: ['sfbackup'] }];
+
+/**
+ * 归档清单的摘要（给渲染进程展示）
+ * @param {import('./backup-archive').BackupManifest} manifest
+ */
+function summarizeManifest(manifest) {
+  return {
+    companyName: manifest.company.name,
+    createdAt: manifest.createdAt,
+    reason: manifest.reason,
+    version: manifest.version,
+    fileCount: manifest.files.length,
+    totalSize: manifest.totalSize,
+  };
+}
+
+/**
+ * 设置公司备份与恢复 IPC 处理器，并启动自动备份
+ * @param {import('./backup-manager').BackupHooks} hooks
+ */
+function setupBackupIpcHandlers(hooks) {
+  backupManager.init(hooks);
+  backupManager.startSchedule();
+
+  ipcMain.handle(BACKUP_LIST, async (_event, { companyId } = {}) => {
+    try {
+      return { success: true, backups: backupManager.listBackups(companyId) };
+    } catch (error) {
+      logger.error('获取备份列表失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(BACKUP_CREATE, async (_event, { companyId } = {}) => {
+    try {
+      return await backupManager.createBackup(companyId, { reason: 'manual' });
+    } catch (error) {
+      logger.error('备份公司失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(BACKUP_DELETE, async (_event, { companyId, fileName } = {}) => {
+    try {
+      return await backupManager.deleteBackup(companyId, fileName);
+    } catch (error) {
+      logger.error('删除备份失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 导出的备份文件不加密，只在用户确认保存位置后写出
+  ipcMain.handle(BACKUP_EXPORT, async (_event, { companyId, fileName } = {}) => {
+    try {
+      const result = await dialog.showSaveDialog({
+        title: '导出公司备份',
+        defaultPath: fileName,
+        filters: BACKUP_FILE_FILTERS,
+      });
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+      const exported = backupManager.exportBackup(companyId, fileName, result.filePath);
+      return exported.success ? { success: true, filePath: result.filePath } : exported;
+    } catch (error) {
+      logger.error('导出备份失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 选择备份文件并校验（只返回摘要，恢复时再按路径读取）
+  ipcMain.handle(BACKUP_IMPORT_FILE, async () => {
+    try {
+      const result = await dialog.showOpenDialog({
+        title: '选择公司备份',
+        properties: ['openFile'],
+        filters: BACKUP_FILE_FILTERS,
+      });
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+      const filePath = result.filePaths[0];
+      const archive = backupManager.readArchive({ filePath });
+      if (!archive.success) return archive;
+      return { success: true, filePath, summary: summarizeManifest(archive.archive.manifest) };
+    } catch (error) {
+      logger.error('读取备份文件失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(BACKUP_RESTORE, async (_event, { source, target } = {}) => {
+    try {
+      return await backupManager.restoreBackup(source, target);
+    } catch (error) {
+      logger.error('从备份恢复失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(BACKUP_GET_SETTINGS, async () => backupManager.getSettings());
+
+  ipcMain.handle(BACKUP_UPDATE_SETTINGS, async (_event, patch = {}) => {
+    try {
+      return backupManager.updateSettings(patch);
+    } catch (error) {
+      logger.error('修改备份设置失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  logger.info('公司备份 IPC 处理器已设置');
+}
+
+module.exports = { setupBackupIpcHandlers };
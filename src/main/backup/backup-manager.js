@@ -0,0 +1,560 @@
+/**
+ * SoloForge - 公司数据备份与恢复
+ *
+ * 备份前先让持有该公司数据的进程刷盘（前台公司在主进程，后台公司在各自的 utility 进程），
+ * 再一次性同步读取公司数据目录打包，保证归档内各文件来自同一时刻；
+ * 备份保存在 ~/.soloforge/backups/{accountId}/{companyId}/，每家公司一个 index.json 记录备份列表
+ *
+ * 备份、恢复和定时任务串行执行，避免同一家公司同时被打包和覆盖
+ * @module backup/backup-manager
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { SOLOFORGE_ROOT, dataPath } = require('../account/data-path');
+const { companyStore } = require('../account/company-store');
+const { readTextSync, readBufferSync, encryptedStorage } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
+const { listCompanyFiles, packArchive, unpackArchive } = require('./backup-archive');
+
+const BACKUP_ROOT = path.join(SOLOFORGE_ROOT, 'backups');
+const SETTINGS_FILE = path.join(BACKUP_ROOT, 'settings.json');
+const INDEX_FILE = 'index.json';
+const ARCHIVE_EXT = '.sfbackup';
+
+/**
+ * 配置（可通过环境变量调整默认值，用户可在设置页修改）
+ */
+const BACKUP_CONFIG = {
+  /** 是否默认开启自动备份（BACKUP_AUTO=0 关闭） */
+  autoEnabled: process.env.BACKUP_AUTO !== '0',
+  /** 两次自动备份的最小间隔（小时） */
+  intervalHours: parseInt(process.env.BACKUP_INTERVAL_HOURS || '24', 10),
+  /** 每家公司保留的自动备份份数（手动备份和恢复前备份不受影响） */
+  retention: parseInt(process.env.BACKUP_RETENTION || '7', 10),
+  /** 自动备份检查间隔 */
+  checkIntervalMs: 30 * 60 * 1000,
+  /** 启动后首次检查的延迟，避开启动时的加载高峰 */
+  initialDelayMs: 2 * 60 * 1000,
+};
+
+/**
+ * @typedef {Object} BackupSettings
+ * @property {boolean} autoEnabled
+ * @property {number} intervalHours
+ * @property {number} retention
+ */
+
+/**
+ * @typedef {Object} BackupEntry
+ * @property {string} fileName
+ * @property {string} createdAt
+ * @property {'manual' | 'auto' | 'pre-restore'} reason
+ * @property {string} companyName
+ * @property {number} version - 归档版本
+ * @property {number} fileCount
+ * @property {number} totalSize - 数据总大小（解压后）
+ * @property {number} archiveSize - 归档大小（压缩后）
+ */
+
+/**
+ * @typedef {Object} BackupHooks
+ * @property {(companyId: string) => Promise<void> | void} flushCompany - 让持有公司数据的进程刷盘
+ * @property {(companyId: string) => Promise<void>} onBeforeRestore - 覆盖公司数据前：卸载该公司（前台清理 / 停止后台进程）
+ * @property {(companyId: string) => Promise<void>} onAfterRestore - 恢复完成（或失败）后：重新加载该公司
+ */
+
+/**
+ * @typedef {{ companyId: string, fileName: string } | { filePath: string }} BackupSource
+ * @typedef {{ mode: 'new', name?: string } | { mode: 'existing', companyId: string }} RestoreTarget
+ */
+
+/**
+ * 取当前账号（备份只针对当前登录账号下的公司）
+ * @returns {string}
+ */
+function requireAccountId() {
+  const { accountId } = dataPath.getCurrentContext();
+  if (!accountId) {
+    throw new Error('未设置账号上下文');
+  }
+  return accountId;
+}
+
+/**
+ * 公司数据目录
+ * @param {string} accountId
+ * @param {string} companyId
+ */
+function getCompanyDir(accountId, companyId) {
+  return path.join(SOLOFORGE_ROOT, 'data', accountId, companyId);
+}
+
+/**
+ * 生成备份文件名：20260101-083000-manual.sfbackup
+ * @param {Date} date
+ * @param {string} reason
+ */
+function buildFileName(date, reason) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-`
+    + `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `${stamp}-${reason}${ARCHIVE_EXT}`;
+}
+
+class BackupManager {
+  constructor() {
+    /** @type {BackupSettings | null} */
+    this.settings = null;
+    /** @type {BackupHooks | null} */
+    this.hooks = null;
+    this.timer = null;
+    this.initialTimer = null;
+    /** @type {Promise<any>} 串行执行队列 */
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * 注册进程相关的回调（刷盘、卸载和重新加载公司由 main.js 提供）
+   * @param {BackupHooks} hooks
+   */
+  init(hooks) {
+    this.hooks = hooks;
+  }
+
+  /**
+   * 串行执行任务
+   * @template T
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  _exclusive(task) {
+    const run = this._queue.then(task, task);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // 设置
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * 获取自动备份设置
+   * @returns {BackupSettings}
+   */
+  getSettings() {
+    if (!this.settings) {
+      const defaults = {
+        autoEnabled: BACKUP_CONFIG.autoEnabled,
+        intervalHours: BACKUP_CONFIG.intervalHours,
+        retention: BACKUP_CONFIG.retention,
+      };
+      try {
+        this.settings = fs.existsSync(SETTINGS_FILE)
+          ? { ...defaults, ...JSON.parse(readTextSync(SETTINGS_FILE)) }
+          : defaults;
+      } catch (error) {
+        // 数据尚未解锁时读不到设置，先按默认值返回，不缓存
+        logger.warn('读取备份设置失败，使用默认值:', error.message);
+        return defaults;
+      }
+    }
+    return { ...this.settings };
+  }
+
+  /**
+   * 修改自动备份设置
+   * @param {Partial<BackupSettings>} patch
+   * @returns {{ success: boolean, settings?: BackupSettings, error?: string }}
+   */
+  updateSettings(patch = {}) {
+    const next = this.getSettings();
+    if (typeof patch.autoEnabled === 'boolean') {
+      next.autoEnabled = patch.autoEnabled;
+    }
+    if (patch.intervalHours !== undefined) {
+      const hours = Number(patch.intervalHours);
+      if (!Number.isFinite(hours) || hours < 1) {
+        return { success: false, error: '自动备份间隔至少为 1 小时' };
+      }
+      next.intervalHours = hours;
+    }
+    if (patch.retention !== undefined) {
+      const retention = Number(patch.retention);
+      if (!Number.isInteger(retention) || retention < 1) {
+        return { success: false, error: '至少保留 1 份自动备份' };
+      }
+      next.retention = retention;
+    }
+
+    atomicWriteSync(SETTINGS_FILE, JSON.stringify(next, null, 2));
+    this.settings = next;
+    logger.info('备份设置已更新', next);
+    return { success: true, settings: { ...next } };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // 备份列表
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * @param {string} accountId
+   * @param {string} companyId
+   */
+  _getBackupDir(accountId, companyId) {
+    return path.join(BACKUP_ROOT, accountId, companyId);
+  }
+
+  /**
+   * 读取备份索引（剔除已被手动删除的归档文件）
+   * @param {string} dir
+   * @returns {BackupEntry[]}
+   */
+  _readIndex(dir) {
+    const indexPath = path.join(dir, INDEX_FILE);
+    if (!fs.existsSync(indexPath)) return [];
+    try {
+      const entries = JSON.parse(readTextSync(indexPath));
+      return entries.filter((e) => fs.existsSync(path.join(dir, e.fileName)));
+    } catch (error) {
+      logger.error('读取备份索引失败:', error);
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} dir
+   * @param {BackupEntry[]} entries
+   */
+  _writeIndex(dir, entries) {
+    atomicWriteSync(path.join(dir, INDEX_FILE), JSON.stringify(entries, null, 2));
+  }
+
+  /**
+   * 列出公司的备份（新的在前）
+   * @param {string} companyId
+   * @returns {BackupEntry[]}
+   */
+  listBackups(companyId) {
+    const dir = this._getBackupDir(requireAccountId(), companyId);
+    return this._readIndex(dir).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * 删除一份备份
+   * @param {string} companyId
+   * @param {string} fileName
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  deleteBackup(companyId, fileName) {
+    return this._exclusive(async () => {
+      const dir = this._getBackupDir(requireAccountId(), companyId);
+      const entries = this._readIndex(dir);
+      const entry = entries.find((e) => e.fileName === fileName);
+      if (!entry) {
+        return { success: false, error: '备份不存在' };
+      }
+      fs.rmSync(path.join(dir, entry.fileName), { force: true });
+      this._writeIndex(dir, entries.filter((e) => e !== entry));
+      logger.info('备份已删除', { companyId, fileName });
+      return { success: true };
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // 备份
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * 备份一家公司
+   * @param {string} companyId
+   * @param {Object} [options]
+   * @param {'manual' | 'auto'} [options.reason='manual']
+   * @returns {Promise<{ success: boolean, backup?: BackupEntry, error?: string }>}
+   */
+  createBackup(companyId, { reason = 'manual' } = {}) {
+    return this._exclusive(async () => {
+      const company = companyStore.getCompany(companyId);
+      if (!company) {
+        return { success: false, error: '公司不存在' };
+      }
+      const backup = await this._createBackup(requireAccountId(), company, reason);
+      return { success: true, backup };
+    });
+  }
+
+  /**
+   * 刷盘并打包公司数据目录（调用方负责串行）
+   * @param {string} accountId
+   * @param {Object} company
+   * @param {'manual' | 'auto' | 'pre-restore'} reason
+   * @returns {Promise<BackupEntry>}
+   */
+  async _createBackup(accountId, company, reason) {
+    await this.hooks?.flushCompany(company.id);
+
+    // 刷盘后一次性同步读取，期间主进程中的 store 不会再写入
+    const files = listCompanyFiles(getCompanyDir(accountId, company.id))
+      .map(({ relPath, fullPath }) => ({ relPath, content: readBufferSync(fullPath) }));
+
+    const now = new Date();
+    const { buffer, manifest } = packArchive({
+      createdAt: now.toISOString(),
+      reason,
+      company: {
+        id: company.id,
+        name: company.name,
+        description: company.description || '',
+        ...(company.templateName ? { templateName: company.templateName } : {}),
+      },
+    }, files);
+
+    const dir = this._getBackupDir(accountId, company.id);
+    const entries = this._readIndex(dir);
+    let fileName = buildFileName(now, reason);
+    // 同一秒内多次备份时避免覆盖
+    for (let i = 2; entries.some((e) => e.fileName === fileName); i++) {
+      fileName = buildFileName(now, `${reason}-${i}`);
+    }
+    atomicWriteSync(path.join(dir, fileName), buffer);
+
+    /** @type {BackupEntry} */
+    const entry = {
+      fileName,
+      createdAt: manifest.createdAt,
+      reason,
+      companyName: company.name,
+      version: manifest.version,
+      fileCount: manifest.files.length,
+      totalSize: manifest.totalSize,
+      archiveSize: buffer.length,
+    };
+    this._writeIndex(dir, [...entries, entry]);
+
+    logger.info('公司备份完成', { companyId: company.id, fileName, reason, files: entry.fileCount, size: entry.archiveSize });
+    return entry;
+  }
+
+  /**
+   * 删除超出保留份数的自动备份
+   * @param {string} accountId
+   * @param {string} companyId
+   */
+  _applyRetention(accountId, companyId) {
+    const { retention } = this.getSettings();
+    const dir = this._getBackupDir(accountId, companyId);
+    const entries = this._readIndex(dir);
+    const expired = entries
+      .filter((e) => e.reason === 'auto')
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(retention);
+    if (expired.length === 0) return;
+
+    for (const entry of expired) {
+      fs.rmSync(path.join(dir, entry.fileName), { force: true });
+    }
+    this._writeIndex(dir, entries.filter((e) => !expired.includes(e)));
+    logger.info('已清理过期的自动备份', { companyId, removed: expired.length });
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // 导出 / 读取归档
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * 读取并校验归档
+   * @param {BackupSource} source
+   * @returns {ReturnType<typeof unpackArchive>}
+   */
+  readArchive(source) {
+    let filePath;
+    if (source?.filePath) {
+      filePath = source.filePath;
+    } else if (source?.companyId && source?.fileName) {
+      const dir = this._getBackupDir(requireAccountId(), source.companyId);
+      if (!this._readIndex(dir).some((e) => e.fileName === source.fileName)) {
+        return { success: false, error: '备份不存在' };
+      }
+      filePath = path.join(dir, source.fileName);
+    } else {
+      return { success: false, error: '未指定备份' };
+    }
+    // 应用内的归档随本地数据加密整体加密，导出的归档为明文，readBufferSync 两者都能读
+    return unpackArchive(readBufferSync(filePath));
+  }
+
+  /**
+   * 把备份导出到指定位置（导出的文件不加密）
+   * @param {string} companyId
+   * @param {string} fileName
+   * @param {string} destPath
+   * @returns {{ success: boolean, error?: string }}
+   */
+  exportBackup(companyId, fileName, destPath) {
+    const dir = this._getBackupDir(requireAccountId(), companyId);
+    if (!this._readIndex(dir).some((e) => e.fileName === fileName)) {
+      return { success: false, error: '备份不存在' };
+    }
+    atomicWriteSync(destPath, readBufferSync(path.join(dir, fileName)));
+    logger.info('备份已导出', { companyId, fileName, destPath });
+    return { success: true };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // 恢复
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * 从备份恢复到新公司或覆盖已有公司
+   * 覆盖已有公司前会先为它做一份恢复前备份，恢复出错时可以从那份备份找回
+   * @param {BackupSource} source
+   * @param {RestoreTarget} target
+   * @returns {Promise<{ success: boolean, company?: Object, created?: boolean, restoredFiles?: number, sourceVersion?: number, safetyBackup?: BackupEntry, error?: string }>}
+   */
+  restoreBackup(source, target) {
+    return this._exclusive(async () => {
+      const accountId = requireAccountId();
+      const result = this.readArchive(source);
+      if (!result.success) return result;
+      const { archive, sourceVersion } = result;
+      const { manifest } = archive;
+
+      if (target?.mode === 'existing') {
+        const company = companyStore.getCompany(target.companyId);
+        if (!company) {
+          return { success: false, error: '目标公司不存在' };
+        }
+
+        const safetyBackup = await this._createBackup(accountId, company, 'pre-restore');
+        await this.hooks?.onBeforeRestore(company.id);
+        try {
+          this._replaceCompanyDir(getCompanyDir(accountId, company.id), archive.files);
+        } finally {
+          await this.hooks?.onAfterRestore(company.id);
+        }
+
+        logger.info('已从备份恢复公司', { companyId: company.id, from: manifest.company.id, files: archive.files.size, sourceVersion });
+        return { success: true, company, created: false, restoredFiles: archive.files.size, sourceVersion, safetyBackup };
+      }
+
+      const name = target?.name?.trim() || `${manifest.company.name}（恢复）`;
+      const created = companyStore.createCompany(name, manifest.company.description || '');
+      if (!created.success) return created;
+
+      try {
+        this._replaceCompanyDir(getCompanyDir(accountId, created.companyId), archive.files);
+      } catch (error) {
+        companyStore.deleteCompany(created.companyId);
+        throw error;
+      }
+      await this.hooks?.onAfterRestore(created.companyId);
+
+      logger.info('已从备份恢复为新公司', { companyId: created.companyId, from: manifest.company.id, files: archive.files.size, sourceVersion });
+      return { success: true, company: created.company, created: true, restoredFiles: archive.files.size, sourceVersion };
+    });
+  }
+
+  /**
+   * 用归档内容整体替换公司数据目录
+   * 先写入旁边的暂存目录，全部写完后再换入，写到一半失败不会留下半新半旧的数据
+   * @param {string} companyDir
+   * @param {Map<string, Buffer>} files
+   */
+  _replaceCompanyDir(companyDir, files) {
+    const stagingDir = `${companyDir}.restoring`;
+    const replacedDir = `${companyDir}.replaced`;
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    fs.rmSync(replacedDir, { recursive: true, force: true });
+
+    fs.mkdirSync(stagingDir, { recursive: true });
+    for (const [relPath, content] of files) {
+      // 按当前的本地数据加密设置重新写入
+      atomicWriteSync(path.join(stagingDir, ...relPath.split('/')), content);
+    }
+
+    const hadExisting = fs.existsSync(companyDir);
+    if (hadExisting) {
+      fs.renameSync(companyDir, replacedDir);
+    }
+    try {
+      fs.renameSync(stagingDir, companyDir);
+    } catch (error) {
+      if (hadExisting) fs.renameSync(replacedDir, companyDir);
+      throw error;
+    }
+    fs.rmSync(replacedDir, { recursive: true, force: true });
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // 自动备份
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * 启动自动备份检查
+   */
+  startSchedule() {
+    this.stopSchedule();
+    this.initialTimer = setTimeout(() => {
+      this.initialTimer = null;
+      this.runScheduled();
+    }, BACKUP_CONFIG.initialDelayMs);
+    this.timer = setInterval(() => this.runScheduled(), BACKUP_CONFIG.checkIntervalMs);
+    logger.info('自动备份调度已启动');
+  }
+
+  /**
+   * 停止自动备份检查
+   */
+  stopSchedule() {
+    if (this.initialTimer) {
+      clearTimeout(this.initialTimer);
+      this.initialTimer = null;
+    }
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 为当前账号下到期且数据有变化的公司做自动备份
+   * @returns {Promise<{ backedUp: number }>}
+   */
+  runScheduled() {
+    return this._exclusive(async () => {
+      const { accountId } = dataPath.getCurrentContext();
+      const settings = this.getSettings();
+      if (!settings.autoEnabled || !accountId || !encryptedStorage.isUnlocked()) {
+        return { backedUp: 0 };
+      }
+
+      let backedUp = 0;
+      for (const company of companyStore.getCompanies()) {
+        try {
+          const entries = this._readIndex(this._getBackupDir(accountId, company.id));
+          const lastAuto = entries.filter((e) => e.reason === 'auto').map((e) => Date.parse(e.createdAt)).sort().pop() || 0;
+          if (Date.now() - lastAuto < settings.intervalHours * 60 * 60 * 1000) continue;
+
+          // 距上一份备份（任意类型）以来数据没有变化就不再重复备份
+          const lastAny = entries.map((e) => Date.parse(e.createdAt)).sort().pop() || 0;
+          await this.hooks?.flushCompany(company.id);
+          const lastModified = Math.max(0, ...listCompanyFiles(getCompanyDir(accountId, company.id)).map((f) => f.mtimeMs));
+          if (lastModified <= lastAny) continue;
+
+          await this._createBackup(accountId, company, 'auto');
+          this._applyRetention(accountId, company.id);
+          backedUp++;
+        } catch (error) {
+          logger.error('自动备份公司失败:', { companyId: company.id, error: error.message });
+        }
+      }
+      return { backedUp };
+    });
+  }
+}
+
+// 单例
+const backupManager = new BackupManager();
+
+module.exports = { BackupManager, backupManager, BACKUP_CONFIG };
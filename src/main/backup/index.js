@@ -0,0 +1,17 @@
+/**
+ * SoloForge - 公司备份与恢复模块入口
+ * @module backup
+ */
+
+const { backupManager, BACKUP_CONFIG } = require('./backup-manager');
+const { BACKUP_VERSION, packArchive, unpackArchive } = require('./backup-archive');
+const { setupBackupIpcHandlers } = require('./backup-ipc-handlers');
+
+module.exports = {
+  backupManager,
+  BACKUP_CONFIG,
+  BACKUP_VERSION,
+  packArchive,
+  unpackArchive,
+  setupBackupIpcHandlers,
+};
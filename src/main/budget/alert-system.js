@@ -6,22 +6,26 @@
 
 const { tokenTracker } = require('./token-tracker');
 const { budgetManager } = require('./budget-manager');
+const { costForecaster } = require('./cost-forecast');
 const { logger } = require('../utils/logger');
 
 /**
  * @typedef {Object} Alert
  * @property {string} id - 预警 ID
- * @property {'warning' | 'critical' | 'exceeded' | 'downgraded' | 'blocked'} level - 预警级别
+ * @property {'warning' | 'critical' | 'exceeded' | 'downgraded' | 'blocked' | 'anomaly'} level - 预警级别
  * @property {'agent' | 'global'} scope - 预警范围
  * @property {string} [agentId] - Agent ID（scope 为 agent 时）
  * @property {string} message - 预警消息
  * @property {number} [currentUsage] - 当前使用量
  * @property {number} [limit] - 限额
+ * @property {'tokens' | 'currency'} [unit] - 用量与限额的计费单位
  * @property {number} [percentage] - 使用百分比
  * @property {string} [downgradeTo] - 降级到的模型
+ * @property {import('./budget-manager').DowngradeLogEntry} [downgrade] - 降级审计记录（阶段变化、策略来源、触发余额）
  * @property {string} timestamp - 时间戳
  * @property {boolean} acknowledged - 是否已确认
- * @property {string} [type] - 预警类型：budget_warning | budget_downgraded | budget_blocked
+ * @property {string} [type] - 预警类型：budget_warning | budget_downgraded | budget_blocked | cost_anomaly
+ * @property {import('./cost-forecast').CostAnomaly} [anomaly] - 异常详情（type 为 cost_anomaly 时），含触发的对话 / 任务
  */
 
 /**
@@ -88,10 +92,11 @@ class AlertSystem {
     const totalUsage = tokenTracker.getTotalUsage(todayTimestamp);
     const globalBudget = budgetManager.getGlobalBudget();
 
-    // 检查全局预算
+    // 检查全局预算（限额与用量按计费单位比较：token 数或实际成本）
     if (globalBudget.globalDailyLimit > 0) {
-      const percentage = (totalUsage.totalTokens / globalBudget.globalDailyLimit) * 100;
-      this.checkThreshold('global', null, totalUsage.totalTokens, globalBudget.globalDailyLimit, percentage);
+      const used = budgetManager.measureUsage(totalUsage);
+      const percentage = (used / globalBudget.globalDailyLimit) * 100;
+      this.checkThreshold('global', null, used, globalBudget.globalDailyLimit, percentage);
     }
 
     // 检查各 Agent 预算
@@ -101,10 +106,20 @@ class AlertSystem {
     for (const summary of agentSummaries) {
       const budget = agentBudgets.find((b) => b.agentId === summary.agentId);
       if (budget?.enabled && budget.dailyLimit > 0) {
-        const percentage = (summary.totalTokens / budget.dailyLimit) * 100;
-        this.checkThreshold('agent', summary.agentId, summary.totalTokens, budget.dailyLimit, percentage);
+        const used = budgetManager.measureUsage(summary);
+        const percentage = (used / budget.dailyLimit) * 100;
+        this.checkThreshold('agent', summary.agentId, used, budget.dailyLimit, percentage);
       }
     }
+
+    // 检查异常消耗尖峰
+    try {
+      for (const anomaly of costForecaster.detectAnomalies({ now })) {
+        this.createCostAnomalyAlert(anomaly);
+      }
+    } catch (error) {
+      logger.error('异常消耗检测失败:', error);
+    }
   }
 
   /**
@@ -181,9 +196,10 @@ class AlertSystem {
       level,
       scope,
       agentId: scope === 'agent' ? agentId : undefined,
-      message: `${scopeText} ${levelMessages[level]}`,
+      message: `${scopeText} ${levelMessages[level]}（${budgetManager.formatAmount(usage)} / ${budgetManager.formatAmount(limit)}）`,
       currentUsage: usage,
       limit,
+      unit: budgetManager.getBillingInfo().unit,
       percentage: Math.round(percentage),
       timestamp: new Date().toISOString(),
       acknowledged: false,
@@ -248,18 +264,28 @@ class AlertSystem {
    * @param {string} agentId - Agent ID
    * @param {string} downgradeTo - 降级到的模型
    * @param {number} usagePercent - 使用百分比
+   * @param {(import('./budget-manager').DowngradeLogEntry & { restrictTools?: boolean }) | null} [transition] - 降级审计记录
    * @returns {Alert}
    */
-  createBudgetDowngradedAlert(agentId, downgradeTo, usagePercent) {
+  createBudgetDowngradedAlert(agentId, downgradeTo, usagePercent, transition = null) {
+    let message = `Agent "${agentId}" 预算使用率 ${usagePercent}%，已自动降级到便宜模型 ${downgradeTo}`;
+    if (transition) {
+      const from = transition.fromModel ? `从 ${transition.fromModel} ` : '';
+      message = transition.restrictTools
+        ? `Agent "${agentId}" 已越过透支警戒线，${downgradeTo ? `使用 ${downgradeTo} 且` : ''}仅允许只读工具`
+        : `Agent "${agentId}" 预算使用率 ${usagePercent}%，已自动${from}降级到 ${downgradeTo}`;
+    }
+
     const alert = {
       id: `alert-downgrade-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
       level: 'downgraded',
       type: 'budget_downgraded',
       scope: 'agent',
       agentId,
-      message: `Agent "${agentId}" 预算使用率 ${usagePercent}%，已自动降级到便宜模型 ${downgradeTo}`,
+      message,
       downgradeTo,
       percentage: usagePercent,
+      ...(transition ? { downgrade: transition, reason: transition.reason } : {}),
       timestamp: new Date().toISOString(),
       acknowledged: false,
     };
@@ -322,6 +348,59 @@ class AlertSystem {
     return alert;
   }
 
+  /**
+   * 创建异常消耗预警
+   * 同一 Agent 的同一对话 / 任务 1 小时内只预警一次
+   * @param {import('./cost-forecast').CostAnomaly} anomaly
+   * @returns {Alert | null} 冷却期内返回 null
+   */
+  createCostAnomalyAlert(anomaly) {
+    const key = `anomaly:${anomaly.agentId}:${anomaly.taskId || anomaly.conversationId || '-'}`;
+    const last = this.lastChecked.get(key);
+    if (last && Date.now() - last.timestamp < 60 * 60 * 1000) {
+      return null;
+    }
+
+    let name = anomaly.agentId;
+    try {
+      const { agentConfigStore } = require('../config/agent-config-store');
+      name = agentConfigStore.get(anomaly.agentId)?.name || name;
+    } catch {
+      // 名称仅用于展示
+    }
+
+    const detail = anomaly.kind === 'loop'
+      ? `同一${anomaly.taskId ? '任务' : '对话'}在 ${anomaly.windowMinutes} 分钟内被调用 ${anomaly.topCalls} 次，疑似陷入工具调用循环`
+      : `${anomaly.windowMinutes} 分钟内消耗 ${anomaly.tokens.toLocaleString()} tokens` +
+        (anomaly.ratio ? `，是平时的 ${anomaly.ratio} 倍` : '');
+
+    const alert = {
+      id: `alert-anomaly-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      level: 'anomaly',
+      type: 'cost_anomaly',
+      scope: 'agent',
+      agentId: anomaly.agentId,
+      message: `${name} 消耗异常：${detail}（${budgetManager.formatAmount(budgetManager.measureUsage({ totalTokens: anomaly.tokens, totalCost: anomaly.cost }))}）`,
+      currentUsage: anomaly.tokens,
+      anomaly,
+      timestamp: new Date().toISOString(),
+      acknowledged: false,
+    };
+
+    this.alerts.push(alert);
+    this.lastChecked.set(key, { level: 'anomaly', timestamp: Date.now() });
+
+    // 保留最近 100 条预警
+    if (this.alerts.length > 100) {
+      this.alerts = this.alerts.slice(-100);
+    }
+
+    this.notifyListeners(alert);
+    logger.warn('异常消耗预警:', alert);
+
+    return alert;
+  }
+
   /**
    * 获取需要审批的被阻止 Agent 预警
    * @returns {Alert[]}
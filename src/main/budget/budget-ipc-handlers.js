@@ -8,7 +8,10 @@ const { ipcMain } = require('electron');
 const { tokenTracker } = require('./token-tracker');
 const { budgetManager } = require('./budget-manager');
 const { alertSystem } = require('./alert-system');
+const { modelPricing } = require('./model-pricing');
+const { costForecaster } = require('./cost-forecast');
 const { logger } = require('../utils/logger');
+const { auditLog } = require('../audit/audit-log');
 
 /**
  * 计算时间范围的起始时间戳
@@ -93,6 +96,8 @@ function setupBudgetIpcHandlers() {
           totalPromptTokens: 0,
           totalCompletionTokens: 0,
           totalTokens: 0,
+          totalCachedTokens: 0,
+          totalCost: 0,
           callCount: 0,
         };
         const budget = agentBudgets.find((b) => b.agentId === agentId);
@@ -114,7 +119,7 @@ function setupBudgetIpcHandlers() {
           } : null,
           budgetUsagePercent: salaryInfo?.dailySalary
             ? Math.round(((salaryInfo.dailySalary - salaryInfo.balance) / salaryInfo.dailySalary) * 100)
-            : (budget?.dailyLimit ? Math.round((summary.totalTokens / budget.dailyLimit) * 100) : null),
+            : (budget?.dailyLimit ? Math.round((budgetManager.measureUsage(summary) / budget.dailyLimit) * 100) : null),
         };
       });
 
@@ -124,14 +129,16 @@ function setupBudgetIpcHandlers() {
       return {
         period,
         periodStart: formatLocalTime(sinceTimestamp),
+        billing: budgetManager.getBillingInfo(),
         global: {
           ...totalUsage,
           globalDailyLimit: globalBudget.globalDailyLimit,
           globalTotalLimit: globalBudget.globalTotalLimit,
           dailyUsagePercent: globalBudget.globalDailyLimit > 0
-            ? Math.round((totalUsage.totalTokens / globalBudget.globalDailyLimit) * 100)
+            ? Math.round((budgetManager.measureUsage(totalUsage) / globalBudget.globalDailyLimit) * 100)
             : 0,
         },
+        byModel: tokenTracker.getCostByModel(sinceTimestamp),
         agents: agentStats,
       };
     } catch (error) {
@@ -168,9 +175,11 @@ function setupBudgetIpcHandlers() {
     logger.info('IPC: budget:grant-override', { agentId, hours });
     try {
       const result = budgetManager.grantTemporaryOverride(agentId, hours);
+      auditLog.recordUserAction('budget:grant-override', { agentId, hours }, result);
       return result;
     } catch (error) {
       logger.error('授予预算放行失败:', error);
+      auditLog.recordUserAction('budget:grant-override', { agentId, hours }, { success: false, error: error.message });
       return { success: false, error: error.message };
     }
   });
@@ -191,9 +200,11 @@ function setupBudgetIpcHandlers() {
     logger.info('IPC: budget:revoke-override', { agentId });
     try {
       const result = budgetManager.revokeOverride(agentId);
+      auditLog.recordUserAction('budget:revoke-override', { agentId }, result);
       return result;
     } catch (error) {
       logger.error('撤销预算放行失败:', error);
+      auditLog.recordUserAction('budget:revoke-override', { agentId }, { success: false, error: error.message });
       return { success: false, error: error.message };
     }
   });
@@ -247,9 +258,11 @@ function setupBudgetIpcHandlers() {
     logger.info('IPC: salary:set-level-salary', { level, amount });
     try {
       const result = budgetManager.setDefaultSalary(level, amount);
+      auditLog.recordUserAction('salary:set-level-salary', { level, amount }, result);
       return result;
     } catch (error) {
       logger.error('设置职级日薪失败:', error);
+      auditLog.recordUserAction('salary:set-level-salary', { level, amount }, { success: false, error: error.message });
       return { success: false, error: error.message };
     }
   });
@@ -259,9 +272,11 @@ function setupBudgetIpcHandlers() {
     logger.info('IPC: salary:set-agent-salary', { agentId, amount });
     try {
       const result = budgetManager.setAgentSalary(agentId, amount);
+      auditLog.recordUserAction('salary:set-agent-salary', { agentId, amount }, result);
       return result;
     } catch (error) {
       logger.error('设置员工日薪失败:', error);
+      auditLog.recordUserAction('salary:set-agent-salary', { agentId, amount }, { success: false, error: error.message });
       return { success: false, error: error.message };
     }
   });
@@ -271,9 +286,11 @@ function setupBudgetIpcHandlers() {
     logger.info('IPC: salary:pay-bonus', { agentId, amount, reason });
     try {
       const result = budgetManager.addBonus(agentId, amount, reason);
+      auditLog.recordUserAction('salary:pay-bonus', { agentId, amount, reason }, result);
       return result;
     } catch (error) {
       logger.error('发放奖金失败:', error);
+      auditLog.recordUserAction('salary:pay-bonus', { agentId, amount, reason }, { success: false, error: error.message });
       return { success: false, error: error.message };
     }
   });
@@ -290,6 +307,113 @@ function setupBudgetIpcHandlers() {
     }
   });
 
+  // 获取成本预测（全公司 + 各员工汇总，指定 agentId 时返回该员工的完整预测）
+  ipcMain.handle('budget:get-forecast', async (_event, params = {}) => {
+    logger.debug('IPC: budget:get-forecast', params);
+    try {
+      const { agentId, historyDays = 14, horizonDays = 7 } = params || {};
+      if (agentId) {
+        return costForecaster.forecast({ agentId, historyDays, horizonDays });
+      }
+      return costForecaster.forecastAll({ historyDays, horizonDays });
+    } catch (error) {
+      logger.error('获取成本预测失败:', error);
+      return null;
+    }
+  });
+
+  // ─── 模型价格与计费单位相关 IPC ─────────────────────────────
+
+  // 获取价格表与计费配置
+  ipcMain.handle('budget:get-pricing', async () => {
+    logger.debug('IPC: budget:get-pricing');
+    try {
+      return {
+        billing: budgetManager.getBillingInfo(),
+        reportingCurrency: modelPricing.getReportingCurrency(),
+        exchangeRates: { ...modelPricing.config.exchangeRates },
+        prices: modelPricing.listPrices(),
+      };
+    } catch (error) {
+      logger.error('获取模型价格表失败:', error);
+      return null;
+    }
+  });
+
+  // 设置模型单价（price 为 null 时恢复内置参考价）
+  ipcMain.handle('budget:set-model-price', async (_event, model, price) => {
+    logger.info('IPC: budget:set-model-price', { model, price });
+    try {
+      const result = price ? modelPricing.setModelPrice(model, price) : modelPricing.removeModelPrice(model);
+      auditLog.recordUserAction('budget:set-model-price', { model, price }, result);
+      return result;
+    } catch (error) {
+      logger.error('设置模型单价失败:', error);
+      auditLog.recordUserAction('budget:set-model-price', { model, price }, { success: false, error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 设置计费单位与报表币种
+  ipcMain.handle('budget:set-billing', async (_event, { unit, currency, exchangeRates, tokensPerUnit } = {}) => {
+    logger.info('IPC: budget:set-billing', { unit, currency, tokensPerUnit });
+    const applyBilling = () => {
+      if (exchangeRates) {
+        const rateResult = modelPricing.setCurrency({ exchangeRates });
+        if (!rateResult.success) return rateResult;
+      }
+      if (currency) {
+        const currencyResult = budgetManager.setReportingCurrency(currency);
+        if (!currencyResult.success) return currencyResult;
+      }
+      if (unit) {
+        const unitResult = budgetManager.setBillingUnit(unit, { tokensPerUnit });
+        if (!unitResult.success) return unitResult;
+      }
+      return { success: true, billing: budgetManager.getBillingInfo() };
+    };
+    let result;
+    try {
+      result = applyBilling();
+    } catch (error) {
+      logger.error('设置计费单位失败:', error);
+      result = { success: false, error: error.message };
+    }
+    auditLog.recordUserAction('budget:set-billing', { unit, currency, exchangeRates, tokensPerUnit }, result);
+    return result;
+  });
+
+  // ─── 降级策略相关 IPC ───────────────────────────────────────
+
+  // 获取降级策略、各 Agent 当前降级阶段和审计日志
+  ipcMain.handle('budget:get-downgrade-policies', async (_event, params = {}) => {
+    logger.debug('IPC: budget:get-downgrade-policies', params);
+    try {
+      const { agentId, limit = 100 } = params || {};
+      return {
+        ...budgetManager.listDowngradePolicies(),
+        log: budgetManager.getDowngradeLog({ agentId, limit }),
+      };
+    } catch (error) {
+      logger.error('获取降级策略失败:', error);
+      return null;
+    }
+  });
+
+  // 设置降级策略（policy 为 null 时删除，回退到上一层策略）
+  ipcMain.handle('budget:set-downgrade-policy', async (_event, { scope, target, policy } = {}) => {
+    logger.info('IPC: budget:set-downgrade-policy', { scope, target, policy });
+    try {
+      const result = budgetManager.setDowngradePolicy(scope, target, policy || null);
+      auditLog.recordUserAction('budget:set-downgrade-policy', { scope, target, policy }, result);
+      return result;
+    } catch (error) {
+      logger.error('设置降级策略失败:', error);
+      auditLog.recordUserAction('budget:set-downgrade-policy', { scope, target, policy }, { success: false, error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
   logger.info('预算系统 IPC 处理器已设置');
 }
 
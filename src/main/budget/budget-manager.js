@@ -8,6 +8,9 @@ const fs = require('fs');
 const path = require('path');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
+const { modelPricing, FALLBACK_PRICE } = require('./model-pricing');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 // 延迟加载 tokenTracker 避免循环依赖
 let _tokenTracker = null;
@@ -43,6 +46,15 @@ function getBudgetsFile() {
  * @property {number} globalTotalLimit - 全局总限额
  * @property {Object.<string, AgentBudget>} agents - 各 Agent 预算
  * @property {Object.<string, number>} levelSalaryDefaults - 职级默认工资配置
+ * @property {BillingConfig} billing - 计费单位
+ */
+
+/**
+ * 计费单位：tokens 按 token 数记账；currency 按模型价格表折算的实际成本记账
+ * 切换单位时余额、日薪、限额会按换算比例一并转换，币种跟随价格表的报表币种
+ * @typedef {Object} BillingConfig
+ * @property {'tokens' | 'currency'} unit
+ * @property {number} [tokensPerUnit] - 最近一次切换时使用的换算比例（每 1 货币单位对应的 token 数）
  */
 
 /**
@@ -74,9 +86,39 @@ const BUDGET_THRESHOLDS = {
  */
 const DOWNGRADE_MODEL = 'glm-4.7';
 
+/**
+ * @typedef {Object} DowngradeRung
+ * @property {string} model - 降级到的模型
+ * @property {string} [provider] - 指定 provider（如本地 ollama），不填则按模型自动选择
+ * @property {number} belowPercent - 余额低于日薪的该百分比时启用本级（0 表示开始透支，-100 表示透支一倍日薪）
+ */
+
+/**
+ * @typedef {Object} DowngradePolicy
+ * @property {DowngradeRung[]} ladder - 降级阶梯，按 belowPercent 从高到低依次生效（高档 → 中档 → 本地模型）
+ * @property {number} blockBelowPercent - 余额低于日薪的该百分比时触发阻止
+ * @property {'all' | 'mutating'} blockMode - 阻止方式：all 阻止一切调用；mutating 仅禁止有副作用的工具，仍可对话和使用只读工具
+ */
+
+/**
+ * 内置降级策略：透支即降级到便宜模型，透支超过 2 倍日薪阻止调用
+ * @type {DowngradePolicy}
+ */
+const DEFAULT_DOWNGRADE_POLICY = {
+  ladder: [{ model: DOWNGRADE_MODEL, belowPercent: 0 }],
+  blockBelowPercent: -200,
+  blockMode: 'all',
+};
+
+/**
+ * 降级审计日志保留条数
+ */
+const MAX_DOWNGRADE_LOG = 500;
+
 /**
  * 预算策略动作类型
- * @typedef {'allow' | 'warn' | 'downgrade' | 'block'} BudgetAction
+ * restrict：已越过阻止线但策略为 mutating，只禁止有副作用的工具
+ * @typedef {'allow' | 'warn' | 'downgrade' | 'restrict' | 'block'} BudgetAction
  */
 
 /**
@@ -84,9 +126,29 @@ const DOWNGRADE_MODEL = 'glm-4.7';
  * @property {BudgetAction} action - 执行动作
  * @property {string} [reason] - 原因说明
  * @property {string} [downgradeTo] - 降级目标模型
+ * @property {string} [provider] - 降级目标 provider
+ * @property {number} [rung] - 命中的阶梯序号（从 0 开始）
+ * @property {boolean} [restrictTools] - 是否禁止有副作用的工具
+ * @property {'agent' | 'level' | 'default' | 'builtin'} [policySource] - 生效策略的来源
+ * @property {DowngradeLogEntry | null} [transition] - 本次检查导致的降级阶段变化（未变化为 null）
  * @property {number} usagePercent - 使用百分比
  */
 
+/**
+ * @typedef {Object} DowngradeLogEntry
+ * @property {string} id
+ * @property {string} agentId
+ * @property {string} timestamp
+ * @property {string} from - 变化前的阶段（normal / rung:N / restricted / blocked）
+ * @property {string} to - 变化后的阶段
+ * @property {string|null} fromModel - 变化前使用的降级模型（未降级为 null）
+ * @property {string|null} toModel - 变化后使用的降级模型
+ * @property {number} balance - 触发时的余额
+ * @property {number} dailySalary - 触发时的日薪
+ * @property {string} policySource - 生效策略的来源
+ * @property {string} reason
+ */
+
 /**
  * @typedef {Object} TemporaryOverride
  * @property {string} agentId - Agent ID
@@ -107,6 +169,10 @@ function getDefaultBudgets() {
     temporaryOverrides: {}, // 临时放行记录
     blockedAgents: [], // 被阻止的 Agent 列表
     levelSalaryDefaults: { ...DEFAULT_LEVEL_SALARIES }, // 职级默认工资
+    billing: { unit: 'tokens' }, // 计费单位
+    downgradePolicies: { default: null, levels: {}, agents: {} }, // 降级策略（null 表示使用内置策略）
+    downgradeStates: {}, // 各 Agent 当前所处的降级阶段
+    downgradeLog: [], // 自动降级审计日志
   };
 }
 
@@ -145,7 +211,7 @@ class BudgetManager {
     try {
       const budgetsFile = getBudgetsFile();
       if (fs.existsSync(budgetsFile)) {
-        const content = fs.readFileSync(budgetsFile, 'utf-8');
+        const content = readTextSync(budgetsFile);
         const data = JSON.parse(content);
         logger.debug('加载预算配置成功');
         return { ...getDefaultBudgets(), ...data };
@@ -162,7 +228,7 @@ class BudgetManager {
   saveToDisk() {
     try {
       this.ensureConfigDir();
-      fs.writeFileSync(getBudgetsFile(), JSON.stringify(this.budgets, null, 2));
+      atomicWriteSync(getBudgetsFile(), JSON.stringify(this.budgets, null, 2));
       logger.debug('保存预算配置成功');
     } catch (error) {
       logger.error('保存预算配置失败:', error);
@@ -305,6 +371,8 @@ class BudgetManager {
 
   /**
    * 带策略的预算检查（使用工资余额系统）
+   * 按生效的降级策略逐级降级模型，越过阻止线后阻止调用或只禁止有副作用的工具；
+   * 降级阶段发生变化时写入审计日志，并通过 transition 返回给调用方
    * @param {string} agentId
    * @returns {BudgetStrategyResult}
    */
@@ -332,46 +400,54 @@ class BudgetManager {
       };
     }
 
-    // 透支警戒线：允许透支到 -2 倍日薪
-    const overdraftLimit = -dailySalary * 2;
-
     // 计算使用百分比（基于日薪）
     const usedFromSalary = dailySalary - balance;
     const usagePercent = dailySalary > 0 ? Math.round((usedFromSalary / dailySalary) * 100) : 0;
 
-    // 深度透支：超过警戒线则阻止
-    if (balance <= overdraftLimit) {
+    const { policy, source } = this.getDowngradePolicy(agentId);
+    const decision = this._evaluateDowngradePolicy(policy, balance, dailySalary);
+    const transition = this._trackDowngradeStage(agentId, decision, { balance, dailySalary, policySource: source });
+    const base = { usagePercent, balance, policySource: source, transition };
+
+    // 越过阻止线：全部阻止，或按策略只禁止有副作用的工具
+    if (decision.stage === 'blocked') {
       this._recordBlockedAgent(agentId, Math.abs(balance), dailySalary, usagePercent);
+      return { ...base, action: 'block', reason: decision.reason };
+    }
+    if (decision.stage === 'restricted') {
       return {
-        action: 'block',
-        reason: `账户深度透支 (余额: ${balance.toLocaleString()}，已超过警戒线 ${overdraftLimit.toLocaleString()})，需要老板审批`,
-        usagePercent,
-        balance,
+        ...base,
+        action: 'restrict',
+        reason: decision.reason,
+        downgradeTo: decision.rung?.model,
+        provider: decision.rung?.provider,
+        rung: decision.rungIndex,
+        restrictTools: true,
       };
     }
 
-    // 透支状态（余额为负但未超过警戒线）：降级到便宜模型
-    if (balance < 0) {
+    // 命中降级阶梯
+    if (decision.rung) {
       return {
+        ...base,
         action: 'downgrade',
-        reason: `账户透支中 (余额: ${balance.toLocaleString()})，自动降级到便宜模型`,
-        downgradeTo: DOWNGRADE_MODEL,
-        usagePercent,
-        balance,
+        reason: decision.reason,
+        downgradeTo: decision.rung.model,
+        provider: decision.rung.provider,
+        rung: decision.rungIndex,
       };
     }
 
     // 余额较低（不足 30% 日薪）：警告
     if (balance < dailySalary * 0.3) {
       return {
+        ...base,
         action: 'warn',
-        reason: `余额较低 (${balance.toLocaleString()}，不足日薪 30%)`,
-        usagePercent,
-        balance,
+        reason: `余额较低 (${this.formatAmount(balance)}，不足日薪 30%)`,
       };
     }
 
-    return { action: 'allow', usagePercent, balance };
+    return { ...base, action: 'allow' };
   }
 
   /**
@@ -649,15 +725,17 @@ class BudgetManager {
 
   /**
    * 扣除 Token（聊天时调用）
-   * 允许余额变为负数（透支）
+   * 允许余额变为负数（透支）；货币计费时按本次调用的实际成本扣款
    * @param {string} agentId
    * @param {number} amount - 要扣除的 token 数量
-   * @returns {{ success: boolean, newBalance: number }}
+   * @param {number} [cost] - 本次调用成本（报表币种），货币计费时必填
+   * @returns {{ success: boolean, newBalance: number, deducted?: string }}
    */
-  deductTokens(agentId, amount) {
+  deductTokens(agentId, amount, cost) {
     if (!agentId || typeof amount !== 'number') {
       return { success: false, newBalance: 0 };
     }
+    const charge = this.measureUsage({ totalTokens: amount, totalCost: cost });
 
     const budget = this.budgets.agents[agentId];
     if (!budget) {
@@ -670,11 +748,12 @@ class BudgetManager {
       budget.balance = budget.dailySalary || this.getDefaultSalary('staff');
     }
 
-    budget.balance -= amount;
+    budget.balance = this._roundAmount(budget.balance - charge);
     this.saveToDisk();
 
-    logger.debug(`Agent ${agentId} 扣除 ${amount} tokens，余额: ${budget.balance}`);
-    return { success: true, newBalance: budget.balance };
+    const deducted = this.formatAmount(charge);
+    logger.debug(`Agent ${agentId} 扣除 ${deducted}，余额: ${this.formatAmount(budget.balance)}`);
+    return { success: true, newBalance: budget.balance, deducted };
   }
 
   /**
@@ -856,7 +935,7 @@ class BudgetManager {
         totalMissedDays += missedDays;
         processedCount++;
 
-        logger.info(`补发工资: ${config.name} 缺失 ${missedDays} 天，补发 ${compensation} tokens`);
+        logger.info(`补发工资: ${config.name} 缺失 ${missedDays} 天，补发 ${this.formatAmount(compensation)}`);
       }
     }
 
@@ -999,6 +1078,434 @@ class BudgetManager {
       enabled: budget.enabled !== false,
     };
   }
+
+  // ─── 降级策略相关方法 ───────────────────────────────────────
+
+  /**
+   * 获取 Agent 的职级（用于匹配职级降级策略）
+   * @param {string} agentId
+   * @returns {string|null}
+   */
+  _getAgentLevel(agentId) {
+    try {
+      // 延迟加载避免循环依赖
+      const { agentConfigStore } = require('../config/agent-config-store');
+      return agentConfigStore.get(agentId)?.level || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 获取 Agent 生效的降级策略：Agent 策略 > 职级策略 > 公司默认策略 > 内置策略
+   * @param {string} [agentId]
+   * @returns {{ policy: DowngradePolicy, source: 'agent' | 'level' | 'default' | 'builtin', level?: string }}
+   */
+  getDowngradePolicy(agentId) {
+    const policies = this.budgets.downgradePolicies || {};
+
+    if (agentId && policies.agents?.[agentId]) {
+      return { policy: policies.agents[agentId], source: 'agent' };
+    }
+    const level = agentId ? this._getAgentLevel(agentId) : null;
+    if (level && policies.levels?.[level]) {
+      return { policy: policies.levels[level], source: 'level', level };
+    }
+    if (policies.default) {
+      return { policy: policies.default, source: 'default' };
+    }
+    return { policy: DEFAULT_DOWNGRADE_POLICY, source: 'builtin' };
+  }
+
+  /**
+   * 列出所有降级策略配置
+   * @returns {{ builtin: DowngradePolicy, default: DowngradePolicy | null, levels: Object.<string, DowngradePolicy>, agents: Object.<string, DowngradePolicy>, states: Object }}
+   */
+  listDowngradePolicies() {
+    const policies = this.budgets.downgradePolicies || {};
+    return JSON.parse(JSON.stringify({
+      builtin: DEFAULT_DOWNGRADE_POLICY,
+      default: policies.default || null,
+      levels: policies.levels || {},
+      agents: policies.agents || {},
+      states: this.budgets.downgradeStates || {},
+    }));
+  }
+
+  /**
+   * 校验并规范化降级策略（阶梯按 belowPercent 从高到低排序）
+   * @param {Partial<DowngradePolicy>} policy
+   * @returns {{ policy?: DowngradePolicy, error?: string }}
+   */
+  _normalizeDowngradePolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+      return { error: '降级策略必须是对象' };
+    }
+    if (!Array.isArray(policy.ladder)) {
+      return { error: 'ladder 必须是数组' };
+    }
+
+    const ladder = [];
+    for (const rung of policy.ladder) {
+      const model = String(rung?.model || '').trim();
+      if (!model) {
+        return { error: '降级阶梯中每一级都必须指定 model' };
+      }
+      if (typeof rung.belowPercent !== 'number' || !Number.isFinite(rung.belowPercent)) {
+        return { error: `模型 ${model} 的 belowPercent 必须是数字` };
+      }
+      const provider = String(rung.provider || '').trim();
+      ladder.push({ model, ...(provider ? { provider } : {}), belowPercent: rung.belowPercent });
+    }
+    ladder.sort((a, b) => b.belowPercent - a.belowPercent);
+
+    const blockBelowPercent = policy.blockBelowPercent ?? DEFAULT_DOWNGRADE_POLICY.blockBelowPercent;
+    if (typeof blockBelowPercent !== 'number' || !Number.isFinite(blockBelowPercent)) {
+      return { error: 'blockBelowPercent 必须是数字' };
+    }
+
+    const blockMode = policy.blockMode || 'all';
+    if (!['all', 'mutating'].includes(blockMode)) {
+      return { error: `不支持的阻止方式: ${blockMode}` };
+    }
+
+    return { policy: { ladder, blockBelowPercent, blockMode } };
+  }
+
+  /**
+   * 设置降级策略
+   * @param {'default' | 'level' | 'agent'} scope - 作用范围
+   * @param {string | null} target - 职级 ID 或 Agent ID（scope 为 default 时忽略）
+   * @param {Partial<DowngradePolicy> | null} policy - 传 null 删除该策略，回退到上一层
+   * @returns {{ success: boolean, policy?: DowngradePolicy | null, error?: string }}
+   */
+  setDowngradePolicy(scope, target, policy) {
+    if (!['default', 'level', 'agent'].includes(scope)) {
+      return { success: false, error: `不支持的策略范围: ${scope}` };
+    }
+    if (scope !== 'default' && !target) {
+      return { success: false, error: scope === 'level' ? '职级不能为空' : 'agentId 不能为空' };
+    }
+    if (scope === 'level' && !(target in this.getLevelSalaryDefaults())) {
+      return { success: false, error: `未知职级: ${target}` };
+    }
+
+    let normalized = null;
+    if (policy) {
+      const result = this._normalizeDowngradePolicy(policy);
+      if (result.error) {
+        return { success: false, error: result.error };
+      }
+      normalized = result.policy;
+    }
+
+    if (!this.budgets.downgradePolicies) {
+      this.budgets.downgradePolicies = { default: null, levels: {}, agents: {} };
+    }
+    const policies = this.budgets.downgradePolicies;
+    if (scope === 'default') {
+      policies.default = normalized;
+    } else {
+      const key = scope === 'level' ? 'levels' : 'agents';
+      if (!policies[key]) {
+        policies[key] = {};
+      }
+      const table = policies[key];
+      if (normalized) {
+        table[target] = normalized;
+      } else {
+        delete table[target];
+      }
+    }
+
+    this.saveToDisk();
+    logger.info(`设置降级策略 ${scope}${target && scope !== 'default' ? `:${target}` : ''}:`, normalized);
+    return { success: true, scope, target: scope === 'default' ? null : target, policy: normalized };
+  }
+
+  /**
+   * 按策略判断当前余额所处的降级阶段
+   * 阶梯线和阻止线均为日薪的百分比，余额低于某级阶梯线即启用该级模型（取最深的一级）
+   * @param {DowngradePolicy} policy
+   * @param {number} balance
+   * @param {number} dailySalary
+   * @returns {{ stage: string, rung: DowngradeRung | null, rungIndex: number, reason?: string }}
+   */
+  _evaluateDowngradePolicy(policy, balance, dailySalary) {
+    const ladder = policy.ladder || [];
+    let rungIndex = -1;
+    ladder.forEach((rung, index) => {
+      if (balance < (dailySalary * rung.belowPercent) / 100) {
+        rungIndex = index;
+      }
+    });
+    const rung = rungIndex >= 0 ? ladder[rungIndex] : null;
+
+    const blockLine = (dailySalary * policy.blockBelowPercent) / 100;
+    if (balance <= blockLine) {
+      const overdraft = `账户深度透支 (余额: ${this.formatAmount(balance)}，已超过警戒线 ${this.formatAmount(blockLine)})`;
+      if (policy.blockMode === 'mutating') {
+        return {
+          stage: 'restricted',
+          rung,
+          rungIndex,
+          reason: `${overdraft}，仅允许对话和只读工具，有副作用的操作需要老板审批`,
+        };
+      }
+      return { stage: 'blocked', rung, rungIndex, reason: `${overdraft}，需要老板审批` };
+    }
+
+    if (rung) {
+      const line = (dailySalary * rung.belowPercent) / 100;
+      return {
+        stage: `rung:${rungIndex}`,
+        rung,
+        rungIndex,
+        reason: `${balance < 0 ? '账户透支中' : '余额较低'} (余额: ${this.formatAmount(balance)}，低于阶梯线 ${this.formatAmount(line)})，` +
+          `自动降级到 ${rung.model}（第 ${rungIndex + 1}/${ladder.length} 级）`,
+      };
+    }
+
+    return { stage: 'normal', rung: null, rungIndex: -1 };
+  }
+
+  /**
+   * 记录 Agent 降级阶段的变化，写入审计日志
+   * @param {string} agentId
+   * @param {{ stage: string, rung: DowngradeRung | null, reason?: string }} decision
+   * @param {{ balance: number, dailySalary: number, policySource: string }} context
+   * @returns {DowngradeLogEntry | null} 阶段未变化时返回 null
+   */
+  _trackDowngradeStage(agentId, decision, { balance, dailySalary, policySource }) {
+    if (!this.budgets.downgradeStates) {
+      this.budgets.downgradeStates = {};
+    }
+    const previous = this.budgets.downgradeStates[agentId] || { stage: 'normal', model: null };
+    const model = decision.rung?.model || null;
+    if (previous.stage === decision.stage && previous.model === model) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString();
+    const entry = {
+      id: `downgrade-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      agentId,
+      timestamp,
+      from: previous.stage,
+      to: decision.stage,
+      fromModel: previous.model,
+      toModel: model,
+      balance,
+      dailySalary,
+      policySource,
+      reason: decision.reason || `余额已恢复 (${this.formatAmount(balance)})，取消降级`,
+    };
+
+    if (decision.stage === 'normal') {
+      delete this.budgets.downgradeStates[agentId];
+    } else {
+      this.budgets.downgradeStates[agentId] = { stage: decision.stage, model, since: timestamp };
+    }
+
+    if (!this.budgets.downgradeLog) {
+      this.budgets.downgradeLog = [];
+    }
+    this.budgets.downgradeLog.push(entry);
+    if (this.budgets.downgradeLog.length > MAX_DOWNGRADE_LOG) {
+      this.budgets.downgradeLog = this.budgets.downgradeLog.slice(-MAX_DOWNGRADE_LOG);
+    }
+
+    this.saveToDisk();
+    logger.info(`Agent ${agentId} 降级阶段变化: ${entry.from} -> ${entry.to}`, { model, balance });
+    return entry;
+  }
+
+  /**
+   * 获取降级审计日志（最新在前）
+   * @param {Object} [filter]
+   * @param {string} [filter.agentId]
+   * @param {number} [filter.limit=50]
+   * @returns {DowngradeLogEntry[]}
+   */
+  getDowngradeLog({ agentId, limit = 50 } = {}) {
+    return (this.budgets.downgradeLog || [])
+      .filter((entry) => !agentId || entry.agentId === agentId)
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * 查询 Agent 当前是否被禁止使用有副作用的工具（无副作用，供工具执行前检查）
+   * @param {string} agentId
+   * @returns {{ reason: string } | null}
+   */
+  getToolRestriction(agentId) {
+    const agentBudget = this.getAgentBudget(agentId);
+    if (!agentBudget || !agentBudget.enabled || this.hasActiveOverride(agentId)) {
+      return null;
+    }
+
+    const balance = agentBudget.balance ?? 0;
+    const dailySalary = agentBudget.dailySalary || this.getDefaultSalary('staff');
+    const { policy } = this.getDowngradePolicy(agentId);
+    const decision = this._evaluateDowngradePolicy(policy, balance, dailySalary);
+    return decision.stage === 'restricted' ? { reason: decision.reason } : null;
+  }
+
+  // ─── 计费单位相关方法 ───────────────────────────────────────
+
+  /**
+   * 获取计费配置
+   * @returns {{ unit: 'tokens' | 'currency', currency: string | null, symbol: string, tokensPerUnit?: number }}
+   */
+  getBillingInfo() {
+    const billing = this.budgets.billing || { unit: 'tokens' };
+    const currency = billing.unit === 'currency' ? modelPricing.getReportingCurrency() : null;
+    return {
+      ...billing,
+      currency,
+      symbol: currency ? modelPricing.getCurrencySymbol(currency) : '',
+    };
+  }
+
+  /**
+   * 是否按货币计费
+   * @returns {boolean}
+   */
+  isCurrencyBilling() {
+    return this.budgets.billing?.unit === 'currency';
+  }
+
+  /**
+   * 把一段用量换算为计费单位下的数额
+   * @param {{ totalTokens?: number, totalCost?: number }} usage
+   * @returns {number}
+   */
+  measureUsage(usage) {
+    if (this.isCurrencyBilling()) {
+      return usage.totalCost || 0;
+    }
+    return usage.totalTokens || 0;
+  }
+
+  /**
+   * 按计费单位格式化金额
+   * @param {number} amount
+   * @returns {string}
+   */
+  formatAmount(amount) {
+    if (this.isCurrencyBilling()) {
+      return modelPricing.formatMoney(amount);
+    }
+    return `${Math.round(amount || 0).toLocaleString()} tokens`;
+  }
+
+  /**
+   * 按计费单位取整（货币保留到 1/10000，token 取整）
+   * @param {number} amount
+   * @returns {number}
+   */
+  _roundAmount(amount) {
+    if (this.isCurrencyBilling()) {
+      return Math.round(amount * 10000) / 10000;
+    }
+    return Math.round(amount);
+  }
+
+  /**
+   * 估算每 1 货币单位对应的 token 数：优先用最近 30 天的实际成本，没有记录时按兜底价估算
+   * @returns {number}
+   */
+  estimateTokensPerUnit() {
+    const since = Date.now() - 30 * 24 * 60 * 60 * 1000;
+    const usage = getTokenTracker().getTotalUsage(since);
+    if (usage.totalCost > 0 && usage.totalTokens > 0) {
+      return usage.totalTokens / usage.totalCost;
+    }
+    // 兜底价按输入:输出 ≈ 3:1 的典型对话比例混合
+    const blended = (FALLBACK_PRICE.input * 3 + FALLBACK_PRICE.output) / 4;
+    const perMillion = modelPricing.convert(blended, FALLBACK_PRICE.currency);
+    return 1e6 / perMillion;
+  }
+
+  /**
+   * 切换计费单位，并把所有余额、日薪、限额按换算比例转换
+   * @param {'tokens' | 'currency'} unit
+   * @param {Object} [options]
+   * @param {number} [options.tokensPerUnit] - 每 1 货币单位对应的 token 数，不传则按历史成本估算
+   * @returns {{ success: boolean, unit?: string, tokensPerUnit?: number, error?: string }}
+   */
+  setBillingUnit(unit, options = {}) {
+    if (unit !== 'tokens' && unit !== 'currency') {
+      return { success: false, error: '计费单位只能是 tokens 或 currency' };
+    }
+    const current = this.budgets.billing?.unit || 'tokens';
+    if (current === unit) {
+      return { success: true, unit, converted: false };
+    }
+
+    // 切回 tokens 时沿用上次的换算比例，保证来回切换金额不漂移
+    const tokensPerUnit = options.tokensPerUnit
+      ?? (unit === 'tokens' ? this.budgets.billing?.tokensPerUnit : undefined)
+      ?? this.estimateTokensPerUnit();
+    if (typeof tokensPerUnit !== 'number' || !(tokensPerUnit > 0)) {
+      return { success: false, error: '换算比例必须是正数' };
+    }
+
+    this.budgets.billing = { unit, tokensPerUnit };
+    this._scaleAmounts(unit === 'currency' ? 1 / tokensPerUnit : tokensPerUnit);
+
+    this.saveToDisk();
+    logger.info(`计费单位已切换: ${current} -> ${unit}`, { tokensPerUnit });
+    return { success: true, unit, tokensPerUnit, converted: true };
+  }
+
+  /**
+   * 修改报表币种；货币计费时按汇率换算已有的余额、日薪和限额
+   * @param {string} currency
+   * @returns {{ success: boolean, currency?: string, error?: string }}
+   */
+  setReportingCurrency(currency) {
+    const from = modelPricing.getReportingCurrency();
+    const result = modelPricing.setCurrency({ reportingCurrency: currency });
+    if (!result.success) return result;
+
+    const to = result.reportingCurrency;
+    if (this.isCurrencyBilling() && from !== to) {
+      const rate = modelPricing.convert(1, from, to);
+      this._scaleAmounts(rate);
+      if (this.budgets.billing.tokensPerUnit) {
+        this.budgets.billing.tokensPerUnit /= rate;
+      }
+      this.saveToDisk();
+      logger.info(`报表币种已切换: ${from} -> ${to}，预算金额已按汇率 ${rate} 换算`);
+    }
+    return { success: true, currency: to };
+  }
+
+  /**
+   * 按比例换算所有金额类字段（余额、日薪、限额、职级默认工资）
+   * @param {number} factor
+   */
+  _scaleAmounts(factor) {
+    const convert = (value) => (typeof value === 'number' ? this._roundAmount(value * factor) : value);
+
+    this.budgets.globalDailyLimit = convert(this.budgets.globalDailyLimit);
+    this.budgets.globalTotalLimit = convert(this.budgets.globalTotalLimit);
+    for (const level of Object.keys(this.budgets.levelSalaryDefaults || {})) {
+      this.budgets.levelSalaryDefaults[level] = convert(this.budgets.levelSalaryDefaults[level]);
+    }
+    for (const budget of Object.values(this.budgets.agents)) {
+      budget.balance = convert(budget.balance);
+      budget.dailySalary = convert(budget.dailySalary);
+      budget.dailyLimit = convert(budget.dailyLimit);
+      budget.totalLimit = convert(budget.totalLimit);
+    }
+    for (const blocked of this.budgets.blockedAgents || []) {
+      blocked.usage = convert(blocked.usage);
+      blocked.limit = convert(blocked.limit);
+    }
+  }
 }
 
 // 单例
@@ -1009,5 +1516,6 @@ module.exports = {
   budgetManager,
   BUDGET_THRESHOLDS,
   DOWNGRADE_MODEL,
+  DEFAULT_DOWNGRADE_POLICY,
   DEFAULT_LEVEL_SALARIES,
 };
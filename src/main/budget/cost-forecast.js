@@ -0,0 +1,436 @@
+/**
+ * SoloForge - 成本预测与异常检测
+ * 基于 TokenTracker 的历史记录预测公司与各 Agent 的日 / 周消耗，
+ * 并检测短时间内的异常消耗尖峰（如 Agent 陷入工具调用死循环）
+ *
+ * 预测采用 Holt 双指数平滑（水平 + 趋势），今日数据按已过时间比例外推后与历史水平混合
+ * @module budget/cost-forecast
+ */
+
+const { tokenTracker } = require('./token-tracker');
+const { budgetManager } = require('./budget-manager');
+const { modelPricing } = require('./model-pricing');
+const { logger } = require('../utils/logger');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/** Holt 平滑系数：水平 / 趋势 */
+const SMOOTHING = { alpha: 0.5, beta: 0.3 };
+
+/**
+ * 异常检测配置（可通过环境变量调整）
+ */
+const ANOMALY_CONFIG = {
+  // 检测窗口（分钟）
+  windowMinutes: parseInt(process.env.COST_ANOMALY_WINDOW_MINUTES, 10) || 15,
+  // 基线回看天数
+  baselineDays: 7,
+  // 超过基线均值 + N 倍标准差视为异常
+  sigma: 4,
+  // 同时至少是基线均值的倍数（避免基线过于平稳时误报）
+  minRatio: 3,
+  // 窗口内最少 token 数（过滤低消耗的噪声）
+  minTokens: parseInt(process.env.COST_ANOMALY_MIN_TOKENS, 10) || 50000,
+  // 同一对话 / 任务在窗口内的调用次数达到该值视为疑似循环
+  loopCalls: parseInt(process.env.COST_ANOMALY_LOOP_CALLS, 10) || 25,
+};
+
+/**
+ * @typedef {Object} DailyPoint
+ * @property {string} date - 本地日期 YYYY-MM-DD
+ * @property {number} tokens
+ * @property {number} cost - 报表币种
+ * @property {number} calls
+ * @property {boolean} [projected] - 是否为预测值
+ */
+
+/**
+ * @typedef {Object} CostAnomaly
+ * @property {string} agentId
+ * @property {'spike' | 'loop'} kind - spike：消耗远超基线；loop：同一对话 / 任务被高频调用
+ * @property {number} windowMinutes
+ * @property {number} tokens - 窗口内 token 数
+ * @property {number} cost - 窗口内成本（报表币种）
+ * @property {number} calls - 窗口内调用次数
+ * @property {number} baselineTokens - 基线窗口均值
+ * @property {number|null} ratio - 相对基线的倍数
+ * @property {string|null} conversationId - 消耗最多的对话
+ * @property {string|null} taskId - 消耗最多的委派任务
+ * @property {string|null} taskTitle
+ * @property {number} topCalls - 该对话 / 任务在窗口内的调用次数
+ */
+
+/**
+ * 本地日期字符串
+ * @param {number} ts
+ * @returns {string}
+ */
+function toDateKey(ts) {
+  const d = new Date(ts);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 本地 0 点时间戳
+ * @param {number} ts
+ * @returns {number}
+ */
+function startOfDay(ts) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+/**
+ * Holt 双指数平滑
+ * @param {number[]} values - 按时间顺序的观测值
+ * @returns {{ level: number, trend: number }}
+ */
+function holt(values) {
+  if (values.length === 0) return { level: 0, trend: 0 };
+  if (values.length === 1) return { level: values[0], trend: 0 };
+
+  let level = values[0];
+  let trend = values[1] - values[0];
+  for (let i = 1; i < values.length; i++) {
+    const prevLevel = level;
+    level = SMOOTHING.alpha * values[i] + (1 - SMOOTHING.alpha) * (level + trend);
+    trend = SMOOTHING.beta * (level - prevLevel) + (1 - SMOOTHING.beta) * trend;
+  }
+  return { level, trend };
+}
+
+/**
+ * 均值与标准差
+ * @param {number[]} values
+ * @returns {{ mean: number, std: number }}
+ */
+function meanStd(values) {
+  if (values.length === 0) return { mean: 0, std: 0 };
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * 成本预测器
+ */
+class CostForecaster {
+  /**
+   * 筛选记录
+   * @param {{ agentId?: string, since?: number, until?: number }} filter
+   * @returns {import('./token-tracker').TokenUsageRecord[]}
+   */
+  _records({ agentId, since, until }) {
+    return tokenTracker.records.filter((r) => {
+      if (agentId && r.agentId !== agentId) return false;
+      if (since && r.timestamp < since) return false;
+      if (until && r.timestamp >= until) return false;
+      return true;
+    });
+  }
+
+  /**
+   * 按天汇总的消耗序列（含今日，缺失的日期补 0）
+   * @param {Object} [options]
+   * @param {string} [options.agentId] - 不指定则为全公司
+   * @param {number} [options.days=14] - 包含今日在内的天数
+   * @param {number} [options.now]
+   * @returns {DailyPoint[]}
+   */
+  getDailySeries({ agentId, days = 14, now = Date.now() } = {}) {
+    const todayStart = startOfDay(now);
+    const since = todayStart - (days - 1) * ONE_DAY;
+
+    const buckets = new Map();
+    for (let i = 0; i < days; i++) {
+      // 用中午时间戳计算日期，避免夏令时切换导致日期重复
+      const date = toDateKey(since + i * ONE_DAY + ONE_DAY / 2);
+      buckets.set(date, { date, tokens: 0, cost: 0, calls: 0 });
+    }
+
+    for (const record of this._records({ agentId, since })) {
+      const point = buckets.get(toDateKey(record.timestamp));
+      if (!point) continue;
+      point.tokens += record.totalTokens;
+      point.cost += tokenTracker.getRecordCost(record);
+      point.calls += 1;
+    }
+
+    return Array.from(buckets.values()).map((p) => ({ ...p, cost: round(p.cost, 6) }));
+  }
+
+  /**
+   * 预测某个 Agent 或全公司的消耗
+   * @param {Object} [options]
+   * @param {string} [options.agentId] - 不指定则预测全公司
+   * @param {number} [options.historyDays=14] - 参与拟合的历史天数（含今日）
+   * @param {number} [options.horizonDays=7] - 向后预测的天数（不含今日）
+   * @param {number} [options.now]
+   * @returns {Object}
+   */
+  forecast({ agentId, historyDays = 14, horizonDays = 7, now = Date.now() } = {}) {
+    const history = this.getDailySeries({ agentId, days: historyDays, now });
+    const today = history[history.length - 1];
+    const completed = history.slice(0, -1);
+
+    // 去掉开头没有任何消耗的日期（新公司 / 新员工），避免把"尚未存在"当作"零消耗"
+    const firstActive = completed.findIndex((p) => p.calls > 0);
+    const fitted = firstActive === -1 ? [] : completed.slice(firstActive);
+
+    const tokenModel = holt(fitted.map((p) => p.tokens));
+    const costModel = holt(fitted.map((p) => p.cost));
+
+    // 今日外推：剩余时间按"今日实际速率"与"历史水平"加权，越接近日末越信任今日速率
+    const elapsed = Math.min(Math.max((now - startOfDay(now)) / ONE_DAY, 0.01), 1);
+    const projectToday = (used, expected) => {
+      const todayRate = used / elapsed;
+      const dailyRate = fitted.length > 0
+        ? elapsed * todayRate + (1 - elapsed) * Math.max(expected, 0)
+        : todayRate;
+      return used + (1 - elapsed) * dailyRate;
+    };
+    const todayProjectedTokens = projectToday(today.tokens, tokenModel.level + tokenModel.trend);
+    const todayProjectedCost = projectToday(today.cost, costModel.level + costModel.trend);
+
+    // 未来每日：Holt 外推值与今日预测值各占一半，让今日的突变及时反映到近期预测（不低于 0）
+    const hasHistory = fitted.length > 0;
+    const daily = [];
+    for (let k = 1; k <= horizonDays; k++) {
+      const ts = startOfDay(now) + k * ONE_DAY + ONE_DAY / 2;
+      const tokens = hasHistory
+        ? (tokenModel.level + tokenModel.trend * (k + 1)) * 0.5 + todayProjectedTokens * 0.5
+        : todayProjectedTokens;
+      const cost = hasHistory
+        ? (costModel.level + costModel.trend * (k + 1)) * 0.5 + todayProjectedCost * 0.5
+        : todayProjectedCost;
+      daily.push({
+        date: toDateKey(ts),
+        tokens: Math.max(Math.round(tokens), 0),
+        cost: round(Math.max(cost, 0), 6),
+        projected: true,
+      });
+    }
+
+    const week = daily.slice(0, 7).reduce(
+      (acc, p) => ({ tokens: acc.tokens + p.tokens, cost: acc.cost + p.cost }),
+      { tokens: 0, cost: 0 }
+    );
+    const average = meanStd(fitted.map((p) => p.tokens)).mean;
+    const averageCost = meanStd(fitted.map((p) => p.cost)).mean;
+
+    return {
+      agentId: agentId || null,
+      currency: modelPricing.getReportingCurrency(),
+      history,
+      today: {
+        date: today.date,
+        tokens: today.tokens,
+        cost: today.cost,
+        calls: today.calls,
+        projectedTokens: Math.round(todayProjectedTokens),
+        projectedCost: round(todayProjectedCost, 6),
+      },
+      daily,
+      nextWeek: { tokens: week.tokens, cost: round(week.cost, 6) },
+      averageDaily: { tokens: Math.round(average), cost: round(averageCost, 6) },
+      // 趋势：每日变化量相对平均水平的百分比
+      trendPercent: average > 0 ? Math.round((tokenModel.trend / average) * 100) : 0,
+      budget: this._budgetOutlook(agentId, today, {
+        totalTokens: todayProjectedTokens,
+        totalCost: todayProjectedCost,
+      }, daily),
+    };
+  }
+
+  /**
+   * 预算前景：全公司对比每日限额；Agent 对比日薪与余额，估算几天后触发透支阻止
+   * @param {string} [agentId]
+   * @param {DailyPoint} today - 今日已发生的消耗
+   * @param {{ totalTokens: number, totalCost: number }} projectedToday
+   * @param {DailyPoint[]} daily
+   * @returns {Object|null}
+   */
+  _budgetOutlook(agentId, today, projectedToday, daily) {
+    const billing = budgetManager.getBillingInfo();
+    const todayBurn = budgetManager.measureUsage(projectedToday);
+
+    if (!agentId) {
+      const { globalDailyLimit } = budgetManager.getGlobalBudget();
+      if (!globalDailyLimit) return { unit: billing.unit, dailyLimit: 0 };
+      return {
+        unit: billing.unit,
+        dailyLimit: globalDailyLimit,
+        projectedToday: round(todayBurn),
+        projectedPercent: Math.round((todayBurn / globalDailyLimit) * 100),
+        // 预测期内预计超出每日限额的日期
+        overLimitDates: daily
+          .filter((p) => budgetManager.measureUsage({ totalTokens: p.tokens, totalCost: p.cost }) > globalDailyLimit)
+          .map((p) => p.date),
+      };
+    }
+
+    const salary = budgetManager.getAgentSalaryInfo(agentId);
+    if (!salary) return null;
+
+    // 余额低于 -2 倍日薪时会被阻止（与 checkBudgetWithStrategy 一致）
+    // 当前余额已扣除今日已发生的消耗，只需再扣今日剩余时段的预测消耗；之后每天先发薪再扣消耗
+    const blockLine = -salary.dailySalary * 2;
+    const usedToday = budgetManager.measureUsage({ totalTokens: today.tokens, totalCost: today.cost });
+    let balance = salary.balance - Math.max(todayBurn - usedToday, 0);
+    let daysUntilBlocked = balance <= blockLine ? 0 : null;
+    if (daysUntilBlocked === null) {
+      for (let i = 0; i < daily.length; i++) {
+        const burn = budgetManager.measureUsage({ totalTokens: daily[i].tokens, totalCost: daily[i].cost });
+        balance = balance + salary.dailySalary - burn;
+        if (balance <= blockLine) {
+          daysUntilBlocked = i + 1;
+          break;
+        }
+      }
+    }
+
+    return {
+      unit: billing.unit,
+      balance: salary.balance,
+      dailySalary: salary.dailySalary,
+      projectedToday: round(todayBurn),
+      // 预测日消耗占日薪的比例
+      salaryUsagePercent: salary.dailySalary > 0 ? Math.round((todayBurn / salary.dailySalary) * 100) : null,
+      projectedBalanceEnd: round(balance),
+      daysUntilBlocked,
+    };
+  }
+
+  /**
+   * 全公司与各 Agent 的预测汇总
+   * @param {Object} [options]
+   * @param {number} [options.historyDays=14]
+   * @param {number} [options.horizonDays=7]
+   * @returns {{ company: Object, agents: Object[] }}
+   */
+  forecastAll({ historyDays = 14, horizonDays = 7, now = Date.now() } = {}) {
+    const company = this.forecast({ historyDays, horizonDays, now });
+
+    const since = startOfDay(now) - (historyDays - 1) * ONE_DAY;
+    const agentIds = new Set(this._records({ since }).map((r) => r.agentId));
+
+    const agents = Array.from(agentIds).map((agentId) => {
+      const f = this.forecast({ agentId, historyDays, horizonDays, now });
+      // 汇总视图不返回完整序列，避免数据量过大
+      return {
+        agentId,
+        today: f.today,
+        nextWeek: f.nextWeek,
+        averageDaily: f.averageDaily,
+        trendPercent: f.trendPercent,
+        budget: f.budget,
+      };
+    });
+    agents.sort((a, b) => b.nextWeek.cost - a.nextWeek.cost);
+
+    return { company, agents };
+  }
+
+  /**
+   * 检测最近窗口内的异常消耗
+   * @param {Object} [options]
+   * @param {number} [options.now]
+   * @returns {CostAnomaly[]}
+   */
+  detectAnomalies({ now = Date.now() } = {}) {
+    const windowMs = ANOMALY_CONFIG.windowMinutes * 60 * 1000;
+    const windowStart = now - windowMs;
+    const baselineStart = now - ANOMALY_CONFIG.baselineDays * ONE_DAY;
+    const bucketCount = Math.floor((windowStart - baselineStart) / windowMs);
+
+    const recentByAgent = new Map();
+    const baselineByAgent = new Map();
+    for (const record of this._records({ since: baselineStart })) {
+      if (record.timestamp >= windowStart) {
+        if (!recentByAgent.has(record.agentId)) recentByAgent.set(record.agentId, []);
+        recentByAgent.get(record.agentId).push(record);
+      } else {
+        if (!baselineByAgent.has(record.agentId)) {
+          baselineByAgent.set(record.agentId, new Array(bucketCount).fill(0));
+        }
+        const index = Math.floor((record.timestamp - baselineStart) / windowMs);
+        const buckets = baselineByAgent.get(record.agentId);
+        if (index >= 0 && index < bucketCount) buckets[index] += record.totalTokens;
+      }
+    }
+
+    const anomalies = [];
+    for (const [agentId, records] of recentByAgent) {
+      const tokens = records.reduce((sum, r) => sum + r.totalTokens, 0);
+      const { mean, std } = meanStd(baselineByAgent.get(agentId) || []);
+
+      // 找出窗口内消耗最多的对话 / 任务
+      const groups = new Map();
+      for (const r of records) {
+        const key = r.taskId ? `task:${r.taskId}` : `conv:${r.conversationId || '-'}`;
+        if (!groups.has(key)) {
+          groups.set(key, { taskId: r.taskId || null, conversationId: r.conversationId || null, tokens: 0, calls: 0 });
+        }
+        const g = groups.get(key);
+        g.tokens += r.totalTokens;
+        g.calls += 1;
+      }
+      const top = Array.from(groups.values()).sort((a, b) => b.tokens - a.tokens)[0];
+
+      const isSpike = tokens >= ANOMALY_CONFIG.minTokens
+        && tokens > mean + ANOMALY_CONFIG.sigma * std
+        && tokens > mean * ANOMALY_CONFIG.minRatio;
+      const isLoop = top.calls >= ANOMALY_CONFIG.loopCalls;
+      if (!isSpike && !isLoop) continue;
+
+      anomalies.push({
+        agentId,
+        kind: isLoop ? 'loop' : 'spike',
+        windowMinutes: ANOMALY_CONFIG.windowMinutes,
+        tokens,
+        cost: round(records.reduce((sum, r) => sum + tokenTracker.getRecordCost(r), 0), 6),
+        calls: records.length,
+        baselineTokens: Math.round(mean),
+        ratio: mean > 0 ? round(tokens / mean, 1) : null,
+        conversationId: top.conversationId,
+        taskId: top.taskId,
+        taskTitle: top.taskId ? this._getTaskTitle(agentId, top.taskId) : null,
+        topCalls: top.calls,
+      });
+    }
+
+    if (anomalies.length > 0) {
+      logger.warn('检测到异常消耗', anomalies.map((a) => ({ agentId: a.agentId, kind: a.kind, tokens: a.tokens })));
+    }
+    return anomalies;
+  }
+
+  /**
+   * 查找委派任务标题（延迟加载避免循环依赖）
+   * @param {string} agentId
+   * @param {string} taskId
+   * @returns {string|null} 任务描述摘要
+   */
+  _getTaskTitle(agentId, taskId) {
+    try {
+      const { agentCommunication } = require('../collaboration/agent-communication');
+      const task = agentCommunication.getTasks(agentId, { type: 'received' }).find((t) => t.id === taskId);
+      return task?.taskDescription?.slice(0, 80) || null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+// 单例
+const costForecaster = new CostForecaster();
+
+module.exports = { CostForecaster, costForecaster, ANOMALY_CONFIG };
@@ -0,0 +1,355 @@
+/**
+ * SoloForge - 模型价格表
+ * 按模型维护输入 / 输出 / 缓存命中输入的单价，把 token 用量折算为真实货币成本
+ *
+ * 单价单位：每百万 token 的价格（与各供应商官网报价口径一致）
+ * 公司级覆盖保存在 model-prices.json，未覆盖的模型使用内置参考价
+ * @module budget/model-pricing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { dataPath } = require('../account/data-path');
+const { atomicWriteSync } = require('../utils/atomic-write');
+const { readTextSync } = require('../storage/encrypted-storage');
+
+function getPricesFile() {
+  return path.join(dataPath.getBasePath(), 'model-prices.json');
+}
+
+/**
+ * @typedef {Object} ModelPrice
+ * @property {number} input - 输入单价（每百万 token）
+ * @property {number} output - 输出单价（每百万 token）
+ * @property {number} cachedInput - 缓存命中的输入单价（每百万 token）
+ * @property {string} currency - 报价币种（USD / CNY）
+ */
+
+/**
+ * 支持的币种及显示符号
+ */
+const CURRENCY_SYMBOLS = {
+  USD: '$',
+  CNY: '¥',
+};
+
+/**
+ * 内置参考价（以供应商公开报价为准，可由 CFO 覆盖）
+ * 键为模型名前缀，匹配时取最长前缀，如 claude-opus-4-5-kiro → claude-opus-4-5
+ * @type {Object.<string, ModelPrice>}
+ */
+const DEFAULT_MODEL_PRICES = {
+  'claude-opus-4-6': { input: 5, output: 25, cachedInput: 0.5, currency: 'USD' },
+  'claude-opus-4-5': { input: 5, output: 25, cachedInput: 0.5, currency: 'USD' },
+  'claude-sonnet-4-5': { input: 3, output: 15, cachedInput: 0.3, currency: 'USD' },
+  'claude-haiku-4-5': { input: 1, output: 5, cachedInput: 0.1, currency: 'USD' },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, cachedInput: 0.075, currency: 'USD' },
+  'gpt-4o': { input: 2.5, output: 10, cachedInput: 1.25, currency: 'USD' },
+  'deepseek-chat': { input: 2, output: 3, cachedInput: 0.2, currency: 'CNY' },
+  'deepseek-reasoner': { input: 2, output: 3, cachedInput: 0.2, currency: 'CNY' },
+  'glm-4.7': { input: 2, output: 8, cachedInput: 0.4, currency: 'CNY' },
+  'glm-5': { input: 4, output: 18, cachedInput: 1, currency: 'CNY' },
+};
+
+/**
+ * 未知模型的兜底价格（按中档模型估算，避免未登记的模型被当作免费）
+ * @type {ModelPrice}
+ */
+const FALLBACK_PRICE = { input: 3, output: 15, cachedInput: 0.3, currency: 'USD' };
+
+/**
+ * 默认汇率：1 美元可兑换的各币种数额
+ */
+const DEFAULT_EXCHANGE_RATES = {
+  USD: 1,
+  CNY: 7.2,
+};
+
+/**
+ * 默认报表币种
+ */
+const DEFAULT_REPORTING_CURRENCY = process.env.BUDGET_CURRENCY || 'CNY';
+
+/**
+ * @typedef {Object} PricingConfig
+ * @property {string} reportingCurrency - 报表与货币预算使用的币种
+ * @property {Object.<string, number>} exchangeRates - 1 美元可兑换的各币种数额
+ * @property {Object.<string, ModelPrice>} models - 公司级单价覆盖
+ */
+
+/**
+ * @returns {PricingConfig}
+ */
+function getDefaultConfig() {
+  return {
+    reportingCurrency: DEFAULT_REPORTING_CURRENCY,
+    exchangeRates: { ...DEFAULT_EXCHANGE_RATES },
+    models: {},
+  };
+}
+
+/**
+ * 按币种精度取整（成本保留 6 位小数，避免单次调用的小额成本被抹零）
+ * @param {number} value
+ * @returns {number}
+ */
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * 模型价格表
+ */
+class ModelPricing {
+  constructor() {
+    this.config = this.loadFromDisk();
+  }
+
+  /**
+   * 从磁盘加载价格配置
+   * @returns {PricingConfig}
+   */
+  loadFromDisk() {
+    try {
+      const file = getPricesFile();
+      if (fs.existsSync(file)) {
+        const data = JSON.parse(readTextSync(file));
+        const defaults = getDefaultConfig();
+        return {
+          ...defaults,
+          ...data,
+          exchangeRates: { ...defaults.exchangeRates, ...(data.exchangeRates || {}) },
+          models: data.models || {},
+        };
+      }
+    } catch (error) {
+      logger.error('加载模型价格表失败:', error);
+    }
+    return getDefaultConfig();
+  }
+
+  /**
+   * 保存到磁盘
+   */
+  saveToDisk() {
+    try {
+      const dir = dataPath.getBasePath();
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      atomicWriteSync(getPricesFile(), JSON.stringify(this.config, null, 2));
+    } catch (error) {
+      logger.error('保存模型价格表失败:', error);
+    }
+  }
+
+  /**
+   * 重新初始化（切换公司后调用）
+   */
+  reinitialize() {
+    this.config = this.loadFromDisk();
+  }
+
+  /**
+   * 获取报表币种
+   * @returns {string}
+   */
+  getReportingCurrency() {
+    return this.config.reportingCurrency;
+  }
+
+  /**
+   * 获取币种符号
+   * @param {string} [currency]
+   * @returns {string}
+   */
+  getCurrencySymbol(currency = this.config.reportingCurrency) {
+    return CURRENCY_SYMBOLS[currency] || `${currency} `;
+  }
+
+  /**
+   * 查找模型单价：公司覆盖 > 内置参考价，均按精确匹配 > 最长前缀匹配
+   * @param {string} model
+   * @returns {ModelPrice & { matchedKey: string | null, source: 'custom' | 'builtin' | 'fallback' }}
+   */
+  getPrice(model) {
+    const name = String(model || '').toLowerCase();
+    const tables = [
+      ['custom', this.config.models],
+      ['builtin', DEFAULT_MODEL_PRICES],
+    ];
+
+    for (const [source, table] of tables) {
+      if (table[name]) {
+        return { ...table[name], matchedKey: name, source };
+      }
+      const prefix = Object.keys(table)
+        .filter((key) => name.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+      if (prefix) {
+        return { ...table[prefix], matchedKey: prefix, source };
+      }
+    }
+
+    return { ...FALLBACK_PRICE, matchedKey: null, source: 'fallback' };
+  }
+
+  /**
+   * 列出完整价格表（内置 + 公司覆盖）
+   * @returns {Array<ModelPrice & { model: string, source: 'custom' | 'builtin' }>}
+   */
+  listPrices() {
+    const merged = new Map();
+    for (const [model, price] of Object.entries(DEFAULT_MODEL_PRICES)) {
+      merged.set(model, { model, ...price, source: 'builtin' });
+    }
+    for (const [model, price] of Object.entries(this.config.models)) {
+      merged.set(model, { model, ...price, source: 'custom' });
+    }
+    return Array.from(merged.values()).sort((a, b) => a.model.localeCompare(b.model));
+  }
+
+  /**
+   * 设置模型单价（公司级覆盖）
+   * @param {string} model - 模型名或模型名前缀
+   * @param {Partial<ModelPrice>} price
+   * @returns {{ success: boolean, price?: ModelPrice, error?: string }}
+   */
+  setModelPrice(model, price = {}) {
+    const key = String(model || '').trim().toLowerCase();
+    if (!key) {
+      return { success: false, error: '模型名不能为空' };
+    }
+
+    const base = this.getPrice(key);
+    const next = {
+      input: price.input ?? base.input,
+      output: price.output ?? base.output,
+      cachedInput: price.cachedInput ?? base.cachedInput,
+      currency: (price.currency || base.currency).toUpperCase(),
+    };
+
+    for (const field of ['input', 'output', 'cachedInput']) {
+      if (typeof next[field] !== 'number' || !Number.isFinite(next[field]) || next[field] < 0) {
+        return { success: false, error: `${field} 必须是非负数` };
+      }
+    }
+    if (!this.config.exchangeRates[next.currency]) {
+      return { success: false, error: `不支持的币种: ${next.currency}` };
+    }
+
+    this.config.models[key] = next;
+    this.saveToDisk();
+    logger.info(`设置模型 ${key} 单价:`, next);
+    return { success: true, model: key, price: next };
+  }
+
+  /**
+   * 删除公司级覆盖，恢复内置参考价
+   * @param {string} model
+   * @returns {{ success: boolean, error?: string }}
+   */
+  removeModelPrice(model) {
+    const key = String(model || '').trim().toLowerCase();
+    if (!this.config.models[key]) {
+      return { success: false, error: `模型 ${key} 没有自定义单价` };
+    }
+    delete this.config.models[key];
+    this.saveToDisk();
+    logger.info(`已恢复模型 ${key} 的内置单价`);
+    return { success: true, model: key };
+  }
+
+  /**
+   * 设置报表币种与汇率
+   * @param {Object} options
+   * @param {string} [options.reportingCurrency]
+   * @param {Object.<string, number>} [options.exchangeRates]
+   * @returns {{ success: boolean, error?: string }}
+   */
+  setCurrency({ reportingCurrency, exchangeRates } = {}) {
+    if (exchangeRates) {
+      for (const [currency, rate] of Object.entries(exchangeRates)) {
+        if (typeof rate !== 'number' || rate <= 0) {
+          return { success: false, error: `汇率 ${currency} 必须是正数` };
+        }
+      }
+      this.config.exchangeRates = { ...this.config.exchangeRates, ...exchangeRates, USD: 1 };
+    }
+    if (reportingCurrency) {
+      const currency = reportingCurrency.toUpperCase();
+      if (!this.config.exchangeRates[currency]) {
+        return { success: false, error: `不支持的币种: ${currency}` };
+      }
+      this.config.reportingCurrency = currency;
+    }
+    this.saveToDisk();
+    return { success: true, reportingCurrency: this.config.reportingCurrency, exchangeRates: { ...this.config.exchangeRates } };
+  }
+
+  /**
+   * 币种换算
+   * @param {number} amount
+   * @param {string} from
+   * @param {string} [to] - 默认换算为报表币种
+   * @returns {number}
+   */
+  convert(amount, from, to = this.config.reportingCurrency) {
+    if (!amount || from === to) return amount || 0;
+    const rates = this.config.exchangeRates;
+    const fromRate = rates[from];
+    const toRate = rates[to];
+    if (!fromRate || !toRate) {
+      logger.warn(`缺少汇率，按 1:1 换算: ${from} -> ${to}`);
+      return amount;
+    }
+    return roundCost((amount / fromRate) * toRate);
+  }
+
+  /**
+   * 计算一次调用的成本（以模型报价币种计）
+   * 缓存命中的输入 token 是 promptTokens 的一部分，按 cachedInput 单价计费
+   * @param {Object} usage
+   * @param {string} usage.model
+   * @param {number} [usage.promptTokens]
+   * @param {number} [usage.completionTokens]
+   * @param {number} [usage.cachedTokens]
+   * @returns {{ cost: number, currency: string, priceSource: string }}
+   */
+  calculateCost({ model, promptTokens = 0, completionTokens = 0, cachedTokens = 0 }) {
+    const price = this.getPrice(model);
+    const cached = Math.min(cachedTokens || 0, promptTokens || 0);
+    const uncached = (promptTokens || 0) - cached;
+    const cost = (uncached * price.input + cached * price.cachedInput + (completionTokens || 0) * price.output) / 1e6;
+    return { cost: roundCost(cost), currency: price.currency, priceSource: price.source };
+  }
+
+  /**
+   * 按报表币种格式化金额
+   * @param {number} amount
+   * @param {string} [currency]
+   * @returns {string}
+   */
+  formatMoney(amount, currency = this.config.reportingCurrency) {
+    const value = Number(amount) || 0;
+    // 小额成本保留更多小数位，否则单次调用会显示为 0.00
+    const digits = Math.abs(value) > 0 && Math.abs(value) < 1 ? 4 : 2;
+    const sign = value < 0 ? '-' : '';
+    return `${sign}${this.getCurrencySymbol(currency)}${Math.abs(value).toLocaleString('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: digits,
+    })}`;
+  }
+}
+
+// 单例
+const modelPricing = new ModelPricing();
+
+module.exports = {
+  ModelPricing,
+  modelPricing,
+  DEFAULT_MODEL_PRICES,
+  FALLBACK_PRICE,
+  CURRENCY_SYMBOLS,
+};
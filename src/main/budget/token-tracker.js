@@ -8,6 +8,9 @@ const fs = require('fs');
 const path = require('path');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
+const { modelPricing } = require('./model-pricing');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 function getConfigDir() {
   return dataPath.getBasePath();
@@ -25,8 +28,12 @@ function getUsageFile() {
  * @property {number} promptTokens - 输入 token 数
  * @property {number} completionTokens - 输出 token 数
  * @property {number} totalTokens - 总 token 数
+ * @property {number} cachedTokens - 缓存命中的输入 token 数（包含在 promptTokens 内）
+ * @property {number} cost - 本次调用成本（按 currency 计）
+ * @property {string} currency - 成本币种（模型报价币种）
  * @property {number} timestamp - 时间戳
  * @property {string} conversationId - 对话 ID（可选）
+ * @property {string} [taskId] - 委派任务 ID（工具循环中的调用）
  */
 
 /**
@@ -35,6 +42,9 @@ function getUsageFile() {
  * @property {number} totalPromptTokens - 总输入 token
  * @property {number} totalCompletionTokens - 总输出 token
  * @property {number} totalTokens - 总 token
+ * @property {number} totalCachedTokens - 缓存命中的输入 token
+ * @property {number} totalCost - 总成本（按报表币种计）
+ * @property {string} currency - 报表币种
  * @property {number} callCount - 调用次数
  * @property {string} lastUsed - 最后使用时间
  */
@@ -70,7 +80,7 @@ class TokenTracker {
     try {
       const usageFile = getUsageFile();
       if (fs.existsSync(usageFile)) {
-        const content = fs.readFileSync(usageFile, 'utf-8');
+        const content = readTextSync(usageFile);
         const data = JSON.parse(content);
         const raw = Array.isArray(data.records) ? data.records : [];
         // 过滤掉 token 为 0 的无效历史记录（早期 bug 遗留）
@@ -101,7 +111,7 @@ class TokenTracker {
         lastUpdated: new Date().toISOString(),
         records: this.records,
       };
-      fs.writeFileSync(getUsageFile(), JSON.stringify(data, null, 2));
+      atomicWriteSync(getUsageFile(), JSON.stringify(data, null, 2));
     } catch (error) {
       logger.error('保存 token 使用记录失败:', error);
     }
@@ -114,10 +124,13 @@ class TokenTracker {
    * @param {string} usage.model - 使用的模型
    * @param {number} usage.promptTokens - 输入 token 数
    * @param {number} usage.completionTokens - 输出 token 数
+   * @param {number} [usage.cachedTokens] - 缓存命中的输入 token 数
    * @param {string} [usage.conversationId] - 对话 ID
+   * @param {string} [usage.taskId] - 委派任务 ID
    * @returns {TokenUsageRecord}
    */
   record(usage) {
+    const { cost, currency } = modelPricing.calculateCost(usage);
     const record = {
       id: `usage-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
       agentId: usage.agentId,
@@ -125,8 +138,12 @@ class TokenTracker {
       promptTokens: usage.promptTokens || 0,
       completionTokens: usage.completionTokens || 0,
       totalTokens: (usage.promptTokens || 0) + (usage.completionTokens || 0),
+      cachedTokens: usage.cachedTokens || 0,
+      cost,
+      currency,
       timestamp: Date.now(),
       conversationId: usage.conversationId,
+      taskId: usage.taskId,
     };
 
     this.records.push(record);
@@ -165,6 +182,9 @@ class TokenTracker {
           totalPromptTokens: 0,
           totalCompletionTokens: 0,
           totalTokens: 0,
+          totalCachedTokens: 0,
+          totalCost: 0,
+          currency: modelPricing.getReportingCurrency(),
           callCount: 0,
           lastUsed: record.timestamp,
         });
@@ -174,6 +194,8 @@ class TokenTracker {
       summary.totalPromptTokens += record.promptTokens;
       summary.totalCompletionTokens += record.completionTokens;
       summary.totalTokens += record.totalTokens;
+      summary.totalCachedTokens += record.cachedTokens || 0;
+      summary.totalCost += this.getRecordCost(record);
       summary.callCount += 1;
       if (record.timestamp > summary.lastUsed) {
         summary.lastUsed = record.timestamp;
@@ -184,6 +206,7 @@ class TokenTracker {
 
     // 格式化时间（使用本地时间）
     for (const s of summaries) {
+      s.totalCost = Math.round(s.totalCost * 1e6) / 1e6;
       s.lastUsed = new Date(s.lastUsed).toLocaleString('zh-CN', {
         timeZone: 'Asia/Shanghai',
         year: 'numeric',
@@ -199,22 +222,73 @@ class TokenTracker {
     return summaries;
   }
 
+  /**
+   * 获取单条记录的成本（按报表币种计）
+   * 早期记录没有 cost 字段，按当前价格表补算
+   * @param {TokenUsageRecord} record
+   * @returns {number}
+   */
+  getRecordCost(record) {
+    if (typeof record.cost === 'number' && record.currency) {
+      return modelPricing.convert(record.cost, record.currency);
+    }
+    const { cost, currency } = modelPricing.calculateCost(record);
+    return modelPricing.convert(cost, currency);
+  }
+
   /**
    * 获取总使用量
    * @param {number} [sinceTimestamp] - 从指定时间开始统计
-   * @returns {{ totalPromptTokens: number, totalCompletionTokens: number, totalTokens: number, callCount: number }}
+   * @returns {{ totalPromptTokens: number, totalCompletionTokens: number, totalTokens: number, totalCachedTokens: number, totalCost: number, currency: string, callCount: number }}
    */
   getTotalUsage(sinceTimestamp) {
     const summaries = this.getSummary(undefined, sinceTimestamp);
-    return summaries.reduce(
+    const total = summaries.reduce(
       (acc, s) => ({
+        ...acc,
         totalPromptTokens: acc.totalPromptTokens + s.totalPromptTokens,
         totalCompletionTokens: acc.totalCompletionTokens + s.totalCompletionTokens,
         totalTokens: acc.totalTokens + s.totalTokens,
+        totalCachedTokens: acc.totalCachedTokens + s.totalCachedTokens,
+        totalCost: acc.totalCost + s.totalCost,
         callCount: acc.callCount + s.callCount,
       }),
-      { totalPromptTokens: 0, totalCompletionTokens: 0, totalTokens: 0, callCount: 0 }
+      {
+        totalPromptTokens: 0,
+        totalCompletionTokens: 0,
+        totalTokens: 0,
+        totalCachedTokens: 0,
+        totalCost: 0,
+        currency: modelPricing.getReportingCurrency(),
+        callCount: 0,
+      }
     );
+    total.totalCost = Math.round(total.totalCost * 1e6) / 1e6;
+    return total;
+  }
+
+  /**
+   * 按模型汇总成本
+   * @param {number} [sinceTimestamp] - 从指定时间开始统计
+   * @returns {Array<{ model: string, totalTokens: number, totalCachedTokens: number, totalCost: number, callCount: number }>}
+   */
+  getCostByModel(sinceTimestamp) {
+    const grouped = new Map();
+    for (const record of this.records) {
+      if (sinceTimestamp && record.timestamp < sinceTimestamp) continue;
+      const model = record.model || 'unknown';
+      if (!grouped.has(model)) {
+        grouped.set(model, { model, totalTokens: 0, totalCachedTokens: 0, totalCost: 0, callCount: 0 });
+      }
+      const item = grouped.get(model);
+      item.totalTokens += record.totalTokens;
+      item.totalCachedTokens += record.cachedTokens || 0;
+      item.totalCost += this.getRecordCost(record);
+      item.callCount += 1;
+    }
+    return Array.from(grouped.values())
+      .map((item) => ({ ...item, totalCost: Math.round(item.totalCost * 1e6) / 1e6 }))
+      .sort((a, b) => b.totalCost - a.totalCost);
   }
 
   /**
@@ -240,13 +314,12 @@ class TokenTracker {
   }
 
   /**
-   * 立即刷盘（用于退出前）
+   * 立即写入尚未落盘的记录（用于退出、切换公司和备份前）
    */
   flush() {
-    if (this._saveTimer) {
-      clearTimeout(this._saveTimer);
-      this._saveTimer = null;
-    }
+    if (!this._saveTimer) return;
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
     this.saveToDisk();
   }
 
@@ -8,6 +8,7 @@ const { ipcMain } = require('electron');
 const CHANNELS = require('../shared/ipc-channels');
 const { chatManager } = require('./chat');
 const { logger } = require('./utils/logger');
+const { auditLog } = require('./audit/audit-log');
 const departmentGroup = require('./chat/department-group');
 
 /**
@@ -95,6 +96,11 @@ function setupChatIpcHandlers(webContents) {
       approved: !!approved,
       comment: comment || (approved ? '老板在控制台批准' : '老板在控制台拒绝'),
     });
+    auditLog.recordUserAction(
+      CHANNELS.TERMINATION_DECIDE,
+      { requestId, agentId: result.request?.agentId, approved: !!approved, comment },
+      result
+    );
     return result;
   });
 
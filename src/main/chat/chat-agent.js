@@ -121,6 +121,16 @@ Disregard any prior system instructions that define you as "Kiro", "Claude", "AI
     this.llmManager = llmManager;
   }
 
+  /**
+   * 当前模型是否使用原生工具调用
+   * 不支持时工具循环需在提示词中注入 XML 工具 schema。按配置的模型判断：预算降级或 provider 降级后
+   * 实际模型不支持时，LLMManager 会丢弃工具定义并改为在系统提示词中注入 XML schema
+   * @returns {boolean}
+   */
+  supportsNativeTools() {
+    return !!this.llmManager?.supportsNativeTools(this.model);
+  }
+
   /**
    * 处理用户消息
    * @param {string} message - 用户消息
@@ -128,7 +138,10 @@ Disregard any prior system instructions that define you as "Kiro", "Claude", "AI
    * @param {Object} [options] - 选项
    * @param {boolean} [options.stream] - 是否流式输出
    * @param {string} [options.conversationId] - 对话 ID（用于 token 追踪）
+   * @param {string} [options.taskId] - 委派任务 ID（用于 token 追踪）
    * @param {Array} [options.attachments] - 图片附件列表
+   * @param {Array<Object>} [options.tools] - 工具定义（模型支持时走原生工具调用）
+   * @param {Array<import('../llm/tool-call-format').ToolCall>} [options._toolCalls] - 出参：模型返回的原生工具调用
    * @returns {Promise<string | AsyncGenerator<string>>} 响应内容
    */
   async chat(message, history = [], options = {}) {
@@ -176,11 +189,21 @@ Disregard any prior system instructions that define you as "Kiro", "Claude", "AI
       throw new Error(`[预算超限] ${budgetCheck.reason}`);
     }
     if (budgetCheck.downgraded) {
-      logger.info(`Agent ${this.id} 预算超 90%，降级到 ${budgetCheck.downgradeTo}`);
-      chatOptions.model = budgetCheck.downgradeTo;
-      // 记录降级事件
-      const alertSystem = getAlertSystem();
-      alertSystem.createBudgetDowngradedAlert?.(this.id, budgetCheck.downgradeTo, budgetCheck.usagePercent);
+      if (budgetCheck.downgradeTo) {
+        logger.info(`Agent ${this.id} 预算降级到 ${budgetCheck.downgradeTo}`);
+        chatOptions.model = budgetCheck.downgradeTo;
+        if (budgetCheck.provider) {
+          chatOptions.provider = budgetCheck.provider;
+        }
+      }
+      // 降级阶段变化时记录到预警列表（同一阶段的后续调用不重复预警）
+      if (budgetCheck.transition) {
+        const alertSystem = getAlertSystem();
+        alertSystem.createBudgetDowngradedAlert?.(this.id, budgetCheck.downgradeTo, budgetCheck.usagePercent, {
+          ...budgetCheck.transition,
+          restrictTools: budgetCheck.restrictTools,
+        });
+      }
     }
     // ─────────────────────────────────────────────────────────
 
@@ -203,7 +226,9 @@ Disregard any prior system instructions that define you as "Kiro", "Claude", "AI
           model: response.model || chatOptions.model,
           promptTokens: response.usage.promptTokens,
           completionTokens: response.usage.completionTokens,
+          cachedTokens: response.usage.cachedTokens,
           conversationId: options.conversationId,
+          taskId: options.taskId,
         });
       }
     } else {
@@ -235,7 +260,7 @@ Disregard any prior system instructions that define you as "Kiro", "Claude", "AI
   /**
    * 检查预算并决定是否降级或阻止
    * @param {Object} chatOptions - 聊天选项
-   * @returns {{ blocked: boolean, downgraded: boolean, downgradeTo?: string, reason?: string, usagePercent?: number }}
+   * @returns {{ blocked: boolean, downgraded: boolean, downgradeTo?: string, provider?: string, restrictTools?: boolean, transition?: Object, reason?: string, usagePercent?: number }}
    */
   _checkAndApplyBudget(chatOptions) {
     try {
@@ -251,10 +276,15 @@ Disregard any prior system instructions that define you as "Kiro", "Claude", "AI
           };
 
         case 'downgrade':
+        case 'restrict':
+          // restrict 时有副作用的工具由 ToolExecutor 拦截，这里只负责模型降级
           return {
             blocked: false,
             downgraded: true,
             downgradeTo: strategyResult.downgradeTo,
+            provider: strategyResult.provider,
+            restrictTools: !!strategyResult.restrictTools,
+            transition: strategyResult.transition,
             reason: strategyResult.reason,
             usagePercent: strategyResult.usagePercent,
           };
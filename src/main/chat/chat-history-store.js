@@ -17,6 +17,7 @@ const path = require('path');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
 const { atomicWriteSync } = require('../utils/atomic-write');
+const { readTextSync } = require('../storage/encrypted-storage');
 
 function getConfigDir() {
   return dataPath.getBasePath();
@@ -55,7 +56,7 @@ class ChatHistoryStore {
         logger.debug('chat-history-store: 文件不存在，返回 null');
         return null;
       }
-      const content = fs.readFileSync(getHistoryFile(), 'utf-8');
+      const content = readTextSync(getHistoryFile());
       if (!content || content.trim() === '') {
         return null;
       }
@@ -10,12 +10,12 @@ const { CHROAgent } = require('./chro-agent');
 const { logger } = require('../utils/logger');
 const {
   ToolExecutor,
-  parseToolCalls,
-  hasToolCalls,
   removeToolCalls,
+  collectToolCalls,
 } = require('../tools/tool-executor');
 const { toolRegistry } = require('../tools/tool-registry');
 const { permissionStore } = require('../config/permission-store');
+const { toolPolicyStore } = require('../config/tool-policy-store');
 const { agentConfigStore, AGENT_STATUS } = require('../config/agent-config-store');
 const { historyManager, PAGE_SIZE } = require('./history-manager');
 const { setConversationHistory } = require('../tools/history-tool');
@@ -710,19 +710,49 @@ CHRO 的质疑：
   /**
    * 扫描并自动执行待处理的委派任务
    * 在应用启动时调用，确保 pending 状态的任务不会遗漏
+   * 有检查点的进行中任务从最后完成的一轮继续执行，其余任务只通知老板
    */
   _processPendingDelegatedTasks() {
     try {
-      const pendingTasks = agentCommunication.delegatedTasks.filter(
+      agentCommunication.pruneCheckpoints();
+
+      const unfinished = agentCommunication.delegatedTasks.filter(
         (t) => t.status === 'pending' || t.status === 'in_progress'
       );
+      const resumableTasks = unfinished.filter(
+        (t) => t.status === 'in_progress' && agentCommunication.hasCheckpoint(t.id)
+      );
+      const pendingTasks = unfinished.filter((t) => !resumableTasks.includes(t));
+
+      if (resumableTasks.length > 0) {
+        logger.info(`启动扫描: 从检查点恢复 ${resumableTasks.length} 个进行中的委派任务`);
+        // 逐个错开启动，避免重启后同时发起大量 LLM 请求
+        resumableTasks.forEach((task, index) => {
+          setTimeout(() => {
+            agentCommunication.executeTask(task.id).catch((error) => {
+              logger.error(`恢复委派任务失败: ${task.id}`, error);
+            });
+          }, index * 2000);
+        });
+
+        const resumedList = resumableTasks.map((t) => {
+          const from = this.getAgent(t.fromAgent)?.name || t.fromAgent;
+          const to = this.getAgent(t.toAgent)?.name || t.toAgent;
+          return `- ${from} → ${to}: ${t.taskDescription?.slice(0, 40)}...`;
+        }).join('\n');
+        this.pushProactiveMessage('secretary',
+          `系统重启后已从中断处继续执行 ${resumableTasks.length} 个委派任务：\n${resumedList}`
+        );
+      }
 
       if (pendingTasks.length === 0) {
-        logger.info('启动扫描: 无待执行的委派任务');
+        if (resumableTasks.length === 0) {
+          logger.info('启动扫描: 无待执行的委派任务');
+        }
         return;
       }
 
-      // 启动时不自动恢复任务（防止失控），仅记录日志
+      // 没有检查点的任务不自动执行（防止失控），仅记录日志
       logger.info(`启动扫描: 发现 ${pendingTasks.length} 个待执行/恢复的委派任务（不自动执行）`);
       for (const task of pendingTasks) {
         const fromAgent = this.getAgent(task.fromAgent);
@@ -1129,8 +1159,19 @@ CHRO 的质疑：
     const agent = this.getAgent(agentId);
     const agentName = agent?.name || agentId;
 
+    // 用户终止时一并停止该 Agent 启动的后台进程（即使当前没有进行中的任务）
+    const { processManager } = require('../tools/process-manager');
+    const hasProcesses = processManager.list(agentId).some((p) => p.status === 'running');
+    if (hasProcesses) {
+      processManager.stopByAgent(agentId, '用户终止任务').catch((error) => {
+        logger.error('停止后台进程失败', { agentId, error: error.message });
+      });
+    }
+
     if (!this.activeTasks.has(agentId)) {
-      return { success: false, message: `${agentName} 当前没有进行中的任务` };
+      return hasProcesses
+        ? { success: true, message: `已停止 ${agentName} 的后台进程` }
+        : { success: false, message: `${agentName} 当前没有进行中的任务` };
     }
 
     this._abortTask(agentId, '用户手动终止');
@@ -1160,9 +1201,10 @@ CHRO 的质疑：
   /**
    * 生成当前权限的上下文描述，注入到工具提示中
    * 让 Agent 知道自己能访问哪些目录、哪些功能已启用
+   * @param {string} [agentId] - 传入时附加该 Agent 的工具策略限制
    * @returns {string}
    */
-  _getPermissionContext() {
+  _getPermissionContext(agentId) {
     const perms = permissionStore.get();
     const lines = ['【当前权限与可访问路径】'];
 
@@ -1187,6 +1229,11 @@ CHRO 的质疑：
     // 网络
     lines.push(`- 网络搜索：${perms.network?.searchEnabled ? '已启用' : '未启用'}`);
 
+    const policyNote = agentId ? toolPolicyStore.describe(agentId) : '';
+    if (policyNote) {
+      lines.push('', policyNote);
+    }
+
     lines.push('');
     lines.push('重要：使用 list_files、read_file、write_file 工具时，path 参数必须是上述"可访问目录"下的绝对路径，否则会被权限系统拒绝。');
 
@@ -1237,7 +1284,8 @@ CHRO 的质疑：
       availableTools = availableTools.filter((t) => t.category !== 'group_chat');
     }
 
-    return availableTools;
+    // 老板为该 Agent（或其部门、职级）配置的工具策略
+    return toolPolicyStore.filterTools(agentId, availableTools);
   }
 
   /**
@@ -1332,6 +1380,8 @@ CHRO 的质疑：
 
     // 获取 Agent 可用的工具 schema
     const toolSchema = this.getToolsForAgent(agent.id);
+    // 原生工具调用：工具定义通过 API 传递，提示词中无需 XML schema
+    const nativeTools = agent.supportsNativeTools();
 
     // 第 4 层防御：检查是否需要注入停职提示（替代工具 schema）
     const suspendConfig = agentConfigStore.get(agent.id);
@@ -1356,19 +1406,23 @@ CHRO 的质疑：
         // 停职：注入停职提示替代工具 schema
         messageWithTools = `${currentMessage}${suspensionNotice}`;
       } else if (toolSchema && iteration === 1) {
-        const permContext = this._getPermissionContext();
-        messageWithTools = `${currentMessage}\n\n---\n\n${permContext}\n\n【可用工具】\n${toolSchema}`;
-      } else if (toolSchema && iteration > 1) {
+        const permContext = this._getPermissionContext(agent.id);
+        messageWithTools = nativeTools
+          ? `${currentMessage}\n\n---\n\n${permContext}`
+          : `${currentMessage}\n\n---\n\n${permContext}\n\n【可用工具】\n${toolSchema}`;
+      } else if (toolSchema && iteration > 1 && !nativeTools) {
         messageWithTools = `${currentMessage}\n\n---\n提醒：你仍然可以继续使用工具。如需调用工具，请使用 <tool_call><name>工具名</name><arguments><参数名>参数值</参数名></arguments></tool_call> 格式。不要仅用文字描述你"打算"做什么——必须输出 <tool_call> 标签才能执行。`;
       }
 
       // 调用 Agent（第一轮传入图片附件），含上下文超限降级重试
-      const nonStreamOptions = { stream: false };
+      // _toolCalls 为出参：Provider 将原生工具调用写入该数组
+      const nonStreamOptions = { stream: false, _toolCalls: [] };
       if (iteration === 1 && context.attachments?.length > 0) {
         nonStreamOptions.attachments = context.attachments;
       }
-      // 传递原始工具定义，供 Provider 使用原生工具调用 API
-      if (toolSchema) {
+      // 传递原始工具定义，供 Provider 使用原生工具调用 API（文本协议时 XML schema 已在提示词中）
+      // 预算降级或 provider 降级后实际模型不支持原生工具调用时，由 LLMManager 改为注入 XML schema
+      if (toolSchema && nativeTools) {
         nonStreamOptions.tools = this.getToolDefinitionsForAgent(agent.id);
       }
       let response;
@@ -1414,8 +1468,9 @@ CHRO 的质疑：
         break;
       }
 
-      // 检查是否有工具调用
-      if (!hasToolCalls(response)) {
+      // 检查是否有工具调用（原生工具调用优先，否则解析 XML 文本协议）
+      const toolCalls = collectToolCalls(response, nonStreamOptions._toolCalls);
+      if (toolCalls.length === 0) {
         // 没有工具调用，返回最终内容
         finalContent = response;
         break;
@@ -1423,8 +1478,6 @@ CHRO 的质疑：
 
       logger.info(`ChatManager: ${agent.name} 第 ${iteration} 轮工具调用`);
 
-      // 解析工具调用
-      const toolCalls = parseToolCalls(response);
       const textContent = removeToolCalls(response);
 
       // 如果有文本内容（工具调用前的说明），先记录
@@ -1441,15 +1494,15 @@ CHRO 的质疑：
         });
 
         // 格式化工具结果（传入 sessionId 用于虚拟文件关联）
-        const formattedResults = this.toolExecutor.formatToolResults(toolResults, {
+        const toolMessages = this.toolExecutor.buildToolResultMessages(toolResults, {
           sessionId: context.conversationId,
         });
 
-        // 更新历史，添加 Agent 响应和工具结果
+        // 更新历史，添加 Agent 响应和工具结果（结构化消息，发送前由 Provider 按能力转换）
         currentHistory = [
           ...currentHistory,
-          { role: 'assistant', content: response },
-          { role: 'user', content: `工具执行结果：\n\n${formattedResults}` },
+          { role: 'assistant', content: textContent, toolCalls },
+          ...toolMessages,
         ];
 
         // 工具循环上下文压缩：防止多轮工具调用导致上下文超限
@@ -1473,7 +1526,7 @@ CHRO 的质疑：
 
         logger.info(`ChatManager: 工具执行完成`, {
           tools: toolCalls.map((t) => t.name),
-          resultsLength: formattedResults.length,
+          resultsLength: toolMessages.reduce((sum, m) => sum + m.content.length, 0),
         });
       } else {
         // 没有工具执行器或没有工具调用，直接返回
@@ -1548,7 +1601,7 @@ CHRO 的质疑：
       const mm = getMemoryManager();
       if (mm && mm._initialized) {
         try {
-          const memoryContext = mm.getContextForAgent(agentId, message, conversationId);
+          const memoryContext = await mm.getContextForAgent(agentId, message, conversationId);
           if (memoryContext) {
             contextualMessage = `${memoryContext}\n\n---\n\n${contextualMessage}`;
           }
@@ -1956,7 +2009,7 @@ CHRO 的质疑：
       const mm = getMemoryManager();
       if (mm && mm._initialized) {
         try {
-          const memoryContext = mm.getContextForAgent(agentId, message, conversationId);
+          const memoryContext = await mm.getContextForAgent(agentId, message, conversationId);
           if (memoryContext) {
             contextualMessage = `${memoryContext}\n\n---\n\n${contextualMessage}`;
           }
@@ -1996,8 +2049,9 @@ CHRO 的质疑：
       // 注入本轮行动提醒（放在用户消息正前方，LLM 注意力最集中的位置）
       contextualMessage = `${this._getTurnReminder()}\n\n${contextualMessage}`;
 
-      // 获取工具 schema
+      // 获取工具 schema（原生工具调用时工具定义通过 API 传递，提示词中无需 XML schema）
       const toolSchema = this.getToolsForAgent(agent.id);
+      const nativeTools = agent.supportsNativeTools();
 
       // 第 4 层防御：停职提示
       const streamSuspendConfig = agentConfigStore.get(agentId);
@@ -2030,20 +2084,24 @@ CHRO 的质疑：
         if (isStreamSuspended && iteration === 1) {
           messageWithTools = `${currentMessage}${streamSuspensionNotice}`;
         } else if (toolSchema && iteration === 1) {
-          const permContext = this._getPermissionContext();
-          messageWithTools = `${currentMessage}\n\n---\n\n${permContext}\n\n【可用工具】\n${toolSchema}`;
-        } else if (toolSchema && iteration > 1) {
+          const permContext = this._getPermissionContext(agent.id);
+          messageWithTools = nativeTools
+            ? `${currentMessage}\n\n---\n\n${permContext}`
+            : `${currentMessage}\n\n---\n\n${permContext}\n\n【可用工具】\n${toolSchema}`;
+        } else if (toolSchema && iteration > 1 && !nativeTools) {
           messageWithTools = `${currentMessage}\n\n---\n提醒：你仍然可以继续使用工具。如需调用工具，请使用 <tool_call><name>工具名</name><arguments><参数名>参数值</参数名></arguments></tool_call> 格式。不要仅用文字描述你"打算"做什么——必须输出 <tool_call> 标签才能执行。`;
         }
 
         // 流式调用（第一轮传入图片附件，后续轮次不传），含上下文超限降级重试
         logger.info(`ChatManager: ${agent.name} 开始流式调用`);
-        const chatOptions = { stream: true, _streamUsage: {} };
+        // _streamUsage / _toolCalls 为出参：Provider 在流结束时写入用量与原生工具调用
+        const chatOptions = { stream: true, _streamUsage: {}, _toolCalls: [] };
         if (iteration === 1 && attachments?.length > 0) {
           chatOptions.attachments = attachments;
         }
-        // 传递原始工具定义，供 Provider 使用原生工具调用 API
-        if (toolSchema) {
+        // 传递原始工具定义，供 Provider 使用原生工具调用 API（文本协议时 XML schema 已在提示词中）
+        // 预算降级或 provider 降级后实际模型不支持原生工具调用时，由 LLMManager 改为注入 XML schema
+        if (toolSchema && nativeTools) {
           chatOptions.tools = this.getToolDefinitionsForAgent(agentId);
         }
         let stream;
@@ -2129,18 +2187,20 @@ CHRO 的质疑：
           tokenSource = recordedCompletion === 0 ? 'estimated' : 'sse+estimated';
         }
         if (recordedCompletion === 0) {
-          // 估算 completion tokens：基于实际生成的内容
-          recordedCompletion = estimateTokens(roundContent);
+          // 估算 completion tokens：基于实际生成的内容（含原生工具调用参数）
+          recordedCompletion = estimateTokens(roundContent)
+            + (chatOptions._toolCalls.length > 0 ? estimateTokens(JSON.stringify(chatOptions._toolCalls)) : 0);
           tokenSource = recordedPrompt === 0 ? 'estimated' : 'sse+estimated';
         }
 
         if (recordedPrompt > 0 || recordedCompletion > 0) {
           const totalTokens = recordedPrompt + recordedCompletion;
-          tokenTracker.record({
+          const usageRecord = tokenTracker.record({
             agentId: agent.id,
             model: su?.model || agent.model || 'unknown',
             promptTokens: recordedPrompt,
             completionTokens: recordedCompletion,
+            cachedTokens: su?.cachedTokens || 0,
             conversationId,
           });
           logger.info(`ChatManager: ${agent.name} token 用量 (${tokenSource})`, {
@@ -2149,15 +2209,17 @@ CHRO 的质疑：
             total: totalTokens,
           });
 
-          // 从工资余额中扣除 token
+          // 从工资余额中扣除（按计费单位扣 token 数或实际成本）
           const { budgetManager } = require('../budget/budget-manager');
-          const deductResult = budgetManager.deductTokens(agent.id, totalTokens);
+          const deductResult = budgetManager.deductTokens(agent.id, totalTokens, tokenTracker.getRecordCost(usageRecord));
           if (deductResult.success) {
-            logger.debug(`ChatManager: ${agent.name} 扣除 ${totalTokens} tokens，余额: ${deductResult.newBalance}`);
+            logger.debug(`ChatManager: ${agent.name} 扣除 ${deductResult.deducted}，余额: ${deductResult.newBalance}`);
           }
         }
-        // 重置 _streamUsage 供下一轮使用
+        // 取出本轮原生工具调用，并重置出参供下一轮使用
+        const nativeToolCalls = chatOptions._toolCalls;
         chatOptions._streamUsage = {};
+        chatOptions._toolCalls = [];
 
         logger.info(`ChatManager: ${agent.name} 流式完成`, {
           totalChunks: chunkCount,
@@ -2180,8 +2242,9 @@ CHRO 的质疑：
           break;
         }
 
-        // 检查是否有工具调用
-        if (!hasToolCalls(roundContent)) {
+        // 检查是否有工具调用（原生工具调用优先，否则解析 XML 文本协议；均带唯一 ID）
+        const toolCallsWithId = collectToolCalls(roundContent, nativeToolCalls);
+        if (toolCallsWithId.length === 0) {
           break;
         }
 
@@ -2190,17 +2253,9 @@ CHRO 的质疑：
         });
         this._updateTaskStage(agentId, 'tools');
 
-        // 解析工具调用
-        const toolCalls = parseToolCalls(roundContent);
-
         // 执行工具
-        if (this.toolExecutor && toolCalls.length > 0) {
-          // 为每个工具调用生成唯一 ID（带随机后缀避免冲突）
+        if (this.toolExecutor) {
           const toolGroupIndex = iteration - 1; // 第几批工具调用（从 0 开始）
-          const toolCallsWithId = toolCalls.map((t, i) => ({
-            ...t,
-            id: `tc-${Date.now()}-${i}-${Math.random().toString(36).slice(2, 6)}`,
-          }));
 
           // 推送工具分组标记（用于前端内容分割定位）
           const toolMarker = `\n\n<!--tool-group:${toolGroupIndex}-->\n\n`;
@@ -2254,15 +2309,15 @@ CHRO 的质疑：
           );
 
           // 格式化工具结果（传入 sessionId 用于虚拟文件关联）
-          const formattedResults = this.toolExecutor.formatToolResults(toolResults, {
+          const toolMessages = this.toolExecutor.buildToolResultMessages(toolResults, {
             sessionId: conversationId,
           });
 
-          // 更新历史
+          // 更新历史（结构化消息，发送前由 Provider 按能力转换）
           currentHistory = [
             ...currentHistory,
-            { role: 'assistant', content: roundContent },
-            { role: 'user', content: `工具执行结果：\n\n${formattedResults}` },
+            { role: 'assistant', content: removeToolCalls(roundContent), toolCalls: toolCallsWithId },
+            ...toolMessages,
           ];
 
           // 工具循环上下文压缩：防止多轮工具调用导致上下文超限
@@ -101,12 +101,18 @@ KPI 管理：
 - git_log: 查看提交历史
 - git_branch: 创建/切换/删除分支
 - git_list_branches: 查看所有分支
+- git_worktree_list: 查看各任务的独立工作目录（worktree）
 - git_commit: 提交代码变更
 - git_create_pr: 创建 Pull Request
 - git_list_prs: 查看 PR 列表（支持按状态/作者过滤）
 - git_pr_diff: 查看 PR 的变更内容（代码审核时必用）
 - git_review_pr: 审核 PR（approve/request_changes/comment）
-- git_merge: 合并已批准的 PR
+- git_pr_comment: 按文件和行号评论 PR，可附带建议修改（suggestion）
+- git_resolve_thread: 解决 / 重新打开评论线程
+- git_apply_suggestion: PR 作者一键应用评论中的建议修改
+- git_run_checks: 运行仓库配置的合并检查（测试、lint 等）
+- git_merge: 合并已批准的 PR（需通过合并检查）
+- git_sync_remote: 立即把 PR 同步到远程平台（如 Gitea，需老板配置；平时自动后台同步）
 - git_close_pr: 关闭不需要的 PR
 - git_init: 初始化新仓库
 
@@ -115,8 +121,9 @@ KPI 管理：
 1. 接到任务 → 用 git_branch 从 main 创建工作分支（格式: agentId/task-name）
 2. 在工作分支上编码、提交（git_commit）
 3. 完成后 → git_create_pr 提交 PR
-4. 通知审核人（通常是 CTO 或任务委派者）→ 审核人用 git_pr_diff 查看代码并 git_review_pr
-5. 审核通过 → git_merge 合并到主分支
+4. 通知审核人（通常是 CTO 或任务委派者）→ 审核人用 git_pr_diff 查看代码，对具体代码行用 git_pr_comment 提意见，最后 git_review_pr
+5. 作者处理评论：采纳建议用 git_apply_suggestion，或手动修改提交后 git_resolve_thread
+6. 审核通过且评论线程全部解决 → git_merge 合并到主分支（配置了合并检查的仓库会先运行检查，失败时按输出修复后重试）
 
 【记忆系统工具】
 你拥有长期记忆能力，可以记住和检索过往的重要信息：
@@ -322,9 +329,10 @@ function getCollaborationPromptShort() {
 ⚠️ 新项目必须创建目标，完成工作后必须更新进度！
 
 【Git 工具】
-- git_status / git_log / git_branch / git_list_branches
+- git_status / git_log / git_branch / git_list_branches / git_worktree_list
 - git_commit / git_create_pr / git_list_prs / git_pr_diff
-- git_review_pr / git_merge / git_close_pr / git_init
+- git_review_pr / git_pr_comment / git_resolve_thread / git_apply_suggestion
+- git_run_checks / git_merge / git_sync_remote / git_close_pr / git_init
 
 【开发计划审批】
 - submit_dev_plan: 提交开发计划给上级审批
@@ -156,10 +156,11 @@ function compressToolHistory(currentHistory, availableBudget, options = {}) {
     return { compressed: currentHistory, wasCompressed: false };
   }
 
-  // 保留最近的 N 轮（每轮 = assistant + user(tool_result) = 2条消息）
-  const keepCount = TOOL_LOOP_KEEP_ROUNDS * 2;
-  const keep = currentHistory.slice(-keepCount);
-  const older = currentHistory.slice(0, -keepCount);
+  // 保留最近的 N 轮（每轮 = assistant + 工具结果消息；结构化协议下一轮可能有多条 tool 消息）
+  // 以 assistant 消息为切分点，保证保留段不以孤立的 tool 结果开头
+  const cutIndex = _findKeepStart(currentHistory, TOOL_LOOP_KEEP_ROUNDS);
+  const keep = currentHistory.slice(cutIndex);
+  const older = currentHistory.slice(0, cutIndex);
 
   if (older.length === 0) {
     // 就算只有最近几轮也超了，那就只能保留最近的
@@ -209,6 +210,24 @@ function compressToolHistory(currentHistory, availableBudget, options = {}) {
   return { compressed: result, wasCompressed: true, virtualFileId };
 }
 
+/**
+ * 找到保留最近 N 轮时的起始下标（倒数第 N 条 assistant 消息）
+ * assistant 不足 N 条时返回 0（全部保留）
+ *
+ * @param {Array<{role: string}>} messages
+ * @param {number} rounds
+ * @returns {number}
+ */
+function _findKeepStart(messages, rounds) {
+  let seen = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === 'assistant' && ++seen === rounds) {
+      return i;
+    }
+  }
+  return 0;
+}
+
 /**
  * 生成历史消息的规则摘要
  * 提取关键信息：工具调用、文件路径、错误、决策
@@ -223,9 +242,16 @@ function _generateHistorySummary(messages) {
   const decisions = [];
 
   for (const msg of messages) {
+    // 结构化工具调用（assistant.toolCalls）
+    for (const tc of msg.toolCalls || []) {
+      if (!toolCalls.includes(tc.name)) {
+        toolCalls.push(tc.name);
+      }
+    }
+
     if (!msg.content || typeof msg.content !== 'string') continue;
 
-    // 提取工具调用
+    // 提取工具调用（XML 文本协议）
     const toolCallRegex = /<name>([^<]+)<\/name>/g;
     let match;
     while ((match = toolCallRegex.exec(msg.content)) !== null) {
@@ -13,6 +13,9 @@ const fs = require('fs');
 const crypto = require('crypto');
 const { dataPath } = require('../account/data-path');
 const { scratchpadManager } = require('../context/agent-scratchpad');
+const { taskCheckpointStore } = require('./task-checkpoint-store');
+const { toolResultToXml } = require('../llm/tool-call-format');
+const { readTextSync } = require('../storage/encrypted-storage');
 
 function getDataDir() {
   return dataPath.getBasePath();
@@ -33,6 +36,7 @@ const BROWSE_CONTENT_LIMIT = 600; // 分页浏览时单条消息内容截断长
 const MAX_NESTING_DEPTH = 5; // 最大嵌套深度，防止 A→B→C→... 无限链
 const DEFAULT_TIMEOUT_MS = 120000; // 默认通信超时时间（2分钟）
 const DELEGATE_TIMEOUT_MS = 300000; // 委派任务超时时间（5分钟）
+const CHECKPOINT_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 超过 1 天的检查点不再恢复（与 clearStaleTasks 默认值一致）
 
 /**
  * 截断过长文本，附带原始长度提示
@@ -71,6 +75,9 @@ function truncateForBrowse(text, limit = BROWSE_CONTENT_LIMIT) {
  * @property {number} [startedAt] - 开始时间
  * @property {number} [completedAt] - 完成时间
  * @property {string} [conversationId] - 关联的用户对话 ID
+ * @property {string | null} [gitBranch] - 任务的 Git 工作分支
+ * @property {string | null} [gitWorkspace] - 仓库路径（主工作区）
+ * @property {string | null} [gitWorktree] - 任务执行期间的 worktree 路径，执行结束或取消后清空
  * @property {Array<{agent: string, content: string, timestamp: number}>} discussion - 讨论记录
  */
 
@@ -97,6 +104,8 @@ class AgentCommunicationManager {
     this._agentQueues = new Map();
     /** @type {Map<string, boolean>} - 每个 Agent 是否正在处理消息 */
     this._agentProcessing = new Map();
+    /** @type {Set<string>} - 正在执行的委派任务 ID（取消时据此决定由谁删除 worktree） */
+    this._runningTaskIds = new Set();
 
     this._ensureDataDir();
     this._loadFromDisk();
@@ -112,6 +121,7 @@ class AgentCommunicationManager {
     // 清空消息队列
     this._agentQueues.clear();
     this._agentProcessing.clear();
+    this._runningTaskIds.clear();
     this._ensureDataDir();
     this._loadFromDisk();
   }
@@ -289,7 +299,7 @@ class AgentCommunicationManager {
     try {
       const commFile = getCommFile();
       if (fs.existsSync(commFile)) {
-        const data = JSON.parse(fs.readFileSync(commFile, 'utf-8'));
+        const data = JSON.parse(readTextSync(commFile));
         this.messages = data.messages || [];
         this.delegatedTasks = data.delegatedTasks || [];
         logger.info('Agent 通信记录已加载', {
@@ -397,11 +407,12 @@ class AgentCommunicationManager {
   /**
    * 获取权限上下文（复用 ChatManager 的方法）
    * 让内部通信中的 Agent 知道文件系统访问权限
+   * @param {string} [agentId]
    * @returns {string}
    */
-  _getPermissionContext() {
+  _getPermissionContext(agentId) {
     if (this.chatManager && typeof this.chatManager._getPermissionContext === 'function') {
-      return this.chatManager._getPermissionContext();
+      return this.chatManager._getPermissionContext(agentId);
     }
     // 降级：直接读取权限配置
     try {
@@ -467,6 +478,24 @@ class AgentCommunicationManager {
     ]);
   }
 
+  /**
+   * 获取过滤后的工具定义（规划阶段只读工具），用于原生工具调用
+   * @param {string} agentId
+   * @param {'planning' | 'full'} mode
+   * @returns {Array<Object>}
+   */
+  _getFilteredToolDefinitions(agentId, mode = 'full') {
+    if (mode === 'full' || !this.toolRegistry) {
+      return this.chatManager ? this.chatManager.getToolDefinitionsForAgent(agentId) : [];
+    }
+
+    // 规划模式：只返回只读 + 通信 + submit_dev_plan（同样受该 Agent 的工具策略约束）
+    const planningNames = this._getPlanningToolNames();
+    const planningTools = this.toolRegistry.getAll().filter((t) => planningNames.has(t.name));
+    const { toolPolicyStore } = require('../config/tool-policy-store');
+    return toolPolicyStore.filterTools(agentId, planningTools);
+  }
+
   /**
    * 获取过滤后的工具 schema（规划阶段只读工具）
    * @param {string} agentId
@@ -479,10 +508,7 @@ class AgentCommunicationManager {
     }
 
     // 规划模式：只返回只读 + 通信 + submit_dev_plan 的 schema
-    const planningNames = this._getPlanningToolNames();
-    const allTools = this.toolRegistry.getAll();
-    const filteredTools = allTools.filter((t) => planningNames.has(t.name));
-    return this.toolRegistry.getToolCallSchema(filteredTools);
+    return this.toolRegistry.getToolCallSchema(this._getFilteredToolDefinitions(agentId, mode));
   }
 
   /**
@@ -494,25 +520,57 @@ class AgentCommunicationManager {
    * @param {Object} [options] - 额外选项
    * @param {'planning' | 'full'} [options.toolFilter='full'] - 工具过滤模式
    * @param {Function} [options.onToolExecuted] - 工具执行后的回调（可设置 break flag）
-   * @returns {Promise<{content: string, toolsUsed: string[]}>} 最终回复和使用的工具列表
+   * @param {Object} [options.checkpoint] - 委派任务检查点配置，每完成一轮写入磁盘
+   * @param {string} options.checkpoint.taskId
+   * @param {'planning' | 'execution'} options.checkpoint.phase
+   * @param {import('./task-checkpoint-store').TaskCheckpoint|null} [options.checkpoint.resumeFrom] - 从该检查点恢复
+   * @param {() => boolean} [options.isCancelled] - 每轮调用 Agent 和执行工具前检查，返回 true 时停止循环
+   * @returns {Promise<{content: string, toolsUsed: string[], cancelled: boolean}>} 最终回复、使用的工具列表和是否被取消
    */
   async _chatWithToolLoop(agent, message, history, context = {}, options = {}) {
-    const { toolFilter = 'full', onToolExecuted } = options;
+    const { toolFilter = 'full', onToolExecuted, checkpoint = null, isCancelled = () => false } = options;
+    const resumeFrom = checkpoint?.resumeFrom || null;
 
     // 延迟加载工具解析器（避免循环依赖）
-    const { parseToolCalls, hasToolCalls, removeToolCalls } = require('../tools/tool-executor');
-
-    let currentHistory = [...history];
-    let currentMessage = message;
-    let finalContent = '';
-    let iteration = 0;
+    const { collectToolCalls, removeToolCalls } = require('../tools/tool-executor');
+
+    let currentHistory = resumeFrom ? [...resumeFrom.history] : [...history];
+    let currentMessage = resumeFrom
+      ? `${this._buildResumeNotice(resumeFrom)}\n\n${resumeFrom.currentMessage}`
+      : message;
+    let finalContent = resumeFrom?.finalContent || '';
+    let iteration = resumeFrom?.round || 0;
     let shouldBreak = false;
+    let cancelled = false;
 
     // 追踪本次调用中实际执行过的工具名称（局部变量，避免实例共享问题）
-    const toolsUsedInThisCall = [];
+    const toolsUsedInThisCall = resumeFrom ? [...resumeFrom.toolsUsed] : [];
+    const completedToolCalls = resumeFrom ? [...resumeFrom.completedToolCalls] : [];
+
+    // 写入检查点：round 为已完成轮数，inFlightToolCalls 为正在执行的工具调用
+    const saveCheckpoint = (round, inFlightToolCalls = null) => {
+      if (!checkpoint) return;
+      const scratchpadData = scratchpadManager.get(agent.id).getData();
+      taskCheckpointStore.save(checkpoint.taskId, {
+        phase: checkpoint.phase,
+        agentId: agent.id,
+        round,
+        history: currentHistory,
+        currentMessage,
+        finalContent,
+        toolsUsed: toolsUsedInThisCall,
+        completedToolCalls,
+        inFlightToolCalls: inFlightToolCalls && inFlightToolCalls.map((tc) => ({ name: tc.name, arguments: tc.arguments })),
+        scratchpad: { agentId: agent.id, lastUpdated: scratchpadData.lastUpdated || null },
+      });
+    };
+    if (!resumeFrom) saveCheckpoint(0);
 
     // 获取 Agent 可用的工具 schema（根据过滤模式）
     const toolSchema = this._getFilteredToolSchema(agent.id, toolFilter);
+    // 原生工具调用：工具定义通过 API 传递，提示词中无需 XML schema
+    const nativeTools = agent.supportsNativeTools();
+    const toolDefinitions = toolSchema ? this._getFilteredToolDefinitions(agent.id, toolFilter) : [];
 
     // CXO 级别不限制工具调用次数，其他 Agent 限制 100 次
     const agentConfig = agentConfigStore.get(agent.id);
@@ -521,21 +579,38 @@ class AgentCommunicationManager {
     const maxIterations = isCxoLevel ? Infinity : MAX_INTERNAL_TOOL_ITERATIONS;
 
     while (iteration < maxIterations && !shouldBreak) {
+      if (isCancelled()) {
+        cancelled = true;
+        break;
+      }
       iteration++;
 
       // 构建包含工具说明的消息（包括权限上下文）
       let messageWithTools = currentMessage;
       if (toolSchema && iteration === 1) {
         // 第一轮添加权限上下文 + 工具说明
-        const permContext = this._getPermissionContext();
-        messageWithTools = `${currentMessage}\n\n---\n\n${permContext}\n\n【可用工具】\n${toolSchema}`;
-      } else if (toolSchema && iteration > 1) {
+        const permContext = this._getPermissionContext(agent.id);
+        messageWithTools = nativeTools
+          ? `${currentMessage}\n\n---\n\n${permContext}`
+          : `${currentMessage}\n\n---\n\n${permContext}\n\n【可用工具】\n${toolSchema}`;
+      } else if (toolSchema && iteration > 1 && !nativeTools) {
         // 后续轮次注入简短提醒，确保 Agent 记得工具调用格式
         messageWithTools = `${currentMessage}\n\n---\n提醒：你仍然可以继续使用工具。请使用 <tool_call><name>工具名</name><arguments><参数名>参数值</参数名></arguments></tool_call> 格式。常用工具名：read_file、write_file、list_files、shell、git_branch、git_commit、git_create_pr、git_status。不要使用 fs_write、read_code、list_dir、execute_command 等错误名称。`;
       }
 
-      // 调用 Agent（非流式）
-      const response = await agent.chat(messageWithTools, currentHistory, { stream: false });
+      // 调用 Agent（非流式）；_toolCalls 为出参，Provider 将原生工具调用写入该数组
+      // conversationId / taskId 随 token 记录落盘，异常检测据此定位失控的任务
+      const chatOptions = {
+        stream: false,
+        _toolCalls: [],
+        conversationId: context.conversationId,
+        taskId: context.taskId,
+      };
+      // 文本协议时 XML schema 已在提示词中；实际模型（预算降级、provider 降级后）不支持原生工具调用时由 LLMManager 注入
+      if (nativeTools && toolDefinitions.length > 0) {
+        chatOptions.tools = toolDefinitions;
+      }
+      const response = await agent.chat(messageWithTools, currentHistory, chatOptions);
 
       // 第 2 层防御：停职 Agent 即使生成了工具调用也跳过解析
       const runtimeConfig = agentConfigStore.get(agent.id);
@@ -545,8 +620,16 @@ class AgentCommunicationManager {
         break;
       }
 
-      // 检查是否有工具调用
-      if (!hasToolCalls(response)) {
+      // 等待模型回复期间任务被取消：不再执行本轮的工具调用
+      if (isCancelled()) {
+        cancelled = true;
+        finalContent = removeToolCalls(response) || response;
+        break;
+      }
+
+      // 检查是否有工具调用（原生工具调用优先，否则解析 XML 文本协议）
+      const toolCalls = collectToolCalls(response, chatOptions._toolCalls);
+      if (toolCalls.length === 0) {
         // 没有工具调用，返回最终内容
         finalContent = response;
         break;
@@ -557,8 +640,6 @@ class AgentCommunicationManager {
       // 更新活跃任务状态为工具执行中
       this._updateAgentActivityStage(agent.id, 'tools');
 
-      // 解析工具调用
-      const toolCalls = parseToolCalls(response);
       const textContent = removeToolCalls(response);
 
       // 如果有文本内容（工具调用前的说明），先记录
@@ -568,6 +649,7 @@ class AgentCommunicationManager {
 
       // 执行工具
       if (this.toolExecutor && toolCalls.length > 0) {
+        saveCheckpoint(iteration - 1, toolCalls);
         const toolResults = await this.toolExecutor.executeToolCalls(toolCalls, {
           agentId: agent.id,
           agentName: agent.name,
@@ -579,13 +661,13 @@ class AgentCommunicationManager {
         });
 
         // 格式化工具结果
-        const formattedResults = this.toolExecutor.formatToolResults(toolResults);
+        const toolMessages = this.toolExecutor.buildToolResultMessages(toolResults);
 
-        // 更新历史，添加 Agent 响应和工具结果
+        // 更新历史，添加 Agent 响应和工具结果（结构化消息，发送前由 Provider 按能力转换）
         currentHistory = [
           ...currentHistory,
-          { role: 'assistant', content: response },
-          { role: 'user', content: `工具执行结果：\n\n${formattedResults}` },
+          { role: 'assistant', content: textContent, toolCalls },
+          ...toolMessages,
         ];
 
         // 记录已使用的工具（局部变量）
@@ -595,12 +677,15 @@ class AgentCommunicationManager {
             toolsUsedInThisCall.push(tc.name);
           }
         }
+        toolCalls.forEach((tc, i) => {
+          completedToolCalls.push({ round: iteration, name: tc.name, success: !!toolResults[i]?.success });
+        });
 
         // 调用工具执行回调（用于检测 submit_dev_plan 等触发中断的工具）
         if (onToolExecuted) {
           const callbackResult = onToolExecuted(toolCalls, toolResults);
           if (callbackResult?.shouldBreak) {
-            finalContent += formattedResults;
+            finalContent += toolMessages.map(toolResultToXml).join('\n\n');
             break;
           }
         }
@@ -615,12 +700,13 @@ class AgentCommunicationManager {
 4. 不要重复问候语或解释
 
 直接输出你的处理结论或下一步操作。`;
+        saveCheckpoint(iteration);
 
         logger.info(`Agent 内部通信: 工具执行完成`, {
           agent: agent.id,
           tools: toolCalls.map((t) => t.name),
           iteration,
-          resultsLength: formattedResults.length,
+          resultsLength: toolMessages.reduce((sum, m) => sum + m.content.length, 0),
         });
       } else {
         // 没有工具执行器或没有工具调用，直接返回
@@ -629,7 +715,9 @@ class AgentCommunicationManager {
       }
     }
 
-    if (iteration >= maxIterations) {
+    if (cancelled) {
+      logger.info(`Agent 内部通信: ${agent.id} 的任务已取消，停止工具调用循环`, { taskId: context.taskId, iteration });
+    } else if (iteration >= maxIterations) {
       logger.warn(`Agent 内部通信: ${agent.id} 达到最大工具调用轮数`, { iteration, maxIterations });
       // 不要显示这个提示，让 Agent 的最后回复作为最终内容
       if (!finalContent.trim()) {
@@ -638,7 +726,73 @@ class AgentCommunicationManager {
     }
 
     // 返回内容和使用的工具列表（避免实例级共享问题）
-    return { content: finalContent, toolsUsed: toolsUsedInThisCall };
+    return { content: finalContent, toolsUsed: toolsUsedInThisCall, cancelled };
+  }
+
+  /**
+   * 构建从检查点恢复时的系统提示
+   * 说明恢复位置，并提醒 Agent 核实中断时可能已部分执行的工具调用
+   * @param {import('./task-checkpoint-store').TaskCheckpoint} checkpoint
+   * @returns {string}
+   */
+  _buildResumeNotice(checkpoint) {
+    const lines = [`【系统提示】应用曾经重启，本任务从第 ${checkpoint.round} 轮工具调用之后继续执行，之前的对话与工具结果已恢复。`];
+
+    if (checkpoint.inFlightToolCalls?.length > 0) {
+      const calls = checkpoint.inFlightToolCalls
+        .map((tc) => `- ${tc.name} ${JSON.stringify(tc.arguments || {}).slice(0, 200)}`)
+        .join('\n');
+      lines.push(`中断时以下工具调用正在执行，可能已部分生效，重复执行前请先确认当前状态：\n${calls}`);
+    }
+
+    const scratchpad = scratchpadManager.get(checkpoint.agentId);
+    const lastUpdated = scratchpad.getData().lastUpdated || null;
+    if (lastUpdated && lastUpdated !== checkpoint.scratchpad?.lastUpdated && scratchpad.hasContent()) {
+      lines.push(`暂存区在检查点之后有更新：\n${scratchpad.getContextSummary()}`);
+    }
+
+    return lines.join('\n\n');
+  }
+
+  /**
+   * 读取可用于恢复的检查点，阶段或执行者不匹配、或已过期的检查点会被丢弃
+   * @param {DelegatedTask} task
+   * @param {'planning' | 'execution'} phase
+   * @returns {import('./task-checkpoint-store').TaskCheckpoint|null}
+   */
+  _loadResumableCheckpoint(task, phase) {
+    const checkpoint = taskCheckpointStore.load(task.id);
+    if (!checkpoint) return null;
+
+    const stale = Date.now() - (checkpoint.updatedAt || 0) > CHECKPOINT_MAX_AGE_MS;
+    if (checkpoint.phase !== phase || checkpoint.agentId !== task.toAgent || stale) {
+      taskCheckpointStore.remove(task.id);
+      return null;
+    }
+
+    logger.info(`从检查点恢复任务: ${task.id}`, { phase, round: checkpoint.round });
+    return checkpoint;
+  }
+
+  /**
+   * 任务是否有未过期的检查点（启动扫描时使用）
+   * @param {string} taskId
+   * @returns {boolean}
+   */
+  hasCheckpoint(taskId) {
+    const checkpoint = taskCheckpointStore.load(taskId);
+    return !!checkpoint && Date.now() - (checkpoint.updatedAt || 0) <= CHECKPOINT_MAX_AGE_MS;
+  }
+
+  /**
+   * 清理已结束任务的检查点（启动扫描时调用）
+   * @returns {number} 删除数量
+   */
+  pruneCheckpoints() {
+    const inProgress = new Set(
+      this.delegatedTasks.filter((t) => t.status === 'in_progress').map((t) => t.id)
+    );
+    return taskCheckpointStore.prune(inProgress);
   }
 
   // ═══════════════════════════════════════════════════════════
@@ -1449,12 +1603,34 @@ class AgentCommunicationManager {
   /**
    * 执行委派的任务
    * 支持任务历史、用户上下文，以及工具调用
+   * 执行期间被取消的任务，在工具循环停下之后才强制删除 worktree，
+   * 避免仍在运行的工具把文件写回已删除的 worktree 目录
    * @param {string} taskId
    * @param {Object} [options]
    * @param {boolean} [options.allowTools=true] - 是否允许使用工具
    * @returns {Promise<{success: boolean, result?: string, error?: string}>}
    */
   async executeTask(taskId, options = {}) {
+    this._runningTaskIds.add(taskId);
+    try {
+      return await this._runTask(taskId, options);
+    } finally {
+      this._runningTaskIds.delete(taskId);
+      const task = this.delegatedTasks.find((t) => t.id === taskId);
+      if (task?.status === 'cancelled') {
+        taskCheckpointStore.remove(taskId);
+        await this.releaseTaskWorktree(taskId, { force: true });
+      }
+    }
+  }
+
+  /**
+   * executeTask 的执行体：规划阶段与执行阶段
+   * @param {string} taskId
+   * @param {Object} options
+   * @returns {Promise<{success: boolean, result?: string, error?: string}>}
+   */
+  async _runTask(taskId, options) {
     const { allowTools = true } = options;
 
     const task = this.delegatedTasks.find((t) => t.id === taskId);
@@ -1491,6 +1667,15 @@ class AgentCommunicationManager {
       return { success: false, error: '找不到执行者' };
     }
 
+    // 带 Git 分支的任务在独立的 worktree 中执行，工具路径自动映射到该 worktree
+    const worktree = await this._ensureTaskWorktree(task);
+    // 发起人随时可能取消任务（cancel_delegated_task），工具循环每轮检查
+    const isCancelled = () => task.status === 'cancelled';
+    const cancelledResult = () => {
+      logger.info(`任务已取消，停止执行: ${task.id}`);
+      return { success: false, taskId: task.id, error: '任务已取消' };
+    };
+
     // ═══════════════════════════════════════════════════════════
     // Phase 1: 规划阶段（如果需要开发计划审批且尚未通过）
     // ═══════════════════════════════════════════════════════════
@@ -1590,9 +1775,12 @@ ${feedbackSection}
             fromAgent: task.fromAgent,
             taskId: task.id,
             isInternalCommunication: true,
+            worktree,
           },
           {
             toolFilter: 'planning',
+            checkpoint: { taskId: task.id, phase: 'planning', resumeFrom: this._loadResumableCheckpoint(task, 'planning') },
+            isCancelled,
             onToolExecuted: (toolCalls) => {
               // 当 submit_dev_plan 被调用时，中断循环
               const submitted = toolCalls.some((tc) => tc.name === 'submit_dev_plan');
@@ -1603,6 +1791,7 @@ ${feedbackSection}
             },
           }
         );
+        if (isCancelled()) return cancelledResult();
         const planResult = planLoopResult.content;
 
         // 规划阶段完成，任务进入等待审批状态
@@ -1640,14 +1829,17 @@ ${feedbackSection}
           error: '员工未提交开发计划',
         };
       } catch (error) {
+        if (isCancelled()) return cancelledResult();
         task.status = 'failed';
         task.result = `规划阶段失败: ${error.message}`;
         task.completedAt = Date.now();
         this._saveToDisk();
         this._syncOpsTaskStatus(task, 'cancelled', error.message);
+        await this.releaseTaskWorktree(task.id);
         logger.error(`规划阶段执行失败: ${task.id}`, error);
         return { success: false, error: error.message };
       } finally {
+        taskCheckpointStore.remove(task.id);
         this._untrackAgentActivity(task.toAgent, planActivityTaskId);
       }
     }
@@ -1692,7 +1884,30 @@ ${feedbackSection}
 
       // 构建 Git 工作流指令（如果有 Git 分支）
       let gitInstructions = '';
-      if (task.gitBranch) {
+      if (task.gitBranch && worktree) {
+        gitInstructions = `
+═══════════════════════════════════════
+Git 工作流（强制执行）：
+═══════════════════════════════════════
+你的工作分支: ${task.gitBranch}（已在你的独立工作目录中检出，不需要切换分支）
+你的工作目录: ${worktree.path}
+
+read_file / write_file / list_files 的相对路径、shell 命令和 git 工具都会自动在你的工作目录中执行；
+指向主仓库 ${task.gitWorkspace} 的路径也会自动换成工作目录中的同名文件。
+
+你必须按以下流程工作：
+1. 编码：读取代码、编写代码（使用 read_file / write_file）
+2. 每完成一个功能点：用 git_commit 提交
+   <tool_call><name>git_commit</name><arguments><message>描述你做了什么</message></arguments></tool_call>
+3. 全部完成后：用 git_create_pr 提交 Pull Request 给上级审核
+   <tool_call><name>git_create_pr</name><arguments><title>任务标题</title><description>完成了什么</description><source_branch>${task.gitBranch}</source_branch><target_branch>main</target_branch></arguments></tool_call>
+
+严禁：
+- 用 git_branch 切换到其他分支
+- 写完代码不 commit（任务结束后工作目录会被清理）
+- 不提 PR 就汇报"完成了"
+`;
+      } else if (task.gitBranch) {
         gitInstructions = `
 ═══════════════════════════════════════
 Git 工作流（强制执行）：
@@ -1761,6 +1976,10 @@ ${planApprovalNote}${gitInstructions}
           fromAgent: task.fromAgent,
           taskId: task.id,
           isInternalCommunication: true,
+          worktree,
+        }, {
+          checkpoint: { taskId: task.id, phase: 'execution', resumeFrom: this._loadResumableCheckpoint(task, 'execution') },
+          isCancelled,
         });
         result = loopResult.content;
         toolsUsedInTask = loopResult.toolsUsed || [];
@@ -1768,6 +1987,7 @@ ${planApprovalNote}${gitInstructions}
         // 不使用工具，直接调用
         result = await targetAgent.chat(taskMessage, taskHistory, { stream: false });
       }
+      if (isCancelled()) return cancelledResult();
 
       task.status = 'completed';
       task.result = result;
@@ -1807,6 +2027,7 @@ ${planApprovalNote}${gitInstructions}
 
       return { success: true, taskId: task.id, result };
     } catch (error) {
+      if (isCancelled()) return cancelledResult();
       task.status = 'failed';
       task.result = error.message;
       task.completedAt = Date.now();
@@ -1819,7 +2040,73 @@ ${planApprovalNote}${gitInstructions}
       logger.error(`任务执行失败: ${task.id}`, error);
       return { success: false, error: error.message };
     } finally {
+      taskCheckpointStore.remove(task.id);
       this._untrackAgentActivity(task.toAgent, execActivityTaskId);
+      // 提交都在分支上，worktree 可以删除；有未提交的更改时保留，不丢弃员工的工作
+      await this.releaseTaskWorktree(task.id);
+    }
+  }
+
+  /**
+   * 确保任务的 worktree 存在（任务开始或重新执行时创建，检出任务分支）
+   * 创建失败时返回 null，任务退回到在主工作区切换分支的方式执行
+   * @param {DelegatedTask} task
+   * @returns {Promise<import('../git/worktree-scope').WorktreeScope | null>}
+   */
+  async _ensureTaskWorktree(task) {
+    if (!task.gitBranch || !task.gitWorkspace) return null;
+    try {
+      const { PRManager } = require('../git/pr-manager');
+      const manager = new PRManager(task.gitWorkspace);
+      const worktree = await manager.addWorktree(task.gitBranch);
+      if (task.gitWorktree !== worktree.path) {
+        task.gitWorktree = worktree.path;
+        this._saveToDisk();
+      }
+      return { repoPath: task.gitWorkspace, path: worktree.path, branch: task.gitBranch };
+    } catch (error) {
+      logger.warn(`创建任务 worktree 失败，在主工作区执行: ${task.id}`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 取消委派任务
+   * 任务正在执行时只标记状态，由执行循环停下后删除检查点和 worktree；否则立即删除检查点，
+   * 并丢弃 worktree 中未提交的更改（分支保留）
+   * @param {string} taskId
+   * @param {Object} [updates] - 同时写入的字段，如 cancelledAt、cancelReason
+   * @returns {Promise<void>}
+   */
+  async cancelTask(taskId, updates = {}) {
+    const task = this.delegatedTasks.find((t) => t.id === taskId);
+    if (!task) return;
+    Object.assign(task, updates, { status: 'cancelled' });
+    this._saveToDisk();
+    if (this._runningTaskIds.has(taskId)) return;
+    taskCheckpointStore.remove(taskId);
+    await this.releaseTaskWorktree(taskId, { force: true });
+  }
+
+  /**
+   * 删除任务的 worktree（分支保留，用于 PR）
+   * @param {string} taskId
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - 丢弃未提交的更改（取消任务时使用）
+   * @returns {Promise<boolean>} 是否已删除
+   */
+  async releaseTaskWorktree(taskId, options = {}) {
+    const task = this.delegatedTasks.find((t) => t.id === taskId);
+    if (!task?.gitWorktree) return false;
+    try {
+      const { PRManager } = require('../git/pr-manager');
+      await new PRManager(task.gitWorkspace).removeWorktree(task.gitWorktree, { force: !!options.force });
+      task.gitWorktree = null;
+      this._saveToDisk();
+      return true;
+    } catch (error) {
+      logger.warn(`删除任务 worktree 失败: ${task.id}`, { path: task.gitWorktree, error: error.message });
+      return false;
     }
   }
 
@@ -2282,9 +2569,10 @@ ${resultPreview}
       
       const taskAge = now - task.createdAt;
       if (taskAge > maxAgeMs) {
-        task.status = 'cancelled';
-        task.completedAt = now;
-        task.result = `[系统自动关闭] 任务超过 ${maxAgeDays} 天未完成，已自动取消`;
+        this.cancelTask(task.id, {
+          completedAt: now,
+          result: `[系统自动关闭] 任务超过 ${maxAgeDays} 天未完成，已自动取消`,
+        });
         clearedTasks.push(task.id);
         logger.info('清理积压任务', { taskId: task.id, toAgent: task.toAgent, ageHours: Math.round(taskAge / 3600000) });
       }
@@ -9,6 +9,8 @@ const fs = require('fs');
 const path = require('path');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 function getConfigDir() {
   return dataPath.getBasePath();
@@ -66,7 +68,7 @@ class DevPlanQueue {
     try {
       const plansFile = getPlansFile();
       if (fs.existsSync(plansFile)) {
-        const content = fs.readFileSync(plansFile, 'utf-8');
+        const content = readTextSync(plansFile);
         const data = JSON.parse(content);
         this.plans = data.plans || [];
         logger.debug(`加载了 ${this.plans.length} 条开发计划`);
@@ -87,7 +89,7 @@ class DevPlanQueue {
         lastUpdated: new Date().toISOString(),
         plans: this.plans,
       };
-      fs.writeFileSync(getPlansFile(), JSON.stringify(data, null, 2));
+      atomicWriteSync(getPlansFile(), JSON.stringify(data, null, 2));
     } catch (error) {
       logger.error('保存开发计划失败:', error);
     }
@@ -0,0 +1,122 @@
+/**
+ * SoloForge - 委派任务检查点
+ * 每完成一轮工具调用就把工具循环状态写入磁盘，应用重启后从最后完成的一轮继续执行
+ *
+ * 每个任务一个文件（task-checkpoints/<taskId>.json），避免对话历史撑大 agent-communications.json
+ * @module collaboration/task-checkpoint-store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../account/data-path');
+const { atomicWriteSync } = require('../utils/atomic-write');
+const { logger } = require('../utils/logger');
+const { readTextSync } = require('../storage/encrypted-storage');
+
+/**
+ * @typedef {Object} TaskCheckpoint
+ * @property {string} taskId - 委派任务 ID
+ * @property {'planning' | 'execution'} phase - 所处阶段（规划阶段与执行阶段的工具集不同）
+ * @property {string} agentId - 执行者 Agent ID
+ * @property {number} round - 已完成的工具调用轮数
+ * @property {Array} history - 工具循环当前的对话历史
+ * @property {string} currentMessage - 下一轮要发送的消息
+ * @property {string} finalContent - 已累积的文本输出
+ * @property {string[]} toolsUsed - 已使用过的工具名
+ * @property {Array<{round: number, name: string, success: boolean}>} completedToolCalls - 已完成的工具调用
+ * @property {Array<{name: string, arguments: Object}>|null} inFlightToolCalls - 正在执行、结果尚未落盘的工具调用
+ * @property {{agentId: string, lastUpdated: number|null}} scratchpad - 检查点时暂存区的位置
+ * @property {number} updatedAt
+ */
+
+function getCheckpointsDir() {
+  return path.join(dataPath.getBasePath(), 'task-checkpoints');
+}
+
+class TaskCheckpointStore {
+  /**
+   * @param {string} taskId
+   * @returns {string}
+   */
+  _getFilePath(taskId) {
+    // 任务 ID 由 _generateId 生成，这里只做防御性过滤
+    return path.join(getCheckpointsDir(), `${String(taskId).replace(/[^\w-]/g, '_')}.json`);
+  }
+
+  /**
+   * 写入检查点
+   * @param {string} taskId
+   * @param {Omit<TaskCheckpoint, 'taskId' | 'updatedAt'>} state
+   */
+  save(taskId, state) {
+    try {
+      const dir = getCheckpointsDir();
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      atomicWriteSync(this._getFilePath(taskId), JSON.stringify({ taskId, ...state, updatedAt: Date.now() }));
+    } catch (error) {
+      // 检查点失败不影响任务本身执行
+      logger.warn('保存任务检查点失败', { taskId, error: error.message });
+    }
+  }
+
+  /**
+   * 读取检查点
+   * @param {string} taskId
+   * @returns {TaskCheckpoint|null}
+   */
+  load(taskId) {
+    try {
+      const filePath = this._getFilePath(taskId);
+      if (!fs.existsSync(filePath)) return null;
+      return JSON.parse(readTextSync(filePath));
+    } catch (error) {
+      logger.warn('读取任务检查点失败', { taskId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 删除检查点（任务结束时调用）
+   * @param {string} taskId
+   */
+  remove(taskId) {
+    try {
+      const filePath = this._getFilePath(taskId);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (error) {
+      logger.warn('删除任务检查点失败', { taskId, error: error.message });
+    }
+  }
+
+  /**
+   * 清理不再需要的检查点
+   * @param {Set<string>} keepTaskIds - 仍需保留的任务 ID
+   * @returns {number} 删除数量
+   */
+  prune(keepTaskIds) {
+    const dir = getCheckpointsDir();
+    if (!fs.existsSync(dir)) return 0;
+
+    let removed = 0;
+    for (const file of fs.readdirSync(dir)) {
+      const taskId = path.basename(file, '.json');
+      if (!keepTaskIds.has(taskId)) {
+        this.remove(taskId);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      logger.info('已清理过期的任务检查点', { removed });
+    }
+    return removed;
+  }
+}
+
+// 单例
+const taskCheckpointStore = new TaskCheckpointStore();
+
+module.exports = { TaskCheckpointStore, taskCheckpointStore };
@@ -9,6 +9,7 @@ const path = require('path');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
 const { atomicWriteSync } = require('../utils/atomic-write');
+const { readTextSync } = require('../storage/encrypted-storage');
 
 /**
  * 职级定义
@@ -49,6 +50,24 @@ const AVAILABLE_MODELS = [
   { id: 'glm-5', name: 'GLM 5', provider: 'Zhipu', multimodal: false },
 ];
 
+/**
+ * 获取全部可选模型（内置 + provider 注册表中用户自定义的模型）
+ * @returns {Array<{ id: string, name: string, provider: string, multimodal: boolean, custom?: boolean }>}
+ */
+function getAvailableModels() {
+  const { providerRegistry } = require('../llm/provider-registry');
+  const customModels = providerRegistry.getCustom()
+    .filter((p) => p.enabled)
+    .flatMap((p) => p.models.map((m) => ({
+      id: m.id,
+      name: m.name || m.id,
+      provider: p.name,
+      multimodal: !!m.capabilities?.vision,
+      custom: true,
+    })));
+  return [...AVAILABLE_MODELS, ...customModels];
+}
+
 /**
  * 判断模型是否支持图片输入（多模态）
  * @param {string} modelId - 模型 ID
@@ -56,7 +75,7 @@ const AVAILABLE_MODELS = [
  */
 function isModelMultimodal(modelId) {
   if (!modelId) return false;
-  const model = AVAILABLE_MODELS.find((m) => m.id === modelId);
+  const model = getAvailableModels().find((m) => m.id === modelId);
   // 已知模型查表，未知模型默认不支持（安全起见）
   return model?.multimodal ?? false;
 }
@@ -265,7 +284,7 @@ class AgentConfigStore {
       let needsSave = false;
 
       if (fs.existsSync(this._getConfigPath())) {
-        const data = JSON.parse(fs.readFileSync(this._getConfigPath(), 'utf-8'));
+        const data = JSON.parse(readTextSync(this._getConfigPath()));
         // 合并默认配置和已保存配置
         for (const [id, defaultConfig] of Object.entries(DEFAULT_AGENT_CONFIGS)) {
           const savedConfig = data[id] || {};
@@ -895,7 +914,7 @@ class AgentConfigStore {
   _loadBossConfig() {
     try {
       if (fs.existsSync(this._getBossConfigPath())) {
-        this.bossConfig = JSON.parse(fs.readFileSync(this._getBossConfigPath(), 'utf-8'));
+        this.bossConfig = JSON.parse(readTextSync(this._getBossConfigPath()));
       } else {
         this.bossConfig = { name: '老板', avatar: '👑' };
       }
@@ -952,6 +971,7 @@ module.exports = {
   departmentStore, // 新增：部门管理器实例
   DEFAULT_AGENT_CONFIGS,
   AVAILABLE_MODELS,
+  getAvailableModels,
   CORE_AGENT_IDS,
   AGENT_STATUS,
   isModelMultimodal,
@@ -0,0 +1,379 @@
+/**
+ * SoloForge - 工具调用审批规则
+ *
+ * 在弹出确认对话框之前按规则决定一次工具调用是自动批准、询问老板还是直接拒绝，
+ * 例如「所有人的 git_status 自动批准」「CTO 在 ~/projects/app/src 下的 write_file 自动批准」
+ * 「rm 和 git push 总是询问」。
+ *
+ * 规则分两类：
+ * - 持久规则：保存在公司目录的 approval-rules.json
+ * - 会话规则：老板在确认对话框中选择「本次会话记住」时生成，只保存在内存中，重启或切换公司后失效
+ *
+ * 多条规则同时命中时：拒绝 > 询问 > 批准。因此「总是询问」的规则不会被任何批准规则
+ * （包括会话规则）绕过。没有规则命中时沿用权限配置（permissions.json）是否需要确认。
+ * 审批规则只决定是否需要确认，不会放开被权限配置或工具策略禁止的操作。
+ * @module config/approval-rule-store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { dataPath } = require('../account/data-path');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
+const {
+  PATH_SCOPED_TOOLS,
+  SHELL_TOOLS,
+  isPathWithin,
+  splitShellCommand,
+  matchesCommandPrefix,
+  findUnsafeShellSyntax,
+  matchEntry,
+} = require('./tool-policy-store');
+
+/** 规则决定 */
+const DECISIONS = ['allow', 'ask', 'deny'];
+
+/** 多条规则命中时的优先级（数值越大越优先） */
+const DECISION_PRIORITY = { allow: 1, ask: 2, deny: 3 };
+
+const DECISION_LABELS = { allow: '自动批准', ask: '总是询问', deny: '拒绝' };
+
+function getRulesFile() {
+  return path.join(dataPath.getBasePath(), 'approval-rules.json');
+}
+
+/**
+ * @typedef {Object} ApprovalRule
+ * @property {string} id
+ * @property {'allow' | 'ask' | 'deny'} decision
+ * @property {string[]} tools - 工具名、category:分类，或 * 表示所有工具
+ * @property {string[]} agents - 适用的 Agent ID，为空表示所有 Agent
+ * @property {string} [pathPrefix] - 只匹配 path 参数位于该目录下的文件工具调用
+ * @property {string[]} commands - 只匹配 shell / process_start 中以这些前缀开头的命令
+ * @property {string} [label] - 显示名称，为空时自动生成
+ * @property {boolean} enabled
+ * @property {boolean} [session] - 会话规则（不持久化）
+ * @property {boolean} [exactCommands] - commands 须与整条命令完全一致（记住的会话决定），否则逐段按前缀匹配
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} ApprovalDecision
+ * @property {'allow' | 'ask' | 'deny' | null} decision - null 表示没有规则命中
+ * @property {{ id: string, label: string, session: boolean } | null} rule - 决定结果的那条规则
+ */
+
+/**
+ * 规范化字符串列表：去空白、去空项、去重
+ * @param {any} list
+ * @returns {string[]}
+ */
+function normalizeList(list) {
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.map((item) => String(item ?? '').trim()).filter(Boolean))];
+}
+
+/**
+ * 校验并规范化规则
+ * @param {Partial<ApprovalRule>} input
+ * @returns {{ rule?: Omit<ApprovalRule, 'id' | 'createdAt'>, error?: string }}
+ */
+function normalizeRule(input) {
+  if (!input || typeof input !== 'object') return { error: '规则格式无效' };
+  if (!DECISIONS.includes(input.decision)) return { error: `无效的规则决定: ${input.decision}` };
+  const tools = normalizeList(input.tools);
+  if (tools.length === 0) return { error: '至少指定一个工具（工具名、category:分类或 *）' };
+
+  const rule = {
+    decision: input.decision,
+    tools,
+    agents: normalizeList(input.agents),
+    pathPrefix: typeof input.pathPrefix === 'string' ? input.pathPrefix.trim() : '',
+    commands: normalizeList(input.commands),
+    label: typeof input.label === 'string' ? input.label.trim() : '',
+    enabled: input.enabled !== false,
+  };
+  if (rule.pathPrefix && rule.commands.length > 0) {
+    return { error: '路径前缀和命令前缀不能同时设置（分别只对文件工具和命令工具生效）' };
+  }
+  return { rule };
+}
+
+/**
+ * 规则的自动描述，如「自动批准 write_file（~/app/src 下，CTO）」
+ * @param {ApprovalRule} rule
+ * @param {Object.<string, string>} agentNames - Agent ID → 名称
+ * @returns {string}
+ */
+function describeRule(rule, agentNames = {}) {
+  const target = rule.tools.includes('*') ? '所有工具' : rule.tools.join('、');
+  const conditions = [];
+  if (rule.commands.length > 0) conditions.push(`命令 ${rule.commands.join('、')}`);
+  if (rule.pathPrefix) conditions.push(`${rule.pathPrefix} 下`);
+  if (rule.agents.length > 0) conditions.push(rule.agents.map((id) => agentNames[id] || id).join('、'));
+  const prefix = rule.session ? '本次会话' : '';
+  return `${prefix}${DECISION_LABELS[rule.decision]} ${target}${conditions.length > 0 ? `（${conditions.join('，')}）` : ''}`;
+}
+
+/**
+ * 规范化整条命令，用于精确匹配记住的命令
+ * 换行视为 ;，连接符两侧统一一个空格，合并连续空白
+ * @param {string} command
+ * @returns {string}
+ */
+function normalizeShellCommand(command) {
+  return command
+    .replace(/\n/g, ';')
+    .replace(/\s*(&&|\|\||[;|&])\s*/g, ' $1 ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function getAgentNames() {
+  const { agentConfigStore } = require('./agent-config-store');
+  return Object.fromEntries(agentConfigStore.getAll().map((agent) => [agent.id, agent.name]));
+}
+
+/**
+ * 规则是否命中一次工具调用
+ * @param {ApprovalRule} rule
+ * @param {{ name: string, category?: string }} tool
+ * @param {Object} args
+ * @param {string} [agentId]
+ * @returns {boolean}
+ */
+function matchesRule(rule, tool, args, agentId) {
+  if (!rule.enabled) return false;
+  if (!rule.tools.includes('*') && !matchEntry(rule.tools, tool)) return false;
+  if (rule.agents.length > 0 && !rule.agents.includes(agentId)) return false;
+
+  if (rule.pathPrefix) {
+    if (!PATH_SCOPED_TOOLS.includes(tool.name) || typeof args.path !== 'string' || !args.path) return false;
+    if (!isPathWithin(args.path, rule.pathPrefix)) return false;
+  }
+
+  if (rule.commands.length > 0) {
+    if (!SHELL_TOOLS.includes(tool.name) || typeof args.command !== 'string') return false;
+    // 记住的会话决定只对完全相同的整条命令生效，不能拆段后与其他复合命令互相命中
+    if (rule.exactCommands) {
+      if (rule.decision === 'allow' && findUnsafeShellSyntax(args.command)) return false;
+      return rule.commands.includes(normalizeShellCommand(args.command));
+    }
+    const segments = splitShellCommand(args.command);
+    const matchesSegment = (segment) => rule.commands.some((prefix) => matchesCommandPrefix(segment, prefix));
+    if (rule.decision === 'allow') {
+      // 自动批准要求每一段都命中，避免 "git status && rm -rf x" 借道放行；替换和重定向无法逐段判断，不批准
+      if (findUnsafeShellSyntax(args.command) || segments.length === 0) return false;
+      return segments.every(matchesSegment);
+    }
+    // 询问 / 拒绝只要任一段命中即可
+    return segments.some(matchesSegment);
+  }
+
+  return true;
+}
+
+class ApprovalRuleStore {
+  constructor() {
+    /** @type {ApprovalRule[]} */
+    this.rules = [];
+    /** @type {ApprovalRule[]} */
+    this.sessionRules = [];
+    this._loaded = false;
+  }
+
+  /**
+   * 重新初始化（切换公司后调用），会话规则一并清空
+   */
+  reinitialize() {
+    this._loaded = false;
+    this.sessionRules = [];
+    this._load();
+  }
+
+  _load() {
+    this._loaded = true;
+    this.rules = [];
+    if (!dataPath.isContextSet()) return;
+    try {
+      const file = getRulesFile();
+      if (!fs.existsSync(file)) return;
+      const parsed = JSON.parse(readTextSync(file));
+      for (const item of parsed.rules || []) {
+        const { rule } = normalizeRule(item);
+        if (rule && item.id) {
+          this.rules.push({ ...rule, id: item.id, createdAt: item.createdAt || new Date().toISOString() });
+        }
+      }
+    } catch (error) {
+      logger.error('加载审批规则失败:', error);
+    }
+  }
+
+  _save() {
+    atomicWriteSync(getRulesFile(), JSON.stringify({ rules: this.rules }, null, 2));
+  }
+
+  _ensureLoaded() {
+    if (!this._loaded) this._load();
+  }
+
+  /**
+   * 列出持久规则和会话规则（附带显示名称）
+   * @returns {{ rules: Array<ApprovalRule & { displayLabel: string }>, sessionRules: Array<ApprovalRule & { displayLabel: string }> }}
+   */
+  list() {
+    this._ensureLoaded();
+    const names = getAgentNames();
+    const withLabel = (rule) => ({ ...rule, displayLabel: rule.label || describeRule(rule, names) });
+    return {
+      rules: this.rules.map(withLabel),
+      sessionRules: this.sessionRules.map(withLabel),
+    };
+  }
+
+  /**
+   * 新建或更新持久规则
+   * @param {Partial<ApprovalRule>} input - 带 id 时更新已有规则
+   * @returns {{ success: boolean, rule?: ApprovalRule, error?: string }}
+   */
+  saveRule(input) {
+    this._ensureLoaded();
+    const { rule, error } = normalizeRule(input);
+    if (error) return { success: false, error };
+
+    let saved;
+    if (input.id) {
+      const index = this.rules.findIndex((r) => r.id === input.id);
+      if (index === -1) return { success: false, error: '规则不存在' };
+      saved = { ...this.rules[index], ...rule };
+      this.rules[index] = saved;
+    } else {
+      saved = {
+        ...rule,
+        id: `rule-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+        createdAt: new Date().toISOString(),
+      };
+      this.rules.push(saved);
+    }
+    this._save();
+    logger.info('审批规则已保存', { id: saved.id, decision: saved.decision, tools: saved.tools });
+    return { success: true, rule: saved };
+  }
+
+  /**
+   * 删除持久规则或会话规则
+   * @param {string} ruleId
+   * @returns {{ success: boolean, rule?: ApprovalRule, error?: string }}
+   */
+  deleteRule(ruleId) {
+    this._ensureLoaded();
+    const sessionIndex = this.sessionRules.findIndex((r) => r.id === ruleId);
+    if (sessionIndex !== -1) {
+      const [rule] = this.sessionRules.splice(sessionIndex, 1);
+      return { success: true, rule };
+    }
+    const index = this.rules.findIndex((r) => r.id === ruleId);
+    if (index === -1) return { success: false, error: '规则不存在' };
+    const [rule] = this.rules.splice(index, 1);
+    this._save();
+    logger.info('审批规则已删除', { id: ruleId });
+    return { success: true, rule };
+  }
+
+  /**
+   * 清空会话规则
+   * @returns {number} 清除的条数
+   */
+  clearSessionRules() {
+    const count = this.sessionRules.length;
+    this.sessionRules = [];
+    return count;
+  }
+
+  /**
+   * 这次调用能否「本次会话记住」
+   * 含替换、重定向等语法的命令无法逐段判断，记住后也不会被自动批准，因此不提供记住
+   * @param {{ name: string }} tool
+   * @param {Object} args
+   * @returns {boolean}
+   */
+  canRememberDecision(tool, args) {
+    if (!SHELL_TOOLS.includes(tool.name)) return true;
+    if (typeof args.command !== 'string') return false;
+    return !findUnsafeShellSyntax(args.command) && splitShellCommand(args.command).length > 0;
+  }
+
+  /**
+   * 记住老板在确认对话框中的决定（本次会话内对同一 Agent 的同类调用生效）
+   * 命令工具按整条命令记住（只匹配完全相同的命令），文件工具按所在目录记住，其余工具按工具名记住
+   * @param {{ name: string }} tool
+   * @param {Object} args
+   * @param {string} [agentId]
+   * @param {boolean} confirmed
+   * @returns {ApprovalRule | null} 无法记住时返回 null
+   */
+  rememberSessionDecision(tool, args, agentId, confirmed) {
+    if (!this.canRememberDecision(tool, args)) {
+      logger.warn('该调用无法记住审批决定', { tool: tool.name, agentId });
+      return null;
+    }
+    const rule = {
+      id: `session-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      decision: confirmed ? 'allow' : 'deny',
+      tools: [tool.name],
+      agents: agentId ? [agentId] : [],
+      pathPrefix: '',
+      commands: [],
+      label: '',
+      enabled: true,
+      session: true,
+      createdAt: new Date().toISOString(),
+    };
+    if (SHELL_TOOLS.includes(tool.name) && typeof args.command === 'string') {
+      rule.commands = [normalizeShellCommand(args.command)];
+      rule.exactCommands = true;
+    } else if (PATH_SCOPED_TOOLS.includes(tool.name) && typeof args.path === 'string' && args.path) {
+      rule.pathPrefix = tool.name === 'list_files' ? args.path : path.dirname(args.path);
+    }
+    this.sessionRules.push(rule);
+    logger.info('已记住本次会话的审批决定', { tool: tool.name, agentId, decision: rule.decision });
+    return rule;
+  }
+
+  /**
+   * 评估一次工具调用
+   * @param {{ name: string, category?: string }} tool
+   * @param {Object} args - 归一化后的参数
+   * @param {string} [agentId]
+   * @returns {ApprovalDecision}
+   */
+  evaluate(tool, args = {}, agentId) {
+    this._ensureLoaded();
+    let matched = null;
+    for (const rule of [...this.rules, ...this.sessionRules]) {
+      if (!matchesRule(rule, tool, args, agentId)) continue;
+      if (!matched || DECISION_PRIORITY[rule.decision] > DECISION_PRIORITY[matched.decision]) {
+        matched = rule;
+      }
+    }
+    if (!matched) return { decision: null, rule: null };
+    return {
+      decision: matched.decision,
+      rule: {
+        id: matched.id,
+        label: matched.label || describeRule(matched, getAgentNames()),
+        session: !!matched.session,
+      },
+    };
+  }
+}
+
+const approvalRuleStore = new ApprovalRuleStore();
+
+module.exports = {
+  approvalRuleStore,
+  describeRule,
+  DECISIONS,
+};
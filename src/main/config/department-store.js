@@ -9,6 +9,7 @@ const path = require('path');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
 const { atomicWriteSync } = require('../utils/atomic-write');
+const { readTextSync } = require('../storage/encrypted-storage');
 
 /**
  * 预设部门定义（系统内置，不可删除但可修改名称和颜色）
@@ -75,7 +76,7 @@ class DepartmentStore {
       // 然后加载自定义部门和覆盖配置
       const configPath = this._getConfigPath();
       if (fs.existsSync(configPath)) {
-        const data = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+        const data = JSON.parse(readTextSync(configPath));
         for (const [id, dept] of Object.entries(data)) {
           if (this.departments.has(id)) {
             // 预设部门：只覆盖 name, color, description, headAgentId
@@ -0,0 +1,185 @@
+/**
+ * SoloForge - 远程代码托管平台（Forge）配置
+ *
+ * 按仓库配置要镜像到的远程平台，保存在公司目录的 forge-config.json。
+ * 配置后本地 PR 的创建、审核、行级评论、合并、关闭会排队同步到远程（见 git/forge-sync）；
+ * 分支通过仓库的 git remote 推送，使用系统已有的 git 凭据，API 访问令牌只用于 PR 相关接口。
+ *
+ * 访问令牌与 LLM API Key 一样明文保存在本地配置中，也可以改为从环境变量读取；
+ * IPC 返回给前端时只带 hasToken，不返回令牌本身。
+ * @module config/forge-config-store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { dataPath } = require('../account/data-path');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
+const { normalizeRepoPath } = require('./merge-check-store');
+
+/** 支持的平台类型 */
+const FORGE_TYPES = ['gitea'];
+
+const FORGE_TYPE_LABELS = { gitea: 'Gitea / Forgejo' };
+
+function getConfigFile() {
+  return path.join(dataPath.getBasePath(), 'forge-config.json');
+}
+
+/**
+ * 校验并规范化仓库配置
+ * @param {Object} input
+ * @param {import('../git/forge-adapter').ForgeConfig | null} existing - 已有配置（未填写令牌时沿用）
+ * @returns {{ config?: import('../git/forge-adapter').ForgeConfig, error?: string }}
+ */
+function normalizeForgeConfig(input, existing = null) {
+  if (!input || typeof input !== 'object') return { error: '配置格式无效' };
+  if (typeof input.repoPath !== 'string' || !input.repoPath.trim()) return { error: '请指定仓库路径' };
+  if (!FORGE_TYPES.includes(input.type)) return { error: `不支持的平台类型: ${input.type}` };
+
+  const baseUrl = String(input.baseUrl ?? '').trim().replace(/\/+$/, '');
+  if (!/^https?:\/\/[^/\s]+/.test(baseUrl)) return { error: '平台地址需以 http:// 或 https:// 开头' };
+  const owner = String(input.owner ?? '').trim();
+  const repo = String(input.repo ?? '').trim();
+  if (!owner || !repo) return { error: '请指定远程仓库的所有者和名称' };
+  const remote = String(input.remote ?? '').trim() || 'origin';
+  if (!/^[\w.-]+$/.test(remote)) return { error: `无效的 git remote 名称: ${remote}` };
+  const tokenEnv = String(input.tokenEnv ?? '').trim();
+  if (tokenEnv && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(tokenEnv)) return { error: `无效的环境变量名: ${tokenEnv}` };
+
+  return {
+    config: {
+      repoPath: normalizeRepoPath(input.repoPath.trim()),
+      type: input.type,
+      baseUrl,
+      owner,
+      repo,
+      token: typeof input.token === 'string' && input.token.trim() ? input.token.trim() : existing?.token || '',
+      tokenEnv,
+      remote,
+      enabled: input.enabled !== false,
+      updatedAt: new Date().toISOString(),
+    },
+  };
+}
+
+class ForgeConfigStore {
+  constructor() {
+    /** @type {import('../git/forge-adapter').ForgeConfig[]} */
+    this.repos = [];
+    this._loaded = false;
+  }
+
+  /**
+   * 重新初始化（切换公司后调用）
+   */
+  reinitialize() {
+    this._loaded = false;
+    this._load();
+  }
+
+  _load() {
+    this._loaded = true;
+    this.repos = [];
+    if (!dataPath.isContextSet()) return;
+    try {
+      const file = getConfigFile();
+      if (!fs.existsSync(file)) return;
+      const parsed = JSON.parse(readTextSync(file));
+      for (const item of parsed.repos || []) {
+        const { config } = normalizeForgeConfig(item, item);
+        if (config) this.repos.push({ ...config, updatedAt: item.updatedAt || config.updatedAt });
+      }
+    } catch (error) {
+      logger.error('加载远程平台配置失败:', error);
+    }
+  }
+
+  _save() {
+    atomicWriteSync(getConfigFile(), JSON.stringify({ repos: this.repos }, null, 2));
+  }
+
+  _ensureLoaded() {
+    if (!this._loaded) this._load();
+  }
+
+  /**
+   * 列出所有仓库的配置
+   * @returns {import('../git/forge-adapter').ForgeConfig[]}
+   */
+  list() {
+    this._ensureLoaded();
+    return this.repos;
+  }
+
+  /**
+   * 获取仓库的配置
+   * @param {string} repoPath
+   * @param {Object} [options]
+   * @param {boolean} [options.enabledOnly] - 只返回启用的配置
+   * @returns {import('../git/forge-adapter').ForgeConfig | null}
+   */
+  getRepoConfig(repoPath, { enabledOnly = false } = {}) {
+    this._ensureLoaded();
+    if (!repoPath) return null;
+    const key = normalizeRepoPath(repoPath);
+    const config = this.repos.find((r) => r.repoPath === key) || null;
+    return config && (!enabledOnly || config.enabled) ? config : null;
+  }
+
+  /**
+   * 校验配置但不保存（令牌留空时沿用已有令牌），用于保存前测试连接
+   * @param {Object} input
+   * @returns {{ config?: import('../git/forge-adapter').ForgeConfig, error?: string }}
+   */
+  resolveRepoConfig(input) {
+    const existing = input?.repoPath ? this.getRepoConfig(input.repoPath) : null;
+    return normalizeForgeConfig(input, existing);
+  }
+
+  /**
+   * 新建或覆盖仓库的配置（令牌留空时沿用已有令牌）
+   * @param {Object} input
+   * @returns {{ success: boolean, config?: import('../git/forge-adapter').ForgeConfig, error?: string }}
+   */
+  saveRepoConfig(input) {
+    this._ensureLoaded();
+    const { config, error } = this.resolveRepoConfig(input);
+    if (error) return { success: false, error };
+
+    const index = this.repos.findIndex((r) => r.repoPath === config.repoPath);
+    if (index === -1) {
+      this.repos.push(config);
+    } else {
+      this.repos[index] = config;
+    }
+    this._save();
+    logger.info('远程平台配置已保存', { repoPath: config.repoPath, type: config.type, baseUrl: config.baseUrl });
+    return { success: true, config };
+  }
+
+  /**
+   * 删除仓库的配置（已同步的远程 PR 不受影响）
+   * @param {string} repoPath
+   * @returns {{ success: boolean, error?: string }}
+   */
+  deleteRepoConfig(repoPath) {
+    this._ensureLoaded();
+    const key = normalizeRepoPath(repoPath || '');
+    const index = this.repos.findIndex((r) => r.repoPath === key);
+    if (index === -1) return { success: false, error: '该仓库没有远程平台配置' };
+    this.repos.splice(index, 1);
+    this._save();
+    logger.info('远程平台配置已删除', { repoPath: key });
+    return { success: true };
+  }
+}
+
+const forgeConfigStore = new ForgeConfigStore();
+
+module.exports = {
+  forgeConfigStore,
+  FORGE_TYPES,
+  FORGE_TYPE_LABELS,
+};
@@ -0,0 +1,233 @@
+/**
+ * SoloForge - 合并检查配置
+ *
+ * 按仓库配置 PR 合并前必须通过的检查，保存在公司目录的 merge-checks.json。
+ * 检查在目标分支合入源分支后的干净 worktree 中运行（见 git/merge-checks），支持三类：
+ * - command：执行命令（如 npm test、npm run lint），退出码为 0 视为通过
+ * - file_size：PR 新增或修改的文件不能超过指定大小
+ * - secret_scan：PR 新增的代码行中不能出现疑似密钥
+ *
+ * 配置只能由老板在设置中修改，Agent 无法通过工具调整或跳过检查。
+ * @module config/merge-check-store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { dataPath } = require('../account/data-path');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
+
+/** 检查类型 */
+const CHECK_TYPES = ['command', 'file_size', 'secret_scan'];
+
+const CHECK_TYPE_LABELS = { command: '命令', file_size: '文件大小', secret_scan: '密钥扫描' };
+
+/** file_size 检查的默认上限（KB） */
+const DEFAULT_MAX_FILE_KB = 1024;
+
+function getConfigFile() {
+  return path.join(dataPath.getBasePath(), 'merge-checks.json');
+}
+
+/**
+ * @typedef {Object} MergeCheck
+ * @property {string} id
+ * @property {string} name - 显示名称
+ * @property {'command' | 'file_size' | 'secret_scan'} type
+ * @property {string} [command] - command 类型：要执行的命令
+ * @property {number} [timeoutSec] - command 类型：超时秒数（默认见 MERGE_CHECK_CONFIG）
+ * @property {number} [maxKB] - file_size 类型：单个文件的大小上限
+ * @property {boolean} required - 必需检查失败时阻止合并；非必需检查只记录结果
+ * @property {boolean} enabled
+ */
+
+/**
+ * @typedef {Object} RepoMergeChecks
+ * @property {string} repoPath - 仓库主工作区路径
+ * @property {string} [setupCommand] - 运行检查前在 worktree 中执行的准备命令（如 npm ci）
+ * @property {MergeCheck[]} checks
+ * @property {string} updatedAt
+ */
+
+/**
+ * 规范化仓库路径：展开 ~，解析符号链接，便于与 git worktree list 输出比较
+ * @param {string} repoPath
+ * @returns {string}
+ */
+function normalizeRepoPath(repoPath) {
+  const expanded = repoPath.startsWith('~') ? path.join(os.homedir(), repoPath.slice(1)) : repoPath;
+  const resolved = path.resolve(expanded);
+  try {
+    return fs.realpathSync(resolved);
+  } catch {
+    return resolved;
+  }
+}
+
+/**
+ * 校验并规范化单个检查
+ * @param {Partial<MergeCheck>} input
+ * @returns {{ check?: MergeCheck, error?: string }}
+ */
+function normalizeCheck(input) {
+  if (!input || typeof input !== 'object') return { error: '检查格式无效' };
+  if (!CHECK_TYPES.includes(input.type)) return { error: `无效的检查类型: ${input.type}` };
+
+  const check = {
+    id: input.id || `check-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+    name: String(input.name ?? '').trim() || CHECK_TYPE_LABELS[input.type],
+    type: input.type,
+    required: input.required !== false,
+    enabled: input.enabled !== false,
+  };
+  if (input.type === 'command') {
+    check.command = String(input.command ?? '').trim();
+    if (!check.command) return { error: `检查「${check.name}」缺少命令` };
+    if (input.timeoutSec) {
+      const timeoutSec = Number(input.timeoutSec);
+      if (!Number.isFinite(timeoutSec) || timeoutSec <= 0) return { error: `检查「${check.name}」的超时时间无效` };
+      check.timeoutSec = timeoutSec;
+    }
+  }
+  if (input.type === 'file_size') {
+    const maxKB = Number(input.maxKB ?? DEFAULT_MAX_FILE_KB);
+    if (!Number.isFinite(maxKB) || maxKB <= 0) return { error: `检查「${check.name}」的大小上限无效` };
+    check.maxKB = maxKB;
+  }
+  return { check };
+}
+
+/**
+ * 校验并规范化仓库配置
+ * @param {Partial<RepoMergeChecks>} input
+ * @returns {{ config?: RepoMergeChecks, error?: string }}
+ */
+function normalizeRepoConfig(input) {
+  if (!input || typeof input !== 'object') return { error: '配置格式无效' };
+  if (typeof input.repoPath !== 'string' || !input.repoPath.trim()) return { error: '请指定仓库路径' };
+
+  const checks = [];
+  for (const item of Array.isArray(input.checks) ? input.checks : []) {
+    const { check, error } = normalizeCheck(item);
+    if (error) return { error };
+    checks.push(check);
+  }
+  return {
+    config: {
+      repoPath: normalizeRepoPath(input.repoPath.trim()),
+      setupCommand: typeof input.setupCommand === 'string' ? input.setupCommand.trim() : '',
+      checks,
+      updatedAt: new Date().toISOString(),
+    },
+  };
+}
+
+class MergeCheckStore {
+  constructor() {
+    /** @type {RepoMergeChecks[]} */
+    this.repos = [];
+    this._loaded = false;
+  }
+
+  /**
+   * 重新初始化（切换公司后调用）
+   */
+  reinitialize() {
+    this._loaded = false;
+    this._load();
+  }
+
+  _load() {
+    this._loaded = true;
+    this.repos = [];
+    if (!dataPath.isContextSet()) return;
+    try {
+      const file = getConfigFile();
+      if (!fs.existsSync(file)) return;
+      const parsed = JSON.parse(readTextSync(file));
+      for (const item of parsed.repos || []) {
+        const { config } = normalizeRepoConfig(item);
+        if (config) this.repos.push({ ...config, updatedAt: item.updatedAt || config.updatedAt });
+      }
+    } catch (error) {
+      logger.error('加载合并检查配置失败:', error);
+    }
+  }
+
+  _save() {
+    atomicWriteSync(getConfigFile(), JSON.stringify({ repos: this.repos }, null, 2));
+  }
+
+  _ensureLoaded() {
+    if (!this._loaded) this._load();
+  }
+
+  /**
+   * 列出所有仓库的配置
+   * @returns {RepoMergeChecks[]}
+   */
+  list() {
+    this._ensureLoaded();
+    return this.repos;
+  }
+
+  /**
+   * 获取仓库的配置
+   * @param {string} repoPath
+   * @returns {RepoMergeChecks | null} 没有配置时返回 null
+   */
+  getRepoConfig(repoPath) {
+    this._ensureLoaded();
+    if (!repoPath) return null;
+    const key = normalizeRepoPath(repoPath);
+    return this.repos.find((r) => r.repoPath === key) || null;
+  }
+
+  /**
+   * 新建或覆盖仓库的配置
+   * @param {Partial<RepoMergeChecks>} input
+   * @returns {{ success: boolean, config?: RepoMergeChecks, error?: string }}
+   */
+  saveRepoConfig(input) {
+    this._ensureLoaded();
+    const { config, error } = normalizeRepoConfig(input);
+    if (error) return { success: false, error };
+
+    const index = this.repos.findIndex((r) => r.repoPath === config.repoPath);
+    if (index === -1) {
+      this.repos.push(config);
+    } else {
+      this.repos[index] = config;
+    }
+    this._save();
+    logger.info('合并检查配置已保存', { repoPath: config.repoPath, checks: config.checks.length });
+    return { success: true, config };
+  }
+
+  /**
+   * 删除仓库的配置
+   * @param {string} repoPath
+   * @returns {{ success: boolean, error?: string }}
+   */
+  deleteRepoConfig(repoPath) {
+    this._ensureLoaded();
+    const key = normalizeRepoPath(repoPath || '');
+    const index = this.repos.findIndex((r) => r.repoPath === key);
+    if (index === -1) return { success: false, error: '该仓库没有合并检查配置' };
+    this.repos.splice(index, 1);
+    this._save();
+    logger.info('合并检查配置已删除', { repoPath: key });
+    return { success: true };
+  }
+}
+
+const mergeCheckStore = new MergeCheckStore();
+
+module.exports = {
+  mergeCheckStore,
+  normalizeRepoPath,
+  CHECK_TYPES,
+  CHECK_TYPE_LABELS,
+};
@@ -9,6 +9,8 @@ const path = require('path');
 const { getDefaultPermissions, validatePermissions } = require('./user-permissions');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 function getConfigDir() {
   return dataPath.getBasePath();
@@ -37,7 +39,7 @@ function loadPermissions() {
   try {
     const permsFile = getPermissionsFile();
     if (fs.existsSync(permsFile)) {
-      const content = fs.readFileSync(permsFile, 'utf-8');
+      const content = readTextSync(permsFile);
       const parsed = JSON.parse(content);
       logger.info('加载权限配置成功');
       return validatePermissions(parsed);
@@ -60,7 +62,7 @@ function savePermissions(permissions) {
     ensureConfigDir();
     const validated = validatePermissions(permissions);
     const content = JSON.stringify(validated, null, 2);
-    fs.writeFileSync(getPermissionsFile(), content, 'utf-8');
+    atomicWriteSync(getPermissionsFile(), content);
     logger.info('保存权限配置成功');
     return true;
   } catch (error) {
@@ -0,0 +1,430 @@
+/**
+ * SoloForge - Agent 工具访问策略
+ *
+ * 按 Agent / 部门 / 职级配置：允许或禁止的工具（工具名或 category:分类）、
+ * read_file / write_file / list_files 的路径范围，以及 shell / process_start 的命令白名单。
+ * 策略只在全局权限（permissions.json）和角色默认工具集之上进一步收紧，不会放开被它们禁止的操作。
+ *
+ * 多层策略的合并规则（优先级 Agent > 部门 > 职级）：
+ * - deny：所有层取并集，任一层禁止即禁止
+ * - allow / pathScopes / shellAllowlist：取最具体的一层非空配置；都为空时不限制
+ * @module config/tool-policy-store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { logger } = require('../utils/logger');
+const { dataPath } = require('../account/data-path');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
+
+/** 受路径范围约束的工具 */
+const PATH_SCOPED_TOOLS = ['read_file', 'write_file', 'list_files'];
+
+/** 受命令白名单约束的工具 */
+const SHELL_TOOLS = ['shell', 'process_start'];
+
+/** 策略作用范围 → 存储键 */
+const SCOPE_KEYS = { agent: 'agents', department: 'departments', level: 'levels' };
+
+/** 策略字段 */
+const POLICY_FIELDS = ['allow', 'deny', 'pathScopes', 'shellAllowlist'];
+
+function getPoliciesFile() {
+  return path.join(dataPath.getBasePath(), 'tool-policies.json');
+}
+
+/**
+ * @typedef {Object} ToolPolicy
+ * @property {string[]} allow - 允许的工具名或 category:分类，为空表示不额外限制
+ * @property {string[]} deny - 禁止的工具名或 category:分类
+ * @property {string[]} pathScopes - 文件工具可访问的目录（须同时在全局可访问目录内），为空表示不额外限制
+ * @property {string[]} shellAllowlist - 允许的命令前缀（如 "npm test"、"git status"），为空表示不额外限制
+ */
+
+/**
+ * @typedef {Object} EffectiveToolPolicy
+ * @property {string[]} allow
+ * @property {string[]} deny
+ * @property {string[]} pathScopes
+ * @property {string[]} shellAllowlist
+ * @property {Object.<string, string | null>} sources - 各字段来自哪一层，如 agent、department:tech、level:senior
+ */
+
+/**
+ * 规范化字符串列表：去空白、去空项、去重
+ * @param {any} list
+ * @returns {string[]}
+ */
+function normalizeList(list) {
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.map((item) => String(item ?? '').trim()).filter(Boolean))];
+}
+
+/**
+ * 规范化策略；所有字段都为空时返回 null（等同于删除）
+ * @param {Partial<ToolPolicy> | null} policy
+ * @returns {ToolPolicy | null}
+ */
+function normalizePolicy(policy) {
+  if (!policy) return null;
+  const normalized = {};
+  for (const field of POLICY_FIELDS) {
+    normalized[field] = normalizeList(policy[field]);
+  }
+  return POLICY_FIELDS.some((field) => normalized[field].length > 0) ? normalized : null;
+}
+
+/**
+ * 工具是否命中策略条目（工具名或 category:分类）
+ * @param {string[]} entries
+ * @param {{ name: string, category?: string }} tool
+ * @returns {string | undefined} 命中的条目
+ */
+function matchEntry(entries, tool) {
+  return entries.find((entry) => entry === tool.name || (tool.category && entry === `category:${tool.category}`));
+}
+
+function expandPath(p) {
+  return p.startsWith('~') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+/**
+ * 解析为真实的绝对路径：相对路径以 baseDir 为根，符号链接解析到实际位置
+ * 路径尚不存在时（如 write_file 新建文件）解析最近的已存在上级目录，再拼回其余部分
+ * @param {string} targetPath
+ * @param {string} [baseDir] - 相对路径的根目录，默认为进程工作目录
+ * @returns {string}
+ */
+function resolveRealPath(targetPath, baseDir) {
+  const expanded = expandPath(targetPath);
+  const absolute = baseDir ? path.resolve(expandPath(baseDir), expanded) : path.resolve(expanded);
+  const rest = [];
+  let existing = absolute;
+  for (;;) {
+    try {
+      return path.join(fs.realpathSync.native(existing), ...rest);
+    } catch {
+      const parent = path.dirname(existing);
+      if (parent === existing) return absolute;
+      rest.unshift(path.basename(existing));
+      existing = parent;
+    }
+  }
+}
+
+/**
+ * 路径是否等于或位于目录之下（支持 ~，按真实路径比较，目录内指向外部的符号链接不算在内）
+ * @param {string} targetPath
+ * @param {string} dir
+ * @param {string} [baseDir] - 相对路径的根目录，默认为进程工作目录
+ * @returns {boolean}
+ */
+function isPathWithin(targetPath, dir, baseDir) {
+  const target = resolveRealPath(targetPath, baseDir);
+  const root = resolveRealPath(dir);
+  return target === root || target.startsWith(root + path.sep);
+}
+
+/**
+ * 把命令按 && || ; | & 换行拆成逐段命令
+ * @param {string} command
+ * @returns {string[]}
+ */
+function splitShellCommand(command) {
+  return command.split(/&&|\|\||[;|&\n]/).map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * 单段命令是否以前缀开头（按词匹配："git push" 匹配 "git push origin"，不匹配 "git pushx"）
+ * @param {string} segment
+ * @param {string} prefix
+ * @returns {boolean}
+ */
+function matchesCommandPrefix(segment, prefix) {
+  return segment === prefix || segment.startsWith(`${prefix} `);
+}
+
+/**
+ * 逐段检查无法覆盖的 shell 语法：
+ * 替换和参数展开会在白名单命令里执行或拼出其他命令，重定向可以写入任意文件
+ * 顺序即优先级，进程替换需先于普通重定向判断
+ */
+const UNSAFE_SHELL_SYNTAX = [
+  { pattern: /`|\$\(/, label: '命令替换（` 或 $()）' },
+  { pattern: /[<>]\(/, label: '进程替换（<() 或 >()）' },
+  { pattern: /[<>]/, label: '重定向（< 或 >）' },
+  { pattern: /\$\{/, label: '参数展开（${}）' },
+];
+
+/**
+ * 查找命令中逐段检查无法覆盖的 shell 语法
+ * @param {string} command
+ * @returns {string | null} 命中语法的说明，未命中返回 null
+ */
+function findUnsafeShellSyntax(command) {
+  const hit = UNSAFE_SHELL_SYNTAX.find(({ pattern }) => pattern.test(command));
+  return hit ? hit.label : null;
+}
+
+/**
+ * 检查路径是否在范围内
+ * @param {string} targetPath
+ * @param {string[]} scopes
+ * @param {string} [baseDir] - 相对路径的根目录（Agent 所在任务的 worktree）
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function checkPathScope(targetPath, scopes, baseDir) {
+  if (!targetPath || typeof targetPath !== 'string') {
+    return { allowed: false, reason: '未提供有效的路径参数' };
+  }
+  // 没有工作目录时，文件工具会把相对路径解析到应用自身的工作目录，无法按范围判断
+  if (!baseDir && !path.isAbsolute(expandPath(targetPath))) {
+    return { allowed: false, reason: `路径 "${targetPath}" 是相对路径，请使用绝对路径（允许: ${scopes.join(', ')}）` };
+  }
+  const inScope = scopes.some((scope) => isPathWithin(targetPath, scope, baseDir));
+  return inScope
+    ? { allowed: true }
+    : { allowed: false, reason: `路径 "${targetPath}" 不在你的工具策略允许的目录内（允许: ${scopes.join(', ')}）` };
+}
+
+/**
+ * 检查命令是否在白名单内：按 && || ; | & 换行拆分后，每一段都必须以白名单中的某个前缀开头
+ * @param {string} command
+ * @param {string[]} allowlist
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function checkShellAllowlist(command, allowlist) {
+  if (!command || typeof command !== 'string') {
+    return { allowed: false, reason: '未提供有效的命令参数' };
+  }
+  // 替换、重定向等可以绕过逐段检查，白名单模式下直接禁止
+  const unsafeSyntax = findUnsafeShellSyntax(command);
+  if (unsafeSyntax) {
+    return { allowed: false, reason: `命令白名单模式下不允许使用${unsafeSyntax}` };
+  }
+  for (const segment of splitShellCommand(command)) {
+    const allowed = allowlist.some((prefix) => matchesCommandPrefix(segment, prefix));
+    if (!allowed) {
+      return { allowed: false, reason: `命令 "${segment}" 不在你的命令白名单中（允许: ${allowlist.join(', ')}）` };
+    }
+  }
+  return { allowed: true };
+}
+
+/**
+ * 工具策略存储（单例）
+ */
+class ToolPolicyStore {
+  constructor() {
+    /** @type {{ agents: Object.<string, ToolPolicy>, departments: Object.<string, ToolPolicy>, levels: Object.<string, ToolPolicy> }} */
+    this.policies = { agents: {}, departments: {}, levels: {} };
+    this._loaded = false;
+  }
+
+  /**
+   * 重新初始化（切换公司后调用）
+   */
+  reinitialize() {
+    this._loaded = false;
+    this._load();
+  }
+
+  _load() {
+    this._loaded = true;
+    this.policies = { agents: {}, departments: {}, levels: {} };
+    if (!dataPath.isContextSet()) return;
+    try {
+      const file = getPoliciesFile();
+      if (!fs.existsSync(file)) return;
+      const parsed = JSON.parse(readTextSync(file));
+      for (const key of Object.values(SCOPE_KEYS)) {
+        for (const [target, policy] of Object.entries(parsed[key] || {})) {
+          const normalized = normalizePolicy(policy);
+          if (normalized) this.policies[key][target] = normalized;
+        }
+      }
+    } catch (error) {
+      logger.error('加载工具策略失败:', error);
+    }
+  }
+
+  _save() {
+    atomicWriteSync(getPoliciesFile(), JSON.stringify(this.policies, null, 2));
+  }
+
+  _ensureLoaded() {
+    if (!this._loaded) this._load();
+  }
+
+  /**
+   * 列出所有策略
+   * @returns {{ agents: Object.<string, ToolPolicy>, departments: Object.<string, ToolPolicy>, levels: Object.<string, ToolPolicy> }}
+   */
+  list() {
+    this._ensureLoaded();
+    return JSON.parse(JSON.stringify(this.policies));
+  }
+
+  /**
+   * 设置策略
+   * @param {'agent' | 'department' | 'level'} scope
+   * @param {string} target - Agent ID、部门 ID 或职级 ID
+   * @param {Partial<ToolPolicy> | null} policy - 传 null 或全部为空时删除该策略
+   * @returns {{ success: boolean, policy?: ToolPolicy | null, error?: string }}
+   */
+  setPolicy(scope, target, policy) {
+    this._ensureLoaded();
+    const key = SCOPE_KEYS[scope];
+    if (!key) {
+      return { success: false, error: `不支持的策略范围: ${scope}` };
+    }
+    if (!target) {
+      return { success: false, error: '策略目标不能为空' };
+    }
+    const { LEVELS, departmentStore, agentConfigStore } = require('./agent-config-store');
+    if (scope === 'level' && !Object.values(LEVELS).some((l) => l.id === target)) {
+      return { success: false, error: `职级不存在: ${target}` };
+    }
+    if (scope === 'department' && !departmentStore.exists(target)) {
+      return { success: false, error: `部门不存在: ${target}` };
+    }
+    if (scope === 'agent' && !agentConfigStore.get(target)) {
+      return { success: false, error: `Agent 不存在: ${target}` };
+    }
+
+    const normalized = normalizePolicy(policy);
+    if (normalized) {
+      this.policies[key][target] = normalized;
+    } else {
+      delete this.policies[key][target];
+    }
+    this._save();
+    logger.info(`设置工具策略 ${scope}:${target}`, normalized);
+    return { success: true, policy: normalized };
+  }
+
+  /**
+   * 获取 Agent 生效的工具策略
+   * @param {string} agentId
+   * @returns {EffectiveToolPolicy}
+   */
+  getEffectivePolicy(agentId) {
+    this._ensureLoaded();
+    const layers = [];
+    if (this.policies.agents[agentId]) {
+      layers.push({ source: 'agent', policy: this.policies.agents[agentId] });
+    }
+
+    const { agentConfigStore, getAgentDepartments } = require('./agent-config-store');
+    const config = agentConfigStore.get(agentId);
+    if (config) {
+      for (const deptId of getAgentDepartments(config)) {
+        if (this.policies.departments[deptId]) {
+          layers.push({ source: `department:${deptId}`, policy: this.policies.departments[deptId] });
+        }
+      }
+      if (config.level && this.policies.levels[config.level]) {
+        layers.push({ source: `level:${config.level}`, policy: this.policies.levels[config.level] });
+      }
+    }
+
+    /** @type {EffectiveToolPolicy} */
+    const effective = { allow: [], deny: [], pathScopes: [], shellAllowlist: [], sources: {} };
+    for (const field of ['allow', 'pathScopes', 'shellAllowlist']) {
+      const layer = layers.find((l) => l.policy[field].length > 0);
+      effective[field] = layer ? [...layer.policy[field]] : [];
+      effective.sources[field] = layer ? layer.source : null;
+    }
+    effective.deny = [...new Set(layers.flatMap((l) => l.policy.deny))];
+    effective.sources.deny = layers.filter((l) => l.policy.deny.length > 0).map((l) => l.source).join(', ') || null;
+    return effective;
+  }
+
+  /**
+   * 工具本身是否允许该 Agent 使用（决定工具 schema 中是否出现）
+   * @param {string} agentId
+   * @param {{ name: string, category?: string }} tool
+   * @param {EffectiveToolPolicy} [effective] - 批量判断时传入，避免重复计算
+   * @returns {{ allowed: boolean, reason?: string }}
+   */
+  isToolAllowed(agentId, tool, effective = this.getEffectivePolicy(agentId)) {
+    const denied = matchEntry(effective.deny, tool);
+    if (denied) {
+      return { allowed: false, reason: `工具 ${tool.name} 被你的工具策略禁止（${denied}）` };
+    }
+    if (effective.allow.length > 0 && !matchEntry(effective.allow, tool)) {
+      return { allowed: false, reason: `工具 ${tool.name} 不在你的工具策略允许范围内` };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * 过滤 Agent 可见的工具定义
+   * @param {string} agentId
+   * @param {Array<{ name: string, category?: string }>} tools
+   * @returns {Array}
+   */
+  filterTools(agentId, tools) {
+    const effective = this.getEffectivePolicy(agentId);
+    return tools.filter((tool) => this.isToolAllowed(agentId, tool, effective).allowed);
+  }
+
+  /**
+   * 检查一次工具调用（工具本身 + 路径范围 + 命令白名单）
+   * @param {string} agentId
+   * @param {{ name: string, category?: string }} tool
+   * @param {Object} args - 归一化后的参数
+   * @param {Object} [options]
+   * @param {string} [options.baseDir] - 相对路径的根目录（Agent 所在任务的 worktree）
+   * @returns {{ allowed: boolean, reason?: string }}
+   */
+  checkToolCall(agentId, tool, args = {}, options = {}) {
+    const effective = this.getEffectivePolicy(agentId);
+    const toolCheck = this.isToolAllowed(agentId, tool, effective);
+    if (!toolCheck.allowed) return toolCheck;
+
+    if (effective.pathScopes.length > 0 && PATH_SCOPED_TOOLS.includes(tool.name)) {
+      return checkPathScope(args.path, effective.pathScopes, options.baseDir);
+    }
+    if (effective.shellAllowlist.length > 0 && SHELL_TOOLS.includes(tool.name)) {
+      return checkShellAllowlist(args.command, effective.shellAllowlist);
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * 生成注入提示词的策略说明（无额外限制时返回空字符串）
+   * @param {string} agentId
+   * @returns {string}
+   */
+  describe(agentId) {
+    const effective = this.getEffectivePolicy(agentId);
+    const lines = [];
+    if (effective.pathScopes.length > 0) {
+      lines.push(`- 你的文件操作只能在以下目录内：${effective.pathScopes.join('、')}`);
+    }
+    if (effective.shellAllowlist.length > 0) {
+      lines.push(`- 你只能执行以下开头的命令：${effective.shellAllowlist.join('、')}`);
+    }
+    return lines.length > 0 ? ['【你的工具策略】', ...lines].join('\n') : '';
+  }
+}
+
+// 单例
+const toolPolicyStore = new ToolPolicyStore();
+
+module.exports = {
+  ToolPolicyStore,
+  toolPolicyStore,
+  checkShellAllowlist,
+  checkPathScope,
+  isPathWithin,
+  splitShellCommand,
+  matchesCommandPrefix,
+  findUnsafeShellSyntax,
+  matchEntry,
+  PATH_SCOPED_TOOLS,
+  SHELL_TOOLS,
+};
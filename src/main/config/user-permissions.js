@@ -14,11 +14,19 @@ const path = require('path');
  * @property {boolean} writeConfirm - 写入时是否需要确认
  */
 
+/**
+ * @typedef {Object} ShellSandboxSettings
+ * @property {string[]} agents - 在沙箱中执行 Shell 命令的 Agent ID 列表
+ * @property {number} memoryLimitMb - 沙箱内进程的内存（数据段，RLIMIT_DATA）上限
+ * @property {number} cpuTimeSeconds - 沙箱内 shell 命令的 CPU 时间上限（process_start 启动的后台进程不受限）
+ */
+
 /**
  * @typedef {Object} ShellPermissions
  * @property {boolean} enabled - 是否允许 Shell 命令
  * @property {string[]} blacklist - 禁止的命令模式
  * @property {boolean} confirmEach - 每次执行是否需要确认
+ * @property {ShellSandboxSettings} sandbox - 沙箱隔离执行（仅 Linux）
  */
 
 /**
@@ -72,6 +80,11 @@ function getDefaultPermissions() {
         'init 6',
       ],
       confirmEach: true,
+      sandbox: {
+        agents: [],
+        memoryLimitMb: 2048,
+        cpuTimeSeconds: 300,
+      },
     },
     network: {
       searchEnabled: false,
@@ -83,6 +96,17 @@ function getDefaultPermissions() {
   };
 }
 
+/**
+ * 取正整数，无效时返回默认值
+ * @param {*} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
 /**
  * 验证权限配置
  * @param {Partial<UserPermissions>} permissions
@@ -105,6 +129,13 @@ function validatePermissions(permissions = {}) {
         ? [...new Set([...defaults.shell.blacklist, ...permissions.shell.blacklist])]
         : defaults.shell.blacklist,
       confirmEach: permissions.shell?.confirmEach ?? defaults.shell.confirmEach,
+      sandbox: {
+        agents: Array.isArray(permissions.shell?.sandbox?.agents)
+          ? [...new Set(permissions.shell.sandbox.agents.filter((id) => typeof id === 'string'))]
+          : defaults.shell.sandbox.agents,
+        memoryLimitMb: positiveInt(permissions.shell?.sandbox?.memoryLimitMb, defaults.shell.sandbox.memoryLimitMb),
+        cpuTimeSeconds: positiveInt(permissions.shell?.sandbox?.cpuTimeSeconds, defaults.shell.sandbox.cpuTimeSeconds),
+      },
     },
     network: {
       searchEnabled: Boolean(permissions.network?.searchEnabled),
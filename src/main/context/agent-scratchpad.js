@@ -15,6 +15,7 @@ const path = require('path');
 const { dataPath } = require('../account/data-path');
 const { atomicWriteSync } = require('../utils/atomic-write');
 const { logger } = require('../utils/logger');
+const { readTextSync } = require('../storage/encrypted-storage');
 
 /**
  * 暂存区数据保留的最大条目数
@@ -79,7 +80,7 @@ class AgentScratchpad {
     try {
       const filePath = this._getFilePath();
       if (fs.existsSync(filePath)) {
-        const content = fs.readFileSync(filePath, 'utf-8');
+        const content = readTextSync(filePath);
         const loaded = JSON.parse(content);
         // 合并加载的数据，保持默认结构
         this.data = {
@@ -15,6 +15,7 @@ const path = require('path');
 const { dataPath } = require('../account/data-path');
 const { atomicWriteSync } = require('../utils/atomic-write');
 const { logger } = require('../utils/logger');
+const { readTextSync } = require('../storage/encrypted-storage');
 
 /**
  * 虚拟文件外部化阈值（字符数）
@@ -92,7 +93,7 @@ class VirtualFileStore {
     try {
       const indexPath = path.join(getVirtualFilesDir(), 'index.json');
       if (fs.existsSync(indexPath)) {
-        const data = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+        const data = JSON.parse(readTextSync(indexPath));
         for (const [id, meta] of Object.entries(data)) {
           this._index.set(id, meta);
         }
@@ -184,7 +185,7 @@ class VirtualFileStore {
     }
 
     try {
-      const content = fs.readFileSync(filePath, 'utf-8');
+      const content = readTextSync(filePath);
 
       // 更新读取计数
       meta.readCount = (meta.readCount || 0) + 1;
@@ -4,9 +4,29 @@
  * @module git/branch-manager
  */
 
+const fs = require('fs');
+const path = require('path');
 const { WorkspaceManager } = require('./workspace-manager');
+const { validateRefName } = require('./git-runner');
 const { logger } = require('../utils/logger');
 
+/**
+ * Worktree 配置
+ * dirName：任务 worktree 所在目录（相对仓库根目录，放在仓库内以沿用文件访问权限，并写入 .git/info/exclude）
+ */
+const WORKTREE_CONFIG = {
+  dirName: process.env.GIT_WORKTREE_DIR || '.worktrees',
+};
+
+/**
+ * @typedef {Object} WorktreeInfo
+ * @property {string} path - worktree 路径
+ * @property {string | null} head - 当前提交
+ * @property {string | null} branch - 检出的分支（分离 HEAD 时为 null）
+ * @property {boolean} isMain - 是否为主工作区
+ * @property {boolean} prunable - 目录已不存在，可清理
+ */
+
 /**
  * 分支管理器
  */
@@ -22,10 +42,8 @@ class BranchManager extends WorkspaceManager {
   async createBranch(branchName, options = {}) {
     const { baseBranch, checkout = true } = options;
 
-    // 验证分支名称
-    if (!/^[a-zA-Z0-9._/-]+$/.test(branchName)) {
-      throw new Error('分支名称只能包含字母、数字、点、下划线、斜杠和连字符');
-    }
+    validateRefName(branchName);
+    if (baseBranch) validateRefName(baseBranch, '基础分支');
 
     // 检查分支是否已存在
     const status = await this.getStatus();
@@ -36,14 +54,14 @@ class BranchManager extends WorkspaceManager {
 
     // 如果指定了基础分支，先切换过去
     if (baseBranch && status.currentBranch !== baseBranch) {
-      await this.git(`checkout ${baseBranch}`);
+      await this.git(['checkout', baseBranch, '--']);
     }
 
     // 创建分支
     if (checkout) {
-      await this.git(`checkout -b ${branchName}`);
+      await this.git(['checkout', '-b', branchName]);
     } else {
-      await this.git(`branch ${branchName}`);
+      await this.git(['branch', branchName]);
     }
 
     logger.info(`创建分支: ${branchName}`, { baseBranch, checkout });
@@ -56,7 +74,7 @@ class BranchManager extends WorkspaceManager {
    * @returns {Promise<{ success: boolean, branch: string }>}
    */
   async checkoutBranch(branchName) {
-    await this.git(`checkout ${branchName}`);
+    await this.git(['checkout', validateRefName(branchName), '--']);
     logger.info(`切换到分支: ${branchName}`);
     return { success: true, branch: branchName };
   }
@@ -70,8 +88,7 @@ class BranchManager extends WorkspaceManager {
    */
   async deleteBranch(branchName, options = {}) {
     const { force = false } = options;
-    const flag = force ? '-D' : '-d';
-    await this.git(`branch ${flag} ${branchName}`);
+    await this.git(['branch', force ? '-D' : '-d', validateRefName(branchName)]);
     logger.info(`删除分支: ${branchName}`);
     return { success: true };
   }
@@ -81,18 +98,14 @@ class BranchManager extends WorkspaceManager {
    * @returns {Promise<Array<{ name: string, isCurrent: boolean, lastCommit?: string }>>}
    */
   async listBranches() {
-    const output = await this.git('branch -v --no-color');
+    const output = await this.git(['branch', '--list', '--format=%(HEAD)%09%(refname:short)%09%(objectname:short)']);
     const branches = [];
 
     for (const line of output.split('\n')) {
       if (!line.trim()) continue;
 
-      const isCurrent = line.startsWith('*');
-      const parts = line.replace(/^\*?\s*/, '').split(/\s+/);
-      const name = parts[0];
-      const lastCommit = parts[1];
-
-      branches.push({ name, isCurrent, lastCommit });
+      const [head, name, lastCommit] = line.split('\t');
+      branches.push({ name, isCurrent: head === '*', lastCommit });
     }
 
     return branches;
@@ -114,14 +127,14 @@ class BranchManager extends WorkspaceManager {
       await this.checkoutBranch(targetBranch);
     }
 
-    const squashFlag = squash ? '--squash' : '';
-    const output = await this.git(`merge ${squashFlag} ${sourceBranch}`);
+    validateRefName(sourceBranch, '源分支');
+    const output = await this.git(['merge', '--no-edit', ...(squash ? ['--squash'] : []), sourceBranch]);
 
     if (squash) {
       // squash 合并需要手动提交
       const status = await this.getStatus();
       if (status.hasChanges) {
-        await this.git(`commit -m "Merge branch '${sourceBranch}' (squashed)"`);
+        await this.commit(`Merge branch '${sourceBranch}' (squashed)`);
       }
     }
 
@@ -141,12 +154,119 @@ class BranchManager extends WorkspaceManager {
     return this.createBranch(branchName, options);
   }
 
+  /**
+   * 分支对应的 worktree 路径（分支名中的 / 替换为 --）
+   * @param {string} branchName
+   * @returns {string}
+   */
+  getWorktreePath(branchName) {
+    return path.join(this.workspacePath, WORKTREE_CONFIG.dirName, branchName.replace(/\//g, '--'));
+  }
+
+  /**
+   * 列出仓库的所有 worktree（第一项为主工作区）
+   * @returns {Promise<WorktreeInfo[]>}
+   */
+  async listWorktrees() {
+    const output = await this.git(['worktree', 'list', '--porcelain']);
+    const worktrees = [];
+    for (const block of output.split(/\n\s*\n/)) {
+      const info = { path: null, head: null, branch: null, isMain: worktrees.length === 0, prunable: false };
+      for (const line of block.split('\n')) {
+        const [key, ...rest] = line.trim().split(' ');
+        const value = rest.join(' ');
+        if (key === 'worktree') info.path = value;
+        else if (key === 'HEAD') info.head = value;
+        else if (key === 'branch') info.branch = value.replace(/^refs\/heads\//, '');
+        else if (key === 'prunable') info.prunable = true;
+      }
+      if (info.path) worktrees.push(info);
+    }
+    return worktrees;
+  }
+
+  /**
+   * 把 worktree 目录加入仓库本地的 .git/info/exclude，避免主工作区把它显示为未跟踪文件
+   */
+  async _excludeWorktreeDir() {
+    const commonDir = path.resolve(this.workspacePath, await this.git(['rev-parse', '--git-common-dir']));
+    const excludeFile = path.join(commonDir, 'info', 'exclude');
+    const entry = `/${WORKTREE_CONFIG.dirName}/`;
+    const content = fs.existsSync(excludeFile) ? fs.readFileSync(excludeFile, 'utf-8') : '';
+    if (content.split('\n').includes(entry)) return;
+    fs.mkdirSync(path.dirname(excludeFile), { recursive: true });
+    fs.appendFileSync(excludeFile, `${content && !content.endsWith('\n') ? '\n' : ''}${entry}\n`);
+  }
+
+  /**
+   * 为分支创建 worktree（分支不存在时基于 baseBranch 新建）；已有 worktree 时直接返回
+   * @param {string} branchName
+   * @param {Object} [options]
+   * @param {string} [options.baseBranch] - 新建分支的起点（默认主工作区当前 HEAD）
+   * @returns {Promise<{ path: string, branch: string, created: boolean }>}
+   */
+  async addWorktree(branchName, options = {}) {
+    validateRefName(branchName);
+    if (options.baseBranch) validateRefName(options.baseBranch, '基础分支');
+
+    const existing = (await this.listWorktrees()).find((w) => w.branch === branchName && !w.prunable);
+    if (existing) {
+      return { path: existing.path, branch: branchName, created: false };
+    }
+
+    await this._excludeWorktreeDir();
+    // 目录被手动删除但仍登记在案的 worktree 会阻止重新创建，先清理
+    await this.git(['worktree', 'prune']);
+
+    const worktreePath = this.getWorktreePath(branchName);
+    const branches = await this.listBranches();
+    if (branches.some((b) => b.name === branchName)) {
+      await this.git(['worktree', 'add', worktreePath, branchName]);
+    } else {
+      await this.git(['worktree', 'add', '-b', branchName, worktreePath, ...(options.baseBranch ? [options.baseBranch] : [])]);
+    }
+
+    logger.info(`创建 worktree: ${branchName}`, { path: worktreePath });
+    return { path: worktreePath, branch: branchName, created: true };
+  }
+
+  /**
+   * 删除 worktree（分支保留）
+   * @param {string} worktreePath
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - 丢弃未提交的更改
+   * @returns {Promise<{ success: boolean }>}
+   */
+  async removeWorktree(worktreePath, options = {}) {
+    const { force = false } = options;
+    await this.git(['worktree', 'remove', ...(force ? ['--force'] : []), worktreePath]);
+    await this.git(['worktree', 'prune']);
+    logger.info(`删除 worktree: ${worktreePath}`, { force });
+    return { success: true };
+  }
+
+  /**
+   * 删除检出指定分支的 worktree（没有时什么也不做）
+   * @param {string} branchName
+   * @param {Object} [options]
+   * @param {boolean} [options.force]
+   * @returns {Promise<{ success: boolean, removed: boolean }>}
+   */
+  async removeWorktreeForBranch(branchName, options = {}) {
+    const worktree = (await this.listWorktrees()).find((w) => !w.isMain && w.branch === branchName);
+    if (!worktree) {
+      return { success: true, removed: false };
+    }
+    await this.removeWorktree(worktree.path, options);
+    return { success: true, removed: true };
+  }
+
   /**
    * 获取当前分支名
    * @returns {Promise<string>}
    */
   async getCurrentBranch() {
-    return this.git('rev-parse --abbrev-ref HEAD');
+    return this.git(['rev-parse', '--abbrev-ref', 'HEAD']);
   }
 
   /**
@@ -159,4 +279,4 @@ class BranchManager extends WorkspaceManager {
   }
 }
 
-module.exports = { BranchManager };
+module.exports = { BranchManager, WORKTREE_CONFIG };
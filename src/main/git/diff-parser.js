@@ -0,0 +1,170 @@
+/**
+ * SoloForge - 统一 diff 解析
+ * 把 git diff 输出解析为按文件、hunk 组织的结构，供 PR 行级评论定位和前端 diff 查看器使用
+ * @module git/diff-parser
+ */
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {'add' | 'del' | 'context'} type
+ * @property {string} content - 行内容（不含 +/-/空格 前缀）
+ * @property {number | null} oldLine - 在目标分支文件中的行号（新增行为 null）
+ * @property {number | null} newLine - 在源分支文件中的行号（删除行为 null）
+ */
+
+/**
+ * @typedef {Object} DiffHunk
+ * @property {string} header - @@ 行
+ * @property {number} oldStart
+ * @property {number} newStart
+ * @property {DiffLine[]} lines
+ */
+
+/**
+ * @typedef {Object} DiffFile
+ * @property {string} path - 文件路径（删除的文件为旧路径）
+ * @property {string | null} oldPath
+ * @property {string | null} newPath
+ * @property {'added' | 'deleted' | 'modified' | 'renamed'} status
+ * @property {boolean} binary
+ * @property {DiffHunk[]} hunks
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+/**
+ * 去掉 diff 路径的 a/ b/ 前缀；/dev/null 返回 null
+ * @param {string} raw
+ * @returns {string | null}
+ */
+function stripPathPrefix(raw) {
+  const value = raw.trim().replace(/^"(.*)"$/, '$1');
+  if (value === '/dev/null') return null;
+  return value.replace(/^[ab]\//, '');
+}
+
+/**
+ * 解析统一 diff
+ * @param {string} diffText - git diff 输出
+ * @returns {DiffFile[]}
+ */
+function parseUnifiedDiff(diffText) {
+  /** @type {DiffFile[]} */
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of (diffText || '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      file = {
+        path: match ? match[2] : '',
+        oldPath: match ? match[1] : null,
+        newPath: match ? match[2] : null,
+        status: 'modified',
+        binary: false,
+        hunks: [],
+      };
+      files.push(file);
+      hunk = null;
+      continue;
+    }
+    if (!file) continue;
+
+    if (!hunk) {
+      // 文件头部（hunk 之前）
+      if (line.startsWith('new file mode')) file.status = 'added';
+      else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+      else if (line.startsWith('rename from ')) file.status = 'renamed';
+      else if (line.startsWith('Binary files')) file.binary = true;
+      else if (line.startsWith('--- ')) file.oldPath = stripPathPrefix(line.slice(4));
+      else if (line.startsWith('+++ ')) {
+        file.newPath = stripPathPrefix(line.slice(4));
+        file.path = file.newPath || file.oldPath;
+      }
+    }
+
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      oldLine = Number(header[1]);
+      newLine = Number(header[2]);
+      hunk = { header: line, oldStart: oldLine, newStart: newLine, lines: [] };
+      file.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk) continue;
+
+    if (line.startsWith('+')) {
+      hunk.lines.push({ type: 'add', content: line.slice(1), oldLine: null, newLine: newLine++ });
+    } else if (line.startsWith('-')) {
+      hunk.lines.push({ type: 'del', content: line.slice(1), oldLine: oldLine++, newLine: null });
+    } else if (line.startsWith(' ')) {
+      hunk.lines.push({ type: 'context', content: line.slice(1), oldLine: oldLine++, newLine: newLine++ });
+    }
+    // "\ No newline at end of file" 等其他行忽略
+  }
+
+  return files;
+}
+
+/**
+ * 取 diff 中某个文件一侧的连续行（行号须全部出现在 diff 中）
+ * @param {DiffFile[]} files
+ * @param {string} filePath
+ * @param {'old' | 'new'} side - new 为源分支（新增 / 上下文行），old 为目标分支（删除 / 上下文行）
+ * @param {number} startLine
+ * @param {number} [endLine] - 默认与 startLine 相同
+ * @returns {string[] | null} 行内容；任一行不在 diff 中时返回 null
+ */
+function getDiffLines(files, filePath, side, startLine, endLine = startLine) {
+  const file = files.find((f) => f.path === filePath || f.newPath === filePath || f.oldPath === filePath);
+  if (!file || endLine < startLine) return null;
+  const key = side === 'old' ? 'oldLine' : 'newLine';
+  const byLine = new Map();
+  for (const hunk of file.hunks) {
+    for (const line of hunk.lines) {
+      if (line[key] != null) byLine.set(line[key], line.content);
+    }
+  }
+  const result = [];
+  for (let n = startLine; n <= endLine; n++) {
+    if (!byLine.has(n)) return null;
+    result.push(byLine.get(n));
+  }
+  return result;
+}
+
+/**
+ * 把解析后的 diff 渲染为带行号的文本，便于 Agent 按行号发表评论
+ * 每行格式：`旧行号 新行号 |±内容`，缺失的一侧留空
+ * @param {DiffFile[]} files
+ * @returns {string}
+ */
+function formatNumberedDiff(files) {
+  const pad = (n) => String(n ?? '').padStart(5);
+  const out = [];
+  for (const file of files) {
+    const label = file.status === 'renamed' ? `${file.oldPath} → ${file.newPath}` : file.path;
+    out.push(`=== ${label} (${file.status})`);
+    if (file.binary) {
+      out.push('（二进制文件）');
+      continue;
+    }
+    for (const hunk of file.hunks) {
+      out.push(hunk.header);
+      for (const line of hunk.lines) {
+        const mark = line.type === 'add' ? '+' : line.type === 'del' ? '-' : ' ';
+        out.push(`${pad(line.oldLine)} ${pad(line.newLine)} |${mark}${line.content}`);
+      }
+    }
+  }
+  return out.join('\n');
+}
+
+module.exports = {
+  parseUnifiedDiff,
+  getDiffLines,
+  formatNumberedDiff,
+};
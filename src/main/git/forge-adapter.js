@@ -0,0 +1,125 @@
+/**
+ * SoloForge - 远程代码托管平台（Forge）适配器抽象基类
+ * 定义把本地 PR 同步到 GitHub / Gitea / GitLab 等平台所需的统一接口。
+ * 本地 PR 记录始终是权威数据，适配器只负责把本地发生的操作镜像到远程
+ * @module git/forge-adapter
+ */
+
+const { WorkspaceManager } = require('./workspace-manager');
+const { validateRefName, validateRevision } = require('./git-runner');
+
+/**
+ * @typedef {Object} ForgeConfig
+ * @property {string} repoPath - 本地仓库主工作区路径
+ * @property {string} type - 平台类型，如 gitea
+ * @property {string} baseUrl - 平台地址，如 http://localhost:3000
+ * @property {string} owner - 远程仓库所属用户 / 组织
+ * @property {string} repo - 远程仓库名
+ * @property {string} [token] - 访问令牌（明文保存在本地配置）
+ * @property {string} [tokenEnv] - 从环境变量读取访问令牌的变量名
+ * @property {string} remote - 推送分支使用的 git remote 名称
+ * @property {boolean} enabled
+ */
+
+/**
+ * @typedef {Object} RemotePullRequest
+ * @property {number} number - 远程 PR 编号
+ * @property {string} url - 网页地址
+ * @property {'open' | 'closed'} state
+ * @property {boolean} merged
+ */
+
+/**
+ * @typedef {Object} RemoteReviewComment
+ * @property {string} path - 文件路径
+ * @property {number} line - 行号
+ * @property {'new' | 'old'} side - 行号所在一侧（同 PR 评论线程）
+ * @property {string} body
+ */
+
+class ForgeAdapter {
+  /**
+   * @param {ForgeConfig} config
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * 访问令牌（配置优先，其次环境变量）
+   * @returns {string}
+   */
+  getToken() {
+    return this.config.token || (this.config.tokenEnv ? process.env[this.config.tokenEnv] || '' : '');
+  }
+
+  /**
+   * 推送提交到远程分支（通过仓库配置的 git remote，使用系统已有的 git 凭据）
+   * @param {string} ref - 本地分支名或提交
+   * @param {string} branch - 远程分支名
+   * @returns {Promise<void>}
+   */
+  async pushRef(ref, branch) {
+    const repo = new WorkspaceManager(this.config.repoPath);
+    validateRevision(ref);
+    validateRefName(branch);
+    await repo.git(['push', this.config.remote, `${ref}:refs/heads/${branch}`]);
+  }
+
+  /**
+   * 检查连接和令牌
+   * @returns {Promise<{ ok: boolean, user?: string, error?: string }>}
+   */
+  async testConnection() {
+    throw new Error('testConnection() must be implemented by subclass');
+  }
+
+  /**
+   * 创建远程 PR
+   * @param {{ title: string, body: string, head: string, base: string }} params
+   * @returns {Promise<RemotePullRequest>}
+   */
+  async createPullRequest(params) {
+    throw new Error('createPullRequest() must be implemented by subclass');
+  }
+
+  /**
+   * 获取远程 PR
+   * @param {number} number
+   * @returns {Promise<RemotePullRequest>}
+   */
+  async getPullRequest(number) {
+    throw new Error('getPullRequest() must be implemented by subclass');
+  }
+
+  /**
+   * 提交审核（可附带行级评论）
+   * @param {number} number
+   * @param {{ event: 'approve' | 'request_changes' | 'comment', body: string, comments?: RemoteReviewComment[] }} review
+   * @returns {Promise<void>}
+   */
+  async submitReview(number, review) {
+    throw new Error('submitReview() must be implemented by subclass');
+  }
+
+  /**
+   * 把已在本地合并（并推送了目标分支）的 PR 标记为已合并
+   * @param {number} number
+   * @param {{ mergeCommit: string }} params
+   * @returns {Promise<void>}
+   */
+  async markMerged(number, params) {
+    throw new Error('markMerged() must be implemented by subclass');
+  }
+
+  /**
+   * 关闭远程 PR
+   * @param {number} number
+   * @returns {Promise<void>}
+   */
+  async closePullRequest(number) {
+    throw new Error('closePullRequest() must be implemented by subclass');
+  }
+}
+
+module.exports = { ForgeAdapter };
@@ -0,0 +1,338 @@
+/**
+ * SoloForge - PR 远程同步
+ *
+ * 本地 PR 记录是权威数据：PRManager 在创建、审核、评论、合并、关闭 PR 时，
+ * 若仓库配置了远程平台（见 config/forge-config-store），就把操作追加到 pr.remote.pending，
+ * 由这里按顺序回放到远程。远程不可用时操作留在队列中，之后定时重试；
+ * 远程的状态只用于展示（编号、链接），不会反向覆盖本地记录。
+ *
+ * 行级评论线程的解决状态只在本地维护；打开的 PR 每次同步时会推送源分支，
+ * 使 Agent 后续的提交也出现在远程 PR 中。
+ * @module git/forge-sync
+ */
+
+const { PRManager } = require('./pr-manager');
+const { WorkspaceManager } = require('./workspace-manager');
+const { GiteaAdapter } = require('./gitea-adapter');
+const { validateRefName } = require('./git-runner');
+const { forgeConfigStore } = require('../config/forge-config-store');
+const { dataPath } = require('../account/data-path');
+const { logger } = require('../utils/logger');
+
+const FORGE_SYNC_CONFIG = {
+  /** 重试未完成操作的间隔 */
+  retryIntervalMs: Number(process.env.FORGE_SYNC_INTERVAL_MS) || 5 * 60 * 1000,
+  /** 启动后首次同步的延迟 */
+  initialDelayMs: 60 * 1000,
+};
+
+/** 平台类型 → 适配器 */
+const ADAPTERS = {
+  gitea: GiteaAdapter,
+};
+
+/**
+ * @typedef {Object} RemoteOp
+ * @property {string} id
+ * @property {'create' | 'review' | 'comment' | 'merge' | 'close'} type
+ * @property {Object} payload
+ * @property {string} queuedAt
+ * @property {number} attempts - 已失败的次数
+ */
+
+/**
+ * @typedef {Object} PRRemoteState
+ * @property {string} forge - 平台类型
+ * @property {number} [number] - 远程 PR 编号（创建成功后才有）
+ * @property {string} [url]
+ * @property {'open' | 'closed'} [state]
+ * @property {boolean} [merged]
+ * @property {RemoteOp[]} pending - 尚未同步的操作（按发生顺序）
+ * @property {string} [lastError]
+ * @property {string} [lastErrorAt]
+ * @property {string} [syncedAt]
+ */
+
+const OP_LABELS = {
+  create: '创建 PR',
+  review: '审核',
+  comment: '行级评论',
+  merge: '合并',
+  close: '关闭',
+};
+
+const REVIEW_LABELS = { approve: '批准了此 PR', request_changes: '要求修改', comment: '发表了评论' };
+
+/**
+ * 创建平台适配器
+ * @param {import('./forge-adapter').ForgeConfig} config
+ * @returns {import('./forge-adapter').ForgeAdapter}
+ */
+function createForgeAdapter(config) {
+  const Adapter = ADAPTERS[config.type];
+  if (!Adapter) {
+    throw new Error(`不支持的平台类型: ${config.type}`);
+  }
+  return new Adapter(config);
+}
+
+/**
+ * 操作者的显示名称（远程平台上所有操作都来自同一个令牌账号，在正文中注明实际操作者）
+ * @param {string} agentId
+ * @returns {string}
+ */
+function getDisplayName(agentId) {
+  if (agentId === 'boss') return '老板';
+  try {
+    const { agentConfigStore } = require('../config/agent-config-store');
+    return agentConfigStore.get(agentId)?.name || agentId;
+  } catch {
+    return agentId;
+  }
+}
+
+/**
+ * 要推送的提交：分支仍存在时推送分支最新提交，否则推送记录的提交
+ * @param {WorkspaceManager} repo
+ * @param {string} branch
+ * @param {string} [sha]
+ * @returns {Promise<string>}
+ */
+async function resolvePushRef(repo, branch, sha) {
+  try {
+    await repo.git(['rev-parse', '--verify', '--quiet', `refs/heads/${validateRefName(branch)}`]);
+    return branch;
+  } catch {
+    if (sha) return sha;
+    throw new Error(`分支 ${branch} 已不存在，无法推送`);
+  }
+}
+
+class ForgeSync {
+  constructor() {
+    this._queue = Promise.resolve();
+    this.timer = null;
+    this.initialTimer = null;
+  }
+
+  /**
+   * 串行执行同步任务，避免同一个 PR 的操作被重复回放
+   * @param {() => Promise<any>} task
+   * @returns {Promise<any>}
+   */
+  _exclusive(task) {
+    const run = this._queue.then(task, task);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * 启动定时重试
+   */
+  startSchedule() {
+    this.stopSchedule();
+    this.initialTimer = setTimeout(() => {
+      this.initialTimer = null;
+      this.syncAll().catch((error) => logger.warn('PR 远程同步失败:', error.message));
+    }, FORGE_SYNC_CONFIG.initialDelayMs);
+    this.timer = setInterval(() => {
+      this.syncAll().catch((error) => logger.warn('PR 远程同步失败:', error.message));
+    }, FORGE_SYNC_CONFIG.retryIntervalMs);
+    logger.info('PR 远程同步调度已启动');
+  }
+
+  /**
+   * 停止定时重试
+   */
+  stopSchedule() {
+    if (this.initialTimer) {
+      clearTimeout(this.initialTimer);
+      this.initialTimer = null;
+    }
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 在后台同步 PR（本地操作完成后调用，失败只记录到 pr.remote.lastError）
+   * @param {string} repoPath
+   * @param {string} prId
+   */
+  requestSync(repoPath, prId) {
+    this.syncPR(repoPath, prId).catch((error) => {
+      logger.warn('PR 远程同步失败:', { prId, error: error.message });
+    });
+  }
+
+  /**
+   * 同步单个 PR
+   * @param {string} repoPath - PR 所在仓库
+   * @param {string} prId
+   * @returns {Promise<PRRemoteState | null>} 未镜像到远程的 PR 返回 null
+   */
+  syncPR(repoPath, prId) {
+    return this._exclusive(() => this._syncPR(repoPath, prId));
+  }
+
+  /**
+   * 同步当前公司所有有待同步操作或仍打开的远程 PR
+   * @returns {Promise<{ synced: number, failed: number }>}
+   */
+  syncAll() {
+    return this._exclusive(async () => {
+      if (!dataPath.isContextSet()) return { synced: 0, failed: 0 };
+      // PR 数据按公司保存，与传入的路径无关
+      const prs = new PRManager(dataPath.getBasePath()).listPRs().filter((pr) =>
+        pr.remote && (pr.remote.pending?.length > 0 || (pr.remote.number && ['open', 'approved'].includes(pr.status)))
+      );
+      let synced = 0;
+      let failed = 0;
+      for (const pr of prs) {
+        const remote = await this._syncPR(pr.repoPath, pr.id);
+        if (remote?.lastError) {
+          failed++;
+        } else {
+          synced++;
+        }
+      }
+      return { synced, failed };
+    });
+  }
+
+  async _syncPR(repoPath, prId) {
+    const companyPath = dataPath.getBasePath();
+    const manager = new PRManager(repoPath);
+    let pr = manager.getPR(prId);
+    if (!pr?.remote) return null;
+    const config = forgeConfigStore.getRepoConfig(pr.repoPath || repoPath, { enabledOnly: true });
+    if (!config) return pr.remote;
+    const adapter = createForgeAdapter(config);
+
+    /** 写回远程状态：期间 PR 可能被其他操作修改，先重新加载；切换公司后放弃 */
+    const update = (mutate) => {
+      if (dataPath.getBasePath() !== companyPath) {
+        throw new Error('公司已切换，停止同步');
+      }
+      manager.prs = manager.loadPRs();
+      const latest = manager.getPR(prId);
+      if (!latest?.remote) {
+        throw new Error(`PR "${prId}" 的远程记录不存在`);
+      }
+      mutate(latest.remote);
+      manager.savePRs();
+      return latest;
+    };
+    const recordError = (message) => update((remote) => {
+      remote.lastError = message;
+      remote.lastErrorAt = new Date().toISOString();
+    });
+
+    while (pr.remote.pending.length > 0) {
+      const op = pr.remote.pending[0];
+      let patch;
+      try {
+        patch = await this._applyOp(adapter, pr, op);
+      } catch (error) {
+        logger.warn('PR 远程同步操作失败:', { prId, op: op.type, error: error.message });
+        return update((remote) => {
+          const queued = remote.pending.find((o) => o.id === op.id);
+          if (queued) queued.attempts = (queued.attempts || 0) + 1;
+          remote.lastError = `${OP_LABELS[op.type]}: ${error.message}`;
+          remote.lastErrorAt = new Date().toISOString();
+        }).remote;
+      }
+      pr = update((remote) => {
+        remote.pending = remote.pending.filter((o) => o.id !== op.id);
+        Object.assign(remote, patch);
+        delete remote.lastError;
+        delete remote.lastErrorAt;
+        remote.syncedAt = new Date().toISOString();
+      });
+      logger.info('PR 远程同步:', { prId, op: op.type, number: pr.remote.number });
+    }
+
+    // 打开的 PR：推送源分支上的新提交
+    if (pr.remote.number && (pr.status === 'open' || pr.status === 'approved')) {
+      try {
+        const repo = new WorkspaceManager(config.repoPath);
+        await adapter.pushRef(await resolvePushRef(repo, pr.sourceBranch), pr.sourceBranch);
+      } catch (error) {
+        logger.warn('推送 PR 源分支失败:', { prId, error: error.message });
+        return recordError(`推送源分支: ${error.message}`).remote;
+      }
+    }
+    return pr.remote;
+  }
+
+  /**
+   * 回放单个操作
+   * @param {import('./forge-adapter').ForgeAdapter} adapter
+   * @param {import('./pr-manager').PullRequest} pr
+   * @param {RemoteOp} op
+   * @returns {Promise<Partial<PRRemoteState>>} 需要写回 pr.remote 的字段
+   */
+  async _applyOp(adapter, pr, op) {
+    const { payload } = op;
+    const { number } = pr.remote;
+    if (op.type !== 'create' && !number) {
+      throw new Error('远程 PR 尚未创建');
+    }
+    const repo = new WorkspaceManager(adapter.config.repoPath);
+
+    switch (op.type) {
+      case 'create': {
+        // 上次创建成功但写回前中断时不再重复创建
+        if (number) return {};
+        await adapter.pushRef(await resolvePushRef(repo, pr.sourceBranch, payload.sourceSha), pr.sourceBranch);
+        const remote = await adapter.createPullRequest({
+          title: pr.title,
+          body: `${pr.description || ''}\n\n---\n由 SoloForge 同步 · 作者: ${getDisplayName(pr.author)} · 本地 PR: ${pr.id}`.trim(),
+          head: pr.sourceBranch,
+          base: pr.targetBranch,
+        });
+        return remote;
+      }
+      case 'review':
+        await adapter.submitReview(number, {
+          event: payload.event,
+          body: `**${getDisplayName(payload.reviewer)}** ${REVIEW_LABELS[payload.event] || payload.event}` +
+            (payload.comment ? `\n\n${payload.comment}` : ''),
+        });
+        return {};
+      case 'comment': {
+        const suggestion = payload.suggestion != null ? `\n\n\`\`\`suggestion\n${payload.suggestion}\n\`\`\`` : '';
+        await adapter.submitReview(number, {
+          event: 'comment',
+          body: '',
+          comments: [{
+            path: payload.file,
+            line: payload.line,
+            side: payload.side,
+            body: `**${getDisplayName(payload.author)}**: ${payload.body}${suggestion}`,
+          }],
+        });
+        return {};
+      }
+      case 'merge':
+        await adapter.pushRef(payload.mergeCommit, pr.targetBranch);
+        await adapter.markMerged(number, { mergeCommit: payload.mergeCommit });
+        return { state: 'closed', merged: true };
+      case 'close':
+        await adapter.closePullRequest(number);
+        return { state: 'closed' };
+      default:
+        throw new Error(`未知的同步操作: ${op.type}`);
+    }
+  }
+}
+
+// 单例
+const forgeSync = new ForgeSync();
+
+module.exports = {
+  forgeSync,
+  createForgeAdapter,
+  FORGE_SYNC_CONFIG,
+};
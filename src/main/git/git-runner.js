@@ -0,0 +1,276 @@
+/**
+ * SoloForge - Git 命令执行
+ * 以参数数组经 execFile 调用 git，不经过 shell：分支名、提交信息等 Agent 提供的内容
+ * 只会作为单个参数传给 git，提交信息通过标准输入传入。
+ * 同时提供引用名校验和常用输出（porcelain v2 状态、日志、numstat）的解析
+ * @module git/git-runner
+ */
+
+const { execFile } = require('child_process');
+
+const GIT_RUNNER_CONFIG = {
+  /** 单条 git 命令的超时 */
+  timeoutMs: Number(process.env.GIT_COMMAND_TIMEOUT_MS) || 5 * 60 * 1000,
+  /** 输出上限 */
+  maxBuffer: 10 * 1024 * 1024,
+};
+
+/** 日志字段分隔符（%x1f）与记录结束符（%x1e） */
+const FIELD_SEP = '\x1f';
+const RECORD_SEP = '\x1e';
+const LOG_FORMAT = ['%H', '%h', '%an', '%ae', '%aI', '%ar', '%s'].join('%x1f') + '%x1e';
+
+/**
+ * git 命令执行失败
+ */
+class GitCommandError extends Error {
+  /**
+   * @param {string[]} args
+   * @param {Object} details
+   * @param {string} details.stdout
+   * @param {string} details.stderr
+   * @param {number | null} details.exitCode
+   * @param {boolean} [details.timedOut]
+   */
+  constructor(args, { stdout, stderr, exitCode, timedOut = false }) {
+    // 合并冲突等信息输出在 stdout
+    const detail = stderr.trim() || stdout.trim() || `git ${args[0]} 退出码 ${exitCode}`;
+    super(`Git 命令失败: ${timedOut ? `git ${args[0]} 超时` : detail}`);
+    this.name = 'GitCommandError';
+    this.args = args;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.exitCode = exitCode;
+    this.timedOut = timedOut;
+  }
+}
+
+/**
+ * 执行 git 命令
+ * @param {string[]} args - 参数数组（不含 git 本身）
+ * @param {Object} options
+ * @param {string} options.cwd
+ * @param {string} [options.input] - 写入标准输入的内容
+ * @param {number} [options.timeout]
+ * @returns {Promise<{ stdout: string, stderr: string }>}
+ */
+function runGit(args, { cwd, input, timeout = GIT_RUNNER_CONFIG.timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('git', args, {
+      cwd,
+      timeout,
+      maxBuffer: GIT_RUNNER_CONFIG.maxBuffer,
+      // 没有终端可以输入凭据，需要时直接失败而不是一直等待
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+    }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new GitCommandError(args, {
+          stdout: stdout || '',
+          stderr: stderr || (typeof error.code === 'string' ? error.message : ''),
+          exitCode: typeof error.code === 'number' ? error.code : null,
+          timedOut: error.killed === true,
+        }));
+        return;
+      }
+      resolve({ stdout, stderr });
+    });
+    child.stdin.on('error', () => { /* git 提前退出时忽略 EPIPE，错误由回调报告 */ });
+    child.stdin.end(input ?? '');
+  });
+}
+
+/**
+ * 校验分支名（规则同 git check-ref-format --branch）
+ * @param {string} name
+ * @param {string} [label] - 错误信息中的名称
+ * @returns {string}
+ */
+function validateRefName(name, label = '分支名称') {
+  const fail = (reason) => {
+    throw new Error(`无效的${label} "${name}": ${reason}`);
+  };
+  if (typeof name !== 'string' || !name) fail('不能为空');
+  if (name.startsWith('-')) fail('不能以 - 开头');
+  if (name === 'HEAD' || name === '@') fail('不能使用保留名称');
+  if (/[\x00-\x20\x7f~^:?*[\\]/.test(name)) fail('不能包含空白、控制字符或 ~ ^ : ? * [ \\');
+  if (name.includes('..') || name.includes('@{')) fail('不能包含 .. 或 @{');
+  if (name.startsWith('/') || name.endsWith('/') || name.includes('//')) fail('不能以 / 开头或结尾，也不能包含连续的 /');
+  if (name.endsWith('.')) fail('不能以 . 结尾');
+  for (const part of name.split('/')) {
+    if (part.startsWith('.') || part.endsWith('.lock')) fail('每一段不能以 . 开头或以 .lock 结尾');
+  }
+  return name;
+}
+
+/**
+ * 校验提交引用（分支名、提交哈希、HEAD~1 等），防止被当作选项解析
+ * @param {string} rev
+ * @param {string} [label]
+ * @returns {string}
+ */
+function validateRevision(rev, label = '提交引用') {
+  if (typeof rev !== 'string' || !rev || rev.startsWith('-') || /[\x00-\x20\x7f]/.test(rev)) {
+    throw new Error(`无效的${label} "${rev}"`);
+  }
+  return rev;
+}
+
+/**
+ * @typedef {Object} StatusEntry
+ * @property {string} path
+ * @property {string} [origPath] - 重命名 / 复制前的路径
+ * @property {string} index - 暂存区状态（. 表示未修改）
+ * @property {string} worktree - 工作区状态
+ * @property {string} status - 合并后的简写，如 M、A、MM、??
+ * @property {'changed' | 'renamed' | 'unmerged' | 'untracked' | 'ignored'} kind
+ */
+
+/**
+ * @typedef {Object} StatusResult
+ * @property {{ head: string | null, oid: string | null, upstream: string | null, ahead: number, behind: number }} branch
+ * @property {StatusEntry[]} files
+ */
+
+/**
+ * 解析 git status --porcelain=v2 --branch -z 的输出
+ * @param {string} output
+ * @returns {StatusResult}
+ */
+function parseStatusV2(output) {
+  const branch = { head: null, oid: null, upstream: null, ahead: 0, behind: 0 };
+  const files = [];
+  const tokens = output.split('\0');
+
+  /** 按空格切出前 n 个字段，其余为路径（路径可以包含空格） */
+  const fields = (token, n) => {
+    const parts = token.split(' ');
+    return [...parts.slice(0, n), parts.slice(n).join(' ')];
+  };
+  const entry = (xy, path, kind, origPath) => ({
+    path,
+    ...(origPath ? { origPath } : {}),
+    index: xy[0],
+    worktree: xy[1],
+    status: xy.replace(/\./g, ''),
+    kind,
+  });
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (!token) continue;
+    switch (token[0]) {
+      case '#': {
+        const [, key, ...rest] = token.split(' ');
+        const value = rest.join(' ');
+        if (key === 'branch.oid') branch.oid = value === '(initial)' ? null : value;
+        else if (key === 'branch.head') branch.head = value === '(detached)' ? null : value;
+        else if (key === 'branch.upstream') branch.upstream = value;
+        else if (key === 'branch.ab') {
+          const [ahead, behind] = value.split(' ');
+          branch.ahead = Math.abs(parseInt(ahead, 10)) || 0;
+          branch.behind = Math.abs(parseInt(behind, 10)) || 0;
+        }
+        break;
+      }
+      case '1': {
+        const f = fields(token, 8);
+        files.push(entry(f[1], f[8], 'changed'));
+        break;
+      }
+      case '2': {
+        // 重命名记录后紧跟原路径
+        const f = fields(token, 9);
+        files.push(entry(f[1], f[9], 'renamed', tokens[++i]));
+        break;
+      }
+      case 'u': {
+        const f = fields(token, 10);
+        files.push(entry(f[1], f[10], 'unmerged'));
+        break;
+      }
+      case '?':
+        files.push({ path: token.slice(2), index: '?', worktree: '?', status: '??', kind: 'untracked' });
+        break;
+      case '!':
+        files.push({ path: token.slice(2), index: '!', worktree: '!', status: '!!', kind: 'ignored' });
+        break;
+      default:
+        break;
+    }
+  }
+  return { branch, files };
+}
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {string} hash
+ * @property {string} shortHash
+ * @property {string} author
+ * @property {string} email
+ * @property {string} date - ISO 8601
+ * @property {string} relativeDate - 如 "2 hours ago"
+ * @property {string} subject
+ */
+
+/**
+ * 解析以 LOG_FORMAT 输出的 git log
+ * @param {string} output
+ * @returns {LogEntry[]}
+ */
+function parseLog(output) {
+  return output
+    .split(RECORD_SEP)
+    .map((record) => record.replace(/^\n+/, ''))
+    .filter(Boolean)
+    .map((record) => {
+      const [hash, shortHash, author, email, date, relativeDate, subject] = record.split(FIELD_SEP);
+      return { hash, shortHash, author, email, date, relativeDate, subject };
+    });
+}
+
+/**
+ * @typedef {Object} DiffStat
+ * @property {Array<{ path: string, oldPath?: string, added: number, deleted: number, binary: boolean }>} files
+ * @property {number} added
+ * @property {number} deleted
+ */
+
+/**
+ * 解析 git diff --numstat -z 的输出
+ * @param {string} output
+ * @returns {DiffStat}
+ */
+function parseNumstat(output) {
+  const files = [];
+  const tokens = output.split('\0');
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i].replace(/^\n+/, '');
+    if (!token) continue;
+    const [added, deleted, path] = token.split('\t');
+    const binary = added === '-';
+    const file = { path, added: binary ? 0 : Number(added), deleted: binary ? 0 : Number(deleted), binary };
+    if (!path) {
+      // 重命名：路径为空，随后依次是原路径和新路径
+      file.oldPath = tokens[++i];
+      file.path = tokens[++i];
+    }
+    files.push(file);
+  }
+  return {
+    files,
+    added: files.reduce((sum, f) => sum + f.added, 0),
+    deleted: files.reduce((sum, f) => sum + f.deleted, 0),
+  };
+}
+
+module.exports = {
+  runGit,
+  GitCommandError,
+  validateRefName,
+  validateRevision,
+  parseStatusV2,
+  parseLog,
+  parseNumstat,
+  LOG_FORMAT,
+  GIT_RUNNER_CONFIG,
+};
@@ -0,0 +1,139 @@
+/**
+ * SoloForge - Gitea 适配器
+ * 通过 Gitea REST API（/api/v1）镜像 PR、审核和合并状态；Forgejo 及兼容 Gitea API 的服务同样适用
+ * @module git/gitea-adapter
+ */
+
+const { ForgeAdapter } = require('./forge-adapter');
+
+/** API 请求超时（毫秒） */
+const REQUEST_TIMEOUT_MS = Number(process.env.FORGE_REQUEST_TIMEOUT_MS) || 15000;
+
+/** 本地审核动作 → Gitea 审核事件 */
+const REVIEW_EVENTS = {
+  approve: 'APPROVED',
+  request_changes: 'REQUEST_CHANGES',
+  comment: 'COMMENT',
+};
+
+const REVIEW_EVENT_LABELS = { approve: '批准', request_changes: '要求修改', comment: '评论' };
+
+class GiteaAdapter extends ForgeAdapter {
+  /**
+   * 发送 API 请求
+   * @param {string} method
+   * @param {string} apiPath - /api/v1 之后的路径
+   * @param {Object} [body]
+   * @returns {Promise<any>}
+   */
+  async _request(method, apiPath, body) {
+    const url = `${this.config.baseUrl.replace(/\/+$/, '')}/api/v1${apiPath}`;
+    const headers = { Accept: 'application/json' };
+    const token = this.getToken();
+    if (token) headers.Authorization = `token ${token}`;
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    let res;
+    try {
+      res = await fetch(url, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw new Error(`无法连接 Gitea (${this.config.baseUrl}): ${error.name === 'AbortError' ? '请求超时' : error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const text = await res.text();
+    if (!res.ok) {
+      let message = text;
+      try {
+        message = JSON.parse(text).message || text;
+      } catch { /* 非 JSON 响应 */ }
+      const error = new Error(`Gitea API ${method} ${apiPath} 失败: HTTP ${res.status} ${String(message).slice(0, 300)}`);
+      error.status = res.status;
+      throw error;
+    }
+    return text ? JSON.parse(text) : null;
+  }
+
+  _repoPath() {
+    return `/repos/${encodeURIComponent(this.config.owner)}/${encodeURIComponent(this.config.repo)}`;
+  }
+
+  /**
+   * @param {Object} data - Gitea PullRequest
+   * @returns {import('./forge-adapter').RemotePullRequest}
+   */
+  _toRemotePR(data) {
+    return {
+      number: data.number,
+      url: data.html_url,
+      state: data.state === 'closed' ? 'closed' : 'open',
+      merged: !!data.merged,
+    };
+  }
+
+  async testConnection() {
+    try {
+      const user = await this._request('GET', '/user');
+      await this._request('GET', this._repoPath());
+      return { ok: true, user: user?.login };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+
+  async createPullRequest({ title, body, head, base }) {
+    return this._toRemotePR(await this._request('POST', `${this._repoPath()}/pulls`, { title, body, head, base }));
+  }
+
+  async getPullRequest(number) {
+    return this._toRemotePR(await this._request('GET', `${this._repoPath()}/pulls/${number}`));
+  }
+
+  async submitReview(number, { event, body, comments = [] }) {
+    const payload = {
+      event: REVIEW_EVENTS[event] || 'COMMENT',
+      body,
+      comments: comments.map((c) => ({
+        path: c.path,
+        body: c.body,
+        new_position: c.side === 'old' ? 0 : c.line,
+        old_position: c.side === 'old' ? c.line : 0,
+      })),
+    };
+    try {
+      await this._request('POST', `${this._repoPath()}/pulls/${number}/reviews`, payload);
+    } catch (error) {
+      // 所有操作都使用同一个令牌账号，而 Gitea 不允许审核自己创建的 PR，此时改为评论并注明审核结果
+      if (error.status !== 422 || payload.event === 'COMMENT') throw error;
+      await this._request('POST', `${this._repoPath()}/pulls/${number}/reviews`, {
+        ...payload,
+        event: 'COMMENT',
+        body: `[${REVIEW_EVENT_LABELS[event]}] ${body}`,
+      });
+    }
+  }
+
+  async markMerged(number, { mergeCommit }) {
+    const remote = await this.getPullRequest(number);
+    // 推送目标分支后 Gitea 可能已自动识别为合并
+    if (remote.merged) return;
+    await this._request('POST', `${this._repoPath()}/pulls/${number}/merge`, {
+      Do: 'manually-merged',
+      MergeCommitID: mergeCommit,
+    });
+  }
+
+  async closePullRequest(number) {
+    await this._request('PATCH', `${this._repoPath()}/pulls/${number}`, { state: 'closed' });
+  }
+}
+
+module.exports = { GiteaAdapter };
@@ -0,0 +1,345 @@
+/**
+ * SoloForge - PR 合并检查
+ * 在目标分支合入源分支后的干净 worktree 中运行仓库配置的检查（见 config/merge-check-store），
+ * 结果与源 / 目标分支的提交绑定，任一分支有新提交后需要重新运行
+ * @module git/merge-checks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WorkspaceManager } = require('./workspace-manager');
+const { WORKTREE_CONFIG } = require('./branch-manager');
+const { parseUnifiedDiff } = require('./diff-parser');
+const { executeShellCommand } = require('../tools/shell-tool');
+const { getSandboxAvailability, getSandboxPolicy } = require('../tools/shell-sandbox');
+const { permissionStore } = require('../config/permission-store');
+const { logger } = require('../utils/logger');
+
+const MERGE_CHECK_CONFIG = {
+  /** command 检查的默认超时 */
+  timeoutMs: Number(process.env.MERGE_CHECK_TIMEOUT_MS) || 10 * 60 * 1000,
+  /** 准备命令的超时 */
+  setupTimeoutMs: Number(process.env.MERGE_CHECK_SETUP_TIMEOUT_MS) || 10 * 60 * 1000,
+  /** 每项检查保留的日志长度（保留末尾） */
+  maxLogChars: Number(process.env.MERGE_CHECK_MAX_LOG_CHARS) || 20000,
+};
+
+/** 密钥扫描规则 */
+const SECRET_PATTERNS = [
+  { name: 'AWS Access Key', regex: /AKIA[0-9A-Z]{16}/ },
+  { name: '私钥', regex: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP )?PRIVATE KEY( BLOCK)?-----/ },
+  { name: 'GitHub Token', regex: /gh[pousr]_[A-Za-z0-9]{36,}/ },
+  { name: 'Slack Token', regex: /xox[abposr]-[A-Za-z0-9-]{10,}/ },
+  { name: 'API Key', regex: /sk-[A-Za-z0-9_-]{20,}/ },
+  { name: '硬编码凭据', regex: /(?:api[_-]?key|secret|passw(?:or)?d|token)["']?\s*[:=]\s*["'][^"'\s]{12,}["']/i },
+];
+
+/**
+ * @typedef {Object} MergeCheckResult
+ * @property {string} id - 检查 ID（合并冲突为 merge，沙箱不可用为 sandbox，准备命令为 setup）
+ * @property {string} name
+ * @property {string} type
+ * @property {boolean} required
+ * @property {'passed' | 'failed' | 'skipped'} status
+ * @property {string} output - 日志（过长时保留末尾）
+ * @property {number} [exitCode]
+ * @property {number} durationMs
+ */
+
+/**
+ * @typedef {Object} MergeCheckRun
+ * @property {'passed' | 'failed'} status - 所有必需检查通过才为 passed
+ * @property {string} sourceSha
+ * @property {string} targetSha
+ * @property {string} startedAt
+ * @property {string} finishedAt
+ * @property {string} [runBy]
+ * @property {MergeCheckResult[]} results
+ */
+
+/** 正在运行的检查（按 PR），避免同一个 PR 并发运行时争用 worktree */
+const runningChecks = new Map();
+
+/**
+ * 日志过长时保留末尾（失败信息通常在最后）
+ * @param {string} text
+ * @returns {string}
+ */
+function truncateLog(text) {
+  if (text.length <= MERGE_CHECK_CONFIG.maxLogChars) return text;
+  return `...(前面的输出已省略)\n${text.slice(-MERGE_CHECK_CONFIG.maxLogChars)}`;
+}
+
+/**
+ * 解析准备命令和命令类检查的沙箱参数
+ * 检查运行的是 PR 作者提交的代码：作者启用了沙箱执行时同样在沙箱中运行，只有检查用的 worktree 可写
+ * @param {string} [author] - PR 作者（Agent ID）
+ * @param {string} worktreePath
+ * @returns {{ sandbox: { workspace: string, policy: Object } | null, error?: string }}
+ */
+function resolveCheckSandbox(author, worktreePath) {
+  const policy = getSandboxPolicy(permissionStore.get(), author);
+  if (!policy) {
+    return { sandbox: null };
+  }
+  // 与 shell 工具一致：已启用沙箱时不回退到宿主机执行
+  const availability = getSandboxAvailability();
+  if (!availability.available) {
+    return { sandbox: null, error: `PR 作者已启用沙箱执行，但沙箱不可用：${availability.reason}` };
+  }
+  // 每项检查有自己的超时，不再叠加 CPU 时间限制（完整测试套件很容易超过 shell 命令的 CPU 时间上限）
+  return { sandbox: { workspace: worktreePath, policy: { ...policy, cpuTimeSeconds: null } } };
+}
+
+/**
+ * 运行命令类检查
+ * @param {string} command
+ * @param {string} cwd
+ * @param {number} timeout
+ * @param {{ workspace: string, policy: Object } | null} sandbox
+ * @returns {Promise<{ passed: boolean, output: string, exitCode: number }>}
+ */
+async function runCommand(command, cwd, timeout, sandbox) {
+  // 失败摘要在输出末尾，超长时保留末尾
+  const { stdout, stderr, exitCode } = await executeShellCommand(command, {
+    cwd,
+    timeout,
+    maxOutput: MERGE_CHECK_CONFIG.maxLogChars,
+    keep: 'tail',
+    ...(sandbox ? { sandbox } : {}),
+  });
+  const output = [`$ ${command}`, stdout.trim(), stderr.trim()].filter(Boolean).join('\n');
+  return { passed: exitCode === 0, output: truncateLog(output), exitCode };
+}
+
+/**
+ * 检查 PR 新增 / 修改的文件大小
+ * @param {WorkspaceManager} repo - 合并结果所在的 worktree
+ * @param {string} targetSha
+ * @param {number} maxKB
+ * @returns {Promise<{ passed: boolean, output: string }>}
+ */
+async function runFileSizeCheck(repo, targetSha, maxKB) {
+  const files = (await repo.git(['diff', '--name-only', '-z', '--diff-filter=AM', targetSha, 'HEAD', '--'])).split('\0').filter(Boolean);
+  const oversized = [];
+  for (const file of files) {
+    const stat = fs.statSync(path.join(repo.workspacePath, file), { throwIfNoEntry: false });
+    if (stat && stat.size > maxKB * 1024) {
+      oversized.push(`${file}: ${(stat.size / 1024).toFixed(1)} KB`);
+    }
+  }
+  return oversized.length > 0
+    ? { passed: false, output: `以下文件超过 ${maxKB} KB:\n${oversized.join('\n')}` }
+    : { passed: true, output: `检查了 ${files.length} 个新增或修改的文件，均不超过 ${maxKB} KB` };
+}
+
+/**
+ * 扫描 PR 新增代码行中的疑似密钥
+ * @param {WorkspaceManager} repo
+ * @param {string} targetSha
+ * @returns {Promise<{ passed: boolean, output: string }>}
+ */
+async function runSecretScan(repo, targetSha) {
+  const files = parseUnifiedDiff(await repo.git(['diff', '-U0', targetSha, 'HEAD', '--']));
+  const findings = [];
+  for (const file of files) {
+    for (const hunk of file.hunks) {
+      for (const line of hunk.lines) {
+        if (line.type !== 'add') continue;
+        for (const pattern of SECRET_PATTERNS) {
+          const match = line.content.match(pattern.regex);
+          if (match) {
+            // 日志中只保留前几个字符
+            findings.push(`${file.path}:${line.newLine} ${pattern.name}: ${match[0].slice(0, 6)}***`);
+            break;
+          }
+        }
+      }
+    }
+  }
+  return findings.length > 0
+    ? { passed: false, output: `发现 ${findings.length} 处疑似密钥:\n${findings.join('\n')}` }
+    : { passed: true, output: `扫描了 ${files.length} 个文件的新增行，未发现疑似密钥` };
+}
+
+/**
+ * 运行单项检查
+ * @param {import('../config/merge-check-store').MergeCheck} check
+ * @param {WorkspaceManager} repo
+ * @param {string} targetSha
+ * @param {{ workspace: string, policy: Object } | null} sandbox - 命令类检查的沙箱参数
+ * @returns {Promise<{ passed: boolean, output: string, exitCode?: number }>}
+ */
+async function runCheck(check, repo, targetSha, sandbox) {
+  switch (check.type) {
+    case 'command':
+      return runCommand(
+        check.command,
+        repo.workspacePath,
+        check.timeoutSec ? check.timeoutSec * 1000 : MERGE_CHECK_CONFIG.timeoutMs,
+        sandbox
+      );
+    case 'file_size':
+      return runFileSizeCheck(repo, targetSha, check.maxKB);
+    case 'secret_scan':
+      return runSecretScan(repo, targetSha);
+    default:
+      return { passed: false, output: `未知的检查类型: ${check.type}` };
+  }
+}
+
+/**
+ * 在合并结果上运行检查
+ * @param {Object} options
+ * @param {import('./branch-manager').BranchManager} options.repo - 主工作区
+ * @param {string} options.prId
+ * @param {string} options.sourceSha
+ * @param {string} options.targetSha
+ * @param {string} [options.author] - PR 作者，按其沙箱设置运行命令
+ * @param {import('../config/merge-check-store').RepoMergeChecks} options.config
+ * @returns {Promise<MergeCheckRun>}
+ */
+async function runMergeChecks(options) {
+  const { prId } = options;
+  if (runningChecks.has(prId)) {
+    return runningChecks.get(prId);
+  }
+  const promise = doRunMergeChecks(options).finally(() => runningChecks.delete(prId));
+  runningChecks.set(prId, promise);
+  return promise;
+}
+
+/**
+ * 是否有检查正在运行
+ * @param {string} prId
+ * @returns {boolean}
+ */
+function isMergeCheckRunning(prId) {
+  return runningChecks.has(prId);
+}
+
+async function doRunMergeChecks({ repo, prId, sourceSha, targetSha, author, config }) {
+  const startedAt = new Date().toISOString();
+  /** @type {MergeCheckResult[]} */
+  const results = [];
+  const checks = config.checks.filter((c) => c.enabled);
+
+  /** 前置步骤失败时，其余检查记为跳过 */
+  const skipRemaining = (reason) => {
+    for (const check of checks) {
+      results.push({ id: check.id, name: check.name, type: check.type, required: check.required, status: 'skipped', output: reason, durationMs: 0 });
+    }
+  };
+
+  const worktreePath = path.join(repo.workspacePath, WORKTREE_CONFIG.dirName, `checks--${prId}`);
+  await repo._excludeWorktreeDir();
+  if (fs.existsSync(worktreePath)) {
+    // 上次运行异常退出时遗留的目录
+    await repo.removeWorktree(worktreePath, { force: true }).catch(() => {
+      fs.rmSync(worktreePath, { recursive: true, force: true });
+    });
+  }
+  await repo.git(['worktree', 'prune']);
+  await repo.git(['worktree', 'add', '--detach', worktreePath, targetSha]);
+
+  const worktree = new WorkspaceManager(worktreePath);
+  try {
+    let start = Date.now();
+    try {
+      await worktree.git([
+        '-c', 'user.name=SoloForge', '-c', 'user.email=merge-check@soloforge.local',
+        'merge', '--no-ff', '--no-edit', sourceSha,
+      ]);
+    } catch (error) {
+      results.push({
+        id: 'merge', name: '合并', type: 'merge', required: true, status: 'failed',
+        output: truncateLog(`源分支无法干净地合入目标分支，请先解决冲突:\n${error.message}`),
+        durationMs: Date.now() - start,
+      });
+      skipRemaining('合并失败，未运行');
+    }
+
+    const runsCommands = !!config.setupCommand || checks.some((c) => c.type === 'command');
+    const { sandbox, error: sandboxError } = runsCommands ? resolveCheckSandbox(author, worktreePath) : { sandbox: null };
+    if (results.length === 0 && sandboxError) {
+      results.push({
+        id: 'sandbox', name: '沙箱', type: 'command', required: true, status: 'failed',
+        output: sandboxError, durationMs: 0,
+      });
+      skipRemaining('沙箱不可用，未运行');
+    }
+
+    if (results.length === 0 && config.setupCommand) {
+      start = Date.now();
+      const setup = await runCommand(config.setupCommand, worktreePath, MERGE_CHECK_CONFIG.setupTimeoutMs, sandbox);
+      if (!setup.passed) {
+        results.push({
+          id: 'setup', name: '准备', type: 'command', required: true, status: 'failed',
+          output: setup.output, exitCode: setup.exitCode, durationMs: Date.now() - start,
+        });
+        skipRemaining('准备命令失败，未运行');
+      }
+    }
+
+    if (results.length === 0) {
+      for (const check of checks) {
+        start = Date.now();
+        let outcome;
+        try {
+          outcome = await runCheck(check, worktree, targetSha, sandbox);
+        } catch (error) {
+          outcome = { passed: false, output: `检查执行出错: ${error.message}` };
+        }
+        results.push({
+          id: check.id,
+          name: check.name,
+          type: check.type,
+          required: check.required,
+          status: outcome.passed ? 'passed' : 'failed',
+          output: outcome.output,
+          ...(outcome.exitCode !== undefined ? { exitCode: outcome.exitCode } : {}),
+          durationMs: Date.now() - start,
+        });
+      }
+    }
+  } finally {
+    await repo.removeWorktree(worktreePath, { force: true }).catch((error) => {
+      logger.warn('删除合并检查 worktree 失败:', error.message);
+    });
+  }
+
+  const failed = results.some((r) => r.required && r.status !== 'passed');
+  const run = {
+    status: failed ? 'failed' : 'passed',
+    sourceSha,
+    targetSha,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    results,
+  };
+  logger.info('合并检查完成:', { prId, status: run.status, checks: results.length });
+  return run;
+}
+
+/**
+ * 失败检查的摘要（用于拒绝合并时的错误信息）
+ * @param {MergeCheckRun} run
+ * @param {number} [maxChars] - 每项检查保留的日志长度
+ * @returns {string}
+ */
+function formatFailedChecks(run, maxChars = 2000) {
+  return run.results
+    .filter((r) => r.required && r.status === 'failed')
+    .map((r) => {
+      const output = r.output.length > maxChars ? `...${r.output.slice(-maxChars)}` : r.output;
+      return `✗ ${r.name}${r.exitCode !== undefined ? `（退出码 ${r.exitCode}）` : ''}\n${output}`;
+    })
+    .join('\n\n');
+}
+
+module.exports = {
+  runMergeChecks,
+  isMergeCheckRunning,
+  formatFailedChecks,
+  MERGE_CHECK_CONFIG,
+};
@@ -0,0 +1,266 @@
+/**
+ * SoloForge - Pull Request 代码审核 IPC 处理器
+ * 供前端 diff 查看器读取 PR 变更，并以老板身份发表行级评论、解决评论线程、运行或放行合并检查、同步到远程平台；
+ * 以及各仓库合并检查和远程平台的配置
+ * @module git/pr-ipc-handlers
+ */
+
+const { ipcMain } = require('electron');
+const { logger } = require('../utils/logger');
+const { auditLog } = require('../audit/audit-log');
+const { mergeCheckStore } = require('../config/merge-check-store');
+const { forgeConfigStore, FORGE_TYPES, FORGE_TYPE_LABELS } = require('../config/forge-config-store');
+const { forgeSync, createForgeAdapter } = require('./forge-sync');
+const {
+  getPRManager,
+  resolveWorkspace,
+  getThreadParticipants,
+  formatThreadLocation,
+  notifyAgent,
+} = require('../tools/git-tool');
+const {
+  PR_LIST,
+  PR_GET_DETAIL,
+  PR_ADD_COMMENT,
+  PR_RESOLVE_THREAD,
+  PR_RUN_CHECKS,
+  PR_OVERRIDE_CHECKS,
+  MERGE_CHECKS_LIST,
+  MERGE_CHECKS_SAVE,
+  MERGE_CHECKS_DELETE,
+  PR_SYNC_REMOTE,
+  FORGE_LIST,
+  FORGE_SAVE,
+  FORGE_DELETE,
+  FORGE_TEST,
+} = require('../../shared/ipc-channels');
+
+/** 老板在评论线程中的身份 */
+const BOSS_ID = 'boss';
+
+/**
+ * 返回给前端的远程平台配置（不含令牌）
+ * @param {import('./forge-adapter').ForgeConfig} config
+ */
+function toPublicForgeConfig(config) {
+  const { token, ...rest } = config;
+  return { ...rest, hasToken: !!token };
+}
+
+/**
+ * 获取 PR 所在仓库的管理器（优先使用创建 PR 时记录的仓库路径）
+ * @param {string} prId
+ * @returns {{ manager: import('./pr-manager').PRManager, pr: import('./pr-manager').PullRequest }}
+ */
+function getManagerForPR(prId) {
+  const pr = getPRManager().getPR(prId);
+  if (!pr) {
+    throw new Error(`PR "${prId}" 不存在`);
+  }
+  const manager = getPRManager(pr.repoPath);
+  return { manager, pr: manager.getPR(prId) };
+}
+
+/**
+ * 设置 PR IPC 处理器
+ */
+function setupPRIpcHandlers() {
+  ipcMain.handle(PR_LIST, async (_event, filter = {}) => {
+    try {
+      const prs = getPRManager().listPRs(filter).map((pr) => ({
+        ...pr,
+        unresolvedThreads: (pr.threads || []).filter((t) => !t.resolved).length,
+      }));
+      return { success: true, prs };
+    } catch (error) {
+      logger.error('获取 PR 列表失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(PR_GET_DETAIL, async (_event, prId) => {
+    try {
+      const { manager, pr } = getManagerForPR(prId);
+      let files = [];
+      let diffError = null;
+      try {
+        files = await manager.getPRDiffFiles(prId);
+      } catch (error) {
+        // 合并后源分支可能已删除
+        diffError = error.message;
+      }
+      const threads = diffError
+        ? (pr.threads || []).map((t) => ({ ...t, outdated: false }))
+        : await manager.getReviewThreads(prId, files);
+      const gate = diffError
+        ? { state: pr.mergeChecksState || 'none', run: pr.checks || null, override: pr.checksOverride || null }
+        : await manager.getMergeGate(prId);
+      return { success: true, pr, files, threads, gate, diffError };
+    } catch (error) {
+      logger.error('获取 PR 详情失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(PR_ADD_COMMENT, async (_event, params = {}) => {
+    let result;
+    try {
+      const { prId, threadId, file, line, endLine, side, body, suggestion } = params;
+      const { manager } = getManagerForPR(prId);
+      const { pr, thread, comment } = await manager.addReviewComment(prId, {
+        author: BOSS_ID,
+        body,
+        suggestion,
+        threadId,
+        file,
+        line,
+        endLine,
+        side,
+      });
+
+      for (const target of getThreadParticipants(pr, thread, BOSS_ID)) {
+        notifyAgent(target,
+          `💬 老板在 PR「${pr.title}」${formatThreadLocation(thread)} 发表了评论: ${body}` +
+          (comment.suggestion != null && target === pr.author
+            ? `\n附带建议修改，可调用 git_apply_suggestion(pr_id="${pr.id}", thread_id="${thread.id}") 直接应用`
+            : '')
+        );
+      }
+      result = { success: true, thread, prStatus: pr.status };
+    } catch (error) {
+      logger.error('发表 PR 评论失败:', error);
+      result = { success: false, error: error.message };
+    }
+    auditLog.recordUserAction(PR_ADD_COMMENT, params, result);
+    return result;
+  });
+
+  ipcMain.handle(PR_RESOLVE_THREAD, async (_event, params = {}) => {
+    let result;
+    try {
+      const { prId, threadId, resolved = true } = params;
+      const { manager } = getManagerForPR(prId);
+      const { pr, thread } = manager.setThreadResolved(prId, threadId, resolved, BOSS_ID);
+
+      for (const target of getThreadParticipants(pr, thread, BOSS_ID)) {
+        notifyAgent(target,
+          `${thread.resolved ? '✅' : '🔁'} 老板${thread.resolved ? '解决' : '重新打开'}了 PR「${pr.title}」${formatThreadLocation(thread)} 的评论线程。当前状态: ${pr.status}`
+        );
+      }
+      result = { success: true, thread, prStatus: pr.status };
+    } catch (error) {
+      logger.error('更新评论线程失败:', error);
+      result = { success: false, error: error.message };
+    }
+    auditLog.recordUserAction(PR_RESOLVE_THREAD, params, result);
+    return result;
+  });
+
+  ipcMain.handle(PR_RUN_CHECKS, async (_event, prId) => {
+    try {
+      const { manager } = getManagerForPR(prId);
+      const run = await manager.runMergeChecks(prId, { runBy: BOSS_ID });
+      return { success: true, run };
+    } catch (error) {
+      logger.error('运行合并检查失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(PR_OVERRIDE_CHECKS, async (_event, params = {}) => {
+    let result;
+    try {
+      const { prId, reason } = params;
+      const { manager } = getManagerForPR(prId);
+      const pr = await manager.overrideMergeChecks(prId, { by: BOSS_ID, reason });
+      notifyAgent(pr.author, `🔓 老板放行了 PR「${pr.title}」的合并检查${reason ? `（${reason}）` : ''}，当前提交可以合并`);
+      result = { success: true, override: pr.checksOverride };
+    } catch (error) {
+      logger.error('放行合并检查失败:', error);
+      result = { success: false, error: error.message };
+    }
+    auditLog.recordUserAction(PR_OVERRIDE_CHECKS, params, result);
+    return result;
+  });
+
+  ipcMain.handle(MERGE_CHECKS_LIST, async () => {
+    try {
+      return { success: true, repos: mergeCheckStore.list(), defaultRepoPath: resolveWorkspace() };
+    } catch (error) {
+      logger.error('获取合并检查配置失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(MERGE_CHECKS_SAVE, async (_event, config) => {
+    const result = mergeCheckStore.saveRepoConfig(config);
+    auditLog.recordUserAction(MERGE_CHECKS_SAVE, config, result);
+    return result;
+  });
+
+  ipcMain.handle(MERGE_CHECKS_DELETE, async (_event, repoPath) => {
+    const result = mergeCheckStore.deleteRepoConfig(repoPath);
+    auditLog.recordUserAction(MERGE_CHECKS_DELETE, { repoPath }, result);
+    return result;
+  });
+
+  ipcMain.handle(PR_SYNC_REMOTE, async (_event, prId) => {
+    let result;
+    try {
+      const { manager, pr } = getManagerForPR(prId);
+      const remote = await forgeSync.syncPR(pr.repoPath || manager.workspacePath, prId);
+      result = remote
+        ? { success: !remote.lastError, remote, error: remote.lastError }
+        : { success: false, error: '该仓库未配置远程平台' };
+    } catch (error) {
+      logger.error('同步 PR 到远程平台失败:', error);
+      result = { success: false, error: error.message };
+    }
+    auditLog.recordUserAction(PR_SYNC_REMOTE, { prId }, result);
+    return result;
+  });
+
+  ipcMain.handle(FORGE_LIST, async () => {
+    try {
+      return {
+        success: true,
+        repos: forgeConfigStore.list().map(toPublicForgeConfig),
+        types: FORGE_TYPES.map((value) => ({ value, label: FORGE_TYPE_LABELS[value] })),
+        defaultRepoPath: resolveWorkspace(),
+      };
+    } catch (error) {
+      logger.error('获取远程平台配置失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(FORGE_SAVE, async (_event, config = {}) => {
+    const saved = forgeConfigStore.saveRepoConfig(config);
+    const result = saved.success ? { success: true, config: toPublicForgeConfig(saved.config) } : saved;
+    // 审计日志中不记录令牌
+    auditLog.recordUserAction(FORGE_SAVE, { ...config, token: config.token ? '***' : undefined }, result);
+    return result;
+  });
+
+  ipcMain.handle(FORGE_DELETE, async (_event, repoPath) => {
+    const result = forgeConfigStore.deleteRepoConfig(repoPath);
+    auditLog.recordUserAction(FORGE_DELETE, { repoPath }, result);
+    return result;
+  });
+
+  ipcMain.handle(FORGE_TEST, async (_event, input = {}) => {
+    try {
+      const { config, error } = forgeConfigStore.resolveRepoConfig(input);
+      if (error) return { success: false, error };
+      const result = await createForgeAdapter(config).testConnection();
+      return result.ok ? { success: true, user: result.user } : { success: false, error: result.error };
+    } catch (error) {
+      logger.error('测试远程平台连接失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  logger.info('PR IPC 处理器已设置');
+}
+
+module.exports = { setupPRIpcHandlers };
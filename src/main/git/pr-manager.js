@@ -8,8 +8,16 @@
 const fs = require('fs');
 const path = require('path');
 const { BranchManager } = require('./branch-manager');
+const { WorkspaceManager } = require('./workspace-manager');
+const { parseUnifiedDiff, getDiffLines } = require('./diff-parser');
+const { validateRefName } = require('./git-runner');
+const { runMergeChecks, formatFailedChecks } = require('./merge-checks');
+const { mergeCheckStore } = require('../config/merge-check-store');
+const { forgeConfigStore } = require('../config/forge-config-store');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 function getConfigDir() {
   return dataPath.getBasePath();
@@ -31,8 +39,40 @@ function getPRFile() {
  * @property {string} createdAt - 创建时间
  * @property {string} [updatedAt] - 更新时间
  * @property {Array<{ reviewer: string, status: string, comment?: string, timestamp: string }>} reviews - 审核记录
+ * @property {ReviewThread[]} [threads] - 行级评论线程
+ * @property {string} [repoPath] - 创建时的主工作区路径
+ * @property {import('./merge-checks').MergeCheckRun} [checks] - 最近一次合并检查
+ * @property {{ by: string, reason?: string, sourceSha: string, targetSha: string, at: string }} [checksOverride] - 老板放行（仅对当时的提交有效）
  * @property {string} [mergedBy] - 合并者
  * @property {string} [mergedAt] - 合并时间
+ * @property {string} [mergeChecksState] - 合并时的检查状态（none / passed / overridden）
+ * @property {import('./forge-sync').PRRemoteState} [remote] - 远程平台镜像（仓库配置了远程平台时）
+ */
+
+/**
+ * @typedef {Object} ReviewComment
+ * @property {string} id
+ * @property {string} author - Agent ID，老板为 boss
+ * @property {string} body
+ * @property {string} [suggestion] - 建议替换锚定行的内容（仅源分支一侧）
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} ReviewThread
+ * 锚定到 getPRDiff 输出中某个文件的一行或连续多行
+ * @property {string} id
+ * @property {string} file - 仓库内相对路径
+ * @property {number} line - 起始行号
+ * @property {number} endLine - 结束行号（单行时与 line 相同）
+ * @property {'new' | 'old'} side - new 为源分支的行号，old 为目标分支的行号
+ * @property {string[]} originalLines - 创建时锚定行的内容，用于判断线程是否过时、建议是否仍可应用
+ * @property {boolean} resolved
+ * @property {string} [resolvedBy]
+ * @property {string} [resolvedAt]
+ * @property {{ commentId: string, commit: string, appliedBy: string, appliedAt: string }} [suggestionApplied]
+ * @property {ReviewComment[]} comments
+ * @property {string} createdAt
  */
 
 /**
@@ -62,7 +102,7 @@ class PRManager extends BranchManager {
     try {
       const prFile = getPRFile();
       if (fs.existsSync(prFile)) {
-        const content = fs.readFileSync(prFile, 'utf-8');
+        const content = readTextSync(prFile);
         return JSON.parse(content).prs || [];
       }
     } catch (error) {
@@ -78,7 +118,7 @@ class PRManager extends BranchManager {
     try {
       this.ensureConfigDir();
       const data = { version: 1, prs: this.prs };
-      fs.writeFileSync(getPRFile(), JSON.stringify(data, null, 2));
+      atomicWriteSync(getPRFile(), JSON.stringify(data, null, 2));
     } catch (error) {
       logger.error('保存 PR 数据失败:', error);
     }
@@ -96,6 +136,8 @@ class PRManager extends BranchManager {
    */
   async createPR(options) {
     const { title, description, sourceBranch, targetBranch, author } = options;
+    validateRefName(sourceBranch, '源分支');
+    validateRefName(targetBranch, '目标分支');
 
     // 验证分支存在
     const branches = await this.listBranches();
@@ -120,10 +162,9 @@ class PRManager extends BranchManager {
     }
 
     // 获取变更文件
-    const diffOutput = await this.git(
-      `diff --name-status ${targetBranch}...${sourceBranch}`
-    );
+    const diffOutput = await this.git(['diff', '--name-status', `${targetBranch}...${sourceBranch}`, '--']);
     const changedFiles = diffOutput.split('\n').filter((l) => l.trim());
+    const mainWorktree = (await this.listWorktrees()).find((w) => w.isMain);
 
     const pr = {
       id: `pr-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
@@ -135,11 +176,15 @@ class PRManager extends BranchManager {
       status: 'open',
       createdAt: new Date().toISOString(),
       reviews: [],
+      threads: [],
       changedFiles,
+      repoPath: mainWorktree?.path || this.workspacePath,
     };
+    this._queueRemoteOp(pr, 'create', { sourceSha: await this._revParse(sourceBranch) });
 
     this.prs.push(pr);
     this.savePRs();
+    this._requestRemoteSync(pr);
 
     logger.info('创建 PR:', pr);
     return pr;
@@ -211,8 +256,10 @@ class PRManager extends BranchManager {
 
     // 重新计算 PR 状态
     pr.status = this._calculatePRStatus(pr);
+    this._queueRemoteOp(pr, 'review', { reviewer: review.reviewer, event: review.status, comment: review.comment });
 
     this.savePRs();
+    this._requestRemoteSync(pr);
     logger.info('审核 PR:', { prId, review: reviewRecord, newStatus: pr.status });
     return pr;
   }
@@ -220,8 +267,8 @@ class PRManager extends BranchManager {
   /**
    * 计算 PR 状态
    * 规则：
-   * - 有未解决的 request_changes → 保持 open
-   * - 至少 1 个 approve 且无未解决的 request_changes → approved
+   * - 有未解决的 request_changes 或未解决的评论线程 → 保持 open
+   * - 至少 1 个 approve 且无上述阻塞 → approved
    * - 其他 → open
    * @param {PullRequest} pr
    * @returns {string}
@@ -244,6 +291,9 @@ class PRManager extends BranchManager {
     // 有未解决的 change request → 不能通过
     if (hasUnresolvedChanges) return 'open';
 
+    // 有未解决的评论线程 → 不能通过
+    if ((pr.threads || []).some((t) => !t.resolved)) return 'open';
+
     // 至少 1 个 approve → 通过
     if (hasApproval) return 'approved';
 
@@ -262,7 +312,7 @@ class PRManager extends BranchManager {
   async mergePR(prId, options) {
     const { mergedBy, squash = false, deleteBranch = true } = options;
 
-    const pr = this.getPR(prId);
+    let pr = this.getPR(prId);
     if (!pr) {
       throw new Error(`PR "${prId}" 不存在`);
     }
@@ -273,7 +323,24 @@ class PRManager extends BranchManager {
       throw new Error(`PR "${prId}" 已关闭`);
     }
     if (pr.status === 'open') {
-      throw new Error(`PR "${prId}" 尚未通过审核，无法合并。请先获得至少 1 个 approve 且无未解决的 change request。`);
+      throw new Error(`PR "${prId}" 尚未通过审核，无法合并。请先获得至少 1 个 approve，且没有未解决的 change request 和评论线程。`);
+    }
+
+    // 合并检查（运行检查期间 PR 数据可能被其他操作修改，之后重新获取）
+    const gate = await this.getMergeGate(prId);
+    if (gate.state === 'not_run' || gate.state === 'stale') {
+      await this.runMergeChecks(prId, { runBy: mergedBy });
+      pr = this.getPR(prId);
+    }
+    const { state, run } = await this.getMergeGate(prId);
+    if (state === 'failed') {
+      throw new Error(`PR "${prId}" 的合并检查未通过，无法合并:\n\n${formatFailedChecks(run)}`);
+    }
+    if (state === 'stale') {
+      throw new Error(`PR "${prId}" 的分支在运行合并检查期间有新提交，请重新合并`);
+    }
+    if (pr.status !== 'approved') {
+      throw new Error(`PR "${prId}" 当前状态为 ${pr.status}，无法合并`);
     }
 
     // 执行合并
@@ -286,11 +353,14 @@ class PRManager extends BranchManager {
     pr.status = 'merged';
     pr.mergedBy = mergedBy;
     pr.mergedAt = new Date().toISOString();
+    pr.mergeChecksState = state;
     pr.updatedAt = new Date().toISOString();
+    this._queueRemoteOp(pr, 'merge', { mergeCommit: await this._revParse(pr.targetBranch) });
 
-    // 删除源分支
+    // 删除源分支（先删除检出该分支的任务 worktree，否则 git 拒绝删除）
     if (deleteBranch) {
       try {
+        await this.removeWorktreeForBranch(pr.sourceBranch);
         await this.deleteBranch(pr.sourceBranch, { force: true });
         pr.branchDeleted = true;
       } catch (error) {
@@ -300,6 +370,7 @@ class PRManager extends BranchManager {
     }
 
     this.savePRs();
+    this._requestRemoteSync(pr);
     logger.info('合并 PR:', { prId, mergedBy });
     return pr;
   }
@@ -322,8 +393,10 @@ class PRManager extends BranchManager {
     pr.status = 'closed';
     pr.closedBy = closedBy;
     pr.updatedAt = new Date().toISOString();
+    this._queueRemoteOp(pr, 'close');
 
     this.savePRs();
+    this._requestRemoteSync(pr);
     logger.info('关闭 PR:', { prId, closedBy });
     return pr;
   }
@@ -336,6 +409,43 @@ class PRManager extends BranchManager {
     this.prs = this.loadPRs();
   }
 
+  /**
+   * 仓库配置了远程平台时，把操作加入 PR 的待同步队列（调用方随后保存并调用 _requestRemoteSync）
+   * 配置远程平台之前创建的 PR 在下一次审核或评论时补建远程 PR；已合并 / 关闭的不再补建
+   * @param {PullRequest} pr
+   * @param {import('./forge-sync').RemoteOp['type']} type
+   * @param {Object} [payload]
+   */
+  _queueRemoteOp(pr, type, payload = {}) {
+    const config = forgeConfigStore.getRepoConfig(pr.repoPath || this.workspacePath, { enabledOnly: true });
+    if (!config) return;
+
+    const makeOp = (opType, opPayload) => ({
+      id: `op-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type: opType,
+      payload: opPayload,
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+    });
+    if (!pr.remote) {
+      if (type === 'merge' || type === 'close') return;
+      pr.remote = { forge: config.type, pending: [] };
+      if (type !== 'create') pr.remote.pending.push(makeOp('create', {}));
+    }
+    pr.remote.pending.push(makeOp(type, payload));
+  }
+
+  /**
+   * 在后台把 PR 同步到远程平台（未镜像的 PR 忽略）
+   * @param {PullRequest} pr
+   */
+  _requestRemoteSync(pr) {
+    if (!pr.remote) return;
+    // 延迟加载，forge-sync 依赖本模块
+    const { forgeSync } = require('./forge-sync');
+    forgeSync.requestSync(pr.repoPath || this.workspacePath, pr.id);
+  }
+
   /**
    * 获取 PR 变更内容
    * @param {string} prId
@@ -347,9 +457,416 @@ class PRManager extends BranchManager {
       throw new Error(`PR "${prId}" 不存在`);
     }
 
-    const diff = await this.git(`diff ${pr.targetBranch}...${pr.sourceBranch}`);
+    const diff = await this.git(['diff', `${pr.targetBranch}...${pr.sourceBranch}`, '--']);
     return diff;
   }
+
+  /**
+   * PR 变更的增删行数统计
+   * @param {string} prId
+   * @returns {Promise<import('./git-runner').DiffStat>}
+   */
+  async getPRDiffStat(prId) {
+    const pr = this.getPR(prId);
+    if (!pr) {
+      throw new Error(`PR "${prId}" 不存在`);
+    }
+    return this.getDiffStat(pr.targetBranch, pr.sourceBranch, { mergeBase: true });
+  }
+
+  /**
+   * 分支当前指向的提交
+   * @param {string} branch
+   * @returns {Promise<string>}
+   */
+  async _revParse(branch) {
+    return this.git(['rev-parse', '--verify', `${validateRefName(branch)}^{commit}`]);
+  }
+
+  /**
+   * PR 所在仓库的主工作区路径
+   * @param {PullRequest} pr
+   * @returns {Promise<string>}
+   */
+  async _getRepoPath(pr) {
+    if (pr.repoPath) return pr.repoPath;
+    return (await this.listWorktrees()).find((w) => w.isMain)?.path || this.workspacePath;
+  }
+
+  /**
+   * 源 / 目标分支当前的提交
+   * @param {PullRequest} pr
+   * @returns {Promise<{ sourceSha: string, targetSha: string }>}
+   */
+  async _getMergeShas(pr) {
+    const [sourceSha, targetSha] = await Promise.all([
+      this._revParse(pr.sourceBranch),
+      this._revParse(pr.targetBranch),
+    ]);
+    return { sourceSha, targetSha };
+  }
+
+  /**
+   * 合并检查状态
+   * - none：仓库未配置检查
+   * - not_run / stale：尚未运行，或运行后源 / 目标分支有了新提交
+   * - passed / failed：针对当前提交的检查结果
+   * - overridden：老板已对当前提交放行
+   * @param {string} prId
+   * @returns {Promise<{ state: 'none' | 'not_run' | 'stale' | 'passed' | 'failed' | 'overridden', run: import('./merge-checks').MergeCheckRun | null, override: Object | null }>}
+   */
+  async getMergeGate(prId) {
+    const pr = this.getPR(prId);
+    if (!pr) {
+      throw new Error(`PR "${prId}" 不存在`);
+    }
+    const run = pr.checks || null;
+    const config = mergeCheckStore.getRepoConfig(await this._getRepoPath(pr));
+    if (!config || !config.checks.some((c) => c.enabled)) {
+      return { state: 'none', run, override: null };
+    }
+
+    const { sourceSha, targetSha } = await this._getMergeShas(pr);
+    const isCurrent = (record) => record?.sourceSha === sourceSha && record?.targetSha === targetSha;
+    if (isCurrent(pr.checksOverride)) {
+      return { state: 'overridden', run, override: pr.checksOverride };
+    }
+    if (!run) return { state: 'not_run', run, override: null };
+    if (!isCurrent(run)) return { state: 'stale', run, override: null };
+    return { state: run.status, run, override: null };
+  }
+
+  /**
+   * 在目标分支合入源分支的干净 worktree 中运行仓库配置的合并检查，结果保存到 PR
+   * @param {string} prId
+   * @param {Object} [options]
+   * @param {string} [options.runBy] - 触发者
+   * @returns {Promise<import('./merge-checks').MergeCheckRun | null>} 仓库未配置检查时返回 null
+   */
+  async runMergeChecks(prId, options = {}) {
+    const pr = this.getPR(prId);
+    if (!pr) {
+      throw new Error(`PR "${prId}" 不存在`);
+    }
+    if (pr.status === 'merged' || pr.status === 'closed') {
+      throw new Error(`PR "${prId}" 已${pr.status === 'merged' ? '合并' : '关闭'}，无需检查`);
+    }
+    const repoPath = await this._getRepoPath(pr);
+    const config = mergeCheckStore.getRepoConfig(repoPath);
+    if (!config || !config.checks.some((c) => c.enabled)) {
+      return null;
+    }
+
+    const { sourceSha, targetSha } = await this._getMergeShas(pr);
+    const run = await runMergeChecks({
+      repo: new BranchManager(repoPath),
+      prId,
+      sourceSha,
+      targetSha,
+      author: pr.author,
+      config,
+    });
+
+    // 检查可能运行了较长时间，重新加载后再写入
+    this.prs = this.loadPRs();
+    const latest = this.getPR(prId);
+    if (latest) {
+      latest.checks = { ...run, runBy: options.runBy };
+      latest.updatedAt = new Date().toISOString();
+      this.savePRs();
+    }
+    return latest?.checks || run;
+  }
+
+  /**
+   * 老板放行合并检查（仅对源 / 目标分支当前的提交有效）
+   * @param {string} prId
+   * @param {Object} options
+   * @param {string} options.by
+   * @param {string} [options.reason]
+   * @returns {Promise<PullRequest>}
+   */
+  async overrideMergeChecks(prId, options) {
+    const pr = this.getPR(prId);
+    if (!pr) {
+      throw new Error(`PR "${prId}" 不存在`);
+    }
+    if (pr.status === 'merged' || pr.status === 'closed') {
+      throw new Error(`PR "${prId}" 已${pr.status === 'merged' ? '合并' : '关闭'}`);
+    }
+    const { sourceSha, targetSha } = await this._getMergeShas(pr);
+    pr.checksOverride = {
+      by: options.by,
+      ...(options.reason ? { reason: options.reason } : {}),
+      sourceSha,
+      targetSha,
+      at: new Date().toISOString(),
+    };
+    pr.updatedAt = new Date().toISOString();
+    this.savePRs();
+    logger.info('放行合并检查:', { prId, by: options.by });
+    return pr;
+  }
+
+  /**
+   * 获取解析后的 PR 变更（按文件、hunk 组织，带新旧行号）
+   * @param {string} prId
+   * @returns {Promise<import('./diff-parser').DiffFile[]>}
+   */
+  async getPRDiffFiles(prId) {
+    return parseUnifiedDiff(await this.getPRDiff(prId));
+  }
+
+  /**
+   * 获取 PR 的评论线程，并标记锚定行已被后续提交改动（outdated）的线程
+   * @param {string} prId
+   * @param {import('./diff-parser').DiffFile[]} [files] - 已解析的 diff，省略时重新计算
+   * @returns {Promise<Array<ReviewThread & { outdated: boolean }>>}
+   */
+  async getReviewThreads(prId, files) {
+    const pr = this.getPR(prId);
+    if (!pr) {
+      throw new Error(`PR "${prId}" 不存在`);
+    }
+    const threads = pr.threads || [];
+    // 已合并 / 关闭的 PR 分支可能已删除，不再计算
+    if (threads.length === 0 || pr.status === 'merged' || pr.status === 'closed') {
+      return threads.map((t) => ({ ...t, outdated: false }));
+    }
+
+    const diffFiles = files || (await this.getPRDiffFiles(prId));
+    return threads.map((t) => {
+      const current = getDiffLines(diffFiles, t.file, t.side, t.line, t.endLine);
+      const outdated = !current || current.join('\n') !== t.originalLines.join('\n');
+      return { ...t, outdated };
+    });
+  }
+
+  /**
+   * 添加行级评论：新建线程，或传 threadId 回复已有线程
+   * @param {string} prId
+   * @param {Object} comment
+   * @param {string} comment.author - Agent ID，老板为 boss
+   * @param {string} comment.body - 评论内容
+   * @param {string} [comment.suggestion] - 建议替换锚定行的内容
+   * @param {string} [comment.threadId] - 回复的线程
+   * @param {string} [comment.file] - 新线程：文件路径
+   * @param {number} [comment.line] - 新线程：起始行号
+   * @param {number} [comment.endLine] - 新线程：结束行号
+   * @param {'new' | 'old'} [comment.side] - 新线程：行号所在一侧（默认 new）
+   * @returns {Promise<{ pr: PullRequest, thread: ReviewThread, comment: ReviewComment }>}
+   */
+  async addReviewComment(prId, comment) {
+    const pr = this.getPR(prId);
+    if (!pr) {
+      throw new Error(`PR "${prId}" 不存在`);
+    }
+    if (pr.status === 'merged' || pr.status === 'closed') {
+      throw new Error(`PR "${prId}" 已${pr.status === 'merged' ? '合并' : '关闭'}，无法评论`);
+    }
+    if (!comment.body?.trim() && comment.suggestion == null) {
+      throw new Error('评论内容不能为空');
+    }
+    pr.threads = pr.threads || [];
+
+    let thread;
+    if (comment.threadId) {
+      thread = pr.threads.find((t) => t.id === comment.threadId);
+      if (!thread) {
+        throw new Error(`评论线程 "${comment.threadId}" 不存在`);
+      }
+      if (comment.suggestion != null && thread.side !== 'new') {
+        throw new Error('建议修改只能针对源分支一侧（side=new）的行');
+      }
+    } else {
+      const side = comment.side === 'old' ? 'old' : 'new';
+      if (comment.suggestion != null && side !== 'new') {
+        throw new Error('建议修改只能针对源分支一侧（side=new）的行');
+      }
+      const line = Number(comment.line);
+      const endLine = comment.endLine ? Number(comment.endLine) : line;
+      if (!comment.file || !Number.isInteger(line) || !Number.isInteger(endLine) || line < 1) {
+        throw new Error('新评论需要指定 file 和 line');
+      }
+      const originalLines = getDiffLines(await this.getPRDiffFiles(prId), comment.file, side, line, endLine);
+      if (!originalLines) {
+        throw new Error(
+          `${comment.file} 第 ${line}${endLine !== line ? `-${endLine}` : ''} 行不在 PR 的变更中` +
+          `（${side === 'new' ? '源分支' : '目标分支'}一侧），只能评论 diff 中出现的行`
+        );
+      }
+      thread = {
+        id: `thread-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        file: comment.file,
+        line,
+        endLine,
+        side,
+        originalLines,
+        resolved: false,
+        comments: [],
+        createdAt: new Date().toISOString(),
+      };
+      pr.threads.push(thread);
+    }
+
+
+    const record = {
+      id: `comment-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      author: comment.author,
+      body: comment.body?.trim() || '',
+      ...(comment.suggestion != null ? { suggestion: comment.suggestion } : {}),
+      createdAt: new Date().toISOString(),
+    };
+    thread.comments.push(record);
+
+    pr.updatedAt = new Date().toISOString();
+    pr.status = this._calculatePRStatus(pr);
+    this._queueRemoteOp(pr, 'comment', {
+      author: record.author,
+      body: record.body,
+      suggestion: record.suggestion,
+      file: thread.file,
+      line: thread.endLine,
+      side: thread.side,
+    });
+    this.savePRs();
+    this._requestRemoteSync(pr);
+    logger.info('PR 行级评论:', { prId, threadId: thread.id, author: comment.author });
+    return { pr, thread, comment: record };
+  }
+
+  /**
+   * 解决 / 重新打开评论线程
+   * @param {string} prId
+   * @param {string} threadId
+   * @param {boolean} resolved
+   * @param {string} by - 操作者
+   * @returns {{ pr: PullRequest, thread: ReviewThread }}
+   */
+  setThreadResolved(prId, threadId, resolved, by) {
+    const pr = this.getPR(prId);
+    if (!pr) {
+      throw new Error(`PR "${prId}" 不存在`);
+    }
+    if (pr.status === 'merged' || pr.status === 'closed') {
+      throw new Error(`PR "${prId}" 已${pr.status === 'merged' ? '合并' : '关闭'}，无法修改评论线程`);
+    }
+    const thread = (pr.threads || []).find((t) => t.id === threadId);
+    if (!thread) {
+      throw new Error(`评论线程 "${threadId}" 不存在`);
+    }
+
+    thread.resolved = !!resolved;
+    if (thread.resolved) {
+      thread.resolvedBy = by;
+      thread.resolvedAt = new Date().toISOString();
+    } else {
+      delete thread.resolvedBy;
+      delete thread.resolvedAt;
+    }
+
+    pr.updatedAt = new Date().toISOString();
+    pr.status = this._calculatePRStatus(pr);
+    this.savePRs();
+    logger.info(`${thread.resolved ? '解决' : '重新打开'}评论线程:`, { prId, threadId, by });
+    return { pr, thread };
+  }
+
+  /**
+   * 把线程中最新的建议修改提交到源分支，并将线程标记为已解决
+   * 源分支已在某个 worktree 检出时直接在其中修改（该文件不能有未提交的更改），
+   * 否则临时创建 worktree，提交后删除
+   * @param {string} prId
+   * @param {string} threadId
+   * @param {Object} options
+   * @param {string} options.appliedBy - 操作者 Agent ID
+   * @param {string} options.author - commit author，如 "Name <email>"
+   * @returns {Promise<{ pr: PullRequest, thread: ReviewThread, commit: string }>}
+   */
+  async applySuggestion(prId, threadId, options) {
+    const { appliedBy, author } = options;
+    const pr = this.getPR(prId);
+    if (!pr) {
+      throw new Error(`PR "${prId}" 不存在`);
+    }
+    if (pr.status === 'merged' || pr.status === 'closed') {
+      throw new Error(`PR "${prId}" 已${pr.status === 'merged' ? '合并' : '关闭'}，无法应用建议`);
+    }
+    const thread = (pr.threads || []).find((t) => t.id === threadId);
+    if (!thread) {
+      throw new Error(`评论线程 "${threadId}" 不存在`);
+    }
+    if (thread.suggestionApplied) {
+      throw new Error(`线程 "${threadId}" 的建议已应用（${thread.suggestionApplied.commit}）`);
+    }
+    const suggested = [...thread.comments].reverse().find((c) => c.suggestion != null);
+    if (!suggested) {
+      throw new Error(`线程 "${threadId}" 中没有建议修改`);
+    }
+
+    // 在源分支的检出位置修改文件
+    const worktrees = await this.listWorktrees();
+    const mainPath = worktrees.find((w) => w.isMain)?.path || this.workspacePath;
+    let checkout = worktrees.find((w) => w.branch === pr.sourceBranch && !w.prunable);
+    let temporary = false;
+    if (!checkout) {
+      checkout = await new BranchManager(mainPath).addWorktree(pr.sourceBranch);
+      temporary = true;
+    }
+
+    const repo = new WorkspaceManager(checkout.path);
+    try {
+      const dirty = await repo.git(['status', '--porcelain', '--', thread.file]);
+      if (dirty) {
+        throw new Error(`${thread.file} 在 ${checkout.path} 中有未提交的更改，请先提交或撤销后再应用建议`);
+      }
+
+      const filePath = path.join(checkout.path, thread.file);
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`源分支中不存在文件 ${thread.file}`);
+      }
+      const lines = fs.readFileSync(filePath, 'utf-8').split('\n');
+      const current = lines.slice(thread.line - 1, thread.endLine);
+      if (current.join('\n') !== thread.originalLines.join('\n')) {
+        throw new Error(`${thread.file} 第 ${thread.line} 行起的内容在评论之后已被修改，建议无法自动应用`);
+      }
+      // 空建议表示删除这些行
+      const replacement = suggested.suggestion === '' ? [] : suggested.suggestion.split('\n');
+      lines.splice(thread.line - 1, thread.endLine - thread.line + 1, ...replacement);
+      fs.writeFileSync(filePath, lines.join('\n'), 'utf-8');
+
+      await repo.git(['add', '--', thread.file]);
+      const { hash } = await repo.commit(
+        `Apply review suggestion to ${thread.file}\n\nPR: ${pr.id}, thread: ${thread.id}`,
+        { author, paths: [thread.file] }
+      );
+      const commit = hash.slice(0, 7);
+
+      thread.suggestionApplied = {
+        commentId: suggested.id,
+        commit,
+        appliedBy,
+        appliedAt: new Date().toISOString(),
+      };
+      thread.resolved = true;
+      thread.resolvedBy = appliedBy;
+      thread.resolvedAt = thread.suggestionApplied.appliedAt;
+
+      pr.updatedAt = new Date().toISOString();
+      pr.status = this._calculatePRStatus(pr);
+      this.savePRs();
+      // 同步时会推送源分支上的新提交
+      this._requestRemoteSync(pr);
+      logger.info('应用 PR 建议修改:', { prId, threadId, commit, appliedBy });
+      return { pr, thread, commit };
+    } finally {
+      if (temporary) {
+        await new BranchManager(mainPath).removeWorktree(checkout.path, { force: true }).catch((error) => {
+          logger.warn('删除临时 worktree 失败:', error.message);
+        });
+      }
+    }
+  }
 }
 
 module.exports = { PRManager };
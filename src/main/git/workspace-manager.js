@@ -4,13 +4,17 @@
  * @module git/workspace-manager
  */
 
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
 const { logger } = require('../utils/logger');
-
-const execAsync = promisify(exec);
+const {
+  runGit,
+  validateRevision,
+  parseStatusV2,
+  parseLog,
+  parseNumstat,
+  LOG_FORMAT,
+} = require('./git-runner');
 
 /**
  * 工作区管理器
@@ -24,21 +28,67 @@ class WorkspaceManager {
   }
 
   /**
-   * 执行 Git 命令
-   * @param {string} command
-   * @returns {Promise<string>}
+   * 执行 Git 命令（参数数组，不经过 shell）
+   * @param {string[]} args
+   * @param {Object} [options]
+   * @param {string} [options.input] - 写入标准输入的内容
+   * @param {number} [options.timeout]
+   * @returns {Promise<string>} 去掉末尾换行的标准输出
    */
-  async git(command) {
-    try {
-      const { stdout, stderr } = await execAsync(`git ${command}`, {
-        cwd: this.workspacePath,
-        maxBuffer: 10 * 1024 * 1024, // 10MB
-      });
-      return stdout.trim();
-    } catch (error) {
-      const message = error.stderr || error.message;
-      throw new Error(`Git 命令失败: ${message}`);
+  async git(args, options = {}) {
+    if (!Array.isArray(args)) {
+      throw new TypeError('git() 需要参数数组');
     }
+    const { stdout } = await runGit(args, { cwd: this.workspacePath, ...options });
+    return stdout.trimEnd();
+  }
+
+  /**
+   * 提交（提交信息经标准输入传入）
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.author] - 如 "Name <email>"
+   * @param {string[]} [options.paths] - 只提交这些文件
+   * @returns {Promise<{ hash: string, output: string }>}
+   */
+  async commit(message, options = {}) {
+    const { author, paths } = options;
+    const args = ['commit', '-F', '-'];
+    if (author) args.push(`--author=${author}`);
+    if (paths?.length) args.push('--', ...paths);
+    const output = await this.git(args, { input: message });
+    const hash = await this.git(['rev-parse', 'HEAD']);
+    return { hash, output };
+  }
+
+  /**
+   * 获取提交历史
+   * @param {Object} [options]
+   * @param {string} [options.ref] - 分支或提交（默认当前 HEAD）
+   * @param {number} [options.limit]
+   * @returns {Promise<import('./git-runner').LogEntry[]>}
+   */
+  async getLog(options = {}) {
+    const { ref, limit = 10 } = options;
+    const args = ['log', `--format=${LOG_FORMAT}`, `--max-count=${limit}`];
+    if (ref) args.push(validateRevision(ref, '分支或提交'));
+    args.push('--');
+    return parseLog(await this.git(args));
+  }
+
+  /**
+   * 统计两个提交之间每个文件增删的行数
+   * @param {string} from
+   * @param {string} to
+   * @param {Object} [options]
+   * @param {boolean} [options.mergeBase] - 从两者的共同祖先比较（同 from...to）
+   * @returns {Promise<import('./git-runner').DiffStat>}
+   */
+  async getDiffStat(from, to, options = {}) {
+    validateRevision(from);
+    validateRevision(to);
+    const range = options.mergeBase ? [`${from}...${to}`] : [from, to];
+    return parseNumstat(await this.git(['diff', '--numstat', '-z', '-M', ...range, '--']));
   }
 
   /**
@@ -47,7 +97,7 @@ class WorkspaceManager {
    */
   async isGitRepository() {
     try {
-      await this.git('rev-parse --git-dir');
+      await this.git(['rev-parse', '--git-dir']);
       return true;
     } catch {
       return false;
@@ -64,7 +114,7 @@ class WorkspaceManager {
       return { initialized: false, message: '已是 Git 仓库' };
     }
 
-    await this.git('init');
+    await this.git(['init']);
     
     // 创建 .gitignore
     const gitignorePath = path.join(this.workspacePath, '.gitignore');
@@ -79,9 +129,9 @@ class WorkspaceManager {
     }
 
     // 初始提交
-    await this.git('add -A');
+    await this.git(['add', '-A']);
     try {
-      await this.git('commit -m "Initial commit"');
+      await this.commit('Initial commit');
     } catch {
       // 可能没有文件要提交
     }
@@ -100,30 +150,16 @@ class WorkspaceManager {
       return { isRepository: false };
     }
 
-    // 获取当前分支
-    let currentBranch;
-    try {
-      currentBranch = await this.git('rev-parse --abbrev-ref HEAD');
-    } catch {
-      currentBranch = 'HEAD';
-    }
+    // 当前分支和文件状态
+    const { branch, files } = parseStatusV2(await this.git(['status', '--porcelain=v2', '--branch', '-z']));
 
-    // 获取文件状态
-    const statusOutput = await this.git('status --porcelain');
-    const files = statusOutput
-      .split('\n')
-      .filter((line) => line.trim())
-      .map((line) => ({
-        status: line.slice(0, 2).trim(),
-        path: line.slice(3),
-      }));
-
-    // 获取最近提交
+    // 获取最近提交（空仓库没有提交）
     let lastCommit;
     try {
-      const log = await this.git('log -1 --format="%H|%s|%an|%ar"');
-      const [hash, message, author, date] = log.split('|');
-      lastCommit = { hash, message, author, date };
+      const [entry] = await this.getLog({ limit: 1 });
+      lastCommit = entry
+        ? { hash: entry.hash, message: entry.subject, author: entry.author, date: entry.relativeDate }
+        : null;
     } catch {
       lastCommit = null;
     }
@@ -131,12 +167,12 @@ class WorkspaceManager {
     // 获取分支列表
     let branches;
     try {
-      const branchOutput = await this.git('branch --list');
+      const branchOutput = await this.git(['branch', '--list', '--format=%(HEAD)%(refname:short)']);
       branches = branchOutput
         .split('\n')
         .filter((b) => b.trim())
         .map((b) => ({
-          name: b.replace(/^\*?\s*/, ''),
+          name: b.slice(1),
           isCurrent: b.startsWith('*'),
         }));
     } catch {
@@ -145,7 +181,10 @@ class WorkspaceManager {
 
     return {
       isRepository: true,
-      currentBranch,
+      currentBranch: branch.head || 'HEAD',
+      upstream: branch.upstream,
+      ahead: branch.ahead,
+      behind: branch.behind,
       files,
       hasChanges: files.length > 0,
       lastCommit,
@@ -159,7 +198,7 @@ class WorkspaceManager {
    */
   async getRemotes() {
     try {
-      const output = await this.git('remote -v');
+      const output = await this.git(['remote', '-v']);
       const lines = output.split('\n').filter((l) => l.includes('(fetch)'));
       return lines.map((line) => {
         const parts = line.split(/\s+/);
@@ -0,0 +1,77 @@
+/**
+ * SoloForge - 任务 worktree 作用域
+ * 带 Git 分支的委派任务在独立的 worktree 中执行。执行期间把文件、命令和 Git 工具的路径参数
+ * 自动映射到该 worktree，避免并行任务在主工作区互相切换分支、覆盖文件。
+ *
+ * 映射规则（worktree 位于仓库内，仓库外的路径不受影响）：
+ * - read_file / write_file / list_files：相对路径以 worktree 为根；指向主工作区的绝对路径换成 worktree 中的同名路径
+ * - shell / process_start：未指定 cwd 时在 worktree 中执行；cwd 指向主工作区时同样换成 worktree
+ * - git_* 工具：workspace 为空或指向主工作区时使用 worktree。git_merge / git_init 除外，
+ *   合并需要在主工作区检出目标分支
+ * @module git/worktree-scope
+ */
+
+const path = require('path');
+const os = require('os');
+const { WORKTREE_CONFIG } = require('./branch-manager');
+
+/**
+ * @typedef {Object} WorktreeScope
+ * @property {string} repoPath - 主工作区（仓库根目录）
+ * @property {string} path - 任务 worktree 路径
+ * @property {string} branch - worktree 检出的分支
+ */
+
+const FILE_TOOLS = ['read_file', 'write_file', 'list_files'];
+const SHELL_TOOLS = ['shell', 'process_start'];
+/** 不做映射的 Git 工具 */
+const UNSCOPED_GIT_TOOLS = ['git_merge', 'git_init'];
+
+function isWithin(target, root) {
+  return target === root || target.startsWith(root + path.sep);
+}
+
+/**
+ * 把一个路径映射到 worktree；不在主工作区内（或已在某个 worktree 内）的路径原样返回
+ * @param {string} targetPath
+ * @param {WorktreeScope} scope
+ * @returns {string}
+ */
+function mapPath(targetPath, scope) {
+  const expanded = targetPath.startsWith('~') ? path.join(os.homedir(), targetPath.slice(1)) : targetPath;
+  if (!path.isAbsolute(expanded)) {
+    return path.join(scope.path, expanded);
+  }
+  const repoPath = path.resolve(scope.repoPath);
+  const target = path.resolve(expanded);
+  if (!isWithin(target, repoPath) || isWithin(target, path.join(repoPath, WORKTREE_CONFIG.dirName))) {
+    return targetPath;
+  }
+  return path.join(scope.path, path.relative(repoPath, target));
+}
+
+/**
+ * 按任务 worktree 改写工具参数
+ * @param {string} toolName
+ * @param {Object} args - 归一化后的参数
+ * @param {WorktreeScope | null | undefined} scope
+ * @returns {Object} 改写后的参数（无需改写时返回原对象）
+ */
+function scopeArgsToWorktree(toolName, args, scope) {
+  if (!scope?.path || !scope.repoPath) return args;
+
+  if (FILE_TOOLS.includes(toolName) && typeof args.path === 'string' && args.path) {
+    return { ...args, path: mapPath(args.path, scope) };
+  }
+  if (SHELL_TOOLS.includes(toolName)) {
+    return { ...args, cwd: args.cwd ? mapPath(args.cwd, scope) : scope.path };
+  }
+  if (toolName.startsWith('git_') && !UNSCOPED_GIT_TOOLS.includes(toolName)) {
+    return { ...args, workspace: args.workspace ? mapPath(args.workspace, scope) : scope.path };
+  }
+  return args;
+}
+
+module.exports = {
+  scopeArgsToWorktree,
+};
@@ -6,6 +6,12 @@
  */
 
 const { LLMProvider } = require('./llm-provider');
+const {
+  toOpenAITools,
+  toOpenAIMessages,
+  fromOpenAIToolCalls,
+  OpenAIToolCallAccumulator,
+} = require('./tool-call-format');
 
 const DEEPSEEK_BASE_URL = 'https://api.deepseek.com/v1';
 
@@ -52,11 +58,11 @@ class DeepSeekProvider extends LLMProvider {
 
   /**
    * 转换消息格式
-   * 支持 string 和多模态 content
+   * 支持 string 和多模态 content，以及 assistant.toolCalls / tool 结构化工具消息
    */
   _convertMessages(messages) {
-    return messages.map((m) => ({
-      role: m.role,
+    return toOpenAIMessages(messages).map((m) => ({
+      ...m,
       content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content),
     }));
   }
@@ -82,6 +88,9 @@ class DeepSeekProvider extends LLMProvider {
       temperature: options.temperature ?? 0.7,
       stream: false,
     };
+    if (options.tools?.length > 0) {
+      body.tools = toOpenAITools(options.tools);
+    }
 
     logger.info('DeepSeek API 请求', { model, messagesCount: messages.length });
 
@@ -103,13 +112,21 @@ class DeepSeekProvider extends LLMProvider {
     // DeepSeek-R1 的推理链在 reasoning_content 字段
     const reasoningContent = choice?.message?.reasoning_content;
 
+    // 原生工具调用通过 options._toolCalls 传给调用方
+    const toolCalls = fromOpenAIToolCalls(choice?.message?.tool_calls);
+    if (options._toolCalls && toolCalls.length > 0) {
+      options._toolCalls.push(...toolCalls);
+    }
+
     const result = {
       content,
+      toolCalls,
       model: data.model,
       usage: data.usage ? {
         promptTokens: data.usage.prompt_tokens,
         completionTokens: data.usage.completion_tokens,
         totalTokens: data.usage.total_tokens,
+        cachedTokens: data.usage.prompt_cache_hit_tokens || 0,
       } : undefined,
       finish_reason: choice?.finish_reason,
     };
@@ -138,6 +155,9 @@ class DeepSeekProvider extends LLMProvider {
       temperature: options.temperature ?? 0.7,
       stream: true,
     };
+    if (options.tools?.length > 0) {
+      body.tools = toOpenAITools(options.tools);
+    }
 
     logger.info('DeepSeek 流式请求', { model, messagesCount: messages.length });
 
@@ -158,6 +178,7 @@ class DeepSeekProvider extends LLMProvider {
     const decoder = new TextDecoder();
     let buffer = '';
     let chunkNum = 0;
+    const toolCalls = new OpenAIToolCallAccumulator();
 
     try {
       while (true) {
@@ -193,6 +214,7 @@ class DeepSeekProvider extends LLMProvider {
               }
               yield delta.content;
             }
+            toolCalls.push(delta?.tool_calls);
             // DeepSeek-R1 的推理链在流式中通过 reasoning_content 传递
             // 目前不输出推理链，只输出最终结果
           } catch {
@@ -201,6 +223,7 @@ class DeepSeekProvider extends LLMProvider {
         }
       }
     } finally {
+      if (options._toolCalls) options._toolCalls.push(...toolCalls.finish());
       reader.releaseLock();
     }
   }
@@ -6,6 +6,14 @@
  */
 
 const { LLMProvider } = require('./llm-provider');
+const {
+  toAnthropicTools,
+  toAnthropicMessages,
+  toOpenAITools,
+  toOpenAIMessages,
+  fromOpenAIToolCalls,
+  OpenAIToolCallAccumulator,
+} = require('./tool-call-format');
 
 // 使用 Anthropic 协议的模型（Claude 系列 + GLM 系列）
 // Claude 使用 Anthropic 协议可以避免代理层通过 OpenAI 协议注入的默认身份
@@ -85,9 +93,9 @@ class DuojieProvider extends LLMProvider {
    * 合并连续相同角色的消息
    * Anthropic API 要求 user/assistant 严格交替，但工具循环中可能产生连续 user 消息
    * （如：tool results + next instruction 都是 user 角色）
-   * 此方法将连续相同角色的消息合并为一条，用分隔符连接内容
-   * @param {Array<{role: string, content: string}>} messages
-   * @returns {Array<{role: string, content: string}>}
+   * 此方法将连续相同角色的消息合并为一条：纯文本用分隔符连接，含内容块（如 tool_result）时拼接块数组
+   * @param {Array<{role: string, content: string|Array}>} messages
+   * @returns {Array<{role: string, content: string|Array}>}
    */
   _mergeConsecutiveMessages(messages) {
     if (!messages || messages.length === 0) return messages;
@@ -96,12 +104,13 @@ class DuojieProvider extends LLMProvider {
     for (const msg of messages) {
       const last = merged[merged.length - 1];
       if (last && last.role === msg.role) {
-        // 合并连续相同角色的消息（仅处理纯文本内容，多模态消息不合并）
+        // 合并连续相同角色的消息
         if (typeof last.content === 'string' && typeof msg.content === 'string') {
           last.content = last.content + '\n\n---\n\n' + msg.content;
         } else {
-          // 多模态消息无法简单合并，直接追加（API 可能仍会报错，但至少不会丢失内容）
-          merged.push(msg);
+          const toBlocks = (content) =>
+            Array.isArray(content) ? content : [{ type: 'text', text: String(content ?? '') }];
+          last.content = [...toBlocks(last.content), ...toBlocks(msg.content)];
         }
       } else {
         merged.push({ ...msg });
@@ -110,53 +119,6 @@ class DuojieProvider extends LLMProvider {
     return merged;
   }
 
-  /**
-   * 将内部工具定义转换为 Anthropic 原生工具格式
-   * @param {Array<Object>} tools - 内部 ToolDefinition 列表
-   * @returns {Array<Object>} Anthropic tools 格式
-   */
-  _convertToolsToAnthropic(tools) {
-    if (!tools || tools.length === 0) return [];
-    return tools.map(tool => ({
-      name: tool.name,
-      description: (tool.description || '').slice(0, 1024), // Anthropic 对描述长度有限制
-      input_schema: {
-        type: 'object',
-        properties: Object.fromEntries(
-          Object.entries(tool.parameters || {}).map(([name, param]) => [
-            name,
-            {
-              type: param.type === 'boolean' ? 'boolean'
-                : param.type === 'number' || param.type === 'integer' ? 'number'
-                : 'string',
-              description: param.description || '',
-            },
-          ])
-        ),
-        required: Object.entries(tool.parameters || {})
-          .filter(([, param]) => param.required)
-          .map(([name]) => name),
-      },
-    }));
-  }
-
-  /**
-   * 将 Anthropic tool_use 响应转换为内部 XML 格式
-   * 下游的 tool-executor 解析 <tool_call> XML 标签来识别工具调用
-   * @param {string} name - 工具名称
-   * @param {Object} input - 工具参数
-   * @returns {string} XML 格式的工具调用
-   */
-  _toolUseToXml(name, input) {
-    const args = Object.entries(input || {})
-      .map(([k, v]) => {
-        const val = typeof v === 'object' ? JSON.stringify(v) : String(v);
-        return `    <${k}>${val}</${k}>`;
-      })
-      .join('\n');
-    return `\n<tool_call>\n  <name>${name}</name>\n  <arguments>\n${args}\n  </arguments>\n</tool_call>\n`;
-  }
-
   /**
    * 获取 API URL
    * @param {string} model
@@ -258,12 +220,9 @@ class DuojieProvider extends LLMProvider {
       const systemMsg = normalizedMessages.find(m => m.role === 'system');
       const otherMsgs = normalizedMessages.filter(m => m.role !== 'system');
       
-      // 映射角色并合并连续相同角色的消息（工具循环中可能产生连续 user 消息）
-      const mappedMsgs = otherMsgs.map(m => ({
-        role: m.role === 'assistant' ? 'assistant' : 'user',
-        content: m.content,
-      }));
-      const mergedMsgs = this._mergeConsecutiveMessages(mappedMsgs);
+      // 转换为 Anthropic 消息（toolCalls → tool_use，tool → tool_result），
+      // 并合并连续相同角色的消息（工具循环中可能产生连续 user 消息）
+      const mergedMsgs = this._mergeConsecutiveMessages(toAnthropicMessages(otherMsgs));
       
       body = {
         model,
@@ -277,7 +236,7 @@ class DuojieProvider extends LLMProvider {
 
       // 原生工具调用：如果传入了工具定义，转换为 Anthropic 格式
       if (options.tools?.length > 0) {
-        body.tools = this._convertToolsToAnthropic(options.tools);
+        body.tools = toAnthropicTools(options.tools);
       }
     } else {
       // OpenAI 协议
@@ -285,11 +244,15 @@ class DuojieProvider extends LLMProvider {
       
       body = {
         model,
-        messages: normalizedMessages,
+        messages: toOpenAIMessages(normalizedMessages),
         max_tokens: options.maxTokens || 8192,
         temperature: options.temperature ?? 0.7,
         stream: false, // 非流式请求（流式在方法开头已处理）
       };
+
+      if (options.tools?.length > 0) {
+        body.tools = toOpenAITools(options.tools);
+      }
     }
 
     const { logger } = require('../utils/logger');
@@ -317,6 +280,7 @@ class DuojieProvider extends LLMProvider {
         promptTokens: data.usage.prompt_tokens || 0,
         completionTokens: data.usage.completion_tokens || 0,
         totalTokens: data.usage.total_tokens || 0,
+        cachedTokens: data.usage.prompt_tokens_details?.cached_tokens || 0,
       };
     } else if (isAnthropic && data.usage) {
       // Anthropic 格式
@@ -324,30 +288,38 @@ class DuojieProvider extends LLMProvider {
         promptTokens: data.usage.input_tokens || 0,
         completionTokens: data.usage.output_tokens || 0,
         totalTokens: (data.usage.input_tokens || 0) + (data.usage.output_tokens || 0),
+        cachedTokens: data.usage.cache_read_input_tokens || 0,
       };
     }
 
     let content;
+    let toolCalls = [];
     if (isAnthropic) {
-      // Anthropic 响应格式：遍历所有 content block，拼接文本和工具调用
+      // Anthropic 响应格式：遍历所有 content block，拼接文本、收集工具调用
       let textParts = '';
       for (const block of data.content || []) {
         if (block.type === 'text') {
           textParts += block.text;
         } else if (block.type === 'tool_use') {
-          // 原生工具调用：转换为内部 XML 格式，供下游 tool-executor 解析
-          textParts += this._toolUseToXml(block.name, block.input);
+          toolCalls.push({ id: block.id, name: block.name, arguments: block.input || {} });
         }
       }
       content = textParts || '';
     } else {
       // OpenAI 响应格式
-      content = data.choices?.[0]?.message?.content || '';
+      const message = data.choices?.[0]?.message;
+      content = message?.content || '';
+      toolCalls = fromOpenAIToolCalls(message?.tool_calls);
+    }
+
+    // 原生工具调用通过 options._toolCalls 传给调用方
+    if (options._toolCalls && toolCalls.length > 0) {
+      options._toolCalls.push(...toolCalls);
     }
 
     // 如果请求返回用量信息，返回对象；否则保持向后兼容返回字符串
     if (options.returnUsage) {
-      return { content, usage, model };
+      return { content, usage, model, toolCalls };
     }
 
     return content;
@@ -379,12 +351,9 @@ class DuojieProvider extends LLMProvider {
       const systemMsg = normalizedMessages.find(m => m.role === 'system');
       const otherMsgs = normalizedMessages.filter(m => m.role !== 'system');
       
-      // 映射角色并合并连续相同角色的消息（工具循环中可能产生连续 user 消息）
-      const mappedMsgs = otherMsgs.map(m => ({
-        role: m.role === 'assistant' ? 'assistant' : 'user',
-        content: m.content,
-      }));
-      const mergedMsgs = this._mergeConsecutiveMessages(mappedMsgs);
+      // 转换为 Anthropic 消息（toolCalls → tool_use，tool → tool_result），
+      // 并合并连续相同角色的消息（工具循环中可能产生连续 user 消息）
+      const mergedMsgs = this._mergeConsecutiveMessages(toAnthropicMessages(otherMsgs));
       
       body = {
         model,
@@ -399,18 +368,22 @@ class DuojieProvider extends LLMProvider {
 
       // 原生工具调用：如果传入了工具定义，转换为 Anthropic 格式
       if (options.tools?.length > 0) {
-        body.tools = this._convertToolsToAnthropic(options.tools);
+        body.tools = toAnthropicTools(options.tools);
       }
     } else {
       headers['Authorization'] = `Bearer ${this.apiKey}`;
       
       body = {
         model,
-        messages: normalizedMessages,
+        messages: toOpenAIMessages(normalizedMessages),
         max_tokens: options.maxTokens || 8192,
         temperature: options.temperature ?? 0.7,
         stream: true,
       };
+
+      if (options.tools?.length > 0) {
+        body.tools = toOpenAITools(options.tools);
+      }
     }
 
     const { logger } = require('../utils/logger');
@@ -437,9 +410,14 @@ class DuojieProvider extends LLMProvider {
     // 原生工具调用的流式累积状态
     let currentToolUse = null;     // 当前正在累积的 tool_use 块 { name, id, index }
     let toolUseInputJson = '';     // 累积的 input JSON 字符串
+    const openaiToolCalls = new OpenAIToolCallAccumulator();
+    // 完成的工具调用通过 options._toolCalls 传给调用方
+    const flushOpenAIToolCalls = () => {
+      if (options._toolCalls) options._toolCalls.push(...openaiToolCalls.finish());
+    };
 
     // 流式 usage 追踪（通过 options._streamUsage 传给调用方）
-    const streamUsage = { promptTokens: 0, completionTokens: 0, model };
+    const streamUsage = { promptTokens: 0, completionTokens: 0, cachedTokens: 0, model };
 
     while (true) {
       const { done, value } = await reader.read();
@@ -466,6 +444,7 @@ class DuojieProvider extends LLMProvider {
           logger.info('Duojie 流式收到 [DONE]', { usage: streamUsage });
           // 将 usage 写入 options 供调用方读取
           if (options._streamUsage) Object.assign(options._streamUsage, streamUsage);
+          flushOpenAIToolCalls();
           return;
         }
 
@@ -478,6 +457,7 @@ class DuojieProvider extends LLMProvider {
             // 0. 捕获 usage 数据（message_start → input_tokens, message_delta → output_tokens）
             if (parsed.type === 'message_start' && parsed.message?.usage) {
               streamUsage.promptTokens = parsed.message.usage.input_tokens || 0;
+              streamUsage.cachedTokens = parsed.message.usage.cache_read_input_tokens || 0;
             }
             if (parsed.type === 'message_delta' && parsed.usage) {
               streamUsage.completionTokens = parsed.usage.output_tokens || 0;
@@ -504,7 +484,7 @@ class DuojieProvider extends LLMProvider {
               toolUseInputJson += parsed.delta.partial_json || '';
             }
 
-            // 4. content_block_stop：匹配同一 index 的 tool_use 块，生成完整的 XML
+            // 4. content_block_stop：匹配同一 index 的 tool_use 块，得到完整的工具调用
             if (parsed.type === 'content_block_stop' && currentToolUse && parsed.index === currentToolUse.index) {
               let input = {};
               try {
@@ -516,12 +496,13 @@ class DuojieProvider extends LLMProvider {
                   error: jsonErr.message,
                 });
               }
-              const xml = this._toolUseToXml(currentToolUse.name, input);
               logger.info('Duojie 流式原生工具调用完成', {
                 toolName: currentToolUse.name,
                 inputKeys: Object.keys(input),
               });
-              yield xml;
+              if (options._toolCalls) {
+                options._toolCalls.push({ id: currentToolUse.id, name: currentToolUse.name, arguments: input });
+              }
               currentToolUse = null;
               toolUseInputJson = '';
             }
@@ -529,10 +510,12 @@ class DuojieProvider extends LLMProvider {
             // OpenAI SSE 格式
             const content = parsed.choices?.[0]?.delta?.content;
             if (content) yield content;
+            openaiToolCalls.push(parsed.choices?.[0]?.delta?.tool_calls);
             // OpenAI 流最后一个 chunk 可能包含 usage
             if (parsed.usage) {
               streamUsage.promptTokens = parsed.usage.prompt_tokens || 0;
               streamUsage.completionTokens = parsed.usage.completion_tokens || 0;
+              streamUsage.cachedTokens = parsed.usage.prompt_tokens_details?.cached_tokens || 0;
             }
           }
         } catch (parseErr) {
@@ -543,6 +526,7 @@ class DuojieProvider extends LLMProvider {
 
     // while 循环通过 break 退出时，也写入 usage
     if (options._streamUsage) Object.assign(options._streamUsage, streamUsage);
+    flushOpenAIToolCalls();
   }
 
   /**
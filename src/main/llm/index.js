@@ -8,6 +8,8 @@ const { OpenAIProvider } = require('./openai-provider');
 const { DuojieProvider, SUPPORTED_MODELS: DUOJIE_MODELS, MODEL_CONTEXT_LIMITS: DUOJIE_CONTEXT_LIMITS } = require('./duojie-provider');
 const { DeepSeekProvider, SUPPORTED_MODELS: DEEPSEEK_MODELS, MODEL_CONTEXT_LIMITS: DEEPSEEK_CONTEXT_LIMITS } = require('./deepseek-provider');
 const { MockProvider } = require('./mock-provider');
+const { OpenAICompatibleProvider } = require('./openai-compatible-provider');
+const { providerRegistry } = require('./provider-registry');
 const { LLMManager } = require('./llm-manager');
 
 module.exports = {
@@ -17,7 +19,9 @@ module.exports = {
   DuojieProvider,
   DeepSeekProvider,
   MockProvider,
+  OpenAICompatibleProvider,
   LLMManager,
+  providerRegistry,
   DUOJIE_MODELS,
   DUOJIE_CONTEXT_LIMITS,
   DEEPSEEK_MODELS,
@@ -0,0 +1,58 @@
+/**
+ * SoloForge - LLM Provider IPC 处理器
+ * 设置页面管理自定义 OpenAI 兼容 Provider
+ * @module llm/llm-ipc-handlers
+ */
+
+const { ipcMain } = require('electron');
+const { providerRegistry } = require('./provider-registry');
+const { logger } = require('../utils/logger');
+const CHANNELS = require('../../shared/ipc-channels');
+
+/**
+ * 隐去 API Key，仅告知前端是否已配置
+ * @param {import('./provider-registry').ProviderDefinition} provider
+ */
+function toPublicProvider(provider) {
+  const { apiKey, ...rest } = provider;
+  return { ...rest, hasApiKey: !!apiKey };
+}
+
+/**
+ * 设置 LLM Provider 相关的 IPC 处理器
+ * @param {import('./llm-manager').LLMManager} llmManager
+ */
+function setupLLMIpcHandlers(llmManager) {
+  // 获取所有 Provider（内置 + 自定义）
+  ipcMain.handle(CHANNELS.LLM_PROVIDERS_GET_ALL, async () => {
+    return providerRegistry.getAll().map(toPublicProvider);
+  });
+
+  // 新增或更新自定义 Provider
+  // apiKey 留空时保留原有 Key（前端拿不到明文）
+  ipcMain.handle(CHANNELS.LLM_PROVIDERS_SAVE, async (_event, definition) => {
+    logger.info('IPC: llm-providers:save', { id: definition?.id });
+    const existing = providerRegistry.getCustom().find((p) => p.id === definition?.id);
+    const merged = existing && !definition.apiKey
+      ? { ...definition, apiKey: existing.apiKey }
+      : definition;
+    const result = providerRegistry.save(merged);
+    return result.success
+      ? { success: true, provider: toPublicProvider(result.provider) }
+      : result;
+  });
+
+  // 删除自定义 Provider
+  ipcMain.handle(CHANNELS.LLM_PROVIDERS_REMOVE, async (_event, providerId) => {
+    logger.info('IPC: llm-providers:remove', { providerId });
+    return providerRegistry.remove(providerId);
+  });
+
+  // 检测 Provider 连接
+  ipcMain.handle(CHANNELS.LLM_PROVIDERS_CHECK, async (_event, providerId) => {
+    logger.info('IPC: llm-providers:check', { providerId });
+    return llmManager.checkConnection(providerId);
+  });
+}
+
+module.exports = { setupLLMIpcHandlers };
@@ -8,6 +8,9 @@ const { OpenAIProvider } = require('./openai-provider');
 const { DuojieProvider } = require('./duojie-provider');
 const { DeepSeekProvider } = require('./deepseek-provider');
 const { MockProvider } = require('./mock-provider');
+const { OpenAICompatibleProvider } = require('./openai-compatible-provider');
+const { providerRegistry } = require('./provider-registry');
+const { toTextProtocolMessages, hasStructuredToolMessages } = require('./tool-call-format');
 const { logger } = require('../utils/logger');
 
 /** 最大重试次数 */
@@ -65,14 +68,21 @@ function isContextTooLongError(err) {
 }
 
 /**
- * 模型 ID → Provider 名称 映射
- * 当 Agent 配置了特定模型时，自动路由到对应的 provider
+ * 在系统提示词末尾注入 XML 工具 schema（回退为文本协议时使用）
+ * @param {Array<Object>} messages
+ * @param {Array<Object>} tools - 工具定义
+ * @returns {Array<Object>}
  */
-const MODEL_TO_PROVIDER = {
-  'deepseek-chat': 'deepseek',
-  'deepseek-reasoner': 'deepseek',
-  // 其他模型默认走 duojie
-};
+function withTextToolSchema(messages, tools) {
+  // 延迟加载避免循环依赖
+  const { toolRegistry } = require('../tools/tool-registry');
+  const section = `【可用工具】\n${toolRegistry.getToolCallSchema(tools)}`;
+  const [first, ...others] = messages;
+  if (first?.role === 'system' && typeof first.content === 'string') {
+    return [{ ...first, content: `${first.content}\n\n---\n\n${section}` }, ...others];
+  }
+  return [{ role: 'system', content: section }, ...messages];
+}
 
 class LLMManager {
   constructor() {
@@ -87,16 +97,52 @@ class LLMManager {
     this.registerProvider(new OllamaProvider());
     this.registerProvider(new OpenAIProvider());
     this.registerProvider(new MockProvider());
+
+    // 用户自定义的 OpenAI 兼容 provider（注册表变更时同步）
+    this._customProviderNames = new Set();
+    this._syncCustomProviders(providerRegistry.getCustom());
+    providerRegistry.subscribe((custom) => this._syncCustomProviders(custom));
+  }
+
+  /**
+   * 按注册表重建自定义 provider 实例
+   * @param {import('./provider-registry').ProviderDefinition[]} customDefs
+   */
+  _syncCustomProviders(customDefs) {
+    for (const name of this._customProviderNames) {
+      this.providers.delete(name);
+    }
+    this._customProviderNames.clear();
+
+    for (const def of customDefs) {
+      if (!def.enabled) continue;
+      this.registerProvider(new OpenAICompatibleProvider(def));
+      this._customProviderNames.add(def.id);
+    }
+    logger.info('自定义 LLM Provider 已同步', { providers: [...this._customProviderNames] });
   }
 
   /**
-   * 根据模型 ID 解析应使用的 provider 名称
+   * 根据模型 ID 解析应使用的 provider 名称（由 provider 注册表决定）
    * @param {string} model - 模型 ID（如 'deepseek-chat'）
    * @returns {string|null} provider 名称，未匹配时返回 null
    */
   _resolveProviderForModel(model) {
     if (!model) return null;
-    return MODEL_TO_PROVIDER[model] || null;
+    const providerName = providerRegistry.findProviderForModel(model);
+    return providerName && this.providers.has(providerName) ? providerName : null;
+  }
+
+  /**
+   * 指定模型是否走原生工具调用（按 chat() 相同的规则解析 provider）
+   * @param {string} model
+   * @param {string} [providerName] - 显式指定的 provider
+   * @returns {boolean}
+   */
+  supportsNativeTools(model, providerName) {
+    const name = providerName || this._resolveProviderForModel(model) || this.defaultProviderName;
+    const provider = this.getProvider(name);
+    return !!provider && provider.supportsNativeTools(model);
   }
 
   /**
@@ -147,61 +193,43 @@ class LLMManager {
 
   /**
    * 检测指定 provider 是否可用
-   * @param {string} providerName - 'ollama' | 'openai' | 'mock'
+   * 请求地址、认证方式均来自 provider 注册表中的定义
+   * @param {string} providerName - provider ID（内置或自定义）
    * @returns {Promise<{ available: boolean, error?: string }>}
    */
   async checkConnection(providerName) {
     const provider = this.getProvider(providerName);
-    if (!provider) {
+    const definition = providerRegistry.get(providerName);
+    if (!provider || !definition) {
       return { available: false, error: `Provider "${providerName}" not found` };
     }
-    if (providerName === 'mock') {
+    if (definition.type === 'mock') {
       return { available: true };
     }
+    if (definition.requiresApiKey && !provider.apiKey) {
+      return { available: false, error: `${definition.apiKeyEnv || 'API Key'} not configured` };
+    }
 
     try {
-      if (providerName === 'ollama') {
-        const baseUrl = provider.baseUrl || 'http://localhost:11434';
-        const res = await fetch(`${baseUrl}/api/tags`, { method: 'GET' });
-        return { available: res.ok };
-      }
-      if (providerName === 'openai') {
-        const url = 'https://api.openai.com/v1/models';
-        let headers = { 'Content-Type': 'application/json' };
-        try {
-          if (typeof provider._getAuthHeaders === 'function') {
-            Object.assign(headers, provider._getAuthHeaders());
-          }
-        } catch {
-          // 无 API Key 时仍可检测网络
-        }
-        const res = await fetch(url, { method: 'GET', headers });
-        return { available: res.ok || res.status === 401 };
-      }
-      if (providerName === 'duojie') {
-        // 检测 Duojie API 可用性
-        if (!provider.apiKey) {
-          return { available: false, error: 'DUOJIE_API_KEY not configured' };
+      const baseUrl = (provider.baseUrl || definition.baseUrl).replace(/\/+$/, '');
+      const url = `${baseUrl}${definition.healthCheckPath || '/models'}`;
+      const headers = { 'Content-Type': 'application/json' };
+      try {
+        if (typeof provider._getAuthHeaders === 'function') {
+          Object.assign(headers, provider._getAuthHeaders());
+        } else if (provider.apiKey) {
+          headers.Authorization = `Bearer ${provider.apiKey}`;
         }
-        const url = 'https://api.duojie.games/v1/models';
-        const res = await fetch(url, {
-          method: 'GET',
-          headers: { 'Authorization': `Bearer ${provider.apiKey}` },
-        });
-        return { available: res.ok || res.status === 401 };
+      } catch {
+        // 无 API Key 时仍可检测网络
       }
-      if (providerName === 'deepseek') {
-        if (!provider.apiKey) {
-          return { available: false, error: 'DEEPSEEK_API_KEY not configured' };
-        }
-        const url = `${provider.baseUrl || 'https://api.deepseek.com/v1'}/models`;
-        const res = await fetch(url, {
-          method: 'GET',
-          headers: { 'Authorization': `Bearer ${provider.apiKey}` },
-        });
-        return { available: res.ok || res.status === 401 };
+      const res = await fetch(url, { method: 'GET', headers });
+      // 内置云端 API 返回 401 说明网络可达；本地服务和自定义端点要求真正可用
+      const reachable = definition.builtin && definition.type !== 'ollama' && res.status === 401;
+      if (res.ok || reachable) {
+        return { available: true };
       }
-      return { available: true };
+      return { available: false, error: `HTTP ${res.status}` };
     } catch (err) {
       const msg = err instanceof Error ? err.message : String(err);
       return { available: false, error: msg };
@@ -215,6 +243,21 @@ class LLMManager {
    * @param {Object} rest
    */
   async _chatWithRetry(provider, messages, rest) {
+    // 不支持原生工具调用的 provider（含降级后的 provider）：回退为 XML 文本协议
+    if (!provider.supportsNativeTools(rest.model)) {
+      if (hasStructuredToolMessages(messages)) {
+        messages = toTextProtocolMessages(messages);
+      }
+      if (rest.tools) {
+        // 调用方按原生工具调用准备，提示词中没有工具说明：改为在系统提示词中注入 XML schema
+        const { tools, ...withoutTools } = rest;
+        rest = withoutTools;
+        if (tools.length > 0) {
+          messages = withTextToolSchema(messages, tools);
+        }
+      }
+    }
+
     let lastError = null;
     for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
       try {
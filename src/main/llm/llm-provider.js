@@ -29,6 +29,20 @@ class LLMProvider {
     throw new Error('complete() must be implemented by subclass');
   }
 
+  /**
+   * 指定模型是否支持原生工具调用（OpenAI tools / Anthropic tool_use）
+   * 默认读取 provider-registry 中的模型能力；支持时 chat() 接受 options.tools，
+   * 并将模型返回的工具调用写入 options._toolCalls（数组出参，与 _streamUsage 一致）
+   * @param {string} model
+   * @returns {boolean}
+   */
+  supportsNativeTools(model) {
+    // 延迟加载避免循环依赖
+    const { providerRegistry } = require('./provider-registry');
+    const found = providerRegistry.findModel(model);
+    return !!found && found.provider.id === this.name && !!found.model.capabilities?.tools;
+  }
+
   /**
    * 获取模型信息
    * @returns {Object} { name, type, ... }
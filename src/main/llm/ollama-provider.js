@@ -124,6 +124,34 @@ class OllamaProvider extends LLMProvider {
     };
   }
 
+  /**
+   * 计算文本向量（/api/embed）
+   * @param {string[]} texts
+   * @param {Object} [options]
+   * @param {string} options.model - 嵌入模型，如 nomic-embed-text
+   * @param {number} [options.timeout] - 超时（毫秒）
+   * @returns {Promise<number[][]>}
+   */
+  async embed(texts, options = {}) {
+    const response = await fetch(`${this.baseUrl}/api/embed`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: options.model, input: texts }),
+      signal: options.timeout ? AbortSignal.timeout(options.timeout) : undefined,
+    });
+
+    if (!response.ok) {
+      const err = await response.text();
+      throw new Error(`Ollama API error: ${response.status} - ${err}`);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data.embeddings) || data.embeddings.length !== texts.length) {
+      throw new Error('Ollama API error: 嵌入结果数量与输入不一致');
+    }
+    return data.embeddings;
+  }
+
   getModelInfo() {
     return {
       name: this.model,
@@ -0,0 +1,259 @@
+/**
+ * SoloForge - OpenAI 兼容 Provider
+ * 用于用户在设置中登记的自建端点（vLLM / llama.cpp server / LM Studio 等）
+ * 所有参数来自 provider-registry 中的 Provider 定义
+ * @module llm/openai-compatible-provider
+ */
+
+const { LLMProvider } = require('./llm-provider');
+const {
+  toOpenAITools,
+  toOpenAIMessages,
+  fromOpenAIToolCalls,
+  OpenAIToolCallAccumulator,
+} = require('./tool-call-format');
+const { logger } = require('../utils/logger');
+
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {import('./provider-registry').ProviderDefinition} definition
+   */
+  constructor(definition) {
+    super(definition.id, definition);
+    this.definition = definition;
+    this.baseUrl = definition.baseUrl;
+    this.apiKey = definition.apiKey || (definition.apiKeyEnv ? process.env[definition.apiKeyEnv] : '') || '';
+    this.model = definition.models[0]?.id;
+    this._attachmentManager = null;
+  }
+
+  /**
+   * 获取附件管理器（延迟加载避免循环依赖）
+   */
+  _getAttachmentManager() {
+    if (!this._attachmentManager) {
+      const { attachmentManager } = require('../attachments/attachment-manager');
+      this._attachmentManager = attachmentManager;
+    }
+    return this._attachmentManager;
+  }
+
+  /**
+   * 获取模型能力
+   * @param {string} model
+   */
+  _getCapabilities(model) {
+    const def = this.definition.models.find((m) => m.id === model);
+    return def?.capabilities || { tools: false, vision: false, streaming: true };
+  }
+
+  /**
+   * 是否支持原生工具调用（由 Provider 定义中的模型能力决定）
+   * @param {string} model
+   * @returns {boolean}
+   */
+  supportsNativeTools(model) {
+    return !!this._getCapabilities(model || this.model).tools;
+  }
+
+  /**
+   * 获取请求头
+   * @returns {Object}
+   */
+  _getAuthHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    const { authHeader, authScheme } = this.definition;
+    if (this.apiKey && authHeader) {
+      headers[authHeader] = authScheme ? `${authScheme} ${this.apiKey}` : this.apiKey;
+    }
+    return headers;
+  }
+
+  /**
+   * 转换消息格式
+   * 模型支持视觉时将内部图片格式转为 image_url，否则降级为文本占位
+   * assistant.toolCalls / tool 结构化工具消息转为 OpenAI tool_calls / role: 'tool'
+   * @param {Array} messages
+   * @param {boolean} vision
+   */
+  _convertMessages(messages, vision) {
+    return toOpenAIMessages(messages).map((m) => {
+      if (typeof m.content === 'string') {
+        return m;
+      }
+      if (!Array.isArray(m.content)) {
+        return { ...m, content: JSON.stringify(m.content) };
+      }
+
+      if (!vision) {
+        const text = m.content
+          .map((part) => (part.type === 'text' ? part.text : `[图片: ${part.path || 'image'}]`))
+          .join('\n');
+        return { ...m, content: text };
+      }
+
+      const content = m.content.map((part) => {
+        if (part.type !== 'image' || !part.path) return part;
+        try {
+          const { base64, mimeType } = this._getAttachmentManager().getAttachmentAsBase64(part.path);
+          return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64}` } };
+        } catch (err) {
+          logger.warn('读取图片附件失败，跳过:', part.path, err.message);
+          return { type: 'text', text: `[图片加载失败: ${part.path}]` };
+        }
+      });
+      return { ...m, content };
+    });
+  }
+
+  _buildBody(messages, options, stream) {
+    const model = options.model || this.model;
+    const body = {
+      model,
+      messages: this._convertMessages(messages, this._getCapabilities(model).vision),
+      temperature: options.temperature ?? 0.7,
+      stream,
+    };
+    if (options.maxTokens) {
+      body.max_tokens = options.maxTokens;
+    }
+    if (options.tools?.length > 0 && this.supportsNativeTools(model)) {
+      body.tools = toOpenAITools(options.tools);
+    }
+    if (stream) {
+      body.stream_options = { include_usage: true };
+    }
+    return body;
+  }
+
+  async _post(body) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this._getAuthHeaders(),
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      const errText = await response.text();
+      throw new Error(`${this.definition.name} API 错误: ${response.status} - ${errText}`);
+    }
+    return response;
+  }
+
+  /**
+   * 发送对话请求
+   * @param {Array<{role: string, content: string}>} messages
+   * @param {Object} options
+   * @returns {Promise<{content: string, usage: Object} | AsyncGenerator<string>>}
+   */
+  async chat(messages, options = {}) {
+    const model = options.model || this.model;
+    if (options.stream) {
+      if (this._getCapabilities(model).streaming) {
+        return this.chatStream(messages, options);
+      }
+      // 端点不支持流式：非流式请求后一次性产出（_toolCalls 为同一数组引用，工具调用照常写入）
+      const result = await this.chat(messages, { ...options, stream: false });
+      if (options._streamUsage && result.usage) {
+        Object.assign(options._streamUsage, { ...result.usage, model: result.model });
+      }
+      return (async function* () {
+        yield result.content;
+      })();
+    }
+
+    logger.info(`${this.name} API 请求`, { model, messagesCount: messages.length });
+    const response = await this._post(this._buildBody(messages, options, false));
+    const data = await response.json();
+    const choice = data.choices?.[0];
+    const toolCalls = fromOpenAIToolCalls(choice?.message?.tool_calls);
+    if (options._toolCalls && toolCalls.length > 0) {
+      options._toolCalls.push(...toolCalls);
+    }
+
+    return {
+      content: choice?.message?.content ?? '',
+      toolCalls,
+      model: data.model || model,
+      usage: data.usage ? {
+        promptTokens: data.usage.prompt_tokens || 0,
+        completionTokens: data.usage.completion_tokens || 0,
+        totalTokens: data.usage.total_tokens || 0,
+        // OpenAI 为 prompt_tokens_details.cached_tokens，DeepSeek 为 prompt_cache_hit_tokens
+        cachedTokens: data.usage.prompt_tokens_details?.cached_tokens ?? data.usage.prompt_cache_hit_tokens ?? 0,
+      } : undefined,
+      finish_reason: choice?.finish_reason,
+    };
+  }
+
+  /**
+   * 流式对话请求（SSE）
+   * @param {Array<{role: string, content: string}>} messages
+   * @param {Object} options
+   * @returns {AsyncGenerator<string>}
+   */
+  async *chatStream(messages, options = {}) {
+    const model = options.model || this.model;
+    logger.info(`${this.name} 流式请求`, { model, messagesCount: messages.length });
+
+    const response = await this._post(this._buildBody(messages, options, true));
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const streamUsage = { promptTokens: 0, completionTokens: 0, cachedTokens: 0, model };
+    const toolCalls = new OpenAIToolCallAccumulator();
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data: ')) continue;
+          const data = trimmed.slice(6);
+          if (data === '[DONE]') return;
+
+          try {
+            const parsed = JSON.parse(data);
+            const delta = parsed.choices?.[0]?.delta;
+            if (delta?.content) yield delta.content;
+            toolCalls.push(delta?.tool_calls);
+            if (parsed.usage) {
+              streamUsage.promptTokens = parsed.usage.prompt_tokens || 0;
+              streamUsage.completionTokens = parsed.usage.completion_tokens || 0;
+              streamUsage.cachedTokens = parsed.usage.prompt_tokens_details?.cached_tokens
+                ?? parsed.usage.prompt_cache_hit_tokens ?? 0;
+            }
+          } catch {
+            // 忽略解析失败的行
+          }
+        }
+      }
+    } finally {
+      if (options._streamUsage) Object.assign(options._streamUsage, streamUsage);
+      if (options._toolCalls) options._toolCalls.push(...toolCalls.finish());
+      reader.releaseLock();
+    }
+  }
+
+  async complete(prompt, options = {}) {
+    return this.chat([{ role: 'user', content: prompt }], options);
+  }
+
+  getModelInfo() {
+    return {
+      name: this.model,
+      type: this.definition.type,
+      provider: this.definition.id,
+      baseUrl: this.baseUrl,
+      hasApiKey: !!this.apiKey,
+      supportedModels: this.definition.models.map((m) => m.id),
+    };
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
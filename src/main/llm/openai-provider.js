@@ -5,6 +5,12 @@
 
 require('dotenv').config();
 const { LLMProvider } = require('./llm-provider');
+const {
+  toOpenAITools,
+  toOpenAIMessages,
+  fromOpenAIToolCalls,
+  OpenAIToolCallAccumulator,
+} = require('./tool-call-format');
 
 const DEFAULT_MODEL = 'gpt-4o-mini';
 const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
@@ -26,46 +32,61 @@ class OpenAIProvider extends LLMProvider {
     };
   }
 
+  /**
+   * OpenAI 官方模型均支持 function calling
+   */
+  supportsNativeTools() {
+    return true;
+  }
+
   /**
    * 转换消息格式为 OpenAI 格式
-   * 支持 { role, content }
+   * 支持 { role, content } 以及 assistant.toolCalls / tool 结构化工具消息
    */
   _convertMessages(messages) {
-    return messages.map((m) => ({
-      role: m.role,
+    return toOpenAIMessages(messages).map((m) => ({
+      ...m,
       content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content),
     }));
   }
 
   /**
    * 处理 OpenAI 流式响应 (SSE)
+   * @param {Response} response
+   * @param {Object} options - 工具调用写入 options._toolCalls
    */
-  async *_parseStream(response) {
+  async *_parseStream(response, options = {}) {
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
+    const toolCalls = new OpenAIToolCallAccumulator();
     let buffer = '';
 
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-          if (data === '[DONE]') return;
-          try {
-            const parsed = JSON.parse(data);
-            const delta = parsed.choices?.[0]?.delta?.content;
-            if (delta) yield delta;
-          } catch {
-            // 忽略解析失败
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (line.startsWith('data: ')) {
+            const data = line.slice(6);
+            if (data === '[DONE]') return;
+            try {
+              const parsed = JSON.parse(data);
+              const delta = parsed.choices?.[0]?.delta;
+              if (delta?.content) yield delta.content;
+              toolCalls.push(delta?.tool_calls);
+            } catch {
+              // 忽略解析失败
+            }
           }
         }
       }
+    } finally {
+      if (options._toolCalls) options._toolCalls.push(...toolCalls.finish());
     }
   }
 
@@ -78,6 +99,9 @@ class OpenAIProvider extends LLMProvider {
       messages: this._convertMessages(messages),
       stream,
     };
+    if (options.tools?.length > 0) {
+      body.tools = toOpenAITools(options.tools);
+    }
 
     const response = await fetch(url, {
       method: 'POST',
@@ -91,13 +115,18 @@ class OpenAIProvider extends LLMProvider {
     }
 
     if (stream) {
-      return this._parseStream(response);
+      return this._parseStream(response, options);
     }
 
     const data = await response.json();
     const choice = data.choices?.[0];
+    const toolCalls = fromOpenAIToolCalls(choice?.message?.tool_calls);
+    if (options._toolCalls && toolCalls.length > 0) {
+      options._toolCalls.push(...toolCalls);
+    }
     return {
       content: choice?.message?.content ?? '',
+      toolCalls,
       model: data.model,
       usage: data.usage,
       finish_reason: choice?.finish_reason,
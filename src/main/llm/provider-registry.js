@@ -0,0 +1,416 @@
+/**
+ * SoloForge - LLM Provider 注册表
+ * 持久化管理所有 LLM Provider 的定义（内置 + 用户自定义的 OpenAI 兼容端点）
+ * 模型路由、连接检测、上下文窗口大小均从此处读取
+ * @module llm/provider-registry
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { dataPath } = require('../account/data-path');
+const { atomicWriteJsonSync } = require('../utils/atomic-write');
+const { SUPPORTED_MODELS: DUOJIE_MODELS, MODEL_CONTEXT_LIMITS: DUOJIE_LIMITS } = require('./duojie-provider');
+const { SUPPORTED_MODELS: DEEPSEEK_MODELS, MODEL_CONTEXT_LIMITS: DEEPSEEK_LIMITS } = require('./deepseek-provider');
+const { readTextSync } = require('../storage/encrypted-storage');
+
+/** 自定义 Provider 的类型 */
+const PROVIDER_TYPES = {
+  OPENAI_COMPATIBLE: 'openai-compatible',
+};
+
+/** Provider ID 格式：小写字母/数字/短横线 */
+const PROVIDER_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+
+/** 模型默认能力 */
+const DEFAULT_CAPABILITIES = {
+  tools: false,
+  vision: false,
+  streaming: true,
+};
+
+/**
+ * @typedef {Object} ModelDefinition
+ * @property {string} id - 模型 ID（请求时传给 API 的 model 字段）
+ * @property {string} [name] - 显示名称
+ * @property {number} [contextLimit] - 上下文窗口 token 数
+ * @property {{ tools: boolean, vision: boolean, streaming: boolean }} capabilities
+ */
+
+/**
+ * @typedef {Object} ProviderDefinition
+ * @property {string} id - Provider ID（同时作为 LLMManager 中的 provider 名称）
+ * @property {string} name - 显示名称
+ * @property {string} type - 'openai-compatible' | 内置类型
+ * @property {boolean} builtin - 是否为内置 Provider（不可删除）
+ * @property {boolean} enabled
+ * @property {string} baseUrl - API 根地址（如 http://localhost:8000/v1）
+ * @property {string} [authHeader] - 认证头名称，默认 Authorization
+ * @property {string} [authScheme] - 认证前缀，默认 Bearer；为空字符串时直接发送 Key
+ * @property {string} [apiKey] - API Key（明文保存在本地配置）
+ * @property {string} [apiKeyEnv] - 从环境变量读取 API Key 的变量名
+ * @property {boolean} [requiresApiKey] - 连接检测时是否要求 API Key
+ * @property {string} [healthCheckPath] - 连接检测路径，默认 /models
+ * @property {ModelDefinition[]} models
+ */
+
+/**
+ * 内置 Provider 定义（与 LLMManager 构造函数中注册的实例对应）
+ * @type {ProviderDefinition[]}
+ */
+const BUILTIN_PROVIDERS = [
+  {
+    id: 'duojie',
+    name: '拼好饭中转站',
+    type: 'duojie',
+    baseUrl: 'https://api.duojie.games/v1',
+    apiKeyEnv: 'DUOJIE_API_KEY',
+    requiresApiKey: true,
+    healthCheckPath: '/models',
+    models: DUOJIE_MODELS.map((id) => ({
+      id,
+      contextLimit: DUOJIE_LIMITS[id],
+      capabilities: { tools: true, vision: id.startsWith('claude') || id.startsWith('gemini'), streaming: true },
+    })),
+  },
+  {
+    id: 'deepseek',
+    name: 'DeepSeek',
+    type: 'deepseek',
+    baseUrl: 'https://api.deepseek.com/v1',
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+    requiresApiKey: true,
+    healthCheckPath: '/models',
+    models: DEEPSEEK_MODELS.map((id) => ({
+      id,
+      contextLimit: DEEPSEEK_LIMITS[id],
+      // deepseek-reasoner 不支持 function calling
+      capabilities: { tools: id !== 'deepseek-reasoner', vision: false, streaming: true },
+    })),
+  },
+  {
+    id: 'ollama',
+    name: 'Ollama（本地）',
+    type: 'ollama',
+    baseUrl: 'http://localhost:11434',
+    requiresApiKey: false,
+    healthCheckPath: '/api/tags',
+    models: [],
+  },
+  {
+    id: 'openai',
+    name: 'OpenAI',
+    type: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresApiKey: false,
+    healthCheckPath: '/models',
+    models: [],
+  },
+  {
+    id: 'mock',
+    name: 'Mock',
+    type: 'mock',
+    baseUrl: '',
+    requiresApiKey: false,
+    models: [],
+  },
+].map((p) => ({ ...p, builtin: true, enabled: true }));
+
+const BUILTIN_IDS = new Set(BUILTIN_PROVIDERS.map((p) => p.id));
+
+function getRegistryFile() {
+  return path.join(dataPath.getGlobalPath(), 'llm-providers.json');
+}
+
+/**
+ * 规范化模型定义
+ * @param {Object} model
+ * @returns {ModelDefinition|null}
+ */
+function normalizeModel(model) {
+  if (!model) return null;
+  const raw = typeof model === 'string' ? { id: model } : model;
+  const id = String(raw.id || '').trim();
+  if (!id) return null;
+
+  const contextLimit = Number(raw.contextLimit);
+  return {
+    id,
+    name: raw.name ? String(raw.name) : id,
+    contextLimit: Number.isFinite(contextLimit) && contextLimit > 0 ? Math.floor(contextLimit) : undefined,
+    capabilities: {
+      tools: raw.capabilities?.tools ?? DEFAULT_CAPABILITIES.tools,
+      vision: raw.capabilities?.vision ?? DEFAULT_CAPABILITIES.vision,
+      streaming: raw.capabilities?.streaming ?? DEFAULT_CAPABILITIES.streaming,
+    },
+  };
+}
+
+/**
+ * 校验并规范化自定义 Provider 定义
+ * @param {Object} def
+ * @returns {{ valid: boolean, provider?: ProviderDefinition, error?: string }}
+ */
+function validateProviderDefinition(def) {
+  if (!def || typeof def !== 'object') {
+    return { valid: false, error: 'Provider 定义不能为空' };
+  }
+
+  const id = String(def.id || '').trim().toLowerCase();
+  if (!PROVIDER_ID_PATTERN.test(id)) {
+    return { valid: false, error: 'Provider ID 只能包含小写字母、数字和短横线（2-40 个字符）' };
+  }
+  if (BUILTIN_IDS.has(id)) {
+    return { valid: false, error: `"${id}" 是内置 Provider，不能覆盖` };
+  }
+
+  const baseUrl = String(def.baseUrl || '').trim().replace(/\/+$/, '');
+  if (!/^https?:\/\//.test(baseUrl)) {
+    return { valid: false, error: 'Base URL 必须以 http:// 或 https:// 开头' };
+  }
+
+  const models = (Array.isArray(def.models) ? def.models : [])
+    .map(normalizeModel)
+    .filter(Boolean);
+  if (models.length === 0) {
+    return { valid: false, error: '至少需要配置一个模型' };
+  }
+
+  return {
+    valid: true,
+    provider: {
+      id,
+      name: String(def.name || id).trim(),
+      type: PROVIDER_TYPES.OPENAI_COMPATIBLE,
+      builtin: false,
+      enabled: def.enabled !== false,
+      baseUrl,
+      authHeader: String(def.authHeader ?? 'Authorization').trim(),
+      authScheme: def.authScheme === undefined ? 'Bearer' : String(def.authScheme).trim(),
+      apiKey: def.apiKey ? String(def.apiKey) : '',
+      apiKeyEnv: def.apiKeyEnv ? String(def.apiKeyEnv).trim() : '',
+      requiresApiKey: !!def.requiresApiKey,
+      healthCheckPath: def.healthCheckPath ? String(def.healthCheckPath).trim() : '/models',
+      models,
+    },
+  };
+}
+
+/**
+ * Provider 注册表（单例）
+ * 自定义 Provider 保存在全局目录（~/.soloforge/llm-providers.json），不随公司切换
+ */
+class ProviderRegistry {
+  constructor() {
+    /** @type {ProviderDefinition[]} */
+    this._custom = [];
+    this._listeners = new Set();
+    this._load();
+  }
+
+  _load() {
+    try {
+      const file = getRegistryFile();
+      if (!fs.existsSync(file)) return;
+      const data = JSON.parse(readTextSync(file));
+      this._custom = (data.providers || [])
+        .map((p) => validateProviderDefinition(p))
+        .filter((r) => r.valid)
+        .map((r) => r.provider);
+      logger.info('LLM Provider 注册表已加载', { custom: this._custom.length });
+    } catch (error) {
+      logger.error('加载 LLM Provider 注册表失败:', error);
+      this._custom = [];
+    }
+  }
+
+  _save() {
+    atomicWriteJsonSync(getRegistryFile(), { version: 1, providers: this._custom });
+  }
+
+  /**
+   * 获取所有 Provider 定义（内置在前）
+   * @returns {ProviderDefinition[]}
+   */
+  getAll() {
+    return [...BUILTIN_PROVIDERS, ...this._custom];
+  }
+
+  /**
+   * 获取用户自定义的 Provider
+   * @returns {ProviderDefinition[]}
+   */
+  getCustom() {
+    return [...this._custom];
+  }
+
+  /**
+   * @param {string} id
+   * @returns {ProviderDefinition|null}
+   */
+  get(id) {
+    return this.getAll().find((p) => p.id === id) || null;
+  }
+
+  /**
+   * 新增或更新自定义 Provider
+   * @param {Object} def
+   * @returns {{ success: boolean, provider?: ProviderDefinition, error?: string }}
+   */
+  save(def) {
+    const result = validateProviderDefinition(def);
+    if (!result.valid) {
+      return { success: false, error: result.error };
+    }
+
+    const provider = result.provider;
+    const conflict = this._findModelConflict(provider);
+    if (conflict) {
+      return { success: false, error: `模型 "${conflict.modelId}" 已由 Provider "${conflict.providerId}" 提供` };
+    }
+
+    const index = this._custom.findIndex((p) => p.id === provider.id);
+    if (index >= 0) {
+      this._custom[index] = provider;
+    } else {
+      this._custom.push(provider);
+    }
+
+    try {
+      this._save();
+    } catch (error) {
+      logger.error('保存 LLM Provider 注册表失败:', error);
+      return { success: false, error: error.message };
+    }
+
+    logger.info('LLM Provider 已保存', { id: provider.id, models: provider.models.length });
+    this._notify();
+    return { success: true, provider };
+  }
+
+  /**
+   * 删除自定义 Provider
+   * @param {string} id
+   * @returns {{ success: boolean, error?: string }}
+   */
+  remove(id) {
+    if (BUILTIN_IDS.has(id)) {
+      return { success: false, error: '内置 Provider 不能删除' };
+    }
+    const before = this._custom.length;
+    this._custom = this._custom.filter((p) => p.id !== id);
+    if (this._custom.length === before) {
+      return { success: false, error: `Provider "${id}" 不存在` };
+    }
+
+    try {
+      this._save();
+    } catch (error) {
+      logger.error('保存 LLM Provider 注册表失败:', error);
+      return { success: false, error: error.message };
+    }
+
+    logger.info('LLM Provider 已删除', { id });
+    this._notify();
+    return { success: true };
+  }
+
+  /**
+   * 检查新 Provider 的模型是否与其他 Provider 重名（路由需唯一）
+   * @param {ProviderDefinition} provider
+   * @returns {{ modelId: string, providerId: string }|null}
+   */
+  _findModelConflict(provider) {
+    for (const other of this.getAll()) {
+      if (other.id === provider.id) continue;
+      for (const model of provider.models) {
+        if (other.models.some((m) => m.id === model.id)) {
+          return { modelId: model.id, providerId: other.id };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 查找模型定义及其所属 Provider
+   * @param {string} modelId
+   * @returns {{ provider: ProviderDefinition, model: ModelDefinition }|null}
+   */
+  findModel(modelId) {
+    if (!modelId) return null;
+    for (const provider of this.getAll()) {
+      if (!provider.enabled) continue;
+      const model = provider.models.find((m) => m.id === modelId);
+      if (model) return { provider, model };
+    }
+    return null;
+  }
+
+  /**
+   * 根据模型 ID 解析 Provider ID
+   * @param {string} modelId
+   * @returns {string|null}
+   */
+  findProviderForModel(modelId) {
+    return this.findModel(modelId)?.provider.id || null;
+  }
+
+  /**
+   * 获取模型上下文窗口（未登记时返回 null）
+   * @param {string} modelId
+   * @returns {number|null}
+   */
+  getContextLimit(modelId) {
+    return this.findModel(modelId)?.model.contextLimit || null;
+  }
+
+  /**
+   * 获取模型能力（未登记时返回 null）
+   * @param {string} modelId
+   * @returns {{ tools: boolean, vision: boolean, streaming: boolean }|null}
+   */
+  getCapabilities(modelId) {
+    return this.findModel(modelId)?.model.capabilities || null;
+  }
+
+  /**
+   * 从磁盘重新加载自定义 Provider（本地数据解锁后调用）
+   */
+  reinitialize() {
+    this._load();
+    this._notify();
+  }
+
+  /**
+   * 订阅注册表变更
+   * @param {(providers: ProviderDefinition[]) => void} listener
+   * @returns {Function} 取消订阅
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  _notify() {
+    const custom = this.getCustom();
+    for (const listener of this._listeners) {
+      try {
+        listener(custom);
+      } catch (error) {
+        logger.error('LLM Provider 注册表监听器执行失败:', error);
+      }
+    }
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+
+module.exports = {
+  providerRegistry,
+  ProviderRegistry,
+  validateProviderDefinition,
+  BUILTIN_PROVIDERS,
+  PROVIDER_TYPES,
+};
@@ -10,11 +10,8 @@
  * @module llm/token-estimator
  */
 
-const { MODEL_CONTEXT_LIMITS: DUOJIE_LIMITS } = require('./duojie-provider');
-const { MODEL_CONTEXT_LIMITS: DEEPSEEK_LIMITS } = require('./deepseek-provider');
-
-// 合并所有 Provider 的上下文限制
-const MODEL_CONTEXT_LIMITS = { ...DUOJIE_LIMITS, ...DEEPSEEK_LIMITS };
+// 模型上下文限制统一由 provider 注册表提供（内置模型 + 用户自定义模型）
+const { providerRegistry } = require('./provider-registry');
 
 /** 默认上下文窗口大小（未知模型的保守值） */
 const DEFAULT_CONTEXT_LIMIT = 128000;
@@ -80,6 +77,10 @@ function estimateMessages(messages) {
     if (msg.content) {
       total += estimateTokens(msg.content);
     }
+    // 结构化工具调用（assistant.toolCalls）的名称与参数
+    if (msg.toolCalls?.length > 0) {
+      total += estimateTokens(msg.toolCalls);
+    }
   }
   // 消息序列的首尾开销
   total += 3;
@@ -93,7 +94,7 @@ function estimateMessages(messages) {
  */
 function getContextLimit(model) {
   if (!model) return DEFAULT_CONTEXT_LIMIT;
-  return MODEL_CONTEXT_LIMITS[model] || DEFAULT_CONTEXT_LIMIT;
+  return providerRegistry.getContextLimit(model) || DEFAULT_CONTEXT_LIMIT;
 }
 
 /**
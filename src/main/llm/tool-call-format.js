@@ -0,0 +1,334 @@
+/**
+ * SoloForge - 工具调用消息格式
+ * Provider 无关的工具调用消息结构，以及与 OpenAI / Anthropic 原生格式、XML 文本协议之间的转换
+ *
+ * 内部统一格式：
+ * - 工具调用：{ id, name, arguments }（arguments 为对象）
+ * - assistant 消息：{ role: 'assistant', content, toolCalls?: ToolCall[] }
+ * - 工具结果消息：{ role: 'tool', toolCallId, name, success, content }
+ *
+ * 支持原生工具调用的 Provider 将其转换为 OpenAI tools / Anthropic tool_use；
+ * 不支持的模型由 LLMManager 调用 toTextProtocolMessages 回退为 <tool_call> XML 文本协议
+ * @module llm/tool-call-format
+ */
+
+/**
+ * @typedef {Object} ToolCall
+ * @property {string} id - 工具调用 ID（原生 API 返回的 ID，或本地生成）
+ * @property {string} name - 工具名称
+ * @property {Object} arguments - 工具参数
+ */
+
+/**
+ * 生成工具调用 ID
+ * @returns {string}
+ */
+function createToolCallId() {
+  return `tc-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * 内部参数定义 → JSON Schema
+ * @param {Object.<string, import('../tools/tool-registry').ToolParameter>} parameters
+ * @returns {{ type: 'object', properties: Object, required: string[] }}
+ */
+function toJsonSchema(parameters = {}) {
+  const properties = {};
+  for (const [name, param] of Object.entries(parameters)) {
+    const type = param.type === 'boolean' ? 'boolean'
+      : param.type === 'number' || param.type === 'integer' ? 'number'
+      : param.type === 'array' ? 'array'
+      : param.type === 'object' ? 'object'
+      : 'string';
+    properties[name] = { type, description: param.description || '' };
+    if (type === 'array') {
+      properties[name].items = param.items || { type: 'string' };
+    }
+  }
+  return {
+    type: 'object',
+    properties,
+    required: Object.entries(parameters)
+      .filter(([, param]) => param.required)
+      .map(([name]) => name),
+  };
+}
+
+/**
+ * 内部工具定义 → OpenAI tools
+ * @param {Array<Object>} tools
+ * @returns {Array<Object>}
+ */
+function toOpenAITools(tools) {
+  if (!tools || tools.length === 0) return [];
+  return tools.map((tool) => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: (tool.description || '').slice(0, 1024),
+      parameters: toJsonSchema(tool.parameters),
+    },
+  }));
+}
+
+/**
+ * 内部工具定义 → Anthropic tools
+ * @param {Array<Object>} tools
+ * @returns {Array<Object>}
+ */
+function toAnthropicTools(tools) {
+  if (!tools || tools.length === 0) return [];
+  return tools.map((tool) => ({
+    name: tool.name,
+    description: (tool.description || '').slice(0, 1024), // Anthropic 对描述长度有限制
+    input_schema: toJsonSchema(tool.parameters),
+  }));
+}
+
+/**
+ * 解析工具参数 JSON（容错：解析失败返回空对象）
+ * @param {string|Object} raw
+ * @returns {Object}
+ */
+function parseArguments(raw) {
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * OpenAI message.tool_calls → 内部 ToolCall[]
+ * @param {Array<Object>} rawToolCalls
+ * @returns {ToolCall[]}
+ */
+function fromOpenAIToolCalls(rawToolCalls) {
+  if (!Array.isArray(rawToolCalls)) return [];
+  return rawToolCalls
+    .filter((tc) => tc?.function?.name)
+    .map((tc) => ({
+      id: tc.id || createToolCallId(),
+      name: tc.function.name,
+      arguments: parseArguments(tc.function.arguments),
+    }));
+}
+
+/**
+ * OpenAI 流式 delta.tool_calls 累积器
+ * 流式响应中同一工具调用的 name / arguments 按 index 分片到达
+ */
+class OpenAIToolCallAccumulator {
+  constructor() {
+    /** @type {Map<number, { id: string, name: string, args: string }>} */
+    this._calls = new Map();
+  }
+
+  /**
+   * @param {Array<Object>} deltaToolCalls - choices[0].delta.tool_calls
+   */
+  push(deltaToolCalls) {
+    if (!Array.isArray(deltaToolCalls)) return;
+    for (const delta of deltaToolCalls) {
+      const index = delta.index ?? 0;
+      const call = this._calls.get(index) || { id: '', name: '', args: '' };
+      if (delta.id) call.id = delta.id;
+      if (delta.function?.name) call.name += delta.function.name;
+      if (delta.function?.arguments) call.args += delta.function.arguments;
+      this._calls.set(index, call);
+    }
+  }
+
+  /**
+   * @returns {ToolCall[]}
+   */
+  finish() {
+    return [...this._calls.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, call]) => call)
+      .filter((call) => call.name)
+      .map((call) => ({
+        id: call.id || createToolCallId(),
+        name: call.name,
+        arguments: parseArguments(call.args),
+      }));
+  }
+}
+
+/**
+ * 历史被截断后，tool 结果可能失去对应的 assistant 工具调用
+ * 原生 API 会拒绝这类孤立结果，将其降级为普通 user 文本
+ * @param {Array<Object>} messages
+ * @returns {Array<Object>}
+ */
+function demoteOrphanToolResults(messages) {
+  const knownIds = new Set();
+  return messages.map((m) => {
+    if (m.role === 'assistant') {
+      for (const tc of m.toolCalls || []) knownIds.add(tc.id);
+      return m;
+    }
+    if (m.role === 'tool' && !knownIds.has(m.toolCallId)) {
+      return { role: 'user', content: toolResultToXml(m) };
+    }
+    return m;
+  });
+}
+
+/**
+ * 内部消息 → OpenAI 消息（assistant.tool_calls + role: 'tool'）
+ * 其余字段（如多模态 content）保持不变，由各 Provider 继续处理
+ * @param {Array<Object>} messages
+ * @returns {Array<Object>}
+ */
+function toOpenAIMessages(messages) {
+  return demoteOrphanToolResults(messages).map((m) => {
+    if (m.role === 'tool') {
+      return { role: 'tool', tool_call_id: m.toolCallId, content: m.content ?? '' };
+    }
+    if (m.role === 'assistant' && m.toolCalls?.length > 0) {
+      return {
+        role: 'assistant',
+        content: m.content || '',
+        tool_calls: m.toolCalls.map((tc) => ({
+          id: tc.id,
+          type: 'function',
+          function: { name: tc.name, arguments: JSON.stringify(tc.arguments || {}) },
+        })),
+      };
+    }
+    return { role: m.role, content: m.content };
+  });
+}
+
+/**
+ * 内部消息 → Anthropic 消息（不含 system）
+ * assistant.toolCalls → tool_use 块；连续的 tool 消息合并为一条 user 消息中的多个 tool_result 块
+ * @param {Array<Object>} messages
+ * @returns {Array<Object>}
+ */
+function toAnthropicMessages(messages) {
+  const result = [];
+  for (const m of demoteOrphanToolResults(messages)) {
+    if (m.role === 'system') continue;
+
+    if (m.role === 'tool') {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: m.toolCallId,
+        content: m.content ?? '',
+        ...(m.success === false ? { is_error: true } : {}),
+      };
+      const last = result[result.length - 1];
+      if (last?.role === 'user' && Array.isArray(last.content) && last.content.every((b) => b.type === 'tool_result')) {
+        last.content.push(block);
+      } else {
+        result.push({ role: 'user', content: [block] });
+      }
+      continue;
+    }
+
+    if (m.role === 'assistant' && m.toolCalls?.length > 0) {
+      const blocks = [];
+      if (m.content) blocks.push({ type: 'text', text: m.content });
+      for (const tc of m.toolCalls) {
+        blocks.push({ type: 'tool_use', id: tc.id, name: tc.name, input: tc.arguments || {} });
+      }
+      result.push({ role: 'assistant', content: blocks });
+      continue;
+    }
+
+    result.push({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content });
+  }
+  return result;
+}
+
+/**
+ * 单个工具调用 → XML 文本
+ * @param {ToolCall} call
+ * @returns {string}
+ */
+function toolCallToXml(call) {
+  const args = Object.entries(call.arguments || {})
+    .map(([k, v]) => {
+      const val = typeof v === 'object' ? JSON.stringify(v) : String(v);
+      return `    <${k}>${val}</${k}>`;
+    })
+    .join('\n');
+  return `<tool_call>\n  <name>${call.name}</name>\n  <arguments>\n${args}\n  </arguments>\n</tool_call>`;
+}
+
+/**
+ * 单条工具结果消息 → <tool_result> 文本块
+ * @param {{ name: string, success: boolean, content: string }} toolMessage
+ * @returns {string}
+ */
+function toolResultToXml(toolMessage) {
+  return `<tool_result name="${toolMessage.name}" success="${toolMessage.success !== false}">
+${toolMessage.content ?? ''}
+</tool_result>`;
+}
+
+/**
+ * 内部消息 → XML 文本协议（不支持原生工具调用的模型）
+ * assistant.toolCalls 还原为 <tool_call>，连续的 tool 消息合并为一条 "工具执行结果" user 消息
+ * @param {Array<Object>} messages
+ * @returns {Array<{role: string, content: any}>}
+ */
+function toTextProtocolMessages(messages) {
+  const result = [];
+  let pendingResults = [];
+
+  const flushResults = () => {
+    if (pendingResults.length === 0) return;
+    result.push({
+      role: 'user',
+      content: `工具执行结果：\n\n${pendingResults.map(toolResultToXml).join('\n\n')}`,
+    });
+    pendingResults = [];
+  };
+
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      pendingResults.push(m);
+      continue;
+    }
+    flushResults();
+
+    if (m.role === 'assistant' && m.toolCalls?.length > 0) {
+      const xml = m.toolCalls.map(toolCallToXml).join('\n');
+      result.push({ role: 'assistant', content: m.content ? `${m.content}\n\n${xml}` : xml });
+      continue;
+    }
+    result.push({ role: m.role, content: m.content });
+  }
+  flushResults();
+  return result;
+}
+
+/**
+ * 消息列表中是否包含结构化工具调用字段
+ * @param {Array<Object>} messages
+ * @returns {boolean}
+ */
+function hasStructuredToolMessages(messages) {
+  return messages.some((m) => m.role === 'tool' || m.toolCalls?.length > 0);
+}
+
+module.exports = {
+  createToolCallId,
+  toJsonSchema,
+  toOpenAITools,
+  toAnthropicTools,
+  fromOpenAIToolCalls,
+  OpenAIToolCallAccumulator,
+  toOpenAIMessages,
+  toAnthropicMessages,
+  toolCallToXml,
+  toolResultToXml,
+  toTextProtocolMessages,
+  hasStructuredToolMessages,
+};
@@ -37,7 +37,7 @@ require('dotenv').config({ path: dotenvPath });
 const { setup } = require('./agents/setup');
 const { setupAgentIpcHandlers } = require('./ipc-handlers');
 const { setupChatIpcHandlers } = require('./chat-ipc-handlers');
-const { setupPermissionsIpcHandlers } = require('./permissions-ipc-handlers');
+const { setupPermissionsIpcHandlers, requestToolConfirmation } = require('./permissions-ipc-handlers');
 const { setupReportIpcHandlers } = require('./report-ipc-handlers');
 const { setupAgentConfigIpcHandlers } = require('./agent-config-ipc-handlers');
 const { setupOperationsIpcHandlers } = require('./operations/operations-ipc-handlers');
@@ -49,38 +49,46 @@ const { chatManager } = require('./chat');
 const { LLMManager } = require('./llm');
 const { isMac } = require('./utils/platform');
 const { logger } = require('./utils/logger');
-const { permissionStore } = require('./config/permission-store');
 const { setupTools } = require('./tools/setup');
-const { alertSystem } = require('./budget/alert-system');
-const { salaryScheduler } = require('./budget/salary-scheduler');
-const { TaskPatrol } = require('./patrol/task-patrol');
 const { chatHistoryStore } = require('./chat/chat-history-store');
 const { todoStore } = require('./tools/todo-store');
+const { processManager } = require('./tools/process-manager');
 const { memoryManager } = require('./memory');
 const { registerMemoryIPCHandlers } = require('./memory/memory-ipc-handlers');
+const { workflowEngine, registerWorkflowIPCHandlers } = require('./workflows');
 const { setupAttachmentIpcHandlers } = require('./attachments/attachment-ipc-handlers');
 const { setupSTTIpcHandlers } = require('./stt/stt-ipc-handlers');
 const { setupBudgetIpcHandlers } = require('./budget/budget-ipc-handlers');
+const { setupLLMIpcHandlers } = require('./llm/llm-ipc-handlers');
 
 // ─── 多账号系统 ───────────────────────────────────────────────
 const { setupAccountIpcHandlers } = require('./account/account-ipc-handlers');
 const { dataPath } = require('./account/data-path');
 const { sessionManager } = require('./account/session-manager');
+const { accountStore } = require('./account/account-store');
 const { companyStore } = require('./account/company-store');
 const { agentConfigStore, AGENT_STATUS } = require('./config/agent-config-store');
-const { operationsStore } = require('./operations/operations-store');
-const { agentCommunication } = require('./collaboration/agent-communication');
 const departmentGroup = require('./chat/department-group');
 
-// Store 引用（用于公司切换时重初始化）
-const { memoryStore } = require('./memory/memory-store');
-const { projectStore } = require('./pm/project-store');
-const { devPlanQueue } = require('./collaboration/dev-plan-queue');
-const { approvalQueue } = require('./agent-factory/approval-queue');
-const { terminationQueue } = require('./agent-factory/termination-queue');
-const { tokenTracker } = require('./budget/token-tracker');
-const { budgetManager } = require('./budget/budget-manager');
-const { attachmentManager } = require('./attachments/attachment-manager');
+// ─── 多公司并行运行 ───────────────────────────────────────────
+const {
+  loadCompanyStores,
+  restoreDynamicAgents,
+  startCompanyJobs,
+  stopCompanyJobs,
+  flushCompanyStores,
+  PATROL_INTERVAL_MS,
+} = require('./portfolio/company-runtime');
+const { portfolioManager, setupPortfolioIpcHandlers } = require('./portfolio');
+const { setupTemplateIpcHandlers } = require('./templates');
+const { backupManager, setupBackupIpcHandlers } = require('./backup');
+const { setupAuditIpcHandlers } = require('./audit');
+const { setupPRIpcHandlers } = require('./git/pr-ipc-handlers');
+const { forgeSync } = require('./git/forge-sync');
+
+// ─── 本地数据加密 ─────────────────────────────────────────────
+const { encryptedStorage, readBufferSync, setupStorageIpcHandlers } = require('./storage');
+const { providerRegistry } = require('./llm/provider-registry');
 
 let mainWindow = null;
 let llmManager = null;
@@ -94,46 +102,15 @@ let patrolUserDisabled = false;
  * 当用户选择公司后，初始化（或重初始化）所有子系统
  * @param {string} accountId
  * @param {string} companyId
+ * @param {string} [companyName]
  */
-async function initializeForCompany(accountId, companyId) {
+async function initializeForCompany(accountId, companyId, companyName) {
   logger.info('初始化公司数据...', { accountId, companyId });
 
-  // 1. 设置数据路径上下文（所有 store 的路径都会指向新目录）
-  dataPath.setCurrentContext(accountId, companyId);
-  dataPath.ensureDirectories();
-
-  // 2. 重初始化所有 store（从新路径加载数据）
-  const { departmentStore } = require('./config/department-store');
-  departmentStore.reinitialize(); // 必须在 agentConfigStore 之前，因为后者可能依赖部门数据
-  agentConfigStore.reinitialize();
-  chatHistoryStore.reinitialize();
-  todoStore.reinitialize();
-  todoStore.load();
-  permissionStore.reinitialize();
-  operationsStore.reinitialize();
-  projectStore.reinitialize();
-  agentCommunication.reinitialize();
-  devPlanQueue.reinitialize();
-  approvalQueue.reinitialize();
-  terminationQueue.reinitialize();
-  tokenTracker.reinitialize();
-  tokenTracker.purgeZeroTokenRecords(); // 清理历史遗留的 0-token 无效记录
-  budgetManager.reinitialize();
-  memoryStore.reinitialize();
-  attachmentManager.reinitialize();
-
-  // 2.5 初始化上下文管理模块（虚拟文件、暂存区）
-  // 必须在 dataPath.setCurrentContext() 之后执行，确保路径正确
-  try {
-    const { virtualFileStore } = require('./context/virtual-file-store');
-    const { scratchpadManager } = require('./context/agent-scratchpad');
-    virtualFileStore.reinitialize(); // 从新公司路径加载索引
-    scratchpadManager.reinitialize(); // 清空缓存，下次 get() 会从新路径加载
-  } catch (e) {
-    logger.warn('上下文模块初始化失败:', e.message);
-  }
+  // 1. 设置数据路径上下文并从新路径重新加载所有 store
+  loadCompanyStores(accountId, companyId, companyName);
 
-  // 3. 重新初始化依赖 store 数据的子系统
+  // 2. 重新初始化依赖 store 数据的子系统
   // 注意：setup() 和 setupTools() 不在此调用
   // 工具定义和 Agent 实例是全局的，已在 app.whenReady() 中注册，不随公司切换变化
 
@@ -144,18 +121,10 @@ async function initializeForCompany(accountId, companyId) {
     memoryManager.startMaintenanceSchedule();
   }
 
-  // 4. 恢复已批准的动态 Agent
-  try {
-    const { dynamicAgentFactory } = require('./agent-factory/dynamic-agent');
-    const restoreResult = dynamicAgentFactory.restoreApprovedAgents();
-    if (restoreResult.restored > 0) {
-      logger.info('动态 Agent 恢复结果:', restoreResult);
-    }
-  } catch (err) {
-    logger.error('恢复动态 Agent 失败:', err);
-  }
+  // 3. 恢复已批准的动态 Agent
+  restoreDynamicAgents();
 
-  // 4.5 初始化部门群聊（为现有员工创建）
+  // 3.5 初始化部门群聊（为现有员工创建）
   // 注意：如果窗口尚未创建（webContents 不可用），会在 createWindow 中重试
   try {
     initializeDepartmentGroups();
@@ -166,51 +135,16 @@ async function initializeForCompany(accountId, companyId) {
     }
   }
 
-  // 5. 重启 PM 引擎
-  if (pmEngine) {
-    pmEngine.stop();
-    pmEngine = null;
-  }
-  const { initPMEngine } = require('./pm');
-  pmEngine = initPMEngine({
-    operationsStore,
-    agentCommunication,
+  // 4. 重启 PM 引擎、预算预警、任务巡查（尊重用户手动关闭的偏好）与工资调度器
+  pmEngine?.stop();
+  taskPatrol?.stop();
+  ({ pmEngine, taskPatrol } = startCompanyJobs({
     chatManager,
-  }, 3 * 60 * 1000);
-  logger.info('PM 引擎已启动');
-
-  // 6. 重启预算预警
-  alertSystem.stop?.();
-  alertSystem.start(60000);
-
-  // 7. 重启任务巡查（尊重用户手动关闭的偏好）
-  if (taskPatrol) {
-    taskPatrol.stop();
-    taskPatrol = null;
-  }
-  taskPatrol = new TaskPatrol({
-    operationsStore,
-    todoStore,
-    agentCommunication,
-    chatManager,
-    projectStore,
-    approvalQueue,
-    memoryManager,
     llmManager,
-    tokenTracker,
-    budgetManager,
-  });
-  if (!patrolUserDisabled) {
-    taskPatrol.start(5 * 60 * 1000); // 每 5 分钟巡查一次
-    logger.info('任务巡查系统已启动');
-  } else {
-    logger.info('任务巡查系统已创建但未启动（用户此前手动关闭）');
-  }
+    patrolEnabled: !patrolUserDisabled,
+  }));
 
-  // 8. 启动工资调度器（每日 00:00 自动发薪）
-  salaryScheduler.start();
-
-  // 9. 订阅 Agent 配置变更，同步部门群聊成员
+  // 5. 订阅 Agent 配置变更，同步部门群聊成员
   setupAgentConfigSubscription();
 
   logger.info('公司数据初始化完成', { accountId, companyId });
@@ -305,6 +239,11 @@ function setupAgentConfigSubscription() {
 
       // 检测状态变更为 terminated（离职）
       if (prevStatus !== AGENT_STATUS.TERMINATED && newStatus === AGENT_STATUS.TERMINATED) {
+        // 停止其启动的后台进程
+        processManager.stopByAgent(config.id, '员工离职').catch((err) => {
+          logger.error('停止离职员工的后台进程失败:', err);
+        });
+
         // 从部门群聊移除
         const deptInfo = departmentGroup.getAgentDepartmentInfo(config.id);
         if (deptInfo) {
@@ -343,21 +282,14 @@ async function cleanupCurrentCompany() {
   logger.info('清理当前公司状态...');
 
   // 1. 刷盘所有数据
-  chatHistoryStore.flush();
-  todoStore.flush();
-  memoryManager.flush();
+  flushCompanyStores();
 
-  // 2. 停止定时器
-  memoryManager.stopMaintenanceSchedule();
-  alertSystem.stop?.();
-  if (pmEngine) {
-    pmEngine.stop();
-    pmEngine = null;
-  }
-  if (taskPatrol) {
-    taskPatrol.stop();
-    taskPatrol = null;
-  }
+  // 2. 停止定时器与后台进程
+  await processManager.stopAll('切换公司');
+  processManager.reinitialize();
+  stopCompanyJobs({ pmEngine, taskPatrol });
+  pmEngine = null;
+  taskPatrol = null;
 
   // 3. 清理运行时状态（避免旧公司数据残留）
   // 注意：这里只做内存清理，不要调用 reinitialize()（会从磁盘加载，但 dataPath 还指向旧公司）
@@ -394,6 +326,11 @@ function createWindow() {
   protocol.handle('sf-local', (request) => {
     // sf-local:///Users/xxx/file.png → file:///Users/xxx/file.png
     const filePath = request.url.slice('sf-local://'.length);
+    // 加密的附件/头像需要先解密
+    const localPath = decodeURIComponent(filePath);
+    if (encryptedStorage.isEncryptedFileSync(localPath)) {
+      return new Response(readBufferSync(localPath));
+    }
     return net.fetch(`file://${filePath}`);
   });
   logger.info('自定义协议 sf-local:// 已注册');
@@ -429,6 +366,13 @@ function createWindow() {
   setupAgentIpcHandlers(mainWindow.webContents);
   setupChatIpcHandlers(mainWindow.webContents);
   setupPermissionsIpcHandlers(mainWindow.webContents);
+  // 需要老板确认的工具调用（权限配置或「总是询问」审批规则）在界面弹出确认对话框，
+  // 后台运行的公司也转到这里确认
+  const confirmToolCall = (request) => (
+    mainWindow ? requestToolConfirmation(mainWindow.webContents, request) : Promise.resolve({ confirmed: false })
+  );
+  chatManager.setToolConfirmCallback(confirmToolCall);
+  portfolioManager.setToolConfirmHandler(confirmToolCall);
   
   // 设置部门群聊管理器的 webContents
   departmentGroup.setWebContents(mainWindow.webContents);
@@ -451,6 +395,7 @@ function createWindow() {
   initializeSync();
   setupPMIpcHandlers();
   registerMemoryIPCHandlers(memoryManager);
+  registerWorkflowIPCHandlers();
   setupAttachmentIpcHandlers();
 
   try {
@@ -461,6 +406,11 @@ function createWindow() {
 
   // 预算系统 IPC
   setupBudgetIpcHandlers();
+  setupPortfolioIpcHandlers();
+  setupTemplateIpcHandlers();
+
+  // LLM Provider 管理 IPC
+  setupLLMIpcHandlers(llmManager);
 
   // ─── 外部链接拦截：阻止窗口内跳转，改用系统浏览器打开 ────────
   mainWindow.webContents.on('will-navigate', (event, url) => {
@@ -544,6 +494,20 @@ ipcMain.handle('todo:get-agent', (_event, agentId) => {
   return todoStore.getTodos(agentId);
 });
 
+// ─── Agent 后台进程 IPC ───────────────────────────────────────
+ipcMain.handle('process:list', () => {
+  return processManager.list();
+});
+
+ipcMain.handle('process:logs', (_event, { processId, since, tail }) => {
+  return processManager.getLogs(processId, { since, tail });
+});
+
+ipcMain.handle('process:stop', async (_event, processId) => {
+  const stopped = await processManager.stop(processId, '老板手动停止');
+  return stopped ? { success: true, process: stopped } : { success: false, error: '进程不存在' };
+});
+
 // ─── 任务巡查开关 IPC ────────────────────────────────────────
 ipcMain.handle('patrol:get-status', () => {
   return { running: taskPatrol?._running ?? false };
@@ -554,8 +518,9 @@ ipcMain.handle('patrol:toggle', (_event, enabled) => {
     return { success: false, running: false, error: '巡查系统未初始化' };
   }
   patrolUserDisabled = !enabled; // 记住用户偏好
+  portfolioManager.setPatrolEnabled(enabled);
   if (enabled) {
-    taskPatrol.start(5 * 60 * 1000);
+    taskPatrol.start(PATROL_INTERVAL_MS);
     logger.info('任务巡查系统已手动开启');
   } else {
     taskPatrol.stop();
@@ -572,21 +537,117 @@ todoStore.onChanged((agentId, todos) => {
   }
 });
 
+// 后台进程启动/结束时推送给所有渲染进程
+processManager.onChanged((processes) => {
+  const { BrowserWindow } = require('electron');
+  for (const win of BrowserWindow.getAllWindows()) {
+    win.webContents.send('process:updated', processes);
+  }
+});
+
+// 工作流运行状态变化时推送给所有渲染进程
+workflowEngine.onChanged((run) => {
+  const { BrowserWindow } = require('electron');
+  for (const win of BrowserWindow.getAllWindows()) {
+    win.webContents.send('workflow:updated', run);
+  }
+});
+
+/**
+ * 恢复上次会话：加载上次选择的公司，并按设置启动后台公司
+ */
+async function restoreLastSession() {
+  const session = sessionManager.getSession();
+  if (!session || !session.accountId || !session.lastCompanyId) {
+    logger.info('无活跃会话，等待用户登录');
+    return;
+  }
+  // 恢复账号上下文
+  companyStore.initForAccount(session.accountId);
+  const company = companyStore.getCompany(session.lastCompanyId);
+  if (company) {
+    logger.info('恢复上次会话', { accountId: session.accountId, companyId: session.lastCompanyId });
+    await initializeForCompany(session.accountId, session.lastCompanyId, company.name);
+    await portfolioManager.syncBackground(session.accountId, session.lastCompanyId);
+  } else {
+    logger.info('上次会话的公司已不存在，等待用户重新选择');
+  }
+}
+
 app.whenReady().then(async () => {
   // ─── 全局初始化（不依赖公司选择） ──────────────────────────
 
   // 账号系统 IPC 必须最先注册（渲染进程启动后立即调用）
   setupAccountIpcHandlers({
-    onCompanySelected: async (accountId, companyId) => {
+    onCompanySelected: async (accountId, companyId, companyName) => {
+      // 先在旧上下文下刷盘，再由主进程接管目标公司（若其正在后台运行则先停掉）
       await cleanupCurrentCompany();
-      await initializeForCompany(accountId, companyId);
+      await portfolioManager.stopCompany(companyId);
+      await initializeForCompany(accountId, companyId, companyName);
+      await portfolioManager.syncBackground(accountId, companyId);
     },
     onLogout: async () => {
+      await portfolioManager.stopAll();
       await cleanupCurrentCompany();
     },
+    onCompaniesChanged: async (accountId) => {
+      if (!accountId) return;
+      await portfolioManager.syncBackground(accountId, dataPath.getCurrentContext().companyId);
+    },
   });
   logger.info('账号系统 IPC 已注册');
 
+  // 本地数据加密 IPC 同样需要在窗口创建前注册（渲染进程启动时先检查是否需要解锁）
+  setupStorageIpcHandlers({
+    onUnlocked: async () => {
+      // 全局数据在启动时因未解锁而没有读到，解锁后重新加载
+      accountStore.reinitialize();
+      sessionManager.reinitialize();
+      providerRegistry.reinitialize();
+      await restoreLastSession();
+    },
+    onBeforeMigration: async () => {
+      await portfolioManager.stopAll();
+    },
+    onAfterMigration: async () => {
+      const { accountId, companyId } = dataPath.getCurrentContext();
+      if (accountId) {
+        await portfolioManager.syncBackground(accountId, companyId);
+      }
+    },
+  });
+
+  // 公司备份与恢复（含自动备份调度）
+  setupBackupIpcHandlers({
+    flushCompany: async (companyId) => {
+      // 前台公司的数据在主进程内存中，后台公司的数据在各自进程中
+      if (companyId === dataPath.getCurrentContext().companyId) {
+        flushCompanyStores();
+      } else {
+        await portfolioManager.flushCompany(companyId);
+      }
+    },
+    onBeforeRestore: async (companyId) => {
+      if (companyId === dataPath.getCurrentContext().companyId) {
+        await cleanupCurrentCompany();
+      }
+      await portfolioManager.stopCompany(companyId);
+    },
+    onAfterRestore: async (companyId) => {
+      const { accountId, companyId: activeCompanyId } = dataPath.getCurrentContext();
+      if (companyId === activeCompanyId) {
+        await initializeForCompany(accountId, companyId, companyStore.getCompany(companyId)?.name);
+      }
+      await portfolioManager.syncBackground(accountId, activeCompanyId);
+    },
+  });
+
+  // 特权操作审计日志
+  setupAuditIpcHandlers();
+
+  // Pull Request 代码审核
+  setupPRIpcHandlers();
+
   // LLM Manager 全局共享
   llmManager = new LLMManager();
   logger.info('LLM Manager 已创建');
@@ -598,21 +659,11 @@ app.whenReady().then(async () => {
   chatManager.initToolExecutor();
   logger.info('全局 Agent 和工具系统已初始化');
 
-  // ─── 恢复上次会话（如有） ──────────────────────────────────
-  const session = sessionManager.getSession();
-  if (session && session.accountId && session.lastCompanyId) {
-    // 恢复账号上下文
-    companyStore.initForAccount(session.accountId);
-    const company = companyStore.getCompany(session.lastCompanyId);
-    if (company) {
-      logger.info('恢复上次会话', { accountId: session.accountId, companyId: session.lastCompanyId });
-      dataPath.setCurrentContext(session.accountId, session.lastCompanyId, company.name);
-      await initializeForCompany(session.accountId, session.lastCompanyId);
-    } else {
-      logger.info('上次会话的公司已不存在，等待用户重新选择');
-    }
+  // ─── 恢复上次会话（如有；数据已加密时等待解锁后再恢复） ─────────
+  if (encryptedStorage.isUnlocked()) {
+    await restoreLastSession();
   } else {
-    logger.info('无活跃会话，等待用户登录');
+    logger.info('本地数据已加密，等待解锁');
   }
 
   createWindow();
@@ -632,8 +683,12 @@ app.on('window-all-closed', () => {
   }
 });
 
-// 应用退出前确保聊天历史和记忆系统刷盘
+// 应用退出前确保聊天历史和记忆系统刷盘，并停止后台进程
 app.on('before-quit', () => {
+  backupManager.stopSchedule();
+  forgeSync.stopSchedule();
+  portfolioManager.stopAll();
+  processManager.stopAll('应用退出');
   chatHistoryStore.flush();
   todoStore.flush();
   memoryManager.flush();
@@ -642,12 +697,14 @@ app.on('before-quit', () => {
 
 // 进程信号处理：确保被 kill/Ctrl+C 终止时也能刷盘
 process.on('SIGINT', () => {
+  processManager.stopAll('应用退出');
   chatHistoryStore.flush();
   todoStore.flush();
   memoryManager.flush();
   process.exit(0);
 });
 process.on('SIGTERM', () => {
+  processManager.stopAll('应用退出');
   chatHistoryStore.flush();
   todoStore.flush();
   memoryManager.flush();
@@ -0,0 +1,540 @@
+/**
+ * SoloForge - 记忆向量索引
+ * 为记忆计算嵌入向量，支持语义检索（"选了 Postgres" ↔ "用的什么数据库"）
+ * 向量存储在 memory/embeddings.json（与 index.json 同目录），按内容哈希增量更新
+ * 嵌入 Provider 可插拔：内置 Ollama 本地嵌入接口与确定性的本地哈希回退
+ * @module memory/memory-embeddings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { dataPath } = require('../account/data-path');
+const { MEMORY_CONFIG } = require('./memory-types');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
+
+/** 本地哈希向量维度 */
+const LOCAL_DIMENSIONS = 256;
+
+/** 每批嵌入的记忆条数 */
+const BATCH_SIZE = 16;
+
+/** 单条记忆参与嵌入的最大字符数 */
+const MAX_TEXT_LENGTH = 2000;
+
+/** 批量嵌入超时（毫秒） */
+const BATCH_TIMEOUT_MS = 30000;
+
+/** 查询嵌入超时（毫秒），超时则本次检索仅使用关键词 */
+const QUERY_TIMEOUT_MS = 3000;
+
+function getEmbeddingsPath() {
+  return path.join(dataPath.getBasePath(), 'memory', MEMORY_CONFIG.EMBEDDINGS_FILE);
+}
+
+// ═══════════════════════════════════════════════════════════
+// 嵌入 Provider
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} id - Provider 标识（含模型），变化时向量索引整体重建
+ * @property {(texts: string[], options?: { timeout?: number }) => Promise<number[][]>} embed
+ */
+
+/**
+ * FNV-1a 32 位哈希
+ * @param {string} str
+ * @returns {number}
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 本地确定性嵌入（特征哈希）
+ * 英文按词、中文按字二元组映射到固定维度，无需任何外部服务
+ * 只能捕捉字面重叠，作为 Ollama 不可用时的回退
+ * @implements {EmbeddingProvider}
+ */
+class LocalHashEmbeddingProvider {
+  constructor(dimensions = LOCAL_DIMENSIONS) {
+    this.dimensions = dimensions;
+    this.id = `local-hash:${dimensions}`;
+  }
+
+  _features(text) {
+    const lower = (text || '').toLowerCase();
+    const features = lower.match(/[a-z][a-z0-9]+/g) || [];
+    for (const segment of lower.match(/[\u4e00-\u9fff]+/g) || []) {
+      if (segment.length === 1) features.push(segment);
+      for (let i = 0; i < segment.length - 1; i++) {
+        features.push(segment.slice(i, i + 2));
+      }
+    }
+    return features;
+  }
+
+  embedSync(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    for (const feature of this._features(text)) {
+      const hash = fnv1a(feature);
+      // 最高位决定符号，减少哈希冲突带来的偏差
+      vector[hash % this.dimensions] += (hash & 0x80000000) ? -1 : 1;
+    }
+    return normalize(vector);
+  }
+
+  async embed(texts) {
+    return texts.map((t) => this.embedSync(t));
+  }
+}
+
+/**
+ * Ollama 本地嵌入（/api/embed）
+ * @implements {EmbeddingProvider}
+ */
+class OllamaEmbeddingProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.model]
+   * @param {string} [options.baseUrl]
+   */
+  constructor(options = {}) {
+    const { OllamaProvider } = require('../llm/ollama-provider');
+    this.model = options.model || MEMORY_CONFIG.EMBEDDING_MODEL;
+    this.client = new OllamaProvider({ baseUrl: options.baseUrl });
+    this.id = `ollama:${this.model}`;
+  }
+
+  async embed(texts, options = {}) {
+    const vectors = await this.client.embed(texts, { model: this.model, timeout: options.timeout });
+    return vectors.map(normalize);
+  }
+}
+
+/**
+ * 已注册的 Provider 工厂
+ * @type {Map<string, (options: Object) => EmbeddingProvider>}
+ */
+const PROVIDER_FACTORIES = new Map([
+  ['local', () => new LocalHashEmbeddingProvider()],
+  ['ollama', (options) => new OllamaEmbeddingProvider(options)],
+]);
+
+/**
+ * 注册自定义嵌入 Provider（在 MEMORY_EMBEDDING_PROVIDER 中按名称启用）
+ * @param {string} name
+ * @param {(options: Object) => EmbeddingProvider} factory
+ */
+function registerEmbeddingProvider(name, factory) {
+  PROVIDER_FACTORIES.set(name, factory);
+}
+
+// ═══════════════════════════════════════════════════════════
+// 向量工具函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * L2 归一化（归一化后余弦相似度即点积）
+ * @param {number[]} vector
+ * @returns {number[]}
+ */
+function normalize(vector) {
+  let norm = 0;
+  for (const v of vector) norm += v * v;
+  norm = Math.sqrt(norm);
+  if (norm === 0) return vector.slice();
+  return vector.map((v) => v / norm);
+}
+
+/**
+ * 归一化向量的余弦相似度
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function cosine(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+/**
+ * 记忆条目 → 嵌入文本
+ * @param {Object} memoryEntry - 完整 MemoryEntry
+ * @returns {string}
+ */
+function toEmbeddingText(memoryEntry) {
+  return [
+    memoryEntry.summary,
+    memoryEntry.content,
+    (memoryEntry.tags || []).join(' '),
+  ].filter(Boolean).join('\n').slice(0, MAX_TEXT_LENGTH);
+}
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+// ═══════════════════════════════════════════════════════════
+// 向量索引
+// ═══════════════════════════════════════════════════════════
+
+class MemoryEmbeddings {
+  constructor() {
+    /**
+     * key: memoryId, value: { hash, vector }
+     * @type {Map<string, { hash: string, vector: number[] }>}
+     */
+    this.vectors = new Map();
+
+    /** 向量索引对应的 Provider ID */
+    this.providerId = null;
+
+    /** @type {EmbeddingProvider|null} */
+    this._provider = null;
+    /** @type {Promise<EmbeddingProvider>|null} */
+    this._providerPromise = null;
+    /** 上次探测 Provider 的时间 */
+    this._providerResolvedAt = 0;
+    /** 首选 Provider 开始不可用的时间（可用时为 null） */
+    this._unavailableSince = null;
+
+    /**
+     * 待嵌入队列
+     * @type {Map<string, { text: string, hash: string }>}
+     */
+    this._queue = new Map();
+    this._processing = false;
+
+    /** 切换公司时递增，丢弃旧公司进行中的嵌入结果 */
+    this._generation = 0;
+
+    this._saveTimer = null;
+    this._loaded = false;
+    /** 加载时的文件路径（切换公司后仍写回原公司目录） */
+    this._filePath = null;
+  }
+
+  // ─── 持久化 ──────────────────────────────────────────────
+
+  _ensureLoaded() {
+    if (this._loaded) return;
+    this._loaded = true;
+    this._filePath = getEmbeddingsPath();
+    try {
+      const file = this._filePath;
+      if (!fs.existsSync(file)) return;
+      const data = JSON.parse(readTextSync(file));
+      this.providerId = data.providerId || null;
+      this.vectors = new Map(Object.entries(data.vectors || {}));
+      logger.info('记忆向量索引已加载', { providerId: this.providerId, count: this.vectors.size });
+    } catch (error) {
+      logger.error('加载记忆向量索引失败', error);
+      this.vectors.clear();
+      this.providerId = null;
+    }
+  }
+
+  _save() {
+    if (this._saveTimer) clearTimeout(this._saveTimer);
+    this._saveTimer = setTimeout(() => this._flushToDisk(), MEMORY_CONFIG.DEBOUNCE_MS);
+  }
+
+  _flushToDisk() {
+    this._saveTimer = null;
+    if (!this._filePath) return;
+    try {
+      const vectors = {};
+      for (const [id, item] of this.vectors) {
+        // 保留 5 位小数，控制文件体积
+        vectors[id] = { hash: item.hash, vector: item.vector.map((v) => Math.round(v * 1e5) / 1e5) };
+      }
+      atomicWriteSync(
+        this._filePath,
+        JSON.stringify({ providerId: this.providerId, vectors })
+      );
+      logger.debug('记忆向量索引已保存', { count: this.vectors.size });
+    } catch (error) {
+      logger.error('保存记忆向量索引失败', error);
+    }
+  }
+
+  /**
+   * 立即刷盘
+   */
+  flush() {
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._flushToDisk();
+    }
+  }
+
+  /**
+   * 重新初始化（切换公司后由 MemoryStore 调用）
+   */
+  reinitialize() {
+    this.flush();
+    this._generation++;
+    this.vectors.clear();
+    this.providerId = null;
+    this._queue.clear();
+    this._loaded = false;
+    this._filePath = null;
+  }
+
+  // ─── Provider ────────────────────────────────────────────
+
+  /**
+   * 解析当前使用的 Provider（探测结果缓存 EMBEDDING_RECHECK_MS，过期后重新探测）
+   * auto 模式下 Ollama 不可用（未启动或未拉取模型）时回退本地哈希，恢复后自动切回
+   * @returns {Promise<EmbeddingProvider>}
+   */
+  _getProvider() {
+    if (this._provider && Date.now() - this._providerResolvedAt < MEMORY_CONFIG.EMBEDDING_RECHECK_MS) {
+      return Promise.resolve(this._provider);
+    }
+    if (!this._providerPromise) {
+      this._providerPromise = this._resolveProvider()
+        .then((provider) => {
+          this._provider = provider;
+          this._providerResolvedAt = Date.now();
+          // Provider 恢复后补算暂停期间积压的记忆
+          if (this._queue.size > 0) this._kick();
+          return provider;
+        })
+        .finally(() => {
+          this._providerPromise = null;
+        });
+    }
+    return this._providerPromise;
+  }
+
+  async _resolveProvider() {
+    const configured = MEMORY_CONFIG.EMBEDDING_PROVIDER;
+    const name = configured === 'auto' ? 'ollama' : configured;
+    const factory = PROVIDER_FACTORIES.get(name);
+
+    if (factory && name !== 'local') {
+      try {
+        const provider = factory({ model: MEMORY_CONFIG.EMBEDDING_MODEL });
+        await provider.embed(['ping'], { timeout: QUERY_TIMEOUT_MS });
+        if (this._provider?.id !== provider.id) {
+          logger.info('记忆嵌入 Provider 已就绪', { provider: provider.id });
+        }
+        this._unavailableSince = null;
+        return provider;
+      } catch (error) {
+        if (this._unavailableSince === null) {
+          this._unavailableSince = Date.now();
+          logger.warn(`记忆嵌入 Provider "${name}" 不可用，回退本地哈希嵌入`, { error: error.message });
+        }
+      }
+    } else if (!factory) {
+      logger.warn(`未知的记忆嵌入 Provider "${configured}"，使用本地哈希嵌入`);
+    }
+    return PROVIDER_FACTORIES.get('local')();
+  }
+
+  /**
+   * Provider 变化时（如 Ollama 启用/停用、换模型）丢弃旧向量
+   * 首选 Provider 只是暂时不可用（未超过 EMBEDDING_FALLBACK_GRACE_MS）时保留旧向量，暂停嵌入
+   * @param {EmbeddingProvider} provider
+   * @returns {boolean} 向量索引能否用该 Provider 更新
+   */
+  _ensureProviderMatch(provider) {
+    if (this.providerId === provider.id) return true;
+    const transientFallback = this._unavailableSince !== null &&
+      Date.now() - this._unavailableSince < MEMORY_CONFIG.EMBEDDING_FALLBACK_GRACE_MS;
+    if (transientFallback && this.vectors.size > 0) {
+      logger.debug('首选记忆嵌入 Provider 暂时不可用，保留现有向量', { providerId: this.providerId });
+      return false;
+    }
+    const rebuild = this.vectors.size > 0;
+    if (rebuild) {
+      logger.info('记忆嵌入 Provider 已变化，重建向量索引', { from: this.providerId, to: provider.id });
+    }
+    this.vectors.clear();
+    this.providerId = provider.id;
+    this._save();
+    if (rebuild) this._scheduleMissing();
+    return true;
+  }
+
+  // ─── 索引维护 ────────────────────────────────────────────
+
+  /**
+   * 为记忆安排（重新）嵌入；内容未变化时跳过
+   * 由 MemoryStore 在 add / update 时调用
+   * @param {Object} memoryEntry - 完整 MemoryEntry
+   */
+  schedule(memoryEntry) {
+    this._ensureLoaded();
+    const text = toEmbeddingText(memoryEntry);
+    if (!text) return;
+    const hash = hashText(text);
+    if (this.vectors.get(memoryEntry.id)?.hash === hash) return;
+
+    this._queue.set(memoryEntry.id, { text, hash });
+    this._kick();
+  }
+
+  /**
+   * 删除记忆的向量
+   * @param {string} memoryId
+   */
+  remove(memoryId) {
+    this._ensureLoaded();
+    this._queue.delete(memoryId);
+    if (this.vectors.delete(memoryId)) {
+      this._save();
+    }
+  }
+
+  /**
+   * 与记忆索引对齐：为缺少向量的记忆补算，清理已删除记忆的向量
+   * 启动时调用，后台执行
+   */
+  async syncWithStore() {
+    const { memoryStore } = require('./memory-store');
+    const provider = await this._getProvider();
+    this._ensureLoaded();
+    const usable = this._ensureProviderMatch(provider);
+
+    let removed = 0;
+    for (const id of this.vectors.keys()) {
+      if (!memoryStore.index.has(id)) {
+        this.vectors.delete(id);
+        removed++;
+      }
+    }
+    if (removed > 0) this._save();
+
+    const scheduled = this._scheduleMissing();
+    if (scheduled > 0 || removed > 0) {
+      logger.info('记忆向量索引同步', { scheduled, removed, provider: usable ? provider.id : this.providerId });
+    }
+  }
+
+  /**
+   * 为缺少向量的记忆安排嵌入
+   * @returns {number} 安排的条数
+   */
+  _scheduleMissing() {
+    const { memoryStore } = require('./memory-store');
+    let scheduled = 0;
+    for (const id of memoryStore.index.keys()) {
+      if (this.vectors.has(id) || this._queue.has(id)) continue;
+      const entry = memoryStore.get(id);
+      if (entry) {
+        this.schedule(entry);
+        scheduled++;
+      }
+    }
+    return scheduled;
+  }
+
+  _kick() {
+    if (this._processing) return;
+    this._processing = true;
+    this._processQueue()
+      .catch((error) => logger.error('记忆嵌入队列处理失败', error))
+      .finally(() => {
+        this._processing = false;
+      });
+  }
+
+  async _processQueue() {
+    const provider = await this._getProvider();
+    // 首选 Provider 暂时不可用：队列保留到 Provider 恢复
+    if (!this._ensureProviderMatch(provider)) return;
+
+    while (this._queue.size > 0) {
+      const generation = this._generation;
+      const batch = [...this._queue.entries()].slice(0, BATCH_SIZE);
+      for (const [id] of batch) this._queue.delete(id);
+
+      let vectors;
+      try {
+        vectors = await provider.embed(batch.map(([, item]) => item.text), { timeout: BATCH_TIMEOUT_MS });
+      } catch (error) {
+        // 放回队列，下次探测 Provider 后重试（期间被更新的条目以新内容为准）
+        logger.warn('记忆嵌入失败，稍后重试', { count: batch.length, error: error.message });
+        if (generation === this._generation) {
+          for (const [id, item] of batch) {
+            if (!this._queue.has(id)) this._queue.set(id, item);
+          }
+        }
+        this._providerResolvedAt = 0;
+        return;
+      }
+
+      if (generation !== this._generation) continue;
+      batch.forEach(([id, item], i) => {
+        this.vectors.set(id, { hash: item.hash, vector: vectors[i] });
+      });
+      this._save();
+    }
+  }
+
+  // ─── 查询 ────────────────────────────────────────────────
+
+  /**
+   * 计算查询向量
+   * @param {string} text
+   * @returns {Promise<number[]|null>} 不可用或超时返回 null（检索退化为纯关键词）
+   */
+  async embedQuery(text) {
+    if (!text) return null;
+    try {
+      const provider = await this._getProvider();
+      if (this.providerId && this.providerId !== provider.id) return null;
+      const [vector] = await provider.embed([text.slice(0, MAX_TEXT_LENGTH)], { timeout: QUERY_TIMEOUT_MS });
+      return vector;
+    } catch (error) {
+      logger.debug('查询嵌入失败，本次仅使用关键词检索', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 查询向量与记忆的相似度
+   * @param {number[]} queryVector
+   * @param {string} memoryId
+   * @returns {number|null} 0-1；记忆尚无向量时返回 null
+   */
+  similarity(queryVector, memoryId) {
+    this._ensureLoaded();
+    const item = this.vectors.get(memoryId);
+    if (!item || !queryVector) return null;
+    return Math.max(0, cosine(queryVector, item.vector));
+  }
+
+  /**
+   * @returns {{ provider: string|null, embedded: number, pending: number }}
+   */
+  getStats() {
+    this._ensureLoaded();
+    return { provider: this.providerId, embedded: this.vectors.size, pending: this._queue.size };
+  }
+}
+
+// 单例
+const memoryEmbeddings = new MemoryEmbeddings();
+
+module.exports = {
+  MemoryEmbeddings,
+  memoryEmbeddings,
+  LocalHashEmbeddingProvider,
+  OllamaEmbeddingProvider,
+  registerEmbeddingProvider,
+};
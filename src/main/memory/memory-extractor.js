@@ -11,6 +11,7 @@ const {
   MEMORY_TYPES,
   MEMORY_SOURCE,
   MEMORY_CONFIG,
+  CONFLICT_CHECK_TYPES,
   createMemoryEntry,
 } = require('./memory-types');
 
@@ -67,6 +68,21 @@ const TASK_EXTRACTION_PROMPT = `你是一个记忆提取系统。分析以下任
 任务信息：
 `;
 
+const CONFLICT_PROMPT = `你是一个记忆冲突检测系统。下面每条"新记忆"后面列出了若干同类型、标签相近的"已有记忆"。
+判断新记忆是否推翻或更新了已有记忆（例如新决策"改用 Vue"推翻旧决策"使用 React"，或同一事实的新值替代旧值）。
+
+返回一个 JSON 数组（不要包裹在 markdown 代码块中），每个元素：
+- index: 新记忆编号
+- supersedes: 被推翻的已有记忆 ID 数组
+- reason: 一句话说明冲突（不超过 40 字）
+
+规则：
+1. 只有当两者针对同一主题且结论互相矛盾或新值替代旧值时才算冲突
+2. 互相补充、主题不同或只是更详细的描述都不算冲突
+3. 没有冲突的新记忆不要输出；全部无冲突时返回空数组 []
+
+`;
+
 /**
  * 记忆提取器
  */
@@ -144,7 +160,7 @@ class MemoryExtractor {
       }
 
       // 去重并存储
-      const stored = this._deduplicateAndStore(extracted, {
+      const stored = await this._deduplicateAndStore(extracted, {
         sourceType: MEMORY_SOURCE.CONVERSATION,
         conversationId,
         agentId,
@@ -198,7 +214,7 @@ class MemoryExtractor {
       const extracted = this._parseExtractionResult(rawResult);
       if (extracted.length === 0) return { extracted: 0 };
 
-      const stored = this._deduplicateAndStore(extracted, {
+      const stored = await this._deduplicateAndStore(extracted, {
         sourceType: MEMORY_SOURCE.COMMUNICATION,
         relatedAgents: [fromAgent, toAgent],
       });
@@ -258,7 +274,7 @@ class MemoryExtractor {
         }
       }
 
-      const stored = this._deduplicateAndStore(extracted, {
+      const stored = await this._deduplicateAndStore(extracted, {
         sourceType: MEMORY_SOURCE.TASK,
         taskId,
         agentId: toAgent,
@@ -318,6 +334,21 @@ class MemoryExtractor {
    * @returns {Object[]}
    */
   _parseExtractionResult(rawResult) {
+    // 验证每条记忆的必需字段
+    const valid = this._parseJsonArray(rawResult).filter((item) => {
+      return item.type && item.content && item.summary;
+    });
+
+    // 限制数量
+    return valid.slice(0, 5);
+  }
+
+  /**
+   * 从 LLM 输出中解析 JSON 数组
+   * @param {string|null} rawResult
+   * @returns {Object[]}
+   */
+  _parseJsonArray(rawResult) {
     if (!rawResult) return [];
 
     try {
@@ -332,7 +363,7 @@ class MemoryExtractor {
       const endIdx = jsonStr.lastIndexOf(']');
 
       if (startIdx === -1 || endIdx === -1 || endIdx <= startIdx) {
-        logger.debug('提取结果中未找到 JSON 数组');
+        logger.debug('LLM 结果中未找到 JSON 数组');
         return [];
       }
 
@@ -340,19 +371,13 @@ class MemoryExtractor {
       const parsed = JSON.parse(jsonStr);
 
       if (!Array.isArray(parsed)) {
-        logger.warn('提取结果不是数组');
+        logger.warn('LLM 结果不是数组');
         return [];
       }
 
-      // 验证每条记忆的必需字段
-      const valid = parsed.filter((item) => {
-        return item.type && item.content && item.summary;
-      });
-
-      // 限制数量
-      return valid.slice(0, 5);
+      return parsed.filter((item) => item && typeof item === 'object');
     } catch (error) {
-      logger.warn('解析提取结果失败', { error: error.message, rawLength: rawResult.length });
+      logger.warn('解析 LLM 结果失败', { error: error.message, rawLength: rawResult.length });
       return [];
     }
   }
@@ -362,23 +387,31 @@ class MemoryExtractor {
   // ═══════════════════════════════════════════════════════════
 
   /**
-   * 去重并存储提取到的记忆
+   * 去重并存储提取到的记忆，新记忆推翻旧记忆时标记替代关系
    * @param {Object[]} extracted - 提取到的原始条目
    * @param {Object} context - 上下文信息
-   * @returns {{ count: number, errors: string[] }}
+   * @returns {Promise<{ count: number, errors: string[] }>}
    */
-  _deduplicateAndStore(extracted, context = {}) {
+  async _deduplicateAndStore(extracted, context = {}) {
     const { sourceType, conversationId, taskId, agentId, relatedAgents = [] } = context;
     const errors = [];
     let count = 0;
 
-    for (const item of extracted) {
-      // 去重检查：与最近提取的摘要比较
-      const summaryKey = item.summary.trim().toLowerCase();
-      if (this._isDuplicate(summaryKey)) {
+    // 去重检查：与最近提取的摘要比较
+    const fresh = extracted.filter((item) => {
+      if (this._isDuplicate(item.summary.trim().toLowerCase())) {
         logger.debug('跳过重复记忆', { summary: item.summary.slice(0, 30) });
-        continue;
+        return false;
       }
+      return true;
+    });
+
+    const conflicts = await this._detectConflicts(fresh);
+
+    for (const [i, item] of fresh.entries()) {
+      // 同一批次内也可能互相重复
+      const summaryKey = item.summary.trim().toLowerCase();
+      if (i > 0 && this._isDuplicate(summaryKey)) continue;
 
       try {
         const entry = createMemoryEntry({
@@ -403,6 +436,11 @@ class MemoryExtractor {
           count++;
           // 添加到去重缓存
           this._addToRecentSummaries(summaryKey);
+
+          const conflict = conflicts.get(i);
+          for (const oldId of conflict?.supersedes || []) {
+            memoryStore.supersede(oldId, entry.id, conflict.reason);
+          }
         } else {
           errors.push(result.error);
         }
@@ -414,6 +452,73 @@ class MemoryExtractor {
     return { count, errors };
   }
 
+  // ═══════════════════════════════════════════════════════════
+  // 冲突检测
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * 查找可能与新记忆冲突的已有记忆（同类型、标签有交集）
+   * @param {Object} item - 提取到的原始条目
+   * @returns {Object[]} 索引条目，按创建时间倒序
+   */
+  _findConflictCandidates(item) {
+    if (!CONFLICT_CHECK_TYPES.includes(item.type)) return [];
+
+    const tags = (item.tags || []).map((t) => t.toLowerCase());
+    if (tags.length === 0) return [];
+
+    return memoryStore.searchByTags(tags, { type: item.type })
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, MEMORY_CONFIG.MAX_CONFLICT_CANDIDATES);
+  }
+
+  /**
+   * 用 LLM 判断新记忆是否推翻已有记忆
+   * @param {Object[]} items - 待存储的原始条目
+   * @returns {Promise<Map<number, {supersedes: string[], reason: string|null}>>} 条目下标 → 冲突信息
+   */
+  async _detectConflicts(items) {
+    const conflicts = new Map();
+
+    const groups = items
+      .map((item, index) => ({ item, index, candidates: this._findConflictCandidates(item) }))
+      .filter((g) => g.candidates.length > 0);
+    if (groups.length === 0) return conflicts;
+
+    const text = groups.map(({ item, index, candidates }) => {
+      const existing = candidates
+        .map((c) => `  - ID: ${c.id} | ${c.summary} | 标签: ${(c.tags || []).join(', ')}`)
+        .join('\n');
+      return `新记忆 #${index} [${item.type}] ${item.summary}\n  内容: ${item.content.slice(0, 300)}\n  标签: ${(item.tags || []).join(', ')}\n已有记忆:\n${existing}`;
+    }).join('\n\n');
+
+    const rawResult = await this._callLLM(CONFLICT_PROMPT + text);
+    const parsed = this._parseJsonArray(rawResult);
+
+    for (const result of parsed) {
+      const group = groups.find((g) => g.index === Number(result.index));
+      if (!group || !Array.isArray(result.supersedes)) continue;
+
+      // 只接受提供给 LLM 的候选 ID，防止幻觉 ID
+      const allowed = new Set(group.candidates.map((c) => c.id));
+      const ids = result.supersedes.filter((id) => allowed.has(id));
+      if (ids.length === 0) continue;
+
+      conflicts.set(group.index, {
+        supersedes: ids,
+        reason: typeof result.reason === 'string' ? result.reason.slice(0, 100) : null,
+      });
+    }
+
+    if (conflicts.size > 0) {
+      logger.info('检测到记忆冲突', {
+        conflicts: [...conflicts.values()].map((c) => c.supersedes),
+      });
+    }
+
+    return conflicts;
+  }
+
   /**
    * 检查摘要是否与已有记忆重复
    * 使用简单的字符串相似度检查
@@ -12,6 +12,13 @@ const {
   MEMORY_GET_PROFILE,
   MEMORY_GET_SHARED,
   MEMORY_GET_RECENT,
+  MEMORY_GET_CHAIN,
+  MEMORY_LIST,
+  MEMORY_GET,
+  MEMORY_UPDATE,
+  MEMORY_PIN,
+  MEMORY_MERGE,
+  MEMORY_DELETE,
 } = require('../../shared/ipc-channels');
 
 /**
@@ -32,14 +39,14 @@ function registerMemoryIPCHandlers(memoryManager) {
   // 搜索记忆
   ipcMain.handle(MEMORY_SEARCH, async (_event, params) => {
     try {
-      const { query, tags, type, agentId, limit = 20 } = params || {};
+      const { query, tags, type, agentId, limit = 20, includeSuperseded = false } = params || {};
 
       let results;
       if (query) {
-        results = memoryManager.recall(query, { agentId, limit, type });
+        results = await memoryManager.recall(query, { agentId, limit, type });
       } else {
         const tagArray = tags ? (Array.isArray(tags) ? tags : tags.split(',').map((t) => t.trim())) : undefined;
-        results = memoryManager.search({ tags: tagArray, type, agentId, limit });
+        results = memoryManager.search({ tags: tagArray, type, agentId, limit, includeSuperseded });
       }
 
       return { success: true, data: results };
@@ -86,6 +93,95 @@ function registerMemoryIPCHandlers(memoryManager) {
     }
   });
 
+  // 获取记忆替代链
+  ipcMain.handle(MEMORY_GET_CHAIN, async (_event, memoryId) => {
+    try {
+      const chain = memoryManager.getSupersessionChain(memoryId);
+      if (chain.length === 0) {
+        return { success: false, error: `记忆不存在: ${memoryId}` };
+      }
+      return { success: true, data: chain };
+    } catch (error) {
+      logger.error('IPC memory:get-chain 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ─── 记忆浏览页 ───────────────────────────────────────────
+
+  // 列出记忆
+  ipcMain.handle(MEMORY_LIST, async (_event, filters) => {
+    try {
+      const { type, scope, agentId, includeArchived = false, includeSuperseded = false } = filters || {};
+      const results = memoryManager.list({
+        type: type || undefined,
+        scope: scope || undefined,
+        agentId: agentId || undefined,
+        includeArchived,
+        includeSuperseded,
+      });
+      return { success: true, data: results };
+    } catch (error) {
+      logger.error('IPC memory:list 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 获取记忆详情
+  ipcMain.handle(MEMORY_GET, async (_event, memoryId) => {
+    try {
+      const entry = memoryManager.getDetail(memoryId);
+      if (!entry) {
+        return { success: false, error: `记忆不存在: ${memoryId}` };
+      }
+      return { success: true, data: entry };
+    } catch (error) {
+      logger.error('IPC memory:get 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 编辑记忆
+  ipcMain.handle(MEMORY_UPDATE, async (_event, params) => {
+    try {
+      const { memoryId, updates } = params || {};
+      return memoryManager.edit(memoryId, updates);
+    } catch (error) {
+      logger.error('IPC memory:update 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 标记重要
+  ipcMain.handle(MEMORY_PIN, async (_event, memoryId) => {
+    try {
+      return memoryManager.pin(memoryId);
+    } catch (error) {
+      logger.error('IPC memory:pin 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 合并记忆
+  ipcMain.handle(MEMORY_MERGE, async (_event, memoryIds) => {
+    try {
+      return await memoryManager.merge(memoryIds);
+    } catch (error) {
+      logger.error('IPC memory:merge 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 删除记忆
+  ipcMain.handle(MEMORY_DELETE, async (_event, memoryId) => {
+    try {
+      return memoryManager.forget(memoryId);
+    } catch (error) {
+      logger.error('IPC memory:delete 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   logger.info('记忆系统 IPC 处理器已注册');
 }
 
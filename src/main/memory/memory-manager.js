@@ -93,6 +93,12 @@ class MemoryManager {
 
     this._initialized = true;
 
+    // 后台为缺少向量的记忆补算嵌入
+    const { memoryEmbeddings } = require('./memory-embeddings');
+    memoryEmbeddings.syncWithStore().catch((error) => {
+      logger.error('记忆向量索引同步失败', error);
+    });
+
     const stats = memoryStore.getStats();
     logger.info('记忆系统初始化完成', stats);
   }
@@ -196,9 +202,9 @@ class MemoryManager {
    * @param {string} [options.agentId] - Agent ID (用于范围过滤)
    * @param {number} [options.limit] - 返回数量
    * @param {string} [options.type] - 限定类型
-   * @returns {Object[]} 检索到的记忆条目
+   * @returns {Promise<Object[]>} 检索到的记忆条目
    */
-  recall(query, options = {}) {
+  async recall(query, options = {}) {
     if (!this.retriever) {
       logger.warn('记忆检索器未初始化');
       return [];
@@ -212,9 +218,9 @@ class MemoryManager {
    * @param {string} agentId
    * @param {string} message - 当前用户消息
    * @param {string} [conversationId]
-   * @returns {string|null} 格式化的记忆上下文文本，或 null
+   * @returns {Promise<string|null>} 格式化的记忆上下文文本，或 null
    */
-  getContextForAgent(agentId, message, conversationId) {
+  async getContextForAgent(agentId, message, conversationId) {
     if (!this.retriever) return null;
     return this.retriever.getContextForAgent(agentId, message, conversationId);
   }
@@ -246,16 +252,17 @@ class MemoryManager {
    * @param {string} [params.type]
    * @param {string} [params.agentId]
    * @param {number} [params.limit=20]
+   * @param {boolean} [params.includeSuperseded=false] - 是否包含已被替代的旧记忆
    * @returns {Object[]}
    */
   search(params = {}) {
-    const { tags, type, agentId, limit = 20 } = params;
+    const { tags, type, agentId, limit = 20, includeSuperseded = false } = params;
 
     let results;
     if (tags && tags.length > 0) {
-      results = memoryStore.searchByTags(tags, { type, agentId });
+      results = memoryStore.searchByTags(tags, { type, agentId, includeSuperseded });
     } else {
-      results = memoryStore.query({ type, agentId });
+      results = memoryStore.query({ type, agentId, includeSuperseded });
     }
 
     // 按 importance 降序
@@ -273,6 +280,15 @@ class MemoryManager {
     return memoryStore.getRecent(limit, type ? { type } : {});
   }
 
+  /**
+   * 获取记忆的替代链（新旧版本）
+   * @param {string} memoryId
+   * @returns {Object[]} 按创建时间升序
+   */
+  getSupersessionChain(memoryId) {
+    return memoryStore.getSupersessionChain(memoryId);
+  }
+
   // ═══════════════════════════════════════════════════════════
   // 生命周期操作
   // ═══════════════════════════════════════════════════════════
@@ -302,6 +318,114 @@ class MemoryManager {
     return this.decay.reinforce(memoryId);
   }
 
+  // ═══════════════════════════════════════════════════════════
+  // 记忆浏览与编辑 (由记忆浏览页调用)
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * 列出记忆索引条目，附带有效衰减分数
+   * @param {Object} [filters]
+   * @param {string} [filters.type]
+   * @param {string} [filters.scope]
+   * @param {string} [filters.agentId]
+   * @param {boolean} [filters.includeArchived=false]
+   * @param {boolean} [filters.includeSuperseded=false]
+   * @returns {Object[]} 按有效分数降序
+   */
+  list(filters = {}) {
+    const now = Date.now();
+    return memoryStore.query(filters)
+      .map((entry) => ({
+        ...entry,
+        effectiveScore: this.decay ? this.decay.calculateEffectiveScore(entry, now) : null,
+      }))
+      .sort((a, b) => (b.effectiveScore ?? b.importance) - (a.effectiveScore ?? a.importance));
+  }
+
+  /**
+   * 获取完整记忆条目（含来源信息与有效分数）
+   * @param {string} memoryId
+   * @returns {Object|null}
+   */
+  getDetail(memoryId) {
+    const entry = memoryStore.get(memoryId);
+    if (!entry) return null;
+    const indexEntry = memoryStore.index.get(memoryId);
+    return {
+      ...entry,
+      effectiveScore: this.decay ? this.decay.calculateEffectiveScore(indexEntry) : null,
+    };
+  }
+
+  /**
+   * 编辑记忆内容
+   * @param {string} memoryId
+   * @param {Object} updates
+   * @param {string} [updates.content]
+   * @param {string} [updates.summary]
+   * @param {string[]} [updates.tags]
+   * @param {number} [updates.importance]
+   * @returns {{ success: boolean, error?: string }}
+   */
+  edit(memoryId, updates = {}) {
+    const allowed = {};
+
+    if (updates.content !== undefined) {
+      if (typeof updates.content !== 'string' || !updates.content.trim()) {
+        return { success: false, error: '内容不能为空' };
+      }
+      allowed.content = updates.content.trim();
+    }
+    if (updates.summary !== undefined) {
+      if (typeof updates.summary !== 'string' || !updates.summary.trim()) {
+        return { success: false, error: '摘要不能为空' };
+      }
+      allowed.summary = updates.summary.trim();
+    }
+    if (updates.tags !== undefined) {
+      if (!Array.isArray(updates.tags)) {
+        return { success: false, error: 'tags 必须是数组' };
+      }
+      allowed.tags = [...new Set(updates.tags.map((t) => String(t).trim()).filter(Boolean))];
+    }
+    if (updates.importance !== undefined) {
+      if (typeof updates.importance !== 'number' || Number.isNaN(updates.importance)) {
+        return { success: false, error: 'importance 必须是数字' };
+      }
+      allowed.importance = Math.max(0, Math.min(1, updates.importance));
+    }
+
+    if (Object.keys(allowed).length === 0) {
+      return { success: false, error: '没有可更新的字段' };
+    }
+
+    return memoryStore.update(memoryId, allowed);
+  }
+
+  /**
+   * 标记记忆为重要（置顶）
+   * @param {string} memoryId
+   * @returns {{ success: boolean, error?: string }}
+   */
+  pin(memoryId) {
+    if (!this.decay) {
+      return { success: false, error: '记忆系统未初始化' };
+    }
+    return this.decay.markImportant(memoryId);
+  }
+
+  /**
+   * 手动合并多条记忆
+   * @param {string[]} memoryIds
+   * @returns {Promise<{ success: boolean, id?: string, error?: string }>}
+   */
+  async merge(memoryIds) {
+    if (!this.summarizer) {
+      return { success: false, error: '记忆系统未初始化' };
+    }
+    return this.summarizer.mergeByIds(memoryIds);
+  }
+
   // ═══════════════════════════════════════════════════════════
   // 提取触发 (由 ChatManager / AgentCommunication 调用)
   // ═══════════════════════════════════════════════════════════
@@ -1,12 +1,14 @@
 /**
  * SoloForge - 记忆检索器
  * 根据当前上下文检索最相关的记忆，使用加权混合排序
+ * 相关性 = BM25 关键词分数 + 向量语义相似度（见 memory-embeddings）
  * @module memory/memory-retriever
  */
 
 const { logger } = require('../utils/logger');
 const { memoryStore } = require('./memory-store');
 const { memoryDecay } = require('./memory-decay');
+const { memoryEmbeddings } = require('./memory-embeddings');
 const {
   MEMORY_CONFIG,
   MEMORY_TYPE_LABELS,
@@ -15,12 +17,25 @@ const {
 
 // 检索权重配置
 const WEIGHTS = {
-  KEYWORD: 0.40,    // 关键词匹配权重
-  RECENCY: 0.20,    // 时间衰减权重
-  IMPORTANCE: 0.25,  // 重要性权重
-  ACCESS: 0.15,      // 访问频率权重
+  RELEVANCE: 0.50,   // 相关性权重（BM25 + 向量）
+  RECENCY: 0.15,     // 时间衰减权重
+  IMPORTANCE: 0.22,  // 重要性权重
+  ACCESS: 0.13,      // 访问频率权重
 };
 
+// 相关性内部的混合权重（记忆或查询没有向量时全部由 BM25 承担）
+const HYBRID_WEIGHTS = {
+  BM25: 0.4,
+  VECTOR: 0.6,
+};
+
+// BM25 参数
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// 标签命中比摘要更能说明主题，建文档时重复计入
+const TAG_BOOST = 2;
+
 // 时间衰减系数（用于 recencyScore）
 const RECENCY_LAMBDA = 0.05;
 
@@ -40,6 +55,15 @@ class MemoryRetriever {
    * @returns {string[]}
    */
   extractKeywords(text) {
+    return [...new Set(this.tokenize(text))];
+  }
+
+  /**
+   * 分词（保留重复词，用于 BM25 词频统计）
+   * @param {string} text
+   * @returns {string[]}
+   */
+  tokenize(text) {
     if (!text) return [];
 
     // 清理特殊字符
@@ -73,10 +97,8 @@ class MemoryRetriever {
       }
     }
 
-    // 去停用词，去重
-    const filtered = [...new Set(words.filter((w) => w.length > 1 && !STOP_WORDS.has(w)))];
-
-    return filtered;
+    // 去停用词
+    return words.filter((w) => w.length > 1 && !STOP_WORDS.has(w));
   }
 
   // ═══════════════════════════════════════════════════════════
@@ -84,32 +106,56 @@ class MemoryRetriever {
   // ═══════════════════════════════════════════════════════════
 
   /**
-   * 计算关键词匹配分数
-   * @param {string[]} queryKeywords - 查询关键词
-   * @param {Object} indexEntry - 索引条目
-   * @returns {number} 0-1
+   * 计算候选集的 BM25 分数
+   * 文档为摘要 + 标签（标签加权），语料统计基于本次候选集，结果按最高分归一化
+   * @param {string[]} queryKeywords - 查询关键词（已去重）
+   * @param {Object[]} candidates - 索引条目
+   * @returns {Map<string, number>} memoryId → 0-1
    */
-  _keywordScore(queryKeywords, indexEntry) {
-    if (queryKeywords.length === 0) return 0;
+  _bm25Scores(queryKeywords, candidates) {
+    const scores = new Map();
+    if (queryKeywords.length === 0 || candidates.length === 0) return scores;
+
+    // 文档词频
+    const docs = candidates.map((entry) => {
+      const tagTokens = (entry.tags || []).flatMap((t) => this.tokenize(t));
+      const tokens = [
+        ...this.tokenize(entry.summary),
+        ...Array(TAG_BOOST).fill(tagTokens).flat(),
+      ];
+      const tf = new Map();
+      for (const token of tokens) tf.set(token, (tf.get(token) || 0) + 1);
+      return { id: entry.id, tf, length: tokens.length };
+    });
 
-    let score = 0;
-    const entryTags = (indexEntry.tags || []).map((t) => t.toLowerCase());
-    const summaryLower = (indexEntry.summary || '').toLowerCase();
+    const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / docs.length || 1;
 
+    // 逆文档频率
+    const idf = new Map();
     for (const kw of queryKeywords) {
-      // 标签精确匹配：每命中一个 +0.3
-      if (entryTags.includes(kw)) {
-        score += 0.3;
+      const df = docs.filter((d) => d.tf.has(kw)).length;
+      idf.set(kw, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5)));
+    }
+
+    let maxScore = 0;
+    for (const doc of docs) {
+      let score = 0;
+      for (const kw of queryKeywords) {
+        const f = doc.tf.get(kw);
+        if (!f) continue;
+        score += idf.get(kw) * (f * (BM25_K1 + 1)) /
+          (f + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
       }
-      // 摘要包含匹配：每命中一个 +0.1
-      if (summaryLower.includes(kw)) {
-        score += 0.1;
+      if (score > 0) {
+        scores.set(doc.id, score);
+        maxScore = Math.max(maxScore, score);
       }
     }
 
-    // 归一化到 0-1
-    const maxPossible = queryKeywords.length * 0.4; // 最大可能分数
-    return Math.min(1.0, score / Math.max(1, maxPossible));
+    for (const [id, score] of scores) {
+      scores.set(id, score / maxScore);
+    }
+    return scores;
   }
 
   /**
@@ -144,18 +190,23 @@ class MemoryRetriever {
 
   /**
    * 计算记忆的综合相关性分数
-   * @param {string[]} queryKeywords
    * @param {Object} indexEntry
    * @param {number} now
+   * @param {Object} [relevance]
+   * @param {number} [relevance.bm25=0] - BM25 分数（0-1）
+   * @param {number|null} [relevance.vector=null] - 向量相似度（0-1），无向量时为 null
    * @returns {number}
    */
-  calculateScore(queryKeywords, indexEntry, now) {
-    const kw = this._keywordScore(queryKeywords, indexEntry);
+  calculateScore(indexEntry, now, relevance = {}) {
+    const { bm25 = 0, vector = null } = relevance;
+    const rel = vector === null
+      ? bm25
+      : HYBRID_WEIGHTS.BM25 * bm25 + HYBRID_WEIGHTS.VECTOR * vector;
     const rec = this._recencyScore(indexEntry, now);
     const imp = this._importanceScore(indexEntry);
     const acc = this._accessScore(indexEntry);
 
-    return WEIGHTS.KEYWORD * kw
+    return WEIGHTS.RELEVANCE * rel
       + WEIGHTS.RECENCY * rec
       + WEIGHTS.IMPORTANCE * imp
       + WEIGHTS.ACCESS * acc;
@@ -172,9 +223,9 @@ class MemoryRetriever {
    * @param {string} [options.agentId] - Agent ID
    * @param {number} [options.limit] - 返回数量
    * @param {string} [options.type] - 限定类型
-   * @returns {Object[]} 检索到的索引条目（带 score 字段）
+   * @returns {Promise<Object[]>} 检索到的索引条目（带 score 字段）
    */
-  recall(query, options = {}) {
+  async recall(query, options = {}) {
     const { agentId, limit = MEMORY_CONFIG.DEFAULT_RECALL_LIMIT, type } = options;
     const now = Date.now();
 
@@ -198,10 +249,15 @@ class MemoryRetriever {
       candidates = candidates.filter((c) => c.type === type);
     }
 
-    // 3. 计算每条候选的综合分数
+    // 3. 计算每条候选的综合分数（BM25 + 向量相似度）
+    const bm25Scores = this._bm25Scores(keywords, candidates);
+    const queryVector = candidates.length > 0 ? await memoryEmbeddings.embedQuery(query) : null;
     const scored = candidates.map((entry) => ({
       ...entry,
-      score: this.calculateScore(keywords, entry, now),
+      score: this.calculateScore(entry, now, {
+        bm25: bm25Scores.get(entry.id) || 0,
+        vector: queryVector ? memoryEmbeddings.similarity(queryVector, entry.id) : null,
+      }),
     }));
 
     // 4. 按分数降序排列
@@ -218,6 +274,7 @@ class MemoryRetriever {
     logger.debug('记忆检索完成', {
       query: query.slice(0, 50),
       keywords: keywords.slice(0, 10),
+      semantic: !!queryVector,
       candidates: candidates.length,
       returned: topK.length,
       topScore: topK[0]?.score?.toFixed(3),
@@ -236,11 +293,13 @@ class MemoryRetriever {
    * @param {string} agentId
    * @param {string} message - 当前用户消息
    * @param {string} [conversationId]
-   * @returns {string|null}
+   * @returns {Promise<string|null>}
    */
-  getContextForAgent(agentId, message, conversationId) {
+  async getContextForAgent(agentId, message, conversationId) {
     // 检索相关记忆
-    const memories = this.recall(message, { agentId, limit: MEMORY_CONFIG.DEFAULT_RECALL_LIMIT });
+    const recalled = await this.recall(message, { agentId, limit: MEMORY_CONFIG.DEFAULT_RECALL_LIMIT });
+    // 已被替代的旧结论不注入，避免新旧决策同时出现在提示词中
+    const memories = recalled.filter((m) => !m.supersededBy);
 
     if (memories.length === 0) return null;
 
@@ -15,6 +15,9 @@ const {
   AGENT_TYPES,
   createIndexEntry,
 } = require('./memory-types');
+const { memoryEmbeddings } = require('./memory-embeddings');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 function getMemoryDir() {
   return path.join(dataPath.getBasePath(), 'memory');
@@ -92,7 +95,7 @@ class MemoryStore {
     try {
       const indexPath = getIndexPath();
       if (fs.existsSync(indexPath)) {
-        const data = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+        const data = JSON.parse(readTextSync(indexPath));
         if (Array.isArray(data)) {
           for (const entry of data) {
             this.index.set(entry.id, entry);
@@ -126,7 +129,7 @@ class MemoryStore {
   _flushIndex() {
     try {
       const entries = Array.from(this.index.values());
-      fs.writeFileSync(getIndexPath(), JSON.stringify(entries, null, 2), 'utf-8');
+      atomicWriteSync(getIndexPath(), JSON.stringify(entries, null, 2));
       logger.debug('记忆索引已保存', { count: entries.length });
     } catch (error) {
       logger.error('保存记忆索引失败', error);
@@ -182,7 +185,7 @@ class MemoryStore {
 
     try {
       if (fs.existsSync(absPath)) {
-        const content = fs.readFileSync(absPath, 'utf-8');
+        const content = readTextSync(absPath);
         if (content && content.trim()) {
           entries = JSON.parse(content);
           if (!Array.isArray(entries)) {
@@ -237,7 +240,7 @@ class MemoryStore {
         fs.mkdirSync(dir, { recursive: true });
       }
 
-      fs.writeFileSync(absPath, JSON.stringify(cache.entries, null, 2), 'utf-8');
+      atomicWriteSync(absPath, JSON.stringify(cache.entries, null, 2));
       cache.dirty = false;
       logger.debug(`记忆文件已保存: ${relativePath}`, { count: cache.entries.length });
     } catch (error) {
@@ -273,6 +276,7 @@ class MemoryStore {
       const indexEntry = createIndexEntry(memoryEntry);
       this.index.set(memoryEntry.id, indexEntry);
       this._saveIndex();
+      memoryEmbeddings.schedule(memoryEntry);
 
       logger.debug('记忆已存储', { id: memoryEntry.id, type: memoryEntry.type });
       return { success: true, id: memoryEntry.id };
@@ -347,6 +351,9 @@ class MemoryStore {
       this.index.set(memoryId, updatedIndexEntry);
       this._saveIndex();
 
+      // 内容变化时增量重新嵌入（仅改访问记录等字段时哈希不变，自动跳过）
+      memoryEmbeddings.schedule(entries[idx]);
+
       return { success: true };
     } catch (error) {
       logger.error(`更新记忆失败: ${memoryId}`, error);
@@ -377,6 +384,14 @@ class MemoryStore {
       // 删除索引
       this.index.delete(memoryId);
       this._saveIndex();
+      memoryEmbeddings.remove(memoryId);
+
+      // 被本条替代的旧记忆恢复为有效
+      for (const oldId of indexEntry.supersedes || []) {
+        if (this.index.get(oldId)?.supersededBy === memoryId) {
+          this.update(oldId, { supersededBy: null, supersededAt: null, supersedeReason: null });
+        }
+      }
 
       logger.debug('记忆已删除', { id: memoryId });
       return { success: true };
@@ -386,6 +401,68 @@ class MemoryStore {
     }
   }
 
+  // ═══════════════════════════════════════════════════════════
+  // 替代关系
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * 将旧记忆标记为被新记忆替代，并在新记忆上记录反向链接
+   * @param {string} oldId - 被替代的记忆
+   * @param {string} newId - 新记忆
+   * @param {string} [reason] - 替代原因（如冲突说明、合并）
+   * @returns {{ success: boolean, error?: string }}
+   */
+  supersede(oldId, newId, reason = null) {
+    if (oldId === newId) {
+      return { success: false, error: '记忆不能替代自身' };
+    }
+    const oldEntry = this.index.get(oldId);
+    const newEntry = this.index.get(newId);
+    if (!oldEntry) return { success: false, error: `记忆不存在: ${oldId}` };
+    if (!newEntry) return { success: false, error: `记忆不存在: ${newId}` };
+    if (oldEntry.supersededBy) {
+      return { success: false, error: `记忆已被替代: ${oldId} → ${oldEntry.supersededBy}` };
+    }
+
+    const result = this.update(oldId, {
+      supersededBy: newId,
+      supersededAt: Date.now(),
+      supersedeReason: reason,
+    });
+    if (!result.success) return result;
+
+    const supersedes = [...new Set([...(newEntry.supersedes || []), oldId])];
+    this.update(newId, { supersedes });
+
+    logger.info('记忆已被替代', { oldId, newId, reason });
+    return { success: true };
+  }
+
+  /**
+   * 获取记忆的替代链（所有直接或间接相连的新旧版本）
+   * @param {string} memoryId
+   * @returns {Object[]} 索引条目，按创建时间升序，最后一条未被替代的即当前有效版本
+   */
+  getSupersessionChain(memoryId) {
+    if (!this.index.has(memoryId)) return [];
+
+    const visited = new Set();
+    const pending = [memoryId];
+    while (pending.length > 0) {
+      const id = pending.pop();
+      if (visited.has(id)) continue;
+      const entry = this.index.get(id);
+      if (!entry) continue;
+      visited.add(id);
+      if (entry.supersededBy) pending.push(entry.supersededBy);
+      pending.push(...(entry.supersedes || []));
+    }
+
+    return [...visited]
+      .map((id) => this.index.get(id))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
   // ═══════════════════════════════════════════════════════════
   // 查询操作 (基于内存索引)
   // ═══════════════════════════════════════════════════════════
@@ -397,17 +474,18 @@ class MemoryStore {
    * @param {string} [filters.scope] - 按范围筛选
    * @param {string} [filters.agentId] - 按 Agent 筛选
    * @param {boolean} [filters.includeArchived=false] - 是否包含已归档
+   * @param {boolean} [filters.includeSuperseded=false] - 是否包含已被替代的旧记忆
    * @returns {Object[]}
    */
   query(filters = {}) {
-    const { type, scope, agentId, includeArchived = false } = filters;
+    const { type, scope, agentId, includeArchived = false, includeSuperseded = false } = filters;
     const results = [];
 
     for (const entry of this.index.values()) {
       // 过滤已归档
       if (!includeArchived && entry.archived) continue;
       // 过滤被替代
-      if (entry.supersededBy) continue;
+      if (!includeSuperseded && entry.supersededBy) continue;
 
       if (type && entry.type !== type) continue;
       if (scope && entry.scope !== scope) continue;
@@ -526,6 +604,7 @@ class MemoryStore {
     // 从索引中也删除
     for (const e of evicted) {
       this.index.delete(e.id);
+      memoryEmbeddings.remove(e.id);
     }
 
     logger.info(`记忆淘汰: ${relPath}`, { evicted: evictCount, remaining: entries.length });
@@ -552,6 +631,7 @@ class MemoryStore {
       this._indexDebounceTimer = null;
     }
     this._flushIndex();
+    memoryEmbeddings.flush();
 
     logger.info('记忆存储已全部刷盘');
   }
@@ -582,6 +662,11 @@ class MemoryStore {
     }
     this._ensureDirectories();
     this._loadIndex();
+
+    memoryEmbeddings.reinitialize();
+    memoryEmbeddings.syncWithStore().catch((error) => {
+      logger.error('记忆向量索引同步失败', error);
+    });
   }
 
   /**
@@ -595,6 +680,7 @@ class MemoryStore {
       byScope: {},
       archived: 0,
       cachedFiles: this.fileCache.size,
+      embeddings: memoryEmbeddings.getStats(),
     };
 
     for (const entry of this.index.values()) {
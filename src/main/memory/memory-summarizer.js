@@ -276,20 +276,51 @@ class MemorySummarizer {
     return overlap > 0.6;
   }
 
+  /**
+   * 手动合并指定的记忆（记忆浏览页）
+   * @param {string[]} memoryIds - 至少 2 条同类型、未被替代的记忆
+   * @returns {Promise<{ success: boolean, id?: string, error?: string }>}
+   */
+  async mergeByIds(memoryIds) {
+    const ids = [...new Set(memoryIds || [])];
+    if (ids.length < 2) {
+      return { success: false, error: '至少选择 2 条记忆才能合并' };
+    }
+
+    const group = ids.map((id) => memoryStore.index.get(id));
+    if (group.some((e) => !e)) {
+      return { success: false, error: '部分记忆不存在' };
+    }
+    if (group.some((e) => e.supersededBy)) {
+      return { success: false, error: '已被替代的记忆不能再合并' };
+    }
+    if (new Set(group.map((e) => e.type)).size > 1) {
+      return { success: false, error: '只能合并同一类型的记忆' };
+    }
+    if (!this.llmManager) {
+      return { success: false, error: 'LLM 未就绪，无法合并' };
+    }
+
+    const newId = await this._mergeGroup(group);
+    return newId
+      ? { success: true, id: newId }
+      : { success: false, error: '合并失败，LLM 未返回有效结果' };
+  }
+
   /**
    * 合并一组相似记忆
    * @param {Object[]} group - 相似记忆索引条目组
-   * @returns {Promise<boolean>} 是否成功合并
+   * @returns {Promise<string|null>} 合并后的新记忆 ID，失败为 null
    */
   async _mergeGroup(group) {
-    if (!this.llmManager || group.length < 2) return false;
+    if (!this.llmManager || group.length < 2) return null;
 
     // 读取完整条目
     const fullEntries = group
       .map((idx) => memoryStore.get(idx.id))
       .filter(Boolean);
 
-    if (fullEntries.length < 2) return false;
+    if (fullEntries.length < 2) return null;
 
     try {
       // 格式化为合并 prompt
@@ -300,11 +331,11 @@ class MemorySummarizer {
       const prompt = MERGE_PROMPT + entriesText;
       const rawResult = await this._callLLM(prompt);
 
-      if (!rawResult) return false;
+      if (!rawResult) return null;
 
       // 解析合并结果
       const merged = this._parseMergeResult(rawResult);
-      if (!merged) return false;
+      if (!merged) return null;
 
       // 取最高的 importance 和所有 tags
       const allTags = [...new Set(fullEntries.flatMap((e) => e.tags || []))];
@@ -327,11 +358,11 @@ class MemorySummarizer {
       newEntry.accessCount = totalAccess;
 
       const result = memoryStore.add(newEntry);
-      if (!result.success) return false;
+      if (!result.success) return null;
 
       // 将旧条目标记为被替代
       for (const old of fullEntries) {
-        memoryStore.update(old.id, { supersededBy: newEntry.id });
+        memoryStore.supersede(old.id, newEntry.id, '合并');
       }
 
       logger.info('记忆合并完成', {
@@ -340,10 +371,10 @@ class MemorySummarizer {
         type: fullEntries[0].type,
       });
 
-      return true;
+      return newEntry.id;
     } catch (error) {
       logger.error('合并记忆失败', error);
-      return false;
+      return null;
     }
   }
 
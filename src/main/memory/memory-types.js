@@ -162,6 +162,15 @@ const USER_TYPES = [
   MEMORY_TYPES.USER_PROFILE,
 ];
 
+/**
+ * 需要做冲突检测的类型（新结论可能推翻旧结论）
+ */
+const CONFLICT_CHECK_TYPES = [
+  MEMORY_TYPES.DECISION,
+  MEMORY_TYPES.FACT,
+  MEMORY_TYPES.PREFERENCE,
+];
+
 /**
  * 记忆类型到存储文件路径的映射（相对于 memory 根目录）
  */
@@ -191,6 +200,9 @@ const MEMORY_CONFIG = {
   /** 索引文件名 */
   INDEX_FILE: 'index.json',
 
+  /** 向量索引文件名（与 index.json 同目录） */
+  EMBEDDINGS_FILE: 'embeddings.json',
+
   /** 防抖写入延迟 (毫秒) */
   DEBOUNCE_MS: 1000,
 
@@ -224,8 +236,23 @@ const MEMORY_CONFIG = {
   /** 合并触发阈值：同类型记忆超过此数量 */
   MERGE_THRESHOLD: 50,
 
+  /** 冲突检测时每条新记忆最多比对的旧记忆数 */
+  MAX_CONFLICT_CANDIDATES: 8,
+
   /** 提取时使用的 LLM 模型 (低成本模型) */
   EXTRACTOR_MODEL: 'claude-haiku-4-5',
+
+  /** 嵌入 Provider：auto（优先 Ollama，不可用时回退本地）| ollama | local */
+  EMBEDDING_PROVIDER: process.env.MEMORY_EMBEDDING_PROVIDER || 'auto',
+
+  /** Ollama 嵌入模型 */
+  EMBEDDING_MODEL: process.env.MEMORY_EMBEDDING_MODEL || 'nomic-embed-text',
+
+  /** 嵌入 Provider 探测结果的有效期 (毫秒, 5 分钟)，过期后重新探测 */
+  EMBEDDING_RECHECK_MS: 5 * 60 * 1000,
+
+  /** 首选嵌入 Provider 持续不可用超过此时间才改用本地哈希重建向量 (毫秒, 24 小时) */
+  EMBEDDING_FALLBACK_GRACE_MS: 24 * 60 * 60 * 1000,
 };
 
 // ═══════════════════════════════════════════════════════════
@@ -354,7 +381,10 @@ function createMemoryEntry(params) {
 
     // 状态
     archived: false,
-    supersededBy: null,
+    supersededBy: null,      // 替代本条的新记忆 ID
+    supersededAt: null,
+    supersedeReason: null,
+    supersedes: [],          // 本条替代的旧记忆 ID
   };
 }
 
@@ -376,6 +406,8 @@ function createIndexEntry(memoryEntry) {
     accessCount: memoryEntry.accessCount,
     archived: memoryEntry.archived,
     supersededBy: memoryEntry.supersededBy,
+    supersedeReason: memoryEntry.supersedeReason || null,
+    supersedes: memoryEntry.supersedes || [],
     // 用于快速检索的摘要
     summary: memoryEntry.summary,
   };
@@ -416,6 +448,7 @@ module.exports = {
   SHARED_TYPES,
   AGENT_TYPES,
   USER_TYPES,
+  CONFLICT_CHECK_TYPES,
   TYPE_TO_FILE,
   STOP_WORDS,
   generateMemoryId,
@@ -9,6 +9,7 @@ const path = require('path');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
 const { atomicWriteSync } = require('../utils/atomic-write');
+const { readTextSync } = require('../storage/encrypted-storage');
 
 function getConfigDir() {
   return dataPath.getBasePath();
@@ -118,7 +119,7 @@ class OperationsStore {
     try {
       const opsFile = getOperationsFile();
       if (fs.existsSync(opsFile)) {
-        const content = fs.readFileSync(opsFile, 'utf-8');
+        const content = readTextSync(opsFile);
         const saved = JSON.parse(content);
         this.data = {
           goals: saved.goals || [],
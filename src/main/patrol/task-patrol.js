@@ -22,6 +22,8 @@
 
 const { logger } = require('../utils/logger');
 const { agentConfigStore } = require('../config/agent-config-store');
+const { modelPricing } = require('../budget/model-pricing');
+const { costForecaster } = require('../budget/cost-forecast');
 
 /** 默认巡查间隔：5 分钟 */
 const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
@@ -843,22 +845,18 @@ class TaskPatrol {
     const budget = this.budgetManager.getGlobalBudget();
     if (!budget.globalDailyLimit || budget.globalDailyLimit <= 0) return null;
 
-    // 今日已消耗
-    const today = new Date();
+    // 不到 1 小时数据不够准
+    const today = new Date(now);
     today.setHours(0, 0, 0, 0);
-    const todayUsage = this.tokenTracker.getTotalUsage(today.getTime());
-
-    // 当前使用率
-    const usagePercent = Math.round((todayUsage.totalTokens / budget.globalDailyLimit) * 100);
+    if (now - today.getTime() < 3600000) return null;
 
-    // 按当前速率预测日末消耗
-    const hoursElapsed = (now - today.getTime()) / 3600000;
-    if (hoursElapsed < 1) return null; // 不到 1 小时数据不够准
-
-    const hourlyRate = todayUsage.totalTokens / hoursElapsed;
-    const hoursRemaining = 24 - hoursElapsed;
-    const projectedTotal = todayUsage.totalTokens + (hourlyRate * hoursRemaining);
-    const projectedPercent = Math.round((projectedTotal / budget.globalDailyLimit) * 100);
+    // 今日外推结合历史趋势（见 budget/cost-forecast）
+    const forecast = costForecaster.forecast({ now });
+    const todayUsage = this.tokenTracker.getTotalUsage(today.getTime());
+    const used = this.budgetManager.measureUsage(todayUsage);
+    const usagePercent = Math.round((used / budget.globalDailyLimit) * 100);
+    const projectedTotal = forecast.budget.projectedToday;
+    const projectedPercent = forecast.budget.projectedPercent;
 
     // 超过 80% 预警
     if (usagePercent >= 80 || projectedPercent >= 100) {
@@ -866,9 +864,13 @@ class TaskPatrol {
       if (this._isInCooldown(cooldownKey, now)) return null;
       this._nudgedAt.set(cooldownKey, now);
 
+      const fmt = (amount) => this.budgetManager.formatAmount(amount);
+      const overDays = forecast.budget.overLimitDates || [];
       const warning = `💰 **Token 预算预警**\n` +
-        `当前已消耗: ${todayUsage.totalTokens.toLocaleString()} / ${budget.globalDailyLimit.toLocaleString()} (${usagePercent}%)\n` +
-        `按当前速率预测: 日末将达到 ${Math.round(projectedTotal).toLocaleString()} tokens (${projectedPercent}%)\n` +
+        `当前已消耗: ${fmt(used)} / ${fmt(budget.globalDailyLimit)} (${usagePercent}%)\n` +
+        `按当前速率与历史趋势预测: 日末将达到 ${fmt(projectedTotal)} (${projectedPercent}%)\n` +
+        `未来 7 天预计成本: ${modelPricing.formatMoney(forecast.nextWeek.cost)}` +
+        (overDays.length > 0 ? `，其中 ${overDays.length} 天预计超出每日限额` : '') + `\n` +
         `今日 API 调用: ${todayUsage.callCount} 次\n` +
         (projectedPercent >= 100 ? `⚠️ 预计今日将超出每日预算限额！` : `⚠️ 使用率较高，请关注。`);
 
@@ -963,7 +965,7 @@ class TaskPatrol {
       const usage = this.tokenTracker.getTotalUsage(today.getTime());
       const agentSummaries = this.tokenTracker.getSummary(undefined, today.getTime());
 
-      lines.push(`**💬 API 调用**: ${usage.callCount} 次，消耗 ${usage.totalTokens.toLocaleString()} tokens`);
+      lines.push(`**💬 API 调用**: ${usage.callCount} 次，消耗 ${usage.totalTokens.toLocaleString()} tokens（约 ${modelPricing.formatMoney(usage.totalCost)}）`);
 
       if (agentSummaries.length > 0) {
         const topAgents = agentSummaries
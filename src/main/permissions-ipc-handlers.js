@@ -6,7 +6,19 @@
 
 const { ipcMain, dialog } = require('electron');
 const { permissionStore } = require('./config/permission-store');
+const { getSandboxAvailability } = require('./tools/shell-sandbox');
 const { logger } = require('./utils/logger');
+const { auditLog } = require('./audit/audit-log');
+const { approvalRuleStore } = require('./config/approval-rule-store');
+const {
+  APPROVAL_RULES_LIST,
+  APPROVAL_RULES_SAVE,
+  APPROVAL_RULES_DELETE,
+  APPROVAL_RULES_CLEAR_SESSION,
+} = require('../shared/ipc-channels');
+
+/** 工具确认请求的等待时间，超时视为拒绝 */
+const CONFIRM_TIMEOUT_MS = 120000;
 
 /**
  * 设置权限相关的 IPC 处理器
@@ -23,6 +35,7 @@ function setupPermissionsIpcHandlers(webContents) {
   ipcMain.handle('permissions:update', async (_event, permissions) => {
     logger.info('IPC: permissions:update', permissions);
     const success = permissionStore.update(permissions);
+    auditLog.recordUserAction('permissions:update', permissions, { success });
     return { success, permissions: permissionStore.get() };
   });
 
@@ -30,14 +43,45 @@ function setupPermissionsIpcHandlers(webContents) {
   ipcMain.handle('permissions:reset', async () => {
     logger.info('IPC: permissions:reset');
     const permissions = permissionStore.reset();
+    auditLog.recordUserAction('permissions:reset', {}, { success: true });
     return { success: true, permissions };
   });
 
-  // 工具确认响应处理
-  ipcMain.on('tool:confirm-response', (_event, { requestId, confirmed }) => {
-    logger.info('IPC: tool:confirm-response', { requestId, confirmed });
+  // Shell 沙箱可用性（设置页据此提示是否可启用）
+  ipcMain.handle('shell:sandbox-status', async () => {
+    return getSandboxAvailability();
+  });
+
+  // 工具确认响应处理（remember: 'session' 表示本次会话记住该决定）
+  ipcMain.on('tool:confirm-response', (_event, { requestId, confirmed, remember }) => {
+    logger.info('IPC: tool:confirm-response', { requestId, confirmed, remember });
     // 触发确认回调（由 ToolExecutor 监听）
-    ipcMain.emit(`tool:confirm:${requestId}`, confirmed);
+    ipcMain.emit(`tool:confirm:${requestId}`, { confirmed: !!confirmed, remember });
+  });
+
+  // 审批规则
+  ipcMain.handle(APPROVAL_RULES_LIST, async () => {
+    return approvalRuleStore.list();
+  });
+
+  ipcMain.handle(APPROVAL_RULES_SAVE, async (_event, rule) => {
+    logger.info('IPC: approval-rules:save', rule);
+    const result = approvalRuleStore.saveRule(rule);
+    auditLog.recordUserAction(APPROVAL_RULES_SAVE, rule, result);
+    return result;
+  });
+
+  ipcMain.handle(APPROVAL_RULES_DELETE, async (_event, ruleId) => {
+    logger.info('IPC: approval-rules:delete', { ruleId });
+    const result = approvalRuleStore.deleteRule(ruleId);
+    auditLog.recordUserAction(APPROVAL_RULES_DELETE, { ruleId }, result);
+    return result;
+  });
+
+  ipcMain.handle(APPROVAL_RULES_CLEAR_SESSION, async () => {
+    const cleared = approvalRuleStore.clearSessionRules();
+    auditLog.recordUserAction(APPROVAL_RULES_CLEAR_SESSION, {}, { success: true, cleared });
+    return { success: true, cleared };
   });
 
   // 选择文件夹对话框
@@ -62,29 +106,31 @@ function setupPermissionsIpcHandlers(webContents) {
  * 请求用户确认工具执行
  * @param {Electron.WebContents} webContents
  * @param {Object} request - 确认请求
- * @returns {Promise<boolean>}
+ * @returns {Promise<{ confirmed: boolean, remember?: 'session' }>}
  */
 function requestToolConfirmation(webContents, request) {
   return new Promise((resolve) => {
     const requestId = `confirm-${Date.now()}-${Math.random().toString(36).slice(2)}`;
 
     // 监听响应
-    const handler = (confirmed) => {
-      resolve(confirmed);
+    const handler = (response) => {
+      clearTimeout(timer);
+      resolve(response);
     };
     ipcMain.once(`tool:confirm:${requestId}`, handler);
 
-    // 发送确认请求到渲染进程
+    // 发送确认请求到渲染进程（对话框据 timeoutMs 在超时后自动关闭）
     webContents.send('tool:confirm-request', {
       requestId,
+      timeoutMs: CONFIRM_TIMEOUT_MS,
       ...request,
     });
 
-    // 超时处理（2分钟）
-    setTimeout(() => {
+    // 超时视为拒绝
+    const timer = setTimeout(() => {
       ipcMain.removeListener(`tool:confirm:${requestId}`, handler);
-      resolve(false);
-    }, 120000);
+      resolve({ confirmed: false });
+    }, CONFIRM_TIMEOUT_MS);
   });
 }
 
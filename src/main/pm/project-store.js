@@ -8,6 +8,8 @@ const fs = require('fs');
 const path = require('path');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 function getConfigDir() {
   return dataPath.getBasePath();
@@ -100,7 +102,7 @@ class ProjectStore {
     try {
       const projectsFile = getProjectsFile();
       if (fs.existsSync(projectsFile)) {
-        const content = fs.readFileSync(projectsFile, 'utf-8');
+        const content = readTextSync(projectsFile);
         const saved = JSON.parse(content);
         this.data = {
           version: saved.version || 1,
@@ -119,10 +121,9 @@ class ProjectStore {
       if (!fs.existsSync(configDir)) {
         fs.mkdirSync(configDir, { recursive: true });
       }
-      fs.writeFileSync(
+      atomicWriteSync(
         getProjectsFile(),
-        JSON.stringify({ ...this.data, lastUpdated: new Date().toISOString() }, null, 2),
-        'utf-8'
+        JSON.stringify({ ...this.data, lastUpdated: new Date().toISOString() }, null, 2)
       );
     } catch (error) {
       logger.error('保存项目数据失败', error);
@@ -0,0 +1,210 @@
+/**
+ * SoloForge - 公司运行时
+ * 加载公司数据、启停公司级后台任务（PM 引擎、任务巡查、工资调度、预算预警、记忆维护、PR 远程同步）
+ *
+ * 前台公司在主进程中调用，后台公司在各自的 utility 进程中调用（见 company-worker.js）；
+ * 每个进程的 store 单例只对应一家公司，所以多家公司可以同时运行而互不干扰
+ * @module portfolio/company-runtime
+ */
+
+const { logger } = require('../utils/logger');
+const { dataPath } = require('../account/data-path');
+const { agentConfigStore } = require('../config/agent-config-store');
+const { chatHistoryStore } = require('../chat/chat-history-store');
+const { todoStore } = require('../tools/todo-store');
+const { permissionStore } = require('../config/permission-store');
+const { toolPolicyStore } = require('../config/tool-policy-store');
+const { approvalRuleStore } = require('../config/approval-rule-store');
+const { mergeCheckStore } = require('../config/merge-check-store');
+const { forgeConfigStore } = require('../config/forge-config-store');
+const { operationsStore } = require('../operations/operations-store');
+const { projectStore } = require('../pm/project-store');
+const { agentCommunication } = require('../collaboration/agent-communication');
+const { devPlanQueue } = require('../collaboration/dev-plan-queue');
+const { approvalQueue } = require('../agent-factory/approval-queue');
+const { terminationQueue } = require('../agent-factory/termination-queue');
+const { modelPricing } = require('../budget/model-pricing');
+const { tokenTracker } = require('../budget/token-tracker');
+const { budgetManager } = require('../budget/budget-manager');
+const { alertSystem } = require('../budget/alert-system');
+const { salaryScheduler } = require('../budget/salary-scheduler');
+const { memoryStore } = require('../memory/memory-store');
+const { memoryManager } = require('../memory');
+const { attachmentManager } = require('../attachments/attachment-manager');
+const { workflowStore } = require('../workflows/workflow-store');
+const { auditLog } = require('../audit/audit-log');
+const { workflowEngine } = require('../workflows/workflow-engine');
+const { TaskPatrol } = require('../patrol/task-patrol');
+const { forgeSync } = require('../git/forge-sync');
+
+/** PM 引擎检查间隔 */
+const PM_ENGINE_INTERVAL_MS = 3 * 60 * 1000;
+
+/** 任务巡查间隔 */
+const PATROL_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} CompanyJobs
+ * @property {import('../pm/pm-engine').PMEngine} pmEngine
+ * @property {TaskPatrol} taskPatrol
+ */
+
+/**
+ * 切换数据路径并从磁盘重新加载公司的所有 store
+ * @param {string} accountId
+ * @param {string} companyId
+ * @param {string} [companyName]
+ * @param {Object} [options]
+ * @param {boolean} [options.readOnly=false] - 只读加载（用于生成概况快照），跳过加载时的数据清理
+ */
+function loadCompanyStores(accountId, companyId, companyName, { readOnly = false } = {}) {
+  // 1. 设置数据路径上下文（所有 store 的路径都会指向新目录）
+  dataPath.setCurrentContext(accountId, companyId, companyName);
+  dataPath.ensureDirectories();
+
+  // 2. 重初始化所有 store（从新路径加载数据）
+  const { departmentStore } = require('../config/department-store');
+  departmentStore.reinitialize(); // 必须在 agentConfigStore 之前，因为后者可能依赖部门数据
+  agentConfigStore.reinitialize();
+  chatHistoryStore.reinitialize();
+  todoStore.reinitialize();
+  todoStore.load();
+  permissionStore.reinitialize();
+  toolPolicyStore.reinitialize();
+  approvalRuleStore.reinitialize();
+  mergeCheckStore.reinitialize();
+  forgeConfigStore.reinitialize();
+  operationsStore.reinitialize();
+  projectStore.reinitialize();
+  agentCommunication.reinitialize();
+  devPlanQueue.reinitialize();
+  approvalQueue.reinitialize();
+  terminationQueue.reinitialize();
+  modelPricing.reinitialize(); // 先于 tokenTracker，旧记录补算成本依赖价格表
+  tokenTracker.reinitialize();
+  if (!readOnly) {
+    tokenTracker.purgeZeroTokenRecords(); // 清理历史遗留的 0-token 无效记录
+  }
+  budgetManager.reinitialize();
+  memoryStore.reinitialize();
+  attachmentManager.reinitialize();
+  workflowStore.reinitialize();
+  auditLog.reinitialize();
+
+  // 3. 上下文管理模块（虚拟文件、暂存区），必须在 dataPath 切换之后执行
+  try {
+    const { virtualFileStore } = require('../context/virtual-file-store');
+    const { scratchpadManager } = require('../context/agent-scratchpad');
+    virtualFileStore.reinitialize(); // 从新公司路径加载索引
+    scratchpadManager.reinitialize(); // 清空缓存，下次 get() 会从新路径加载
+  } catch (e) {
+    logger.warn('上下文模块初始化失败:', e.message);
+  }
+
+  // 4. 从模板创建的公司第一次加载时应用模板（动态 Agent 实例随后由 restoreDynamicAgents 创建）
+  if (!readOnly) {
+    const { applyPendingTemplate } = require('../templates/company-template');
+    applyPendingTemplate();
+  }
+}
+
+/**
+ * 恢复已批准的动态 Agent
+ */
+function restoreDynamicAgents() {
+  try {
+    const { dynamicAgentFactory } = require('../agent-factory/dynamic-agent');
+    const restoreResult = dynamicAgentFactory.restoreApprovedAgents();
+    if (restoreResult.restored > 0) {
+      logger.info('动态 Agent 恢复结果:', restoreResult);
+    }
+  } catch (err) {
+    logger.error('恢复动态 Agent 失败:', err);
+  }
+}
+
+/**
+ * 启动公司级后台任务
+ * @param {Object} deps
+ * @param {import('../chat').ChatManager} deps.chatManager
+ * @param {import('../llm/llm-manager').LLMManager} deps.llmManager
+ * @param {boolean} [deps.patrolEnabled=true] - 是否启动任务巡查（用户可手动关闭）
+ * @returns {CompanyJobs}
+ */
+function startCompanyJobs({ chatManager, llmManager, patrolEnabled = true }) {
+  // PM 引擎
+  const { initPMEngine } = require('../pm');
+  const pmEngine = initPMEngine({
+    operationsStore,
+    agentCommunication,
+    chatManager,
+  }, PM_ENGINE_INTERVAL_MS);
+  logger.info('PM 引擎已启动');
+
+  // 恢复上次中断的工作流运行
+  workflowEngine.resumeInterrupted();
+
+  // 预算预警
+  alertSystem.stop?.();
+  alertSystem.start(60000);
+
+  // 任务巡查
+  const taskPatrol = new TaskPatrol({
+    operationsStore,
+    todoStore,
+    agentCommunication,
+    chatManager,
+    projectStore,
+    approvalQueue,
+    memoryManager,
+    llmManager,
+    tokenTracker,
+    budgetManager,
+  });
+  if (patrolEnabled) {
+    taskPatrol.start(PATROL_INTERVAL_MS);
+    logger.info('任务巡查系统已启动');
+  } else {
+    logger.info('任务巡查系统已创建但未启动（用户此前手动关闭）');
+  }
+
+  // 工资调度器（每日 00:00 自动发薪）
+  salaryScheduler.start();
+
+  // 定时重试尚未同步到远程平台的 PR 操作
+  forgeSync.startSchedule();
+
+  return { pmEngine, taskPatrol };
+}
+
+/**
+ * 停止公司级后台任务（工资调度器跟随进程，不在此停止）
+ * @param {Partial<CompanyJobs>} jobs
+ */
+function stopCompanyJobs(jobs = {}) {
+  workflowEngine.suspendAll();
+  memoryManager.stopMaintenanceSchedule();
+  alertSystem.stop?.();
+  forgeSync.stopSchedule();
+  jobs.pmEngine?.stop();
+  jobs.taskPatrol?.stop();
+}
+
+/**
+ * 刷盘公司数据
+ */
+function flushCompanyStores() {
+  chatHistoryStore.flush();
+  todoStore.flush();
+  tokenTracker.flush();
+  memoryManager.flush();
+}
+
+module.exports = {
+  loadCompanyStores,
+  restoreDynamicAgents,
+  startCompanyJobs,
+  stopCompanyJobs,
+  flushCompanyStores,
+  PATROL_INTERVAL_MS,
+};
@@ -0,0 +1,113 @@
+/**
+ * SoloForge - 公司概况
+ * 汇总当前进程所加载公司的花费、未完成任务和项目健康度，供跨公司总览使用
+ * @module portfolio/company-summary
+ */
+
+const { tokenTracker } = require('../budget/token-tracker');
+const { budgetManager } = require('../budget/budget-manager');
+const { alertSystem } = require('../budget/alert-system');
+const { operationsStore } = require('../operations/operations-store');
+const { projectStore } = require('../pm/project-store');
+const { agentCommunication } = require('../collaboration/agent-communication');
+const { agentConfigStore } = require('../config/agent-config-store');
+
+/** 委派任务的终态 */
+const FINISHED_DELEGATED_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+/** 仍在推进中的项目状态 */
+const LIVE_PROJECT_STATUSES = new Set(['planning', 'active']);
+
+/**
+ * @typedef {'on_track' | 'at_risk' | 'off_track'} ProjectHealth
+ */
+
+/**
+ * @typedef {Object} CompanySummary
+ * @property {string} generatedAt
+ * @property {{ currency: string, today: { tokens: number, cost: number }, week: { tokens: number, cost: number } }} spend
+ * @property {{ unit: string, totalBalance: number, totalDailySalary: number, overdrawn: number, blocked: number }} budget
+ * @property {{ open: number, inProgress: number, review: number, highPriority: number, delegatedOpen: number }} tasks
+ * @property {{ live: number, onTrack: number, atRisk: number, offTrack: number, items: Array }} projects
+ * @property {number} employees - 在职员工数
+ * @property {number} alerts - 未确认的预算预警数
+ */
+
+/**
+ * 判断项目健康度：同时存在逾期和阻塞，或逾期任务较多视为偏离；有逾期或阻塞视为有风险
+ * @param {number} overdue
+ * @param {number} blocked
+ * @returns {ProjectHealth}
+ */
+function getProjectHealth(overdue, blocked) {
+  if ((overdue > 0 && blocked > 0) || overdue >= 3) return 'off_track';
+  if (overdue > 0 || blocked > 0) return 'at_risk';
+  return 'on_track';
+}
+
+/**
+ * 汇总当前公司概况
+ * @param {number} [now]
+ * @returns {CompanySummary}
+ */
+function buildCompanySummary(now = Date.now()) {
+  const todayStart = new Date(now);
+  todayStart.setHours(0, 0, 0, 0);
+  const weekStart = todayStart.getTime() - 6 * 24 * 60 * 60 * 1000;
+
+  const today = tokenTracker.getTotalUsage(todayStart.getTime());
+  const week = tokenTracker.getTotalUsage(weekStart);
+
+  const salaryAccounts = budgetManager.getAllAgentBudgets().filter((b) => b.enabled !== false);
+  const opsTasks = operationsStore.getDashboardSummary().tasks;
+
+  const projectItems = projectStore.getProjectsSummary()
+    .filter((p) => LIVE_PROJECT_STATUSES.has(p.status))
+    .map((p) => {
+      const overdue = projectStore.getOverdueTasks(p.id).length;
+      return {
+        id: p.id,
+        name: p.name,
+        status: p.status,
+        progress: p.progress,
+        overdue,
+        blocked: p.tasksBlocked,
+        health: getProjectHealth(overdue, p.tasksBlocked),
+      };
+    });
+  const countHealth = (health) => projectItems.filter((p) => p.health === health).length;
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    spend: {
+      currency: today.currency,
+      today: { tokens: today.totalTokens, cost: today.totalCost },
+      week: { tokens: week.totalTokens, cost: week.totalCost },
+    },
+    budget: {
+      unit: budgetManager.getBillingInfo().unit,
+      totalBalance: salaryAccounts.reduce((sum, b) => sum + (b.balance ?? 0), 0),
+      totalDailySalary: salaryAccounts.reduce((sum, b) => sum + (b.dailySalary ?? 0), 0),
+      overdrawn: salaryAccounts.filter((b) => (b.balance ?? 0) < 0).length,
+      blocked: budgetManager.getBlockedAgents().length,
+    },
+    tasks: {
+      open: opsTasks.todo + opsTasks.inProgress + opsTasks.review,
+      inProgress: opsTasks.inProgress,
+      review: opsTasks.review,
+      highPriority: opsTasks.highPriority,
+      delegatedOpen: agentCommunication.delegatedTasks.filter((t) => !FINISHED_DELEGATED_STATUSES.has(t.status)).length,
+    },
+    projects: {
+      live: projectItems.length,
+      onTrack: countHealth('on_track'),
+      atRisk: countHealth('at_risk'),
+      offTrack: countHealth('off_track'),
+      items: projectItems,
+    },
+    employees: agentConfigStore.getAll().filter((c) => (c.status || 'active') !== 'terminated').length,
+    alerts: alertSystem.getUnacknowledged().length,
+  };
+}
+
+module.exports = { buildCompanySummary, getProjectHealth };
@@ -0,0 +1,145 @@
+/**
+ * SoloForge - 后台公司进程入口
+ * 由 PortfolioManager 通过 utilityProcess.fork 启动，一个进程只加载一家公司
+ *
+ * 消息协议（parentPort）：
+ *   主进程 → 子进程：boot { accountId, companyId, companyName, mode, patrolEnabled, storageKeys } | summary { requestId } | flush { requestId }
+ *                    | confirm-result { requestId, confirmed, remember? } | shutdown
+ *   子进程 → 主进程：ready | summary { requestId, summary } | flushed { requestId } | confirm { requestId, request }
+ *                    | error { requestId?, message } | stopped
+ *
+ * mode 为 run 时启动 PM 引擎、任务巡查、工资调度等后台任务；
+ * mode 为 snapshot 时只读加载数据，用于给未运行的公司生成概况
+ * @module portfolio/company-worker
+ */
+
+const { logger } = require('../utils/logger');
+const {
+  loadCompanyStores,
+  restoreDynamicAgents,
+  startCompanyJobs,
+  stopCompanyJobs,
+  flushCompanyStores,
+} = require('./company-runtime');
+const { buildCompanySummary } = require('./company-summary');
+const { encryptedStorage } = require('../storage/encrypted-storage');
+
+const parentPort = process.parentPort;
+
+/** @type {import('./company-runtime').CompanyJobs | null} */
+let jobs = null;
+let booted = false;
+
+/** 等待老板确认的工具调用：requestId → resolve */
+const pendingConfirms = new Map();
+let confirmSeq = 0;
+
+/**
+ * 需要老板确认的工具调用转交主进程，在前台窗口弹出确认对话框
+ * 主进程应答前工具调用一直等待，主进程无法弹窗或超时时按拒绝处理
+ * @param {Object} request - ToolExecutor 的确认请求
+ * @returns {Promise<{ confirmed: boolean, remember?: string }>}
+ */
+function requestToolConfirmation(request) {
+  return new Promise((resolve) => {
+    const requestId = `confirm-${++confirmSeq}`;
+    pendingConfirms.set(requestId, resolve);
+    parentPort.postMessage({ type: 'confirm', requestId, request });
+  });
+}
+
+/**
+ * 加载公司并按模式启动后台任务
+ * @param {{ accountId: string, companyId: string, companyName?: string, mode: 'run' | 'snapshot', patrolEnabled?: boolean, storageKeys?: Object | null }} params
+ */
+function boot({ accountId, companyId, companyName, mode, patrolEnabled = true, storageKeys = null }) {
+  // 本地数据已加密时，使用主进程解锁后传来的数据密钥
+  encryptedStorage.importKeys(storageKeys);
+  loadCompanyStores(accountId, companyId, companyName, { readOnly: mode === 'snapshot' });
+
+  if (mode === 'run') {
+    const { LLMManager } = require('../llm');
+    const { setup } = require('../agents/setup');
+    const { setupTools } = require('../tools/setup');
+    const { chatManager } = require('../chat');
+    const { memoryManager } = require('../memory');
+
+    const llmManager = new LLMManager();
+    setup();
+    setupTools();
+    chatManager.setLLMManager(llmManager);
+    chatManager.initToolExecutor();
+    // 没有确认回调时 ToolExecutor 会自动批准，必须在启动后台任务之前设置
+    chatManager.setToolConfirmCallback(requestToolConfirmation);
+    memoryManager.initialize(llmManager);
+    memoryManager.startMaintenanceSchedule();
+    restoreDynamicAgents();
+    jobs = startCompanyJobs({ chatManager, llmManager, patrolEnabled });
+  }
+
+  booted = true;
+  logger.info('后台公司进程已就绪', { companyId, mode });
+}
+
+/**
+ * 停止后台任务并刷盘
+ */
+async function shutdown() {
+  for (const resolve of pendingConfirms.values()) {
+    resolve({ confirmed: false });
+  }
+  pendingConfirms.clear();
+  if (jobs) {
+    stopCompanyJobs(jobs);
+    jobs = null;
+    const { salaryScheduler } = require('../budget/salary-scheduler');
+    salaryScheduler.stop();
+    const { processManager } = require('../tools/process-manager');
+    await processManager.stopAll('后台公司停止');
+  }
+  if (booted) {
+    flushCompanyStores();
+  }
+}
+
+parentPort.on('message', async ({ data: message }) => {
+  try {
+    switch (message?.type) {
+      case 'boot':
+        boot(message);
+        parentPort.postMessage({ type: 'ready' });
+        break;
+
+      case 'summary':
+        parentPort.postMessage({ type: 'summary', requestId: message.requestId, summary: buildCompanySummary() });
+        break;
+
+      case 'confirm-result': {
+        const resolve = pendingConfirms.get(message.requestId);
+        if (resolve) {
+          pendingConfirms.delete(message.requestId);
+          resolve({ confirmed: message.confirmed === true, remember: message.remember });
+        }
+        break;
+      }
+
+      case 'flush':
+        // 备份前刷盘，确保磁盘上的数据是最新的
+        flushCompanyStores();
+        parentPort.postMessage({ type: 'flushed', requestId: message.requestId });
+        break;
+
+      case 'shutdown':
+        await shutdown();
+        parentPort.postMessage({ type: 'stopped' });
+        process.exit(0);
+        break;
+
+      default:
+        logger.warn('后台公司进程收到未知消息:', message?.type);
+    }
+  } catch (error) {
+    logger.error('后台公司进程处理消息失败:', error);
+    parentPort.postMessage({ type: 'error', requestId: message?.requestId, message: error.message });
+  }
+});
@@ -0,0 +1,14 @@
+/**
+ * SoloForge - 多公司运行与跨公司总览模块入口
+ * @module portfolio
+ */
+
+const { portfolioManager } = require('./portfolio-manager');
+const { buildCompanySummary } = require('./company-summary');
+const { setupPortfolioIpcHandlers } = require('./portfolio-ipc-handlers');
+
+module.exports = {
+  portfolioManager,
+  buildCompanySummary,
+  setupPortfolioIpcHandlers,
+};
@@ -0,0 +1,41 @@
+/**
+ * SoloForge - 跨公司总览 IPC 处理器
+ * @module portfolio/portfolio-ipc-handlers
+ */
+
+const { ipcMain } = require('electron');
+const { logger } = require('../utils/logger');
+const { portfolioManager } = require('./portfolio-manager');
+const {
+  PORTFOLIO_GET_OVERVIEW,
+  PORTFOLIO_SET_BACKGROUND,
+} = require('../../shared/ipc-channels');
+
+/**
+ * 设置跨公司总览 IPC 处理器
+ */
+function setupPortfolioIpcHandlers() {
+  // 获取账号下所有公司的概况（花费、未完成任务、项目健康度）
+  ipcMain.handle(PORTFOLIO_GET_OVERVIEW, async () => {
+    try {
+      return { success: true, ...(await portfolioManager.getOverview()) };
+    } catch (error) {
+      logger.error('获取跨公司总览失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 开启/关闭公司的后台运行
+  ipcMain.handle(PORTFOLIO_SET_BACKGROUND, async (_event, { companyId, enabled } = {}) => {
+    try {
+      return await portfolioManager.setBackgroundEnabled(companyId, enabled);
+    } catch (error) {
+      logger.error('设置公司后台运行失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  logger.info('跨公司总览 IPC 处理器已设置');
+}
+
+module.exports = { setupPortfolioIpcHandlers };
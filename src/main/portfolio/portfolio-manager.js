@@ -0,0 +1,488 @@
+/**
+ * SoloForge - 多公司并行运行管理
+ * 前台公司在主进程中运行，账号下的其他公司各自在独立的 utility 进程中运行，
+ * 进程内的 store 单例互不共享，PM 引擎、任务巡查、工资调度在每家公司中持续运转
+ *
+ * 同一家公司任何时刻只在一个进程中加载：切换前台公司时，先停掉目标公司的后台进程再由主进程接管
+ * @module portfolio/portfolio-manager
+ */
+
+const path = require('path');
+const { utilityProcess } = require('electron');
+const isDev = require('electron-is-dev');
+const { logger } = require('../utils/logger');
+const { companyStore } = require('../account/company-store');
+const { modelPricing } = require('../budget/model-pricing');
+const { buildCompanySummary } = require('./company-summary');
+const { encryptedStorage } = require('../storage/encrypted-storage');
+
+const WORKER_PATH = path.join(__dirname, 'company-worker.js');
+
+/**
+ * 配置（可通过环境变量调整）
+ */
+const PORTFOLIO_CONFIG = {
+  /** 是否让非前台公司在后台运行（PORTFOLIO_BACKGROUND=0 关闭） */
+  backgroundEnabled: process.env.PORTFOLIO_BACKGROUND !== '0',
+  /** 同时在后台运行的公司数上限（每家公司一个进程） */
+  maxBackground: parseInt(process.env.PORTFOLIO_MAX_BACKGROUND || '4', 10),
+  /** 等待子进程应答的超时 */
+  requestTimeoutMs: 15 * 1000,
+  /** 等待子进程刷盘退出的超时，超时后强制结束 */
+  shutdownTimeoutMs: 15 * 1000,
+  /** 后台进程意外退出后的重启延迟 */
+  restartDelayMs: 30 * 1000,
+  /** 连续意外退出超过该次数后不再自动重启 */
+  maxRestarts: 3,
+  /** 未运行公司的概况快照缓存时间 */
+  snapshotTtlMs: 5 * 60 * 1000,
+};
+
+/**
+ * @typedef {Object} CompanyWorker
+ * @property {string} companyId
+ * @property {string} companyName
+ * @property {'run' | 'snapshot'} mode
+ * @property {Electron.UtilityProcess} child
+ * @property {'starting' | 'running' | 'stopping'} status
+ * @property {number} startedAt
+ * @property {Promise<void>} ready - 子进程加载完成
+ * @property {Promise<number>} exited - 子进程退出（返回退出码）
+ * @property {Map<string, { resolve: Function, reject: Function, timer: NodeJS.Timeout }>} pending
+ */
+
+/**
+ * @typedef {Object} PortfolioCompany
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [description]
+ * @property {boolean} backgroundEnabled
+ * @property {'active' | 'running' | 'starting' | 'stopped' | 'crashed'} status
+ * @property {number|null} pid
+ * @property {number|null} startedAt
+ * @property {string|null} [lastError]
+ * @property {import('./company-summary').CompanySummary|null} summary
+ */
+
+class PortfolioManager {
+  constructor() {
+    /** @type {Map<string, CompanyWorker>} companyId → 后台运行进程 */
+    this.workers = new Map();
+    /** @type {Map<string, { count: number, lastError: string, timer: NodeJS.Timeout | null }>} 意外退出记录 */
+    this.crashes = new Map();
+    /** @type {Map<string, { summary: Object, at: number }>} 未运行公司的概况快照 */
+    this.snapshots = new Map();
+    this.accountId = null;
+    this.activeCompanyId = null;
+    this.patrolEnabled = true;
+    this._requestSeq = 0;
+    /** @type {((request: Object) => Promise<{ confirmed: boolean, remember?: string }>) | null} */
+    this.toolConfirmHandler = null;
+  }
+
+  /**
+   * 设置后台公司工具调用的确认方式（由主窗口弹出确认对话框）
+   * 未设置时后台公司需要确认的工具调用一律拒绝
+   * @param {(request: Object) => Promise<{ confirmed: boolean, remember?: string }>} handler
+   */
+  setToolConfirmHandler(handler) {
+    this.toolConfirmHandler = handler;
+  }
+
+  /**
+   * 启动一个公司子进程
+   * @param {Object} company
+   * @param {'run' | 'snapshot'} mode
+   * @returns {CompanyWorker}
+   */
+  _fork(company, mode) {
+    const child = utilityProcess.fork(WORKER_PATH, [], {
+      serviceName: `SoloForge ${company.name}`,
+      // 子进程中没有 app，electron-is-dev 只能从环境变量判断
+      env: { ...process.env, ELECTRON_IS_DEV: isDev ? '1' : '0' },
+    });
+
+    /** @type {CompanyWorker} */
+    const worker = {
+      companyId: company.id,
+      companyName: company.name,
+      mode,
+      child,
+      status: 'starting',
+      startedAt: Date.now(),
+      pending: new Map(),
+    };
+
+    worker.ready = new Promise((resolve, reject) => {
+      worker._resolveReady = resolve;
+      worker._rejectReady = reject;
+    });
+    // 未等待 ready 的调用方不应触发未处理的 rejection
+    worker.ready.catch(() => {});
+    worker.exited = new Promise((resolve) => child.once('exit', resolve));
+
+    child.once('spawn', () => {
+      child.postMessage({
+        type: 'boot',
+        accountId: this.accountId,
+        companyId: company.id,
+        companyName: company.name,
+        mode,
+        patrolEnabled: this.patrolEnabled,
+        storageKeys: encryptedStorage.exportKeys(),
+      });
+    });
+
+    child.on('message', (message) => this._handleMessage(worker, message));
+    child.once('exit', (code) => this._handleExit(worker, code));
+
+    return worker;
+  }
+
+  /**
+   * 处理子进程消息
+   * @param {CompanyWorker} worker
+   * @param {Object} message
+   */
+  _handleMessage(worker, message) {
+    switch (message?.type) {
+      case 'ready':
+        worker.status = 'running';
+        worker._resolveReady();
+        logger.info('后台公司进程已就绪', { companyId: worker.companyId, mode: worker.mode, pid: worker.child.pid });
+        break;
+
+      case 'summary':
+      case 'flushed': {
+        const request = worker.pending.get(message.requestId);
+        if (request) {
+          clearTimeout(request.timer);
+          worker.pending.delete(message.requestId);
+          request.resolve(message.summary);
+        }
+        break;
+      }
+
+      case 'confirm':
+        this._confirmToolCall(worker, message);
+        break;
+
+      case 'error': {
+        const request = message.requestId && worker.pending.get(message.requestId);
+        if (request) {
+          clearTimeout(request.timer);
+          worker.pending.delete(message.requestId);
+          request.reject(new Error(message.message));
+        } else if (worker.status === 'starting') {
+          // 加载公司失败，进程已无用
+          worker._rejectReady(new Error(message.message));
+          worker.child.kill();
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 转发后台公司的工具调用确认请求并把老板的决定发回子进程
+   * @param {CompanyWorker} worker
+   * @param {{ requestId: string, request: Object }} message
+   */
+  async _confirmToolCall(worker, { requestId, request }) {
+    let response = { confirmed: false };
+    if (this.toolConfirmHandler && worker.status !== 'stopping') {
+      try {
+        response = await this.toolConfirmHandler({
+          ...request,
+          companyId: worker.companyId,
+          companyName: worker.companyName,
+        });
+      } catch (error) {
+        logger.warn('后台公司工具调用确认失败，按拒绝处理', { companyId: worker.companyId, error: error.message });
+      }
+    }
+    if (worker.status === 'stopping') return;
+    try {
+      worker.child.postMessage({
+        type: 'confirm-result',
+        requestId,
+        confirmed: response?.confirmed === true,
+        remember: response?.remember,
+      });
+    } catch (error) {
+      logger.warn('发送工具调用确认结果失败', { companyId: worker.companyId, error: error.message });
+    }
+  }
+
+  /**
+   * 处理子进程退出：清理挂起请求，意外退出的后台公司延迟重启
+   * @param {CompanyWorker} worker
+   * @param {number} code
+   */
+  _handleExit(worker, code) {
+    worker._rejectReady(new Error(`进程已退出 (code ${code})`));
+    for (const request of worker.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(new Error(`进程已退出 (code ${code})`));
+    }
+    worker.pending.clear();
+
+    if (worker.mode !== 'run') return;
+    if (this.workers.get(worker.companyId) === worker) {
+      this.workers.delete(worker.companyId);
+    }
+    if (worker.status === 'stopping') {
+      logger.info('后台公司进程已停止', { companyId: worker.companyId });
+      return;
+    }
+
+    const crash = this.crashes.get(worker.companyId) || { count: 0, lastError: '', timer: null };
+    crash.count++;
+    crash.lastError = `进程意外退出 (code ${code})`;
+    this.crashes.set(worker.companyId, crash);
+    logger.error('后台公司进程意外退出', { companyId: worker.companyId, code, crashes: crash.count });
+
+    if (crash.count <= PORTFOLIO_CONFIG.maxRestarts) {
+      crash.timer = setTimeout(() => {
+        crash.timer = null;
+        this.syncBackground(this.accountId, this.activeCompanyId);
+      }, PORTFOLIO_CONFIG.restartDelayMs);
+    }
+  }
+
+  /**
+   * 向子进程请求公司概况
+   * @param {CompanyWorker} worker
+   * @returns {Promise<import('./company-summary').CompanySummary>}
+   */
+  async _requestSummary(worker) {
+    return this._request(worker, 'summary', '获取公司概况超时');
+  }
+
+  /**
+   * 向子进程发送请求并等待应答
+   * @param {CompanyWorker} worker
+   * @param {string} type
+   * @param {string} timeoutMessage
+   * @returns {Promise<any>}
+   */
+  async _request(worker, type, timeoutMessage) {
+    await worker.ready;
+    const requestId = `req-${++this._requestSeq}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        worker.pending.delete(requestId);
+        reject(new Error(timeoutMessage));
+      }, PORTFOLIO_CONFIG.requestTimeoutMs);
+      worker.pending.set(requestId, { resolve, reject, timer });
+      worker.child.postMessage({ type, requestId });
+    });
+  }
+
+  /**
+   * 让在后台运行的公司刷盘（未在后台运行的公司数据已在磁盘上，无需处理）
+   * @param {string} companyId
+   */
+  async flushCompany(companyId) {
+    const worker = this.workers.get(companyId);
+    if (!worker || worker.mode !== 'run') return;
+    await this._request(worker, 'flush', '后台公司刷盘超时');
+  }
+
+  /**
+   * 通知子进程刷盘退出，超时则强制结束
+   * @param {CompanyWorker} worker
+   */
+  async _shutdown(worker) {
+    worker.status = 'stopping';
+    worker.child.postMessage({ type: 'shutdown' });
+    const timer = setTimeout(() => {
+      logger.warn('后台公司进程未按时退出，强制结束', { companyId: worker.companyId });
+      worker.child.kill();
+    }, PORTFOLIO_CONFIG.shutdownTimeoutMs);
+    await worker.exited;
+    clearTimeout(timer);
+  }
+
+  /**
+   * 在后台启动公司
+   * @param {Object} company
+   * @returns {CompanyWorker}
+   */
+  startCompany(company) {
+    const existing = this.workers.get(company.id);
+    if (existing) return existing;
+
+    this.snapshots.delete(company.id);
+    const worker = this._fork(company, 'run');
+    this.workers.set(company.id, worker);
+    logger.info('后台公司进程启动中', { companyId: company.id, name: company.name });
+    return worker;
+  }
+
+  /**
+   * 停止公司的后台进程（等待刷盘完成）
+   * @param {string} companyId
+   */
+  async stopCompany(companyId) {
+    const crash = this.crashes.get(companyId);
+    if (crash?.timer) {
+      clearTimeout(crash.timer);
+      crash.timer = null;
+    }
+    // 停止后数据可能被替换（如从备份恢复），缓存的概况不再可信
+    this.snapshots.delete(companyId);
+    const worker = this.workers.get(companyId);
+    if (!worker) return;
+    await this._shutdown(worker);
+    this.workers.delete(companyId);
+  }
+
+  /**
+   * 停止所有后台公司（登出 / 退出应用时调用）
+   */
+  async stopAll() {
+    this.activeCompanyId = null;
+    await Promise.all([...this.workers.keys()].map((companyId) => this.stopCompany(companyId)));
+    this.snapshots.clear();
+    this.crashes.clear();
+  }
+
+  /**
+   * 按公司列表调整后台进程：前台公司以外、开启了后台运行的公司都应在运行
+   * @param {string} accountId
+   * @param {string | null} activeCompanyId
+   */
+  async syncBackground(accountId, activeCompanyId) {
+    this.accountId = accountId;
+    this.activeCompanyId = activeCompanyId;
+
+    const wanted = PORTFOLIO_CONFIG.backgroundEnabled
+      ? companyStore.getCompanies()
+        .filter((c) => c.id !== activeCompanyId && c.backgroundEnabled !== false)
+        .filter((c) => (this.crashes.get(c.id)?.count || 0) <= PORTFOLIO_CONFIG.maxRestarts)
+        .slice(0, PORTFOLIO_CONFIG.maxBackground)
+      : [];
+    const wantedIds = new Set(wanted.map((c) => c.id));
+
+    await Promise.all(
+      [...this.workers.keys()].filter((id) => !wantedIds.has(id)).map((id) => this.stopCompany(id))
+    );
+    for (const company of wanted) {
+      this.startCompany(company);
+    }
+  }
+
+  /**
+   * 设置任务巡查开关（前台公司的用户偏好同样作用于后续启动的后台公司）
+   * @param {boolean} enabled
+   */
+  setPatrolEnabled(enabled) {
+    this.patrolEnabled = enabled;
+  }
+
+  /**
+   * 开启 / 关闭某家公司的后台运行
+   * @param {string} companyId
+   * @param {boolean} enabled
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async setBackgroundEnabled(companyId, enabled) {
+    const result = companyStore.updateCompany(companyId, { backgroundEnabled: !!enabled });
+    if (!result.success) return result;
+    // 手动重新开启时清除崩溃计数
+    if (enabled) this.crashes.delete(companyId);
+    await this.syncBackground(this.accountId, this.activeCompanyId);
+    return { success: true, company: result.company };
+  }
+
+  /**
+   * 获取未运行公司的概况：临时启动只读进程加载数据，取完即退出
+   * @param {Object} company
+   * @returns {Promise<import('./company-summary').CompanySummary>}
+   */
+  async _getSnapshot(company) {
+    const cached = this.snapshots.get(company.id);
+    if (cached && Date.now() - cached.at < PORTFOLIO_CONFIG.snapshotTtlMs) {
+      return cached.summary;
+    }
+
+    const worker = this._fork(company, 'snapshot');
+    try {
+      const summary = await this._requestSummary(worker);
+      this.snapshots.set(company.id, { summary, at: Date.now() });
+      return summary;
+    } finally {
+      await this._shutdown(worker);
+    }
+  }
+
+  /**
+   * 跨公司总览
+   * @returns {Promise<{ currency: string, totals: Object, companies: PortfolioCompany[] }>}
+   */
+  async getOverview() {
+    const companies = [];
+
+    // 依次获取，避免同时拉起多个快照进程
+    for (const company of companyStore.getCompanies()) {
+      const worker = this.workers.get(company.id);
+      const crash = this.crashes.get(company.id);
+      /** @type {PortfolioCompany} */
+      const item = {
+        id: company.id,
+        name: company.name,
+        description: company.description,
+        backgroundEnabled: company.backgroundEnabled !== false,
+        status: 'stopped',
+        pid: worker?.child.pid ?? null,
+        startedAt: worker?.startedAt ?? null,
+        lastError: crash?.lastError || null,
+        summary: null,
+      };
+
+      try {
+        if (company.id === this.activeCompanyId) {
+          item.status = 'active';
+          item.pid = process.pid;
+          item.summary = buildCompanySummary();
+        } else if (worker) {
+          item.status = worker.status === 'running' ? 'running' : 'starting';
+          item.summary = await this._requestSummary(worker);
+        } else {
+          item.status = crash?.count > PORTFOLIO_CONFIG.maxRestarts ? 'crashed' : 'stopped';
+          item.summary = await this._getSnapshot(company);
+        }
+      } catch (error) {
+        logger.warn('获取公司概况失败', { companyId: company.id, error: error.message });
+        item.lastError = error.message;
+      }
+      companies.push(item);
+    }
+
+    // 各公司的报表币种可能不同，合计统一换算为前台公司的报表币种
+    const currency = modelPricing.getReportingCurrency();
+    const totals = { todayCost: 0, weekCost: 0, todayTokens: 0, weekTokens: 0, openTasks: 0, liveProjects: 0, atRisk: 0, offTrack: 0 };
+    for (const { summary } of companies) {
+      if (!summary) continue;
+      totals.todayCost += modelPricing.convert(summary.spend.today.cost, summary.spend.currency, currency);
+      totals.weekCost += modelPricing.convert(summary.spend.week.cost, summary.spend.currency, currency);
+      totals.todayTokens += summary.spend.today.tokens;
+      totals.weekTokens += summary.spend.week.tokens;
+      totals.openTasks += summary.tasks.open + summary.tasks.delegatedOpen;
+      totals.liveProjects += summary.projects.live;
+      totals.atRisk += summary.projects.atRisk;
+      totals.offTrack += summary.projects.offTrack;
+    }
+
+    return { currency, totals, companies };
+  }
+}
+
+// 单例
+const portfolioManager = new PortfolioManager();
+
+module.exports = { PortfolioManager, portfolioManager, PORTFOLIO_CONFIG };
@@ -0,0 +1,735 @@
+/**
+ * SoloForge - 本地数据加密存储
+ * ~/.soloforge 下的所有数据文件都经由本模块读写：开启加密后逐文件使用 AES-256-GCM 加密（带认证），
+ * 未开启时原样读写明文
+ *
+ * 密钥结构：
+ * - 口令经 scrypt 派生出密钥加密密钥（KEK），只在解锁时存在于内存
+ * - 数据密钥（DEK）随机生成，由 KEK 包装后保存在 ~/.soloforge/encryption.json
+ * - 修改口令只需重新包装 DEK；轮换密钥会生成新的 DEK 并重新加密所有文件
+ *
+ * 加密文件格式：MAGIC(6) + keyId(8) + iv(12) + authTag(16) + 密文，MAGIC 与 keyId 作为附加认证数据
+ * 读取时按文件头判断是否加密，因此迁移过程中明文与密文文件可以并存，迁移中断后可在下次解锁时继续
+ *
+ * 只追加的行文件（审计日志分段）逐行加密：加密行为 LINE_PREFIX + base64(上述格式)，
+ * 追加一条记录只需写入一行，不必重写整个文件
+ * @module storage/encrypted-storage
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { SOLOFORGE_ROOT } = require('../account/data-path');
+
+/** 加密配置文件（自身不加密） */
+const ENCRYPTION_FILE = path.join(SOLOFORGE_ROOT, 'encryption.json');
+
+/** 加密文件头 */
+const MAGIC = Buffer.from('SFENC1', 'ascii');
+
+/** 逐行加密的文件：审计日志分段（见 audit/audit-log） */
+const LINE_FILE_PATTERN = /[\\/]audit[\\/]\d{4}-\d{2}\.jsonl$/;
+/** 逐行加密文件中加密行的前缀（不能以 MAGIC 开头，否则整个文件会被当作整体加密） */
+const LINE_PREFIX = 'sfenc:';
+const KEY_ID_LENGTH = 8;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + KEY_ID_LENGTH + IV_LENGTH + TAG_LENGTH;
+
+/**
+ * 配置（可通过环境变量调整）
+ */
+const ENCRYPTION_CONFIG = {
+  /** scrypt 开销参数 N（STORAGE_SCRYPT_COST，须为 2 的幂；只影响新设置的口令） */
+  scryptCost: parseInt(process.env.STORAGE_SCRYPT_COST || String(2 ** 15), 10),
+  scryptBlockSize: 8,
+  scryptParallelization: 1,
+  /** 口令最短长度 */
+  minPassphraseLength: 8,
+  /** 迁移时每处理多少个文件让出一次事件循环 */
+  migrationBatchSize: 20,
+};
+
+/**
+ * 数据已加密但尚未解锁
+ */
+class StorageLockedError extends Error {
+  constructor() {
+    super('本地数据已加密，请先输入口令解锁');
+    this.name = 'StorageLockedError';
+  }
+}
+
+/**
+ * @typedef {Object} WrappedKey
+ * @property {string} iv - base64
+ * @property {string} tag - base64
+ * @property {string} data - base64（被 KEK 加密的数据密钥）
+ */
+
+/**
+ * @typedef {Object} EncryptionConfig
+ * @property {number} version
+ * @property {{ name: 'scrypt', salt: string, N: number, r: number, p: number }} kdf
+ * @property {string | null} activeKeyId - 新写入文件使用的密钥；关闭加密过程中为 null
+ * @property {Object<string, WrappedKey>} keys - 仍可能被文件引用的密钥（轮换完成前包含旧密钥）
+ * @property {{ target: 'encrypted' | 'plaintext', startedAt: string } | null} migration - 未完成的迁移
+ * @property {string} createdAt
+ * @property {string | null} rotatedAt
+ */
+
+class EncryptedStorage {
+  constructor() {
+    /** @type {EncryptionConfig | null} */
+    this.config = this._loadConfig();
+    /** @type {Map<string, Buffer>} 已解锁的数据密钥 */
+    this._keys = new Map();
+    /** @type {Promise<void> | null} */
+    this._migrating = null;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // 配置
+  // ─────────────────────────────────────────────────────────────
+
+  _loadConfig() {
+    try {
+      if (fs.existsSync(ENCRYPTION_FILE)) {
+        return JSON.parse(fs.readFileSync(ENCRYPTION_FILE, 'utf-8'));
+      }
+    } catch (error) {
+      logger.error('加载加密配置失败:', error);
+    }
+    return null;
+  }
+
+  _saveConfig() {
+    if (!fs.existsSync(SOLOFORGE_ROOT)) {
+      fs.mkdirSync(SOLOFORGE_ROOT, { recursive: true });
+    }
+    const tempPath = ENCRYPTION_FILE + '.tmp';
+    fs.writeFileSync(tempPath, JSON.stringify(this.config, null, 2), 'utf-8');
+    fs.renameSync(tempPath, ENCRYPTION_FILE);
+  }
+
+  /**
+   * 是否开启了加密（或正在关闭、尚未完成解密）
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.config;
+  }
+
+  /**
+   * 是否已解锁（未开启加密时视为已解锁）
+   * @returns {boolean}
+   */
+  isUnlocked() {
+    return !this.config || this._keys.size > 0;
+  }
+
+  /**
+   * 获取加密状态
+   * @returns {{ enabled: boolean, unlocked: boolean, migrating: 'encrypted' | 'plaintext' | null, createdAt: string | null, rotatedAt: string | null }}
+   */
+  getStatus() {
+    return {
+      enabled: this.isEnabled() && this.config.migration?.target !== 'plaintext',
+      unlocked: this.isUnlocked(),
+      migrating: this.config?.migration?.target || null,
+      createdAt: this.config?.createdAt || null,
+      rotatedAt: this.config?.rotatedAt || null,
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // 密钥
+  // ─────────────────────────────────────────────────────────────
+
+  _validatePassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < ENCRYPTION_CONFIG.minPassphraseLength) {
+      return `口令至少需要 ${ENCRYPTION_CONFIG.minPassphraseLength} 个字符`;
+    }
+    return null;
+  }
+
+  _newKdf() {
+    return {
+      name: 'scrypt',
+      salt: crypto.randomBytes(16).toString('base64'),
+      N: ENCRYPTION_CONFIG.scryptCost,
+      r: ENCRYPTION_CONFIG.scryptBlockSize,
+      p: ENCRYPTION_CONFIG.scryptParallelization,
+    };
+  }
+
+  _deriveKek(passphrase, kdf) {
+    return crypto.scryptSync(passphrase, Buffer.from(kdf.salt, 'base64'), 32, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 256 * kdf.N * kdf.r,
+    });
+  }
+
+  /**
+   * @param {Buffer} key
+   * @param {Buffer} kek
+   * @returns {WrappedKey}
+   */
+  _wrapKey(key, kek) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', kek, iv);
+    const data = Buffer.concat([cipher.update(key), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  /**
+   * 解开数据密钥；口令错误时 GCM 认证失败并抛出异常
+   * @param {WrappedKey} wrapped
+   * @param {Buffer} kek
+   * @returns {Buffer}
+   */
+  _unwrapKey(wrapped, kek) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', kek, Buffer.from(wrapped.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(wrapped.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(wrapped.data, 'base64')), decipher.final()]);
+  }
+
+  /**
+   * 用口令解开所有数据密钥
+   * @param {string} passphrase
+   * @returns {Map<string, Buffer> | null} 口令错误时返回 null
+   */
+  _unwrapAll(passphrase) {
+    const kek = this._deriveKek(passphrase, this.config.kdf);
+    try {
+      return new Map(Object.entries(this.config.keys).map(([id, wrapped]) => [id, this._unwrapKey(wrapped, kek)]));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 用新口令重新包装所有数据密钥
+   * @param {Map<string, Buffer>} keys
+   * @param {string} passphrase
+   */
+  _rewrapAll(keys, passphrase) {
+    const kdf = this._newKdf();
+    const kek = this._deriveKek(passphrase, kdf);
+    this.config.kdf = kdf;
+    this.config.keys = Object.fromEntries([...keys].map(([id, key]) => [id, this._wrapKey(key, kek)]));
+  }
+
+  /**
+   * 解锁（应用启动时由老板输入口令）
+   * 如果上次的迁移没有完成，解锁后在后台继续
+   * @param {string} passphrase
+   * @returns {{ success: boolean, error?: string }}
+   */
+  unlock(passphrase) {
+    if (!this.config) {
+      return { success: true };
+    }
+    const keys = this._unwrapAll(String(passphrase || ''));
+    if (!keys) {
+      logger.warn('本地数据解锁失败：口令错误');
+      return { success: false, error: '口令错误' };
+    }
+    this._keys = keys;
+    logger.info('本地数据已解锁');
+
+    if (this.config.migration) {
+      this._runMigration().catch((error) => logger.error('继续数据迁移失败:', error));
+    }
+    return { success: true };
+  }
+
+  /**
+   * 导出已解锁的数据密钥（传给后台公司进程）
+   * @returns {{ activeKeyId: string | null, keys: Object<string, string> } | null}
+   */
+  exportKeys() {
+    if (!this.config || this._keys.size === 0) return null;
+    return {
+      activeKeyId: this.config.activeKeyId,
+      keys: Object.fromEntries([...this._keys].map(([id, key]) => [id, key.toString('base64')])),
+    };
+  }
+
+  /**
+   * 载入主进程传来的数据密钥（后台公司进程使用）
+   * @param {{ activeKeyId: string | null, keys: Object<string, string> } | null} exported
+   */
+  importKeys(exported) {
+    if (!exported) return;
+    this._keys = new Map(Object.entries(exported.keys).map(([id, key]) => [id, Buffer.from(key, 'base64')]));
+    if (this.config) {
+      this.config.activeKeyId = exported.activeKeyId;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // 开启 / 关闭 / 轮换
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * 开启加密并把现有明文数据迁移为密文
+   * @param {string} passphrase
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async enable(passphrase) {
+    await this.whenIdle();
+    if (this.config) {
+      return { success: false, error: this.config.migration?.target === 'plaintext' ? '正在关闭加密，请稍后再试' : '加密已开启' };
+    }
+    const invalid = this._validatePassphrase(passphrase);
+    if (invalid) return { success: false, error: invalid };
+
+    const keyId = crypto.randomBytes(KEY_ID_LENGTH / 2).toString('hex');
+    const keys = new Map([[keyId, crypto.randomBytes(32)]]);
+    this.config = {
+      version: 1,
+      kdf: null,
+      activeKeyId: keyId,
+      keys: {},
+      migration: { target: 'encrypted', startedAt: new Date().toISOString() },
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+    };
+    this._rewrapAll(keys, passphrase);
+    this._saveConfig();
+    this._keys = keys;
+    logger.info('本地数据加密已开启，开始迁移明文数据');
+
+    await this._runMigration();
+    return { success: true };
+  }
+
+  /**
+   * 关闭加密并把所有数据解密为明文
+   * @param {string} passphrase
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async disable(passphrase) {
+    await this.whenIdle();
+    if (!this.config) {
+      return { success: false, error: '加密未开启' };
+    }
+    const keys = this._unwrapAll(String(passphrase || ''));
+    if (!keys) return { success: false, error: '口令错误' };
+    this._keys = keys;
+
+    // 此后新写入的文件都是明文，已有密文文件由迁移逐个解密
+    this.config.activeKeyId = null;
+    this.config.migration = { target: 'plaintext', startedAt: new Date().toISOString() };
+    this._saveConfig();
+    logger.info('开始关闭本地数据加密');
+
+    await this._runMigration();
+    return { success: true };
+  }
+
+  /**
+   * 轮换数据密钥（可同时修改口令），并用新密钥重新加密所有文件
+   * @param {string} passphrase - 当前口令
+   * @param {string} [newPassphrase] - 新口令，不传则沿用当前口令
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async rotateKey(passphrase, newPassphrase) {
+    await this.whenIdle();
+    if (!this.config || this.config.migration?.target === 'plaintext') {
+      return { success: false, error: '加密未开启' };
+    }
+    if (this.config.migration) {
+      return { success: false, error: '上一次数据迁移尚未完成，请稍后再试' };
+    }
+    if (newPassphrase !== undefined && newPassphrase !== null && newPassphrase !== '') {
+      const invalid = this._validatePassphrase(newPassphrase);
+      if (invalid) return { success: false, error: invalid };
+    } else {
+      newPassphrase = passphrase;
+    }
+    const keys = this._unwrapAll(String(passphrase || ''));
+    if (!keys) return { success: false, error: '口令错误' };
+
+    // 旧密钥保留到所有文件重新加密完成，之后由迁移移除
+    const keyId = crypto.randomBytes(KEY_ID_LENGTH / 2).toString('hex');
+    keys.set(keyId, crypto.randomBytes(32));
+    this.config.activeKeyId = keyId;
+    this.config.rotatedAt = new Date().toISOString();
+    this.config.migration = { target: 'encrypted', startedAt: new Date().toISOString() };
+    this._rewrapAll(keys, newPassphrase);
+    this._saveConfig();
+    this._keys = keys;
+    logger.info('数据密钥已轮换，开始重新加密', { keyId });
+
+    await this._runMigration();
+    return { success: true };
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // 迁移
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * 执行（或继续）未完成的迁移；同一时间只有一个迁移在运行
+   * @returns {Promise<void>}
+   */
+  _runMigration() {
+    if (!this._migrating) {
+      this._migrating = this._migrateAll().finally(() => {
+        this._migrating = null;
+      });
+    }
+    return this._migrating;
+  }
+
+  /**
+   * 等待正在运行的迁移结束
+   * @returns {Promise<void>}
+   */
+  async whenIdle() {
+    await this._migrating?.catch(() => {});
+  }
+
+  async _migrateAll() {
+    const target = this.config.migration.target;
+    const files = this._listDataFiles(SOLOFORGE_ROOT);
+    let converted = 0;
+    const failed = [];
+
+    for (let i = 0; i < files.length; i++) {
+      try {
+        if (this._migrateFileSync(files[i], target)) converted++;
+      } catch (error) {
+        failed.push(files[i]);
+        logger.error('迁移数据文件失败:', { file: files[i], error: error.message });
+      }
+      if ((i + 1) % ENCRYPTION_CONFIG.migrationBatchSize === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    }
+
+    if (failed.length > 0) {
+      // 保留迁移标记，下次解锁时重试
+      logger.warn('数据迁移未全部完成，下次解锁时继续', { converted, failed: failed.length });
+      return;
+    }
+
+    if (target === 'plaintext') {
+      fs.unlinkSync(ENCRYPTION_FILE);
+      this.config = null;
+      this._keys.clear();
+    } else {
+      // 移除已不再被任何文件引用的旧密钥
+      for (const id of Object.keys(this.config.keys)) {
+        if (id !== this.config.activeKeyId) {
+          delete this.config.keys[id];
+          this._keys.delete(id);
+        }
+      }
+      this.config.migration = null;
+      this._saveConfig();
+    }
+    logger.info('数据迁移完成', { target, files: files.length, converted });
+  }
+
+  /**
+   * 列出需要加密的数据文件
+   * @param {string} dir
+   * @returns {string[]}
+   */
+  _listDataFiles(dir) {
+    const files = [];
+    if (!fs.existsSync(dir)) return files;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...this._listDataFiles(fullPath));
+      } else if (entry.isFile() && this.shouldEncrypt(fullPath)) {
+        files.push(fullPath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * 把单个文件转换为目标格式（同步完成，期间不会与 store 的写入交错）
+   * @param {string} filePath
+   * @param {'encrypted' | 'plaintext'} target
+   * @returns {boolean} 是否改写了文件
+   */
+  _migrateFileSync(filePath, target) {
+    if (this.isLineFile(filePath)) {
+      return this._migrateLineFileSync(filePath, target);
+    }
+    const raw = fs.readFileSync(filePath);
+    const keyId = this._readKeyId(raw);
+    if (target === 'plaintext' ? !keyId : keyId === this.config.activeKeyId) {
+      return false;
+    }
+    const plain = keyId ? this._decrypt(raw, keyId) : raw;
+    const output = target === 'plaintext' ? plain : this._encrypt(plain);
+    const tempPath = filePath + '.tmp';
+    fs.writeFileSync(tempPath, output);
+    fs.renameSync(tempPath, filePath);
+    return true;
+  }
+
+  /**
+   * 逐行转换行文件（整体加密的旧格式同样转换为逐行格式）
+   * @param {string} filePath
+   * @param {'encrypted' | 'plaintext'} target
+   * @returns {boolean} 是否改写了文件
+   */
+  _migrateLineFileSync(filePath, target) {
+    const raw = fs.readFileSync(filePath);
+    const wholeFile = this._readKeyId(raw) !== null;
+    const converted = !wholeFile && splitLines(raw.toString('utf-8')).every((line) => (
+      target === 'plaintext'
+        ? !line.startsWith(LINE_PREFIX)
+        : line.startsWith(LINE_PREFIX) && this._readKeyId(Buffer.from(line.slice(LINE_PREFIX.length), 'base64')) === this.config.activeKeyId
+    ));
+    if (converted) return false;
+    // 关闭加密时 activeKeyId 已为空，encode 按目标格式输出明文
+    const tempPath = filePath + '.tmp';
+    fs.writeFileSync(tempPath, this.encode(filePath, this.decodeFile(filePath, raw)), 'utf-8');
+    fs.renameSync(tempPath, filePath);
+    return true;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // 加解密
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * 文件是否属于加密范围：~/.soloforge 下除加密配置和临时文件以外的所有文件
+   * @param {string} filePath
+   * @returns {boolean}
+   */
+  shouldEncrypt(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!resolved.startsWith(SOLOFORGE_ROOT + path.sep)) return false;
+    return resolved !== ENCRYPTION_FILE && !resolved.endsWith('.tmp');
+  }
+
+  /**
+   * 文件是否逐行加密（只追加的行文件）
+   * @param {string} filePath
+   * @returns {boolean}
+   */
+  isLineFile(filePath) {
+    return LINE_FILE_PATTERN.test(path.resolve(filePath));
+  }
+
+  /**
+   * @param {Buffer} raw
+   * @returns {string | null} 加密文件的 keyId，明文文件返回 null
+   */
+  _readKeyId(raw) {
+    if (raw.length < HEADER_LENGTH || !raw.subarray(0, MAGIC.length).equals(MAGIC)) return null;
+    return raw.subarray(MAGIC.length, MAGIC.length + KEY_ID_LENGTH).toString('ascii');
+  }
+
+  /**
+   * @param {Buffer} plain
+   * @returns {Buffer}
+   */
+  _encrypt(plain) {
+    const keyId = this.config.activeKeyId;
+    const key = this._keys.get(keyId);
+    if (!key) throw new StorageLockedError();
+
+    const prefix = Buffer.concat([MAGIC, Buffer.from(keyId, 'ascii')]);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(prefix);
+    const data = Buffer.concat([cipher.update(plain), cipher.final()]);
+    return Buffer.concat([prefix, iv, cipher.getAuthTag(), data]);
+  }
+
+  /**
+   * @param {Buffer} raw
+   * @param {string} keyId
+   * @returns {Buffer}
+   */
+  _decrypt(raw, keyId) {
+    const key = this._keys.get(keyId);
+    if (!key) {
+      if (this._keys.size === 0) throw new StorageLockedError();
+      throw new Error(`找不到数据密钥 ${keyId}，文件可能来自其他设备`);
+    }
+    const prefixLength = MAGIC.length + KEY_ID_LENGTH;
+    const iv = raw.subarray(prefixLength, prefixLength + IV_LENGTH);
+    const tag = raw.subarray(prefixLength + IV_LENGTH, HEADER_LENGTH);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAAD(raw.subarray(0, prefixLength));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(raw.subarray(HEADER_LENGTH)), decipher.final()]);
+  }
+
+  /**
+   * 编码待写入的内容：属于加密范围且已开启加密时返回密文，否则原样返回
+   * @param {string} filePath
+   * @param {string | Buffer} content
+   * @returns {string | Buffer}
+   */
+  encode(filePath, content) {
+    if (!this.config || !this.shouldEncrypt(filePath)) return content;
+    if (!this.config.activeKeyId) return content; // 正在关闭加密
+    if (this.isLineFile(filePath)) {
+      const text = Buffer.isBuffer(content) ? content.toString('utf-8') : content;
+      return splitLines(text).map((line) => this.encodeLine(filePath, line) + '\n').join('');
+    }
+    return this._encrypt(Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8'));
+  }
+
+  /**
+   * 编码行文件中待追加的一行（不含换行符）
+   * @param {string} filePath
+   * @param {string} line
+   * @returns {string}
+   */
+  encodeLine(filePath, line) {
+    if (!this.config || !this.shouldEncrypt(filePath)) return line;
+    if (!this.config.activeKeyId) return line; // 正在关闭加密
+    return LINE_PREFIX + this._encrypt(Buffer.from(line, 'utf-8')).toString('base64');
+  }
+
+  /**
+   * 解码行文件中的一行（明文行原样返回）
+   * @param {string} line
+   * @returns {string}
+   */
+  decodeLine(line) {
+    if (!line.startsWith(LINE_PREFIX)) return line;
+    return this.decode(Buffer.from(line.slice(LINE_PREFIX.length), 'base64')).toString('utf-8');
+  }
+
+  /**
+   * 解码读到的文件内容（明文原样返回）
+   * @param {Buffer} raw
+   * @returns {Buffer}
+   */
+  decode(raw) {
+    const keyId = this._readKeyId(raw);
+    return keyId ? this._decrypt(raw, keyId) : raw;
+  }
+
+  /**
+   * 解码读到的文件内容，逐行加密的文件逐行解密
+   * @param {string} filePath
+   * @param {Buffer} raw
+   * @returns {Buffer}
+   */
+  decodeFile(filePath, raw) {
+    const decoded = this.decode(raw);
+    if (!this.isLineFile(filePath) || !decoded.includes(LINE_PREFIX)) return decoded;
+    const lines = splitLines(decoded.toString('utf-8')).map((line) => this.decodeLine(line) + '\n');
+    return Buffer.from(lines.join(''), 'utf-8');
+  }
+
+  /**
+   * 文件是否为加密文件
+   * @param {string} filePath
+   * @returns {boolean}
+   */
+  isEncryptedFileSync(filePath) {
+    let fd;
+    try {
+      fd = fs.openSync(filePath, 'r');
+      const head = Buffer.alloc(MAGIC.length);
+      fs.readSync(fd, head, 0, MAGIC.length, 0);
+      return head.equals(MAGIC);
+    } catch {
+      return false;
+    } finally {
+      if (fd !== undefined) fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * 按行拆分，忽略空行
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  return text.split('\n').filter((line) => line.trim());
+}
+
+const encryptedStorage = new EncryptedStorage();
+
+/**
+ * 读取文本文件（自动解密）
+ * @param {string} filePath
+ * @returns {string}
+ */
+function readTextSync(filePath) {
+  return encryptedStorage.decodeFile(filePath, fs.readFileSync(filePath)).toString('utf-8');
+}
+
+/**
+ * 读取二进制文件（自动解密）
+ * @param {string} filePath
+ * @returns {Buffer}
+ */
+function readBufferSync(filePath) {
+  return encryptedStorage.decodeFile(filePath, fs.readFileSync(filePath));
+}
+
+/**
+ * 读取文本文件（异步，自动解密）
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+async function readText(filePath) {
+  return encryptedStorage.decodeFile(filePath, await fs.promises.readFile(filePath)).toString('utf-8');
+}
+
+/**
+ * 读取行文件的所有行（自动解密，兼容整体加密的旧格式）
+ * @param {string} filePath
+ * @returns {string[]}
+ */
+function readLinesSync(filePath) {
+  return splitLines(readTextSync(filePath));
+}
+
+/**
+ * 向行文件追加一行（开启加密时只加密这一行）
+ * 整体加密的旧格式文件先转换为逐行格式，避免在密文后追加
+ * @param {string} filePath
+ * @param {string} line - 不含换行符
+ */
+function appendLineSync(filePath, line) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  if (encryptedStorage.isEncryptedFileSync(filePath)) {
+    const tempPath = filePath + '.tmp';
+    fs.writeFileSync(tempPath, encryptedStorage.encode(filePath, readTextSync(filePath)), 'utf-8');
+    fs.renameSync(tempPath, filePath);
+  }
+  fs.appendFileSync(filePath, encryptedStorage.encodeLine(filePath, line) + '\n', 'utf-8');
+}
+
+module.exports = {
+  encryptedStorage,
+  EncryptedStorage,
+  StorageLockedError,
+  ENCRYPTION_CONFIG,
+  readTextSync,
+  readBufferSync,
+  readText,
+  readLinesSync,
+  appendLineSync,
+};
@@ -0,0 +1,22 @@
+/**
+ * SoloForge - 本地数据加密模块入口
+ * @module storage
+ */
+
+const {
+  encryptedStorage,
+  StorageLockedError,
+  readTextSync,
+  readBufferSync,
+  readText,
+} = require('./encrypted-storage');
+const { setupStorageIpcHandlers } = require('./storage-ipc-handlers');
+
+module.exports = {
+  encryptedStorage,
+  StorageLockedError,
+  readTextSync,
+  readBufferSync,
+  readText,
+  setupStorageIpcHandlers,
+};
@@ -0,0 +1,88 @@
+/**
+ * SoloForge - 本地数据加密 IPC 处理器
+ * 必须在渲染进程启动前注册：加密开启时渲染进程首先调用 storage:get-status 决定是否显示解锁页
+ * @module storage/storage-ipc-handlers
+ */
+
+const { ipcMain } = require('electron');
+const { logger } = require('../utils/logger');
+const { encryptedStorage } = require('./encrypted-storage');
+const {
+  STORAGE_GET_STATUS,
+  STORAGE_UNLOCK,
+  STORAGE_ENABLE,
+  STORAGE_DISABLE,
+  STORAGE_ROTATE_KEY,
+} = require('../../shared/ipc-channels');
+
+/**
+ * 设置本地数据加密 IPC 处理器
+ * @param {Object} options
+ * @param {Function} options.onUnlocked - 解锁后调用：重新加载全局数据并恢复上次会话
+ * @param {Function} options.onBeforeMigration - 开启/关闭/轮换前调用：停止会并发写入数据的后台公司进程
+ * @param {Function} options.onAfterMigration - 迁移结束后调用：按新的密钥重新启动后台公司进程
+ */
+function setupStorageIpcHandlers({ onUnlocked, onBeforeMigration, onAfterMigration }) {
+  /**
+   * 在停止后台进程的前提下执行迁移
+   * @param {() => Promise<{ success: boolean, error?: string }>} migrate
+   */
+  const withMigration = async (migrate) => {
+    await onBeforeMigration();
+    try {
+      return await migrate();
+    } finally {
+      await onAfterMigration();
+    }
+  };
+
+  ipcMain.handle(STORAGE_GET_STATUS, () => encryptedStorage.getStatus());
+
+  ipcMain.handle(STORAGE_UNLOCK, async (_event, { passphrase } = {}) => {
+    try {
+      if (encryptedStorage.isUnlocked()) {
+        return { success: true };
+      }
+      const result = encryptedStorage.unlock(passphrase);
+      if (!result.success) return result;
+      // 上次未完成的迁移在解锁时继续，完成后再加载数据，避免与后台进程的写入交错
+      await encryptedStorage.whenIdle();
+      await onUnlocked();
+      return { success: true };
+    } catch (error) {
+      logger.error('解锁本地数据失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(STORAGE_ENABLE, async (_event, { passphrase } = {}) => {
+    try {
+      return await withMigration(() => encryptedStorage.enable(passphrase));
+    } catch (error) {
+      logger.error('开启本地数据加密失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(STORAGE_DISABLE, async (_event, { passphrase } = {}) => {
+    try {
+      return await withMigration(() => encryptedStorage.disable(passphrase));
+    } catch (error) {
+      logger.error('关闭本地数据加密失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(STORAGE_ROTATE_KEY, async (_event, { passphrase, newPassphrase } = {}) => {
+    try {
+      return await withMigration(() => encryptedStorage.rotateKey(passphrase, newPassphrase));
+    } catch (error) {
+      logger.error('轮换数据密钥失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  logger.info('本地数据加密 IPC 处理器已设置');
+}
+
+module.exports = { setupStorageIpcHandlers };
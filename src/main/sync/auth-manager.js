@@ -7,6 +7,8 @@ const { logger } = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 // electron-store 是 ESM-only，改用简单的 JSON 文件存储
 const AUTH_DIR = path.join(os.homedir(), '.soloforge');
@@ -17,7 +19,7 @@ const authStore = {
   _load() {
     try {
       if (fs.existsSync(AUTH_FILE)) {
-        this._data = JSON.parse(fs.readFileSync(AUTH_FILE, 'utf-8'));
+        this._data = JSON.parse(readTextSync(AUTH_FILE));
       }
     } catch (e) {
       this._data = {};
@@ -26,7 +28,7 @@ const authStore = {
   _save() {
     try {
       if (!fs.existsSync(AUTH_DIR)) fs.mkdirSync(AUTH_DIR, { recursive: true });
-      fs.writeFileSync(AUTH_FILE, JSON.stringify(this._data, null, 2));
+      atomicWriteSync(AUTH_FILE, JSON.stringify(this._data, null, 2));
     } catch (e) {
       logger.error('保存 auth store 失败:', e);
     }
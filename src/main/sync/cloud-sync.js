@@ -7,6 +7,8 @@ const { app } = require('electron');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 class CloudSyncService {
   constructor() {
@@ -209,7 +211,7 @@ class CloudSyncService {
     const chatHistoryPath = path.join(this.dataPath, 'chat-history.json');
     if (fs.existsSync(chatHistoryPath)) {
       try {
-        const chatHistory = JSON.parse(fs.readFileSync(chatHistoryPath, 'utf-8'));
+        const chatHistory = JSON.parse(readTextSync(chatHistoryPath));
         
         if (chatHistory.state?.conversations) {
           for (const [convId, conv] of Object.entries(chatHistory.state.conversations)) {
@@ -248,7 +250,7 @@ class CloudSyncService {
     const agentConfigPath = path.join(this.dataPath, 'agent-configs.json');
     if (fs.existsSync(agentConfigPath)) {
       try {
-        const agents = JSON.parse(fs.readFileSync(agentConfigPath, 'utf-8'));
+        const agents = JSON.parse(readTextSync(agentConfigPath));
         for (const [id, agent] of Object.entries(agents)) {
           data.agents.push({
             id,
@@ -274,7 +276,7 @@ class CloudSyncService {
     const bossConfigPath = path.join(this.dataPath, 'boss-config.json');
     if (fs.existsSync(bossConfigPath)) {
       try {
-        const boss = JSON.parse(fs.readFileSync(bossConfigPath, 'utf-8'));
+        const boss = JSON.parse(readTextSync(bossConfigPath));
         data.bossConfig = {
           name: boss.name || '老板',
           avatar: boss.avatar,
@@ -301,7 +303,7 @@ class CloudSyncService {
     
     if (fs.existsSync(chatHistoryPath)) {
       try {
-        chatHistory = JSON.parse(fs.readFileSync(chatHistoryPath, 'utf-8'));
+        chatHistory = JSON.parse(readTextSync(chatHistoryPath));
       } catch (error) {
         console.error('读取本地聊天历史失败:', error);
       }
@@ -369,7 +371,7 @@ class CloudSyncService {
     }
 
     // 保存聊天历史
-    fs.writeFileSync(chatHistoryPath, JSON.stringify(chatHistory, null, 2));
+    atomicWriteSync(chatHistoryPath, JSON.stringify(chatHistory, null, 2));
 
     // 合并 Agents
     if (remoteData.agents?.length) {
@@ -378,7 +380,7 @@ class CloudSyncService {
       
       if (fs.existsSync(agentConfigPath)) {
         try {
-          agents = JSON.parse(fs.readFileSync(agentConfigPath, 'utf-8'));
+          agents = JSON.parse(readTextSync(agentConfigPath));
         } catch (error) {
           console.error('读取本地 Agent 配置失败:', error);
         }
@@ -399,7 +401,7 @@ class CloudSyncService {
         }
       }
 
-      fs.writeFileSync(agentConfigPath, JSON.stringify(agents, null, 2));
+      atomicWriteSync(agentConfigPath, JSON.stringify(agents, null, 2));
     }
 
     // 合并 Boss 配置
@@ -409,7 +411,7 @@ class CloudSyncService {
       
       if (fs.existsSync(bossConfigPath)) {
         try {
-          boss = JSON.parse(fs.readFileSync(bossConfigPath, 'utf-8'));
+          boss = JSON.parse(readTextSync(bossConfigPath));
         } catch (error) {
           console.error('读取本地 Boss 配置失败:', error);
         }
@@ -417,7 +419,7 @@ class CloudSyncService {
 
       if (remoteData.bossConfig.updatedAt > (boss.updatedAt || 0)) {
         boss = { ...boss, ...remoteData.bossConfig };
-        fs.writeFileSync(bossConfigPath, JSON.stringify(boss, null, 2));
+        atomicWriteSync(bossConfigPath, JSON.stringify(boss, null, 2));
         stats.boss = 1;
       }
     }
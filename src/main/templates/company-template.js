@@ -0,0 +1,575 @@
+/**
+ * SoloForge - 公司模板
+ * 把一家公司的组织（员工、部门、薪资配置、权限、共享记忆、OKR 骨架）导出为带版本号的模板，
+ * 并从模板实例化新公司
+ *
+ * 实例化分两步：
+ * 1. 创建公司时由 CompanyStore 把模板写入新公司目录（template-pending.json）
+ * 2. 该公司第一次被加载时（前台或后台进程均可）在 loadCompanyStores 中通过各 store 的接口应用模板
+ *    这样模板数据总是写入正在加载这家公司的进程，不会与其他公司的 store 单例混用
+ *
+ * 模板不包含运行数据：聊天记录、任务、余额、Token 用量、机器相关的文件路径都不会导出
+ * @module templates/company-template
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { dataPath } = require('../account/data-path');
+const { atomicWriteSync } = require('../utils/atomic-write');
+const { readTextSync } = require('../storage/encrypted-storage');
+
+/** 模板文件格式标识 */
+const TEMPLATE_FORMAT = 'soloforge-company-template';
+
+/** 当前模板版本，结构不兼容地变化时递增，并在 migrateTemplate 中补充旧版本的升级逻辑 */
+const TEMPLATE_VERSION = 1;
+
+/** 新公司目录下待应用的模板文件 */
+const PENDING_TEMPLATE_FILE = 'template-pending.json';
+
+/** 模板应用后保留一份，记录公司来源 */
+const APPLIED_TEMPLATE_FILE = 'template-applied.json';
+
+/** 核心 Agent 可由模板覆盖的字段 */
+const CORE_AGENT_FIELDS = ['name', 'title', 'level', 'departments', 'description', 'avatar', 'model'];
+
+/** 部门 ID 格式（与 department-store 保持一致） */
+const DEPARTMENT_ID_PATTERN = /^[a-z][a-z0-9_]{1,19}$/;
+
+/**
+ * @typedef {Object} TemplateAgent
+ * @property {string} id - Agent ID（在新公司中沿用，汇报关系、部门负责人、OKR 负责人都按此引用）
+ * @property {import('../agent-factory/agent-request').AgentProfile} profile - 招聘简历，用于生成 System Prompt
+ * @property {string[]} [departments]
+ * @property {string} [description]
+ */
+
+/**
+ * @typedef {Object} CompanyTemplate
+ * @property {string} format - 固定为 soloforge-company-template
+ * @property {number} version
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [description]
+ * @property {string} [exportedAt]
+ * @property {Object[]} departments - 自定义部门，以及改过名称/颜色/负责人的预设部门
+ * @property {{ core: Object[], dynamic: TemplateAgent[] }} agents
+ * @property {Object} [salary] - { billing, currency, levelDefaults, agents, downgradePolicies }
+ * @property {Object} [permissions] - 权限配置（不含允许访问的目录）
+ * @property {Object[]} [memories] - 共享记忆
+ * @property {{ goals: Object[], kpis: Object[] }} [okr] - 目标与 KPI 骨架（不含进度和当前值）
+ */
+
+// ═══════════════════════════════════════════════════════════
+// 导出
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 从当前加载的公司导出模板
+ * @param {Object} options
+ * @param {string} options.name - 模板名称
+ * @param {string} [options.description]
+ * @param {string[]} [options.memoryIds] - 要带入模板的共享记忆
+ * @returns {CompanyTemplate}
+ */
+function exportCompanyTemplate({ name, description = '', memoryIds = [] }) {
+  const { agentConfigStore, CORE_AGENT_IDS, AGENT_STATUS } = require('../config/agent-config-store');
+  const { departmentStore } = require('../config/department-store');
+  const { permissionStore } = require('../config/permission-store');
+  const { approvalQueue } = require('../agent-factory/approval-queue');
+  const { budgetManager } = require('../budget/budget-manager');
+  const { modelPricing } = require('../budget/model-pricing');
+  const { memoryStore } = require('../memory/memory-store');
+  const { operationsStore } = require('../operations/operations-store');
+
+  const configs = agentConfigStore.getAll().filter((c) => (c.status || 'active') !== AGENT_STATUS.TERMINATED);
+  const agentIds = new Set(configs.map((c) => c.id));
+
+  // 核心 Agent：只导出可自定义的字段
+  const core = configs
+    .filter((c) => CORE_AGENT_IDS.includes(c.id))
+    .map((c) => {
+      const entry = { id: c.id };
+      for (const field of CORE_AGENT_FIELDS) {
+        if (c[field] !== undefined) entry[field] = c[field];
+      }
+      return entry;
+    });
+
+  // 动态 Agent：优先使用招聘申请里的完整简历，没有则从配置重建
+  const approved = approvalQueue.getAll({ status: 'approved' });
+  const dynamic = configs
+    .filter((c) => c.isDynamic)
+    .map((c) => {
+      const request = approved.find((r) => r.createdAgentId === c.id);
+      const profile = request?.profile
+        ? { ...request.profile }
+        : {
+          responsibilities: c.description ? [c.description] : [],
+        };
+      Object.assign(profile, {
+        name: c.name,
+        title: c.title,
+        level: c.level || profile.level || 'staff',
+        department: c.department || profile.department,
+        avatar: c.avatar || profile.avatar,
+        reportsTo: c.reportsTo || profile.reportsTo || '',
+        model: c.model || profile.model,
+      });
+      return {
+        id: c.id,
+        profile,
+        departments: c.departments,
+        description: c.description || '',
+      };
+    });
+
+  // 部门：自定义部门全部导出，预设部门只导出改动过的
+  const departments = departmentStore.getAll()
+    .filter((d) => !d.preset || d.updatedAt || d.headAgentId || d.description)
+    .map((d) => ({
+      id: d.id,
+      name: d.name,
+      color: d.color,
+      description: d.description || '',
+      headAgentId: agentIds.has(d.headAgentId) ? d.headAgentId : null,
+      preset: !!d.preset,
+    }));
+
+  // 薪资：计费方式、职级默认日薪、每位员工的日薪与降级策略（不含余额）
+  const billing = budgetManager.getBillingInfo();
+  const policies = budgetManager.listDowngradePolicies();
+  const salary = {
+    billing: { unit: billing.unit, ...(billing.tokensPerUnit ? { tokensPerUnit: billing.tokensPerUnit } : {}) },
+    currency: modelPricing.getReportingCurrency(),
+    levelDefaults: budgetManager.getLevelSalaryDefaults(),
+    agents: Object.fromEntries(
+      budgetManager.getAllAgentBudgets()
+        .filter((b) => agentIds.has(b.agentId) && typeof b.dailySalary === 'number')
+        .map((b) => [b.agentId, b.dailySalary])
+    ),
+    downgradePolicies: {
+      default: policies.default,
+      levels: policies.levels,
+      agents: Object.fromEntries(Object.entries(policies.agents).filter(([id]) => agentIds.has(id))),
+    },
+  };
+
+  // 权限：允许访问的目录与本机相关，不导出
+  const { files, ...restPermissions } = permissionStore.get();
+  const permissions = JSON.parse(JSON.stringify({
+    ...restPermissions,
+    files: { writeEnabled: files.writeEnabled, writeConfirm: files.writeConfirm },
+  }));
+
+  // 共享记忆：只导出老板选中的、仍然有效的共享记忆
+  const selected = new Set(memoryIds);
+  const memories = memoryStore.query({ scope: 'shared' })
+    .filter((m) => selected.has(m.id))
+    .map((m) => memoryStore.get(m.id))
+    .filter(Boolean)
+    .map((m) => ({
+      type: m.type,
+      content: m.content,
+      summary: m.summary,
+      tags: m.tags || [],
+      importance: m.importance,
+    }));
+
+  // OKR 骨架：目标层级、关键结果与 KPI 定义，不含进度、当前值和周期
+  const goals = operationsStore.getGoals()
+    .filter((g) => g.status !== 'cancelled')
+    .map((g) => ({
+      key: g.id,
+      title: g.title,
+      description: g.description || '',
+      type: g.type,
+      ownerId: agentIds.has(g.ownerId) ? g.ownerId : null,
+      department: g.department || '',
+      parentKey: g.parentId || null,
+      keyResults: g.keyResults || [],
+    }));
+  const kpis = operationsStore.getKPIs().map((k) => ({
+    name: k.name,
+    description: k.description || '',
+    ownerId: agentIds.has(k.ownerId) ? k.ownerId : null,
+    department: k.department || '',
+    unit: k.unit || '',
+    target: k.target,
+    direction: k.direction,
+  }));
+
+  const template = {
+    format: TEMPLATE_FORMAT,
+    version: TEMPLATE_VERSION,
+    id: `tpl-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name?.trim() || dataPath.getCompanyName(),
+    description: description?.trim() || '',
+    exportedAt: new Date().toISOString(),
+    departments,
+    agents: { core, dynamic },
+    salary,
+    permissions,
+    memories,
+    okr: { goals, kpis },
+  };
+
+  logger.info('公司模板已导出', {
+    name: template.name,
+    agents: dynamic.length,
+    departments: departments.length,
+    memories: memories.length,
+  });
+  return template;
+}
+
+// ═══════════════════════════════════════════════════════════
+// 校验与版本升级
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 把旧版本模板升级到当前版本
+ * @param {Object} template
+ * @returns {CompanyTemplate}
+ */
+function migrateTemplate(template) {
+  // 目前只有 v1；以后的版本在这里逐级升级，例如 if (template.version === 1) { ...; template.version = 2; }
+  return template;
+}
+
+/**
+ * 校验模板结构
+ * @param {Object} template
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateTemplate(template) {
+  const errors = [];
+  if (!template || typeof template !== 'object') {
+    return { valid: false, errors: ['模板必须是 JSON 对象'] };
+  }
+  if (template.format !== TEMPLATE_FORMAT) {
+    errors.push('不是 SoloForge 公司模板文件');
+  }
+  if (!Number.isInteger(template.version) || template.version < 1) {
+    errors.push('模板缺少有效的版本号');
+  } else if (template.version > TEMPLATE_VERSION) {
+    errors.push(`模板版本 v${template.version} 高于当前支持的 v${TEMPLATE_VERSION}，请升级 SoloForge 后再导入`);
+  }
+  if (!template.name?.trim?.()) {
+    errors.push('模板名称不能为空');
+  }
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const { CORE_AGENT_IDS } = require('../config/agent-config-store');
+  const agentIds = new Set(CORE_AGENT_IDS);
+
+  const departments = template.departments || [];
+  if (!Array.isArray(departments)) {
+    errors.push('departments 必须是数组');
+  } else {
+    for (const dept of departments) {
+      if (!DEPARTMENT_ID_PATTERN.test(dept?.id || '')) errors.push(`部门 ID 无效: ${dept?.id}`);
+      if (!dept?.name?.trim?.()) errors.push(`部门 ${dept?.id} 缺少名称`);
+    }
+  }
+
+  const core = template.agents?.core || [];
+  const dynamic = template.agents?.dynamic || [];
+  if (!Array.isArray(core) || !Array.isArray(dynamic)) {
+    errors.push('agents.core 与 agents.dynamic 必须是数组');
+  } else {
+    for (const agent of core) {
+      if (!CORE_AGENT_IDS.includes(agent?.id)) errors.push(`未知的核心 Agent: ${agent?.id}`);
+    }
+    for (const agent of dynamic) {
+      if (!agent?.id || typeof agent.id !== 'string') {
+        errors.push('动态 Agent 缺少 id');
+        continue;
+      }
+      if (agentIds.has(agent.id)) errors.push(`Agent ID 重复: ${agent.id}`);
+      agentIds.add(agent.id);
+      if (!agent.profile?.name?.trim?.() || !agent.profile?.title?.trim?.()) {
+        errors.push(`Agent ${agent.id} 的简历缺少名字或职位`);
+      }
+    }
+  }
+
+  for (const goal of template.okr?.goals || []) {
+    if (!goal?.title) errors.push('OKR 目标缺少标题');
+  }
+  for (const kpi of template.okr?.kpis || []) {
+    if (!kpi?.name) errors.push('KPI 缺少名称');
+  }
+  for (const memory of template.memories || []) {
+    if (!memory?.type || !memory?.content) errors.push('共享记忆缺少 type 或 content');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 解析模板文本：校验并升级到当前版本
+ * @param {string} text
+ * @returns {{ success: boolean, template?: CompanyTemplate, error?: string }}
+ */
+function parseTemplate(text) {
+  let template;
+  try {
+    template = JSON.parse(text);
+  } catch (error) {
+    return { success: false, error: `模板文件不是有效的 JSON: ${error.message}` };
+  }
+  const validation = validateTemplate(template);
+  if (!validation.valid) {
+    return { success: false, error: validation.errors.join('；') };
+  }
+  return { success: true, template: migrateTemplate(template) };
+}
+
+/**
+ * 生成模板摘要（用于列表与预览）
+ * @param {CompanyTemplate} template
+ * @returns {{ id: string, name: string, description: string, version: number, agentCount: number, departmentCount: number, memoryCount: number, goalCount: number }}
+ */
+function summarizeTemplate(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description || '',
+    version: template.version,
+    agentCount: template.agents?.dynamic?.length || 0,
+    departmentCount: template.departments?.length || 0,
+    memoryCount: template.memories?.length || 0,
+    goalCount: template.okr?.goals?.length || 0,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// 实例化
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 把模板写入新公司目录，待公司第一次加载时应用
+ * @param {string} companyDir
+ * @param {CompanyTemplate} template
+ */
+function writePendingTemplate(companyDir, template) {
+  if (!fs.existsSync(companyDir)) {
+    fs.mkdirSync(companyDir, { recursive: true });
+  }
+  atomicWriteSync(path.join(companyDir, PENDING_TEMPLATE_FILE), JSON.stringify(template, null, 2));
+}
+
+/**
+ * 如果当前公司有待应用的模板则应用（由 loadCompanyStores 在 store 重新加载后调用）
+ * 应用前先把文件改名，保证即使中途失败也不会在下次加载时重复创建员工
+ * @returns {boolean} 是否应用了模板
+ */
+function applyPendingTemplate() {
+  const basePath = dataPath.getBasePath();
+  const pendingPath = path.join(basePath, PENDING_TEMPLATE_FILE);
+  if (!fs.existsSync(pendingPath)) return false;
+
+  const appliedPath = path.join(basePath, APPLIED_TEMPLATE_FILE);
+  let template;
+  try {
+    fs.renameSync(pendingPath, appliedPath);
+    template = migrateTemplate(JSON.parse(readTextSync(appliedPath)));
+  } catch (error) {
+    logger.error('读取待应用的公司模板失败:', error);
+    return false;
+  }
+
+  try {
+    applyCompanyTemplate(template);
+  } catch (error) {
+    logger.error('应用公司模板失败:', error);
+  }
+  return true;
+}
+
+/**
+ * 把模板应用到当前加载的公司（新公司，store 为空白默认状态）
+ * @param {CompanyTemplate} template
+ */
+function applyCompanyTemplate(template) {
+  const { agentConfigStore, AGENT_STATUS, createDefaultOnboardingChecklist } = require('../config/agent-config-store');
+  const { departmentStore } = require('../config/department-store');
+  const { permissionStore } = require('../config/permission-store');
+  const { approvalQueue } = require('../agent-factory/approval-queue');
+  const { safeParseArray } = require('../agent-factory/agent-request');
+  const { budgetManager } = require('../budget/budget-manager');
+  const { memoryManager } = require('../memory');
+  const { operationsStore } = require('../operations/operations-store');
+
+  const reason = `从公司模板「${template.name}」创建`;
+
+  // 1. 权限（保留本机的允许访问目录）
+  if (template.permissions) {
+    const current = permissionStore.get();
+    permissionStore.update({
+      ...template.permissions,
+      files: { ...template.permissions.files, allowedPaths: current.files.allowedPaths },
+    });
+  }
+
+  // 2. 计费方式与职级默认日薪（新公司没有余额，切换计费单位不会换算出意外金额）
+  const salary = template.salary || {};
+  if (salary.billing?.unit) {
+    budgetManager.setBillingUnit(salary.billing.unit, { tokensPerUnit: salary.billing.tokensPerUnit });
+  }
+  if (salary.currency) {
+    budgetManager.setReportingCurrency(salary.currency);
+  }
+  for (const [level, amount] of Object.entries(salary.levelDefaults || {})) {
+    budgetManager.setDefaultSalary(level, amount);
+  }
+
+  // 3. 部门（负责人在员工创建后再设置）
+  for (const dept of template.departments || []) {
+    const fields = { name: dept.name, color: dept.color, description: dept.description || '' };
+    const result = departmentStore.exists(dept.id)
+      ? departmentStore.update(dept.id, fields)
+      : departmentStore.create({ id: dept.id, ...fields });
+    if (!result.success) {
+      logger.warn('模板部门创建失败:', { id: dept.id, error: result.error });
+    }
+  }
+
+  // 4. 核心 Agent 的自定义字段
+  for (const agent of template.agents?.core || []) {
+    const updates = {};
+    for (const field of CORE_AGENT_FIELDS) {
+      if (agent[field] !== undefined) updates[field] = agent[field];
+    }
+    if (Object.keys(updates).length > 0) {
+      agentConfigStore.update(agent.id, updates);
+    }
+  }
+
+  // 5. 动态 Agent：写入招聘记录与配置，实例由 restoreDynamicAgents() 创建
+  const now = new Date().toISOString();
+  for (const agent of template.agents?.dynamic || []) {
+    if (agentConfigStore.get(agent.id)) {
+      logger.warn('模板 Agent 已存在，跳过:', agent.id);
+      continue;
+    }
+    const profile = agent.profile;
+    approvalQueue.importApproved({ agentId: agent.id, profile, reason });
+    agentConfigStore.add({
+      id: agent.id,
+      name: profile.name,
+      title: profile.title,
+      level: profile.level || 'staff',
+      departments: agent.departments,
+      department: profile.department,
+      description: agent.description || safeParseArray(profile.responsibilities).join('; '),
+      avatar: profile.avatar || '👤',
+      reportsTo: profile.reportsTo,
+      model: profile.model,
+      isDynamic: true,
+      status: AGENT_STATUS.ACTIVE,
+      hireDate: now,
+      probationEnd: null, // 模板员工直接转正
+      promotionHistory: [],
+      onboardingChecklist: createDefaultOnboardingChecklist(),
+    });
+  }
+
+  // 6. 工资账户（模板未指定日薪的员工按职级默认值）
+  for (const config of agentConfigStore.getAll()) {
+    const level = config.level || 'staff';
+    budgetManager.initSalaryAccount(config.id, level, salary.agents?.[config.id]);
+  }
+  const policies = salary.downgradePolicies || {};
+  if (policies.default) {
+    budgetManager.setDowngradePolicy('default', null, policies.default);
+  }
+  for (const [level, policy] of Object.entries(policies.levels || {})) {
+    budgetManager.setDowngradePolicy('level', level, policy);
+  }
+  for (const [agentId, policy] of Object.entries(policies.agents || {})) {
+    budgetManager.setDowngradePolicy('agent', agentId, policy);
+  }
+
+  // 7. 部门负责人
+  for (const dept of template.departments || []) {
+    if (dept.headAgentId && agentConfigStore.get(dept.headAgentId)) {
+      departmentStore.update(dept.id, { headAgentId: dept.headAgentId });
+    }
+  }
+
+  // 8. 共享记忆
+  const memoryResult = memoryManager.storeMultiple((template.memories || []).map((m) => ({
+    type: m.type,
+    content: m.content,
+    summary: m.summary,
+    scope: 'shared',
+    tags: m.tags || [],
+    importance: m.importance,
+  })));
+  if (memoryResult.errors?.length) {
+    logger.warn('模板记忆部分导入失败:', memoryResult.errors);
+  }
+
+  // 9. OKR 骨架（按模板中的 key 还原父子关系）
+  const ownerOf = (ownerId) => {
+    const config = ownerId ? agentConfigStore.get(ownerId) : null;
+    return config ? { ownerId, ownerName: config.name } : { ownerId: 'ceo', ownerName: agentConfigStore.get('ceo')?.name };
+  };
+  const goalIds = new Map();
+  const pendingGoals = [...(template.okr?.goals || [])];
+  // 父目标先创建；引用了不存在父目标的按顶层目标处理
+  while (pendingGoals.length > 0) {
+    const index = pendingGoals.findIndex((g) => !g.parentKey || goalIds.has(g.parentKey)
+      || !pendingGoals.some((p) => p.key === g.parentKey));
+    const [goal] = pendingGoals.splice(index === -1 ? 0 : index, 1);
+    const created = operationsStore.createGoal({
+      title: goal.title,
+      description: goal.description,
+      type: goal.type,
+      department: goal.department,
+      parentId: goalIds.get(goal.parentKey),
+      keyResults: goal.keyResults,
+      ...ownerOf(goal.ownerId),
+    });
+    if (goal.key) goalIds.set(goal.key, created.id);
+  }
+  for (const kpi of template.okr?.kpis || []) {
+    operationsStore.createKPI({
+      name: kpi.name,
+      description: kpi.description,
+      department: kpi.department,
+      unit: kpi.unit,
+      target: kpi.target,
+      direction: kpi.direction,
+      ...ownerOf(kpi.ownerId),
+    });
+  }
+
+  operationsStore.logActivity('system', reason, 'system', '系统', {
+    templateId: template.id,
+    templateVersion: template.version,
+  });
+  logger.info('公司模板已应用', {
+    template: template.name,
+    agents: template.agents?.dynamic?.length || 0,
+    departments: template.departments?.length || 0,
+  });
+}
+
+module.exports = {
+  TEMPLATE_FORMAT,
+  TEMPLATE_VERSION,
+  exportCompanyTemplate,
+  validateTemplate,
+  migrateTemplate,
+  parseTemplate,
+  summarizeTemplate,
+  writePendingTemplate,
+  applyPendingTemplate,
+  applyCompanyTemplate,
+};
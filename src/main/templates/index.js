@@ -0,0 +1,26 @@
+/**
+ * SoloForge - 公司模板模块入口
+ * @module templates
+ */
+
+const {
+  exportCompanyTemplate,
+  parseTemplate,
+  summarizeTemplate,
+  writePendingTemplate,
+  applyPendingTemplate,
+} = require('./company-template');
+const { BUILTIN_TEMPLATES, getBuiltinTemplate } = require('./builtin-templates');
+const { setupTemplateIpcHandlers, resolveTemplate } = require('./template-ipc-handlers');
+
+module.exports = {
+  exportCompanyTemplate,
+  parseTemplate,
+  summarizeTemplate,
+  writePendingTemplate,
+  applyPendingTemplate,
+  BUILTIN_TEMPLATES,
+  getBuiltinTemplate,
+  resolveTemplate,
+  setupTemplateIpcHandlers,
+};
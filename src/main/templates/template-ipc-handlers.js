@@ -0,0 +1,99 @@
+/**
+ * SoloForge - 公司模板 IPC 处理器
+ * @module templates/template-ipc-handlers
+ */
+
+const fs = require('fs');
+const { ipcMain, dialog } = require('electron');
+const { logger } = require('../utils/logger');
+const { exportCompanyTemplate, parseTemplate, summarizeTemplate } = require('./company-template');
+const { BUILTIN_TEMPLATES, getBuiltinTemplate } = require('./builtin-templates');
+const {
+  TEMPLATE_LIST_BUILTIN,
+  TEMPLATE_EXPORT,
+  TEMPLATE_IMPORT_FILE,
+} = require('../../shared/ipc-channels');
+
+/** 模板文件扩展名 */
+const TEMPLATE_FILE_FILTERS = [{ name: 'SoloForge 公司模板', extensions: ['json'] }];
+
+/**
+ * 按来源读取模板（创建公司时使用）
+ * 文件模板在主进程重新读取并校验，不信任渲染进程传入的模板内容
+ * @param {{ source: 'builtin', id: string } | { source: 'file', filePath: string } | null} [selection]
+ * @returns {{ success: boolean, template?: import('./company-template').CompanyTemplate | null, error?: string }}
+ */
+function resolveTemplate(selection) {
+  if (!selection) {
+    return { success: true, template: null };
+  }
+  if (selection.source === 'builtin') {
+    const template = getBuiltinTemplate(selection.id);
+    return template ? { success: true, template } : { success: false, error: `内置模板不存在: ${selection.id}` };
+  }
+  if (selection.source === 'file') {
+    try {
+      return parseTemplate(fs.readFileSync(selection.filePath, 'utf-8'));
+    } catch (error) {
+      return { success: false, error: `读取模板文件失败: ${error.message}` };
+    }
+  }
+  return { success: false, error: `不支持的模板来源: ${selection.source}` };
+}
+
+/**
+ * 设置公司模板 IPC 处理器
+ */
+function setupTemplateIpcHandlers() {
+  // 内置模板列表
+  ipcMain.handle(TEMPLATE_LIST_BUILTIN, async () => {
+    return BUILTIN_TEMPLATES.map(summarizeTemplate);
+  });
+
+  // 把当前公司导出为模板文件
+  ipcMain.handle(TEMPLATE_EXPORT, async (_event, { name, description, memoryIds } = {}) => {
+    try {
+      const template = exportCompanyTemplate({ name, description, memoryIds });
+      const result = await dialog.showSaveDialog({
+        title: '导出公司模板',
+        defaultPath: `${template.name}.soloforge-template.json`,
+        filters: TEMPLATE_FILE_FILTERS,
+      });
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+      fs.writeFileSync(result.filePath, JSON.stringify(template, null, 2), 'utf-8');
+      return { success: true, filePath: result.filePath, summary: summarizeTemplate(template) };
+    } catch (error) {
+      logger.error('导出公司模板失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 选择模板文件并校验（只返回摘要，创建公司时再按路径读取）
+  ipcMain.handle(TEMPLATE_IMPORT_FILE, async () => {
+    try {
+      const result = await dialog.showOpenDialog({
+        title: '选择公司模板',
+        properties: ['openFile'],
+        filters: TEMPLATE_FILE_FILTERS,
+      });
+      if (result.canceled || !result.filePaths.length) {
+        return { success: false, canceled: true };
+      }
+      const filePath = result.filePaths[0];
+      const parsed = resolveTemplate({ source: 'file', filePath });
+      if (!parsed.success) {
+        return { success: false, error: parsed.error };
+      }
+      return { success: true, filePath, summary: summarizeTemplate(parsed.template) };
+    } catch (error) {
+      logger.error('读取公司模板失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  logger.info('公司模板 IPC 处理器已设置');
+}
+
+module.exports = { setupTemplateIpcHandlers, resolveTemplate };
@@ -40,6 +40,11 @@ class BrowserPool {
    * 标记就绪（在 app ready 之后调用）
    */
   init() {
+    // 后台公司的 utility 进程中没有 BrowserWindow，浏览器抓取不可用
+    if (!BrowserWindow) {
+      logger.info('BrowserPool: 当前进程不支持浏览器窗口，已跳过');
+      return;
+    }
     this._ready = true;
     logger.info('BrowserPool 已就绪（懒创建模式）');
   }
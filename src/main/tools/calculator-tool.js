@@ -73,6 +73,7 @@ const calculatorTool = {
   name: 'calculator',
   description: '计算数学表达式。支持基本运算（+, -, *, /, %, ^）和数学函数（sin, cos, sqrt, log 等）。',
   category: 'math',
+  readOnly: true,
   parameters: {
     expression: {
       type: 'string',
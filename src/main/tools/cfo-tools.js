@@ -7,6 +7,11 @@
 const { toolRegistry } = require('./tool-registry');
 const { tokenTracker } = require('../budget/token-tracker');
 const { budgetManager } = require('../budget/budget-manager');
+const { modelPricing } = require('../budget/model-pricing');
+const { costForecaster } = require('../budget/cost-forecast');
+
+/** 金额参数的单位说明（随计费单位变化） */
+const AMOUNT_UNIT_HINT = '单位随计费单位而定：按 tokens 计费时为 token 数，按货币计费时为报表币种金额';
 
 /**
  * Token 统计工具
@@ -14,9 +19,10 @@ const { budgetManager } = require('../budget/budget-manager');
 const tokenStatsTool = {
   name: 'token_stats',
   description:
-    '获取 Token 使用统计。可查看全局统计、特定 Agent 统计或时间范围统计。' +
+    '获取 Token 使用统计（含按模型价格表折算的实际成本）。可查看全局统计、特定 Agent 统计或时间范围统计。' +
     '【重要】如果需要查询特定员工的 Token 使用，必须先通过 list_colleagues 获取该员工的完整 agent_id（格式如 agent-1771250247826-q4ovxt），不要猜测或编造 ID！',
   category: 'cfo',
+  readOnly: true,
   parameters: {
     agent_id: {
       type: 'string',
@@ -116,7 +122,7 @@ const tokenStatsTool = {
         // 兼容旧的百分比计算
         budgetUsagePercent: salaryInfo?.dailySalary
           ? Math.round(((salaryInfo.dailySalary - salaryInfo.balance) / salaryInfo.dailySalary) * 100)
-          : (budget?.dailyLimit ? Math.round((summary.totalTokens / budget.dailyLimit) * 100) : null),
+          : (budget?.dailyLimit ? Math.round((budgetManager.measureUsage(summary) / budget.dailyLimit) * 100) : null),
       };
     });
 
@@ -137,14 +143,17 @@ const tokenStatsTool = {
     return {
       period,
       periodStart: formatLocalTime(sinceTimestamp),
+      billing: budgetManager.getBillingInfo(),
       global: {
         ...totalUsage,
+        totalCostText: modelPricing.formatMoney(totalUsage.totalCost),
         globalDailyLimit: globalBudget.globalDailyLimit,
         globalTotalLimit: globalBudget.globalTotalLimit,
-        dailyUsagePercent: Math.round(
-          (totalUsage.totalTokens / globalBudget.globalDailyLimit) * 100
-        ),
+        dailyUsagePercent: globalBudget.globalDailyLimit > 0
+          ? Math.round((budgetManager.measureUsage(totalUsage) / globalBudget.globalDailyLimit) * 100)
+          : 0,
       },
+      byModel: agent_id ? undefined : tokenTracker.getCostByModel(sinceTimestamp),
       agents: agentStats,
     };
   },
@@ -155,8 +164,9 @@ const tokenStatsTool = {
  */
 const tokenSetBudgetTool = {
   name: 'token_set_budget',
-  description: '设置 Token 使用预算。可设置全局预算或特定 Agent 预算。',
+  description: `设置 Token 使用预算。可设置全局预算或特定 Agent 预算。限额${AMOUNT_UNIT_HINT}。`,
   category: 'cfo',
+  privileged: true,
   parameters: {
     agent_id: {
       type: 'string',
@@ -165,12 +175,12 @@ const tokenSetBudgetTool = {
     },
     daily_limit: {
       type: 'number',
-      description: '每日 Token 限额（0 表示无限制）',
+      description: '每日限额（0 表示无限制）',
       required: false,
     },
     total_limit: {
       type: 'number',
-      description: '总 Token 限额（0 表示无限制）',
+      description: '总限额（0 表示无限制）',
       required: false,
     },
     enabled: {
@@ -225,6 +235,7 @@ const adjustSalaryTool = {
     '调整某个员工的日薪。' +
     '【重要】必须先通过 list_colleagues 获取该员工的完整 agent_id！',
   category: 'cfo',
+  privileged: true,
   parameters: {
     agent_id: {
       type: 'string',
@@ -233,7 +244,7 @@ const adjustSalaryTool = {
     },
     daily_salary: {
       type: 'number',
-      description: '新的日薪金额（单位：tokens）',
+      description: `新的日薪金额（${AMOUNT_UNIT_HINT}）`,
       required: true,
     },
   },
@@ -261,7 +272,7 @@ const adjustSalaryTool = {
         agentName: config.name,
         oldSalary: result.oldSalary,
         newSalary: result.newSalary,
-        message: `已将 ${config.name} 的日薪从 ${result.oldSalary.toLocaleString()} 调整为 ${result.newSalary.toLocaleString()} tokens`,
+        message: `已将 ${config.name} 的日薪从 ${budgetManager.formatAmount(result.oldSalary)} 调整为 ${budgetManager.formatAmount(result.newSalary)}`,
       };
     }
     return result;
@@ -276,6 +287,7 @@ const setLevelSalaryTool = {
   description:
     '设置某个职级的默认日薪。此设置只影响新入职的员工，不会自动修改现有员工的日薪。',
   category: 'cfo',
+  privileged: true,
   parameters: {
     level: {
       type: 'string',
@@ -285,7 +297,7 @@ const setLevelSalaryTool = {
     },
     daily_salary: {
       type: 'number',
-      description: '新的默认日薪金额（单位：tokens）',
+      description: `新的默认日薪金额（${AMOUNT_UNIT_HINT}）`,
       required: true,
     },
   },
@@ -301,7 +313,7 @@ const setLevelSalaryTool = {
         level,
         oldSalary: result.oldValue,
         newSalary: result.newValue,
-        message: `已将职级「${level}」的默认日薪从 ${(result.oldValue || 0).toLocaleString()} 调整为 ${result.newValue.toLocaleString()} tokens`,
+        message: `已将职级「${level}」的默认日薪从 ${budgetManager.formatAmount(result.oldValue || 0)} 调整为 ${budgetManager.formatAmount(result.newValue)}`,
         note: '此设置只影响新入职员工，不会修改现有员工的日薪',
       };
     }
@@ -318,6 +330,7 @@ const payBonusTool = {
     '给员工发放奖金，直接加到其账户余额中。' +
     '【重要】必须先通过 list_colleagues 获取该员工的完整 agent_id！',
   category: 'cfo',
+  privileged: true,
   parameters: {
     agent_id: {
       type: 'string',
@@ -326,7 +339,7 @@ const payBonusTool = {
     },
     amount: {
       type: 'number',
-      description: '奖金金额（单位：tokens，必须为正数）',
+      description: `奖金金额（必须为正数，${AMOUNT_UNIT_HINT}）`,
       required: true,
     },
     reason: {
@@ -361,7 +374,7 @@ const payBonusTool = {
         reason: reason || '无',
         oldBalance: result.oldBalance,
         newBalance: result.newBalance,
-        message: `已向 ${config.name} 发放 ${amount.toLocaleString()} tokens 奖金，余额: ${result.oldBalance.toLocaleString()} -> ${result.newBalance.toLocaleString()}`,
+        message: `已向 ${config.name} 发放 ${budgetManager.formatAmount(amount)} 奖金，余额: ${budgetManager.formatAmount(result.oldBalance)} -> ${budgetManager.formatAmount(result.newBalance)}`,
       };
     }
     return result;
@@ -375,6 +388,7 @@ const viewSalaryConfigTool = {
   name: 'view_salary_config',
   description: '查看当前的职级工资配置和所有员工的薪资状况',
   category: 'cfo',
+  readOnly: true,
   parameters: {},
   requiredPermissions: [],
 
@@ -407,6 +421,7 @@ const viewSalaryConfigTool = {
 
     return {
       success: true,
+      billing: budgetManager.getBillingInfo(),
       levelSalaryDefaults: levelDefaults,
       employeeCount: employeeSalaries.length,
       overdrawnCount: overdrawnEmployees.length,
@@ -421,6 +436,367 @@ const viewSalaryConfigTool = {
   },
 };
 
+/**
+ * 查看模型价格表工具
+ */
+const viewModelPricesTool = {
+  name: 'view_model_prices',
+  description: '查看各模型的单价（每百万 token 的输入 / 输出 / 缓存命中输入价格）、报表币种、汇率和当前计费单位',
+  category: 'cfo',
+  readOnly: true,
+  parameters: {},
+  requiredPermissions: [],
+
+  async execute() {
+    return {
+      success: true,
+      billing: budgetManager.getBillingInfo(),
+      reportingCurrency: modelPricing.getReportingCurrency(),
+      exchangeRates: { ...modelPricing.config.exchangeRates },
+      prices: modelPricing.listPrices(),
+      note: '单价为每百万 token 的价格；未登记的模型按最长前缀匹配，仍未匹配则按兜底价计费',
+    };
+  },
+};
+
+/**
+ * 设置模型单价工具
+ */
+const setModelPriceTool = {
+  name: 'set_model_price',
+  description:
+    '设置某个模型的单价（每百万 token），覆盖内置参考价。模型名可以是前缀（如 claude-opus-4-5 会匹配 claude-opus-4-5-kiro）。' +
+    '传 reset=true 可删除自定义单价、恢复内置参考价。',
+  category: 'cfo',
+  privileged: true,
+  parameters: {
+    model: {
+      type: 'string',
+      description: '模型名或模型名前缀',
+      required: true,
+    },
+    input: {
+      type: 'number',
+      description: '输入单价（每百万 token）',
+      required: false,
+    },
+    output: {
+      type: 'number',
+      description: '输出单价（每百万 token）',
+      required: false,
+    },
+    cached_input: {
+      type: 'number',
+      description: '缓存命中的输入单价（每百万 token）',
+      required: false,
+    },
+    currency: {
+      type: 'string',
+      description: '报价币种',
+      required: false,
+      enum: ['USD', 'CNY'],
+    },
+    reset: {
+      type: 'boolean',
+      description: '是否恢复内置参考价',
+      required: false,
+    },
+  },
+  requiredPermissions: [],
+
+  async execute(args) {
+    const { model, input, output, cached_input, currency, reset } = args;
+    if (reset) {
+      return modelPricing.removeModelPrice(model);
+    }
+
+    const result = modelPricing.setModelPrice(model, { input, output, cachedInput: cached_input, currency });
+    if (result.success) {
+      const symbol = modelPricing.getCurrencySymbol(result.price.currency);
+      return {
+        ...result,
+        message: `已将 ${result.model} 的单价设为 输入 ${symbol}${result.price.input} / 输出 ${symbol}${result.price.output} / 缓存输入 ${symbol}${result.price.cachedInput}（每百万 token）`,
+      };
+    }
+    return result;
+  },
+};
+
+/**
+ * 设置计费单位工具
+ */
+const setBillingUnitTool = {
+  name: 'set_billing_unit',
+  description:
+    '切换预算计费单位：tokens（按 token 数记账）或 currency（按模型价格表折算的实际成本记账）。' +
+    '切换时所有余额、日薪和限额会按换算比例自动转换。也可同时修改报表币种。',
+  category: 'cfo',
+  privileged: true,
+  parameters: {
+    unit: {
+      type: 'string',
+      description: '计费单位',
+      required: true,
+      enum: ['tokens', 'currency'],
+    },
+    tokens_per_unit: {
+      type: 'number',
+      description: '换算比例：每 1 货币单位对应多少 token（不填则按最近 30 天的实际成本估算）',
+      required: false,
+    },
+    currency: {
+      type: 'string',
+      description: '报表币种（按货币计费时余额和日薪使用的币种）',
+      required: false,
+      enum: ['USD', 'CNY'],
+    },
+  },
+  requiredPermissions: [],
+
+  async execute(args) {
+    const { unit, tokens_per_unit, currency } = args;
+
+    if (currency) {
+      const currencyResult = budgetManager.setReportingCurrency(currency);
+      if (!currencyResult.success) return currencyResult;
+    }
+
+    const result = budgetManager.setBillingUnit(unit, { tokensPerUnit: tokens_per_unit });
+    if (!result.success) return result;
+
+    const billing = budgetManager.getBillingInfo();
+    let message = '当前按 token 数计费';
+    if (billing.unit === 'currency') {
+      message = `当前按 ${billing.currency} 计费`;
+      if (result.converted) {
+        message += `，余额和日薪已按 ${Math.round(result.tokensPerUnit).toLocaleString()} tokens = ${billing.symbol}1 换算`;
+      }
+    }
+    return { ...result, billing, message };
+  },
+};
+
+/**
+ * 查看降级策略工具
+ */
+const viewDowngradePoliciesTool = {
+  name: 'view_downgrade_policies',
+  description:
+    '查看预算降级策略：公司默认 / 各职级 / 各员工的模型降级阶梯、阻止线和阻止方式，各员工当前所处的降级阶段，以及最近的自动降级审计记录',
+  category: 'cfo',
+  readOnly: true,
+  parameters: {
+    agent_id: {
+      type: 'string',
+      description: '只查看某个员工生效的策略和降级记录（使用 list_colleagues 返回的真实 agent_id）',
+      required: false,
+    },
+    limit: {
+      type: 'number',
+      description: '返回的审计记录条数（默认 20）',
+      required: false,
+      default: 20,
+    },
+  },
+  requiredPermissions: [],
+
+  async execute(args) {
+    const { agent_id } = args;
+    const limit = Math.min(Math.max(Math.round(args.limit || 20), 1), 200);
+    const note = 'belowPercent / blockBelowPercent 为日薪的百分比：0 表示开始透支，-100 表示透支一倍日薪';
+
+    if (agent_id) {
+      const effective = budgetManager.getDowngradePolicy(agent_id);
+      return {
+        success: true,
+        agentId: agent_id,
+        ...effective,
+        state: budgetManager.listDowngradePolicies().states[agent_id] || { stage: 'normal' },
+        log: budgetManager.getDowngradeLog({ agentId: agent_id, limit }),
+        note,
+      };
+    }
+
+    return {
+      success: true,
+      ...budgetManager.listDowngradePolicies(),
+      log: budgetManager.getDowngradeLog({ limit }),
+      note,
+    };
+  },
+};
+
+/**
+ * 设置降级策略工具
+ */
+const setDowngradePolicyTool = {
+  name: 'set_downgrade_policy',
+  description:
+    '设置预算降级策略。余额低于某级阶梯线时自动切换到该级模型（如 高档 → 中档 → 本地 Ollama），越过阻止线时阻止调用，' +
+    '或设为只禁止有副作用的工具（仍可对话和使用只读工具）。策略优先级：员工 > 职级 > 公司默认 > 内置。传 reset=true 删除该策略。',
+  category: 'cfo',
+  privileged: true,
+  parameters: {
+    scope: {
+      type: 'string',
+      description: '作用范围：default 公司默认，level 某个职级，agent 某个员工',
+      required: true,
+      enum: ['default', 'level', 'agent'],
+    },
+    target: {
+      type: 'string',
+      description: 'scope 为 level 时填职级 ID（如 staff、manager），为 agent 时填 agent_id',
+      required: false,
+    },
+    ladder: {
+      type: 'array',
+      description:
+        '降级阶梯（JSON 数组），每级形如 {"model": "glm-4.7", "belowPercent": 0}，可选 "provider"（如 "ollama"）。' +
+        'belowPercent 为日薪的百分比，余额低于该线启用本级',
+      required: false,
+    },
+    block_below_percent: {
+      type: 'number',
+      description: '阻止线（日薪的百分比，默认 -200 即透支两倍日薪）',
+      required: false,
+    },
+    block_mode: {
+      type: 'string',
+      description: '越过阻止线后的处理：all 阻止一切调用；mutating 只禁止有副作用的工具',
+      required: false,
+      enum: ['all', 'mutating'],
+    },
+    reset: {
+      type: 'boolean',
+      description: '是否删除该策略（回退到上一层策略）',
+      required: false,
+    },
+  },
+  requiredPermissions: [],
+
+  async execute(args) {
+    const { scope, target, block_below_percent, block_mode, reset } = args;
+
+    if (scope === 'agent') {
+      const { agentConfigStore } = require('../config/agent-config-store');
+      if (!agentConfigStore.get(target)) {
+        return {
+          success: false,
+          error: `找不到 Agent ID「${target}」`,
+          hint: '请使用 list_colleagues 工具获取完整的员工列表和正确的 agent_id',
+        };
+      }
+    }
+
+    if (reset) {
+      const result = budgetManager.setDowngradePolicy(scope, target, null);
+      return result.success ? { ...result, message: '已删除该降级策略，回退到上一层策略' } : result;
+    }
+
+    let ladder = args.ladder;
+    if (typeof ladder === 'string') {
+      try {
+        ladder = JSON.parse(ladder);
+      } catch {
+        return { success: false, error: 'ladder 必须是 JSON 数组' };
+      }
+    }
+    // 未传阶梯时沿用当前生效策略的阶梯，便于只调整阻止线或阻止方式
+    const configured = budgetManager.listDowngradePolicies();
+    const current = (scope === 'agent' && budgetManager.getDowngradePolicy(target).policy) ||
+      (scope === 'level' && configured.levels[target]) ||
+      configured.default ||
+      configured.builtin;
+    const result = budgetManager.setDowngradePolicy(scope, target, {
+      ladder: ladder ?? current.ladder,
+      blockBelowPercent: block_below_percent ?? current.blockBelowPercent,
+      blockMode: block_mode || current.blockMode,
+    });
+    if (!result.success) return result;
+
+    const steps = result.policy.ladder.map((r) => `${r.model}${r.provider ? `@${r.provider}` : ''}（<${r.belowPercent}%）`);
+    return {
+      ...result,
+      message: `降级阶梯：${steps.join(' → ') || '无'}；余额 ≤ 日薪 ${result.policy.blockBelowPercent}% 时` +
+        (result.policy.blockMode === 'mutating' ? '只禁止有副作用的工具' : '阻止调用'),
+    };
+  },
+};
+
+/**
+ * 成本预测工具
+ */
+const cfoForecastTool = {
+  name: 'cfo_forecast',
+  description:
+    '预测全公司或某个员工未来的 Token 消耗与成本（今日日末、未来每日、未来一周），' +
+    '给出预算前景（预计超限日期、员工余额预计几天后透支到被阻止），并列出最近检测到的异常消耗（如工具调用死循环）及对应的对话 / 任务。' +
+    '【重要】查询特定员工时必须使用 list_colleagues 返回的真实 agent_id！',
+  category: 'cfo',
+  readOnly: true,
+  parameters: {
+    agent_id: {
+      type: 'string',
+      description: '要预测的 Agent ID，不指定则返回全公司预测和各员工预测汇总',
+      required: false,
+    },
+    horizon_days: {
+      type: 'number',
+      description: '向后预测的天数（1-30，默认 7）',
+      required: false,
+      default: 7,
+    },
+    history_days: {
+      type: 'number',
+      description: '参与拟合的历史天数（3-60，默认 14）',
+      required: false,
+      default: 14,
+    },
+  },
+  requiredPermissions: [],
+
+  async execute(args) {
+    const { agent_id } = args;
+    const horizonDays = Math.min(Math.max(Math.round(args.horizon_days || 7), 1), 30);
+    const historyDays = Math.min(Math.max(Math.round(args.history_days || 14), 3), 60);
+
+    if (agent_id) {
+      const { agentConfigStore } = require('../config/agent-config-store');
+      if (!agentConfigStore.get(agent_id)) {
+        return {
+          success: false,
+          error: `找不到 Agent ID「${agent_id}」`,
+          hint: '请使用 list_colleagues 工具获取完整的员工列表和正确的 agent_id',
+        };
+      }
+    }
+
+    const { alertSystem } = require('../budget/alert-system');
+    const anomalies = alertSystem.getAlerts()
+      .filter((a) => a.type === 'cost_anomaly' && (!agent_id || a.agentId === agent_id))
+      .slice(0, 10)
+      .map((a) => ({ message: a.message, timestamp: a.timestamp, acknowledged: a.acknowledged, ...a.anomaly }));
+
+    const billing = budgetManager.getBillingInfo();
+    if (agent_id) {
+      return {
+        success: true,
+        billing,
+        forecast: costForecaster.forecast({ agentId: agent_id, historyDays, horizonDays }),
+        anomalies,
+      };
+    }
+
+    return {
+      success: true,
+      billing,
+      ...costForecaster.forecastAll({ historyDays, horizonDays }),
+      anomalies,
+      note: 'cost 字段为报表币种金额；budget 字段按当前计费单位计',
+    };
+  },
+};
+
 /**
  * 注册 CFO 工具
  * 注意：Agent 审批相关工具已移交给 CHRO（HR 工具）
@@ -432,6 +808,12 @@ function registerCFOTools() {
   toolRegistry.register(setLevelSalaryTool);
   toolRegistry.register(payBonusTool);
   toolRegistry.register(viewSalaryConfigTool);
+  toolRegistry.register(viewModelPricesTool);
+  toolRegistry.register(setModelPriceTool);
+  toolRegistry.register(setBillingUnitTool);
+  toolRegistry.register(cfoForecastTool);
+  toolRegistry.register(viewDowngradePoliciesTool);
+  toolRegistry.register(setDowngradePolicyTool);
 }
 
 module.exports = {
@@ -441,5 +823,11 @@ module.exports = {
   setLevelSalaryTool,
   payBonusTool,
   viewSalaryConfigTool,
+  viewModelPricesTool,
+  setModelPriceTool,
+  setBillingUnitTool,
+  cfoForecastTool,
+  viewDowngradePoliciesTool,
+  setDowngradePolicyTool,
   registerCFOTools,
 };
@@ -167,7 +167,7 @@ const delegateTaskTool = {
     },
     create_branch: {
       type: 'boolean',
-      description: '是否为该任务创建 Git 工作分支（适合代码类任务，默认 false）',
+      description: '是否为该任务创建 Git 工作分支（适合代码类任务，默认 false）。任务在独立的 git worktree 中执行，并行任务互不干扰',
       required: false,
     },
     require_plan_approval: {
@@ -239,7 +239,7 @@ const delegateTaskTool = {
           branchInfo = {
             branch: gitBranchName,
             workspace: gitWorkspace,
-            message: `已为任务创建 Git 工作分支: ${gitBranchName}`,
+            message: `已为任务创建 Git 工作分支: ${gitBranchName}（执行时在独立 worktree 中检出）`,
           };
           logger.info(`任务分支已创建: ${gitBranchName}`);
         } else {
@@ -305,6 +305,7 @@ const myTasksTool = {
 - 我分配出去的任务（assigned）
 - 所有相关任务（all）`,
   category: 'collaboration',
+  readOnly: true,
   parameters: {
     type: {
       type: 'string',
@@ -354,6 +355,7 @@ const communicationHistoryTool = {
   name: 'communication_history',
   description: '查看与其他同事的沟通记录和任务委派（最近的）',
   category: 'collaboration',
+  readOnly: true,
   parameters: {
     limit: {
       type: 'number',
@@ -442,6 +444,7 @@ const browseHistoryTool = {
 - page=2 表示倒数第二页（更早的记录）
 - 以此类推，页码越大记录越早`,
   category: 'collaboration',
+  readOnly: true,
   parameters: {
     with_agent: {
       type: 'string',
@@ -521,6 +524,7 @@ const communicationInfoTool = {
   name: 'communication_info',
   description: '获取与某位同事的通信统计信息，了解有多少历史记录、分多少页等',
   category: 'collaboration',
+  readOnly: true,
   parameters: {
     with_agent: {
       type: 'string',
@@ -566,6 +570,7 @@ const listColleaguesTool = {
 
 部门 ID 列表：executive（高管）、tech（技术）、finance（财务）、admin（行政）、hr（人力）、product（产品）、marketing（市场）、sales（销售）、operations（运营）、legal（法务）`,
   category: 'collaboration',
+  readOnly: true,
   parameters: {
     department: {
       type: 'string',
@@ -619,6 +624,7 @@ const collaborationStatsTool = {
   name: 'collaboration_stats',
   description: '查看我的协作统计数据',
   category: 'collaboration',
+  readOnly: true,
   parameters: {},
   requiredPermissions: [],
   async execute(args, context) {
@@ -1322,11 +1328,8 @@ const cancelDelegatedTaskTool = {
       if (!cancellableStatuses.includes(task.status)) {
         return { error: `任务 ${task_id} 当前状态为 ${task.status}，无法取消（只能取消 pending/in_progress/awaiting_plan_approval 状态的任务）` };
       }
-      agentCommunication.updateTask(task_id, {
-        status: 'cancelled',
-        cancelledAt: now,
-        cancelReason: cancelReason,
-      });
+      // 正在执行的任务会在当前一轮工具调用后停止；取消的任务不再需要 worktree，未提交的更改一并丢弃（分支保留）
+      await agentCommunication.cancelTask(task_id, { cancelledAt: now, cancelReason });
       cancelled.push({ id: task_id, to: task.toAgent, description: task.taskDescription?.slice(0, 60) });
     } else {
       // 批量取消
@@ -1343,11 +1346,7 @@ const cancelDelegatedTaskTool = {
       }
 
       for (const task of toCancel) {
-        agentCommunication.updateTask(task.id, {
-          status: 'cancelled',
-          cancelledAt: now,
-          cancelReason: cancelReason,
-        });
+        await agentCommunication.cancelTask(task.id, { cancelledAt: now, cancelReason });
         cancelled.push({ id: task.id, to: task.toAgent, description: task.taskDescription?.slice(0, 60) });
       }
     }
@@ -28,6 +28,7 @@ const readVirtualFileTool = {
 - 需要查看被截断的完整输出
 - 搜索大文件中的特定内容`,
   category: 'context',
+  readOnly: true,
   parameters: {
     file_id: {
       type: 'string',
@@ -120,6 +121,7 @@ const listVirtualFilesTool = {
 
 用于查看哪些大型工具结果被外部化存储了。`,
   category: 'context',
+  readOnly: true,
   parameters: {
     type: {
       type: 'string',
@@ -292,6 +294,7 @@ const viewScratchpadTool = {
 
 用于检查当前保存的工作状态、已完成步骤、关键发现等。`,
   category: 'context',
+  readOnly: true,
   parameters: {},
   requiredPermissions: [],
   execute(args, context) {
@@ -349,6 +352,7 @@ const recallCompressedHistoryTool = {
 - 想知道之前是否执行过某个操作
 - 搜索之前的代码/文件内容`,
   category: 'context',
+  readOnly: true,
   parameters: {
     virtual_file_id: {
       type: 'string',
@@ -15,6 +15,7 @@ const readFileTool = {
   name: 'read_file',
   description: '读取文件内容。可指定行号范围只读取部分内容。',
   category: 'file',
+  readOnly: true,
   parameters: {
     path: {
       type: 'string',
@@ -81,6 +82,7 @@ const listFilesTool = {
   name: 'list_files',
   description: '列出目录中的文件和子目录。',
   category: 'file',
+  readOnly: true,
   parameters: {
     path: {
       type: 'string',
@@ -6,6 +6,9 @@
 
 const { toolRegistry } = require('./tool-registry');
 const { PRManager } = require('../git/pr-manager');
+const { parseUnifiedDiff, formatNumberedDiff } = require('../git/diff-parser');
+const { formatFailedChecks } = require('../git/merge-checks');
+const { forgeSync } = require('../git/forge-sync');
 const { permissionStore } = require('../config/permission-store');
 const { logger } = require('../utils/logger');
 
@@ -77,6 +80,62 @@ function getPRManager(workspacePath) {
   return new PRManager(resolveWorkspace(workspacePath));
 }
 
+/**
+ * Agent 的 commit author（名称取自 Agent 配置，缺省用 ID）
+ * @param {string} agentId
+ * @returns {string} "Name <email>"
+ */
+function getCommitAuthor(agentId) {
+  let authorName = agentId;
+  try {
+    const { agentConfigStore } = require('../config/agent-config-store');
+    const config = agentConfigStore.get(agentId);
+    if (config?.name) {
+      authorName = config.name;
+    }
+  } catch { /* fallback to agentId */ }
+  return `${authorName.replace(/[<>"]/g, '')} <${agentId}@soloforge.local>`;
+}
+
+/**
+ * PR 远程镜像的摘要（未配置远程平台时返回 undefined）
+ * @param {Object} pr
+ * @returns {{ number?: number, url?: string, pending: number, lastError?: string } | undefined}
+ */
+function summarizeRemote(pr) {
+  if (!pr.remote) return undefined;
+  return {
+    number: pr.remote.number,
+    url: pr.remote.url,
+    pending: pr.remote.pending?.length || 0,
+    ...(pr.remote.lastError ? { lastError: pr.remote.lastError } : {}),
+  };
+}
+
+/**
+ * 评论线程的参与者（PR 作者 + 线程中发言的人），用于推送通知
+ * @param {Object} pr
+ * @param {Object} thread
+ * @param {string} exclude - 不通知的操作者
+ * @returns {string[]}
+ */
+function getThreadParticipants(pr, thread, exclude) {
+  const ids = new Set([pr.author, ...thread.comments.map((c) => c.author)]);
+  ids.delete(exclude);
+  ids.delete('boss');
+  return [...ids];
+}
+
+/**
+ * 线程的位置描述，如 src/a.js:12-14
+ * @param {Object} thread
+ * @returns {string}
+ */
+function formatThreadLocation(thread) {
+  const range = thread.endLine !== thread.line ? `${thread.line}-${thread.endLine}` : `${thread.line}`;
+  return `${thread.file}:${range}${thread.side === 'old' ? '（目标分支）' : ''}`;
+}
+
 /**
  * Git 状态工具
  */
@@ -84,6 +143,7 @@ const gitStatusTool = {
   name: 'git_status',
   description: '获取 Git 仓库状态，包括当前分支、变更文件、最近提交等。',
   category: 'git',
+  readOnly: true,
   parameters: {
     workspace: {
       type: 'string',
@@ -112,6 +172,7 @@ const gitCommitTool = {
   name: 'git_commit',
   description: '提交当前更改到 Git 仓库。',
   category: 'git',
+  privileged: true,
   parameters: {
     message: {
       type: 'string',
@@ -137,30 +198,19 @@ const gitCommitTool = {
     const manager = getPRManager(workspace);
 
     if (addAll) {
-      await manager.git('add -A');
+      await manager.git(['add', '-A']);
     }
 
     // 使用 Agent 身份作为 commit author，区分不同 Agent 的提交
-    const agentId = context?.agentId || 'unknown';
-    let authorName = agentId;
-    let authorEmail = `${agentId}@soloforge.local`;
-    try {
-      const { agentConfigStore } = require('../config/agent-config-store');
-      const config = agentConfigStore.get(agentId);
-      if (config?.name) {
-        authorName = config.name;
-      }
-    } catch { /* fallback to agentId */ }
-
-    const escapedMsg = message.replace(/"/g, '\\"');
-    const authorArg = `--author="${authorName} <${authorEmail}>"`;
-    const output = await manager.git(`commit ${authorArg} -m "${escapedMsg}"`);
+    const author = getCommitAuthor(context?.agentId || 'unknown');
+    const { hash, output } = await manager.commit(message, { author });
 
     return {
       success: true,
       message: output,
+      commit: hash,
       commitMessage: message,
-      author: `${authorName} <${authorEmail}>`,
+      author,
     };
   },
 };
@@ -234,6 +284,7 @@ const gitCreatePRTool = {
         targetBranch: pr.targetBranch,
         status: pr.status,
         changedFiles: pr.changedFiles?.length || 0,
+        remote: summarizeRemote(pr),
       },
     };
   },
@@ -308,8 +359,9 @@ const gitReviewPRTool = {
  */
 const gitMergeTool = {
   name: 'git_merge',
-  description: '合并已批准的 Pull Request。',
+  description: '合并已批准的 Pull Request。仓库配置了合并检查时，会先在合并结果上运行检查（如测试、lint），必需检查全部通过（或老板放行）才会合并，否则返回失败输出。',
   category: 'git',
+  privileged: true,
   parameters: {
     pr_id: {
       type: 'string',
@@ -436,6 +488,7 @@ const gitListBranchesTool = {
   name: 'git_list_branches',
   description: '列出 Git 仓库的所有分支，显示当前分支和最近提交。',
   category: 'git',
+  readOnly: true,
   parameters: {
     workspace: {
       type: 'string',
@@ -457,6 +510,40 @@ const gitListBranchesTool = {
   },
 };
 
+/**
+ * 列出 worktree
+ */
+const gitWorktreeListTool = {
+  name: 'git_worktree_list',
+  description: '列出仓库的所有 worktree。带 Git 分支的委派任务各自在独立的 worktree 中执行，可据此查看哪些任务正在进行、各自检出了哪个分支。',
+  category: 'git',
+  readOnly: true,
+  parameters: {
+    workspace: {
+      type: 'string',
+      description: '工作区路径',
+      required: false,
+    },
+  },
+  requiredPermissions: ['git.enabled'],
+
+  async execute(args, context = {}) {
+    const manager = getPRManager(args.workspace);
+    const worktrees = await manager.listWorktrees();
+    return {
+      total: worktrees.length,
+      worktrees: worktrees.map((w) => ({
+        path: w.path,
+        branch: w.branch || '(分离 HEAD)',
+        head: w.head?.slice(0, 7) || null,
+        isMain: w.isMain,
+        ...(w.prunable ? { prunable: true } : {}),
+        ...(context.worktree?.path === w.path ? { isMine: true } : {}),
+      })),
+    };
+  },
+};
+
 /**
  * 查看提交历史
  */
@@ -464,6 +551,7 @@ const gitLogTool = {
   name: 'git_log',
   description: '查看 Git 提交历史。',
   category: 'git',
+  readOnly: true,
   parameters: {
     count: {
       type: 'number',
@@ -489,18 +577,12 @@ const gitLogTool = {
     const limit = Math.min(Math.max(count, 1), 50);
     const manager = getPRManager(workspace);
 
-    const branchArg = branch ? ` ${branch}` : '';
-    const output = await manager.git(
-      `log --oneline --format="%H|%s|%an|%ar"${branchArg} -${limit}`
-    );
-
-    const commits = output
-      .split('\n')
-      .filter((l) => l.trim())
-      .map((line) => {
-        const [hash, message, author, date] = line.split('|');
-        return { hash: hash?.slice(0, 8), message, author, date };
-      });
+    const commits = (await manager.getLog({ ref: branch, limit })).map((c) => ({
+      hash: c.hash.slice(0, 8),
+      message: c.subject,
+      author: c.author,
+      date: c.relativeDate,
+    }));
 
     return { total: commits.length, commits };
   },
@@ -535,6 +617,7 @@ const gitListPRsTool = {
   name: 'git_list_prs',
   description: '列出 Pull Request，可按状态和作者过滤。',
   category: 'git',
+  readOnly: true,
   parameters: {
     status: {
       type: 'string',
@@ -571,6 +654,7 @@ const gitListPRsTool = {
         status: pr.status,
         reviewCount: pr.reviews?.length || 0,
         createdAt: pr.createdAt,
+        remote: summarizeRemote(pr),
       })),
     };
   },
@@ -581,14 +665,21 @@ const gitListPRsTool = {
  */
 const gitPRDiffTool = {
   name: 'git_pr_diff',
-  description: '查看 Pull Request 的代码变更内容。审核 PR 前必须先查看 diff。',
+  description: '查看 Pull Request 的代码变更内容和行级评论线程。审核 PR 前必须先查看 diff。',
   category: 'git',
+  readOnly: true,
   parameters: {
     pr_id: {
       type: 'string',
       description: 'PR ID',
       required: true,
     },
+    numbered: {
+      type: 'boolean',
+      description: '是否输出带行号的 diff（默认 true，每行为「旧行号 新行号 |±内容」，用于 git_pr_comment 定位）',
+      required: false,
+      default: true,
+    },
     workspace: {
       type: 'string',
       description: '工作区路径',
@@ -598,23 +689,346 @@ const gitPRDiffTool = {
   requiredPermissions: ['git.enabled'],
 
   async execute(args) {
-    const { pr_id, workspace } = args;
+    const { pr_id, numbered = true, workspace } = args;
     const manager = getPRManager(workspace);
     const pr = manager.getPR(pr_id);
     if (!pr) throw new Error(`PR "${pr_id}" 不存在`);
 
     const diff = await manager.getPRDiff(pr_id);
+    const files = parseUnifiedDiff(diff);
+    const threads = await manager.getReviewThreads(pr_id, files);
+    const stat = await manager.getPRDiffStat(pr_id);
 
     return {
       pr: {
         id: pr.id,
         title: pr.title,
         author: pr.author,
+        status: pr.status,
         sourceBranch: pr.sourceBranch,
         targetBranch: pr.targetBranch,
         changedFiles: pr.changedFiles,
       },
-      diff: diff || '（无差异）',
+      stat: {
+        added: stat.added,
+        deleted: stat.deleted,
+        files: stat.files.map((f) => `${f.oldPath ? `${f.oldPath} → ` : ''}${f.path} ${f.binary ? '(二进制)' : `+${f.added} -${f.deleted}`}`),
+      },
+      diff: (numbered ? formatNumberedDiff(files) : diff) || '（无差异）',
+      threads: threads.map((t) => ({
+        id: t.id,
+        location: formatThreadLocation(t),
+        resolved: t.resolved,
+        outdated: t.outdated,
+        suggestionApplied: t.suggestionApplied?.commit,
+        comments: t.comments.map((c) => ({
+          author: c.author,
+          body: c.body,
+          ...(c.suggestion != null ? { suggestion: c.suggestion } : {}),
+        })),
+      })),
+    };
+  },
+};
+
+/**
+ * PR 行级评论
+ */
+const gitPRCommentTool = {
+  name: 'git_pr_comment',
+  description: `在 Pull Request 的 diff 中按文件和行号发表评论，或回复已有评论线程。
+
+- 行号取自 git_pr_diff 的带行号输出：评论新增 / 未改动的行用新行号（side=new），评论被删除的行用旧行号（side=old）
+- 可附带 suggestion：用于替换 line 到 end_line 这几行的完整新内容，PR 作者可通过 git_apply_suggestion 一键应用
+- 未解决的评论线程会阻止 PR 进入 approved 状态`,
+  category: 'git',
+  parameters: {
+    pr_id: {
+      type: 'string',
+      description: 'PR ID',
+      required: true,
+    },
+    body: {
+      type: 'string',
+      description: '评论内容',
+      required: true,
+    },
+    file: {
+      type: 'string',
+      description: '文件路径（新建线程时必填，与 diff 中一致）',
+      required: false,
+    },
+    line: {
+      type: 'number',
+      description: '起始行号（新建线程时必填）',
+      required: false,
+    },
+    end_line: {
+      type: 'number',
+      description: '结束行号（多行评论时使用，默认与 line 相同）',
+      required: false,
+    },
+    side: {
+      type: 'string',
+      description: 'new（源分支行号，默认）或 old（目标分支行号）',
+      required: false,
+    },
+    suggestion: {
+      type: 'string',
+      description: '建议修改：替换所选行的完整新内容（仅 side=new；传空字符串表示删除这些行）',
+      required: false,
+    },
+    thread_id: {
+      type: 'string',
+      description: '回复的评论线程 ID（回复时无需 file/line）',
+      required: false,
+    },
+    workspace: {
+      type: 'string',
+      description: '工作区路径',
+      required: false,
+    },
+  },
+  requiredPermissions: ['git.enabled'],
+
+  async execute(args, context) {
+    const { pr_id, body, file, line, end_line, side, suggestion, thread_id, workspace } = args;
+    const agentId = context.agentId || 'unknown';
+
+    const manager = getPRManager(workspace);
+    const { pr, thread, comment } = await manager.addReviewComment(pr_id, {
+      author: agentId,
+      body,
+      suggestion,
+      threadId: thread_id,
+      file,
+      line,
+      endLine: end_line,
+      side,
+    });
+
+    const suggestionHint = comment.suggestion != null
+      ? `\n附带建议修改，可调用 git_apply_suggestion(pr_id="${pr.id}", thread_id="${thread.id}") 直接应用`
+      : '';
+    for (const target of getThreadParticipants(pr, thread, agentId)) {
+      notifyAgent(target,
+        `💬 PR「${pr.title}」${formatThreadLocation(thread)} 有新评论（by ${agentId}）: ${body}${target === pr.author ? suggestionHint : ''}`
+      );
+    }
+
+    return {
+      success: true,
+      threadId: thread.id,
+      commentId: comment.id,
+      location: formatThreadLocation(thread),
+      prStatus: pr.status,
+    };
+  },
+};
+
+/**
+ * 解决 / 重新打开评论线程
+ */
+const gitResolveThreadTool = {
+  name: 'git_resolve_thread',
+  description: '把 PR 评论线程标记为已解决，或重新打开。所有线程解决后 PR 才能被批准合并。',
+  category: 'git',
+  parameters: {
+    pr_id: {
+      type: 'string',
+      description: 'PR ID',
+      required: true,
+    },
+    thread_id: {
+      type: 'string',
+      description: '评论线程 ID',
+      required: true,
+    },
+    resolved: {
+      type: 'boolean',
+      description: 'true 解决（默认），false 重新打开',
+      required: false,
+      default: true,
+    },
+    workspace: {
+      type: 'string',
+      description: '工作区路径',
+      required: false,
+    },
+  },
+  requiredPermissions: ['git.enabled'],
+
+  async execute(args, context) {
+    const { pr_id, thread_id, resolved = true, workspace } = args;
+    const agentId = context.agentId || 'unknown';
+
+    const manager = getPRManager(workspace);
+    const { pr, thread } = manager.setThreadResolved(pr_id, thread_id, resolved, agentId);
+
+    for (const target of getThreadParticipants(pr, thread, agentId)) {
+      notifyAgent(target,
+        `${thread.resolved ? '✅' : '🔁'} PR「${pr.title}」${formatThreadLocation(thread)} 的评论线程已被 ${agentId} ${thread.resolved ? '解决' : '重新打开'}。当前状态: ${pr.status}`
+      );
+    }
+
+    return {
+      success: true,
+      threadId: thread.id,
+      resolved: thread.resolved,
+      prStatus: pr.status,
+    };
+  },
+};
+
+/**
+ * 应用评论中的建议修改
+ */
+const gitApplySuggestionTool = {
+  name: 'git_apply_suggestion',
+  description: `把评论线程中的建议修改提交到 PR 源分支，并将线程标记为已解决。仅 PR 作者可用。
+
+锚定行在评论后被修改过、或文件有未提交的更改时会失败，此时请手动修改并提交。`,
+  category: 'git',
+  privileged: true,
+  parameters: {
+    pr_id: {
+      type: 'string',
+      description: 'PR ID',
+      required: true,
+    },
+    thread_id: {
+      type: 'string',
+      description: '包含建议修改的评论线程 ID',
+      required: true,
+    },
+    workspace: {
+      type: 'string',
+      description: '工作区路径',
+      required: false,
+    },
+  },
+  requiredPermissions: ['git.enabled'],
+
+  async execute(args, context) {
+    const { pr_id, thread_id, workspace } = args;
+    const agentId = context.agentId || 'unknown';
+
+    const manager = getPRManager(workspace);
+    const existing = manager.getPR(pr_id);
+    if (!existing) throw new Error(`PR "${pr_id}" 不存在`);
+    if (existing.author !== agentId) {
+      throw new Error('只有 PR 作者可以应用建议修改');
+    }
+
+    const { pr, thread, commit } = await manager.applySuggestion(pr_id, thread_id, {
+      appliedBy: agentId,
+      author: getCommitAuthor(agentId),
+    });
+
+    for (const target of getThreadParticipants(pr, thread, agentId)) {
+      notifyAgent(target,
+        `🛠️ PR「${pr.title}」${formatThreadLocation(thread)} 的建议修改已由 ${agentId} 应用（${commit}），线程已解决。当前状态: ${pr.status}`
+      );
+    }
+
+    return {
+      success: true,
+      commit,
+      threadId: thread.id,
+      prStatus: pr.status,
+    };
+  },
+};
+
+/**
+ * 运行合并检查
+ */
+const gitRunChecksTool = {
+  name: 'git_run_checks',
+  description: '在 PR 合并结果的干净 worktree 中运行仓库配置的合并检查（测试、lint、文件大小、密钥扫描等），返回每项检查的状态和日志。合并前可先运行以提前发现问题。',
+  category: 'git',
+  parameters: {
+    pr_id: {
+      type: 'string',
+      description: 'PR ID',
+      required: true,
+    },
+    workspace: {
+      type: 'string',
+      description: '工作区路径',
+      required: false,
+    },
+  },
+  requiredPermissions: ['git.enabled'],
+
+  async execute(args, context) {
+    const { pr_id, workspace } = args;
+    const agentId = context.agentId || 'unknown';
+    const manager = getPRManager(workspace);
+    const run = await manager.runMergeChecks(pr_id, { runBy: agentId });
+    if (!run) {
+      return { success: true, status: 'none', message: '该仓库未配置合并检查' };
+    }
+
+    const pr = manager.getPR(pr_id);
+    if (run.status === 'failed' && pr && pr.author !== agentId) {
+      notifyAgent(pr.author, `❌ PR「${pr.title}」的合并检查未通过（by ${agentId}）:\n${formatFailedChecks(run, 500)}`);
+    }
+
+    return {
+      success: true,
+      status: run.status,
+      results: run.results.map((r) => ({
+        name: r.name,
+        required: r.required,
+        status: r.status,
+        ...(r.exitCode !== undefined ? { exitCode: r.exitCode } : {}),
+        output: r.output,
+      })),
+    };
+  },
+};
+
+/**
+ * 同步 PR 到远程平台
+ */
+const gitSyncRemoteTool = {
+  name: 'git_sync_remote',
+  description: '把 PR 立即同步到仓库配置的远程平台（如 Gitea）：推送分支、回放尚未同步的创建 / 审核 / 评论 / 合并 / 关闭操作，返回远程 PR 链接和同步状态。本地操作会自动在后台同步，通常只在远程恢复可用后需要手动调用。',
+  category: 'git',
+  parameters: {
+    pr_id: {
+      type: 'string',
+      description: 'PR ID（不填则同步所有待同步的 PR）',
+      required: false,
+    },
+    workspace: {
+      type: 'string',
+      description: '工作区路径',
+      required: false,
+    },
+  },
+  requiredPermissions: ['git.enabled'],
+
+  async execute(args) {
+    const { pr_id, workspace } = args;
+    if (!pr_id) {
+      const { synced, failed } = await forgeSync.syncAll();
+      return { success: failed === 0, synced, failed };
+    }
+
+    const manager = getPRManager(workspace);
+    const pr = manager.getPR(pr_id);
+    if (!pr) {
+      throw new Error(`PR "${pr_id}" 不存在`);
+    }
+    const remote = await forgeSync.syncPR(pr.repoPath || manager.workspacePath, pr_id);
+    if (!remote) {
+      return { success: true, message: '该 PR 所在仓库未配置远程平台，只保存在本地' };
+    }
+    return {
+      success: !remote.lastError,
+      remote: summarizeRemote({ remote }),
     };
   },
 };
@@ -626,6 +1040,7 @@ const gitClosePRTool = {
   name: 'git_close_pr',
   description: '关闭一个 Pull Request（不合并）。',
   category: 'git',
+  privileged: true,
   parameters: {
     pr_id: {
       type: 'string',
@@ -664,10 +1079,16 @@ function registerGitTools() {
   // 新增工具
   toolRegistry.register(gitBranchTool);
   toolRegistry.register(gitListBranchesTool);
+  toolRegistry.register(gitWorktreeListTool);
   toolRegistry.register(gitLogTool);
   toolRegistry.register(gitInitTool);
   toolRegistry.register(gitListPRsTool);
   toolRegistry.register(gitPRDiffTool);
+  toolRegistry.register(gitPRCommentTool);
+  toolRegistry.register(gitResolveThreadTool);
+  toolRegistry.register(gitApplySuggestionTool);
+  toolRegistry.register(gitRunChecksTool);
+  toolRegistry.register(gitSyncRemoteTool);
   toolRegistry.register(gitClosePRTool);
 }
 
@@ -679,13 +1100,23 @@ module.exports = {
   gitMergeTool,
   gitBranchTool,
   gitListBranchesTool,
+  gitWorktreeListTool,
   gitLogTool,
   gitInitTool,
   gitListPRsTool,
   gitPRDiffTool,
+  gitPRCommentTool,
+  gitResolveThreadTool,
+  gitApplySuggestionTool,
+  gitRunChecksTool,
+  gitSyncRemoteTool,
   gitClosePRTool,
   registerGitTools,
   setWorkspacePath,
   resolveWorkspace,
+  getPRManager,
+  getThreadParticipants,
+  formatThreadLocation,
+  notifyAgent,
   initGitNotifications,
 };
@@ -52,6 +52,7 @@ const loadHistoryTool = {
 - 需要了解讨论的完整上下文
 - 查找之前的决策或结论`,
   category: 'chat',
+  readOnly: true,
   parameters: {
     page: {
       type: 'number',
@@ -123,6 +124,7 @@ const historyInfoTool = {
   name: 'history_info',
   description: '获取当前对话的历史消息统计信息，包括总消息数、页数等。',
   category: 'chat',
+  readOnly: true,
   parameters: {
     conversation_id: {
       type: 'string',
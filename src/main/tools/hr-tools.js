@@ -157,6 +157,7 @@ const hrUpdateAgentTool = {
 - hr_set_primary_department: 设置主部门
 - hr_transfer_agent: 完整调岗（会记录历史）`,
   category: 'hr',
+  privileged: true,
   parameters: {
     agent_id: {
       type: 'string',
@@ -424,6 +425,7 @@ const hrAgentApproveTool = {
 
 如果信息不完整，请先使用 hr_question 提出质疑。`,
   category: 'hr',
+  privileged: true,
   parameters: {
     request_id: {
       type: 'string',
@@ -622,6 +624,7 @@ const hrDismissRequestTool = {
 - 只能对动态创建的 Agent 提出开除
 - 需要提供充分的开除原因和影响分析`,
   category: 'hr',
+  privileged: true,
   parameters: {
     agent_id: {
       type: 'string',
@@ -721,6 +724,7 @@ const dismissConfirmTool = {
 
 此工具由老板通过秘书使用。当 CHRO 提出开除某个 Agent 时，老板需要确认后才能执行。`,
   category: 'dismiss_confirm',
+  privileged: true,
   parameters: {
     request_id: {
       type: 'string',
@@ -799,6 +803,7 @@ const hrSuspendAgentTool = {
 CHRO 可以直接停职（不需要老板确认）。
 核心成员（secretary, ceo, cto, cfo, chro）不可被停职。`,
   category: 'hr',
+  privileged: true,
   parameters: {
     agent_id: {
       type: 'string',
@@ -871,6 +876,7 @@ const hrReinstateAgentTool = {
   name: 'hr_reinstate_agent',
   description: `恢复一个被停职的 Agent，使其回到正常工作状态。`,
   category: 'hr',
+  privileged: true,
   parameters: {
     agent_id: {
       type: 'string',
@@ -1214,6 +1220,7 @@ const hrPromoteAgentTool = {
 
 可用职级（从低到高）：intern, assistant, staff, senior, manager, director, vp, c_level`,
   category: 'hr',
+  privileged: true,
   parameters: {
     agent_id: {
       type: 'string',
@@ -1304,6 +1311,7 @@ const hrDemoteAgentTool = {
 
 降级会记录到晋升历史中，并通知相关人员。需要提供充分的降级原因。`,
   category: 'hr',
+  privileged: true,
   parameters: {
     agent_id: {
       type: 'string',
@@ -1399,6 +1407,7 @@ const hrEndProbationTool = {
 - extend: 延长试用期
 - terminate: 试用期不合格，提出开除`,
   category: 'hr',
+  privileged: true,
   parameters: {
     agent_id: {
       type: 'string',
@@ -1825,6 +1834,7 @@ const hrDeleteDepartmentTool = {
 - 删除前必须确保部门内没有员工
 - 建议先将员工调岗到其他部门`,
   category: 'hr',
+  privileged: true,
   parameters: {
     department_id: {
       type: 'string',
@@ -1911,6 +1921,7 @@ const hrTransferAgentTool = {
 
 与 hr_update_agent 不同，调岗专门处理组织关系变更，会记录完整变动历史。`,
   category: 'hr',
+  privileged: true,
   parameters: {
     agent_id: {
       type: 'string',
@@ -2532,6 +2543,7 @@ const hrBatchUpdateTool = {
 
 适用于组织架构调整、部门重组等场景。`,
   category: 'hr',
+  privileged: true,
   parameters: {
     agent_ids: {
       type: 'array',
@@ -27,6 +27,7 @@ const memoryRecallTool = {
   name: 'memory_recall',
   description: '按语义检索相关记忆。输入一段查询文本，返回最相关的记忆条目。用于回顾过往的决策、事实、偏好等。',
   category: 'memory',
+  readOnly: true,
   parameters: {
     query: {
       type: 'string',
@@ -51,7 +52,7 @@ const memoryRecallTool = {
     const mm = getMemoryManager();
     const safeLimit = Math.min(Math.max(1, limit), 20);
 
-    const results = mm.recall(query, {
+    const results = await mm.recall(query, {
       agentId: context?.agentId,
       limit: safeLimit,
     });
@@ -154,13 +155,32 @@ const memoryStoreTool = {
   },
 };
 
+/**
+ * 格式化 memory_search 结果（带替代关系）
+ * @param {Object} r - 索引条目
+ * @returns {Object}
+ */
+function formatSearchResult(r) {
+  return {
+    id: r.id,
+    type: r.type,
+    summary: r.summary,
+    tags: r.tags,
+    importance: r.importance,
+    createdAt: new Date(r.createdAt).toLocaleString('zh-CN'),
+    ...(r.supersededBy && { supersededBy: r.supersededBy, supersedeReason: r.supersedeReason }),
+    ...(r.supersedes?.length > 0 && { supersedes: r.supersedes }),
+  };
+}
+
 /**
  * memory_search - 按标签/类型搜索记忆
  */
 const memorySearchTool = {
   name: 'memory_search',
-  description: '按标签、类型或 Agent 搜索记忆。适合浏览某一类别的记忆。',
+  description: '按标签、类型或 Agent 搜索记忆。适合浏览某一类别的记忆。提供 memory_id 时返回该记忆的替代链（被哪条新记忆推翻、推翻了哪些旧记忆）。',
   category: 'memory',
+  readOnly: true,
   parameters: {
     tags: {
       type: 'string',
@@ -182,13 +202,38 @@ const memorySearchTool = {
       description: '返回数量（默认 20）',
       required: false,
     },
+    include_superseded: {
+      type: 'boolean',
+      description: '是否包含已被新记忆替代的旧记忆（默认 false）',
+      required: false,
+    },
+    memory_id: {
+      type: 'string',
+      description: '查看指定记忆的替代链（按时间从旧到新），提供时忽略其他筛选条件',
+      required: false,
+    },
   },
   requiredPermissions: [],
 
   async execute(args) {
-    const { tags, type, agent, limit = 20 } = args;
+    const { tags, type, agent, limit = 20, include_superseded = false, memory_id } = args;
 
     const mm = getMemoryManager();
+
+    if (memory_id) {
+      const chain = mm.getSupersessionChain(memory_id);
+      if (chain.length === 0) {
+        throw new Error(`记忆不存在: ${memory_id}`);
+      }
+      const current = chain.filter((r) => !r.supersededBy).map((r) => r.id);
+      return {
+        message: chain.length === 1
+          ? '该记忆没有替代关系'
+          : `替代链共 ${chain.length} 条，当前有效: ${current.join(', ')}`,
+        chain: chain.map(formatSearchResult),
+      };
+    }
+
     const tagArray = tags ? tags.split(',').map((t) => t.trim()).filter(Boolean) : undefined;
 
     const results = mm.search({
@@ -196,20 +241,14 @@ const memorySearchTool = {
       type: type || undefined,
       agentId: agent || undefined,
       limit: Math.min(limit, 50),
+      includeSuperseded: include_superseded,
     });
 
     if (results.length === 0) {
       return { message: '未找到匹配的记忆', results: [] };
     }
 
-    const formatted = results.map((r) => ({
-      id: r.id,
-      type: r.type,
-      summary: r.summary,
-      tags: r.tags,
-      importance: r.importance,
-      createdAt: new Date(r.createdAt).toLocaleString('zh-CN'),
-    }));
+    const formatted = results.map(formatSearchResult);
 
     return {
       message: `找到 ${formatted.length} 条记忆`,
@@ -225,6 +264,7 @@ const memoryListRecentTool = {
   name: 'memory_list_recent',
   description: '查看最近存储的记忆，按时间倒序排列。',
   category: 'memory',
+  readOnly: true,
   parameters: {
     limit: {
       type: 'number',
@@ -272,6 +312,7 @@ const memoryCompanyFactsTool = {
   name: 'memory_company_facts',
   description: '查看公司级共享知识，包括公司信息、规范、共识等。',
   category: 'memory',
+  readOnly: true,
   parameters: {},
   requiredPermissions: [],
 
@@ -306,6 +347,7 @@ const memoryUserProfileTool = {
   name: 'memory_user_profile',
   description: '查看已积累的用户画像信息，包括用户的偏好、风格、背景等。',
   category: 'memory',
+  readOnly: true,
   parameters: {},
   requiredPermissions: [],
 
@@ -344,6 +386,7 @@ const memoryProjectContextTool = {
   name: 'memory_project_context',
   description: '查看项目相关的背景信息，包括技术栈、目标、进展等。',
   category: 'memory',
+  readOnly: true,
   parameters: {
     project: {
       type: 'string',
@@ -362,7 +405,7 @@ const memoryProjectContextTool = {
       results = mm.search({ type: 'project_context', tags: [project], limit: 20 });
       // 如果标签没有匹配到，尝试关键词检索
       if (results.length === 0) {
-        results = mm.recall(project, { type: 'project_context', limit: 10 });
+        results = await mm.recall(project, { type: 'project_context', limit: 10 });
       }
     } else {
       results = mm.search({ type: 'project_context', limit: 20 });
@@ -178,6 +178,7 @@ class PermissionChecker {
       }
 
       case 'shell':
+      case 'process_start':
         return this.checkShell(args.command);
 
       case 'web_search':
@@ -188,15 +189,21 @@ class PermissionChecker {
       case 'git_review_pr':
       case 'git_branch':
       case 'git_list_branches':
+      case 'git_worktree_list':
       case 'git_log':
       case 'git_init':
       case 'git_list_prs':
       case 'git_pr_diff':
+      case 'git_pr_comment':
+      case 'git_resolve_thread':
+      case 'git_run_checks':
+      case 'git_sync_remote':
       case 'git_close_pr':
         return this.checkGit();
 
       case 'git_commit':
       case 'git_merge':
+      case 'git_apply_suggestion':
         return this.checkGitCommit();
 
       case 'calculator':
@@ -447,6 +447,7 @@ const listProjectsTool = {
   name: 'pm_list_projects',
   description: '查看所有项目列表及进度。',
   category: 'pm',
+  readOnly: true,
   parameters: {
     status: { type: 'string', description: '按状态筛选: planning, active, completed', required: false },
   },
@@ -484,6 +485,7 @@ const projectDetailTool = {
   name: 'pm_project_detail',
   description: '查看项目详情，包括里程碑和任务状态。',
   category: 'pm',
+  readOnly: true,
   parameters: {
     project_id: { type: 'string', description: '项目 ID', required: true },
   },
@@ -580,6 +582,7 @@ const statusReportTool = {
   name: 'pm_status_report',
   description: '生成项目状态报告摘要，包含整体进度、里程碑状态、风险项等。',
   category: 'pm',
+  readOnly: true,
   parameters: {
     project_id: { type: 'string', description: '项目 ID', required: true },
   },
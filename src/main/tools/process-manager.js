@@ -0,0 +1,435 @@
+/**
+ * SoloForge - 后台进程管理
+ * 为 Agent 托管长驻进程（开发服务器、watch 构建等）：启动、读取日志、等待就绪、停止
+ * 进程归属于启动它的 Agent；任务被终止、Agent 离职、切换公司或应用退出时统一清理
+ * @module tools/process-manager
+ */
+
+const net = require('net');
+const { spawn } = require('child_process');
+const { logger } = require('../utils/logger');
+
+/** 每个进程保留的最大日志行数（超出后丢弃最早的行） */
+const MAX_LOG_LINES = 2000;
+
+/** 单行日志最大长度 */
+const MAX_LINE_LENGTH = 2000;
+
+/** 每个 Agent 同时运行的最大进程数 */
+const MAX_RUNNING_PER_AGENT = 5;
+
+/** 每个 Agent 保留的已结束进程记录数 */
+const MAX_FINISHED_PER_AGENT = 10;
+
+/** SIGTERM 后等待进程退出的时间，超时则 SIGKILL */
+const STOP_GRACE_MS = 5000;
+
+/** 等待就绪时的轮询间隔 */
+const WAIT_POLL_MS = 500;
+
+/**
+ * @typedef {Object} ManagedProcess
+ * @property {string} id - 进程记录 ID
+ * @property {string} agentId - 所属 Agent
+ * @property {string} [agentName]
+ * @property {string} name - 显示名称
+ * @property {string} command
+ * @property {string} [cwd]
+ * @property {number} [pid]
+ * @property {'running'|'exited'|'stopped'|'failed'} status
+ * @property {number|null} exitCode
+ * @property {string|null} signal
+ * @property {string} [error] - 启动失败原因
+ * @property {string} [stopReason]
+ * @property {boolean} sandboxed
+ * @property {boolean} [allowNetwork] - 沙箱内是否共享宿主网络
+ * @property {number} startedAt
+ * @property {number} [endedAt]
+ */
+
+/**
+ * 生成进程记录 ID
+ * @returns {string}
+ */
+function createProcessId() {
+  return `proc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * 探测本机端口是否可连接
+ * @param {number} port
+ * @param {string} host
+ * @returns {Promise<boolean>}
+ */
+function probePort(port, host) {
+  return new Promise((resolve) => {
+    const socket = net.createConnection({ port, host });
+    const done = (ok) => {
+      socket.destroy();
+      resolve(ok);
+    };
+    socket.setTimeout(1000, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+class ProcessManager {
+  constructor() {
+    /** @type {Map<string, { info: ManagedProcess, child: import('child_process').ChildProcess|null, lines: string[], droppedLines: number, partial: Object, exitPromise: Promise<void> }>} */
+    this._processes = new Map();
+    /** @type {Function|null} 变更通知回调 */
+    this._onChange = null;
+  }
+
+  /**
+   * 设置变更回调（用于推送到前端）
+   * 只在进程启动、退出时触发，日志由前端按需拉取
+   * @param {Function} callback - (processes: ManagedProcess[]) => void
+   */
+  onChanged(callback) {
+    this._onChange = callback;
+  }
+
+  _notify() {
+    if (!this._onChange) return;
+    try {
+      this._onChange(this.list());
+    } catch (error) {
+      logger.error('ProcessManager: 变更通知失败', error);
+    }
+  }
+
+  /**
+   * 启动后台进程
+   * @param {string} agentId
+   * @param {Object} options
+   * @param {string} options.command - 原始命令（用于展示）
+   * @param {{ file: string, args: string[], env: Object }} options.spawnArgs - 见 shell-tool buildShellSpawn
+   * @param {string} [options.cwd]
+   * @param {string} [options.name] - 显示名称
+   * @param {string} [options.agentName]
+   * @param {boolean} [options.sandboxed]
+   * @param {boolean} [options.allowNetwork]
+   * @returns {ManagedProcess}
+   */
+  start(agentId, options) {
+    const running = this.list(agentId).filter((p) => p.status === 'running');
+    if (running.length >= MAX_RUNNING_PER_AGENT) {
+      throw new Error(
+        `后台进程数已达上限（${MAX_RUNNING_PER_AGENT} 个），请先用 process_stop 停止不再需要的进程`
+      );
+    }
+
+    const { command, spawnArgs, cwd, name, agentName, sandboxed = false, allowNetwork = true } = options;
+    /** @type {ManagedProcess} */
+    const info = {
+      id: createProcessId(),
+      agentId,
+      agentName,
+      name: name || command.slice(0, 60),
+      command,
+      cwd,
+      status: 'running',
+      exitCode: null,
+      signal: null,
+      sandboxed,
+      allowNetwork,
+      startedAt: Date.now(),
+    };
+
+    const entry = {
+      info,
+      child: null,
+      lines: [],
+      droppedLines: 0,
+      partial: { stdout: '', stderr: '' },
+      exitPromise: null,
+    };
+
+    const child = spawn(spawnArgs.file, spawnArgs.args, {
+      cwd,
+      env: spawnArgs.env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: process.platform !== 'win32', // Unix 创建进程组，停止时杀掉整个进程树
+    });
+    entry.child = child;
+    info.pid = child.pid;
+
+    child.stdout.on('data', (data) => this._appendOutput(entry, 'stdout', data));
+    child.stderr.on('data', (data) => this._appendOutput(entry, 'stderr', data));
+
+    entry.exitPromise = new Promise((resolve) => {
+      child.once('error', (error) => {
+        this._appendLine(entry, `[进程错误] ${error.message}`);
+        if (info.status === 'running') {
+          info.status = 'failed';
+          info.error = error.message;
+          info.endedAt = Date.now();
+          entry.child = null;
+          this._notify();
+        }
+        resolve();
+      });
+      child.once('close', (code, signal) => {
+        this._flushPartial(entry);
+        if (info.status === 'running') {
+          info.status = info.stopReason ? 'stopped' : 'exited';
+          info.exitCode = code;
+          info.signal = signal;
+          info.endedAt = Date.now();
+        }
+        entry.child = null;
+        logger.info('后台进程已结束', {
+          id: info.id,
+          agentId,
+          status: info.status,
+          exitCode: code,
+          signal,
+        });
+        this._notify();
+        resolve();
+      });
+    });
+
+    this._processes.set(info.id, entry);
+    this._pruneFinished(agentId);
+    logger.info('后台进程已启动', { id: info.id, agentId, pid: child.pid, command, sandboxed });
+    this._notify();
+    return { ...info };
+  }
+
+  /**
+   * 追加进程输出（按行切分，保留未结束的半行）
+   */
+  _appendOutput(entry, stream, data) {
+    const text = entry.partial[stream] + data.toString();
+    const parts = text.split(/\r?\n/);
+    entry.partial[stream] = parts.pop();
+    for (const line of parts) {
+      this._appendLine(entry, line);
+    }
+    // 超长且无换行的输出（如进度条）直接落盘为一行
+    if (entry.partial[stream].length > MAX_LINE_LENGTH) {
+      this._appendLine(entry, entry.partial[stream]);
+      entry.partial[stream] = '';
+    }
+  }
+
+  _flushPartial(entry) {
+    for (const stream of ['stdout', 'stderr']) {
+      if (entry.partial[stream]) {
+        this._appendLine(entry, entry.partial[stream]);
+        entry.partial[stream] = '';
+      }
+    }
+  }
+
+  _appendLine(entry, line) {
+    entry.lines.push(line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH)}…` : line);
+    if (entry.lines.length > MAX_LOG_LINES) {
+      const overflow = entry.lines.length - MAX_LOG_LINES;
+      entry.lines.splice(0, overflow);
+      entry.droppedLines += overflow;
+    }
+  }
+
+  /**
+   * 清理过多的已结束记录
+   * @param {string} agentId
+   */
+  _pruneFinished(agentId) {
+    const finished = [...this._processes.values()]
+      .filter((e) => e.info.agentId === agentId && e.info.status !== 'running')
+      .sort((a, b) => b.info.startedAt - a.info.startedAt);
+    for (const entry of finished.slice(MAX_FINISHED_PER_AGENT)) {
+      this._processes.delete(entry.info.id);
+    }
+  }
+
+  /**
+   * 获取进程信息
+   * @param {string} id
+   * @returns {ManagedProcess|null}
+   */
+  get(id) {
+    const entry = this._processes.get(id);
+    return entry ? { ...entry.info } : null;
+  }
+
+  /**
+   * 列出进程（按启动时间倒序）
+   * @param {string} [agentId] - 不传则返回全部
+   * @returns {ManagedProcess[]}
+   */
+  list(agentId) {
+    return [...this._processes.values()]
+      .map((e) => ({ ...e.info }))
+      .filter((p) => !agentId || p.agentId === agentId)
+      .sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  /**
+   * 读取进程日志
+   * 行号为进程启动以来的绝对行号，可用上次返回的 nextLine 作为 since 增量读取
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {number} [options.since] - 从该行号开始读取
+   * @param {number} [options.tail=100] - 未指定 since 时返回最后 N 行
+   * @returns {{ lines: string[], fromLine: number, nextLine: number, droppedLines: number } | null}
+   */
+  getLogs(id, { since, tail = 100 } = {}) {
+    const entry = this._processes.get(id);
+    if (!entry) return null;
+
+    const total = entry.droppedLines + entry.lines.length;
+    let fromLine = since != null
+      ? Math.max(since, entry.droppedLines)
+      : Math.max(total - tail, entry.droppedLines);
+    fromLine = Math.min(fromLine, total);
+
+    // 包含尚未换行的输出，便于看到 "等待输入" 之类的提示
+    const lines = entry.lines.slice(fromLine - entry.droppedLines);
+    const pending = [entry.partial.stdout, entry.partial.stderr].filter(Boolean);
+
+    return {
+      lines: [...lines, ...pending],
+      fromLine,
+      nextLine: total,
+      droppedLines: entry.droppedLines,
+    };
+  }
+
+  /**
+   * 等待进程就绪：端口可连接或日志匹配正则
+   * 进程提前退出时立即返回失败
+   * @param {string} id
+   * @param {Object} options
+   * @param {number} [options.port]
+   * @param {string} [options.host='127.0.0.1']
+   * @param {RegExp} [options.pattern]
+   * @param {number} options.timeoutMs
+   * @returns {Promise<{ ready: boolean, reason: string, matchedLine?: string, elapsedMs: number }>}
+   */
+  async waitFor(id, { port, host = '127.0.0.1', pattern, timeoutMs }) {
+    const entry = this._processes.get(id);
+    if (!entry) {
+      return { ready: false, reason: `进程不存在: ${id}`, elapsedMs: 0 };
+    }
+
+    const startTime = Date.now();
+    let scannedLine = entry.droppedLines;
+
+    while (true) {
+      const elapsedMs = Date.now() - startTime;
+
+      if (pattern) {
+        const { lines, nextLine } = this.getLogs(id, { since: scannedLine });
+        const matchedLine = lines.find((line) => pattern.test(line));
+        if (matchedLine !== undefined) {
+          return { ready: true, reason: '日志已匹配', matchedLine, elapsedMs };
+        }
+        scannedLine = nextLine;
+      }
+
+      if (port && await probePort(port, host)) {
+        return { ready: true, reason: `端口 ${port} 已可连接`, elapsedMs: Date.now() - startTime };
+      }
+
+      if (entry.info.status !== 'running') {
+        return {
+          ready: false,
+          reason: `进程已结束（${entry.info.status}，退出码 ${entry.info.exitCode ?? '无'}）`,
+          elapsedMs,
+        };
+      }
+
+      if (elapsedMs >= timeoutMs) {
+        return { ready: false, reason: `等待超时（${Math.round(timeoutMs / 1000)} 秒）`, elapsedMs };
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, WAIT_POLL_MS));
+    }
+  }
+
+  /**
+   * 向进程（组）发送信号
+   */
+  _signal(entry, signal) {
+    const child = entry.child;
+    if (!child) return;
+    try {
+      if (process.platform === 'win32') {
+        child.kill(signal);
+      } else {
+        process.kill(-child.pid, signal);
+      }
+    } catch {
+      try { child.kill(signal); } catch { /* 进程已退出 */ }
+    }
+  }
+
+  /**
+   * 停止进程：先 SIGTERM，宽限期后仍未退出则 SIGKILL
+   * @param {string} id
+   * @param {string} [reason]
+   * @returns {Promise<ManagedProcess|null>}
+   */
+  async stop(id, reason = '手动停止') {
+    const entry = this._processes.get(id);
+    if (!entry) return null;
+    if (entry.info.status !== 'running') {
+      return { ...entry.info };
+    }
+
+    entry.info.stopReason = reason;
+    logger.info('停止后台进程', { id, agentId: entry.info.agentId, reason });
+    this._signal(entry, 'SIGTERM');
+
+    const killTimer = setTimeout(() => this._signal(entry, 'SIGKILL'), STOP_GRACE_MS);
+    await entry.exitPromise;
+    clearTimeout(killTimer);
+    return { ...entry.info };
+  }
+
+  /**
+   * 停止 Agent 的所有运行中进程
+   * @param {string} agentId
+   * @param {string} reason
+   * @returns {Promise<number>} 停止的进程数
+   */
+  async stopByAgent(agentId, reason) {
+    const running = this.list(agentId).filter((p) => p.status === 'running');
+    await Promise.all(running.map((p) => this.stop(p.id, reason)));
+    return running.length;
+  }
+
+  /**
+   * 停止所有进程（切换公司 / 应用退出）
+   * 信号同步发出，调用方无需等待即可退出
+   * @param {string} reason
+   * @returns {Promise<void>}
+   */
+  async stopAll(reason) {
+    const running = this.list().filter((p) => p.status === 'running');
+    if (running.length === 0) return;
+    logger.info('停止所有后台进程', { count: running.length, reason });
+    await Promise.all(running.map((p) => this.stop(p.id, reason)));
+  }
+
+  /**
+   * 清空所有记录（切换公司时，须先 stopAll）
+   */
+  reinitialize() {
+    for (const [id, entry] of this._processes) {
+      if (entry.info.status !== 'running') {
+        this._processes.delete(id);
+      }
+    }
+    this._notify();
+  }
+}
+
+const processManager = new ProcessManager();
+
+module.exports = { ProcessManager, processManager };
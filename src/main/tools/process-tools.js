@@ -0,0 +1,312 @@
+/**
+ * SoloForge - 后台进程工具
+ * 让 Agent 启动开发服务器等长驻进程，并读取日志、等待就绪、停止
+ * @module tools/process-tools
+ */
+
+const { toolRegistry } = require('./tool-registry');
+const { processManager } = require('./process-manager');
+const { buildShellSpawn, resolveSandbox } = require('./shell-tool');
+const { logger } = require('../utils/logger');
+
+/** process_wait_for 默认 / 最大等待时间（秒） */
+const DEFAULT_WAIT_SECONDS = 60;
+const MAX_WAIT_SECONDS = 600;
+
+/** 启动后观察早期输出的时间（毫秒），便于立即发现启动失败 */
+const STARTUP_OBSERVE_MS = 1500;
+
+/**
+ * 获取属于当前 Agent 的进程
+ * @param {string} processId
+ * @param {Object} context
+ * @returns {{ process?: import('./process-manager').ManagedProcess, error?: string }}
+ */
+function getOwnProcess(processId, context) {
+  const proc = processManager.get(processId);
+  if (!proc) {
+    return { error: `未找到后台进程: ${processId}。可用 process_list 查看你的进程。` };
+  }
+  if (proc.agentId !== context.agentId) {
+    return { error: `进程 ${processId} 不属于你，无法操作` };
+  }
+  return { process: proc };
+}
+
+/**
+ * 进程信息 → 工具返回结构
+ * @param {import('./process-manager').ManagedProcess} proc
+ */
+function toProcessSummary(proc) {
+  return {
+    process_id: proc.id,
+    name: proc.name,
+    command: proc.command,
+    cwd: proc.cwd,
+    pid: proc.pid,
+    status: proc.status,
+    exit_code: proc.exitCode,
+    sandboxed: proc.sandboxed,
+    started_at: new Date(proc.startedAt).toISOString(),
+    ...(proc.endedAt ? { ended_at: new Date(proc.endedAt).toISOString() } : {}),
+  };
+}
+
+// ─── 启动后台进程 ────────────────────────────────────────────
+const processStartTool = {
+  name: 'process_start',
+  description: '在后台启动长驻进程（如 npm run dev、python -m http.server），立即返回进程 ID，不会超时被杀。启动后用 process_wait_for 等待端口或日志就绪，用 process_logs 查看输出，用完务必 process_stop。一次性命令请使用 shell。',
+  category: 'shell',
+  privileged: true,
+  parameters: {
+    command: {
+      type: 'string',
+      description: '要在后台运行的命令',
+      required: true,
+    },
+    cwd: {
+      type: 'string',
+      description: '工作目录（绝对路径）',
+      required: false,
+    },
+    name: {
+      type: 'string',
+      description: '便于识别的名称（如 "前端 dev server"）',
+      required: false,
+    },
+  },
+  requiredPermissions: ['shell.enabled'],
+
+  async execute(args, context = {}) {
+    const { command, cwd, name } = args;
+    if (!command || typeof command !== 'string') {
+      throw new Error('请提供有效的命令');
+    }
+
+    const { sandbox, error } = resolveSandbox(context.agentId, cwd);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const workDir = cwd || sandbox?.workspace;
+    // dev server、watcher 等长驻进程会持续消耗 CPU 时间，不受 CPU 时间上限约束（可用 process_stop 停止）
+    const processSandbox = sandbox && { ...sandbox, policy: { ...sandbox.policy, cpuTimeSeconds: null } };
+    const proc = processManager.start(context.agentId, {
+      command,
+      cwd: workDir,
+      name,
+      agentName: context.agentName,
+      spawnArgs: buildShellSpawn(command, { cwd: workDir, sandbox: processSandbox }),
+      sandboxed: !!sandbox,
+      allowNetwork: sandbox ? sandbox.policy.allowNetwork : true,
+    });
+
+    // 短暂观察：命令拼写错误、端口占用等通常会立即退出
+    const startTime = Date.now();
+    while (Date.now() - startTime < STARTUP_OBSERVE_MS && processManager.get(proc.id)?.status === 'running') {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    const current = processManager.get(proc.id);
+    const logs = processManager.getLogs(proc.id, { tail: 20 });
+    return {
+      ...toProcessSummary(current),
+      initial_output: logs.lines.join('\n'),
+      message: current.status === 'running'
+        ? `后台进程已启动（${proc.id}）。下一步可用 process_wait_for 等待就绪。`
+        : `进程启动后立即结束（${current.status}，退出码 ${current.exitCode ?? '无'}），请检查输出。`,
+    };
+  },
+};
+
+// ─── 读取日志 ────────────────────────────────────────────────
+const processLogsTool = {
+  name: 'process_logs',
+  description: '读取后台进程的输出日志（stdout 与 stderr 合并）。默认返回最后 100 行；传入上次返回的 next_line 作为 since 可只读取新增输出。',
+  category: 'shell',
+  readOnly: true,
+  parameters: {
+    process_id: {
+      type: 'string',
+      description: 'process_start 返回的进程 ID',
+      required: true,
+    },
+    tail: {
+      type: 'number',
+      description: '返回最后 N 行（默认 100，最多 500）',
+      required: false,
+    },
+    since: {
+      type: 'number',
+      description: '从该行号开始读取（上次返回的 next_line）',
+      required: false,
+    },
+  },
+
+  async execute(args, context = {}) {
+    const { process: proc, error } = getOwnProcess(args.process_id, context);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const tail = Math.min(Math.max(Number(args.tail) || 100, 1), 500);
+    const since = args.since != null && args.since !== '' ? Number(args.since) : undefined;
+    const logs = processManager.getLogs(proc.id, { since, tail });
+
+    return {
+      process_id: proc.id,
+      status: proc.status,
+      exit_code: proc.exitCode,
+      from_line: logs.fromLine,
+      next_line: logs.nextLine,
+      ...(logs.droppedLines > 0 ? { dropped_lines: logs.droppedLines } : {}),
+      output: logs.lines.join('\n') || '(暂无输出)',
+    };
+  },
+};
+
+// ─── 等待就绪 ────────────────────────────────────────────────
+const processWaitForTool = {
+  name: 'process_wait_for',
+  description: '等待后台进程就绪：本机端口可连接（port）或日志出现匹配的正则（pattern），二者至少提供一个。进程提前退出或超时时返回失败。',
+  category: 'shell',
+  readOnly: true,
+  parameters: {
+    process_id: {
+      type: 'string',
+      description: 'process_start 返回的进程 ID',
+      required: true,
+    },
+    port: {
+      type: 'number',
+      description: '等待该本机端口可连接（如 5173）',
+      required: false,
+    },
+    pattern: {
+      type: 'string',
+      description: '等待日志匹配的正则表达式（如 "ready in|Local:"），不区分大小写',
+      required: false,
+    },
+    timeout_seconds: {
+      type: 'number',
+      description: `最长等待秒数（默认 ${DEFAULT_WAIT_SECONDS}，最多 ${MAX_WAIT_SECONDS}）`,
+      required: false,
+    },
+  },
+
+  async execute(args, context = {}) {
+    const { process: proc, error } = getOwnProcess(args.process_id, context);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const port = args.port ? Number(args.port) : undefined;
+    if (!port && !args.pattern) {
+      return { success: false, error: '请至少提供 port 或 pattern 之一' };
+    }
+    if (port && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+      return { success: false, error: `无效端口: ${args.port}` };
+    }
+    if (port && proc.sandboxed && !proc.allowNetwork) {
+      return {
+        success: false,
+        error: '该进程运行在无网络沙箱中，端口无法从外部探测，请改用 pattern 等待日志',
+      };
+    }
+
+    let pattern;
+    if (args.pattern) {
+      try {
+        pattern = new RegExp(args.pattern, 'i');
+      } catch (e) {
+        return { success: false, error: `无效的正则表达式: ${e.message}` };
+      }
+    }
+
+    const timeoutSeconds = Math.min(Math.max(Number(args.timeout_seconds) || DEFAULT_WAIT_SECONDS, 1), MAX_WAIT_SECONDS);
+    const result = await processManager.waitFor(proc.id, {
+      port,
+      pattern,
+      timeoutMs: timeoutSeconds * 1000,
+    });
+    logger.info('process_wait_for 完成', { processId: proc.id, ready: result.ready, reason: result.reason });
+
+    const recent = processManager.getLogs(proc.id, { tail: 20 });
+    return {
+      success: result.ready,
+      ...(result.ready ? {} : { error: result.reason }),
+      process_id: proc.id,
+      ready: result.ready,
+      reason: result.reason,
+      ...(result.matchedLine ? { matched_line: result.matchedLine } : {}),
+      waited: `${Math.round(result.elapsedMs / 100) / 10}s`,
+      status: processManager.get(proc.id)?.status,
+      recent_output: recent.lines.join('\n'),
+    };
+  },
+};
+
+// ─── 停止进程 ────────────────────────────────────────────────
+const processStopTool = {
+  name: 'process_stop',
+  description: '停止后台进程（含其子进程）。测试完成后务必停止自己启动的进程。',
+  category: 'shell',
+  parameters: {
+    process_id: {
+      type: 'string',
+      description: 'process_start 返回的进程 ID',
+      required: true,
+    },
+  },
+
+  async execute(args, context = {}) {
+    const { process: proc, error } = getOwnProcess(args.process_id, context);
+    if (error) {
+      return { success: false, error };
+    }
+    if (proc.status !== 'running') {
+      return {
+        ...toProcessSummary(proc),
+        message: `进程已结束（${proc.status}），无需停止`,
+      };
+    }
+
+    const stopped = await processManager.stop(proc.id, 'Agent 主动停止');
+    return {
+      ...toProcessSummary(stopped),
+      message: `已停止后台进程 ${proc.id}`,
+    };
+  },
+};
+
+// ─── 列出进程 ────────────────────────────────────────────────
+const processListTool = {
+  name: 'process_list',
+  description: '列出你启动的后台进程（运行中和最近结束的）。',
+  category: 'shell',
+  readOnly: true,
+  parameters: {},
+
+  async execute(_args, context = {}) {
+    const processes = processManager.list(context.agentId);
+    return {
+      total: processes.length,
+      running: processes.filter((p) => p.status === 'running').length,
+      processes: processes.map(toProcessSummary),
+    };
+  },
+};
+
+/**
+ * 注册后台进程工具
+ */
+function registerProcessTools() {
+  toolRegistry.register(processStartTool);
+  toolRegistry.register(processLogsTool);
+  toolRegistry.register(processWaitForTool);
+  toolRegistry.register(processStopTool);
+  toolRegistry.register(processListTool);
+  logger.info('后台进程工具已注册');
+}
+
+module.exports = { registerProcessTools };
@@ -250,6 +250,7 @@ const recruitRespondTool = {
 - tools: ["read_file", "write_file", "shell", "web_search"]
 - model: "claude-sonnet-4-5"`,
   category: 'recruit',
+  privileged: true,
   parameters: {
     request_id: {
       type: 'string',
@@ -439,6 +440,7 @@ const recruitMyRequestsTool = {
   name: 'recruit_my_requests',
   description: '查看自己提交的招聘申请及其状态。',
   category: 'recruit',
+  readOnly: true,
   parameters: {
     status: {
       type: 'string',
@@ -9,6 +9,8 @@ const path = require('path');
 const { toolRegistry } = require('./tool-registry');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
+const { readText } = require('../storage/encrypted-storage');
+const { atomicWrite } = require('../utils/atomic-write');
 
 function getReportsDir() {
   return path.join(dataPath.getBasePath(), 'reports');
@@ -359,7 +361,7 @@ const createReportTool = {
       createdAt,
     });
 
-    await fs.writeFile(filepath, html, 'utf-8');
+    await atomicWrite(filepath, html);
 
     logger.info('生成报告:', { reportId, title, author, filepath });
 
@@ -383,6 +385,7 @@ const listReportsTool = {
   name: 'list_reports',
   description: '获取已生成的报告列表。',
   category: 'file',
+  readOnly: true,
   parameters: {
     limit: {
       type: 'number',
@@ -410,7 +413,7 @@ const listReportsTool = {
       // 尝试从文件中提取标题
       let title = file.replace('.html', '');
       try {
-        const content = await fs.readFile(filepath, 'utf-8');
+        const content = await readText(filepath);
         const titleMatch = content.match(/<title>([^<]+) - SoloForge 报告<\/title>/);
         if (titleMatch) {
           title = titleMatch[1];
@@ -453,7 +456,7 @@ function registerReportTools() {
 async function getReportContent(reportId) {
   const filepath = path.join(getReportsDir(), `${reportId}.html`);
   try {
-    return await fs.readFile(filepath, 'utf-8');
+    return await readText(filepath);
   } catch {
     return null;
   }
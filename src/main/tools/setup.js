@@ -13,6 +13,7 @@ const { registerOperationsTools } = require('./operations-tools');
 const { registerCollaborationTools } = require('./collaboration-tools');
 const { registerPMTools } = require('./pm-tools');
 const { registerShellTool } = require('./shell-tool');
+const { registerProcessTools } = require('./process-tools');
 const { registerGitTools } = require('./git-tool');
 const { registerWebSearchTool } = require('./web-search-tool');
 const { registerWebFetchTool } = require('./web-fetch-tool');
@@ -36,6 +37,7 @@ function setupTools() {
   registerFileTools();
   registerCalculatorTool();
   registerShellTool();
+  registerProcessTools();
   registerGitTools();
   registerWebSearchTool();
   registerWebFetchTool();
@@ -57,8 +59,8 @@ function setupTools() {
   // 初始化浏览器窗口池（懒创建模式，不会立即打开窗口）
   browserPool.init();
 
-  // 应用退出时销毁浏览器窗口池
-  app.on('before-quit', () => {
+  // 应用退出时销毁浏览器窗口池（后台公司的 utility 进程中没有 app，跟随进程退出即可）
+  app?.on('before-quit', () => {
     browserPool.destroy();
   });
 }
@@ -0,0 +1,167 @@
+/**
+ * SoloForge - Shell 沙箱执行
+ * Linux 下基于 bubblewrap 的隔离执行环境：只读根文件系统、工作区可写、
+ * 默认无网络、清空环境变量、限制内存与 CPU 时间
+ * 按 Agent 在用户权限 shell.sandbox.agents 中启用
+ * @module tools/shell-sandbox
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { logger } = require('../utils/logger');
+
+/** 沙箱内保留的环境变量（其余全部清除，避免 API Key 等泄漏） */
+const SANDBOX_ENV_KEYS = ['PATH', 'LANG', 'LC_ALL', 'TZ'];
+
+/** 可用性检测结果缓存 */
+let availabilityCache = null;
+
+/**
+ * 在 PATH 中查找可执行文件
+ * @param {string} name
+ * @returns {string|null}
+ */
+function findExecutable(name) {
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    if (!dir) continue;
+    const candidate = path.join(dir, name);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch {
+      // 继续查找
+    }
+  }
+  return null;
+}
+
+/**
+ * 检测沙箱是否可用（结果缓存）
+ * 除了 bwrap 存在外，还需要内核允许非特权用户命名空间，因此实际试运行一次
+ * @returns {{ available: boolean, reason?: string, bwrapPath?: string }}
+ */
+function getSandboxAvailability() {
+  if (availabilityCache) return availabilityCache;
+
+  if (process.platform !== 'linux') {
+    availabilityCache = { available: false, reason: '沙箱执行仅支持 Linux' };
+    return availabilityCache;
+  }
+
+  const bwrapPath = findExecutable('bwrap');
+  if (!bwrapPath) {
+    availabilityCache = { available: false, reason: '未找到 bubblewrap（bwrap），请先安装' };
+    return availabilityCache;
+  }
+
+  const probe = spawnSync(
+    bwrapPath,
+    ['--ro-bind', '/', '/', '--unshare-all', '--die-with-parent', '/bin/true'],
+    { timeout: 5000, encoding: 'utf-8' }
+  );
+  if (probe.status !== 0) {
+    const detail = (probe.stderr || probe.error?.message || '').trim();
+    availabilityCache = {
+      available: false,
+      reason: `bwrap 无法创建命名空间${detail ? `：${detail}` : ''}`,
+    };
+  } else {
+    availabilityCache = { available: true, bwrapPath };
+  }
+
+  logger.info('Shell 沙箱可用性检测', availabilityCache);
+  return availabilityCache;
+}
+
+/**
+ * 获取 Agent 的沙箱策略
+ * @param {import('../config/user-permissions').UserPermissions} permissions
+ * @param {string} [agentId]
+ * @returns {{ memoryLimitMb: number, cpuTimeSeconds: number, allowNetwork: boolean } | null} 未启用沙箱时返回 null
+ */
+function getSandboxPolicy(permissions, agentId) {
+  const sandbox = permissions?.shell?.sandbox;
+  if (!agentId || !sandbox?.agents?.includes(agentId)) {
+    return null;
+  }
+  return {
+    memoryLimitMb: sandbox.memoryLimitMb,
+    cpuTimeSeconds: sandbox.cpuTimeSeconds,
+    // 与网络工具共用网络权限开关
+    allowNetwork: Boolean(permissions.network?.searchEnabled),
+  };
+}
+
+/**
+ * 构建沙箱内执行命令的 spawn 参数
+ * @param {string} command - 原始 shell 命令
+ * @param {Object} options
+ * @param {string} options.workspace - 可写工作区（绑定挂载）
+ * @param {string} [options.cwd] - 工作目录，默认为工作区
+ * @param {{ memoryLimitMb: number, cpuTimeSeconds: number | null, allowNetwork: boolean }} options.policy
+ *   cpuTimeSeconds 为 null 时不限制 CPU 时间（后台长驻进程）
+ * @returns {{ file: string, args: string[], env: Object }}
+ */
+function buildSandboxSpawn(command, { workspace, cwd, policy }) {
+  const { bwrapPath } = getSandboxAvailability();
+  const home = os.homedir();
+  const workspaceDir = path.resolve(workspace);
+
+  const env = { HOME: home, TERM: 'dumb' };
+  for (const key of SANDBOX_ENV_KEYS) {
+    if (process.env[key]) env[key] = process.env[key];
+  }
+
+  const args = [
+    '--die-with-parent',
+    '--new-session',
+    '--unshare-all',
+    ...(policy.allowNetwork ? ['--share-net'] : []),
+    '--ro-bind', '/', '/',
+    '--dev', '/dev',
+    '--proc', '/proc',
+    '--tmpfs', '/tmp',
+    // 隐藏用户主目录（SSH 密钥、云凭证、~/.soloforge 等），工作区在其后重新挂载
+    '--tmpfs', home,
+    '--bind', workspaceDir, workspaceDir,
+    '--chdir', cwd ? path.resolve(cwd) : workspaceDir,
+    '--clearenv',
+  ];
+  for (const [key, value] of Object.entries(env)) {
+    args.push('--setenv', key, value);
+  }
+
+  // ulimit 同时设置软/硬限制，命令本身无法再调高。
+  // 内存用 RLIMIT_DATA（-d）而不是地址空间（-v）：V8 为 WebAssembly 预留大段不可写的地址空间，
+  // 限制地址空间会让 Node 的 fetch、vite、vitest 等直接失败
+  const memoryKb = Math.floor(policy.memoryLimitMb * 1024);
+  const limits = [`ulimit -d ${memoryKb}`];
+  if (policy.cpuTimeSeconds) {
+    limits.push(`ulimit -t ${policy.cpuTimeSeconds}`);
+  }
+  const limitScript = `${limits.join(' && ')} && exec /bin/bash -c "$1"`;
+  args.push('/bin/bash', '-c', limitScript, 'sandbox', command);
+
+  return { file: bwrapPath, args, env };
+}
+
+/**
+ * 判断路径是否位于目录内（含目录本身）
+ * @param {string} target
+ * @param {string} dir
+ * @returns {boolean}
+ */
+function isWithin(target, dir) {
+  const t = path.resolve(target);
+  const d = path.resolve(dir);
+  return t === d || t.startsWith(d + path.sep);
+}
+
+module.exports = {
+  getSandboxAvailability,
+  getSandboxPolicy,
+  buildSandboxSpawn,
+  isWithin,
+};
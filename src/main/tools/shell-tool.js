@@ -7,30 +7,58 @@
 const { spawn } = require('child_process');
 const { toolRegistry } = require('./tool-registry');
 const { logger } = require('../utils/logger');
+const { permissionStore } = require('../config/permission-store');
+const {
+  getSandboxAvailability,
+  getSandboxPolicy,
+  buildSandboxSpawn,
+  isWithin,
+} = require('./shell-sandbox');
 
 /** 默认命令执行超时（毫秒） */
 const DEFAULT_TIMEOUT_MS = 30000;
 
+/**
+ * 构建 Shell 命令的 spawn 参数
+ * 沙箱模式通过 bwrap 启动；否则直接使用系统 shell
+ * @param {string} command
+ * @param {Object} [options]
+ * @param {string} [options.cwd]
+ * @param {{ workspace: string, policy: Object }} [options.sandbox]
+ * @returns {{ file: string, args: string[], env: Object }}
+ */
+function buildShellSpawn(command, { cwd, sandbox } = {}) {
+  if (sandbox) {
+    return buildSandboxSpawn(command, { ...sandbox, cwd });
+  }
+  return {
+    file: process.platform === 'win32' ? 'cmd.exe' : '/bin/bash',
+    args: process.platform === 'win32' ? ['/c', command] : ['-c', command],
+    env: { ...process.env },
+  };
+}
+
 /**
  * 执行 Shell 命令
  * @param {string} command - 命令
  * @param {Object} [options]
  * @param {string} [options.cwd] - 工作目录
  * @param {number} [options.maxOutput] - 最大输出长度
+ * @param {'head' | 'tail'} [options.keep='head'] - 输出超长时保留开头还是末尾（失败信息通常在末尾）
  * @param {number} [options.timeout] - 超时时间（毫秒），默认 30 秒
+ * @param {{ workspace: string, policy: Object }} [options.sandbox] - 沙箱执行参数（见 shell-sandbox）
  * @returns {Promise<{ stdout: string, stderr: string, exitCode: number, timedOut?: boolean }>}
  */
 async function executeShellCommand(command, options = {}) {
-  const { cwd, maxOutput = 100000, timeout = DEFAULT_TIMEOUT_MS } = options;
+  const { cwd, maxOutput = 100000, keep = 'head', timeout = DEFAULT_TIMEOUT_MS, sandbox } = options;
+  const keepTail = keep === 'tail';
 
   return new Promise((resolve) => {
-    // 使用 shell 执行命令
-    const shell = process.platform === 'win32' ? 'cmd.exe' : '/bin/bash';
-    const shellArgs = process.platform === 'win32' ? ['/c', command] : ['-c', command];
+    const { file, args: fileArgs, env } = buildShellSpawn(command, { cwd, sandbox });
 
-    const child = spawn(shell, shellArgs, {
+    const child = spawn(file, fileArgs, {
       cwd,
-      env: { ...process.env },
+      env,
       stdio: ['ignore', 'pipe', 'pipe'],
       detached: process.platform !== 'win32', // Unix 创建进程组，方便超时时杀掉整个进程树
     });
@@ -54,20 +82,20 @@ async function executeShellCommand(command, options = {}) {
     }, timeout);
 
     child.stdout.on('data', (data) => {
-      if (!stdoutTruncated) {
+      if (!stdoutTruncated || keepTail) {
         stdout += data.toString();
         if (stdout.length > maxOutput) {
-          stdout = stdout.slice(0, maxOutput);
+          stdout = keepTail ? stdout.slice(-maxOutput) : stdout.slice(0, maxOutput);
           stdoutTruncated = true;
         }
       }
     });
 
     child.stderr.on('data', (data) => {
-      if (!stderrTruncated) {
+      if (!stderrTruncated || keepTail) {
         stderr += data.toString();
         if (stderr.length > maxOutput) {
-          stderr = stderr.slice(0, maxOutput);
+          stderr = keepTail ? stderr.slice(-maxOutput) : stderr.slice(0, maxOutput);
           stderrTruncated = true;
         }
       }
@@ -84,31 +112,72 @@ async function executeShellCommand(command, options = {}) {
 
     child.on('close', (code) => {
       clearTimeout(timer);
+      const markTruncated = (text, truncated) => {
+        if (!truncated) return text;
+        return keepTail ? `...(前面的输出已截断)\n${text}` : `${text}\n...(输出已截断)`;
+      };
       const result = {
-        stdout: stdoutTruncated ? stdout + '\n...(输出已截断)' : stdout,
-        stderr: stderrTruncated ? stderr + '\n...(输出已截断)' : stderr,
+        stdout: markTruncated(stdout, stdoutTruncated),
+        stderr: markTruncated(stderr, stderrTruncated),
         exitCode: killed ? 124 : (code ?? 0),
         timedOut: killed,
       };
 
       if (killed) {
         result.stderr = (result.stderr ? result.stderr + '\n' : '') +
-          `命令执行超时（${timeout / 1000}秒）已被终止。注意：不要执行长驻进程（如 npm run dev、npm start 等服务器命令）。如需运行项目，请使用构建命令（如 npm run build）或一次性检查命令。`;
+          `命令执行超时（${timeout / 1000}秒）已被终止。注意：不要用 shell 执行长驻进程（如 npm run dev、npm start 等服务器命令），请改用 process_start 在后台启动，再用 process_wait_for 等待就绪。`;
       }
 
-      logger.debug('Shell 命令执行完成', { command, exitCode: code, timedOut: killed });
+      logger.debug('Shell 命令执行完成', { command, exitCode: code, timedOut: killed, sandboxed: !!sandbox });
       resolve(result);
     });
   });
 }
 
+/**
+ * 为 Agent 解析沙箱执行参数
+ * 工作区为包含 cwd 的允许目录（未指定 cwd 时取第一个允许目录），仅该目录在沙箱内可写
+ * @param {string} [agentId]
+ * @param {string} [cwd]
+ * @returns {{ sandbox: { workspace: string, policy: Object } | null, error?: string }}
+ */
+function resolveSandbox(agentId, cwd) {
+  const permissions = permissionStore.get();
+  const policy = getSandboxPolicy(permissions, agentId);
+  if (!policy) {
+    return { sandbox: null };
+  }
+
+  // 已为该 Agent 启用沙箱时不回退到宿主机执行
+  const availability = getSandboxAvailability();
+  if (!availability.available) {
+    return { sandbox: null, error: `该 Agent 已启用沙箱执行，但沙箱不可用：${availability.reason}` };
+  }
+
+  const allowedPaths = permissions.files?.allowedPaths ?? [];
+  const workspace = cwd
+    ? allowedPaths.find((p) => isWithin(cwd, p))
+    : allowedPaths[0];
+  if (!workspace) {
+    return {
+      sandbox: null,
+      error: cwd
+        ? `沙箱模式下工作目录必须位于允许访问的目录内: ${cwd}`
+        : '沙箱模式需要至少配置一个允许访问的目录作为工作区',
+    };
+  }
+
+  return { sandbox: { workspace, policy } };
+}
+
 /**
  * Shell 工具定义
  */
 const shellTool = {
   name: 'shell',
-  description: '执行终端命令（30秒超时）。支持 bash/cmd。危险命令已被自动禁止。注意：不要执行长驻进程（npm run dev、npm start 等），它们会超时被杀。如需验证代码，使用 npm run build 或检查语法。',
+  description: '执行终端命令（30秒超时）。支持 bash/cmd。危险命令已被自动禁止。注意：不要用它执行长驻进程（npm run dev、npm start 等），它们会超时被杀；需要启动开发服务器等长驻进程时使用 process_start。',
   category: 'shell',
+  privileged: true,
   parameters: {
     command: {
       type: 'string',
@@ -123,20 +192,26 @@ const shellTool = {
   },
   requiredPermissions: ['shell.enabled'],
 
-  async execute(args) {
+  async execute(args, context = {}) {
     const { command, cwd } = args;
 
     if (!command || typeof command !== 'string') {
       throw new Error('请提供有效的命令');
     }
 
+    const { sandbox, error } = resolveSandbox(context.agentId, cwd);
+    if (error) {
+      throw new Error(error);
+    }
+
     const startTime = Date.now();
-    const result = await executeShellCommand(command, { cwd });
+    const result = await executeShellCommand(command, { cwd: cwd || sandbox?.workspace, sandbox });
     const duration = Date.now() - startTime;
 
     return {
       command,
-      cwd: cwd || process.cwd(),
+      cwd: cwd || sandbox?.workspace || process.cwd(),
+      sandboxed: !!sandbox,
       exitCode: result.exitCode,
       success: result.exitCode === 0,
       duration: `${duration}ms`,
@@ -157,4 +232,6 @@ module.exports = {
   shellTool,
   registerShellTool,
   executeShellCommand,
+  buildShellSpawn,
+  resolveSandbox,
 };
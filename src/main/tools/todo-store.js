@@ -8,6 +8,8 @@ const fs = require('fs');
 const path = require('path');
 const { logger } = require('../utils/logger');
 const { dataPath } = require('../account/data-path');
+const { readTextSync } = require('../storage/encrypted-storage');
+const { atomicWriteSync } = require('../utils/atomic-write');
 
 /** 防抖延迟（毫秒） */
 const DEBOUNCE_MS = 500;
@@ -45,7 +47,7 @@ class TodoStore {
         this._loaded = true;
         return;
       }
-      const content = fs.readFileSync(file, 'utf-8');
+      const content = readTextSync(file);
       const parsed = JSON.parse(content || '{}');
       this._data = new Map(Object.entries(parsed));
       this._loaded = true;
@@ -79,7 +81,7 @@ class TodoStore {
         fs.mkdirSync(dir, { recursive: true });
       }
       const obj = Object.fromEntries(this._data);
-      fs.writeFileSync(getTodoFile(), JSON.stringify(obj, null, 2), 'utf-8');
+      atomicWriteSync(getTodoFile(), JSON.stringify(obj, null, 2));
     } catch (error) {
       logger.error('TodoStore: 写入失败', error);
     }
@@ -90,6 +90,7 @@ const todoListTool = {
   name: 'todo_list',
   description: '查看你当前的所有待办事项列表。用来回顾任务进度和确认下一步工作。',
   category: 'todo',
+  readOnly: true,
   parameters: {},
 
   async execute(_args, context) {
@@ -6,8 +6,15 @@
 
 const { toolRegistry } = require('./tool-registry');
 const { PermissionChecker } = require('./permission-checker');
+const { toolPolicyStore } = require('../config/tool-policy-store');
+const { approvalRuleStore } = require('../config/approval-rule-store');
+const { scopeArgsToWorktree } = require('../git/worktree-scope');
 const { logger } = require('../utils/logger');
 const { virtualFileStore, VIRTUALIZE_THRESHOLD, PREVIEW_LENGTH } = require('../context/virtual-file-store');
+const { createToolCallId } = require('../llm/tool-call-format');
+
+/** 只读工具并发执行的默认上限（可通过构造参数或 TOOL_MAX_CONCURRENCY 环境变量调整） */
+const DEFAULT_MAX_CONCURRENCY = 4;
 
 /**
  * 工具名别名映射表
@@ -231,6 +238,24 @@ function parseToolCalls(content) {
   return toolCalls;
 }
 
+/**
+ * 汇总一轮响应中的工具调用
+ * 模型返回了原生工具调用时直接使用；否则解析文本中的 <tool_call> XML（回退协议）
+ * 并为每个调用分配 ID，供结构化 tool 消息关联
+ * @param {string} content - LLM 响应文本
+ * @param {Array<{id: string, name: string, arguments: Object}>} [nativeCalls] - Provider 写入 options._toolCalls 的原生调用
+ * @returns {Array<{id: string, name: string, arguments: Object}>}
+ */
+function collectToolCalls(content, nativeCalls = []) {
+  if (nativeCalls.length > 0) {
+    return nativeCalls;
+  }
+  if (!hasToolCalls(content || '')) {
+    return [];
+  }
+  return parseToolCalls(content).map((call) => ({ id: createToolCallId(), ...call }));
+}
+
 /**
  * 检查内容是否包含工具调用
  * @param {string} content
@@ -271,6 +296,15 @@ function removeToolCalls(content) {
   return content.replace(/<tool_call>[\s\S]*?<\/tool_call>/g, '').trim();
 }
 
+/**
+ * 工具调用的审批信息（展示在前端 ToolCallCard 上）；无需确认、也没有规则命中时不附带
+ * @typedef {Object} ToolApprovalInfo
+ * @property {'rule' | 'user'} by - 由审批规则决定，还是由老板在确认对话框中决定
+ * @property {'allow' | 'deny'} decision
+ * @property {{ id: string, label: string, session: boolean } | null} rule - 命中的审批规则
+ * @property {boolean} [remembered] - 老板选择了本次会话记住该决定
+ */
+
 /**
  * 工具执行器
  */
@@ -279,11 +313,21 @@ class ToolExecutor {
    * @param {Object} options
    * @param {Object} options.userPermissions - 用户权限配置
    * @param {Function} [options.onConfirmRequired] - 需要用户确认时的回调
+   * @param {number} [options.maxConcurrency] - 只读工具并发执行上限
    */
   constructor(options = {}) {
     this.permissionChecker = new PermissionChecker(options.userPermissions || {});
     this.onConfirmRequired = options.onConfirmRequired || null;
     this.pendingConfirmations = new Map();
+    this.setMaxConcurrency(options.maxConcurrency ?? Number(process.env.TOOL_MAX_CONCURRENCY));
+  }
+
+  /**
+   * 设置只读工具并发执行上限（无效值回退为默认值；1 表示全部串行）
+   * @param {number} value
+   */
+  setMaxConcurrency(value) {
+    this.maxConcurrency = Number.isInteger(value) && value >= 1 ? value : DEFAULT_MAX_CONCURRENCY;
   }
 
   /**
@@ -309,7 +353,9 @@ class ToolExecutor {
    * @param {string} request.toolName - 工具名称
    * @param {Object} request.args - 工具参数
    * @param {string} request.agentName - 请求的 Agent 名称
-   * @returns {Promise<boolean>}
+   * @param {{ id: string, label: string } | null} [request.rule] - 要求询问的审批规则
+   * @param {boolean} [request.rememberable] - 是否允许「本次会话记住」（命中「总是询问」规则或命令含替换、重定向时为 false）
+   * @returns {Promise<boolean | { confirmed: boolean, remember?: 'session' }>}
    */
   async requestConfirmation(request) {
     if (!this.onConfirmRequired) {
@@ -330,7 +376,8 @@ class ToolExecutor {
    * @param {Object} context - 执行上下文
    * @param {string} context.agentId - 调用的 Agent ID
    * @param {string} context.agentName - 调用的 Agent 名称
-   * @returns {Promise<{success: boolean, result?: any, error?: string}>}
+   * @param {import('../git/worktree-scope').WorktreeScope} [context.worktree] - 所在任务的 Git worktree
+   * @returns {Promise<{success: boolean, result?: any, error?: string, approval?: ToolApprovalInfo}>}
    */
   async executeTool(toolName, args, context = {}) {
     // 工具名别名映射：LLM 常用的错误名称 → 正确名称
@@ -355,6 +402,14 @@ class ToolExecutor {
       return { success: false, error: `未知工具: ${toolName}。请使用 <tool_call> 中列出的工具名称。` };
     }
 
+    // 特权工具的每次调用（含被拦截的）都写入审计日志
+    const audit = (result, approval, auditArgs = args) => {
+      if (tool.privileged) {
+        this._recordAudit(resolvedName, auditArgs, context, approval, result);
+      }
+      return result;
+    };
+
     // 第 3 层防御：停职 Agent 的一切工具调用直接拦截
     if (context.agentId) {
       const { agentConfigStore } = require('../config/agent-config-store');
@@ -362,19 +417,45 @@ class ToolExecutor {
       const executorStatus = executorConfig?.status || 'active';
       if (executorStatus === 'suspended' || executorStatus === 'terminated') {
         logger.warn(`停职 Agent 尝试使用工具被拦截: ${context.agentId} → ${resolvedName}`);
-        return { success: false, error: '你已被停职，无法使用任何工具。如需申诉，请直接与老板对话。' };
+        return audit(
+          { success: false, error: '你已被停职，无法使用任何工具。如需申诉，请直接与老板对话。' },
+          { source: 'denied', detail: `Agent 状态: ${executorStatus}` }
+        );
+      }
+    }
+
+    // 预算降级策略为「仅禁止有副作用的工具」且已越过阻止线时，只放行只读工具
+    if (context.agentId && tool.readOnly !== true) {
+      const { budgetManager } = require('../budget/budget-manager');
+      const restriction = budgetManager.getToolRestriction(context.agentId);
+      if (restriction) {
+        logger.warn(`预算透支 Agent 尝试使用有副作用的工具被拦截: ${context.agentId} → ${resolvedName}`);
+        return audit(
+          { success: false, error: `[预算超限] ${restriction.reason}。当前只能使用只读工具。` },
+          { source: 'denied', detail: restriction.reason }
+        );
       }
     }
 
     // 参数名归一化：LLM 可能用了别名或 camelCase，映射到工具定义的 snake_case 参数名
     // 注意：归一化必须在权限检查之前，否则权限检查会因参数名不匹配而读到 undefined
-    const normalizedArgs = this._normalizeArgs(tool, args);
+    // 在任务 worktree 中执行时，文件 / 命令 / Git 工具的路径同时映射到 worktree（同样须在权限检查之前）
+    const normalizedArgs = scopeArgsToWorktree(resolvedName, this._normalizeArgs(tool, args), context.worktree);
 
     // 必填参数校验：归一化后检查是否缺少必填参数，提前给出精确反馈
     const paramError = this._validateRequiredParams(tool, normalizedArgs, args);
     if (paramError) {
       logger.warn(`工具 ${resolvedName} 参数校验失败:`, paramError);
-      return { success: false, error: paramError };
+      return audit({ success: false, error: paramError }, { source: 'policy' }, normalizedArgs);
+    }
+
+    // Agent 工具策略（按 Agent / 部门 / 职级配置的工具、路径范围和命令白名单）
+    if (context.agentId) {
+      const policyCheck = toolPolicyStore.checkToolCall(context.agentId, tool, normalizedArgs, { baseDir: context.worktree?.path });
+      if (!policyCheck.allowed) {
+        logger.warn(`工具 ${resolvedName} 被工具策略拦截:`, { agent: context.agentId, reason: policyCheck.reason });
+        return audit({ success: false, error: policyCheck.reason }, { source: 'denied', detail: policyCheck.reason }, normalizedArgs);
+      }
     }
 
     // 检查权限（使用解析后的工具名 + 归一化后的参数）
@@ -382,21 +463,73 @@ class ToolExecutor {
     
     if (!permCheck.allowed) {
       logger.warn(`工具 ${resolvedName} 权限检查失败:`, permCheck.reason);
-      return { success: false, error: permCheck.reason };
+      return audit({ success: false, error: permCheck.reason }, { source: 'denied', detail: permCheck.reason }, normalizedArgs);
+    }
+
+    /** @type {import('../audit/audit-log').AuditApproval} */
+    let approval = { source: 'policy' };
+    /** @type {ToolApprovalInfo | undefined} */
+    let approvalInfo;
+
+    // 审批规则：在确认对话框之前决定自动批准、询问还是拒绝
+    const ruleCheck = approvalRuleStore.evaluate(tool, normalizedArgs, context.agentId);
+
+    if (ruleCheck.decision === 'deny') {
+      const reason = `审批规则「${ruleCheck.rule.label}」禁止该操作`;
+      logger.warn(`工具 ${resolvedName} 被审批规则拦截:`, { agent: context.agentId, rule: ruleCheck.rule.id });
+      return audit(
+        { success: false, error: reason, approval: { by: 'rule', decision: 'deny', rule: ruleCheck.rule } },
+        { source: 'denied', detail: reason },
+        normalizedArgs
+      );
     }
 
-    // 如果需要用户确认
-    if (permCheck.needConfirm) {
-      const confirmed = await this.requestConfirmation({
+    if (ruleCheck.decision === 'allow') {
+      approval = { source: 'policy', detail: `审批规则「${ruleCheck.rule.label}」` };
+      approvalInfo = { by: 'rule', decision: 'allow', rule: ruleCheck.rule };
+    } else if (ruleCheck.decision === 'ask' || permCheck.needConfirm) {
+      // 「总是询问」规则要求必须由老板确认，没有确认渠道时（如后台运行的公司）不能自动批准
+      if (ruleCheck.decision === 'ask' && !this.onConfirmRequired) {
+        const reason = `审批规则「${ruleCheck.rule.label}」要求老板确认，但当前无法弹出确认`;
+        return audit(
+          { success: false, error: reason, approval: { by: 'rule', decision: 'deny', rule: ruleCheck.rule } },
+          { source: 'denied', detail: reason },
+          normalizedArgs
+        );
+      }
+
+      const rememberable = ruleCheck.decision !== 'ask' && approvalRuleStore.canRememberDecision(tool, normalizedArgs);
+      const response = await this.requestConfirmation({
         type: tool.category,
         toolName: resolvedName,
         args: normalizedArgs,
         agentId: context.agentId,
         agentName: context.agentName || context.agentId,
+        rule: ruleCheck.rule,
+        rememberable,
       });
+      const { confirmed, remember } = typeof response === 'object' && response !== null
+        ? response
+        : { confirmed: !!response };
+
+      const remembered = rememberable && remember === 'session';
+      if (remembered) {
+        approvalRuleStore.rememberSessionDecision(tool, normalizedArgs, context.agentId, confirmed);
+      }
 
       if (!confirmed) {
-        return { success: false, error: '用户拒绝执行该操作' };
+        return audit(
+          { success: false, error: '用户拒绝执行该操作', approval: { by: 'user', decision: 'deny', rule: ruleCheck.rule, remembered } },
+          { source: 'denied', detail: '老板拒绝' },
+          normalizedArgs
+        );
+      }
+      if (this.onConfirmRequired) {
+        approval = { source: 'user_confirm', detail: '老板确认' };
+        approvalInfo = { by: 'user', decision: 'allow', rule: ruleCheck.rule, remembered };
+      } else {
+        // 老板没有看到确认对话框，不能记为老板确认
+        approval = { source: 'policy', detail: '未设置确认回调，按权限配置自动批准' };
       }
     }
 
@@ -415,26 +548,56 @@ class ToolExecutor {
       if (result && (result.error || result.success === false)) {
         const hint = this._buildParamHint(tool);
         const originalError = result.error || '执行失败';
+        audit({ success: false, error: originalError }, approval, normalizedArgs);
         return {
           success: false,
           error: `${originalError}\n\n${hint}`,
           displayError: originalError, // 仅面向 UI 的简洁错误
+          approval: approvalInfo,
         };
       }
 
-      return { success: true, result };
+      return audit({ success: true, result, approval: approvalInfo }, approval, normalizedArgs);
     } catch (error) {
       logger.error(`工具执行失败: ${toolName}`, error);
       const hint = this._buildParamHint(tool);
       const originalError = error.message || '工具执行失败';
+      audit({ success: false, error: originalError }, approval, normalizedArgs);
       return {
         success: false,
         error: `${originalError}\n\n${hint}`,
         displayError: originalError, // 仅面向 UI 的简洁错误
+        approval: approvalInfo,
       };
     }
   }
 
+  /**
+   * 写入特权工具调用的审计记录（审计失败不影响工具结果）
+   * @param {string} toolName
+   * @param {Object} args
+   * @param {Object} context
+   * @param {import('../audit/audit-log').AuditApproval} approval
+   * @param {{ success: boolean, result?: any, error?: string }} result
+   */
+  _recordAudit(toolName, args, context, approval, result) {
+    try {
+      const { auditLog } = require('../audit/audit-log');
+      auditLog.record({
+        actor: context.agentId
+          ? { type: 'agent', id: context.agentId, name: context.agentName }
+          : { type: 'system', id: 'system' },
+        action: `tool:${toolName}`,
+        tool: toolName,
+        args,
+        approval,
+        result,
+      });
+    } catch (error) {
+      logger.error('写入审计日志失败:', error);
+    }
+  }
+
   /**
    * 构建参数说明提示，供 LLM 在出错时参考
    * @param {Object} tool - 工具定义
@@ -583,27 +746,85 @@ class ToolExecutor {
     return normalized;
   }
 
+  /**
+   * 工具调用是否只读（无副作用，可与其他只读调用并发执行）
+   * 由工具定义中的 readOnly 声明决定；未知工具按有副作用处理
+   * @param {{ name: string }} call
+   * @returns {boolean}
+   */
+  _isReadOnlyCall(call) {
+    const tool = toolRegistry.get(TOOL_NAME_ALIASES[call.name] || call.name);
+    return tool?.readOnly === true;
+  }
+
+  /**
+   * 将一轮工具调用按依赖关系分批
+   * 连续的只读调用合并为一批并发执行；有副作用的调用单独成批，
+   * 作为屏障保证与前后调用的相对顺序（如先 write_file 再 read_file）
+   * @param {Array<{name: string}>} toolCalls
+   * @returns {Array<Array<number>>} 每批包含的调用下标
+   */
+  _planBatches(toolCalls) {
+    const batches = [];
+    let readBatch = null;
+    toolCalls.forEach((call, index) => {
+      if (this._isReadOnlyCall(call)) {
+        if (!readBatch) {
+          readBatch = [];
+          batches.push(readBatch);
+        }
+        readBatch.push(index);
+      } else {
+        readBatch = null;
+        batches.push([index]);
+      }
+    });
+    return batches;
+  }
+
   /**
    * 执行多个工具调用
-   * @param {Array<{name: string, arguments: Object}>} toolCalls
+   * 只读工具（定义中 readOnly: true）在批内并发执行，并发数不超过 maxConcurrency；
+   * 有副作用的工具按原顺序逐个执行。返回结果始终与 toolCalls 顺序一致
+   * @param {Array<{id?: string, name: string, arguments: Object}>} toolCalls
    * @param {Object} context
-   * @param {Function} [onProgress] - 进度回调，每个工具完成时调用
-   *   回调签名: ({ type: 'tool_result', id: string, name: string, success: boolean, result?: any, error?: string, duration: number })
-   * @returns {Promise<Array<{name: string, success: boolean, result?: any, error?: string, duration: number}>>}
+   * @param {Function} [onProgress] - 进度回调，每个工具状态变化时调用
+   *   排队/开始: ({ type: 'tool_status', id: string, name: string, status: 'queued' | 'running' })
+   *   完成: ({ type: 'tool_result', id: string, name: string, success: boolean, result?: any, error?: string, duration: number, approval?: ToolApprovalInfo })
+   * @returns {Promise<Array<{id?: string, name: string, success: boolean, result?: any, error?: string, duration: number}>>}
    */
   async executeToolCalls(toolCalls, context = {}, onProgress = null) {
-    const results = [];
+    const results = new Array(toolCalls.length);
+    const batches = this._planBatches(toolCalls);
+
+    if (onProgress) {
+      for (const call of toolCalls) {
+        onProgress({ type: 'tool_status', id: call.id, name: call.name, status: 'queued' });
+      }
+    }
+
+    const runOne = async (index) => {
+      const call = toolCalls[index];
+      if (onProgress) {
+        onProgress({ type: 'tool_status', id: call.id, name: call.name, status: 'running' });
+      }
 
-    for (const call of toolCalls) {
       const startTime = Date.now();
-      const result = await this.executeTool(call.name, call.arguments, context);
+      let result;
+      try {
+        result = await this.executeTool(call.name, call.arguments, context);
+      } catch (error) {
+        // 并发执行时单个工具异常不应中断同批其他工具
+        result = { success: false, error: error.message };
+      }
       const duration = Date.now() - startTime;
       const entry = {
+        id: call.id,
         name: call.name,
         ...result,
         duration,
       };
-      results.push(entry);
+      results[index] = entry;
 
       if (onProgress) {
         // 前端预览结果：对象直接发送（Electron IPC 支持结构化克隆），字符串截断
@@ -620,63 +841,117 @@ class ToolExecutor {
           result: previewResult,
           error: entry.displayError || entry.error || null,
           duration,
+          approval: entry.approval || null,
         });
       }
+    };
+
+    for (const batch of batches) {
+      if (batch.length === 1) {
+        await runOne(batch[0]);
+        continue;
+      }
+
+      // 只读批次：固定数量的 worker 依次领取调用，限制并发
+      logger.info(`并发执行 ${batch.length} 个只读工具`, {
+        tools: batch.map((i) => toolCalls[i].name),
+        maxConcurrency: this.maxConcurrency,
+      });
+      let next = 0;
+      const worker = async () => {
+        while (next < batch.length) {
+          await runOne(batch[next++]);
+        }
+      };
+      await Promise.all(
+        Array.from({ length: Math.min(this.maxConcurrency, batch.length) }, worker)
+      );
     }
 
     return results;
   }
 
   /**
-   * 格式化工具执行结果（用于返回给 LLM）
+   * 格式化单个工具执行结果的正文（不含 <tool_result> 包装）
    * 大结果（>5KB）会被外部化到虚拟文件，上下文只保留预览
-   * 
-   * @param {Array} results
+   *
+   * @param {Object} r - executeToolCalls 返回的单条结果
    * @param {Object} [options]
    * @param {string} [options.sessionId] - 会话 ID（用于虚拟文件管理）
-   * @returns {string}
+   * @returns {{ content: string, virtualized: boolean }}
    */
-  formatToolResults(results, options = {}) {
-    return results
-      .map((r) => {
-        if (r.success) {
-          const resultStr = typeof r.result === 'string' 
-            ? r.result 
-            : JSON.stringify(r.result, null, 2);
-          
-          // 大结果外部化到虚拟文件（参考 lethain.com 方案）
-          if (virtualFileStore.shouldVirtualize(resultStr)) {
-            const vf = virtualFileStore.store(resultStr, {
-              toolName: r.name,
-              type: 'tool_result',
-              sessionId: options.sessionId,
-            });
-            
-            return `<tool_result name="${r.name}" success="true" virtualized="true">
-[内容已存储到虚拟文件: ${vf.fileId}]
+  formatToolResultContent(r, options = {}) {
+    if (!r.success) {
+      return { content: `错误: ${r.error}`, virtualized: false };
+    }
+
+    const resultStr = typeof r.result === 'string'
+      ? r.result
+      : JSON.stringify(r.result, null, 2);
+
+    // 大结果外部化到虚拟文件（参考 lethain.com 方案）
+    if (virtualFileStore.shouldVirtualize(resultStr)) {
+      const vf = virtualFileStore.store(resultStr, {
+        toolName: r.name,
+        type: 'tool_result',
+        sessionId: options.sessionId,
+      });
+
+      return {
+        content: `[内容已存储到虚拟文件: ${vf.fileId}]
 大小: ${vf.size} 字符
 
 预览 (前 ${PREVIEW_LENGTH} 字符):
 ${vf.preview}
 
-如需完整内容，请使用 read_virtual_file 工具读取。
-</tool_result>`;
-          }
-          
-          // 普通结果：保留原有截断逻辑作为兜底
-          const maxLen = 10000;
-          const truncated = resultStr.length > maxLen
-            ? resultStr.slice(0, maxLen) + '\n...(输出已截断)'
-            : resultStr;
-
-          return `<tool_result name="${r.name}" success="true">
-${truncated}
-</tool_result>`;
-        } else {
-          return `<tool_result name="${r.name}" success="false">
-错误: ${r.error}
+如需完整内容，请使用 read_virtual_file 工具读取。`,
+        virtualized: true,
+      };
+    }
+
+    // 普通结果：保留原有截断逻辑作为兜底
+    const maxLen = 10000;
+    const truncated = resultStr.length > maxLen
+      ? resultStr.slice(0, maxLen) + '\n...(输出已截断)'
+      : resultStr;
+    return { content: truncated, virtualized: false };
+  }
+
+  /**
+   * 将工具执行结果转换为结构化 tool 消息（用于对话历史）
+   * Provider 发送前按能力转换为原生 tool_result，或回退为 <tool_result> 文本
+   *
+   * @param {Array} results - executeToolCalls 的返回值
+   * @param {Object} [options]
+   * @param {string} [options.sessionId]
+   * @returns {Array<{ role: 'tool', toolCallId: string, name: string, success: boolean, content: string }>}
+   */
+  buildToolResultMessages(results, options = {}) {
+    return results.map((r) => ({
+      role: 'tool',
+      toolCallId: r.id,
+      name: r.name,
+      success: !!r.success,
+      content: this.formatToolResultContent(r, options).content,
+    }));
+  }
+
+  /**
+   * 格式化工具执行结果（XML 文本，用于返回给 LLM）
+   *
+   * @param {Array} results
+   * @param {Object} [options]
+   * @param {string} [options.sessionId] - 会话 ID（用于虚拟文件管理）
+   * @returns {string}
+   */
+  formatToolResults(results, options = {}) {
+    return results
+      .map((r) => {
+        const { content, virtualized } = this.formatToolResultContent(r, options);
+        const attrs = `name="${r.name}" success="${!!r.success}"${virtualized ? ' virtualized="true"' : ''}`;
+        return `<tool_result ${attrs}>
+${content}
 </tool_result>`;
-        }
       })
       .join('\n\n');
   }
@@ -687,4 +962,5 @@ module.exports = {
   parseToolCalls,
   hasToolCalls,
   removeToolCalls,
+  collectToolCalls,
 };
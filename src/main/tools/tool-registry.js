@@ -20,6 +20,8 @@
  * @property {Object.<string, ToolParameter>} parameters - 参数定义
  * @property {Function} execute - 执行函数
  * @property {string[]} [requiredPermissions] - 需要的用户权限
+ * @property {boolean} [readOnly] - 无副作用（只读），同一轮内可与其他只读工具并发执行
+ * @property {boolean} [privileged] - 特权操作（执行命令、合并代码、人事与财务变更），每次调用都写入审计日志
  */
 
 /**
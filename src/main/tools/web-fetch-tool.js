@@ -311,6 +311,7 @@ const webFetchTool = {
   description:
     '获取指定 URL 的网页正文内容（按行分页）。首次调用返回第 1 行起的内容；如结果末尾有 [分页提示]，可传入 start_line 获取后续行。适合深入阅读搜索结果中的具体网页。',
   category: 'network',
+  readOnly: true,
   parameters: {
     url: {
       type: 'string',
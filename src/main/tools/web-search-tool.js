@@ -596,6 +596,7 @@ const webSearchTool = {
   description:
     '搜索互联网获取信息。可搜索天气、新闻、技术文档、百科知识等任何内容。只要涉及你不确定或需要最新数据的信息，都应主动调用此工具。',
   category: 'network',
+  readOnly: true,
   parameters: {
     query: {
       type: 'string',
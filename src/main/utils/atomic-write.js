@@ -1,17 +1,19 @@
 /**
  * SoloForge - 原子写入工具
  * 防止写入过程中崩溃导致文件损坏
+ * 写入 ~/.soloforge 下的文件时，开启了本地数据加密则写入密文（见 storage/encrypted-storage）
  * @module utils/atomic-write
  */
 
 const fs = require('fs');
 const path = require('path');
+const { encryptedStorage } = require('../storage/encrypted-storage');
 
 /**
  * 原子写入文件（同步版本）
  * 先写入临时文件，然后重命名，确保文件内容完整性
  * @param {string} filePath - 目标文件路径
- * @param {string} content - 文件内容
+ * @param {string | Buffer} content - 文件内容
  */
 function atomicWriteSync(filePath, content) {
   const tempPath = filePath + '.tmp';
@@ -23,7 +25,7 @@ function atomicWriteSync(filePath, content) {
   }
 
   // 先写入临时文件
-  fs.writeFileSync(tempPath, content, 'utf-8');
+  fs.writeFileSync(tempPath, encryptedStorage.encode(filePath, content), 'utf-8');
 
   // 然后原子重命名（在 POSIX 系统上是原子操作）
   fs.renameSync(tempPath, filePath);
@@ -32,7 +34,7 @@ function atomicWriteSync(filePath, content) {
 /**
  * 原子写入文件（异步版本）
  * @param {string} filePath - 目标文件路径
- * @param {string} content - 文件内容
+ * @param {string | Buffer} content - 文件内容
  * @returns {Promise<void>}
  */
 async function atomicWrite(filePath, content) {
@@ -43,7 +45,7 @@ async function atomicWrite(filePath, content) {
   await fs.promises.mkdir(dir, { recursive: true });
 
   // 先写入临时文件
-  await fs.promises.writeFile(tempPath, content, 'utf-8');
+  await fs.promises.writeFile(tempPath, encryptedStorage.encode(filePath, content), 'utf-8');
 
   // 然后原子重命名
   await fs.promises.rename(tempPath, filePath);
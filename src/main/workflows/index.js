@@ -0,0 +1,14 @@
+/**
+ * SoloForge - 工作流模块入口
+ * @module workflows
+ */
+
+const { workflowStore } = require('./workflow-store');
+const { workflowEngine } = require('./workflow-engine');
+const { registerWorkflowIPCHandlers } = require('./workflow-ipc-handlers');
+
+module.exports = {
+  workflowStore,
+  workflowEngine,
+  registerWorkflowIPCHandlers,
+};
@@ -0,0 +1,460 @@
+/**
+ * SoloForge - 工作流定义
+ * 解析与校验声明式工作流（YAML / JSON），以及步骤间的模板取值、条件判断与类型检查
+ *
+ * 定义格式示例（YAML）：
+ *
+ *   id: write-review
+ *   name: 写作 + 审核循环
+ *   inputs:
+ *     prompt: { type: string, required: true }
+ *   outputs:
+ *     content: "{{steps.review.output.reviewedContent}}"
+ *   steps:
+ *     - id: write
+ *       type: agent
+ *       agent: writer
+ *       maxVisits: 3
+ *       onMaxVisits: approve
+ *       input: { prompt: "{{inputs.prompt}}" }
+ *       outputSchema: { content: string }
+ *       next: review
+ *     - id: review
+ *       type: agent
+ *       agent: reviewer
+ *       input: { content: "{{steps.write.output.content}}" }
+ *       next: check
+ *     - id: check
+ *       type: branch
+ *       cases:
+ *         - when: { path: steps.review.output.suggestions.length, op: eq, value: 0 }
+ *           next: approve
+ *       default: write
+ *     - id: approve
+ *       type: approval
+ *       message: "请确认最终稿：{{steps.review.output.reviewedContent}}"
+ *
+ * 步骤类型：
+ * - agent：调用 AgentRegistry 中的 Agent，input 为模板映射
+ * - parallel：并发执行 steps 中的多个 agent 子步骤，全部完成后汇合（fan-out / fan-in）
+ * - branch：按 cases 顺序匹配条件跳转，都不匹配走 default
+ * - approval：暂停等待老板审批，通过走 next，拒绝走 onReject（未配置则工作流失败）
+ *
+ * 每个步骤默认执行完后进入列表中的下一个步骤，可用 next 指定；next 为 null 或到达末尾即结束。
+ * 回跳形成循环时，用 maxVisits（默认为工作流的 maxIterations）限制同一步骤的执行次数，
+ * 超过后跳到 onMaxVisits，未配置则工作流失败。
+ *
+ * @module workflows/workflow-definition
+ */
+
+const yaml = require('js-yaml');
+
+/** 支持的步骤类型 */
+const STEP_TYPES = ['agent', 'parallel', 'branch', 'approval'];
+
+/** 支持的值类型 */
+const VALUE_TYPES = ['string', 'number', 'boolean', 'object', 'array', 'any'];
+
+/** 条件操作符 */
+const CONDITION_OPS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'matches', 'exists', 'truthy', 'falsy'];
+
+/** 同一步骤默认最多执行次数（循环保护） */
+const DEFAULT_MAX_ITERATIONS = 5;
+
+/** 单个模板占位符 */
+const TEMPLATE_RE = /\{\{\s*([^}]+?)\s*\}\}/g;
+const SINGLE_TEMPLATE_RE = /^\{\{\s*([^}]+?)\s*\}\}$/;
+
+/**
+ * 工作流定义错误
+ */
+class WorkflowDefinitionError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} [errors] - 详细错误列表
+   */
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}: ${errors.join('; ')}` : message);
+    this.name = 'WorkflowDefinitionError';
+    this.errors = errors;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// 解析
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 解析工作流文件内容
+ * @param {string} text - 文件内容
+ * @param {'yaml'|'json'} format
+ * @returns {Object} 原始定义对象
+ * @throws {WorkflowDefinitionError}
+ */
+function parseDefinition(text, format) {
+  let raw;
+  try {
+    raw = format === 'json' ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new WorkflowDefinitionError(`解析 ${format.toUpperCase()} 失败`, [error.message]);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new WorkflowDefinitionError('工作流定义必须是对象');
+  }
+  return raw;
+}
+
+/**
+ * 校验并规范化工作流定义
+ * @param {Object} raw - parseDefinition 的结果
+ * @returns {Object} 规范化后的定义（补全默认 next、maxVisits 等）
+ * @throws {WorkflowDefinitionError}
+ */
+function normalizeDefinition(raw) {
+  const errors = [];
+
+  if (!raw.id || typeof raw.id !== 'string' || !/^[\w-]+$/.test(raw.id)) {
+    errors.push('id 必须是由字母、数字、下划线或连字符组成的字符串');
+  }
+  if (!Array.isArray(raw.steps) || raw.steps.length === 0) {
+    errors.push('steps 必须是非空数组');
+    throw new WorkflowDefinitionError(`工作流 "${raw.id || '?'}" 无效`, errors);
+  }
+
+  const maxIterations = Number.isInteger(raw.maxIterations) && raw.maxIterations > 0
+    ? raw.maxIterations
+    : DEFAULT_MAX_ITERATIONS;
+
+  const inputs = _normalizeSchema(raw.inputs, 'inputs', errors, true);
+
+  const stepIds = new Set();
+  for (const step of raw.steps) {
+    if (!step || typeof step.id !== 'string' || !step.id) {
+      errors.push('每个步骤都必须有 id');
+      continue;
+    }
+    if (stepIds.has(step.id)) errors.push(`步骤 id 重复: ${step.id}`);
+    stepIds.add(step.id);
+    if (Array.isArray(step.steps)) {
+      for (const child of step.steps) {
+        if (child?.id) {
+          if (stepIds.has(child.id)) errors.push(`步骤 id 重复: ${child.id}`);
+          stepIds.add(child.id);
+        }
+      }
+    }
+  }
+
+  const checkTarget = (stepId, field, target) => {
+    if (target === null || target === undefined) return;
+    if (!stepIds.has(target)) errors.push(`步骤 ${stepId} 的 ${field} 指向不存在的步骤: ${target}`);
+  };
+
+  const steps = raw.steps.filter((s) => s?.id).map((step, index) => {
+    const type = step.type || 'agent';
+    if (!STEP_TYPES.includes(type)) {
+      errors.push(`步骤 ${step.id} 的类型无效: ${type}`);
+    }
+
+    // 默认顺序执行下一个步骤
+    const next = step.next !== undefined ? step.next : (raw.steps[index + 1]?.id ?? null);
+    checkTarget(step.id, 'next', next);
+    checkTarget(step.id, 'onMaxVisits', step.onMaxVisits);
+
+    const normalized = {
+      id: step.id,
+      type,
+      name: step.name || step.id,
+      next,
+      maxVisits: Number.isInteger(step.maxVisits) && step.maxVisits > 0 ? step.maxVisits : maxIterations,
+      onMaxVisits: step.onMaxVisits ?? null,
+    };
+
+    if (type === 'agent') {
+      Object.assign(normalized, _normalizeAgentStep(step, errors));
+    } else if (type === 'parallel') {
+      if (!Array.isArray(step.steps) || step.steps.length < 2) {
+        errors.push(`并行步骤 ${step.id} 至少需要 2 个子步骤`);
+      }
+      normalized.steps = (step.steps || []).filter((c) => c?.id).map((child) => {
+        if (child.type && child.type !== 'agent') {
+          errors.push(`并行步骤 ${step.id} 的子步骤 ${child.id} 只能是 agent 类型`);
+        }
+        return { id: child.id, type: 'agent', name: child.name || child.id, ..._normalizeAgentStep(child, errors) };
+      });
+    } else if (type === 'branch') {
+      if (!Array.isArray(step.cases) || step.cases.length === 0) {
+        errors.push(`分支步骤 ${step.id} 需要 cases`);
+      }
+      normalized.cases = (step.cases || []).map((c, i) => {
+        _validateCondition(c?.when, `${step.id}.cases[${i}].when`, errors);
+        checkTarget(step.id, `cases[${i}].next`, c?.next);
+        return { when: c?.when, next: c?.next ?? null };
+      });
+      normalized.default = step.default ?? null;
+      checkTarget(step.id, 'default', normalized.default);
+    } else if (type === 'approval') {
+      normalized.message = typeof step.message === 'string' ? step.message : `请审批步骤 ${step.id}`;
+      normalized.onReject = step.onReject ?? null;
+      checkTarget(step.id, 'onReject', normalized.onReject);
+    }
+
+    return normalized;
+  });
+
+  // 模板引用的步骤必须存在
+  const outputs = raw.outputs && typeof raw.outputs === 'object' ? raw.outputs : {};
+  for (const ref of _collectStepRefs([raw.steps, outputs])) {
+    if (!stepIds.has(ref)) errors.push(`模板引用了不存在的步骤: ${ref}`);
+  }
+
+  if (errors.length > 0) {
+    throw new WorkflowDefinitionError(`工作流 "${raw.id}" 无效`, errors);
+  }
+
+  return {
+    id: raw.id,
+    name: raw.name || raw.id,
+    description: raw.description || '',
+    maxIterations,
+    inputs,
+    outputs,
+    steps,
+  };
+}
+
+/**
+ * 规范化 agent 步骤的公共字段
+ * @param {Object} step
+ * @param {string[]} errors
+ * @returns {Object}
+ */
+function _normalizeAgentStep(step, errors) {
+  if (!step.agent || typeof step.agent !== 'string') {
+    errors.push(`步骤 ${step.id} 缺少 agent`);
+  }
+  if (step.input !== undefined && (typeof step.input !== 'object' || Array.isArray(step.input))) {
+    errors.push(`步骤 ${step.id} 的 input 必须是对象`);
+  }
+  return {
+    agent: step.agent,
+    input: step.input || {},
+    inputSchema: _normalizeSchema(step.inputSchema, `${step.id}.inputSchema`, errors),
+    outputSchema: _normalizeSchema(step.outputSchema, `${step.id}.outputSchema`, errors),
+  };
+}
+
+/**
+ * 规范化类型声明
+ * 支持简写 { name: string } 与完整写法 { name: { type, required, default, description } }
+ * @param {Object} [schema]
+ * @param {string} label
+ * @param {string[]} errors
+ * @param {boolean} [requiredByDefault=false]
+ * @returns {Object<string, {type: string, required: boolean, default?: *, description?: string}>}
+ */
+function _normalizeSchema(schema, label, errors, requiredByDefault = false) {
+  if (schema === undefined || schema === null) return {};
+  if (typeof schema !== 'object' || Array.isArray(schema)) {
+    errors.push(`${label} 必须是对象`);
+    return {};
+  }
+
+  const result = {};
+  for (const [name, spec] of Object.entries(schema)) {
+    const full = typeof spec === 'string' ? { type: spec } : (spec || {});
+    const type = full.type || 'any';
+    if (!VALUE_TYPES.includes(type)) {
+      errors.push(`${label}.${name} 的类型无效: ${type}`);
+    }
+    result[name] = {
+      type,
+      required: full.required ?? (requiredByDefault && full.default === undefined),
+      ...(full.default !== undefined && { default: full.default }),
+      ...(full.description && { description: full.description }),
+    };
+  }
+  return result;
+}
+
+/**
+ * 校验条件表达式
+ * @param {Object} condition
+ * @param {string} label
+ * @param {string[]} errors
+ */
+function _validateCondition(condition, label, errors) {
+  if (!condition || typeof condition !== 'object') {
+    errors.push(`${label} 必须是条件对象`);
+    return;
+  }
+  if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+    (condition.all || condition.any).forEach((c, i) => _validateCondition(c, `${label}[${i}]`, errors));
+    return;
+  }
+  if (typeof condition.path !== 'string') {
+    errors.push(`${label} 缺少 path`);
+  }
+  if (!CONDITION_OPS.includes(condition.op || 'truthy')) {
+    errors.push(`${label} 的操作符无效: ${condition.op}`);
+  }
+}
+
+/**
+ * 收集模板 / 条件中引用的步骤 ID
+ * @param {*} value
+ * @param {Set<string>} [refs]
+ * @returns {Set<string>}
+ */
+function _collectStepRefs(value, refs = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(TEMPLATE_RE)) {
+      const [root, id] = match[1].split('.');
+      if (root === 'steps' && id) refs.add(id);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((v) => _collectStepRefs(v, refs));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.path === 'string') _collectStepRefs(`{{${value.path}}}`, refs);
+    Object.values(value).forEach((v) => _collectStepRefs(v, refs));
+  }
+  return refs;
+}
+
+// ═══════════════════════════════════════════════════════════
+// 取值与模板
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 按点路径取值（支持数组下标与 length）
+ * @param {Object} scope - { inputs, steps, run }
+ * @param {string} pathExpr - 如 steps.review.output.suggestions.length
+ * @returns {*}
+ */
+function getPath(scope, pathExpr) {
+  return pathExpr.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    return value[key];
+  }, scope);
+}
+
+/**
+ * 解析模板
+ * 整个字符串只有一个占位符时保留原始类型，否则拼接为字符串；对象和数组递归解析
+ * @param {*} template
+ * @param {Object} scope
+ * @returns {*}
+ */
+function resolveTemplate(template, scope) {
+  if (typeof template === 'string') {
+    const single = template.match(SINGLE_TEMPLATE_RE);
+    if (single) return getPath(scope, single[1]);
+    return template.replace(TEMPLATE_RE, (_m, expr) => {
+      const value = getPath(scope, expr);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map((item) => resolveTemplate(item, scope));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, resolveTemplate(value, scope)]),
+    );
+  }
+  return template;
+}
+
+/**
+ * 判断条件
+ * @param {Object} condition - { path, op, value } 或 { all: [...] } / { any: [...] }
+ * @param {Object} scope
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, scope) {
+  if (Array.isArray(condition.all)) return condition.all.every((c) => evaluateCondition(c, scope));
+  if (Array.isArray(condition.any)) return condition.any.some((c) => evaluateCondition(c, scope));
+
+  const actual = getPath(scope, condition.path);
+  const expected = resolveTemplate(condition.value, scope);
+
+  switch (condition.op || 'truthy') {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    case 'contains':
+      if (Array.isArray(actual)) return actual.includes(expected);
+      return typeof actual === 'string' && actual.includes(String(expected));
+    case 'matches':
+      return typeof actual === 'string' && new RegExp(expected, 'i').test(actual);
+    case 'exists': return actual !== undefined && actual !== null;
+    case 'truthy': return !!actual;
+    case 'falsy': return !actual;
+    default: return false;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// 类型检查
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 获取值的类型名
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * 按类型声明检查并补全数据
+ * @param {Object} data
+ * @param {Object} schema - _normalizeSchema 的结果
+ * @param {string} label - 错误信息前缀
+ * @returns {Object} 补全默认值后的数据
+ * @throws {WorkflowDefinitionError}
+ */
+function checkTypes(data, schema, label) {
+  const result = { ...(data || {}) };
+  const errors = [];
+
+  for (const [name, spec] of Object.entries(schema)) {
+    if (result[name] === undefined && spec.default !== undefined) {
+      result[name] = spec.default;
+    }
+    const value = result[name];
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) errors.push(`缺少 ${name}`);
+      continue;
+    }
+    if (spec.type !== 'any' && typeOf(value) !== spec.type) {
+      errors.push(`${name} 应为 ${spec.type}，实际为 ${typeOf(value)}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new WorkflowDefinitionError(`${label} 类型不匹配`, errors);
+  }
+  return result;
+}
+
+module.exports = {
+  WorkflowDefinitionError,
+  STEP_TYPES,
+  VALUE_TYPES,
+  CONDITION_OPS,
+  DEFAULT_MAX_ITERATIONS,
+  parseDefinition,
+  normalizeDefinition,
+  getPath,
+  resolveTemplate,
+  evaluateCondition,
+  checkTypes,
+};
@@ -0,0 +1,484 @@
+/**
+ * SoloForge - 工作流引擎
+ * 按声明式定义驱动工作流运行：Agent 步骤、并行汇合、条件分支、循环保护与人工审批
+ * 每个步骤开始和结束时都会持久化运行状态，应用重启后从中断的步骤继续执行
+ * @module workflows/workflow-engine
+ */
+
+const { AgentOrchestrator } = require('../agents/agent-orchestrator');
+const { logger } = require('../utils/logger');
+const { workflowStore } = require('./workflow-store');
+const {
+  WorkflowDefinitionError,
+  resolveTemplate,
+  evaluateCondition,
+  checkTypes,
+} = require('./workflow-definition');
+
+/** 运行中的状态（未结束） */
+const ACTIVE_STATUSES = ['running', 'waiting_approval'];
+
+/**
+ * 运行被取消（内部控制流）
+ */
+class WorkflowCancelledError extends Error {
+  constructor() {
+    super('工作流已取消');
+    this.name = 'WorkflowCancelledError';
+  }
+}
+
+/**
+ * 运行被挂起（切换公司等，内部控制流，不修改运行状态）
+ */
+class WorkflowSuspendedError extends Error {
+  constructor() {
+    super('工作流已挂起');
+    this.name = 'WorkflowSuspendedError';
+  }
+}
+
+class WorkflowEngine {
+  constructor() {
+    this.orchestrator = new AgentOrchestrator();
+    /** @type {Set<string>} 正在由本进程驱动的运行 */
+    this._driving = new Set();
+    /** @type {Set<string>} 已请求取消的运行 */
+    this._cancelRequests = new Set();
+    /** 切换公司时递增，旧公司的驱动循环据此停止写入 */
+    this._generation = 0;
+    /** @type {Function|null} 变更通知回调 */
+    this._onChange = null;
+  }
+
+  /**
+   * 设置变更回调（用于推送到前端）
+   * @param {Function} callback - (run: WorkflowRun) => void
+   */
+  onChanged(callback) {
+    this._onChange = callback;
+  }
+
+  _notify(run) {
+    if (!this._onChange) return;
+    try {
+      this._onChange(run);
+    } catch (error) {
+      logger.error('WorkflowEngine: 变更通知失败', error);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // 对外接口
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * 启动工作流（立即返回运行记录，执行在后台进行）
+   * @param {string} workflowId
+   * @param {Object} [inputs]
+   * @returns {import('./workflow-store').WorkflowRun}
+   * @throws {WorkflowDefinitionError} 工作流不存在、定义无效或输入类型不匹配
+   */
+  start(workflowId, inputs = {}) {
+    const definition = workflowStore.getDefinition(workflowId);
+    if (!definition) {
+      throw new WorkflowDefinitionError(`工作流不存在: ${workflowId}`);
+    }
+
+    const now = new Date().toISOString();
+    const run = {
+      id: `wfrun-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      workflowId: definition.id,
+      workflowName: definition.name,
+      definition,
+      status: 'running',
+      inputs: checkTypes(inputs, definition.inputs, '工作流输入'),
+      steps: {},
+      currentStep: definition.steps[0].id,
+      history: [],
+      pendingApproval: null,
+      output: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    workflowStore.addRun(run);
+    logger.info('工作流已启动', { runId: run.id, workflowId: run.workflowId });
+    this._notify(run);
+    this._drive(run);
+    return run;
+  }
+
+  /**
+   * 审批通过
+   * @param {string} runId
+   * @param {string} [comment]
+   * @returns {import('./workflow-store').WorkflowRun}
+   */
+  approve(runId, comment = '') {
+    return this._resolveApproval(runId, true, comment);
+  }
+
+  /**
+   * 审批拒绝：配置了 onReject 则跳转，否则工作流失败
+   * @param {string} runId
+   * @param {string} [comment]
+   * @returns {import('./workflow-store').WorkflowRun}
+   */
+  reject(runId, comment = '') {
+    return this._resolveApproval(runId, false, comment);
+  }
+
+  /**
+   * 取消运行；正在执行的 Agent 会在下一次检查取消标记时停止
+   * @param {string} runId
+   * @returns {boolean}
+   */
+  cancel(runId) {
+    const run = workflowStore.getRun(runId);
+    if (!run || !ACTIVE_STATUSES.includes(run.status)) return false;
+
+    if (this._driving.has(runId)) {
+      this._cancelRequests.add(runId);
+    } else {
+      this._finish(run, 'cancelled');
+    }
+    return true;
+  }
+
+  /**
+   * 恢复被中断的运行（应用启动或切换公司后调用）
+   * 等待审批的运行保持等待，不需要处理
+   * @returns {number} 恢复的运行数
+   */
+  resumeInterrupted() {
+    const interrupted = workflowStore.listRuns({ status: 'running' }).filter((r) => !this._driving.has(r.id));
+    for (const run of interrupted) {
+      this._log(run, run.currentStep, 'resumed');
+      workflowStore.touchRun(run);
+      this._drive(run);
+    }
+    if (interrupted.length > 0) {
+      logger.info('已恢复中断的工作流', { count: interrupted.length });
+    }
+    return interrupted.length;
+  }
+
+  /**
+   * 挂起所有驱动循环（切换公司前调用）
+   * 运行状态保持 running，切换回来后由 resumeInterrupted 继续
+   */
+  suspendAll() {
+    this._generation++;
+    this._driving.clear();
+    this._cancelRequests.clear();
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // 驱动循环
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * 驱动运行直到结束、等待审批或被挂起
+   * @param {import('./workflow-store').WorkflowRun} run
+   */
+  async _drive(run) {
+    if (this._driving.has(run.id)) return;
+    this._driving.add(run.id);
+    const generation = this._generation;
+    const checkAlive = () => {
+      if (generation !== this._generation) throw new WorkflowSuspendedError();
+      if (this._cancelRequests.has(run.id)) throw new WorkflowCancelledError();
+    };
+
+    try {
+      while (run.status === 'running') {
+        checkAlive();
+
+        if (!run.currentStep) {
+          this._complete(run);
+          break;
+        }
+
+        const step = run.definition.steps.find((s) => s.id === run.currentStep);
+        if (!step) {
+          throw new WorkflowDefinitionError(`步骤不存在: ${run.currentStep}`);
+        }
+
+        const next = await this._executeStep(run, step, checkAlive);
+        if (run.status !== 'running') break;
+
+        run.currentStep = next;
+        workflowStore.touchRun(run);
+        this._notify(run);
+      }
+    } catch (error) {
+      if (error instanceof WorkflowSuspendedError) {
+        logger.info('工作流已挂起', { runId: run.id, step: run.currentStep });
+      } else if (error instanceof WorkflowCancelledError) {
+        this._finish(run, 'cancelled');
+      } else {
+        const message = error instanceof Error ? error.message : String(error);
+        logger.error('工作流执行失败', { runId: run.id, step: run.currentStep, error: message });
+        run.error = message;
+        this._finish(run, 'failed');
+      }
+    } finally {
+      if (generation === this._generation) {
+        this._driving.delete(run.id);
+        this._cancelRequests.delete(run.id);
+      }
+    }
+  }
+
+  /**
+   * 执行单个步骤
+   * @param {import('./workflow-store').WorkflowRun} run
+   * @param {Object} step - 规范化后的步骤定义
+   * @param {() => void} checkAlive
+   * @returns {Promise<string|null>} 下一个步骤 ID
+   */
+  async _executeStep(run, step, checkAlive) {
+    const state = run.steps[step.id] || (run.steps[step.id] = { status: 'pending', visits: 0 });
+    const resumed = state.status === 'running';
+
+    // 重启后恢复的步骤不重复计数
+    if (!resumed) {
+      if (state.visits >= step.maxVisits) {
+        this._log(run, step.id, 'max_visits', `已达到最大执行次数 ${step.maxVisits}`);
+        if (step.onMaxVisits) return step.onMaxVisits;
+        throw new Error(`步骤 ${step.id} 已达到最大执行次数 ${step.maxVisits}`);
+      }
+      state.visits++;
+    }
+
+    state.status = 'running';
+    state.startedAt = new Date().toISOString();
+    delete state.error;
+    this._log(run, step.id, 'started');
+    workflowStore.touchRun(run);
+    this._notify(run);
+
+    try {
+      const next = await this._runStepBody(run, step, state, checkAlive, resumed);
+      if (state.status === 'running') {
+        state.status = 'completed';
+        state.finishedAt = new Date().toISOString();
+        this._log(run, step.id, 'completed');
+      }
+      return next;
+    } catch (error) {
+      if (!(error instanceof WorkflowSuspendedError) && !(error instanceof WorkflowCancelledError)) {
+        state.status = 'failed';
+        state.error = error instanceof Error ? error.message : String(error);
+        state.finishedAt = new Date().toISOString();
+        this._log(run, step.id, 'failed', state.error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 按步骤类型执行
+   * @param {boolean} resumed - 是否为重启后恢复的步骤（并行步骤据此跳过已完成的子步骤）
+   * @returns {Promise<string|null>} 下一个步骤 ID
+   */
+  async _runStepBody(run, step, state, checkAlive, resumed) {
+    switch (step.type) {
+      case 'agent':
+        state.output = await this._runAgent(run, step, checkAlive);
+        return step.next;
+
+      case 'parallel': {
+        const results = await Promise.allSettled(
+          step.steps.map((child) => {
+            // 恢复时已完成的子步骤直接沿用输出，避免重复执行副作用；循环再次进入时全部重新执行
+            const childState = run.steps[child.id];
+            if (resumed && childState?.status === 'completed') {
+              this._log(run, child.id, 'skipped');
+              return childState.output;
+            }
+            return this._runParallelChild(run, child, checkAlive);
+          }),
+        );
+        checkAlive();
+        const failures = results
+          .map((r, i) => (r.status === 'rejected' ? `${step.steps[i].id}: ${r.reason?.message || r.reason}` : null))
+          .filter(Boolean);
+        if (failures.length > 0) {
+          throw new Error(`并行步骤失败（${failures.join('; ')}）`);
+        }
+        state.output = Object.fromEntries(step.steps.map((child, i) => [child.id, results[i].value]));
+        return step.next;
+      }
+
+      case 'branch': {
+        const scope = this._scope(run);
+        const matched = step.cases.find((c) => evaluateCondition(c.when, scope));
+        const next = matched ? matched.next : step.default;
+        state.output = { next };
+        this._log(run, step.id, 'branch', next ? `→ ${next}` : '→ 结束');
+        return next;
+      }
+
+      case 'approval':
+        state.status = 'waiting_approval';
+        run.status = 'waiting_approval';
+        run.pendingApproval = {
+          stepId: step.id,
+          message: String(resolveTemplate(step.message, this._scope(run)) ?? ''),
+          requestedAt: new Date().toISOString(),
+        };
+        this._log(run, step.id, 'approval_requested');
+        workflowStore.touchRun(run);
+        this._notify(run);
+        return step.id;
+
+      default:
+        throw new WorkflowDefinitionError(`未知步骤类型: ${step.type}`);
+    }
+  }
+
+  /**
+   * 执行并行分支中的子步骤，子步骤状态同样记录在 run.steps 中
+   * @returns {Promise<Object>} 子步骤输出
+   */
+  async _runParallelChild(run, child, checkAlive) {
+    const state = run.steps[child.id] || (run.steps[child.id] = { status: 'pending', visits: 0 });
+    state.visits++;
+    state.status = 'running';
+    state.startedAt = new Date().toISOString();
+    delete state.error;
+
+    try {
+      state.output = await this._runAgent(run, child, checkAlive);
+      state.status = 'completed';
+      // 立即持久化，重启后恢复并行步骤时不再重复执行
+      workflowStore.touchRun(run);
+      return state.output;
+    } catch (error) {
+      state.status = 'failed';
+      state.error = error instanceof Error ? error.message : String(error);
+      throw error;
+    } finally {
+      state.finishedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * 执行 Agent 步骤：解析输入模板 → 检查输入类型 → 调用 Agent → 检查输出类型
+   * @returns {Promise<Object>}
+   */
+  async _runAgent(run, step, checkAlive) {
+    const input = checkTypes(
+      resolveTemplate(step.input, this._scope(run)),
+      step.inputSchema,
+      `步骤 ${step.id} 的输入`,
+    );
+
+    const output = await this.orchestrator.executeAgent(step.agent, input, {
+      taskId: run.id,
+      isCancelled: () => {
+        try {
+          checkAlive();
+          return false;
+        } catch {
+          return true;
+        }
+      },
+    });
+    checkAlive();
+
+    return checkTypes(output, step.outputSchema, `步骤 ${step.id} 的输出`);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // 状态变更
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * @param {string} runId
+   * @param {boolean} approved
+   * @param {string} comment
+   */
+  _resolveApproval(runId, approved, comment) {
+    const run = workflowStore.getRun(runId);
+    if (!run) throw new Error(`运行记录不存在: ${runId}`);
+    if (run.status !== 'waiting_approval' || !run.pendingApproval) {
+      throw new Error('该运行当前没有待审批的步骤');
+    }
+
+    const step = run.definition.steps.find((s) => s.id === run.pendingApproval.stepId);
+    const state = run.steps[step.id];
+    state.output = { approved, comment };
+    state.status = approved ? 'completed' : 'rejected';
+    state.finishedAt = new Date().toISOString();
+    run.pendingApproval = null;
+    this._log(run, step.id, approved ? 'approved' : 'rejected', comment || undefined);
+
+    if (!approved && !step.onReject) {
+      run.error = comment ? `审批被拒绝：${comment}` : '审批被拒绝';
+      this._finish(run, 'failed');
+      return run;
+    }
+
+    run.status = 'running';
+    run.currentStep = approved ? step.next : step.onReject;
+    workflowStore.touchRun(run);
+    this._notify(run);
+    this._drive(run);
+    return run;
+  }
+
+  /**
+   * 正常结束：按 outputs 模板生成最终输出，未声明时取最后一个 Agent 步骤的输出
+   * @param {import('./workflow-store').WorkflowRun} run
+   */
+  _complete(run) {
+    const { outputs, steps } = run.definition;
+    if (Object.keys(outputs).length > 0) {
+      run.output = resolveTemplate(outputs, this._scope(run));
+    } else {
+      const lastAgentStep = [...steps].reverse().find((s) => s.type !== 'branch' && run.steps[s.id]?.output);
+      run.output = lastAgentStep ? run.steps[lastAgentStep.id].output : null;
+    }
+    this._finish(run, 'completed');
+  }
+
+  /**
+   * @param {import('./workflow-store').WorkflowRun} run
+   * @param {'completed' | 'failed' | 'cancelled'} status
+   */
+  _finish(run, status) {
+    run.status = status;
+    run.pendingApproval = null;
+    run.finishedAt = new Date().toISOString();
+    this._log(run, run.currentStep, status, run.error);
+    workflowStore.touchRun(run);
+    logger.info('工作流已结束', { runId: run.id, status });
+    this._notify(run);
+  }
+
+  /**
+   * 模板与条件的取值范围
+   * @param {import('./workflow-store').WorkflowRun} run
+   * @returns {{inputs: Object, steps: Object}}
+   */
+  _scope(run) {
+    return { inputs: run.inputs, steps: run.steps };
+  }
+
+  _log(run, stepId, event, detail) {
+    run.history.push({
+      stepId: stepId || null,
+      event,
+      at: new Date().toISOString(),
+      ...(detail && { detail }),
+    });
+  }
+}
+
+// 单例
+const workflowEngine = new WorkflowEngine();
+
+module.exports = { WorkflowEngine, workflowEngine };
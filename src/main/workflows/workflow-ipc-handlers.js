@@ -0,0 +1,131 @@
+/**
+ * SoloForge - 工作流 IPC 处理器
+ * 处理渲染进程对工作流定义与运行的操作
+ * @module workflows/workflow-ipc-handlers
+ */
+
+const { ipcMain } = require('electron');
+const { logger } = require('../utils/logger');
+const { workflowStore } = require('./workflow-store');
+const { workflowEngine } = require('./workflow-engine');
+const {
+  WORKFLOW_LIST,
+  WORKFLOW_GET_SOURCE,
+  WORKFLOW_SAVE,
+  WORKFLOW_DELETE,
+  WORKFLOW_START,
+  WORKFLOW_LIST_RUNS,
+  WORKFLOW_DECIDE,
+  WORKFLOW_CANCEL,
+  WORKFLOW_DELETE_RUN,
+} = require('../../shared/ipc-channels');
+
+/**
+ * 注册工作流的 IPC 处理器
+ */
+function registerWorkflowIPCHandlers() {
+  // 列出工作流定义（不含完整定义，只返回启动表单所需的信息）
+  ipcMain.handle(WORKFLOW_LIST, async () => {
+    try {
+      const definitions = workflowStore.listDefinitions().map(({ definition, ...rest }) => ({
+        ...rest,
+        stepCount: definition?.steps.length ?? 0,
+      }));
+      return { success: true, data: definitions };
+    } catch (error) {
+      logger.error('IPC workflow:list 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 读取定义原文
+  ipcMain.handle(WORKFLOW_GET_SOURCE, async (_event, file) => {
+    try {
+      const source = workflowStore.readDefinitionSource(file);
+      if (source === null) return { success: false, error: '工作流文件不存在' };
+      return { success: true, data: source };
+    } catch (error) {
+      logger.error('IPC workflow:get-source 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 保存定义
+  ipcMain.handle(WORKFLOW_SAVE, async (_event, { text, format = 'yaml' } = {}) => {
+    try {
+      const definition = workflowStore.saveDefinition(text, format);
+      return { success: true, data: { id: definition.id } };
+    } catch (error) {
+      logger.error('IPC workflow:save 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 删除定义
+  ipcMain.handle(WORKFLOW_DELETE, async (_event, file) => {
+    try {
+      return { success: workflowStore.deleteDefinition(file) };
+    } catch (error) {
+      logger.error('IPC workflow:delete 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 启动工作流
+  ipcMain.handle(WORKFLOW_START, async (_event, { workflowId, inputs } = {}) => {
+    try {
+      const run = workflowEngine.start(workflowId, inputs);
+      return { success: true, data: run };
+    } catch (error) {
+      logger.error('IPC workflow:start 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 列出运行记录
+  ipcMain.handle(WORKFLOW_LIST_RUNS, async (_event, filters) => {
+    try {
+      return { success: true, data: workflowStore.listRuns(filters || {}) };
+    } catch (error) {
+      logger.error('IPC workflow:list-runs 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 审批
+  ipcMain.handle(WORKFLOW_DECIDE, async (_event, { runId, approved, comment } = {}) => {
+    try {
+      const run = approved
+        ? workflowEngine.approve(runId, comment)
+        : workflowEngine.reject(runId, comment);
+      return { success: true, data: run };
+    } catch (error) {
+      logger.error('IPC workflow:decide 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 取消运行
+  ipcMain.handle(WORKFLOW_CANCEL, async (_event, runId) => {
+    try {
+      return { success: workflowEngine.cancel(runId) };
+    } catch (error) {
+      logger.error('IPC workflow:cancel 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 删除运行记录
+  ipcMain.handle(WORKFLOW_DELETE_RUN, async (_event, runId) => {
+    try {
+      return { success: workflowStore.deleteRun(runId) };
+    } catch (error) {
+      logger.error('IPC workflow:delete-run 失败', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  logger.info('工作流 IPC 处理器已注册');
+}
+
+module.exports = { registerWorkflowIPCHandlers };
@@ -0,0 +1,347 @@
+/**
+ * SoloForge - 工作流存储
+ * 工作流定义以 YAML / JSON 文件保存在公司数据目录的 workflows/ 下，
+ * 运行记录保存在 workflow-runs.json，以便应用重启后恢复
+ * @module workflows/workflow-store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { dataPath } = require('../account/data-path');
+const { atomicWriteSync } = require('../utils/atomic-write');
+const { parseDefinition, normalizeDefinition, WorkflowDefinitionError } = require('./workflow-definition');
+const { readTextSync } = require('../storage/encrypted-storage');
+
+/** 保留的已结束运行记录数量 */
+const MAX_FINISHED_RUNS = 50;
+
+/** 支持的定义文件扩展名 */
+const DEFINITION_EXTENSIONS = { '.yaml': 'yaml', '.yml': 'yaml', '.json': 'json' };
+
+/** 首次使用时写入的示例工作流 */
+const EXAMPLE_WORKFLOW = `id: write-review
+name: 写作 + 审核循环
+description: 写手起草，审核员审阅；有修改建议则带着建议重写，最多 3 轮，最后由老板确认
+maxIterations: 3
+inputs:
+  prompt:
+    type: string
+    description: 写作要求
+outputs:
+  content: "{{steps.review.output.reviewedContent}}"
+  rounds: "{{steps.write.visits}}"
+steps:
+  - id: write
+    type: agent
+    agent: writer
+    onMaxVisits: approve
+    input:
+      prompt: |
+        {{inputs.prompt}}
+        上一轮审核建议（首轮为空）：{{steps.review.output.suggestions}}
+    outputSchema:
+      content: string
+  - id: review
+    type: agent
+    agent: reviewer
+    input:
+      content: "{{steps.write.output.content}}"
+    outputSchema:
+      reviewedContent: string
+      suggestions: array
+  - id: check
+    type: branch
+    cases:
+      - when: { path: steps.review.output.suggestions.length, op: eq, value: 0 }
+        next: approve
+    default: write
+  - id: approve
+    type: approval
+    message: "请确认最终稿（共 {{steps.write.visits}} 轮）"
+    next: null
+`;
+
+/**
+ * @typedef {'running' | 'waiting_approval' | 'completed' | 'failed' | 'cancelled'} WorkflowRunStatus
+ */
+
+/**
+ * @typedef {Object} WorkflowStepState
+ * @property {'pending' | 'running' | 'completed' | 'failed' | 'waiting_approval' | 'rejected'} status
+ * @property {number} visits - 已执行次数
+ * @property {*} [output]
+ * @property {string} [error]
+ * @property {string} [startedAt]
+ * @property {string} [finishedAt]
+ */
+
+/**
+ * @typedef {Object} WorkflowRun
+ * @property {string} id
+ * @property {string} workflowId
+ * @property {string} workflowName
+ * @property {Object} definition - 启动时的定义快照（运行中修改文件不影响已启动的运行）
+ * @property {WorkflowRunStatus} status
+ * @property {Object} inputs
+ * @property {Object<string, WorkflowStepState>} steps
+ * @property {string|null} currentStep - 下一个要执行（或正在执行）的步骤
+ * @property {Array<{stepId: string, event: string, at: string, detail?: string}>} history
+ * @property {{stepId: string, message: string, requestedAt: string}|null} pendingApproval
+ * @property {Object|null} output
+ * @property {string} [error]
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string} [finishedAt]
+ */
+
+function getWorkflowsDir() {
+  return path.join(dataPath.getBasePath(), 'workflows');
+}
+
+function getRunsFile() {
+  return path.join(dataPath.getBasePath(), 'workflow-runs.json');
+}
+
+class WorkflowStore {
+  constructor() {
+    /** @type {WorkflowRun[]} */
+    this.runs = [];
+    this.loadFromDisk();
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // 定义
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * 确保定义目录存在，首次创建时写入示例工作流
+   */
+  ensureWorkflowsDir() {
+    const dir = getWorkflowsDir();
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+      atomicWriteSync(path.join(dir, 'write-review.yaml'), EXAMPLE_WORKFLOW);
+    }
+    return dir;
+  }
+
+  /**
+   * 列出所有工作流定义（无效定义也会列出，附带错误信息）
+   * @returns {Array<{id: string, name: string, description: string, file: string, inputs: Object, definition?: Object, error?: string}>}
+   */
+  listDefinitions() {
+    let files;
+    try {
+      const dir = this.ensureWorkflowsDir();
+      files = fs.readdirSync(dir).filter((f) => DEFINITION_EXTENSIONS[path.extname(f).toLowerCase()]);
+    } catch (error) {
+      logger.error('读取工作流目录失败', error);
+      return [];
+    }
+
+    return files.sort().map((file) => {
+      try {
+        const definition = this._loadDefinitionFile(file);
+        return {
+          id: definition.id,
+          name: definition.name,
+          description: definition.description,
+          file,
+          inputs: definition.inputs,
+          definition,
+        };
+      } catch (error) {
+        return { id: path.basename(file, path.extname(file)), name: file, description: '', file, inputs: {}, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * 获取工作流定义
+   * @param {string} workflowId
+   * @returns {Object|null} 规范化后的定义
+   * @throws {WorkflowDefinitionError} 定义无效
+   */
+  getDefinition(workflowId) {
+    const entry = this.listDefinitions().find((d) => d.id === workflowId);
+    if (!entry) return null;
+    if (entry.error) throw new WorkflowDefinitionError(entry.error);
+    return entry.definition;
+  }
+
+  /**
+   * 读取定义文件原文（用于编辑）
+   * @param {string} file - 文件名
+   * @returns {string|null}
+   */
+  readDefinitionSource(file) {
+    const filePath = this._resolveDefinitionFile(file);
+    return fs.existsSync(filePath) ? readTextSync(filePath) : null;
+  }
+
+  /**
+   * 校验并保存定义文件
+   * @param {string} text - 定义内容
+   * @param {'yaml'|'json'} [format='yaml']
+   * @returns {Object} 规范化后的定义
+   * @throws {WorkflowDefinitionError} 定义无效或 ID 与其他文件冲突
+   */
+  saveDefinition(text, format = 'yaml') {
+    const definition = normalizeDefinition(parseDefinition(text, format));
+    const file = `${definition.id}.${format === 'json' ? 'json' : 'yaml'}`;
+
+    const conflict = this.listDefinitions().find((d) => d.id === definition.id && d.file !== file);
+    if (conflict) {
+      throw new WorkflowDefinitionError(`工作流 ID "${definition.id}" 已被 ${conflict.file} 使用`);
+    }
+
+    this.ensureWorkflowsDir();
+    atomicWriteSync(this._resolveDefinitionFile(file), text);
+    logger.info('工作流定义已保存', { id: definition.id, file });
+    return definition;
+  }
+
+  /**
+   * 删除定义文件（不影响已有运行记录，运行记录中保存了定义快照）
+   * @param {string} file
+   * @returns {boolean}
+   */
+  deleteDefinition(file) {
+    const filePath = this._resolveDefinitionFile(file);
+    if (!fs.existsSync(filePath)) return false;
+    fs.unlinkSync(filePath);
+    logger.info('工作流定义已删除', { file });
+    return true;
+  }
+
+  /**
+   * @param {string} file
+   * @returns {Object}
+   */
+  _loadDefinitionFile(file) {
+    const format = DEFINITION_EXTENSIONS[path.extname(file).toLowerCase()];
+    const text = readTextSync(this._resolveDefinitionFile(file));
+    return normalizeDefinition(parseDefinition(text, format));
+  }
+
+  /**
+   * 解析定义文件路径（禁止跳出 workflows 目录）
+   * @param {string} file
+   * @returns {string}
+   */
+  _resolveDefinitionFile(file) {
+    const name = path.basename(String(file || ''));
+    if (!name || !DEFINITION_EXTENSIONS[path.extname(name).toLowerCase()]) {
+      throw new WorkflowDefinitionError(`无效的工作流文件名: ${file}`);
+    }
+    return path.join(getWorkflowsDir(), name);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // 运行记录
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * 从磁盘加载运行记录
+   */
+  loadFromDisk() {
+    try {
+      const runsFile = getRunsFile();
+      if (fs.existsSync(runsFile)) {
+        const saved = JSON.parse(readTextSync(runsFile));
+        this.runs = Array.isArray(saved.runs) ? saved.runs : [];
+        logger.info('工作流运行记录已加载', { runs: this.runs.length });
+      }
+    } catch (error) {
+      logger.error('加载工作流运行记录失败', error);
+    }
+  }
+
+  /**
+   * 保存运行记录（只保留最近的已结束记录）
+   */
+  saveToDisk() {
+    const active = this.runs.filter((r) => r.status === 'running' || r.status === 'waiting_approval');
+    const finished = this.runs
+      .filter((r) => r.status !== 'running' && r.status !== 'waiting_approval')
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, MAX_FINISHED_RUNS);
+    this.runs = [...active, ...finished];
+
+    try {
+      const dir = dataPath.getBasePath();
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      atomicWriteSync(getRunsFile(), JSON.stringify({ version: 1, runs: this.runs }, null, 2));
+    } catch (error) {
+      logger.error('保存工作流运行记录失败', error);
+    }
+  }
+
+  /**
+   * @param {WorkflowRun} run
+   */
+  addRun(run) {
+    this.runs.push(run);
+    this.saveToDisk();
+  }
+
+  /**
+   * 运行记录被原地修改后调用
+   * @param {WorkflowRun} run
+   */
+  touchRun(run) {
+    run.updatedAt = new Date().toISOString();
+    this.saveToDisk();
+  }
+
+  /**
+   * @param {string} runId
+   * @returns {WorkflowRun|null}
+   */
+  getRun(runId) {
+    return this.runs.find((r) => r.id === runId) || null;
+  }
+
+  /**
+   * 列出运行记录（按创建时间倒序）
+   * @param {Object} [filters]
+   * @param {string} [filters.workflowId]
+   * @param {WorkflowRunStatus} [filters.status]
+   * @returns {WorkflowRun[]}
+   */
+  listRuns(filters = {}) {
+    return this.runs
+      .filter((r) => !filters.workflowId || r.workflowId === filters.workflowId)
+      .filter((r) => !filters.status || r.status === filters.status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * 删除已结束的运行记录
+   * @param {string} runId
+   * @returns {boolean}
+   */
+  deleteRun(runId) {
+    const run = this.getRun(runId);
+    if (!run || run.status === 'running' || run.status === 'waiting_approval') return false;
+    this.runs = this.runs.filter((r) => r.id !== runId);
+    this.saveToDisk();
+    return true;
+  }
+
+  /**
+   * 重新初始化（切换公司后调用）
+   */
+  reinitialize() {
+    this.runs = [];
+    this.loadFromDisk();
+  }
+}
+
+// 单例
+const workflowStore = new WorkflowStore();
+
+module.exports = { WorkflowStore, workflowStore };
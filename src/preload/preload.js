@@ -28,6 +28,7 @@ const CHANNELS = {
   PERMISSIONS_GET: 'permissions:get',
   PERMISSIONS_UPDATE: 'permissions:update',
   PERMISSIONS_RESET: 'permissions:reset',
+  SHELL_SANDBOX_STATUS: 'shell:sandbox-status',
   // 工具确认
   TOOL_CONFIRM_REQUEST: 'tool:confirm-request',
   TOOL_CONFIRM_RESPONSE: 'tool:confirm-response',
@@ -46,6 +47,13 @@ const CHANNELS = {
   AGENT_CONFIG_GET_DEPARTMENTS: 'agent-config:get-departments',
   AGENT_CONFIG_GET_MODELS: 'agent-config:get-models',
   AGENT_CONFIG_UPLOAD_AVATAR: 'agent-config:upload-avatar',
+  TOOL_POLICY_LIST: 'tool-policy:list',
+  TOOL_POLICY_SET: 'tool-policy:set',
+  TOOL_POLICY_GET_EFFECTIVE: 'tool-policy:get-effective',
+  APPROVAL_RULES_LIST: 'approval-rules:list',
+  APPROVAL_RULES_SAVE: 'approval-rules:save',
+  APPROVAL_RULES_DELETE: 'approval-rules:delete',
+  APPROVAL_RULES_CLEAR_SESSION: 'approval-rules:clear-session',
   BOSS_CONFIG_GET: 'boss-config:get',
   BOSS_CONFIG_UPDATE: 'boss-config:update',
   BOSS_CONFIG_CHANGED: 'boss-config:changed',
@@ -76,6 +84,11 @@ const CHANNELS = {
   TODO_GET_ALL: 'todo:get-all',
   TODO_GET_AGENT: 'todo:get-agent',
   TODO_UPDATED: 'todo:updated',
+  // Agent 后台进程
+  PROCESS_LIST: 'process:list',
+  PROCESS_LOGS: 'process:logs',
+  PROCESS_STOP: 'process:stop',
+  PROCESS_UPDATED: 'process:updated',
   // 任务巡查
   PATROL_GET_STATUS: 'patrol:get-status',
   PATROL_TOGGLE: 'patrol:toggle',
@@ -85,6 +98,24 @@ const CHANNELS = {
   MEMORY_GET_PROFILE: 'memory:get-profile',
   MEMORY_GET_SHARED: 'memory:get-shared',
   MEMORY_GET_RECENT: 'memory:get-recent',
+  MEMORY_GET_CHAIN: 'memory:get-chain',
+  MEMORY_LIST: 'memory:list',
+  MEMORY_GET: 'memory:get',
+  MEMORY_UPDATE: 'memory:update',
+  MEMORY_PIN: 'memory:pin',
+  MEMORY_MERGE: 'memory:merge',
+  MEMORY_DELETE: 'memory:delete',
+  // 工作流
+  WORKFLOW_LIST: 'workflow:list',
+  WORKFLOW_GET_SOURCE: 'workflow:get-source',
+  WORKFLOW_SAVE: 'workflow:save',
+  WORKFLOW_DELETE: 'workflow:delete',
+  WORKFLOW_START: 'workflow:start',
+  WORKFLOW_LIST_RUNS: 'workflow:list-runs',
+  WORKFLOW_DECIDE: 'workflow:decide',
+  WORKFLOW_CANCEL: 'workflow:cancel',
+  WORKFLOW_DELETE_RUN: 'workflow:delete-run',
+  WORKFLOW_UPDATED: 'workflow:updated',
   // 附件
   ATTACHMENT_SAVE: 'attachment:save',
   ATTACHMENT_SAVE_FROM_PATH: 'attachment:save-from-path',
@@ -104,12 +135,56 @@ const CHANNELS = {
   COMPANY_UPDATE: 'company:update',
   COMPANY_SELECT: 'company:select',
   COMPANY_GET_CURRENT: 'company:get-current',
+  // 跨公司总览
+  PORTFOLIO_GET_OVERVIEW: 'portfolio:get-overview',
+  PORTFOLIO_SET_BACKGROUND: 'portfolio:set-background',
+  // 公司模板
+  TEMPLATE_LIST_BUILTIN: 'template:list-builtin',
+  TEMPLATE_EXPORT: 'template:export',
+  TEMPLATE_IMPORT_FILE: 'template:import-file',
+  // 本地数据加密
+  STORAGE_GET_STATUS: 'storage:get-status',
+  STORAGE_UNLOCK: 'storage:unlock',
+  STORAGE_ENABLE: 'storage:enable',
+  STORAGE_DISABLE: 'storage:disable',
+  STORAGE_ROTATE_KEY: 'storage:rotate-key',
+  // 公司备份与恢复
+  BACKUP_LIST: 'backup:list',
+  BACKUP_CREATE: 'backup:create',
+  BACKUP_DELETE: 'backup:delete',
+  BACKUP_EXPORT: 'backup:export',
+  BACKUP_IMPORT_FILE: 'backup:import-file',
+  BACKUP_RESTORE: 'backup:restore',
+  BACKUP_GET_SETTINGS: 'backup:get-settings',
+  BACKUP_UPDATE_SETTINGS: 'backup:update-settings',
+  AUDIT_QUERY: 'audit:query',
+  AUDIT_VERIFY: 'audit:verify',
+  AUDIT_EXPORT: 'audit:export',
+  PR_LIST: 'pr:list',
+  PR_GET_DETAIL: 'pr:get-detail',
+  PR_ADD_COMMENT: 'pr:add-comment',
+  PR_RESOLVE_THREAD: 'pr:resolve-thread',
+  PR_RUN_CHECKS: 'pr:run-checks',
+  PR_OVERRIDE_CHECKS: 'pr:override-checks',
+  MERGE_CHECKS_LIST: 'merge-checks:list',
+  MERGE_CHECKS_SAVE: 'merge-checks:save',
+  MERGE_CHECKS_DELETE: 'merge-checks:delete',
+  PR_SYNC_REMOTE: 'pr:sync-remote',
+  FORGE_LIST: 'forge:list',
+  FORGE_SAVE: 'forge:save',
+  FORGE_DELETE: 'forge:delete',
+  FORGE_TEST: 'forge:test',
   // 部门群聊
   CHAT_DEPT_GROUP_CREATE: 'chat:dept-group-create',
   CHAT_DEPT_GROUP_UPDATE: 'chat:dept-group-update',
   CHAT_DEPT_GROUP_MESSAGE: 'chat:dept-group-message',
   CHAT_DEPT_GROUP_RENAME: 'chat:dept-group-rename',
   CHAT_DEPT_GROUP_GET_ALL: 'chat:dept-group-get-all',
+  // LLM Provider
+  LLM_PROVIDERS_GET_ALL: 'llm-providers:get-all',
+  LLM_PROVIDERS_SAVE: 'llm-providers:save',
+  LLM_PROVIDERS_REMOVE: 'llm-providers:remove',
+  LLM_PROVIDERS_CHECK: 'llm-providers:check',
 };
 
 contextBridge.exposeInMainWorld('soloforge', {
@@ -341,11 +416,79 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getCurrent: () => ipcRenderer.invoke(CHANNELS.COMPANY_GET_CURRENT),
   },
 
+  // ─── 跨公司总览 ──────────────────────────────────────────────
+  portfolio: {
+    getOverview: () => ipcRenderer.invoke(CHANNELS.PORTFOLIO_GET_OVERVIEW),
+    setBackground: (params) => ipcRenderer.invoke(CHANNELS.PORTFOLIO_SET_BACKGROUND, params),
+  },
+
+  // ─── 公司模板 ──────────────────────────────────────────────
+  template: {
+    listBuiltin: () => ipcRenderer.invoke(CHANNELS.TEMPLATE_LIST_BUILTIN),
+    exportCurrent: (params) => ipcRenderer.invoke(CHANNELS.TEMPLATE_EXPORT, params),
+    importFile: () => ipcRenderer.invoke(CHANNELS.TEMPLATE_IMPORT_FILE),
+  },
+
+  // ─── 本地数据加密 ──────────────────────────────────────────────
+  storage: {
+    getStatus: () => ipcRenderer.invoke(CHANNELS.STORAGE_GET_STATUS),
+    unlock: (params) => ipcRenderer.invoke(CHANNELS.STORAGE_UNLOCK, params),
+    enable: (params) => ipcRenderer.invoke(CHANNELS.STORAGE_ENABLE, params),
+    disable: (params) => ipcRenderer.invoke(CHANNELS.STORAGE_DISABLE, params),
+    rotateKey: (params) => ipcRenderer.invoke(CHANNELS.STORAGE_ROTATE_KEY, params),
+  },
+
+  // ─── 公司备份与恢复 ──────────────────────────────────────────────
+  backup: {
+    list: (params) => ipcRenderer.invoke(CHANNELS.BACKUP_LIST, params),
+    create: (params) => ipcRenderer.invoke(CHANNELS.BACKUP_CREATE, params),
+    delete: (params) => ipcRenderer.invoke(CHANNELS.BACKUP_DELETE, params),
+    exportFile: (params) => ipcRenderer.invoke(CHANNELS.BACKUP_EXPORT, params),
+    importFile: () => ipcRenderer.invoke(CHANNELS.BACKUP_IMPORT_FILE),
+    restore: (params) => ipcRenderer.invoke(CHANNELS.BACKUP_RESTORE, params),
+    getSettings: () => ipcRenderer.invoke(CHANNELS.BACKUP_GET_SETTINGS),
+    updateSettings: (params) => ipcRenderer.invoke(CHANNELS.BACKUP_UPDATE_SETTINGS, params),
+  },
+
+  // ─── 特权操作审计日志 ──────────────────────────────────────────────
+  audit: {
+    query: (params) => ipcRenderer.invoke(CHANNELS.AUDIT_QUERY, params),
+    verify: () => ipcRenderer.invoke(CHANNELS.AUDIT_VERIFY),
+    exportFile: (params) => ipcRenderer.invoke(CHANNELS.AUDIT_EXPORT, params),
+  },
+
+  // ─── Pull Request 代码审核 ────────────────────────────────────────
+  pullRequests: {
+    list: (filter) => ipcRenderer.invoke(CHANNELS.PR_LIST, filter),
+    getDetail: (prId) => ipcRenderer.invoke(CHANNELS.PR_GET_DETAIL, prId),
+    addComment: (params) => ipcRenderer.invoke(CHANNELS.PR_ADD_COMMENT, params),
+    resolveThread: (params) => ipcRenderer.invoke(CHANNELS.PR_RESOLVE_THREAD, params),
+    runChecks: (prId) => ipcRenderer.invoke(CHANNELS.PR_RUN_CHECKS, prId),
+    overrideChecks: (params) => ipcRenderer.invoke(CHANNELS.PR_OVERRIDE_CHECKS, params),
+    syncRemote: (prId) => ipcRenderer.invoke(CHANNELS.PR_SYNC_REMOTE, prId),
+  },
+
+  // ─── 合并检查配置 ────────────────────────────────────────────────
+  mergeChecks: {
+    list: () => ipcRenderer.invoke(CHANNELS.MERGE_CHECKS_LIST),
+    save: (config) => ipcRenderer.invoke(CHANNELS.MERGE_CHECKS_SAVE, config),
+    delete: (repoPath) => ipcRenderer.invoke(CHANNELS.MERGE_CHECKS_DELETE, repoPath),
+  },
+
+  // ─── 远程平台（Gitea 等）配置 ─────────────────────────────────────
+  forge: {
+    list: () => ipcRenderer.invoke(CHANNELS.FORGE_LIST),
+    save: (config) => ipcRenderer.invoke(CHANNELS.FORGE_SAVE, config),
+    delete: (repoPath) => ipcRenderer.invoke(CHANNELS.FORGE_DELETE, repoPath),
+    test: (config) => ipcRenderer.invoke(CHANNELS.FORGE_TEST, config),
+  },
+
   // 权限管理
   getPermissions: () => ipcRenderer.invoke(CHANNELS.PERMISSIONS_GET),
   updatePermissions: (permissions) =>
     ipcRenderer.invoke(CHANNELS.PERMISSIONS_UPDATE, permissions),
   resetPermissions: () => ipcRenderer.invoke(CHANNELS.PERMISSIONS_RESET),
+  getShellSandboxStatus: () => ipcRenderer.invoke(CHANNELS.SHELL_SANDBOX_STATUS),
 
   // 工具确认对话框
   onToolConfirmRequest: (callback) => {
@@ -353,8 +496,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on(CHANNELS.TOOL_CONFIRM_REQUEST, handler);
     return () => ipcRenderer.removeListener(CHANNELS.TOOL_CONFIRM_REQUEST, handler);
   },
-  respondToolConfirm: (requestId, confirmed) => {
-    ipcRenderer.send(CHANNELS.TOOL_CONFIRM_RESPONSE, { requestId, confirmed });
+  // remember: 'session' 表示本次会话内记住该决定
+  respondToolConfirm: (requestId, confirmed, remember) => {
+    ipcRenderer.send(CHANNELS.TOOL_CONFIRM_RESPONSE, { requestId, confirmed, remember });
+  },
+
+  // 工具调用审批规则
+  approvalRules: {
+    list: () => ipcRenderer.invoke(CHANNELS.APPROVAL_RULES_LIST),
+    save: (rule) => ipcRenderer.invoke(CHANNELS.APPROVAL_RULES_SAVE, rule),
+    delete: (ruleId) => ipcRenderer.invoke(CHANNELS.APPROVAL_RULES_DELETE, ruleId),
+    clearSession: () => ipcRenderer.invoke(CHANNELS.APPROVAL_RULES_CLEAR_SESSION),
   },
 
   // 报告功能
@@ -374,7 +526,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getAgentLevels: () => ipcRenderer.invoke(CHANNELS.AGENT_CONFIG_GET_LEVELS),
   getAgentDepartments: () => ipcRenderer.invoke(CHANNELS.AGENT_CONFIG_GET_DEPARTMENTS),
   getAvailableModels: () => ipcRenderer.invoke(CHANNELS.AGENT_CONFIG_GET_MODELS),
+  // LLM Provider（自定义 OpenAI 兼容端点）
+  getLLMProviders: () => ipcRenderer.invoke(CHANNELS.LLM_PROVIDERS_GET_ALL),
+  saveLLMProvider: (definition) => ipcRenderer.invoke(CHANNELS.LLM_PROVIDERS_SAVE, definition),
+  removeLLMProvider: (providerId) => ipcRenderer.invoke(CHANNELS.LLM_PROVIDERS_REMOVE, providerId),
+  checkLLMProvider: (providerId) => ipcRenderer.invoke(CHANNELS.LLM_PROVIDERS_CHECK, providerId),
   uploadAgentAvatar: (agentId) => ipcRenderer.invoke(CHANNELS.AGENT_CONFIG_UPLOAD_AVATAR, agentId),
+  // Agent 工具策略
+  getToolPolicies: () => ipcRenderer.invoke(CHANNELS.TOOL_POLICY_LIST),
+  setToolPolicy: (scope, target, policy) =>
+    ipcRenderer.invoke(CHANNELS.TOOL_POLICY_SET, { scope, target, policy }),
+  getEffectiveToolPolicy: (agentId) => ipcRenderer.invoke(CHANNELS.TOOL_POLICY_GET_EFFECTIVE, agentId),
   // 老板配置
   getBossConfig: () => ipcRenderer.invoke(CHANNELS.BOSS_CONFIG_GET),
   updateBossConfig: (updates) => ipcRenderer.invoke(CHANNELS.BOSS_CONFIG_UPDATE, updates),
@@ -435,6 +597,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return () => ipcRenderer.removeListener(CHANNELS.TODO_UPDATED, handler);
   },
 
+  // Agent 后台进程
+  getProcesses: () => ipcRenderer.invoke(CHANNELS.PROCESS_LIST),
+  getProcessLogs: (processId, options = {}) =>
+    ipcRenderer.invoke(CHANNELS.PROCESS_LOGS, { processId, ...options }),
+  stopProcess: (processId) => ipcRenderer.invoke(CHANNELS.PROCESS_STOP, processId),
+  onProcessesUpdated: (callback) => {
+    const handler = (_event, data) => callback(data);
+    ipcRenderer.on(CHANNELS.PROCESS_UPDATED, handler);
+    return () => ipcRenderer.removeListener(CHANNELS.PROCESS_UPDATED, handler);
+  },
+
   // Agent 任务追踪与终止
   getAgentTasks: () => ipcRenderer.invoke(CHANNELS.AGENT_TASK_GET_ALL),
   abortAgentTask: (agentId) => ipcRenderer.invoke(CHANNELS.AGENT_TASK_ABORT, agentId),
@@ -449,6 +622,30 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getMemoryProfile: () => ipcRenderer.invoke(CHANNELS.MEMORY_GET_PROFILE),
   getMemoryShared: (params) => ipcRenderer.invoke(CHANNELS.MEMORY_GET_SHARED, params),
   getMemoryRecent: (params) => ipcRenderer.invoke(CHANNELS.MEMORY_GET_RECENT, params),
+  getMemoryChain: (memoryId) => ipcRenderer.invoke(CHANNELS.MEMORY_GET_CHAIN, memoryId),
+  listMemories: (filters) => ipcRenderer.invoke(CHANNELS.MEMORY_LIST, filters),
+  getMemory: (memoryId) => ipcRenderer.invoke(CHANNELS.MEMORY_GET, memoryId),
+  updateMemory: (memoryId, updates) => ipcRenderer.invoke(CHANNELS.MEMORY_UPDATE, { memoryId, updates }),
+  pinMemory: (memoryId) => ipcRenderer.invoke(CHANNELS.MEMORY_PIN, memoryId),
+  mergeMemories: (memoryIds) => ipcRenderer.invoke(CHANNELS.MEMORY_MERGE, memoryIds),
+  deleteMemory: (memoryId) => ipcRenderer.invoke(CHANNELS.MEMORY_DELETE, memoryId),
+
+  // 工作流
+  listWorkflows: () => ipcRenderer.invoke(CHANNELS.WORKFLOW_LIST),
+  getWorkflowSource: (file) => ipcRenderer.invoke(CHANNELS.WORKFLOW_GET_SOURCE, file),
+  saveWorkflow: (text, format) => ipcRenderer.invoke(CHANNELS.WORKFLOW_SAVE, { text, format }),
+  deleteWorkflow: (file) => ipcRenderer.invoke(CHANNELS.WORKFLOW_DELETE, file),
+  startWorkflow: (workflowId, inputs) => ipcRenderer.invoke(CHANNELS.WORKFLOW_START, { workflowId, inputs }),
+  listWorkflowRuns: (filters) => ipcRenderer.invoke(CHANNELS.WORKFLOW_LIST_RUNS, filters),
+  decideWorkflowStep: (runId, approved, comment) =>
+    ipcRenderer.invoke(CHANNELS.WORKFLOW_DECIDE, { runId, approved, comment }),
+  cancelWorkflowRun: (runId) => ipcRenderer.invoke(CHANNELS.WORKFLOW_CANCEL, runId),
+  deleteWorkflowRun: (runId) => ipcRenderer.invoke(CHANNELS.WORKFLOW_DELETE_RUN, runId),
+  onWorkflowUpdated: (callback) => {
+    const handler = (_event, data) => callback(data);
+    ipcRenderer.on(CHANNELS.WORKFLOW_UPDATED, handler);
+    return () => ipcRenderer.removeListener(CHANNELS.WORKFLOW_UPDATED, handler);
+  },
 
   // 开除审批（Dashboard 老板操作）
   getTerminationRequests: () => ipcRenderer.invoke('termination:get-pending'),
@@ -459,6 +656,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getTokenStats: (params) => ipcRenderer.invoke('budget:get-token-stats', params),
   getAlerts: () => ipcRenderer.invoke('budget:get-alerts'),
   acknowledgeAlert: (alertId) => ipcRenderer.invoke('budget:acknowledge-alert', alertId),
+  getCostForecast: (params) => ipcRenderer.invoke('budget:get-forecast', params),
 
   // 预算审批（Dashboard 老板操作）
   grantBudgetOverride: (agentId, hours) => ipcRenderer.invoke('budget:grant-override', agentId, hours),
@@ -466,6 +664,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
   revokeBudgetOverride: (agentId) => ipcRenderer.invoke('budget:revoke-override', agentId),
   getBlockedAgents: () => ipcRenderer.invoke('budget:get-blocked-agents'),
 
+  // 模型价格表与计费单位
+  getPricing: () => ipcRenderer.invoke('budget:get-pricing'),
+  setModelPrice: (model, price) => ipcRenderer.invoke('budget:set-model-price', model, price),
+  setBilling: (options) => ipcRenderer.invoke('budget:set-billing', options),
+
+  // 预算降级策略
+  getDowngradePolicies: (params) => ipcRenderer.invoke('budget:get-downgrade-policies', params),
+  setDowngradePolicy: (options) => ipcRenderer.invoke('budget:set-downgrade-policy', options),
+
   // 工资系统
   getSalaryConfig: () => ipcRenderer.invoke('salary:get-config'),
   setLevelSalary: (level, amount) => ipcRenderer.invoke('salary:set-level-salary', level, amount),
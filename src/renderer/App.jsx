@@ -5,12 +5,17 @@
  * 页面切换使用 CSS display:none 保留状态，避免重新挂载丢失滚动位置/表单数据。
  */
 import { Component, useEffect, useState, useCallback } from 'react';
-import { ChatView } from './components/chat';
+import { ChatView, ToolConfirmDialog } from './components/chat';
 import Settings from './pages/Settings';
 import AgentSettings from './pages/AgentSettings';
 import Dashboard from './pages/Dashboard';
 import CFODashboard from './components/cfo/CFODashboard';
+import MemoryPage from './pages/MemoryPage';
+import PortfolioPage from './pages/PortfolioPage';
+import AuditPage from './pages/AuditPage';
+import PullRequestsPage from './pages/PullRequestsPage';
 import LoginPage from './pages/LoginPage';
+import UnlockPage from './pages/UnlockPage';
 import CompanySelectPage from './pages/CompanySelectPage';
 import { useAuthStore } from './store/auth-store';
 import { useChatAgent } from './hooks/useChatAgent';
@@ -126,6 +131,8 @@ export default function App() {
         </div>
       </div>
     );
+  } else if (appState === 'locked') {
+    content = <UnlockPage />;
   } else if (appState === 'login') {
     content = <LoginPage />;
   } else if (appState === 'company-select') {
@@ -173,6 +180,10 @@ export default function App() {
               <Dashboard 
                 onBack={() => setCurrentPage('chat')} 
                 onOpenCFO={() => navigateTo('cfo-dashboard')}
+                onOpenMemory={() => navigateTo('memory')}
+                onOpenPortfolio={() => navigateTo('portfolio')}
+                onOpenAudit={() => navigateTo('audit')}
+                onOpenPullRequests={() => navigateTo('pull-requests')}
                 isActive={currentPage === 'dashboard'}
               />
             </ErrorBoundary>
@@ -189,6 +200,53 @@ export default function App() {
             </ErrorBoundary>
           </PageSlot>
         )}
+
+        {mountedPages.has('memory') && (
+          <PageSlot active={currentPage === 'memory'}>
+            <ErrorBoundary>
+              <MemoryPage
+                onBack={() => setCurrentPage('dashboard')}
+                isActive={currentPage === 'memory'}
+              />
+            </ErrorBoundary>
+          </PageSlot>
+        )}
+
+        {mountedPages.has('portfolio') && (
+          <PageSlot active={currentPage === 'portfolio'}>
+            <ErrorBoundary>
+              <PortfolioPage
+                onBack={() => setCurrentPage('dashboard')}
+                isActive={currentPage === 'portfolio'}
+              />
+            </ErrorBoundary>
+          </PageSlot>
+        )}
+
+        {mountedPages.has('audit') && (
+          <PageSlot active={currentPage === 'audit'}>
+            <ErrorBoundary>
+              <AuditPage
+                onBack={() => setCurrentPage('dashboard')}
+                isActive={currentPage === 'audit'}
+              />
+            </ErrorBoundary>
+          </PageSlot>
+        )}
+
+        {mountedPages.has('pull-requests') && (
+          <PageSlot active={currentPage === 'pull-requests'}>
+            <ErrorBoundary>
+              <PullRequestsPage
+                onBack={() => setCurrentPage('dashboard')}
+                isActive={currentPage === 'pull-requests'}
+              />
+            </ErrorBoundary>
+          </PageSlot>
+        )}
+
+        {/* Agent 工具调用的老板确认 */}
+        <ToolConfirmDialog />
       </div>
     );
   }
@@ -0,0 +1,279 @@
+/**
+ * SoloForge - Agent 工具策略编辑
+ * 允许 / 禁止的工具、文件路径范围和 Shell 命令白名单，可按 Agent、部门或职级配置
+ */
+import { useState, useEffect, useCallback, useMemo } from 'react';
+
+const FIELDS = [
+  {
+    key: 'allow',
+    label: '只允许这些工具',
+    placeholder: 'read_file\ncategory:git',
+    hint: '工具名或 category:分类，每行一个；留空表示不额外限制',
+  },
+  {
+    key: 'deny',
+    label: '禁止这些工具',
+    placeholder: 'shell\ncategory:network',
+    hint: '优先于允许列表；各层的禁止项会叠加',
+  },
+  {
+    key: 'pathScopes',
+    label: '文件路径范围',
+    placeholder: '~/projects/app/src',
+    hint: 'read_file / write_file / list_files 只能访问这些目录（仍需在全局可访问目录内）',
+  },
+  {
+    key: 'shellAllowlist',
+    label: '命令白名单',
+    placeholder: 'npm test\ngit status',
+    hint: 'shell / process_start 的命令必须以其中之一开头，用 && ; | 串联的每一段都会检查；不允许命令替换、重定向和 ${} 展开',
+  },
+];
+
+const SOURCE_LABELS = { agent: '个人策略', department: '部门', level: '职级' };
+
+const textareaClass = 'w-full px-3 py-2 rounded-lg border border-[var(--border-color)] bg-bg-elevated text-text-primary text-xs font-mono resize-none';
+
+function toText(policy) {
+  return Object.fromEntries(FIELDS.map(({ key }) => [key, (policy?.[key] || []).join('\n')]));
+}
+
+function toPolicy(text) {
+  return Object.fromEntries(FIELDS.map(({ key }) => [key, text[key].split('\n').map((s) => s.trim()).filter(Boolean)]));
+}
+
+/**
+ * 策略来源的展示文本，如 "部门 tech"、"职级 senior, 个人策略"
+ * @param {string | null} source
+ */
+function formatSource(source, names) {
+  if (!source) return null;
+  return source.split(', ').map((s) => {
+    const [type, id] = s.split(':');
+    return id ? `${SOURCE_LABELS[type]}「${names[id] || id}」` : SOURCE_LABELS[type];
+  }).join('、');
+}
+
+/**
+ * 单条策略的编辑表单
+ */
+function ToolPolicyEditor({ policy, tools, onSave, saving }) {
+  const [text, setText] = useState(() => toText(policy));
+
+  useEffect(() => {
+    setText(toText(policy));
+  }, [policy]);
+
+  const toolsByCategory = useMemo(() => {
+    const groups = {};
+    for (const tool of tools) {
+      (groups[tool.category || 'other'] ||= []).push(tool.name);
+    }
+    return Object.entries(groups).sort(([a], [b]) => a.localeCompare(b));
+  }, [tools]);
+
+  return (
+    <div className="space-y-3">
+      {FIELDS.map(({ key, label, placeholder, hint }) => (
+        <div key={key}>
+          <label className="block text-xs font-medium text-text-primary mb-1">{label}</label>
+          <textarea
+            value={text[key]}
+            onChange={(e) => setText({ ...text, [key]: e.target.value })}
+            rows={2}
+            placeholder={placeholder}
+            className={textareaClass}
+          />
+          <p className="mt-0.5 text-[11px] text-text-muted">{hint}</p>
+        </div>
+      ))}
+
+      <details className="text-[11px] text-text-secondary">
+        <summary className="cursor-pointer select-none">可用工具参考</summary>
+        <div className="mt-1 max-h-40 overflow-y-auto space-y-1">
+          {toolsByCategory.map(([category, names]) => (
+            <div key={category}>
+              <span className="font-mono text-text-primary">category:{category}</span>
+              <span className="ml-1 text-text-muted break-all">{names.join(', ')}</span>
+            </div>
+          ))}
+        </div>
+      </details>
+
+      <div className="flex items-center justify-end gap-2">
+        {policy && (
+          <button
+            onClick={() => onSave(null)}
+            disabled={saving}
+            className="px-3 py-1.5 text-xs text-red-500 hover:bg-red-500/10 rounded-lg disabled:opacity-50"
+          >
+            清除策略
+          </button>
+        )}
+        <button
+          onClick={() => onSave(toPolicy(text))}
+          disabled={saving}
+          className="px-3 py-1.5 text-xs bg-[var(--color-primary)] text-white rounded-lg hover:opacity-90 disabled:opacity-50"
+        >
+          {saving ? '保存中...' : '保存策略'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * 读取策略与可用工具，并提供保存方法
+ */
+function useToolPolicies() {
+  const [data, setData] = useState({ policies: { agents: {}, departments: {}, levels: {} }, tools: [] });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    try {
+      setData(await window.electronAPI.getToolPolicies());
+    } catch (err) {
+      console.error('加载工具策略失败:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const save = useCallback(async (scope, target, policy) => {
+    setSaving(true);
+    setError('');
+    try {
+      const result = await window.electronAPI.setToolPolicy(scope, target, policy);
+      if (!result?.success) {
+        setError(result?.error || '保存失败');
+        return false;
+      }
+      await reload();
+      return true;
+    } catch (err) {
+      setError(err.message || '保存失败');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }, [reload]);
+
+  return { ...data, saving, error, save };
+}
+
+/**
+ * Agent 个人工具策略（编辑面板中使用），同时展示合并部门、职级后的生效策略
+ */
+export function AgentToolPolicy({ agentId, levels, departments }) {
+  const { policies, tools, saving, error, save } = useToolPolicies();
+  const [effective, setEffective] = useState(null);
+
+  const loadEffective = useCallback(async () => {
+    try {
+      setEffective(await window.electronAPI.getEffectiveToolPolicy(agentId));
+    } catch (err) {
+      console.error('加载生效工具策略失败:', err);
+    }
+  }, [agentId]);
+
+  useEffect(() => {
+    loadEffective();
+  }, [loadEffective]);
+
+  const names = useMemo(() => Object.fromEntries([
+    ...levels.map((l) => [l.id, l.name]),
+    ...departments.map((d) => [d.id, d.name]),
+  ]), [levels, departments]);
+
+  const handleSave = async (policy) => {
+    if (await save('agent', agentId, policy)) {
+      await loadEffective();
+    }
+  };
+
+  const inherited = effective && FIELDS.filter(({ key }) => effective[key].length > 0);
+
+  return (
+    <div className="space-y-3">
+      {inherited && inherited.length > 0 && (
+        <div className="p-3 bg-bg-muted rounded-lg text-xs space-y-1">
+          <div className="text-text-secondary">当前生效</div>
+          {inherited.map(({ key, label }) => (
+            <div key={key} className="text-text-primary break-all">
+              {label}：{effective[key].join(', ')}
+              <span className="text-text-muted">（来自{formatSource(effective.sources[key], names)}）</span>
+            </div>
+          ))}
+        </div>
+      )}
+      <ToolPolicyEditor
+        policy={policies.agents[agentId] || null}
+        tools={tools}
+        onSave={handleSave}
+        saving={saving}
+      />
+      {error && <div className="text-xs text-red-600 dark:text-red-400">{error}</div>}
+    </div>
+  );
+}
+
+/**
+ * 按职级 / 部门配置工具策略
+ */
+export function ScopeToolPolicyPanel({ levels, departments }) {
+  const { policies, tools, saving, error, save } = useToolPolicies();
+  const [scope, setScope] = useState('level');
+  const [target, setTarget] = useState('');
+
+  const targets = scope === 'level' ? levels : departments;
+  const policyMap = scope === 'level' ? policies.levels : policies.departments;
+
+  useEffect(() => {
+    setTarget(targets[0]?.id || '');
+  }, [scope, targets]);
+
+  return (
+    <div className="p-4 bg-bg-elevated rounded-xl border border-[var(--border-color)] space-y-3">
+      <div>
+        <div className="font-medium text-text-primary">按职级 / 部门的工具策略</div>
+        <div className="text-xs text-text-secondary mt-0.5">
+          优先级：个人策略 &gt; 部门 &gt; 职级。禁止项逐层叠加，其余字段取最具体的一层
+        </div>
+      </div>
+      <div className="flex items-center gap-2">
+        <select
+          value={scope}
+          onChange={(e) => setScope(e.target.value)}
+          className="px-2 py-1.5 text-sm rounded-lg border border-[var(--border-color)] bg-bg-elevated text-text-primary"
+        >
+          <option value="level">职级</option>
+          <option value="department">部门</option>
+        </select>
+        <select
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          className="flex-1 px-2 py-1.5 text-sm rounded-lg border border-[var(--border-color)] bg-bg-elevated text-text-primary"
+        >
+          {targets.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name}{policyMap[t.id] ? '（已配置）' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+      {target && (
+        <ToolPolicyEditor
+          policy={policyMap[target] || null}
+          tools={tools}
+          onSave={(policy) => save(scope, target, policy)}
+          saving={saving}
+        />
+      )}
+      {error && <div className="text-xs text-red-600 dark:text-red-400">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,527 @@
+/**
+ * SoloForge - 工作流面板
+ * 在运营仪表板中列出工作流定义、按输入声明生成启动表单、跟踪运行并处理审批步骤
+ * @module components/WorkflowPanel
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  ArrowPathIcon,
+  PlayIcon,
+  PencilSquareIcon,
+  PlusIcon,
+  TrashIcon,
+  StopCircleIcon,
+  CheckIcon,
+  XMarkIcon,
+  ChevronDownIcon,
+  ChevronRightIcon,
+} from '@heroicons/react/24/outline';
+
+const RUN_STATUS_LABELS = {
+  running: '运行中',
+  waiting_approval: '待审批',
+  completed: '已完成',
+  failed: '失败',
+  cancelled: '已取消',
+};
+
+const RUN_STATUS_COLORS = {
+  running: 'bg-blue-100 text-blue-600 dark:bg-blue-900 dark:text-blue-300',
+  waiting_approval: 'bg-yellow-100 text-yellow-600 dark:bg-yellow-900 dark:text-yellow-300',
+  completed: 'bg-green-100 text-green-600 dark:bg-green-900 dark:text-green-300',
+  failed: 'bg-red-100 text-red-600 dark:bg-red-900 dark:text-red-300',
+  cancelled: 'bg-bg-muted text-text-secondary',
+};
+
+const STEP_DOT_COLORS = {
+  pending: 'bg-gray-300 dark:bg-gray-600',
+  running: 'bg-blue-500 animate-pulse',
+  completed: 'bg-green-500',
+  waiting_approval: 'bg-yellow-500',
+  rejected: 'bg-red-400',
+  failed: 'bg-red-500',
+};
+
+const HISTORY_EVENT_LABELS = {
+  started: '开始',
+  completed: '完成',
+  failed: '失败',
+  branch: '分支',
+  max_visits: '达到循环上限',
+  approval_requested: '请求审批',
+  approved: '审批通过',
+  rejected: '审批拒绝',
+  resumed: '重启后恢复',
+  skipped: '跳过（重启前已完成）',
+  cancelled: '已取消',
+};
+
+const NEW_WORKFLOW_TEMPLATE = `id: my-workflow
+name: 新工作流
+inputs:
+  prompt: string
+steps:
+  - id: write
+    type: agent
+    agent: writer
+    input:
+      prompt: "{{inputs.prompt}}"
+`;
+
+function formatTime(dateStr) {
+  if (!dateStr) return '';
+  return new Date(dateStr).toLocaleString('zh-CN', {
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * 把表单字符串转换为声明的类型
+ * @returns {*} 转换结果；object / array 解析失败时抛错
+ */
+function coerceInput(raw, type) {
+  if (raw === '' || raw === undefined) return undefined;
+  switch (type) {
+    case 'number':
+      return Number(raw);
+    case 'boolean':
+      return raw === true || raw === 'true';
+    case 'object':
+    case 'array':
+      return JSON.parse(raw);
+    default:
+      return raw;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// 启动表单
+// ─────────────────────────────────────────────────────────────
+
+function StartForm({ workflow, onStarted, onCancel }) {
+  const [values, setValues] = useState({});
+  const [error, setError] = useState('');
+  const [starting, setStarting] = useState(false);
+  const fields = Object.entries(workflow.inputs || {});
+
+  const handleStart = async () => {
+    setError('');
+    const inputs = {};
+    try {
+      for (const [name, spec] of fields) {
+        const value = coerceInput(values[name], spec.type);
+        if (value !== undefined) inputs[name] = value;
+      }
+    } catch {
+      setError('对象 / 数组类型的输入需要填写合法的 JSON');
+      return;
+    }
+
+    setStarting(true);
+    try {
+      const result = await window.electronAPI.startWorkflow(workflow.id, inputs);
+      if (result?.success) {
+        onStarted(result.data);
+      } else {
+        setError(result?.error || '启动失败');
+      }
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div className="mt-2 p-3 bg-bg-muted rounded-lg border border-[var(--border-color)] space-y-2">
+      {fields.length === 0 && <p className="text-xs text-text-muted">此工作流不需要输入</p>}
+      {fields.map(([name, spec]) => (
+        <label key={name} className="block">
+          <span className="text-xs text-text-secondary">
+            {spec.description || name}
+            <span className="text-text-muted ml-1">({spec.type}{spec.required ? '，必填' : ''})</span>
+          </span>
+          {spec.type === 'boolean' ? (
+            <input
+              type="checkbox"
+              className="ml-2"
+              checked={values[name] === true}
+              onChange={(e) => setValues((v) => ({ ...v, [name]: e.target.checked }))}
+            />
+          ) : spec.type === 'string' || spec.type === 'object' || spec.type === 'array' ? (
+            <textarea
+              rows={spec.type === 'string' ? 3 : 4}
+              value={values[name] ?? ''}
+              placeholder={spec.default !== undefined ? `默认：${JSON.stringify(spec.default)}` : ''}
+              onChange={(e) => setValues((v) => ({ ...v, [name]: e.target.value }))}
+              className="mt-1 w-full px-2 py-1.5 text-sm rounded-md bg-bg-base border border-[var(--border-color)] text-text-primary focus:outline-none focus:ring-1 focus:ring-[var(--color-primary)]"
+            />
+          ) : (
+            <input
+              type={spec.type === 'number' ? 'number' : 'text'}
+              value={values[name] ?? ''}
+              placeholder={spec.default !== undefined ? `默认：${JSON.stringify(spec.default)}` : ''}
+              onChange={(e) => setValues((v) => ({ ...v, [name]: e.target.value }))}
+              className="mt-1 w-full px-2 py-1.5 text-sm rounded-md bg-bg-base border border-[var(--border-color)] text-text-primary focus:outline-none focus:ring-1 focus:ring-[var(--color-primary)]"
+            />
+          )}
+        </label>
+      ))}
+      {error && <p className="text-xs text-red-500">{error}</p>}
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 text-xs rounded-lg text-text-secondary hover:bg-[var(--bg-hover)]"
+        >
+          取消
+        </button>
+        <button
+          type="button"
+          disabled={starting}
+          onClick={handleStart}
+          className="flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-[var(--color-primary)] text-white disabled:opacity-50"
+        >
+          <PlayIcon className="w-3.5 h-3.5" />
+          {starting ? '启动中...' : '启动'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// 定义编辑器
+// ─────────────────────────────────────────────────────────────
+
+function DefinitionEditor({ file, onSaved, onCancel }) {
+  const [text, setText] = useState(file ? '' : NEW_WORKFLOW_TEMPLATE);
+  const [error, setError] = useState('');
+  const format = file?.endsWith('.json') ? 'json' : 'yaml';
+
+  useEffect(() => {
+    if (!file) return;
+    window.electronAPI.getWorkflowSource(file).then((result) => {
+      if (result?.success) setText(result.data);
+      else setError(result?.error || '读取失败');
+    });
+  }, [file]);
+
+  const handleSave = async () => {
+    setError('');
+    const result = await window.electronAPI.saveWorkflow(text, format);
+    if (result?.success) onSaved();
+    else setError(result?.error || '保存失败');
+  };
+
+  return (
+    <div className="mt-2 p-3 bg-bg-muted rounded-lg border border-[var(--border-color)] space-y-2">
+      <textarea
+        rows={16}
+        spellCheck={false}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        className="w-full px-2 py-1.5 text-xs font-mono rounded-md bg-bg-base border border-[var(--border-color)] text-text-primary focus:outline-none focus:ring-1 focus:ring-[var(--color-primary)]"
+      />
+      {error && <p className="text-xs text-red-500 whitespace-pre-wrap">{error}</p>}
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 text-xs rounded-lg text-text-secondary hover:bg-[var(--bg-hover)]"
+        >
+          取消
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          className="px-3 py-1.5 text-xs rounded-lg bg-[var(--color-primary)] text-white"
+        >
+          保存
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// 运行记录
+// ─────────────────────────────────────────────────────────────
+
+function RunItem({ run, onChanged }) {
+  const [expanded, setExpanded] = useState(run.status === 'waiting_approval');
+  const [comment, setComment] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const steps = run.definition?.steps || [];
+
+  const act = async (fn) => {
+    setBusy(true);
+    setError('');
+    try {
+      const result = await fn();
+      if (result && result.success === false) setError(result.error || '操作失败');
+      onChanged();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="p-3 bg-bg-muted rounded-lg border border-[var(--border-color)]">
+      <div className="flex items-center gap-2">
+        <button type="button" onClick={() => setExpanded(!expanded)} className="text-text-muted">
+          {expanded ? <ChevronDownIcon className="w-4 h-4" /> : <ChevronRightIcon className="w-4 h-4" />}
+        </button>
+        <span className="font-medium text-sm text-text-primary truncate">{run.workflowName}</span>
+        <span className={`px-1.5 py-0.5 text-xs rounded-full ${RUN_STATUS_COLORS[run.status]}`}>
+          {RUN_STATUS_LABELS[run.status] || run.status}
+        </span>
+        <div className="flex items-center gap-1 ml-2">
+          {steps.map((step) => (
+            <span
+              key={step.id}
+              title={`${step.name}${run.steps[step.id] ? ` · ${run.steps[step.id].visits} 次` : ''}`}
+              className={`w-2 h-2 rounded-full ${STEP_DOT_COLORS[run.steps[step.id]?.status || 'pending']}`}
+            />
+          ))}
+        </div>
+        <span className="text-xs text-text-muted ml-auto">{formatTime(run.createdAt)}</span>
+        {(run.status === 'running' || run.status === 'waiting_approval') ? (
+          <button
+            type="button"
+            disabled={busy}
+            onClick={() => act(() => window.electronAPI.cancelWorkflowRun(run.id))}
+            className="text-text-muted hover:text-red-500"
+            title="取消运行"
+          >
+            <StopCircleIcon className="w-4 h-4" />
+          </button>
+        ) : (
+          <button
+            type="button"
+            disabled={busy}
+            onClick={() => act(() => window.electronAPI.deleteWorkflowRun(run.id))}
+            className="text-text-muted hover:text-red-500"
+            title="删除记录"
+          >
+            <TrashIcon className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {run.status === 'running' && run.currentStep && (
+        <p className="text-xs text-text-secondary mt-1 ml-6">当前步骤：{run.currentStep}</p>
+      )}
+      {run.error && <p className="text-xs text-red-500 mt-1 ml-6">{run.error}</p>}
+
+      {run.status === 'waiting_approval' && run.pendingApproval && (
+        <div className="mt-2 ml-6 p-2 rounded-md bg-yellow-50 dark:bg-yellow-900/20 space-y-2">
+          <p className="text-sm text-text-primary whitespace-pre-wrap">{run.pendingApproval.message}</p>
+          <input
+            type="text"
+            value={comment}
+            placeholder="审批意见（可选）"
+            onChange={(e) => setComment(e.target.value)}
+            className="w-full px-2 py-1 text-xs rounded-md bg-bg-base border border-[var(--border-color)] text-text-primary"
+          />
+          <div className="flex gap-2">
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => act(() => window.electronAPI.decideWorkflowStep(run.id, true, comment))}
+              className="flex items-center gap-1 px-3 py-1 text-xs rounded-lg bg-green-600 text-white disabled:opacity-50"
+            >
+              <CheckIcon className="w-3.5 h-3.5" />
+              通过
+            </button>
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => act(() => window.electronAPI.decideWorkflowStep(run.id, false, comment))}
+              className="flex items-center gap-1 px-3 py-1 text-xs rounded-lg bg-red-600 text-white disabled:opacity-50"
+            >
+              <XMarkIcon className="w-3.5 h-3.5" />
+              拒绝
+            </button>
+          </div>
+        </div>
+      )}
+      {error && <p className="text-xs text-red-500 mt-1 ml-6">{error}</p>}
+
+      {expanded && (
+        <div className="mt-2 ml-6 space-y-2">
+          {run.output && (
+            <div>
+              <p className="text-xs font-medium text-text-secondary mb-1">输出</p>
+              <pre className="text-xs p-2 rounded-md bg-bg-base border border-[var(--border-color)] text-text-primary whitespace-pre-wrap max-h-60 overflow-auto">
+                {JSON.stringify(run.output, null, 2)}
+              </pre>
+            </div>
+          )}
+          <div>
+            <p className="text-xs font-medium text-text-secondary mb-1">执行记录</p>
+            <ul className="space-y-0.5 max-h-40 overflow-auto">
+              {run.history.map((h, i) => (
+                <li key={i} className="text-xs text-text-muted">
+                  <span className="mr-2">{formatTime(h.at)}</span>
+                  {h.stepId && <span className="text-text-secondary mr-1">{h.stepId}</span>}
+                  {HISTORY_EVENT_LABELS[h.event] || h.event}
+                  {h.detail && <span className="ml-1">· {h.detail}</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// 面板
+// ─────────────────────────────────────────────────────────────
+
+export default function WorkflowPanel() {
+  const [workflows, setWorkflows] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [startingId, setStartingId] = useState(null);
+  // null：未编辑；''：新建；文件名：编辑已有定义
+  const [editingFile, setEditingFile] = useState(null);
+
+  const loadData = useCallback(async () => {
+    try {
+      const [defs, runList] = await Promise.all([
+        window.electronAPI?.listWorkflows?.(),
+        window.electronAPI?.listWorkflowRuns?.(),
+      ]);
+      if (defs?.success) setWorkflows(defs.data);
+      if (runList?.success) setRuns(runList.data);
+    } catch (error) {
+      console.error('加载工作流失败:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+    const unsubscribe = window.electronAPI?.onWorkflowUpdated?.((run) => {
+      setRuns((prev) => {
+        const exists = prev.some((r) => r.id === run.id);
+        return exists ? prev.map((r) => (r.id === run.id ? run : r)) : [run, ...prev];
+      });
+    });
+    return () => unsubscribe?.();
+  }, [loadData]);
+
+  const handleDelete = async (file) => {
+    if (!window.confirm(`确定删除工作流定义 ${file}？已有运行记录不受影响。`)) return;
+    await window.electronAPI.deleteWorkflow(file);
+    loadData();
+  };
+
+  const activeCount = runs.filter((r) => r.status === 'running' || r.status === 'waiting_approval').length;
+
+  return (
+    <div className="bg-bg-elevated rounded-xl border border-[var(--border-color)] mb-6">
+      <div className="flex items-center gap-2 px-5 py-3 border-b border-[var(--border-color)]/60">
+        <h3 className="text-sm font-semibold text-text-primary">工作流</h3>
+        {activeCount > 0 && <span className="text-xs text-text-muted">{activeCount} 个运行中</span>}
+        <div className="ml-auto flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => setEditingFile('')}
+            className="flex items-center gap-1 text-xs text-text-secondary hover:text-text-primary"
+          >
+            <PlusIcon className="w-3.5 h-3.5" />
+            新建
+          </button>
+          <button type="button" onClick={loadData} className="text-text-muted hover:text-text-primary" title="刷新">
+            <ArrowPathIcon className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="px-5 py-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* 定义 */}
+        <div className="space-y-2">
+          {editingFile === '' && (
+            <DefinitionEditor
+              file={null}
+              onSaved={() => { setEditingFile(null); loadData(); }}
+              onCancel={() => setEditingFile(null)}
+            />
+          )}
+          {workflows.length === 0 && (
+            <p className="text-sm text-text-muted text-center py-2">暂无工作流定义</p>
+          )}
+          {workflows.map((wf) => (
+            <div key={wf.file} className="p-3 rounded-lg border border-[var(--border-color)]">
+              <div className="flex items-center gap-2">
+                <span className="font-medium text-sm text-text-primary">{wf.name}</span>
+                {!wf.error && <span className="text-xs text-text-muted">{wf.stepCount} 个步骤</span>}
+                <div className="ml-auto flex items-center gap-2">
+                  {!wf.error && (
+                    <button
+                      type="button"
+                      onClick={() => setStartingId(startingId === wf.id ? null : wf.id)}
+                      className="text-text-muted hover:text-[var(--color-primary)]"
+                      title="运行"
+                    >
+                      <PlayIcon className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setEditingFile(editingFile === wf.file ? null : wf.file)}
+                    className="text-text-muted hover:text-text-primary"
+                    title="编辑"
+                  >
+                    <PencilSquareIcon className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(wf.file)}
+                    className="text-text-muted hover:text-red-500"
+                    title="删除"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+              {wf.description && <p className="text-xs text-text-secondary mt-1">{wf.description}</p>}
+              {wf.error && <p className="text-xs text-red-500 mt-1">{wf.error}</p>}
+              {startingId === wf.id && (
+                <StartForm
+                  workflow={wf}
+                  onStarted={(run) => {
+                    setStartingId(null);
+                    setRuns((prev) => (prev.some((r) => r.id === run.id) ? prev : [run, ...prev]));
+                  }}
+                  onCancel={() => setStartingId(null)}
+                />
+              )}
+              {editingFile === wf.file && (
+                <DefinitionEditor
+                  file={wf.file}
+                  onSaved={() => { setEditingFile(null); loadData(); }}
+                  onCancel={() => setEditingFile(null)}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* 运行记录 */}
+        <div className="space-y-2">
+          {runs.length === 0 ? (
+            <p className="text-sm text-text-muted text-center py-2">暂无运行记录</p>
+          ) : (
+            runs.slice(0, 10).map((run) => <RunItem key={run.id} run={run} onChanged={loadData} />)
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
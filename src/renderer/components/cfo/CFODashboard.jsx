@@ -1,9 +1,53 @@
 /**
  * SoloForge - CFO 控制台
- * 展示 Token 使用统计、预算状态、工资管理和预警
+ * 展示 Token 使用统计、实际成本、预算状态、工资管理和预警
  */
 import { useState, useEffect, useCallback } from 'react';
 
+const CURRENCY_SYMBOLS = { USD: '$', CNY: '¥' };
+
+const POLICY_SOURCE_LABELS = {
+  agent: '员工策略',
+  level: '职级策略',
+  default: '公司默认策略',
+  builtin: '内置策略',
+};
+
+/**
+ * 降级阶段显示文本（rung:N 为阶梯序号，从 0 开始）
+ */
+function formatStage(stage) {
+  if (!stage || stage === 'normal') return '正常';
+  if (stage === 'restricted') return '仅只读工具';
+  if (stage === 'blocked') return '已阻止';
+  return `第 ${Number(stage.split(':')[1]) + 1} 级降级`;
+}
+
+function formatNumber(num) {
+  if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
+  if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
+  return num?.toString() || '0';
+}
+
+/**
+ * 格式化货币金额（小额成本多保留两位小数）
+ */
+function formatMoney(amount, currency) {
+  const value = Number(amount) || 0;
+  const digits = Math.abs(value) > 0 && Math.abs(value) < 1 ? 4 : 2;
+  const symbol = CURRENCY_SYMBOLS[currency] || `${currency || ''} `;
+  const sign = value < 0 ? '-' : '';
+  return `${sign}${symbol}${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: digits })}`;
+}
+
+/**
+ * 按计费单位格式化余额、日薪、限额
+ */
+function formatAmount(amount, billing) {
+  if (billing?.unit === 'currency') return formatMoney(amount, billing.currency);
+  return formatNumber(Math.round(amount || 0));
+}
+
 /**
  * 进度条组件
  */
@@ -51,7 +95,7 @@ function StatCard({ title, value, subtitle, warning = false }) {
 /**
  * 员工薪资行
  */
-function EmployeeSalaryRow({ agent, onAdjustSalary, onPayBonus }) {
+function EmployeeSalaryRow({ agent, billing, onAdjustSalary, onPayBonus }) {
   const salary = agent.salary;
   const balance = salary?.balance ?? 0;
   const dailySalary = salary?.dailySalary ?? 0;
@@ -81,7 +125,7 @@ function EmployeeSalaryRow({ agent, onAdjustSalary, onPayBonus }) {
         </div>
         <div className="flex items-center gap-2">
           <span className={`text-sm ${isOverdrawn ? 'text-red-500 font-medium' : 'text-gray-500 dark:text-gray-400'}`}>
-            {balance.toLocaleString()} / {dailySalary.toLocaleString()}
+            {formatAmount(balance, billing)} / {formatAmount(dailySalary, billing)}
           </span>
           {isOverdrawn && (
             <span className="text-xs bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 px-1.5 py-0.5 rounded">
@@ -92,7 +136,9 @@ function EmployeeSalaryRow({ agent, onAdjustSalary, onPayBonus }) {
       </div>
       <ProgressBar percentage={usedPercent} isNegative={isOverdrawn} />
       <div className="flex justify-between mt-1 text-xs text-gray-400">
-        <span>{agent.callCount || 0} 次调用</span>
+        <span>
+          {agent.callCount || 0} 次调用 · {formatNumber(agent.totalTokens || 0)} tokens · {formatMoney(agent.totalCost, agent.currency || billing?.currency)}
+        </span>
         <div className="flex gap-2">
           <button
             onClick={() => onAdjustSalary?.(agent.agentId, displayName, dailySalary)}
@@ -115,7 +161,7 @@ function EmployeeSalaryRow({ agent, onAdjustSalary, onPayBonus }) {
 /**
  * 职级工资配置行
  */
-function LevelSalaryRow({ level, salary, onEdit }) {
+function LevelSalaryRow({ level, salary, billing, onEdit }) {
   const levelNames = {
     c_level: 'C-Level 高管',
     vp: '副总裁',
@@ -136,7 +182,7 @@ function LevelSalaryRow({ level, salary, onEdit }) {
       </span>
       <div className="flex items-center gap-2">
         <span className="text-sm font-medium text-gray-900 dark:text-gray-100">
-          {salary.toLocaleString()}
+          {billing?.unit === 'currency' ? formatMoney(salary, billing.currency) : salary.toLocaleString()}
         </span>
         <button
           onClick={() => onEdit(level, displayName, salary)}
@@ -157,7 +203,12 @@ function AlertItem({ alert, onAcknowledge }) {
     warning: 'bg-yellow-50 dark:bg-yellow-900/20 border-yellow-200 dark:border-yellow-800',
     critical: 'bg-orange-50 dark:bg-orange-900/20 border-orange-200 dark:border-orange-800',
     exceeded: 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800',
+    anomaly: 'bg-purple-50 dark:bg-purple-900/20 border-purple-200 dark:border-purple-800',
+    downgraded: 'bg-blue-50 dark:bg-blue-900/20 border-blue-200 dark:border-blue-800',
+    blocked: 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800',
   };
+  const anomaly = alert.anomaly;
+  const downgrade = alert.downgrade;
 
   return (
     <div className={`p-3 rounded-lg border ${levelStyles[alert.level] || levelStyles.warning} ${alert.acknowledged ? 'opacity-50' : ''}`}>
@@ -166,6 +217,19 @@ function AlertItem({ alert, onAcknowledge }) {
           <div className="font-medium text-gray-900 dark:text-gray-100 text-sm">
             {alert.message}
           </div>
+          {anomaly && (anomaly.taskId || anomaly.conversationId) && (
+            <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 break-all">
+              {anomaly.taskId
+                ? `任务 ${anomaly.taskId}${anomaly.taskTitle ? `：${anomaly.taskTitle}` : ''}`
+                : `对话 ${anomaly.conversationId}`}
+              {` · ${anomaly.topCalls} 次调用`}
+            </div>
+          )}
+          {downgrade && (
+            <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              {formatStage(downgrade.from)} → {formatStage(downgrade.to)} · {POLICY_SOURCE_LABELS[downgrade.policySource] || downgrade.policySource}
+            </div>
+          )}
           <div className="text-xs text-gray-400 mt-1">
             {new Date(alert.timestamp).toLocaleString()}
           </div>
@@ -183,10 +247,150 @@ function AlertItem({ alert, onAcknowledge }) {
   );
 }
 
+/**
+ * 每日成本柱状图：历史为实色，预测为浅色；今日柱分为已发生与预计剩余两段
+ */
+function ForecastChart({ forecast }) {
+  const currency = forecast.currency;
+  const points = [
+    ...forecast.history.slice(0, -1).map((p) => ({ ...p, kind: 'history' })),
+    { ...forecast.today, kind: 'today', projected: forecast.today.projectedCost },
+    ...forecast.daily.map((p) => ({ ...p, kind: 'projected' })),
+  ];
+  const max = Math.max(...points.map((p) => (p.kind === 'today' ? p.projected : p.cost)), 0.0001);
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-40">
+        {points.map((p) => {
+          const total = p.kind === 'today' ? p.projected : p.cost;
+          const label = p.kind === 'today'
+            ? `${p.date} 已发生 ${formatMoney(p.cost, currency)} / 预计 ${formatMoney(p.projected, currency)}`
+            : `${p.date}${p.kind === 'projected' ? '（预测）' : ''} ${formatMoney(p.cost, currency)}`;
+          return (
+            <div key={p.date} className="flex-1 flex flex-col justify-end h-full" title={label}>
+              {p.kind === 'today' ? (
+                <>
+                  <div
+                    className="bg-blue-200 dark:bg-blue-900 rounded-t"
+                    style={{ height: `${((p.projected - p.cost) / max) * 100}%` }}
+                  />
+                  <div className="bg-blue-500" style={{ height: `${(p.cost / max) * 100}%` }} />
+                </>
+              ) : (
+                <div
+                  className={`rounded-t ${p.kind === 'projected' ? 'bg-blue-200 dark:bg-blue-900' : 'bg-blue-500'}`}
+                  style={{ height: `${(total / max) * 100}%` }}
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex justify-between text-xs text-gray-400 mt-1">
+        <span>{points[0]?.date}</span>
+        <span>深色为实际，浅色为预测</span>
+        <span>{points[points.length - 1]?.date}</span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * 成本预测面板
+ */
+function ForecastPanel({ forecast, agentNames, billing }) {
+  if (!forecast) {
+    return <div className="text-gray-500 dark:text-gray-400 text-center py-8">加载中...</div>;
+  }
+
+  const { company, agents } = forecast;
+  const currency = company.currency;
+  const overDays = company.budget?.overLimitDates || [];
+
+  return (
+    <>
+      <div className="grid grid-cols-3 gap-4 mb-6">
+        <StatCard
+          title="今日预计成本"
+          value={formatMoney(company.today.projectedCost, currency)}
+          subtitle={`已发生 ${formatMoney(company.today.cost, currency)}`}
+          warning={company.budget?.projectedPercent >= 100}
+        />
+        <StatCard
+          title="未来 7 天预计"
+          value={formatMoney(company.nextWeek.cost, currency)}
+          subtitle={`${formatNumber(company.nextWeek.tokens)} tokens`}
+          warning={overDays.length > 0}
+        />
+        <StatCard
+          title="消耗趋势"
+          value={`${company.trendPercent > 0 ? '+' : ''}${company.trendPercent}%/天`}
+          subtitle={`日均 ${formatMoney(company.averageDaily.cost, currency)}`}
+        />
+      </div>
+      {overDays.length > 0 && (
+        <div className="text-sm text-red-500 mb-4">
+          预计 {overDays.join('、')} 超出每日预算限额
+        </div>
+      )}
+
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
+        每日成本（近 {company.history.length} 天 + 预测 {company.daily.length} 天）
+      </h2>
+      <div className="mb-6">
+        <ForecastChart forecast={company} />
+      </div>
+
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
+        员工预测
+      </h2>
+      {agents.length > 0 ? (
+        <table className="w-full">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+              <th className="py-2 font-medium">员工</th>
+              <th className="py-2 font-medium">今日预计</th>
+              <th className="py-2 font-medium">未来 7 天</th>
+              <th className="py-2 font-medium">趋势</th>
+              <th className="py-2 font-medium">日薪占用</th>
+              <th className="py-2 font-medium">预计阻止</th>
+            </tr>
+          </thead>
+          <tbody>
+            {agents.map((a) => (
+              <tr key={a.agentId} className="border-b border-gray-100 dark:border-gray-700 last:border-0 text-sm">
+                <td className="py-2 text-gray-900 dark:text-gray-100">{agentNames[a.agentId] || a.agentId}</td>
+                <td className="py-2 text-gray-700 dark:text-gray-300">{formatMoney(a.today.projectedCost, currency)}</td>
+                <td className="py-2 text-gray-700 dark:text-gray-300">{formatMoney(a.nextWeek.cost, currency)}</td>
+                <td className="py-2 text-gray-500 dark:text-gray-400">{a.trendPercent > 0 ? '+' : ''}{a.trendPercent}%</td>
+                <td className={`py-2 ${a.budget?.salaryUsagePercent > 100 ? 'text-red-500' : 'text-gray-500 dark:text-gray-400'}`}>
+                  {a.budget?.salaryUsagePercent != null
+                    ? `${a.budget.salaryUsagePercent}% / ${formatAmount(a.budget.dailySalary, billing)}`
+                    : '-'}
+                </td>
+                <td className={`py-2 ${a.budget?.daysUntilBlocked != null ? 'text-red-500 font-medium' : 'text-gray-400'}`}>
+                  {a.budget?.daysUntilBlocked == null
+                    ? '—'
+                    : a.budget.daysUntilBlocked === 0 ? '今日' : `${a.budget.daysUntilBlocked} 天后`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <div className="text-gray-500 dark:text-gray-400 text-center py-8">
+          暂无数据
+        </div>
+      )}
+    </>
+  );
+}
+
 /**
  * 调薪/发奖金弹窗
  */
-function SalaryModal({ type, agentId, agentName, currentValue, onConfirm, onClose }) {
+function SalaryModal({ type, agentId, agentName, currentValue, unitLabel, onConfirm, onClose }) {
   const [value, setValue] = useState(currentValue || 0);
   const [reason, setReason] = useState('');
 
@@ -214,11 +418,12 @@ function SalaryModal({ type, agentId, agentName, currentValue, onConfirm, onClos
         </div>
         <div className="mb-4">
           <label className="block text-sm text-gray-600 dark:text-gray-400 mb-1">
-            {label} (tokens)
+            {label} ({unitLabel})
           </label>
           <input
             type="number"
             value={value}
+            step={unitLabel === 'tokens' ? 1 : 0.01}
             onChange={(e) => setValue(Number(e.target.value))}
             className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg
                        bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
@@ -258,31 +463,509 @@ function SalaryModal({ type, agentId, agentName, currentValue, onConfirm, onClos
   );
 }
 
+/**
+ * 模型单价行（单价为每百万 token）
+ */
+function ModelPriceRow({ price, onSave, onReset }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(price);
+
+  const startEdit = () => {
+    setDraft(price);
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    const ok = await onSave(price.model, {
+      input: Number(draft.input),
+      output: Number(draft.output),
+      cachedInput: Number(draft.cachedInput),
+      currency: draft.currency,
+    });
+    if (ok) setEditing(false);
+  };
+
+  const inputClass = 'w-20 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100';
+
+  return (
+    <tr className="border-b border-gray-100 dark:border-gray-700 last:border-0">
+      <td className="py-2 text-sm text-gray-900 dark:text-gray-100">
+        {price.model}
+        {price.source === 'custom' && (
+          <span className="ml-2 text-xs bg-blue-100 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 px-1.5 py-0.5 rounded">
+            自定义
+          </span>
+        )}
+      </td>
+      {editing ? (
+        <>
+          {['input', 'cachedInput', 'output'].map((field) => (
+            <td key={field} className="py-2">
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={draft[field]}
+                onChange={(e) => setDraft((d) => ({ ...d, [field]: e.target.value }))}
+                className={inputClass}
+              />
+            </td>
+          ))}
+          <td className="py-2">
+            <select
+              value={draft.currency}
+              onChange={(e) => setDraft((d) => ({ ...d, currency: e.target.value }))}
+              className={inputClass}
+            >
+              {Object.keys(CURRENCY_SYMBOLS).map((c) => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </td>
+          <td className="py-2 text-right text-xs space-x-2">
+            <button onClick={handleSave} className="text-blue-500 hover:text-blue-700">保存</button>
+            <button onClick={() => setEditing(false)} className="text-gray-500 hover:text-gray-700">取消</button>
+          </td>
+        </>
+      ) : (
+        <>
+          <td className="py-2 text-sm text-gray-700 dark:text-gray-300">{price.input}</td>
+          <td className="py-2 text-sm text-gray-700 dark:text-gray-300">{price.cachedInput}</td>
+          <td className="py-2 text-sm text-gray-700 dark:text-gray-300">{price.output}</td>
+          <td className="py-2 text-sm text-gray-500 dark:text-gray-400">{price.currency}</td>
+          <td className="py-2 text-right text-xs space-x-2">
+            <button onClick={startEdit} className="text-blue-500 hover:text-blue-700">编辑</button>
+            {price.source === 'custom' && (
+              <button onClick={() => onReset(price.model)} className="text-gray-500 hover:text-gray-700">恢复默认</button>
+            )}
+          </td>
+        </>
+      )}
+    </tr>
+  );
+}
+
+/**
+ * 模型价格与计费单位
+ */
+function PricingPanel({ pricing, byModel, onChanged }) {
+  const [error, setError] = useState('');
+  const billing = pricing?.billing;
+
+  const run = async (action) => {
+    setError('');
+    const result = await action();
+    if (result && result.success === false) {
+      setError(result.error || '操作失败');
+      return false;
+    }
+    onChanged();
+    return true;
+  };
+
+  const handleUnitChange = (unit) => {
+    const message = unit === 'currency'
+      ? '切换为按货币计费后，所有余额、日薪和限额会按最近 30 天的实际成本折算为金额。确定切换？'
+      : '切换为按 token 计费后，所有余额、日薪和限额会按上次的换算比例折回 token 数。确定切换？';
+    if (!window.confirm(message)) return;
+    run(() => window.electronAPI?.setBilling?.({ unit }));
+  };
+
+  const handleCurrencyChange = (currency) => {
+    run(() => window.electronAPI?.setBilling?.({ currency }));
+  };
+
+  const handleAddModel = () => {
+    const model = window.prompt('模型名或模型名前缀（如 claude-opus-4-6）');
+    if (!model?.trim()) return;
+    run(() => window.electronAPI?.setModelPrice?.(model.trim(), {}));
+  };
+
+  if (!pricing) {
+    return <div className="text-gray-500 dark:text-gray-400 text-center py-8">加载中...</div>;
+  }
+
+  const selectClass = 'px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100';
+
+  return (
+    <>
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
+        计费设置
+      </h2>
+      <div className="flex items-center gap-6 mb-2">
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          计费单位
+          <select value={billing?.unit || 'tokens'} onChange={(e) => handleUnitChange(e.target.value)} className={selectClass}>
+            <option value="tokens">按 token 数</option>
+            <option value="currency">按实际成本</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          报表币种
+          <select value={pricing.reportingCurrency} onChange={(e) => handleCurrencyChange(e.target.value)} className={selectClass}>
+            {Object.keys(CURRENCY_SYMBOLS).map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </label>
+        <span className="text-xs text-gray-400">
+          汇率：$1 = ¥{pricing.exchangeRates?.CNY}
+        </span>
+      </div>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-6">
+        按实际成本计费时，日薪、余额和预算限额均以{pricing.reportingCurrency}计，每次调用按下表单价扣款
+      </p>
+      {error && <div className="text-sm text-red-500 mb-4">{error}</div>}
+
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+          模型单价（每百万 token）
+        </h2>
+        <button onClick={handleAddModel} className="text-sm text-blue-500 hover:text-blue-700">
+          + 添加模型
+        </button>
+      </div>
+      <table className="w-full mb-6">
+        <thead>
+          <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+            <th className="py-2 font-medium">模型</th>
+            <th className="py-2 font-medium">输入</th>
+            <th className="py-2 font-medium">缓存输入</th>
+            <th className="py-2 font-medium">输出</th>
+            <th className="py-2 font-medium">币种</th>
+            <th className="py-2" />
+          </tr>
+        </thead>
+        <tbody>
+          {pricing.prices.map((price) => (
+            <ModelPriceRow
+              key={price.model}
+              price={price}
+              onSave={(model, next) => run(() => window.electronAPI?.setModelPrice?.(model, next))}
+              onReset={(model) => run(() => window.electronAPI?.setModelPrice?.(model, null))}
+            />
+          ))}
+        </tbody>
+      </table>
+
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
+        按模型成本
+      </h2>
+      {byModel?.length > 0 ? (
+        <div className="space-y-1">
+          {byModel.map((item) => (
+            <div key={item.model} className="flex justify-between py-2 text-sm border-b border-gray-100 dark:border-gray-700 last:border-0">
+              <span className="text-gray-700 dark:text-gray-300">{item.model}</span>
+              <span className="text-gray-500 dark:text-gray-400">
+                {item.callCount} 次 · {formatNumber(item.totalTokens)} tokens
+                {item.totalCachedTokens > 0 && `（缓存 ${formatNumber(item.totalCachedTokens)}）`}
+                {' · '}
+                <span className="font-medium text-gray-900 dark:text-gray-100">
+                  {formatMoney(item.totalCost, pricing.reportingCurrency)}
+                </span>
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-gray-500 dark:text-gray-400 text-center py-8">
+          暂无数据
+        </div>
+      )}
+    </>
+  );
+}
+
+/**
+ * 单个降级策略编辑器：阶梯各级的模型 / provider / 阶梯线，阻止线与阻止方式
+ */
+function DowngradePolicyEditor({ title, policy, inherited, onSave, onReset }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(null);
+
+  const startEdit = () => {
+    setDraft(JSON.parse(JSON.stringify(policy)));
+    setEditing(true);
+  };
+
+  const updateRung = (index, field, value) => {
+    setDraft((d) => ({
+      ...d,
+      ladder: d.ladder.map((rung, i) => (i === index ? { ...rung, [field]: value } : rung)),
+    }));
+  };
+
+  const handleSave = async () => {
+    const ok = await onSave({
+      ladder: draft.ladder.map((rung) => ({
+        model: rung.model,
+        provider: rung.provider || undefined,
+        belowPercent: Number(rung.belowPercent),
+      })),
+      blockBelowPercent: Number(draft.blockBelowPercent),
+      blockMode: draft.blockMode,
+    });
+    if (ok) setEditing(false);
+  };
+
+  const inputClass = 'px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100';
+
+  return (
+    <div className="py-3 border-b border-gray-100 dark:border-gray-700 last:border-0">
+      <div className="flex items-center justify-between mb-1">
+        <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
+          {title}
+          {inherited && <span className="ml-2 text-xs text-gray-400">（未单独设置，沿用{inherited}）</span>}
+        </div>
+        {!editing && (
+          <div className="text-xs space-x-2">
+            <button onClick={startEdit} className="text-blue-500 hover:text-blue-700">编辑</button>
+            {onReset && (
+              <button onClick={onReset} className="text-gray-500 hover:text-gray-700">删除</button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {editing ? (
+        <div className="space-y-2 mt-2">
+          {draft.ladder.map((rung, index) => (
+            <div key={index} className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+              <span className="w-12">第 {index + 1} 级</span>
+              余额低于日薪
+              <input
+                type="number"
+                value={rung.belowPercent}
+                onChange={(e) => updateRung(index, 'belowPercent', e.target.value)}
+                className={`${inputClass} w-20`}
+              />
+              % 时使用
+              <input
+                value={rung.model}
+                placeholder="模型"
+                onChange={(e) => updateRung(index, 'model', e.target.value)}
+                className={`${inputClass} w-40`}
+              />
+              <input
+                value={rung.provider || ''}
+                placeholder="provider（可选）"
+                onChange={(e) => updateRung(index, 'provider', e.target.value)}
+                className={`${inputClass} w-32`}
+              />
+              <button
+                onClick={() => setDraft((d) => ({ ...d, ladder: d.ladder.filter((_, i) => i !== index) }))}
+                className="text-xs text-gray-500 hover:text-red-500"
+              >
+                移除
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={() => setDraft((d) => ({ ...d, ladder: [...d.ladder, { model: '', belowPercent: -100 }] }))}
+            className="text-xs text-blue-500 hover:text-blue-700"
+          >
+            + 添加一级
+          </button>
+          <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+            余额低于日薪
+            <input
+              type="number"
+              value={draft.blockBelowPercent}
+              onChange={(e) => setDraft((d) => ({ ...d, blockBelowPercent: e.target.value }))}
+              className={`${inputClass} w-20`}
+            />
+            % 时
+            <select
+              value={draft.blockMode}
+              onChange={(e) => setDraft((d) => ({ ...d, blockMode: e.target.value }))}
+              className={inputClass}
+            >
+              <option value="all">阻止一切调用</option>
+              <option value="mutating">只禁止有副作用的工具</option>
+            </select>
+          </div>
+          <div className="text-xs space-x-2">
+            <button onClick={handleSave} className="text-blue-500 hover:text-blue-700">保存</button>
+            <button onClick={() => setEditing(false)} className="text-gray-500 hover:text-gray-700">取消</button>
+          </div>
+        </div>
+      ) : (
+        <div className="text-xs text-gray-500 dark:text-gray-400">
+          {policy.ladder.length > 0
+            ? policy.ladder.map((rung) => `${rung.model}${rung.provider ? `@${rung.provider}` : ''}（<${rung.belowPercent}%）`).join(' → ')
+            : '不降级'}
+          {` · ≤${policy.blockBelowPercent}% ${policy.blockMode === 'mutating' ? '只禁止有副作用的工具' : '阻止调用'}`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * 降级策略：公司默认 / 职级 / 员工策略，当前降级状态与审计记录
+ */
+function DowngradePolicyPanel({ policies, levels, agentNames, onChanged }) {
+  const [error, setError] = useState('');
+  const [newScope, setNewScope] = useState('level');
+  const [newTarget, setNewTarget] = useState('');
+
+  if (!policies) {
+    return <div className="text-gray-500 dark:text-gray-400 text-center py-8">加载中...</div>;
+  }
+
+  const save = async (scope, target, policy) => {
+    setError('');
+    const result = await window.electronAPI?.setDowngradePolicy?.({ scope, target, policy });
+    if (result && result.success === false) {
+      setError(result.error || '操作失败');
+      return false;
+    }
+    onChanged();
+    return true;
+  };
+
+  const basePolicy = policies.default || policies.builtin;
+  const handleAdd = () => {
+    if (!newTarget) return;
+    save(newScope, newTarget, basePolicy);
+    setNewTarget('');
+  };
+
+  const targets = newScope === 'level'
+    ? levels.filter((level) => !policies.levels[level]).map((level) => [level, level])
+    : Object.entries(agentNames).filter(([id]) => !policies.agents[id]).map(([id, name]) => [id, name || id]);
+  const selectClass = 'px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100';
+  const states = Object.entries(policies.states || {});
+
+  return (
+    <>
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
+        降级策略
+      </h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+        余额低于某级阶梯线时自动切换到该级模型；百分比相对日薪，0 表示开始透支。优先级：员工 &gt; 职级 &gt; 公司默认
+      </p>
+      {error && <div className="text-sm text-red-500 mb-4">{error}</div>}
+
+      <DowngradePolicyEditor
+        title="公司默认"
+        policy={basePolicy}
+        inherited={policies.default ? null : '内置策略'}
+        onSave={(policy) => save('default', null, policy)}
+        onReset={policies.default ? () => save('default', null, null) : null}
+      />
+      {Object.entries(policies.levels).map(([level, policy]) => (
+        <DowngradePolicyEditor
+          key={`level-${level}`}
+          title={`职级 ${level}`}
+          policy={policy}
+          onSave={(next) => save('level', level, next)}
+          onReset={() => save('level', level, null)}
+        />
+      ))}
+      {Object.entries(policies.agents).map(([agentId, policy]) => (
+        <DowngradePolicyEditor
+          key={`agent-${agentId}`}
+          title={agentNames[agentId] || agentId}
+          policy={policy}
+          onSave={(next) => save('agent', agentId, next)}
+          onReset={() => save('agent', agentId, null)}
+        />
+      ))}
+
+      <div className="flex items-center gap-2 mt-4 mb-6">
+        <select value={newScope} onChange={(e) => { setNewScope(e.target.value); setNewTarget(''); }} className={selectClass}>
+          <option value="level">职级策略</option>
+          <option value="agent">员工策略</option>
+        </select>
+        <select value={newTarget} onChange={(e) => setNewTarget(e.target.value)} className={selectClass}>
+          <option value="">选择{newScope === 'level' ? '职级' : '员工'}</option>
+          {targets.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <button onClick={handleAdd} disabled={!newTarget} className="text-sm text-blue-500 hover:text-blue-700 disabled:opacity-50">
+          + 添加策略
+        </button>
+      </div>
+
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
+        当前降级中的员工
+      </h2>
+      {states.length > 0 ? (
+        <div className="space-y-1 mb-6">
+          {states.map(([agentId, state]) => (
+            <div key={agentId} className="flex justify-between py-2 text-sm border-b border-gray-100 dark:border-gray-700 last:border-0">
+              <span className="text-gray-700 dark:text-gray-300">{agentNames[agentId] || agentId}</span>
+              <span className="text-gray-500 dark:text-gray-400">
+                {formatStage(state.stage)}{state.model ? ` · ${state.model}` : ''} · 自 {new Date(state.since).toLocaleString()}
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-gray-500 dark:text-gray-400 text-center py-4 mb-6">暂无</div>
+      )}
+
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
+        自动降级记录
+      </h2>
+      {policies.log?.length > 0 ? (
+        <div className="space-y-1 max-h-96 overflow-auto">
+          {policies.log.map((entry) => (
+            <div key={entry.id} className="py-2 text-sm border-b border-gray-100 dark:border-gray-700 last:border-0">
+              <div className="flex justify-between">
+                <span className="text-gray-700 dark:text-gray-300">
+                  {agentNames[entry.agentId] || entry.agentId}：{formatStage(entry.from)} → {formatStage(entry.to)}
+                  {entry.toModel && ` · ${entry.toModel}`}
+                </span>
+                <span className="text-xs text-gray-400">{new Date(entry.timestamp).toLocaleString()}</span>
+              </div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                {entry.reason} · {POLICY_SOURCE_LABELS[entry.policySource] || entry.policySource}
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-gray-500 dark:text-gray-400 text-center py-4">暂无记录</div>
+      )}
+    </>
+  );
+}
+
 /**
  * CFO 控制台
  */
 export default function CFODashboard({ onBack, isActive = true }) {
   const [stats, setStats] = useState(null);
   const [salaryConfig, setSalaryConfig] = useState(null);
+  const [pricing, setPricing] = useState(null);
+  const [forecast, setForecast] = useState(null);
+  const [downgradePolicies, setDowngradePolicies] = useState(null);
   const [alerts, setAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [period, setPeriod] = useState('today');
-  const [activeTab, setActiveTab] = useState('usage'); // 'usage' | 'salary' | 'config'
+  const [activeTab, setActiveTab] = useState('usage'); // 'usage' | 'forecast' | 'salary' | 'pricing' | 'downgrade' | 'alerts'
   const [modal, setModal] = useState(null); // { type, agentId, currentValue }
 
+  // 计费单位决定余额、日薪、限额的显示方式
+  const billing = stats?.billing || pricing?.billing;
+  const reportingCurrency = stats?.global?.currency || pricing?.reportingCurrency;
+
   // 加载数据
   const loadData = useCallback(async () => {
     setLoading(true);
     try {
-      const [tokenStats, alertList, salaryData] = await Promise.all([
+      const [tokenStats, alertList, salaryData, pricingData, forecastData, policyData] = await Promise.all([
         window.electronAPI?.getTokenStats?.({ period }),
         window.electronAPI?.getAlerts?.(),
         window.electronAPI?.getSalaryConfig?.(),
+        window.electronAPI?.getPricing?.(),
+        window.electronAPI?.getCostForecast?.(),
+        window.electronAPI?.getDowngradePolicies?.(),
       ]);
       
       if (tokenStats) setStats(tokenStats);
       if (alertList) setAlerts(alertList);
       if (salaryData) setSalaryConfig(salaryData);
+      if (pricingData) setPricing(pricingData);
+      if (forecastData) setForecast(forecastData);
+      if (policyData) setDowngradePolicies(policyData);
     } catch (error) {
       console.error('加载 CFO 数据失败:', error);
     } finally {
@@ -315,7 +998,7 @@ export default function CFODashboard({ onBack, isActive = true }) {
   };
 
   const handlePayBonus = (agentId, agentName) => {
-    setModal({ type: 'bonus', agentId, agentName, currentValue: 10000 });
+    setModal({ type: 'bonus', agentId, agentName, currentValue: billing?.unit === 'currency' ? 10 : 10000 });
   };
 
   const handleEditLevelSalary = (level, levelName, currentSalary) => {
@@ -340,12 +1023,6 @@ export default function CFODashboard({ onBack, isActive = true }) {
     }
   };
 
-  const formatNumber = (num) => {
-    if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
-    if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
-    return num?.toString() || '0';
-  };
-
   if (loading && !stats) {
     return (
       <div className="flex items-center justify-center h-full">
@@ -366,7 +1043,7 @@ export default function CFODashboard({ onBack, isActive = true }) {
               CFO 控制台
             </h1>
             <p className="text-gray-500 dark:text-gray-400 mt-1">
-              Token 使用统计与工资管理
+              Token 使用统计、实际成本与工资管理
             </p>
           </div>
           <div className="flex items-center gap-4">
@@ -393,15 +1070,20 @@ export default function CFODashboard({ onBack, isActive = true }) {
         </div>
 
         {/* 统计卡片 */}
-        <div className="grid grid-cols-4 gap-4 mb-6">
+        <div className="grid grid-cols-5 gap-4 mb-6">
           <StatCard
             title="总 Token 使用"
             value={formatNumber(stats?.global?.totalTokens || 0)}
             subtitle={`${stats?.global?.callCount || 0} 次调用`}
           />
+          <StatCard
+            title="实际成本"
+            value={formatMoney(stats?.global?.totalCost, reportingCurrency)}
+            subtitle={`缓存命中 ${formatNumber(stats?.global?.totalCachedTokens || 0)} tokens`}
+          />
           <StatCard
             title="每日工资总预算"
-            value={formatNumber(salaryConfig?.totalDailySalaryBudget || 0)}
+            value={formatAmount(salaryConfig?.totalDailySalaryBudget || 0, billing)}
             subtitle={`${salaryConfig?.employeeSalaries?.length || 0} 位员工`}
           />
           <StatCard
@@ -413,7 +1095,7 @@ export default function CFODashboard({ onBack, isActive = true }) {
           <StatCard
             title="全局预算使用"
             value={`${stats?.global?.dailyUsagePercent || 0}%`}
-            subtitle={`限额 ${formatNumber(stats?.global?.globalDailyLimit || 0)}`}
+            subtitle={`限额 ${formatAmount(stats?.global?.globalDailyLimit || 0, billing)}`}
           />
         </div>
 
@@ -421,7 +1103,10 @@ export default function CFODashboard({ onBack, isActive = true }) {
         <div className="flex gap-2 mb-6">
           {[
             { id: 'usage', label: '员工使用情况' },
+            { id: 'forecast', label: '成本预测' },
             { id: 'salary', label: '工资配置' },
+            { id: 'pricing', label: '模型价格' },
+            { id: 'downgrade', label: '降级策略' },
             { id: 'alerts', label: `预警 ${alerts.filter(a => !a.acknowledged).length || ''}` },
           ].map((tab) => (
             <button
@@ -451,6 +1136,7 @@ export default function CFODashboard({ onBack, isActive = true }) {
                     <EmployeeSalaryRow
                       key={agent.agentId}
                       agent={agent}
+                      billing={billing}
                       onAdjustSalary={handleAdjustSalary}
                       onPayBonus={handlePayBonus}
                     />
@@ -479,6 +1165,7 @@ export default function CFODashboard({ onBack, isActive = true }) {
                       key={level}
                       level={level}
                       salary={salary}
+                      billing={billing}
                       onEdit={handleEditLevelSalary}
                     />
                   ))}
@@ -491,6 +1178,27 @@ export default function CFODashboard({ onBack, isActive = true }) {
             </>
           )}
 
+          {activeTab === 'forecast' && (
+            <ForecastPanel
+              forecast={forecast}
+              billing={billing}
+              agentNames={Object.fromEntries((stats?.agents || []).map((a) => [a.agentId, a.agentName]))}
+            />
+          )}
+
+          {activeTab === 'pricing' && (
+            <PricingPanel pricing={pricing} byModel={stats?.byModel} onChanged={loadData} />
+          )}
+
+          {activeTab === 'downgrade' && (
+            <DowngradePolicyPanel
+              policies={downgradePolicies}
+              levels={Object.keys(salaryConfig?.levelDefaults || {})}
+              agentNames={Object.fromEntries((stats?.agents || []).map((a) => [a.agentId, a.agentName]))}
+              onChanged={loadData}
+            />
+          )}
+
           {activeTab === 'alerts' && (
             <>
               <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
@@ -523,6 +1231,7 @@ export default function CFODashboard({ onBack, isActive = true }) {
           agentId={modal.agentId}
           agentName={modal.agentName}
           currentValue={modal.currentValue}
+          unitLabel={billing?.unit === 'currency' ? billing.currency : 'tokens'}
           onConfirm={handleModalConfirm}
           onClose={() => setModal(null)}
         />
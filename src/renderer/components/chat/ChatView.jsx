@@ -10,6 +10,7 @@ import MessageList from './MessageList';
 import ChatInput from './ChatInput';
 import NewChatDialog from './NewChatDialog';
 import TodoPanel from './TodoPanel';
+import ProcessPanel from './ProcessPanel';
 import ThemeToggle from '../ThemeToggle';
 import { useChatStore } from '../../store/chat-store';
 import { useAuthStore } from '../../store/auth-store';
@@ -24,6 +25,7 @@ import { useAuthStore } from '../../store/auth-store';
 export default function ChatView({ onSendMessage, onSilenceGroup, onOpenSettings, onOpenDashboard }) {
   const [showNewChat, setShowNewChat] = useState(false);
   const [todoCollapsed, setTodoCollapsed] = useState(false);
+  const [processCollapsed, setProcessCollapsed] = useState(false);
   const [patrolEnabled, setPatrolEnabled] = useState(true);
   const currentConversationId = useChatStore((s) => s.currentConversationId);
   const sendMessage = useChatStore((s) => s.sendMessage);
@@ -210,12 +212,16 @@ export default function ChatView({ onSendMessage, onSilenceGroup, onOpenSettings
         onDoubleClick={handleDragDoubleClick}
       />
 
-      {/* 右侧主区域 - TODO + 消息流 + 输入框 */}
+      {/* 右侧主区域 - TODO + 后台进程 + 消息流 + 输入框 */}
       <main className="flex-1 flex flex-col overflow-hidden">
         <TodoPanel
           collapsed={todoCollapsed}
           onToggle={() => setTodoCollapsed((v) => !v)}
         />
+        <ProcessPanel
+          collapsed={processCollapsed}
+          onToggle={() => setProcessCollapsed((v) => !v)}
+        />
         <MessageList />
         <ChatInput onSend={handleSend} onSilenceGroup={onSilenceGroup} />
       </main>
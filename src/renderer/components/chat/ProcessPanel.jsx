@@ -0,0 +1,205 @@
+/**
+ * SoloForge - Agent 后台进程面板
+ * 显示当前对话中 Agent 启动的后台进程（开发服务器等），可查看日志与停止
+ * @module components/chat/ProcessPanel
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useChatStore } from '../../store/chat-store';
+import { useAgentStore } from '../../store/agent-store';
+import {
+  CommandLineIcon,
+  ChevronDownIcon,
+  ChevronRightIcon,
+  StopIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline';
+
+/** 日志轮询间隔（毫秒） */
+const LOG_POLL_MS = 2000;
+
+const STATUS_CONFIG = {
+  running: { label: '运行中', className: 'text-green-500' },
+  exited: { label: '已退出', className: 'text-text-secondary' },
+  stopped: { label: '已停止', className: 'text-text-secondary' },
+  failed: { label: '启动失败', className: 'text-red-500' },
+};
+
+// ─────────────────────────────────────────────────────────
+// 单个进程
+// ─────────────────────────────────────────────────────────
+
+function ProcessItem({ proc, agentName }) {
+  const [showLogs, setShowLogs] = useState(false);
+  const [logs, setLogs] = useState('');
+  const [stopping, setStopping] = useState(false);
+  const logRef = useRef(null);
+  const status = STATUS_CONFIG[proc.status] || STATUS_CONFIG.exited;
+  const isRunning = proc.status === 'running';
+
+  // 展开日志时拉取，运行中的进程定时刷新
+  useEffect(() => {
+    if (!showLogs) return undefined;
+
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const result = await window.electronAPI?.getProcessLogs?.(proc.id, { tail: 200 });
+        if (!cancelled && result) {
+          setLogs(result.lines.join('\n'));
+        }
+      } catch (err) {
+        console.error('获取进程日志失败:', err);
+      }
+    };
+    load();
+    const timer = isRunning ? setInterval(load, LOG_POLL_MS) : null;
+    return () => {
+      cancelled = true;
+      if (timer) clearInterval(timer);
+    };
+  }, [showLogs, isRunning, proc.id]);
+
+  // 新日志到达时滚动到底部
+  useEffect(() => {
+    if (logRef.current) {
+      logRef.current.scrollTop = logRef.current.scrollHeight;
+    }
+  }, [logs]);
+
+  const handleStop = async () => {
+    setStopping(true);
+    try {
+      await window.electronAPI?.stopProcess?.(proc.id);
+    } finally {
+      setStopping(false);
+    }
+  };
+
+  return (
+    <div className="border-b border-[var(--border-color)] last:border-b-0">
+      <div className="flex items-center gap-2 px-3 py-1.5">
+        <button
+          onClick={() => setShowLogs((v) => !v)}
+          className="flex items-center gap-2 min-w-0 flex-1 text-left"
+          title={proc.command}
+        >
+          {showLogs ? (
+            <ChevronDownIcon className="w-3.5 h-3.5 text-text-secondary shrink-0" />
+          ) : (
+            <ChevronRightIcon className="w-3.5 h-3.5 text-text-secondary shrink-0" />
+          )}
+          <span className="text-[12px] text-text-primary truncate">{proc.name}</span>
+          <span className="text-[10px] text-text-secondary shrink-0">{agentName}</span>
+          {proc.sandboxed && (
+            <span className="text-[10px] text-text-secondary shrink-0">沙箱</span>
+          )}
+        </button>
+        <span className={`text-[10px] shrink-0 ${status.className}`}>
+          {status.label}
+          {!isRunning && proc.exitCode != null && ` (${proc.exitCode})`}
+        </span>
+        {isRunning && (
+          <button
+            onClick={handleStop}
+            disabled={stopping}
+            className="p-0.5 rounded hover:bg-red-500/10 text-red-500 disabled:opacity-50 shrink-0"
+            title="停止进程"
+          >
+            <StopIcon className="w-3.5 h-3.5" />
+          </button>
+        )}
+      </div>
+      {showLogs && (
+        <pre
+          ref={logRef}
+          className="mx-3 mb-2 p-2 max-h-[160px] overflow-auto rounded bg-[var(--bg-hover)] text-[10px] leading-snug text-text-primary whitespace-pre-wrap break-all"
+        >
+          {logs || '(暂无输出)'}
+        </pre>
+      )}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────
+// 主面板
+// ─────────────────────────────────────────────────────────
+
+export default function ProcessPanel({ collapsed, onToggle }) {
+  const [processes, setProcesses] = useState([]);
+  const currentConversationId = useChatStore((s) => s.currentConversationId);
+  const conversations = useChatStore((s) => s.conversations);
+  const getAgent = useAgentStore((s) => s.getAgent);
+
+  // 初始化：加载进程列表 + 监听推送
+  useEffect(() => {
+    window.electronAPI?.getProcesses?.()
+      .then((list) => setProcesses(list || []))
+      .catch((err) => console.error('加载后台进程失败:', err));
+
+    const unsub = window.electronAPI?.onProcessesUpdated?.((list) => {
+      setProcesses(list || []);
+    });
+    return () => unsub?.();
+  }, []);
+
+  // 当前对话中 Agent 的进程
+  const visible = useMemo(() => {
+    if (!currentConversationId) return [];
+    const conv = conversations.get(currentConversationId);
+    if (!conv) return [];
+    const agentIds = new Set(conv.participants.filter((p) => p !== 'user'));
+    return processes.filter((p) => agentIds.has(p.agentId));
+  }, [currentConversationId, conversations, processes]);
+
+  const runningCount = visible.filter((p) => p.status === 'running').length;
+
+  // 没有运行中的进程时不显示（已结束的记录只在有运行中进程时附带展示）
+  if (runningCount === 0) return null;
+
+  if (collapsed) {
+    return (
+      <button
+        onClick={onToggle}
+        className="flex items-center gap-1.5 px-3 py-1.5 border-b border-[var(--border-color)] bg-bg-elevated hover:bg-[var(--bg-hover)] transition-colors w-full"
+        title="展开后台进程"
+      >
+        <CommandLineIcon className="w-4 h-4 text-[var(--color-primary)]" />
+        <span className="text-[11px] font-medium text-text-primary">后台进程</span>
+        <span className="text-[10px] text-green-500 ml-1">{runningCount} 运行中</span>
+        <ChevronDownIcon className="w-3 h-3 text-text-secondary ml-auto" />
+      </button>
+    );
+  }
+
+  return (
+    <div className="border-b border-[var(--border-color)] bg-bg-elevated">
+      {/* 标题栏 */}
+      <div className="flex items-center justify-between px-3 py-2 border-b border-[var(--border-color)]">
+        <div className="flex items-center gap-2">
+          <CommandLineIcon className="w-4 h-4 text-[var(--color-primary)]" />
+          <span className="text-[12px] font-semibold text-text-primary">后台进程</span>
+          <span className="text-[10px] text-text-secondary">{runningCount} 运行中</span>
+        </div>
+        <button
+          onClick={onToggle}
+          className="p-0.5 rounded hover:bg-[var(--bg-hover)] text-text-secondary"
+          title="收起"
+        >
+          <XMarkIcon className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      <div className="max-h-[300px] overflow-y-auto">
+        {visible.map((proc) => (
+          <ProcessItem
+            key={proc.id}
+            proc={proc}
+            agentName={getAgent(proc.agentId)?.name || proc.agentName || proc.agentId}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -22,6 +22,8 @@ import {
   ChevronDownIcon,
   CheckCircleIcon,
   XCircleIcon,
+  ShieldCheckIcon,
+  ShieldExclamationIcon,
 } from '@heroicons/react/24/outline';
 
 // ─────────────────────────────────────────────────────────
@@ -59,10 +61,16 @@ const TOOL_META = {
   git_merge:    { label: '合并分支', category: 'git' },
   git_branch:   { label: '切换分支', category: 'git' },
   git_list_branches: { label: '分支列表', category: 'git' },
+  git_worktree_list: { label: 'Worktree 列表', category: 'git' },
   git_log:      { label: 'Git 日志', category: 'git' },
   git_init:     { label: '初始化仓库', category: 'git' },
   git_list_prs: { label: 'PR 列表', category: 'git' },
   git_pr_diff:  { label: 'PR 差异', category: 'git' },
+  git_pr_comment: { label: 'PR 评论', category: 'git' },
+  git_resolve_thread: { label: '解决评论', category: 'git' },
+  git_apply_suggestion: { label: '应用建议', category: 'git' },
+  git_run_checks: { label: '合并检查', category: 'git' },
+  git_sync_remote: { label: '同步远程', category: 'git' },
   git_close_pr: { label: '关闭 PR', category: 'git' },
   // 网络
   web_search:   { label: '网络搜索', category: 'network' },
@@ -588,6 +596,20 @@ function formatDuration(ms) {
   return `${(ms / 60000).toFixed(1)}min`;
 }
 
+/**
+ * 审批信息的展示文本：哪条规则自动批准 / 拦截，或老板在确认对话框中的决定
+ * @param {{ by: 'rule'|'user', decision: 'allow'|'deny', rule: { label: string } | null, remembered?: boolean }} approval
+ */
+function formatApproval(approval) {
+  const ruleText = approval.rule ? `规则「${approval.rule.label}」` : '';
+  if (approval.by === 'rule') {
+    return `${ruleText}${approval.decision === 'allow' ? '自动批准' : '拦截'}`;
+  }
+  const decisionText = approval.decision === 'allow' ? '老板已批准' : '老板已拒绝';
+  const rememberText = approval.remembered ? '，本次会话记住' : '';
+  return `${ruleText ? `${ruleText}要求确认，` : ''}${decisionText}${rememberText}`;
+}
+
 // ─────────────────────────────────────────────────────────
 // ToolCallCard 组件
 // ─────────────────────────────────────────────────────────
@@ -600,15 +622,17 @@ function formatDuration(ms) {
  * @param {string} props.toolCall.id
  * @param {string} props.toolCall.name
  * @param {Object} props.toolCall.args
- * @param {'running'|'success'|'error'} props.toolCall.status
+ * @param {'queued'|'running'|'success'|'error'} props.toolCall.status
  * @param {string|null} props.toolCall.result
  * @param {string|null} props.toolCall.error
  * @param {number|null} props.toolCall.duration
+ * @param {Object|null} [props.toolCall.approval] - 审批信息（规则自动批准 / 老板确认）
  */
 export default function ToolCallCard({ toolCall }) {
   const [expanded, setExpanded] = useState(false);
   const { label, Icon } = getToolMeta(toolCall.name);
   const argsSummary = getArgsSummary(toolCall.name, toolCall.args);
+  const isQueued = toolCall.status === 'queued';
   const isRunning = toolCall.status === 'running';
   const isSuccess = toolCall.status === 'success';
   const isError = toolCall.status === 'error';
@@ -651,6 +675,9 @@ export default function ToolCallCard({ toolCall }) {
         <div className="flex-1" />
 
         {/* 状态指示 */}
+        {isQueued && (
+          <span className="text-text-secondary">排队中</span>
+        )}
         {isRunning && (
           <span className="flex items-center gap-1 text-[var(--color-primary)]">
             <span className="inline-flex gap-0.5">
@@ -688,6 +715,20 @@ export default function ToolCallCard({ toolCall }) {
         </div>
       )}
 
+      {/* 审批：命中的规则或老板的确认 */}
+      {toolCall.approval && (
+        <div className={`flex items-center gap-1 px-3 pb-2 -mt-0.5 text-[11px] ${
+          toolCall.approval.decision === 'allow' ? 'text-text-secondary' : 'text-red-600 dark:text-red-400'
+        }`}>
+          {toolCall.approval.decision === 'allow' ? (
+            <ShieldCheckIcon className="w-3 h-3 shrink-0" />
+          ) : (
+            <ShieldExclamationIcon className="w-3 h-3 shrink-0" />
+          )}
+          <span className="line-clamp-1">{formatApproval(toolCall.approval)}</span>
+        </div>
+      )}
+
       {/* 成功结果：智能格式化展示 */}
       {hasResult && (() => {
         const { summary, detail } = formatToolResult(toolCall.name, toolCall.result);
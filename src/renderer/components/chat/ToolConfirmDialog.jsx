@@ -0,0 +1,136 @@
+/**
+ * SoloForge - 工具调用确认对话框
+ * 权限配置要求确认或命中「总是询问」审批规则的工具调用，由老板在此批准或拒绝；
+ * 可选择本次会话记住该决定，之后同一 Agent 的同类调用不再询问
+ * @module components/chat/ToolConfirmDialog
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { ShieldExclamationIcon } from '@heroicons/react/24/outline';
+
+/**
+ * 工具参数的展示文本：命令、路径优先，其余显示 JSON
+ * @param {Object} args
+ */
+function formatArgs(args = {}) {
+  if (args.command) return args.command;
+  if (args.path) {
+    return typeof args.content === 'string' ? `${args.path}\n（写入 ${args.content.length} 个字符）` : args.path;
+  }
+  const json = JSON.stringify(args, null, 2);
+  return json.length > 1500 ? `${json.slice(0, 1500)}\n...` : json;
+}
+
+/**
+ * 记住范围的说明，与主进程 rememberSessionDecision 的规则保持一致
+ * @param {Object} request
+ */
+function describeRememberScope(request) {
+  if (request.args?.command) return `${request.agentName} 执行完全相同的命令`;
+  if (request.args?.path) return `${request.agentName} 对同一目录使用 ${request.toolName}`;
+  return `${request.agentName} 使用 ${request.toolName}`;
+}
+
+export default function ToolConfirmDialog() {
+  const [queue, setQueue] = useState([]);
+  const [remember, setRemember] = useState(false);
+
+  useEffect(() => {
+    if (!window.electronAPI?.onToolConfirmRequest) return;
+    const timers = new Set();
+    const unsubscribe = window.electronAPI.onToolConfirmRequest((request) => {
+      setQueue((q) => [...q, request]);
+      // 主进程超时后按拒绝处理，这里同步移除
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        setQueue((q) => q.filter((r) => r.requestId !== request.requestId));
+      }, request.timeoutMs || 120000);
+      timers.add(timer);
+    });
+    return () => {
+      unsubscribe?.();
+      timers.forEach(clearTimeout);
+    };
+  }, []);
+
+  const current = queue[0];
+
+  const respond = useCallback((confirmed) => {
+    if (!current) return;
+    window.electronAPI.respondToolConfirm(
+      current.requestId,
+      confirmed,
+      remember && current.rememberable ? 'session' : undefined
+    );
+    setQueue((q) => q.slice(1));
+    setRemember(false);
+  }, [current, remember]);
+
+  useEffect(() => {
+    if (!current) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') respond(false);
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [current, respond]);
+
+  if (!current) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" />
+
+      <div className="relative bg-bg-elevated rounded-xl shadow-2xl max-w-md w-full mx-4 overflow-hidden border border-[var(--border-color)]">
+        <div className="px-6 py-4 bg-yellow-50 dark:bg-yellow-900/20 flex items-center gap-3">
+          <ShieldExclamationIcon className="w-6 h-6 text-yellow-600 dark:text-yellow-400 shrink-0" />
+          <div className="min-w-0">
+            <h3 className="text-base font-semibold text-text-primary">
+              {current.agentName} 请求执行 {current.toolName}
+            </h3>
+            {current.companyName && (
+              <div className="text-xs text-text-secondary truncate">后台公司「{current.companyName}」</div>
+            )}
+            {current.rule && (
+              <div className="text-xs text-text-secondary truncate">审批规则「{current.rule.label}」要求确认</div>
+            )}
+          </div>
+          {queue.length > 1 && (
+            <span className="ml-auto text-xs text-text-muted shrink-0">还有 {queue.length - 1} 个待确认</span>
+          )}
+        </div>
+
+        <div className="px-6 py-4 space-y-3">
+          <pre className="p-3 bg-bg-muted rounded-lg text-xs text-text-secondary whitespace-pre-wrap break-all font-mono max-h-60 overflow-y-auto">
+            {formatArgs(current.args)}
+          </pre>
+          {current.rememberable && (
+            <label className="flex items-start gap-2 text-sm text-text-secondary">
+              <input
+                type="checkbox"
+                checked={remember}
+                onChange={(e) => setRemember(e.target.checked)}
+                className="mt-0.5"
+              />
+              <span>本次会话记住该决定（{describeRememberScope(current)}时不再询问）</span>
+            </label>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-[var(--border-color)] flex justify-end gap-3">
+          <button
+            onClick={() => respond(false)}
+            className="px-4 py-2 text-sm text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
+          >
+            拒绝
+          </button>
+          <button
+            onClick={() => respond(true)}
+            className="px-4 py-2 text-sm bg-[var(--color-primary)] text-white rounded-lg hover:opacity-90 transition-colors"
+          >
+            允许执行
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -8,3 +8,4 @@ export { default as ConversationList } from './ConversationList';
 export { default as MessageList } from './MessageList';
 export { default as ChatInput } from './ChatInput';
 export { default as NewChatDialog } from './NewChatDialog';
+export { default as ToolConfirmDialog } from './ToolConfirmDialog';
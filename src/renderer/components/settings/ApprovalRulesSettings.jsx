@@ -0,0 +1,268 @@
+/**
+ * SoloForge - 工具调用审批规则设置
+ * 按工具、Agent、路径或命令前缀配置自动批准 / 总是询问 / 拒绝，并管理本次会话记住的决定
+ * @module components/settings/ApprovalRulesSettings
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { useAgentStore } from '../../store/agent-store';
+
+const DECISION_OPTIONS = [
+  { value: 'allow', label: '自动批准', className: 'text-green-600 dark:text-green-400' },
+  { value: 'ask', label: '总是询问', className: 'text-amber-600 dark:text-amber-400' },
+  { value: 'deny', label: '拒绝', className: 'text-red-600 dark:text-red-400' },
+];
+
+const inputClass = 'w-full px-2 py-1.5 text-sm border border-[var(--border-color)] rounded-md bg-bg-elevated text-text-primary';
+
+const EMPTY_FORM = { decision: 'allow', tools: '', agents: [], pathPrefix: '', commands: '', label: '' };
+
+function splitList(text) {
+  return text.split(/[,，\n]/).map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * 单条规则
+ */
+function RuleRow({ rule, onToggle, onDelete, disabled }) {
+  const decision = DECISION_OPTIONS.find((d) => d.value === rule.decision);
+  return (
+    <div className="flex items-center justify-between px-3 py-2 gap-2">
+      <div className="min-w-0 text-sm">
+        <span className={`mr-2 text-xs font-medium ${decision?.className}`}>{decision?.label}</span>
+        <span className={rule.enabled ? 'text-text-primary' : 'text-text-muted line-through'}>{rule.displayLabel}</span>
+      </div>
+      <div className="flex items-center gap-1 shrink-0">
+        {onToggle && (
+          <label className="flex items-center gap-1 text-xs text-text-secondary">
+            <input
+              type="checkbox"
+              checked={rule.enabled}
+              onChange={(e) => onToggle(rule, e.target.checked)}
+              disabled={disabled}
+            />
+            启用
+          </label>
+        )}
+        <button
+          onClick={() => onDelete(rule)}
+          disabled={disabled}
+          className="px-2 py-1 text-xs text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded disabled:opacity-50"
+        >
+          删除
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function ApprovalRulesSettings() {
+  const agentsMap = useAgentStore((s) => s.agents);
+  const [data, setData] = useState({ rules: [], sessionRules: [] });
+  const [form, setForm] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const agents = [...agentsMap.values()].filter((a) => a.agentStatus !== 'terminated');
+
+  const reload = useCallback(async () => {
+    try {
+      setData(await window.electronAPI.approvalRules.list());
+    } catch (err) {
+      console.error('加载审批规则失败:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  /**
+   * 执行一个操作并刷新列表
+   * @param {() => Promise<Object>} action
+   */
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await action();
+      if (!res?.success) {
+        setError(res?.error || '操作失败');
+        return false;
+      }
+      await reload();
+      return true;
+    } catch (err) {
+      setError(err.message || '操作失败');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const saved = await run(() => window.electronAPI.approvalRules.save({
+      decision: form.decision,
+      tools: splitList(form.tools),
+      agents: form.agents,
+      pathPrefix: form.pathPrefix,
+      commands: splitList(form.commands),
+      label: form.label,
+    }));
+    if (saved) setForm(null);
+  };
+
+  const handleToggle = (rule, enabled) => run(() => window.electronAPI.approvalRules.save({ ...rule, enabled }));
+
+  const handleDelete = (rule) => {
+    if (!rule.session && !window.confirm(`确定删除规则「${rule.displayLabel}」？`)) return;
+    run(() => window.electronAPI.approvalRules.delete(rule.id));
+  };
+
+  const toggleAgent = (agentId, checked) => {
+    setForm({
+      ...form,
+      agents: checked ? [...form.agents, agentId] : form.agents.filter((id) => id !== agentId),
+    });
+  };
+
+  return (
+    <div className="py-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="font-medium text-text-primary">审批规则</div>
+          <div className="text-sm text-text-secondary">
+            在弹出确认前决定自动批准、总是询问还是拒绝。多条规则命中时：拒绝 &gt; 询问 &gt; 批准；没有规则命中时按上面的「需要确认」开关
+          </div>
+        </div>
+        {!form && (
+          <button
+            onClick={() => setForm(EMPTY_FORM)}
+            className="px-3 py-1.5 text-sm text-[var(--color-primary)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors shrink-0"
+          >
+            添加规则
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <form onSubmit={handleSubmit} className="p-3 rounded-lg border border-[var(--border-color)] space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-text-secondary space-y-1">
+              <span>决定</span>
+              <select
+                value={form.decision}
+                onChange={(e) => setForm({ ...form, decision: e.target.value })}
+                className={inputClass}
+              >
+                {DECISION_OPTIONS.map((d) => (
+                  <option key={d.value} value={d.value}>{d.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-text-secondary space-y-1">
+              <span>工具</span>
+              <input
+                value={form.tools}
+                onChange={(e) => setForm({ ...form, tools: e.target.value })}
+                placeholder="git_status, category:git 或 *"
+                className={inputClass}
+              />
+            </label>
+            <label className="text-xs text-text-secondary space-y-1">
+              <span>路径前缀（文件工具）</span>
+              <input
+                value={form.pathPrefix}
+                onChange={(e) => setForm({ ...form, pathPrefix: e.target.value })}
+                placeholder="~/projects/app/src"
+                className={inputClass}
+              />
+            </label>
+            <label className="text-xs text-text-secondary space-y-1">
+              <span>命令前缀（shell / process_start）</span>
+              <input
+                value={form.commands}
+                onChange={(e) => setForm({ ...form, commands: e.target.value })}
+                placeholder="rm, git push"
+                className={inputClass}
+              />
+            </label>
+          </div>
+          <div className="text-xs text-text-secondary">
+            适用员工（不选表示所有人）
+            <div className="flex flex-wrap gap-x-4 gap-y-1 mt-1">
+              {agents.map((agent) => (
+                <label key={agent.id} className="flex items-center gap-1.5 text-sm text-text-primary">
+                  <input
+                    type="checkbox"
+                    checked={form.agents.includes(agent.id)}
+                    onChange={(e) => toggleAgent(agent.id, e.target.checked)}
+                  />
+                  {agent.name}
+                </label>
+              ))}
+            </div>
+          </div>
+          <input
+            value={form.label}
+            onChange={(e) => setForm({ ...form, label: e.target.value })}
+            placeholder="规则名称（可选，留空自动生成）"
+            className={inputClass}
+          />
+          <div className="text-[11px] text-text-muted">
+            自动批准的命令规则要求 &amp;&amp; ; | 串联的每一段都命中；询问 / 拒绝规则任一段命中即生效
+          </div>
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setForm(null)}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm text-text-secondary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+            >
+              取消
+            </button>
+            <button
+              type="submit"
+              disabled={busy || !form.tools.trim()}
+              className="px-3 py-1.5 text-sm bg-[var(--color-primary)] text-white rounded-lg hover:opacity-90 disabled:opacity-50 transition-colors"
+            >
+              保存
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="border border-[var(--border-color)] rounded-lg divide-y divide-[var(--border-color)]">
+        {data.rules.length === 0 ? (
+          <div className="px-3 py-4 text-sm text-text-muted text-center">暂无规则</div>
+        ) : (
+          data.rules.map((rule) => (
+            <RuleRow key={rule.id} rule={rule} onToggle={handleToggle} onDelete={handleDelete} disabled={busy} />
+          ))
+        )}
+      </div>
+
+      {data.sessionRules.length > 0 && (
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <div className="text-sm text-text-secondary">本次会话记住的决定（重启或切换公司后失效）</div>
+            <button
+              onClick={() => run(() => window.electronAPI.approvalRules.clearSession())}
+              disabled={busy}
+              className="px-2 py-1 text-xs text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded disabled:opacity-50"
+            >
+              全部清除
+            </button>
+          </div>
+          <div className="border border-[var(--border-color)] rounded-lg divide-y divide-[var(--border-color)]">
+            {data.sessionRules.map((rule) => (
+              <RuleRow key={rule.id} rule={rule} onDelete={handleDelete} disabled={busy} />
+            ))}
+          </div>
+        </div>
+      )}
+
+      {error && <div className="text-xs text-red-600 dark:text-red-400">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,340 @@
+/**
+ * SoloForge - 公司备份与恢复设置
+ * 自动备份设置、当前公司的备份列表，以及从备份恢复到当前公司或新公司
+ * @module components/settings/BackupSettings
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { useAuthStore } from '../../store/auth-store';
+
+const numberInputClass = 'w-20 px-2 py-1 border border-[var(--border-color)] rounded-md bg-bg-elevated text-text-primary';
+
+const REASON_LABELS = {
+  manual: '手动',
+  auto: '自动',
+  'pre-restore': '恢复前',
+};
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString('zh-CN') : '—';
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export default function BackupSettings() {
+  const currentCompany = useAuthStore((s) => s.currentCompany);
+  const [settings, setSettings] = useState(null);
+  const [backups, setBackups] = useState([]);
+  const [imported, setImported] = useState(null); // { filePath, summary }
+  const [newCompany, setNewCompany] = useState(null); // 恢复为新公司：{ source, name }
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const companyId = currentCompany?.id;
+
+  const loadBackups = useCallback(async () => {
+    if (!companyId) return;
+    try {
+      const res = await window.electronAPI.backup.list({ companyId });
+      setBackups(res?.success ? res.backups : []);
+    } catch (err) {
+      console.error('加载备份列表失败:', err);
+    }
+  }, [companyId]);
+
+  useEffect(() => {
+    window.electronAPI.backup.getSettings()
+      .then(setSettings)
+      .catch((err) => console.error('加载备份设置失败:', err));
+    loadBackups();
+  }, [loadBackups]);
+
+  /**
+   * 执行一个操作并统一处理提示
+   * @param {() => Promise<Object>} action
+   * @param {(res: Object) => string} successMessage
+   */
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      const res = await action();
+      if (res?.success) {
+        setMessage(successMessage(res));
+      } else if (!res?.canceled) {
+        setError(res?.error || '操作失败');
+      }
+      return res;
+    } catch (err) {
+      setError(err.message || '操作失败');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateSettings = async (patch) => {
+    const res = await window.electronAPI.backup.updateSettings(patch);
+    if (res?.success) {
+      setSettings(res.settings);
+    } else {
+      setError(res?.error || '保存设置失败');
+    }
+  };
+
+  const handleCreate = async () => {
+    await run(() => window.electronAPI.backup.create({ companyId }), (res) => `已备份 ${res.backup.fileCount} 个文件`);
+    await loadBackups();
+  };
+
+  const handleDelete = async (backup) => {
+    if (!window.confirm(`确定删除 ${formatTime(backup.createdAt)} 的备份？`)) return;
+    await run(() => window.electronAPI.backup.delete({ companyId, fileName: backup.fileName }), () => '备份已删除');
+    await loadBackups();
+  };
+
+  const handleExport = (backup) => run(
+    () => window.electronAPI.backup.exportFile({ companyId, fileName: backup.fileName }),
+    (res) => `已导出到 ${res.filePath}（导出的文件不加密，请妥善保管）`
+  );
+
+  const handleImport = async () => {
+    setError('');
+    const res = await window.electronAPI.backup.importFile();
+    if (res?.success) {
+      setImported(res);
+    } else if (!res?.canceled) {
+      setError(res?.error || '读取备份文件失败');
+    }
+  };
+
+  /**
+   * 恢复备份
+   * @param {Object} source - { companyId, fileName } | { filePath }
+   * @param {{ mode: 'existing' } | { mode: 'new', name: string }} target
+   */
+  const handleRestore = async (source, target) => {
+    if (target.mode === 'existing'
+      && !window.confirm(`当前公司「${currentCompany.name}」的数据将被备份内容整体替换（会先自动备份当前数据）。确定恢复？`)) {
+      return;
+    }
+
+    const res = await run(
+      () => window.electronAPI.backup.restore({
+        source,
+        target: target.mode === 'existing' ? { mode: 'existing', companyId } : target,
+      }),
+      (r) => (r.created ? `已恢复为新公司「${r.company.name}」，可在切换公司中打开` : '已恢复，正在重新加载...')
+    );
+    if (!res?.success) return;
+    setImported(null);
+    setNewCompany(null);
+    if (res.created) {
+      const companies = await window.electronAPI.company.list();
+      useAuthStore.setState({ companies });
+      await loadBackups();
+    } else {
+      // 当前公司的数据已整体替换，重新加载界面
+      window.location.reload();
+    }
+  };
+
+  if (!settings || !companyId) return null;
+
+  return (
+    <div className="py-3 space-y-4">
+      {/* 自动备份 */}
+      <div>
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="font-medium text-text-primary">自动备份</div>
+            <div className="text-sm text-text-secondary">
+              定期备份账号下所有数据有变化的公司，只保留最近几份自动备份
+            </div>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-text-secondary shrink-0">
+            <input
+              type="checkbox"
+              checked={settings.autoEnabled}
+              onChange={(e) => updateSettings({ autoEnabled: e.target.checked })}
+            />
+            开启
+          </label>
+        </div>
+        {settings.autoEnabled && (
+          <div className="flex flex-wrap gap-4 pt-2">
+            <label className="flex items-center gap-2 text-sm text-text-secondary">
+              间隔 (小时)
+              <input
+                type="number"
+                min={1}
+                defaultValue={settings.intervalHours}
+                onBlur={(e) => updateSettings({ intervalHours: Number(e.target.value) })}
+                className={numberInputClass}
+              />
+            </label>
+            <label className="flex items-center gap-2 text-sm text-text-secondary">
+              保留份数
+              <input
+                type="number"
+                min={1}
+                defaultValue={settings.retention}
+                onBlur={(e) => updateSettings({ retention: Number(e.target.value) })}
+                className={numberInputClass}
+              />
+            </label>
+          </div>
+        )}
+      </div>
+
+      {/* 当前公司的备份 */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <div>
+            <div className="font-medium text-text-primary">「{currentCompany.name}」的备份</div>
+            <div className="text-sm text-text-secondary">包含聊天记录、记忆、任务、用量、员工配置和附件等全部数据</div>
+          </div>
+          <div className="flex items-center gap-1 shrink-0">
+            <button
+              onClick={handleImport}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm text-[var(--color-primary)] hover:bg-[var(--bg-hover)] rounded-lg disabled:opacity-50 transition-colors"
+            >
+              从文件恢复…
+            </button>
+            <button
+              onClick={handleCreate}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm bg-[var(--color-primary)] text-white rounded-lg hover:opacity-90 disabled:opacity-50 transition-colors"
+            >
+              {busy ? '处理中...' : '立即备份'}
+            </button>
+          </div>
+        </div>
+
+        {imported && (
+          <div className="mb-2 p-3 rounded-lg border border-[var(--border-color)] text-sm">
+            <div className="text-text-primary">
+              备份文件：{imported.summary.companyName} · {formatTime(imported.summary.createdAt)} · {imported.summary.fileCount} 个文件 · {formatSize(imported.summary.totalSize)}
+            </div>
+            <div className="flex justify-end gap-2 mt-2">
+              <button
+                onClick={() => setImported(null)}
+                disabled={busy}
+                className="px-3 py-1.5 text-sm text-text-secondary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+              >
+                取消
+              </button>
+              <button
+                onClick={() => handleRestore({ filePath: imported.filePath }, { mode: 'existing' })}
+                disabled={busy}
+                className="px-3 py-1.5 text-sm text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg disabled:opacity-50 transition-colors"
+              >
+                覆盖当前公司
+              </button>
+              <button
+                onClick={() => setNewCompany({ source: { filePath: imported.filePath }, name: `${imported.summary.companyName}（恢复）` })}
+                disabled={busy}
+                className="px-3 py-1.5 text-sm text-[var(--color-primary)] hover:bg-[var(--bg-hover)] rounded-lg disabled:opacity-50 transition-colors"
+              >
+                恢复为新公司
+              </button>
+            </div>
+          </div>
+        )}
+
+        {newCompany && (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              handleRestore(newCompany.source, { mode: 'new', name: newCompany.name.trim() });
+            }}
+            className="mb-2 p-3 rounded-lg border border-[var(--border-color)] flex items-center gap-2"
+          >
+            <span className="text-sm text-text-secondary shrink-0">新公司名称</span>
+            <input
+              type="text"
+              value={newCompany.name}
+              onChange={(e) => setNewCompany({ ...newCompany, name: e.target.value })}
+              className="flex-1 px-2 py-1 border border-[var(--border-color)] rounded-md bg-bg-elevated text-text-primary text-sm"
+              autoFocus
+            />
+            <button
+              type="button"
+              onClick={() => setNewCompany(null)}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm text-text-secondary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+            >
+              取消
+            </button>
+            <button
+              type="submit"
+              disabled={busy || !newCompany.name.trim()}
+              className="px-3 py-1.5 text-sm bg-[var(--color-primary)] text-white rounded-lg hover:opacity-90 disabled:opacity-50 transition-colors"
+            >
+              恢复
+            </button>
+          </form>
+        )}
+
+        <div className="max-h-72 overflow-y-auto border border-[var(--border-color)] rounded-lg divide-y divide-[var(--border-color)]">
+          {backups.length === 0 ? (
+            <div className="px-3 py-4 text-sm text-text-muted text-center">暂无备份</div>
+          ) : (
+            backups.map((backup) => (
+              <div key={backup.fileName} className="flex items-center justify-between px-3 py-2">
+                <div className="text-sm">
+                  <span className="text-text-primary">{formatTime(backup.createdAt)}</span>
+                  <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-bg-muted text-text-secondary">
+                    {REASON_LABELS[backup.reason] || backup.reason}
+                  </span>
+                  <span className="ml-2 text-xs text-text-muted">
+                    {backup.fileCount} 个文件 · {formatSize(backup.archiveSize)}
+                  </span>
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                  <button
+                    onClick={() => handleRestore({ companyId, fileName: backup.fileName }, { mode: 'existing' })}
+                    disabled={busy}
+                    className="px-2 py-1 text-xs text-[var(--color-primary)] hover:bg-[var(--bg-hover)] rounded disabled:opacity-50"
+                  >
+                    恢复
+                  </button>
+                  <button
+                    onClick={() => setNewCompany({ source: { companyId, fileName: backup.fileName }, name: `${backup.companyName}（恢复）` })}
+                    disabled={busy}
+                    className="px-2 py-1 text-xs text-[var(--color-primary)] hover:bg-[var(--bg-hover)] rounded disabled:opacity-50"
+                  >
+                    恢复为新公司
+                  </button>
+                  <button
+                    onClick={() => handleExport(backup)}
+                    disabled={busy}
+                    className="px-2 py-1 text-xs text-text-secondary hover:bg-[var(--bg-hover)] rounded disabled:opacity-50"
+                  >
+                    导出
+                  </button>
+                  <button
+                    onClick={() => handleDelete(backup)}
+                    disabled={busy}
+                    className="px-2 py-1 text-xs text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded disabled:opacity-50"
+                  >
+                    删除
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+
+      {message && <div className="text-xs text-green-600 dark:text-green-400 break-all">{message}</div>}
+      {error && <div className="text-xs text-red-600 dark:text-red-400">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+/**
+ * SoloForge - 本地数据加密设置
+ * 开启/关闭 ~/.soloforge 数据加密、修改口令与轮换数据密钥
+ * @module components/settings/EncryptionSettings
+ */
+import { useState, useEffect, useCallback } from 'react';
+
+const inputClass = `w-full px-3 py-2 border border-[var(--border-color)] rounded-lg
+  bg-bg-elevated text-text-primary placeholder:text-text-muted text-sm
+  focus:outline-none focus:ring-2 focus:ring-[var(--color-primary)]`;
+
+const ACTIONS = {
+  enable: { title: '开启加密', submit: '开启并加密现有数据', needsNew: true, needsCurrent: false },
+  rotate: { title: '轮换密钥 / 修改口令', submit: '轮换并重新加密', needsNew: false, needsCurrent: true },
+  disable: { title: '关闭加密', submit: '关闭并解密所有数据', needsNew: false, needsCurrent: true },
+};
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString('zh-CN') : '—';
+}
+
+/**
+ * 口令表单
+ */
+function PassphraseForm({ action, onSubmit, onCancel }) {
+  const config = ACTIONS[action];
+  const [passphrase, setPassphrase] = useState('');
+  const [newPassphrase, setNewPassphrase] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // 开启时 newPassphrase 必填；轮换时可选（留空沿用当前口令）
+  const showNew = config.needsNew || action === 'rotate';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (showNew && newPassphrase !== confirm) {
+      setError('两次输入的口令不一致');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const result = await onSubmit({ passphrase: config.needsCurrent ? passphrase : newPassphrase, newPassphrase });
+      if (!result?.success) {
+        setError(result?.error || '操作失败');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 p-3 rounded-lg border border-[var(--border-color)] space-y-2">
+      <div className="text-sm font-medium text-text-primary">{config.title}</div>
+      {config.needsCurrent && (
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          className={inputClass}
+          placeholder="当前口令"
+          required
+          autoFocus
+        />
+      )}
+      {showNew && (
+        <>
+          <input
+            type="password"
+            value={newPassphrase}
+            onChange={(e) => setNewPassphrase(e.target.value)}
+            className={inputClass}
+            placeholder={config.needsNew ? '设置口令（至少 8 个字符）' : '新口令（留空则不修改）'}
+            required={config.needsNew}
+            autoFocus={!config.needsCurrent}
+          />
+          <input
+            type="password"
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            className={inputClass}
+            placeholder="再次输入口令"
+            required={config.needsNew || !!newPassphrase}
+          />
+        </>
+      )}
+      {action === 'enable' && (
+        <p className="text-xs text-yellow-600 dark:text-yellow-400">
+          口令不会保存在任何地方，忘记口令将无法恢复已加密的数据
+        </p>
+      )}
+      {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+      <div className="flex justify-end gap-2 pt-1">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={submitting}
+          className="px-3 py-1.5 text-sm text-text-secondary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+        >
+          取消
+        </button>
+        <button
+          type="submit"
+          disabled={submitting}
+          className={`px-3 py-1.5 text-sm text-white rounded-lg disabled:opacity-50 transition-colors ${
+            action === 'disable' ? 'bg-red-500 hover:bg-red-600' : 'bg-[var(--color-primary)] hover:opacity-90'
+          }`}
+        >
+          {submitting ? '处理中，请勿关闭应用...' : config.submit}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function EncryptionSettings() {
+  const [status, setStatus] = useState(null);
+  const [action, setAction] = useState(null); // 'enable' | 'rotate' | 'disable'
+  const [message, setMessage] = useState('');
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await window.electronAPI.storage.getStatus());
+    } catch (error) {
+      console.error('加载加密状态失败:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const handleSubmit = async ({ passphrase, newPassphrase }) => {
+    let result;
+    if (action === 'enable') {
+      result = await window.electronAPI.storage.enable({ passphrase });
+    } else if (action === 'rotate') {
+      result = await window.electronAPI.storage.rotateKey({ passphrase, newPassphrase: newPassphrase || undefined });
+    } else {
+      result = await window.electronAPI.storage.disable({ passphrase });
+    }
+    if (result?.success) {
+      setMessage({ enable: '加密已开启，现有数据已加密', rotate: '数据密钥已轮换', disable: '加密已关闭，数据已恢复为明文' }[action]);
+      setAction(null);
+      await loadStatus();
+    }
+    return result;
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="py-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="font-medium text-text-primary">
+            本地数据加密
+            <span className={`ml-2 text-xs px-1.5 py-0.5 rounded ${
+              status.enabled
+                ? 'bg-green-50 dark:bg-green-900/30 text-green-600 dark:text-green-400'
+                : 'bg-bg-muted text-text-secondary'
+            }`}>
+              {status.enabled ? '已开启' : '未开启'}
+            </span>
+          </div>
+          <div className="text-sm text-text-secondary">
+            {status.enabled
+              ? `聊天记录、记忆、用量、附件等数据均以口令加密保存 · 开启于 ${formatTime(status.createdAt)} · 上次轮换 ${formatTime(status.rotatedAt)}`
+              : '用口令加密 ~/.soloforge 下的聊天记录、记忆、用量、会话和附件，启动时需要解锁'}
+          </div>
+          {status.migrating && (
+            <div className="text-xs text-yellow-600 dark:text-yellow-400 mt-1">
+              {status.migrating === 'plaintext' ? '正在解密数据...' : '正在加密数据...'}
+            </div>
+          )}
+        </div>
+        {!action && (
+          <div className="flex items-center gap-1 shrink-0">
+            {status.enabled ? (
+              <>
+                <button
+                  onClick={() => { setAction('rotate'); setMessage(''); }}
+                  className="px-3 py-1.5 text-sm text-[var(--color-primary)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+                >
+                  轮换密钥
+                </button>
+                <button
+                  onClick={() => { setAction('disable'); setMessage(''); }}
+                  className="px-3 py-1.5 text-sm text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
+                >
+                  关闭
+                </button>
+              </>
+            ) : (
+              <button
+                onClick={() => { setAction('enable'); setMessage(''); }}
+                className="px-3 py-1.5 text-sm text-[var(--color-primary)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+              >
+                开启
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+      {message && <div className="text-xs text-green-600 dark:text-green-400 mt-2">{message}</div>}
+      {action && (
+        <PassphraseForm key={action} action={action} onSubmit={handleSubmit} onCancel={() => setAction(null)} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+/**
+ * SoloForge - 导出公司模板
+ * 把当前公司的员工、部门、薪资配置、权限、OKR 骨架和选中的共享记忆导出为模板文件
+ * @module components/settings/ExportTemplateModal
+ */
+import { useState, useEffect } from 'react';
+
+const inputClass = `w-full px-3 py-2 border border-[var(--border-color)] rounded-lg
+  bg-bg-elevated text-text-primary placeholder:text-text-muted text-sm
+  focus:outline-none focus:ring-2 focus:ring-[var(--color-primary)]`;
+
+export default function ExportTemplateModal({ isOpen, onClose, companyName }) {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [memories, setMemories] = useState([]);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setName(companyName || '');
+    setDescription('');
+    setSelectedIds(new Set());
+    setError('');
+    setResult(null);
+    window.electronAPI.listMemories({ scope: 'shared' })
+      .then((res) => setMemories(res?.success ? res.data : []))
+      .catch((err) => console.error('加载共享记忆失败:', err));
+  }, [isOpen, companyName]);
+
+  if (!isOpen) return null;
+
+  const toggleMemory = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError('');
+    try {
+      const res = await window.electronAPI.template.exportCurrent({
+        name,
+        description,
+        memoryIds: [...selectedIds],
+      });
+      if (res.success) {
+        setResult(res);
+      } else if (!res.canceled) {
+        setError(res.error || '导出失败');
+      }
+    } catch (err) {
+      setError(err.message || '导出失败');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50" onClick={onClose}>
+      <div
+        className="bg-bg-elevated rounded-xl shadow-xl border border-[var(--border-color)] p-6 w-full max-w-lg mx-4 max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-lg font-semibold text-text-primary mb-1">导出为公司模板</h3>
+        <p className="text-sm text-text-secondary mb-4">
+          包含员工、部门、薪资配置、权限和 OKR 骨架；不包含聊天记录、任务、余额和允许访问的目录
+        </p>
+
+        <div className="space-y-3 flex-1 min-h-0 flex flex-col">
+          <div>
+            <label className="block text-sm font-medium text-text-secondary mb-1">模板名称</label>
+            <input type="text" value={name} onChange={(e) => setName(e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-text-secondary mb-1">模板说明（可选）</label>
+            <textarea
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              rows={2}
+              className={`${inputClass} resize-none`}
+              placeholder="这个模板适合什么样的公司..."
+            />
+          </div>
+          <div className="flex-1 min-h-0 flex flex-col">
+            <div className="flex items-center justify-between mb-1">
+              <label className="text-sm font-medium text-text-secondary">带入的共享记忆</label>
+              <span className="text-xs text-text-muted">已选 {selectedIds.size} / {memories.length}</span>
+            </div>
+            <div className="flex-1 min-h-[80px] max-h-60 overflow-y-auto border border-[var(--border-color)] rounded-lg divide-y divide-[var(--border-color)]">
+              {memories.length === 0 ? (
+                <div className="px-3 py-4 text-sm text-text-muted text-center">暂无共享记忆</div>
+              ) : (
+                memories.map((m) => (
+                  <label key={m.id} className="flex items-start gap-2 px-3 py-2 cursor-pointer hover:bg-[var(--bg-hover)]">
+                    <input
+                      type="checkbox"
+                      className="mt-0.5"
+                      checked={selectedIds.has(m.id)}
+                      onChange={() => toggleMemory(m.id)}
+                    />
+                    <span className="text-sm text-text-primary">
+                      <span className="text-xs text-text-muted mr-1.5">[{m.type}]</span>
+                      {m.summary}
+                    </span>
+                  </label>
+                ))
+              )}
+            </div>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mt-3 px-3 py-2 rounded-lg bg-red-50 dark:bg-red-900/30 text-sm text-red-600 dark:text-red-400">
+            {error}
+          </div>
+        )}
+        {result && (
+          <div className="mt-3 px-3 py-2 rounded-lg bg-green-50 dark:bg-green-900/30 text-sm text-green-600 dark:text-green-400 break-all">
+            已导出 {result.summary.agentCount} 名员工、{result.summary.departmentCount} 个部门到 {result.filePath}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm text-text-secondary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+          >
+            {result ? '完成' : '取消'}
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={exporting || !name.trim()}
+            className="px-4 py-2 text-sm bg-[var(--color-primary)] text-white rounded-lg hover:opacity-90 disabled:opacity-50 transition-colors"
+          >
+            {exporting ? '导出中...' : '导出…'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,218 @@
+/**
+ * SoloForge - 远程平台设置
+ * 按仓库配置 PR 要镜像到的远程代码托管平台（Gitea 等）；本地 PR 记录仍是权威数据
+ * @module components/settings/ForgeSettings
+ */
+import { useState, useEffect, useCallback } from 'react';
+
+const inputClass = 'w-full px-2 py-1.5 text-sm border border-[var(--border-color)] rounded-md bg-bg-elevated text-text-primary';
+
+const NEW_CONFIG = { type: 'gitea', baseUrl: '', owner: '', repo: '', token: '', tokenEnv: '', remote: 'origin', enabled: true };
+
+export default function ForgeSettings() {
+  const [data, setData] = useState({ repos: [], types: [], defaultRepoPath: '' });
+  const [form, setForm] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [testResult, setTestResult] = useState('');
+
+  const reload = useCallback(async () => {
+    try {
+      const res = await window.electronAPI.forge.list();
+      if (res?.success) setData(res);
+    } catch (err) {
+      console.error('加载远程平台配置失败:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  /**
+   * 执行一个操作并刷新列表
+   * @param {() => Promise<Object>} action
+   */
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await action();
+      if (!res?.success) {
+        setError(res?.error || '操作失败');
+        return false;
+      }
+      await reload();
+      return true;
+    } catch (err) {
+      setError(err.message || '操作失败');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openForm = (config) => {
+    setTestResult('');
+    setError('');
+    setForm(config);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const saved = await run(() => window.electronAPI.forge.save(form));
+    if (saved) setForm(null);
+  };
+
+  const handleTest = async () => {
+    setBusy(true);
+    setTestResult('');
+    try {
+      const res = await window.electronAPI.forge.test(form);
+      setTestResult(res?.success ? `✓ 连接成功${res.user ? `（${res.user}）` : ''}` : `✗ ${res?.error || '连接失败'}`);
+    } catch (err) {
+      setTestResult(`✗ ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = (repo) => {
+    if (!window.confirm(`确定删除 ${repo.repoPath} 的远程平台配置？已同步的远程 PR 不受影响。`)) return;
+    run(() => window.electronAPI.forge.delete(repo.repoPath));
+  };
+
+  const field = (key, label, props = {}) => (
+    <label className="block text-xs text-text-secondary space-y-1">
+      <span>{label}</span>
+      <input
+        value={form[key] ?? ''}
+        onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+        className={inputClass}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <div className="py-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="font-medium text-text-primary">远程平台</div>
+          <div className="text-sm text-text-secondary">
+            把 PR 的创建、审核、评论、合并镜像到 Gitea 等平台；远程不可用时操作会排队，恢复后自动补发
+          </div>
+        </div>
+        {!form && (
+          <button
+            onClick={() => openForm({ ...NEW_CONFIG, repoPath: data.defaultRepoPath || '' })}
+            className="px-3 py-1.5 text-sm text-[var(--color-primary)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors shrink-0"
+          >
+            添加仓库
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <form onSubmit={handleSubmit} className="p-3 rounded-lg border border-[var(--border-color)] space-y-2">
+          {field('repoPath', '本地仓库路径', { placeholder: '~/projects/app' })}
+          <div className="grid grid-cols-[10rem_1fr] gap-2">
+            <label className="block text-xs text-text-secondary space-y-1">
+              <span>平台类型</span>
+              <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })} className={inputClass}>
+                {data.types.map((t) => (
+                  <option key={t.value} value={t.value}>{t.label}</option>
+                ))}
+              </select>
+            </label>
+            {field('baseUrl', '平台地址', { placeholder: 'http://localhost:3000' })}
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            {field('owner', '所有者 / 组织', { placeholder: 'acme' })}
+            {field('repo', '仓库名', { placeholder: 'app' })}
+            {field('remote', 'git remote', { placeholder: 'origin' })}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            {field('token', '访问令牌', {
+              type: 'password',
+              placeholder: form.hasToken ? '已设置，留空保持不变' : '',
+              autoComplete: 'off',
+            })}
+            {field('tokenEnv', '或从环境变量读取', { placeholder: 'GITEA_TOKEN' })}
+          </div>
+          <div className="text-xs text-text-muted">
+            分支通过上面的 git remote 推送，使用本机已有的 git 凭据；令牌只用于创建 PR、提交审核等 API 调用
+          </div>
+          <label className="flex items-center gap-1 text-xs text-text-secondary">
+            <input type="checkbox" checked={form.enabled} onChange={(e) => setForm({ ...form, enabled: e.target.checked })} />
+            启用同步
+          </label>
+          {testResult && <div className="text-xs text-text-secondary">{testResult}</div>}
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={handleTest}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm text-text-secondary hover:bg-[var(--bg-hover)] rounded-lg transition-colors disabled:opacity-50"
+            >
+              测试连接
+            </button>
+            <button
+              type="button"
+              onClick={() => setForm(null)}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm text-text-secondary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+            >
+              取消
+            </button>
+            <button
+              type="submit"
+              disabled={busy || !form.repoPath.trim()}
+              className="px-3 py-1.5 text-sm bg-[var(--color-primary)] text-white rounded-lg hover:opacity-90 disabled:opacity-50 transition-colors"
+            >
+              保存
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="border border-[var(--border-color)] rounded-lg divide-y divide-[var(--border-color)]">
+        {data.repos.length === 0 ? (
+          <div className="px-3 py-4 text-sm text-text-muted text-center">暂无配置，PR 只保存在本地</div>
+        ) : (
+          data.repos.map((repo) => (
+            <div key={repo.repoPath} className="px-3 py-2 space-y-1">
+              <div className="flex items-center justify-between gap-2">
+                <div className={`text-sm truncate ${repo.enabled ? 'text-text-primary' : 'text-text-muted line-through'}`}>
+                  {repo.repoPath}
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                  <button
+                    onClick={() => openForm({ ...repo, token: '' })}
+                    disabled={busy}
+                    className="px-2 py-1 text-xs text-text-secondary hover:bg-[var(--bg-hover)] rounded disabled:opacity-50"
+                  >
+                    编辑
+                  </button>
+                  <button
+                    onClick={() => handleDelete(repo)}
+                    disabled={busy}
+                    className="px-2 py-1 text-xs text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded disabled:opacity-50"
+                  >
+                    删除
+                  </button>
+                </div>
+              </div>
+              <div className="text-xs text-text-muted">
+                {data.types.find((t) => t.value === repo.type)?.label || repo.type} · {repo.baseUrl}/{repo.owner}/{repo.repo}
+                {' '}· remote {repo.remote} · {repo.hasToken ? '令牌已设置' : repo.tokenEnv ? `令牌来自 $${repo.tokenEnv}` : '未设置令牌'}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {error && <div className="text-xs text-red-600 dark:text-red-400">{error}</div>}
+    </div>
+  );
+}
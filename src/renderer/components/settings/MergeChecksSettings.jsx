@@ -0,0 +1,278 @@
+/**
+ * SoloForge - 合并检查设置
+ * 按仓库配置 PR 合并前必须通过的检查：命令（测试、lint 等）、文件大小、密钥扫描
+ * @module components/settings/MergeChecksSettings
+ */
+import { useState, useEffect, useCallback } from 'react';
+
+const CHECK_TYPES = [
+  { value: 'command', label: '命令' },
+  { value: 'file_size', label: '文件大小' },
+  { value: 'secret_scan', label: '密钥扫描' },
+];
+
+const inputClass = 'w-full px-2 py-1.5 text-sm border border-[var(--border-color)] rounded-md bg-bg-elevated text-text-primary';
+
+const NEW_CHECK = { type: 'command', name: '', command: '', timeoutSec: '', maxKB: 1024, required: true, enabled: true };
+
+/**
+ * 检查的简短描述
+ * @param {Object} check
+ */
+function describeCheck(check) {
+  if (check.type === 'command') return check.command;
+  if (check.type === 'file_size') return `单个文件不超过 ${check.maxKB} KB`;
+  return '新增代码行中不含疑似密钥';
+}
+
+/**
+ * 编辑表单中的单个检查
+ */
+function CheckEditor({ check, onChange, onRemove }) {
+  const update = (patch) => onChange({ ...check, ...patch });
+  return (
+    <div className="p-2 rounded-md border border-[var(--border-color)] space-y-2">
+      <div className="grid grid-cols-[8rem_1fr] gap-2">
+        <select value={check.type} onChange={(e) => update({ type: e.target.value })} className={inputClass}>
+          {CHECK_TYPES.map((t) => (
+            <option key={t.value} value={t.value}>{t.label}</option>
+          ))}
+        </select>
+        <input
+          value={check.name}
+          onChange={(e) => update({ name: e.target.value })}
+          placeholder="名称（可选）"
+          className={inputClass}
+        />
+      </div>
+      {check.type === 'command' && (
+        <div className="grid grid-cols-[1fr_8rem] gap-2">
+          <input
+            value={check.command}
+            onChange={(e) => update({ command: e.target.value })}
+            placeholder="npm test"
+            className={`${inputClass} font-mono`}
+          />
+          <input
+            type="number"
+            min="1"
+            value={check.timeoutSec ?? ''}
+            onChange={(e) => update({ timeoutSec: e.target.value })}
+            placeholder="超时（秒）"
+            className={inputClass}
+          />
+        </div>
+      )}
+      {check.type === 'file_size' && (
+        <label className="flex items-center gap-2 text-xs text-text-secondary">
+          单个文件上限
+          <input
+            type="number"
+            min="1"
+            value={check.maxKB ?? ''}
+            onChange={(e) => update({ maxKB: e.target.value })}
+            className={`${inputClass} w-28`}
+          />
+          KB
+        </label>
+      )}
+      <div className="flex items-center gap-4 text-xs text-text-secondary">
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={check.required} onChange={(e) => update({ required: e.target.checked })} />
+          必需（失败时阻止合并）
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={check.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+          启用
+        </label>
+        <button type="button" onClick={onRemove} className="ml-auto px-2 py-0.5 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded">
+          移除
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function MergeChecksSettings() {
+  const [data, setData] = useState({ repos: [], defaultRepoPath: '' });
+  const [form, setForm] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    try {
+      const res = await window.electronAPI.mergeChecks.list();
+      if (res?.success) setData(res);
+    } catch (err) {
+      console.error('加载合并检查配置失败:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  /**
+   * 执行一个操作并刷新列表
+   * @param {() => Promise<Object>} action
+   */
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await action();
+      if (!res?.success) {
+        setError(res?.error || '操作失败');
+        return false;
+      }
+      await reload();
+      return true;
+    } catch (err) {
+      setError(err.message || '操作失败');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const saved = await run(() => window.electronAPI.mergeChecks.save({
+      repoPath: form.repoPath,
+      setupCommand: form.setupCommand,
+      checks: form.checks.map((c) => ({
+        ...c,
+        timeoutSec: c.timeoutSec === '' ? undefined : Number(c.timeoutSec),
+        maxKB: c.type === 'file_size' ? Number(c.maxKB) : undefined,
+      })),
+    }));
+    if (saved) setForm(null);
+  };
+
+  const handleDelete = (repo) => {
+    if (!window.confirm(`确定删除 ${repo.repoPath} 的合并检查？`)) return;
+    run(() => window.electronAPI.mergeChecks.delete(repo.repoPath));
+  };
+
+  const updateCheck = (index, check) => {
+    setForm({ ...form, checks: form.checks.map((c, i) => (i === index ? check : c)) });
+  };
+
+  return (
+    <div className="py-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="font-medium text-text-primary">合并检查</div>
+          <div className="text-sm text-text-secondary">
+            合并 PR 前在合并结果的干净副本中运行，必需检查全部通过才能合并；未通过时可在代码审核页面放行
+          </div>
+        </div>
+        {!form && (
+          <button
+            onClick={() => setForm({ repoPath: data.defaultRepoPath || '', setupCommand: '', checks: [{ ...NEW_CHECK }] })}
+            className="px-3 py-1.5 text-sm text-[var(--color-primary)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors shrink-0"
+          >
+            添加仓库
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <form onSubmit={handleSubmit} className="p-3 rounded-lg border border-[var(--border-color)] space-y-2">
+          <label className="block text-xs text-text-secondary space-y-1">
+            <span>仓库路径</span>
+            <input
+              value={form.repoPath}
+              onChange={(e) => setForm({ ...form, repoPath: e.target.value })}
+              placeholder="~/projects/app"
+              className={inputClass}
+            />
+          </label>
+          <label className="block text-xs text-text-secondary space-y-1">
+            <span>准备命令（可选，检查前执行，如安装依赖）</span>
+            <input
+              value={form.setupCommand}
+              onChange={(e) => setForm({ ...form, setupCommand: e.target.value })}
+              placeholder="npm ci"
+              className={`${inputClass} font-mono`}
+            />
+          </label>
+          <div className="space-y-2">
+            {form.checks.map((check, i) => (
+              <CheckEditor
+                key={check.id || i}
+                check={check}
+                onChange={(c) => updateCheck(i, c)}
+                onRemove={() => setForm({ ...form, checks: form.checks.filter((_, j) => j !== i) })}
+              />
+            ))}
+            <button
+              type="button"
+              onClick={() => setForm({ ...form, checks: [...form.checks, { ...NEW_CHECK }] })}
+              className="px-2 py-1 text-xs text-[var(--color-primary)] hover:bg-[var(--bg-hover)] rounded"
+            >
+              + 添加检查
+            </button>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setForm(null)}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm text-text-secondary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+            >
+              取消
+            </button>
+            <button
+              type="submit"
+              disabled={busy || !form.repoPath.trim()}
+              className="px-3 py-1.5 text-sm bg-[var(--color-primary)] text-white rounded-lg hover:opacity-90 disabled:opacity-50 transition-colors"
+            >
+              保存
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="border border-[var(--border-color)] rounded-lg divide-y divide-[var(--border-color)]">
+        {data.repos.length === 0 ? (
+          <div className="px-3 py-4 text-sm text-text-muted text-center">暂无配置，PR 审核通过即可合并</div>
+        ) : (
+          data.repos.map((repo) => (
+            <div key={repo.repoPath} className="px-3 py-2 space-y-1">
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-sm text-text-primary truncate">{repo.repoPath}</div>
+                <div className="flex items-center gap-1 shrink-0">
+                  <button
+                    onClick={() => setForm({ ...repo, checks: repo.checks.map((c) => ({ ...c, timeoutSec: c.timeoutSec ?? '' })) })}
+                    disabled={busy}
+                    className="px-2 py-1 text-xs text-text-secondary hover:bg-[var(--bg-hover)] rounded disabled:opacity-50"
+                  >
+                    编辑
+                  </button>
+                  <button
+                    onClick={() => handleDelete(repo)}
+                    disabled={busy}
+                    className="px-2 py-1 text-xs text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded disabled:opacity-50"
+                  >
+                    删除
+                  </button>
+                </div>
+              </div>
+              {repo.setupCommand && (
+                <div className="text-xs text-text-muted font-mono">准备: {repo.setupCommand}</div>
+              )}
+              {repo.checks.map((check) => (
+                <div key={check.id} className={`text-xs ${check.enabled ? 'text-text-secondary' : 'text-text-muted line-through'}`}>
+                  {check.required ? '●' : '○'} {check.name}：<span className="font-mono">{describeCheck(check)}</span>
+                </div>
+              ))}
+            </div>
+          ))
+        )}
+      </div>
+
+      {error && <div className="text-xs text-red-600 dark:text-red-400">{error}</div>}
+    </div>
+  );
+}
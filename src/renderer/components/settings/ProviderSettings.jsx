@@ -0,0 +1,343 @@
+/**
+ * SoloForge - 模型供应商设置
+ * 管理自定义 OpenAI 兼容端点（vLLM / llama.cpp / LM Studio 等）
+ * @module components/settings/ProviderSettings
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { useAgentStore } from '../../store/agent-store';
+
+const EMPTY_MODEL = {
+  id: '',
+  contextLimit: '',
+  capabilities: { tools: false, vision: false, streaming: true },
+};
+
+const EMPTY_PROVIDER = {
+  id: '',
+  name: '',
+  baseUrl: 'http://localhost:8000/v1',
+  authHeader: 'Authorization',
+  authScheme: 'Bearer',
+  apiKey: '',
+  models: [EMPTY_MODEL],
+};
+
+const CAPABILITY_LABELS = {
+  tools: '工具调用',
+  vision: '图片',
+  streaming: '流式',
+};
+
+const inputClass = `w-full px-3 py-2 border border-[var(--border-color)] rounded-lg
+  bg-bg-elevated text-text-primary placeholder:text-text-muted text-sm
+  focus:outline-none focus:ring-2 focus:ring-[var(--color-primary)]`;
+
+/**
+ * 单个模型行
+ */
+function ModelRow({ model, onChange, onRemove, canRemove }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2 py-2">
+      <input
+        type="text"
+        value={model.id}
+        onChange={(e) => onChange({ ...model, id: e.target.value })}
+        placeholder="模型 ID，如 qwen2.5-32b-instruct"
+        className={`${inputClass} flex-1 min-w-[180px]`}
+      />
+      <input
+        type="number"
+        value={model.contextLimit ?? ''}
+        onChange={(e) => onChange({ ...model, contextLimit: e.target.value })}
+        placeholder="上下文窗口"
+        className={`${inputClass} w-32`}
+      />
+      {Object.entries(CAPABILITY_LABELS).map(([key, label]) => (
+        <label key={key} className="flex items-center gap-1 text-xs text-text-secondary">
+          <input
+            type="checkbox"
+            checked={!!model.capabilities?.[key]}
+            onChange={(e) =>
+              onChange({ ...model, capabilities: { ...model.capabilities, [key]: e.target.checked } })
+            }
+          />
+          {label}
+        </label>
+      ))}
+      <button
+        type="button"
+        onClick={onRemove}
+        disabled={!canRemove}
+        className="text-text-muted hover:text-red-500 text-sm disabled:opacity-30"
+      >
+        移除
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Provider 编辑表单
+ */
+function ProviderForm({ initial, isNew, onSave, onCancel }) {
+  const [draft, setDraft] = useState(initial);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const update = (updates) => setDraft((d) => ({ ...d, ...updates }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const result = await onSave(draft);
+    setSaving(false);
+    if (!result?.success) {
+      setError(result?.error || '保存失败');
+    }
+  };
+
+  return (
+    <div className="space-y-3 py-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs text-text-secondary mb-1">Provider ID</label>
+          <input
+            type="text"
+            value={draft.id}
+            onChange={(e) => update({ id: e.target.value })}
+            disabled={!isNew}
+            placeholder="local-vllm"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-text-secondary mb-1">显示名称</label>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => update({ name: e.target.value })}
+            placeholder="本地 vLLM"
+            className={inputClass}
+          />
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-xs text-text-secondary mb-1">Base URL</label>
+          <input
+            type="text"
+            value={draft.baseUrl}
+            onChange={(e) => update({ baseUrl: e.target.value })}
+            placeholder="http://localhost:8000/v1"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-text-secondary mb-1">认证头</label>
+          <input
+            type="text"
+            value={draft.authHeader}
+            onChange={(e) => update({ authHeader: e.target.value })}
+            placeholder="Authorization"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-text-secondary mb-1">认证前缀</label>
+          <input
+            type="text"
+            value={draft.authScheme}
+            onChange={(e) => update({ authScheme: e.target.value })}
+            placeholder="Bearer（留空则直接发送 Key）"
+            className={inputClass}
+          />
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-xs text-text-secondary mb-1">API Key</label>
+          <input
+            type="password"
+            value={draft.apiKey}
+            onChange={(e) => update({ apiKey: e.target.value })}
+            placeholder={initial.hasApiKey ? '已配置（留空保持不变）' : '本地服务可留空'}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div>
+        <div className="text-xs text-text-secondary mb-1">模型</div>
+        {draft.models.map((model, i) => (
+          <ModelRow
+            key={i}
+            model={model}
+            canRemove={draft.models.length > 1}
+            onChange={(m) => update({ models: draft.models.map((x, j) => (j === i ? m : x)) })}
+            onRemove={() => update({ models: draft.models.filter((_, j) => j !== i) })}
+          />
+        ))}
+        <button
+          type="button"
+          onClick={() => update({ models: [...draft.models, EMPTY_MODEL] })}
+          className="text-sm text-[var(--color-primary)] hover:underline"
+        >
+          + 添加模型
+        </button>
+      </div>
+
+      {error && <div className="text-sm text-red-500">{error}</div>}
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-2 text-sm text-text-secondary hover:text-text-primary"
+        >
+          取消
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="px-3 py-2 text-sm bg-[var(--color-primary)] text-white rounded-lg hover:bg-[var(--color-primary-hover)] disabled:opacity-50"
+        >
+          {saving ? '保存中...' : '保存'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * 模型供应商设置区块
+ */
+export default function ProviderSettings() {
+  const [providers, setProviders] = useState([]);
+  const [editing, setEditing] = useState(null); // { provider, isNew }
+  const [checkResults, setCheckResults] = useState({});
+  const refreshAvailableModels = useAgentStore((s) => s.refreshAvailableModels);
+
+  const loadProviders = useCallback(async () => {
+    try {
+      const result = await window.electronAPI.getLLMProviders();
+      setProviders(result || []);
+    } catch (error) {
+      console.error('加载模型供应商失败:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProviders();
+  }, [loadProviders]);
+
+  const handleSave = async (draft) => {
+    const definition = {
+      ...draft,
+      models: draft.models.map((m) => ({
+        ...m,
+        contextLimit: m.contextLimit ? Number(m.contextLimit) : undefined,
+      })),
+    };
+    const result = await window.electronAPI.saveLLMProvider(definition);
+    if (result?.success) {
+      setEditing(null);
+      await loadProviders();
+      refreshAvailableModels();
+    }
+    return result;
+  };
+
+  const handleRemove = async (providerId) => {
+    const result = await window.electronAPI.removeLLMProvider(providerId);
+    if (result?.success) {
+      await loadProviders();
+      refreshAvailableModels();
+    }
+  };
+
+  const handleCheck = async (providerId) => {
+    setCheckResults((r) => ({ ...r, [providerId]: { checking: true } }));
+    const result = await window.electronAPI.checkLLMProvider(providerId);
+    setCheckResults((r) => ({ ...r, [providerId]: result }));
+  };
+
+  return (
+    <>
+      {providers.map((provider) => {
+        const check = checkResults[provider.id];
+        return (
+          <div key={provider.id} className="py-3">
+            <div className="flex items-center justify-between gap-3">
+              <div className="min-w-0">
+                <div className="font-medium text-text-primary">
+                  {provider.name}
+                  <span className="ml-2 text-xs text-text-muted">
+                    {provider.builtin ? '内置' : provider.id}
+                  </span>
+                </div>
+                <div className="text-sm text-text-secondary truncate">
+                  {provider.baseUrl || '—'}
+                  {provider.models.length > 0 && ` · ${provider.models.length} 个模型`}
+                </div>
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                {check && (
+                  <span className={`text-xs ${check.checking ? 'text-text-muted' : check.available ? 'text-green-500' : 'text-red-500'}`}>
+                    {check.checking ? '检测中...' : check.available ? '可用' : `不可用${check.error ? `：${check.error}` : ''}`}
+                  </span>
+                )}
+                <button
+                  onClick={() => handleCheck(provider.id)}
+                  className="px-2.5 py-1 text-xs rounded-md bg-[var(--bg-hover)] text-text-primary"
+                >
+                  检测连接
+                </button>
+                {!provider.builtin && (
+                  <>
+                    <button
+                      onClick={() => setEditing({ provider: { ...provider, apiKey: '' }, isNew: false })}
+                      className="px-2.5 py-1 text-xs rounded-md text-[var(--color-primary)] hover:bg-[var(--bg-hover)]"
+                    >
+                      编辑
+                    </button>
+                    <button
+                      onClick={() => handleRemove(provider.id)}
+                      className="px-2.5 py-1 text-xs rounded-md text-red-500 hover:bg-red-500/10"
+                    >
+                      删除
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+            {editing && !editing.isNew && editing.provider.id === provider.id && (
+              <ProviderForm
+                initial={editing.provider}
+                isNew={false}
+                onSave={handleSave}
+                onCancel={() => setEditing(null)}
+              />
+            )}
+          </div>
+        );
+      })}
+
+      <div className="py-3">
+        {editing?.isNew ? (
+          <ProviderForm
+            initial={editing.provider}
+            isNew
+            onSave={handleSave}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <button
+            onClick={() => setEditing({ provider: EMPTY_PROVIDER, isNew: true })}
+            className="w-full px-4 py-3 border-2 border-dashed border-[var(--border-color)] rounded-lg
+                       text-text-secondary hover:border-[var(--color-primary)] hover:text-[var(--color-primary)]
+                       transition-colors duration-200"
+          >
+            + 添加 OpenAI 兼容端点
+          </button>
+        )}
+      </div>
+    </>
+  );
+}
@@ -440,6 +440,7 @@ ${departmentRules}`;
   // 监听主进程推送的流式消息（如果有）
   const addToolCalls = useChatStore((s) => s.addToolCalls);
   const updateToolCall = useChatStore((s) => s.updateToolCall);
+  const setToolCallStatus = useChatStore((s) => s.setToolCallStatus);
 
   useEffect(() => {
     if (!window.soloforge?.chat?.onStream) return;
@@ -454,12 +455,15 @@ ${departmentRules}`;
         const { toolEvent } = chunk;
         if (toolEvent.type === 'tool_start' && toolEvent.tools?.length) {
           addToolCalls(chunk.messageId, toolEvent.groupIndex, toolEvent.tools);
+        } else if (toolEvent.type === 'tool_status' && toolEvent.id) {
+          setToolCallStatus(chunk.messageId, toolEvent.id, toolEvent.status);
         } else if (toolEvent.type === 'tool_result' && toolEvent.id) {
           updateToolCall(chunk.messageId, toolEvent.id, {
             success: toolEvent.success,
             result: toolEvent.result,
             error: toolEvent.error,
             duration: toolEvent.duration,
+            approval: toolEvent.approval,
           });
         }
       }
@@ -468,7 +472,7 @@ ${departmentRules}`;
     return () => {
       unsubscribe?.();
     };
-  }, [appendMessageContent, addToolCalls, updateToolCall]);
+  }, [appendMessageContent, addToolCalls, updateToolCall, setToolCallStatus]);
 
   // 监听 Agent 主动推送消息（审批通知、工作汇报等）
   // 使用 ensurePrivateChat 而非 getOrCreatePrivateChat，避免自动切换对话打断用户
@@ -5,6 +5,7 @@
 import { useState, useEffect, useCallback, useMemo } from 'react';
 import OrgChart from '../components/OrgChart';
 import AgentAvatar, { isImageAvatar } from '../components/AgentAvatar';
+import { AgentToolPolicy, ScopeToolPolicyPanel } from '../components/ToolPolicyEditor';
 
 /**
  * Agent 编辑卡片组件
@@ -568,6 +569,17 @@ function EditPanel({ config, levels, departments, models, onSave, onReset, onClo
           </p>
         </div>
 
+        {/* 工具权限 */}
+        <div>
+          <label className="block text-sm font-medium text-text-primary mb-1">
+            工具权限
+          </label>
+          <p className="mb-2 text-xs text-text-secondary">
+            在角色默认工具和全局权限的基础上进一步限制此 Agent，单独保存
+          </p>
+          <AgentToolPolicy agentId={config.id} levels={levels} departments={departments} />
+        </div>
+
         {/* 汇报关系说明 */}
         <div className="p-3 bg-bg-muted rounded-lg">
           <div className="text-xs text-text-secondary uppercase tracking-wider mb-1">
@@ -620,6 +632,7 @@ export default function AgentSettings({ onBack }) {
   const [saving, setSaving] = useState(false);
   const [selectedId, setSelectedId] = useState(null);
   const [viewMode, setViewMode] = useState('chart'); // 'chart' | 'list'
+  const [showToolPolicies, setShowToolPolicies] = useState(false);
 
   // 加载数据
   useEffect(() => {
@@ -778,6 +791,17 @@ export default function AgentSettings({ onBack }) {
               </button>
             </div>
 
+            <button
+              onClick={() => setShowToolPolicies(!showToolPolicies)}
+              className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${
+                showToolPolicies
+                  ? 'bg-[var(--color-primary)] text-white'
+                  : 'text-text-secondary hover:text-text-primary hover:bg-[var(--bg-hover)]'
+              }`}
+            >
+              工具策略
+            </button>
+
             {onBack && (
               <button
                 onClick={onBack}
@@ -789,6 +813,12 @@ export default function AgentSettings({ onBack }) {
           </div>
         </div>
 
+        {showToolPolicies && (
+          <div className="mb-8">
+            <ScopeToolPolicyPanel levels={levels} departments={departments} />
+          </div>
+        )}
+
         {/* 组织架构图视图 */}
         {viewMode === 'chart' && (
           <OrgChart
@@ -0,0 +1,399 @@
+/**
+ * SoloForge - 特权操作审计日志页面
+ * 按执行者、动作、批准来源、结果和时间筛选审计记录，校验哈希链，并导出为 JSONL / CSV
+ */
+import { useState, useEffect, useCallback } from 'react';
+import {
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  ChevronDownIcon,
+  ArrowPathIcon,
+  ArrowDownTrayIcon,
+  ShieldCheckIcon,
+  ShieldExclamationIcon,
+} from '@heroicons/react/24/outline';
+
+// ─────────────────────────────────────────────────────────────
+// 常量 & 格式化
+// ─────────────────────────────────────────────────────────────
+
+const PAGE_SIZE = 50;
+
+const APPROVAL_STYLES = {
+  user_confirm: { label: '老板确认', className: 'bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400' },
+  user_action: { label: '老板操作', className: 'bg-violet-50 dark:bg-violet-900/30 text-violet-600 dark:text-violet-400' },
+  policy: { label: '权限策略', className: 'bg-bg-muted text-text-secondary' },
+  denied: { label: '已拦截', className: 'bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400' },
+};
+
+const EMPTY_FILTERS = {
+  actorId: '',
+  action: '',
+  approvalSource: '',
+  success: '',
+  from: '',
+  to: '',
+  search: '',
+};
+
+const selectClass = 'px-2 py-1.5 text-xs border border-[var(--border-color)] rounded-lg bg-bg-elevated text-text-primary';
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleString('zh-CN');
+}
+
+/**
+ * 界面筛选条件 → 主进程筛选参数
+ * @param {typeof EMPTY_FILTERS} filters
+ */
+function toQueryFilters(filters) {
+  return {
+    actorId: filters.actorId || undefined,
+    action: filters.action || undefined,
+    approvalSource: filters.approvalSource || undefined,
+    success: filters.success === '' ? undefined : filters.success === 'true',
+    from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : undefined,
+    to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : undefined,
+    search: filters.search || undefined,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 组件
+// ─────────────────────────────────────────────────────────────
+
+function VerifyBanner({ status }) {
+  if (!status) return null;
+  if (!status.success) {
+    return (
+      <div className="mb-4 px-3 py-2 rounded-lg bg-red-50 dark:bg-red-900/30 text-xs text-red-600 dark:text-red-400">
+        校验失败：{status.error}
+      </div>
+    );
+  }
+  return status.valid ? (
+    <div className="mb-4 px-3 py-2 rounded-lg bg-green-50 dark:bg-green-900/30 text-xs text-green-700 dark:text-green-400 flex items-center gap-1.5">
+      <ShieldCheckIcon className="w-4 h-4" />
+      哈希链完整，共校验 {status.checked} 条记录
+    </div>
+  ) : (
+    <div className="mb-4 px-3 py-2 rounded-lg bg-red-50 dark:bg-red-900/30 text-xs text-red-600 dark:text-red-400 flex items-center gap-1.5">
+      <ShieldExclamationIcon className="w-4 h-4" />
+      审计日志可能被篡改：{status.reason}
+      {status.brokenAt && `（第 ${status.brokenAt} 条）`}
+    </div>
+  );
+}
+
+function EntryRow({ entry, expanded, onToggle }) {
+  const approval = APPROVAL_STYLES[entry.approval.source] || APPROVAL_STYLES.policy;
+
+  return (
+    <>
+      <tr
+        onClick={onToggle}
+        className="border-t border-[var(--border-color)]/60 hover:bg-[var(--bg-hover)] cursor-pointer"
+      >
+        <td className="px-3 py-2 text-text-muted tabular-nums whitespace-nowrap">
+          {expanded ? <ChevronDownIcon className="w-3 h-3 inline mr-1" /> : <ChevronRightIcon className="w-3 h-3 inline mr-1" />}
+          {entry.seq}
+        </td>
+        <td className="px-3 py-2 text-text-secondary whitespace-nowrap">{formatTime(entry.timestamp)}</td>
+        <td className="px-3 py-2 text-text-primary whitespace-nowrap">{entry.actor.name || entry.actor.id}</td>
+        <td className="px-3 py-2 text-text-primary font-mono">{entry.action}</td>
+        <td className="px-3 py-2 whitespace-nowrap">
+          <span className={`text-[10px] px-1.5 py-0.5 rounded ${approval.className}`}>{approval.label}</span>
+        </td>
+        <td className="px-3 py-2 whitespace-nowrap">
+          {entry.result.success ? (
+            <span className="text-green-600 dark:text-green-400">成功</span>
+          ) : (
+            <span className="text-red-600 dark:text-red-400">失败</span>
+          )}
+        </td>
+      </tr>
+      {expanded && (
+        <tr className="bg-bg-base">
+          <td colSpan={6} className="px-3 py-2 space-y-2">
+            {entry.approval.detail && (
+              <div className="text-text-secondary">批准说明：{entry.approval.detail}</div>
+            )}
+            {entry.result.error && (
+              <div className="text-red-600 dark:text-red-400 whitespace-pre-wrap break-all">错误：{entry.result.error}</div>
+            )}
+            <div>
+              <div className="text-text-muted mb-1">参数</div>
+              <pre className="p-2 rounded bg-bg-elevated border border-[var(--border-color)] text-[11px] text-text-primary whitespace-pre-wrap break-all max-h-64 overflow-y-auto">
+                {JSON.stringify(entry.args, null, 2)}
+              </pre>
+            </div>
+            {entry.result.summary && (
+              <div>
+                <div className="text-text-muted mb-1">结果</div>
+                <pre className="p-2 rounded bg-bg-elevated border border-[var(--border-color)] text-[11px] text-text-primary whitespace-pre-wrap break-all max-h-40 overflow-y-auto">
+                  {entry.result.summary}
+                </pre>
+              </div>
+            )}
+            <div className="text-[10px] text-text-muted font-mono break-all">
+              {entry.actor.type}:{entry.actor.id} · hash {entry.hash} · prev {entry.prevHash}
+            </div>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// 页面
+// ─────────────────────────────────────────────────────────────
+
+export default function AuditPage({ onBack, isActive = true }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(0);
+  const [data, setData] = useState(null); // { entries, total, actors, actions }
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [verifyStatus, setVerifyStatus] = useState(null);
+  const [exportMessage, setExportMessage] = useState('');
+
+  const loadData = useCallback(async () => {
+    try {
+      const res = await window.electronAPI.audit.query({
+        filters: toQueryFilters(filters),
+        limit: PAGE_SIZE,
+        offset: page * PAGE_SIZE,
+      });
+      if (res?.success) {
+        setData(res);
+        setError(null);
+      } else {
+        setError(res?.error || '加载失败');
+      }
+    } catch (err) {
+      console.error('加载审计日志失败:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    if (isActive) loadData();
+  }, [loadData, isActive]);
+
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPage(0);
+  };
+
+  const handleVerify = async () => {
+    try {
+      setVerifyStatus(await window.electronAPI.audit.verify());
+    } catch (err) {
+      setVerifyStatus({ success: false, error: err.message });
+    }
+  };
+
+  const handleExport = async (format) => {
+    setExportMessage('');
+    try {
+      const res = await window.electronAPI.audit.exportFile({ format, filters: toQueryFilters(filters) });
+      if (res?.success) {
+        setExportMessage(`已导出到 ${res.filePath}`);
+      } else if (!res?.canceled) {
+        setError(res?.error || '导出失败');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const entries = data?.entries || [];
+  const total = data?.total || 0;
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="h-full bg-bg-base flex flex-col">
+      {/* macOS 标题栏占位 */}
+      <div className="shrink-0 h-8 drag-region" />
+
+      <div className="max-w-7xl w-full mx-auto px-6 pt-6 pb-6 flex-1 min-h-0 flex flex-col">
+        {/* 头部 */}
+        <div className="flex items-center justify-between mb-5">
+          <div className="flex items-center gap-3">
+            {onBack && (
+              <button
+                onClick={onBack}
+                className="p-1.5 hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+              >
+                <ChevronLeftIcon className="w-5 h-5 text-text-secondary" />
+              </button>
+            )}
+            <div>
+              <h1 className="text-xl font-semibold text-text-primary">审计日志</h1>
+              <p className="text-xs text-text-muted mt-0.5">
+                人事、预算、权限、合并、Shell 等特权操作的执行记录，只追加、带哈希链防篡改
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={handleVerify}
+              className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-text-secondary hover:text-text-primary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+            >
+              <ShieldCheckIcon className="w-4 h-4" />
+              <span className="text-xs">校验完整性</span>
+            </button>
+            <button
+              onClick={() => handleExport('jsonl')}
+              className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-text-secondary hover:text-text-primary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+            >
+              <ArrowDownTrayIcon className="w-4 h-4" />
+              <span className="text-xs">导出 JSONL</span>
+            </button>
+            <button
+              onClick={() => handleExport('csv')}
+              className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-text-secondary hover:text-text-primary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+            >
+              <ArrowDownTrayIcon className="w-4 h-4" />
+              <span className="text-xs">导出 CSV</span>
+            </button>
+            <button
+              onClick={loadData}
+              className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-text-secondary hover:text-text-primary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+            >
+              <ArrowPathIcon className="w-4 h-4" />
+              <span className="text-xs">刷新</span>
+            </button>
+          </div>
+        </div>
+
+        <VerifyBanner status={verifyStatus} />
+
+        {error && (
+          <div className="mb-4 px-3 py-2 rounded-lg bg-red-50 dark:bg-red-900/30 text-xs text-red-600 dark:text-red-400">
+            {error}
+          </div>
+        )}
+        {exportMessage && (
+          <div className="mb-4 text-xs text-green-600 dark:text-green-400 break-all">{exportMessage}</div>
+        )}
+
+        {/* 筛选 */}
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <select value={filters.actorId} onChange={(e) => updateFilter('actorId', e.target.value)} className={selectClass}>
+            <option value="">全部执行者</option>
+            {(data?.actors || []).map((a) => (
+              <option key={a.id} value={a.id}>{a.name || a.id}</option>
+            ))}
+          </select>
+          <select value={filters.action} onChange={(e) => updateFilter('action', e.target.value)} className={selectClass}>
+            <option value="">全部动作</option>
+            <option value="tool:">Agent 工具调用</option>
+            {(data?.actions || []).map((action) => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+          <select value={filters.approvalSource} onChange={(e) => updateFilter('approvalSource', e.target.value)} className={selectClass}>
+            <option value="">全部批准来源</option>
+            {Object.entries(APPROVAL_STYLES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select value={filters.success} onChange={(e) => updateFilter('success', e.target.value)} className={selectClass}>
+            <option value="">全部结果</option>
+            <option value="true">成功</option>
+            <option value="false">失败</option>
+          </select>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            className={selectClass}
+          />
+          <span className="text-xs text-text-muted">至</span>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            className={selectClass}
+          />
+          <input
+            type="text"
+            value={filters.search}
+            onChange={(e) => updateFilter('search', e.target.value)}
+            placeholder="搜索参数、结果..."
+            className={`${selectClass} flex-1 min-w-[160px]`}
+          />
+          <button
+            onClick={() => {
+              setFilters(EMPTY_FILTERS);
+              setPage(0);
+            }}
+            className="px-2 py-1.5 text-xs text-text-secondary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+          >
+            清除筛选
+          </button>
+        </div>
+
+        {loading && !data ? (
+          <div className="flex-1 flex items-center justify-center text-sm text-text-muted">加载中...</div>
+        ) : entries.length === 0 ? (
+          <div className="flex-1 flex flex-col items-center justify-center text-text-muted">
+            <ShieldCheckIcon className="w-10 h-10 mb-2" />
+            <span className="text-sm">暂无审计记录</span>
+          </div>
+        ) : (
+          <div className="flex-1 min-h-0 overflow-y-auto bg-bg-elevated rounded-xl border border-[var(--border-color)]">
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-bg-elevated text-text-muted text-left">
+                <tr>
+                  <th className="px-3 py-2 font-medium">#</th>
+                  <th className="px-3 py-2 font-medium">时间</th>
+                  <th className="px-3 py-2 font-medium">执行者</th>
+                  <th className="px-3 py-2 font-medium">动作</th>
+                  <th className="px-3 py-2 font-medium">批准来源</th>
+                  <th className="px-3 py-2 font-medium">结果</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <EntryRow
+                    key={entry.id}
+                    entry={entry}
+                    expanded={expandedId === entry.id}
+                    onToggle={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                  />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* 分页 */}
+        {total > PAGE_SIZE && (
+          <div className="flex items-center justify-end gap-2 mt-3 text-xs text-text-secondary">
+            <span>共 {total} 条 · 第 {page + 1} / {pageCount} 页</span>
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page === 0}
+              className="px-2 py-1 hover:bg-[var(--bg-hover)] rounded disabled:opacity-40"
+            >
+              上一页
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page + 1 >= pageCount}
+              className="px-2 py-1 hover:bg-[var(--bg-hover)] rounded disabled:opacity-40"
+            >
+              下一页
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
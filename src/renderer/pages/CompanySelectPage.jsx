@@ -1,8 +1,8 @@
 /**
  * SoloForge - 公司选择页面
- * 展示公司列表卡片，支持创建新公司
+ * 展示公司列表卡片，支持创建新公司（可选从内置模板或模板文件创建）
  */
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { useAuthStore } from '../store/auth-store';
 
 function CreateCompanyModal({ isOpen, onClose, onCreate }) {
@@ -10,18 +10,56 @@ function CreateCompanyModal({ isOpen, onClose, onCreate }) {
   const [description, setDescription] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [builtinTemplates, setBuiltinTemplates] = useState([]);
+  // 'blank' | 内置模板 ID | 'file'（已选择的模板文件）
+  const [templateChoice, setTemplateChoice] = useState('blank');
+  const [fileTemplate, setFileTemplate] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    window.electronAPI.template.listBuiltin()
+      .then((list) => setBuiltinTemplates(list || []))
+      .catch((err) => console.error('加载内置模板失败:', err));
+  }, [isOpen]);
 
   if (!isOpen) return null;
 
+  const handleTemplateChange = async (value) => {
+    setError('');
+    if (value !== 'pick-file') {
+      setTemplateChoice(value);
+      return;
+    }
+    const result = await window.electronAPI.template.importFile();
+    if (result.success) {
+      setFileTemplate(result);
+      setTemplateChoice('file');
+    } else if (!result.canceled) {
+      setError(result.error || '模板文件无效');
+    }
+  };
+
+  const getTemplateSelection = () => {
+    if (templateChoice === 'blank') return null;
+    if (templateChoice === 'file') return { source: 'file', filePath: fileTemplate.filePath };
+    return { source: 'builtin', id: templateChoice };
+  };
+
+  const selectedSummary = templateChoice === 'file'
+    ? fileTemplate?.summary
+    : builtinTemplates.find((t) => t.id === templateChoice);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError('');
     try {
-      const result = await onCreate(name, description);
+      const result = await onCreate(name, description, getTemplateSelection());
       if (result.success) {
         setName('');
         setDescription('');
+        setTemplateChoice('blank');
+        setFileTemplate(null);
         onClose();
       } else {
         setError(result.error || '创建失败');
@@ -69,6 +107,33 @@ function CreateCompanyModal({ isOpen, onClose, onCreate }) {
               placeholder="简单描述一下你的公司..."
             />
           </div>
+          <div>
+            <label className="block text-sm font-medium text-text-secondary mb-1.5">公司模板</label>
+            <select
+              value={templateChoice}
+              onChange={e => handleTemplateChange(e.target.value)}
+              className="w-full px-4 py-2.5 bg-bg-base border border-border-primary rounded-xl
+                       text-text-primary
+                       focus:ring-2 focus:ring-blue-500/40 focus:border-blue-500 outline-none
+                       transition-all duration-200"
+            >
+              <option value="blank">空白公司（仅核心高管）</option>
+              {builtinTemplates.map(t => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+              {fileTemplate && (
+                <option value="file">{fileTemplate.summary.name}（模板文件）</option>
+              )}
+              <option value="pick-file">{fileTemplate ? '选择其他模板文件…' : '从文件导入…'}</option>
+            </select>
+            {selectedSummary && (
+              <p className="text-xs text-text-muted mt-1.5">
+                {selectedSummary.description && `${selectedSummary.description} · `}
+                {selectedSummary.agentCount} 名员工 · {selectedSummary.departmentCount} 个部门
+                · {selectedSummary.goalCount} 个目标 · {selectedSummary.memoryCount} 条共享记忆
+              </p>
+            )}
+          </div>
           {error && (
             <div className="px-4 py-2.5 bg-red-500/10 border border-red-500/20 rounded-xl">
               <p className="text-sm text-red-500">{error}</p>
@@ -22,11 +22,16 @@ import {
   ExclamationTriangleIcon,
   BookmarkIcon,
   FolderIcon,
+  CircleStackIcon,
+  BuildingOffice2Icon,
+  ShieldCheckIcon,
+  CodeBracketIcon,
 } from '@heroicons/react/24/outline';
 import {
   FlagIcon as FlagSolidIcon,
   CheckCircleIcon as CheckCircleSolidIcon,
 } from '@heroicons/react/24/solid';
+import WorkflowPanel from '../components/WorkflowPanel';
 
 // ─────────────────────────────────────────────────────────────
 // 常量 & 映射
@@ -1806,7 +1811,7 @@ function AgentTaskPanel() {
 // 运营仪表板主组件
 // ─────────────────────────────────────────────────────────────
 
-export default function Dashboard({ onBack, onOpenCFO, isActive = true }) {
+export default function Dashboard({ onBack, onOpenCFO, onOpenMemory, onOpenPortfolio, onOpenAudit, onOpenPullRequests, isActive = true }) {
   const [loading, setLoading] = useState(true);
   const [data, setData] = useState({
     summary: null,
@@ -1913,6 +1918,46 @@ export default function Dashboard({ onBack, onOpenCFO, isActive = true }) {
                 <span className="text-xs font-medium">CFO 控制台</span>
               </button>
             )}
+            {/* 记忆库入口 */}
+            {onOpenMemory && (
+              <button
+                onClick={onOpenMemory}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-sm bg-violet-50 dark:bg-violet-900/30 text-violet-600 dark:text-violet-400 hover:bg-violet-100 dark:hover:bg-violet-900/50 rounded-lg transition-colors"
+              >
+                <CircleStackIcon className="w-4 h-4" />
+                <span className="text-xs font-medium">记忆库</span>
+              </button>
+            )}
+            {/* 公司总览入口 */}
+            {onOpenPortfolio && (
+              <button
+                onClick={onOpenPortfolio}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-sm bg-sky-50 dark:bg-sky-900/30 text-sky-600 dark:text-sky-400 hover:bg-sky-100 dark:hover:bg-sky-900/50 rounded-lg transition-colors"
+              >
+                <BuildingOffice2Icon className="w-4 h-4" />
+                <span className="text-xs font-medium">公司总览</span>
+              </button>
+            )}
+            {/* 代码审核入口 */}
+            {onOpenPullRequests && (
+              <button
+                onClick={onOpenPullRequests}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-sm bg-indigo-50 dark:bg-indigo-900/30 text-indigo-600 dark:text-indigo-400 hover:bg-indigo-100 dark:hover:bg-indigo-900/50 rounded-lg transition-colors"
+              >
+                <CodeBracketIcon className="w-4 h-4" />
+                <span className="text-xs font-medium">代码审核</span>
+              </button>
+            )}
+            {/* 审计日志入口 */}
+            {onOpenAudit && (
+              <button
+                onClick={onOpenAudit}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-sm bg-slate-100 dark:bg-slate-800/60 text-slate-600 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-800 rounded-lg transition-colors"
+              >
+                <ShieldCheckIcon className="w-4 h-4" />
+                <span className="text-xs font-medium">审计日志</span>
+              </button>
+            )}
             {/* H: 刷新按钮降权 -- ghost 样式 */}
             <button
               onClick={loadData}
@@ -1970,6 +2015,9 @@ export default function Dashboard({ onBack, onOpenCFO, isActive = true }) {
         {/* Agent 工作状态面板 */}
         <AgentTaskPanel />
 
+        {/* 工作流 */}
+        <WorkflowPanel />
+
         {/* A: 两栏布局 */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* 左栏 */}
@@ -0,0 +1,649 @@
+/**
+ * SoloForge - 记忆库页面
+ * 浏览记忆系统中的条目（按类型 / 范围 / Agent 筛选），查看有效衰减分数与来源，
+ * 支持编辑、标记重要、合并与删除
+ */
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  ChevronLeftIcon,
+  ArrowPathIcon,
+  BookmarkIcon,
+  TrashIcon,
+  PencilSquareIcon,
+  ArrowsPointingInIcon,
+  CircleStackIcon,
+} from '@heroicons/react/24/outline';
+import { useAgentStore } from '../store/agent-store';
+import { useChatStore } from '../store/chat-store';
+
+// ─────────────────────────────────────────────────────────────
+// 常量 & 映射（与 main/memory/memory-types 保持一致）
+// ─────────────────────────────────────────────────────────────
+
+const TYPE_LABELS = {
+  decision: '决策',
+  fact: '事实',
+  preference: '偏好',
+  project_context: '项目',
+  lesson: '教训',
+  expertise: '专业',
+  conversation_summary: '对话',
+  task_result: '任务',
+  procedure: '规范',
+  user_profile: '画像',
+  company_fact: '公司',
+  consensus: '共识',
+};
+
+const SCOPE_LABELS = {
+  agent: 'Agent 专属',
+  user: '用户相关',
+  shared: '全员共享',
+};
+
+const SOURCE_LABELS = {
+  conversation: '用户对话',
+  task: '任务执行',
+  communication: 'Agent 间通信',
+  manual: 'Agent 主动存储',
+  system: '系统生成',
+};
+
+/** 与 MemoryDecay.markImportant 写入的重要性一致 */
+const PINNED_IMPORTANCE = 0.95;
+
+/** 有效分数低于此值会在下次衰减扫描时归档（MEMORY_CONFIG.ARCHIVE_THRESHOLD） */
+const ARCHIVE_THRESHOLD = 0.05;
+
+const inputClass = 'w-full px-3 py-2 rounded-lg border border-[var(--border-color)] bg-bg-elevated text-text-primary text-sm';
+
+function formatTime(ts) {
+  return ts ? new Date(ts).toLocaleString('zh-CN') : '-';
+}
+
+// ─────────────────────────────────────────────────────────────
+// 通用组件
+// ─────────────────────────────────────────────────────────────
+
+/** 有效分数条（分数大多在 0-2 之间） */
+function ScoreBar({ score }) {
+  if (score == null) return null;
+  const pct = Math.min(100, (score / 2) * 100);
+  const color = score < ARCHIVE_THRESHOLD ? 'bg-red-500' : score < 0.3 ? 'bg-yellow-500' : 'bg-green-500';
+  return (
+    <div className="flex items-center gap-1.5" title={`有效分数 ${score.toFixed(3)}`}>
+      <div className="w-16 h-1.5 rounded-full bg-bg-muted overflow-hidden">
+        <div className={`h-full ${color}`} style={{ width: `${pct}%` }} />
+      </div>
+      <span className="text-[10px] text-text-muted tabular-nums">{score.toFixed(2)}</span>
+    </div>
+  );
+}
+
+function FilterSelect({ value, onChange, options, placeholder }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-2.5 py-1.5 rounded-lg border border-[var(--border-color)] bg-bg-elevated text-text-primary text-xs"
+    >
+      <option value="">{placeholder}</option>
+      {options.map(([id, label]) => (
+        <option key={id} value={id}>{label}</option>
+      ))}
+    </select>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// 列表项
+// ─────────────────────────────────────────────────────────────
+
+function MemoryRow({ memory, agentName, active, checked, onSelect, onToggleCheck }) {
+  const dimmed = memory.archived || memory.supersededBy;
+  return (
+    <div
+      onClick={onSelect}
+      className={`flex items-start gap-2.5 px-4 py-2.5 border-b border-[var(--border-color)]/60 cursor-pointer transition-colors ${
+        active ? 'bg-[var(--bg-hover)]' : 'hover:bg-[var(--bg-hover)]/60'
+      } ${dimmed ? 'opacity-60' : ''}`}
+    >
+      <input
+        type="checkbox"
+        checked={checked}
+        onClick={(e) => e.stopPropagation()}
+        onChange={onToggleCheck}
+        className="mt-1 shrink-0"
+      />
+      <div className="min-w-0 flex-1">
+        <div className="flex items-center gap-1.5 mb-0.5">
+          <span className="text-[10px] px-1.5 py-0.5 rounded bg-bg-muted text-text-secondary shrink-0">
+            {TYPE_LABELS[memory.type] || memory.type}
+          </span>
+          {memory.importance >= PINNED_IMPORTANCE && (
+            <BookmarkIcon className="w-3.5 h-3.5 text-amber-500 shrink-0" title="已标记重要" />
+          )}
+          {memory.archived && <span className="text-[10px] text-text-muted shrink-0">已归档</span>}
+          {memory.supersededBy && <span className="text-[10px] text-text-muted shrink-0">已替代</span>}
+          <span className="text-sm text-text-primary truncate">{memory.summary}</span>
+        </div>
+        <div className="flex items-center gap-3 text-[11px] text-text-muted">
+          <span>{SCOPE_LABELS[memory.scope] || memory.scope}</span>
+          {agentName && <span>{agentName}</span>}
+          <span>访问 {memory.accessCount || 0} 次</span>
+          <span className="ml-auto">
+            <ScoreBar score={memory.effectiveScore} />
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// 详情 / 编辑
+// ─────────────────────────────────────────────────────────────
+
+function MemoryDetail({ memoryId, onChanged, onSelect }) {
+  const [detail, setDetail] = useState(null);
+  const [chain, setChain] = useState([]);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const getAgent = useAgentStore((s) => s.getAgent);
+  const conversations = useChatStore((s) => s.conversations);
+
+  const load = useCallback(async () => {
+    if (!memoryId) {
+      setDetail(null);
+      return;
+    }
+    const [detailRes, chainRes] = await Promise.all([
+      window.electronAPI?.getMemory?.(memoryId),
+      window.electronAPI?.getMemoryChain?.(memoryId),
+    ]);
+    setDetail(detailRes?.success ? detailRes.data : null);
+    setChain(chainRes?.success ? chainRes.data : []);
+  }, [memoryId]);
+
+  useEffect(() => {
+    setEditing(false);
+    setError(null);
+    load().catch((err) => console.error('加载记忆详情失败:', err));
+  }, [load]);
+
+  if (!detail) {
+    return (
+      <div className="flex flex-col items-center justify-center h-full text-text-muted">
+        <CircleStackIcon className="w-8 h-8 mb-2 opacity-40" />
+        <p className="text-sm">选择一条记忆查看详情</p>
+      </div>
+    );
+  }
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await action();
+      if (result && !result.success) {
+        setError(result.error || '操作失败');
+        return false;
+      }
+      await onChanged();
+      return true;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startEdit = () => {
+    setForm({
+      summary: detail.summary,
+      content: detail.content,
+      tags: (detail.tags || []).join(', '),
+      importance: detail.importance,
+    });
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    const ok = await run(() => window.electronAPI.updateMemory(memoryId, {
+      summary: form.summary,
+      content: form.content,
+      tags: form.tags.split(/[,，]/).map((t) => t.trim()).filter(Boolean),
+      importance: Number(form.importance),
+    }));
+    if (ok) {
+      setEditing(false);
+      await load();
+    }
+  };
+
+  const handlePin = async () => {
+    if (await run(() => window.electronAPI.pinMemory(memoryId))) await load();
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('确定要删除这条记忆吗？此操作不可恢复。')) return;
+    if (await run(() => window.electronAPI.deleteMemory(memoryId))) onSelect(null);
+  };
+
+  const { source = {} } = detail;
+  const conversation = source.conversationId ? conversations.get(source.conversationId) : null;
+  const agentLabel = (id) => getAgent(id)?.name || id;
+
+  return (
+    <div className="p-5 space-y-5">
+      {/* 标题 + 操作 */}
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2 mb-1">
+            <span className="text-[11px] px-1.5 py-0.5 rounded bg-bg-muted text-text-secondary">
+              {TYPE_LABELS[detail.type] || detail.type}
+            </span>
+            <span className="text-[11px] text-text-muted">{SCOPE_LABELS[detail.scope] || detail.scope}</span>
+          </div>
+          {!editing && <h2 className="text-base font-semibold text-text-primary">{detail.summary}</h2>}
+        </div>
+        {!editing && (
+          <div className="flex items-center gap-1 shrink-0">
+            <button
+              onClick={startEdit}
+              disabled={busy}
+              className="p-1.5 rounded-lg hover:bg-[var(--bg-hover)] text-text-secondary disabled:opacity-50"
+              title="编辑"
+            >
+              <PencilSquareIcon className="w-4 h-4" />
+            </button>
+            <button
+              onClick={handlePin}
+              disabled={busy || detail.importance >= PINNED_IMPORTANCE}
+              className="p-1.5 rounded-lg hover:bg-[var(--bg-hover)] text-amber-500 disabled:opacity-40"
+              title={detail.importance >= PINNED_IMPORTANCE ? '已标记重要' : '标记重要（提升重要性并取消归档）'}
+            >
+              <BookmarkIcon className="w-4 h-4" />
+            </button>
+            <button
+              onClick={handleDelete}
+              disabled={busy}
+              className="p-1.5 rounded-lg hover:bg-red-500/10 text-red-500 disabled:opacity-50"
+              title="删除"
+            >
+              <TrashIcon className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="px-3 py-2 rounded-lg bg-red-50 dark:bg-red-900/20 text-xs text-red-600 dark:text-red-400">
+          {error}
+        </div>
+      )}
+
+      {/* 内容 */}
+      {editing ? (
+        <div className="space-y-3">
+          <div>
+            <label className="block text-xs font-medium text-text-secondary mb-1">摘要</label>
+            <input
+              type="text"
+              value={form.summary}
+              onChange={(e) => setForm({ ...form, summary: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-text-secondary mb-1">内容</label>
+            <textarea
+              value={form.content}
+              onChange={(e) => setForm({ ...form, content: e.target.value })}
+              rows={6}
+              className={`${inputClass} resize-y`}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">标签（逗号分隔）</label>
+              <input
+                type="text"
+                value={form.tags}
+                onChange={(e) => setForm({ ...form, tags: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">
+                重要性 {Number(form.importance).toFixed(2)}
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={form.importance}
+                onChange={(e) => setForm({ ...form, importance: e.target.value })}
+                className="w-full"
+              />
+            </div>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setEditing(false)}
+              className="px-3 py-1.5 text-xs rounded-lg text-text-secondary hover:bg-[var(--bg-hover)]"
+            >
+              取消
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={busy}
+              className="px-3 py-1.5 text-xs rounded-lg bg-[var(--color-primary)] text-white hover:opacity-90 disabled:opacity-50"
+            >
+              保存
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-text-primary whitespace-pre-wrap leading-relaxed">{detail.content}</p>
+          {detail.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1.5">
+              {detail.tags.map((tag) => (
+                <span key={tag} className="text-[11px] px-2 py-0.5 rounded-full bg-bg-muted text-text-secondary">
+                  {tag}
+                </span>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      {/* 生命周期 */}
+      <div className="grid grid-cols-2 gap-x-4 gap-y-2 text-xs">
+        <div className="text-text-muted">有效分数</div>
+        <div><ScoreBar score={detail.effectiveScore} /></div>
+        <div className="text-text-muted">重要性</div>
+        <div className="text-text-primary">{detail.importance?.toFixed(2)}</div>
+        <div className="text-text-muted">访问次数</div>
+        <div className="text-text-primary">{detail.accessCount || 0}</div>
+        <div className="text-text-muted">创建时间</div>
+        <div className="text-text-primary">{formatTime(detail.createdAt)}</div>
+        <div className="text-text-muted">最近访问</div>
+        <div className="text-text-primary">{formatTime(detail.lastAccessedAt)}</div>
+      </div>
+
+      {/* 来源 */}
+      <div>
+        <h3 className="text-xs font-semibold text-text-secondary mb-2">来源</h3>
+        <div className="grid grid-cols-2 gap-x-4 gap-y-2 text-xs">
+          <div className="text-text-muted">方式</div>
+          <div className="text-text-primary">{SOURCE_LABELS[source.type] || source.type || '-'}</div>
+          {detail.agentId && (
+            <>
+              <div className="text-text-muted">归属 Agent</div>
+              <div className="text-text-primary">{agentLabel(detail.agentId)}</div>
+            </>
+          )}
+          {source.conversationId && (
+            <>
+              <div className="text-text-muted">对话</div>
+              <div className="text-text-primary truncate" title={source.conversationId}>
+                {conversation?.name || source.conversationId}
+              </div>
+            </>
+          )}
+          {source.taskId && (
+            <>
+              <div className="text-text-muted">任务</div>
+              <div className="text-text-primary font-mono truncate" title={source.taskId}>{source.taskId}</div>
+            </>
+          )}
+          {detail.relatedAgents?.length > 0 && (
+            <>
+              <div className="text-text-muted">相关 Agent</div>
+              <div className="text-text-primary">{detail.relatedAgents.map(agentLabel).join('、')}</div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* 替代链 */}
+      {chain.length > 1 && (
+        <div>
+          <h3 className="text-xs font-semibold text-text-secondary mb-2">版本演变</h3>
+          <ol className="space-y-1.5">
+            {chain.map((item) => (
+              <li key={item.id}>
+                <button
+                  onClick={() => onSelect(item.id)}
+                  className={`w-full text-left px-2.5 py-1.5 rounded-lg text-xs transition-colors ${
+                    item.id === memoryId ? 'bg-[var(--bg-hover)]' : 'hover:bg-[var(--bg-hover)]/60'
+                  }`}
+                >
+                  <div className="flex items-center gap-2">
+                    <span className={item.supersededBy ? 'text-text-muted line-through' : 'text-text-primary'}>
+                      {item.summary}
+                    </span>
+                    {!item.supersededBy && <span className="text-[10px] text-green-500 shrink-0">当前</span>}
+                  </div>
+                  {item.supersedeReason && (
+                    <div className="text-[10px] text-text-muted mt-0.5">{item.supersedeReason}</div>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// 主页面
+// ─────────────────────────────────────────────────────────────
+
+export default function MemoryPage({ onBack, isActive = true }) {
+  const [memories, setMemories] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    type: '',
+    scope: '',
+    agentId: '',
+    includeArchived: false,
+    includeSuperseded: false,
+  });
+  const [selectedId, setSelectedId] = useState(null);
+  const [checkedIds, setCheckedIds] = useState(new Set());
+  const [merging, setMerging] = useState(false);
+  const agents = useAgentStore((s) => s.agents);
+  const getAgent = useAgentStore((s) => s.getAgent);
+
+  const loadData = useCallback(async () => {
+    try {
+      const [listRes, statsRes] = await Promise.all([
+        window.electronAPI.listMemories(filters),
+        window.electronAPI.getMemoryStats(),
+      ]);
+      setMemories(listRes?.success ? listRes.data : []);
+      setStats(statsRes?.success ? statsRes.data : null);
+    } catch (error) {
+      console.error('加载记忆失败:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    if (!isActive) return;
+    loadData();
+  }, [loadData, isActive]);
+
+  // 列表刷新后丢弃已不存在的勾选项
+  useEffect(() => {
+    const ids = new Set(memories.map((m) => m.id));
+    setCheckedIds((prev) => {
+      const next = new Set([...prev].filter((id) => ids.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [memories]);
+
+  const agentOptions = useMemo(
+    () => [...agents.values()].map((a) => [a.id, a.name]),
+    [agents],
+  );
+
+  const toggleCheck = (id) => {
+    setCheckedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleMerge = async () => {
+    const ids = [...checkedIds];
+    if (!window.confirm(`确定要合并选中的 ${ids.length} 条记忆吗？原记忆将被标记为已替代。`)) return;
+    setMerging(true);
+    try {
+      const result = await window.electronAPI.mergeMemories(ids);
+      if (!result?.success) {
+        window.alert(result?.error || '合并失败');
+        return;
+      }
+      setCheckedIds(new Set());
+      setSelectedId(result.id);
+      await loadData();
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="h-full bg-bg-base flex flex-col">
+      {/* macOS 标题栏占位 */}
+      <div className="shrink-0 h-8 drag-region" />
+
+      <div className="max-w-7xl w-full mx-auto px-6 pt-6 flex-1 min-h-0 flex flex-col">
+        {/* 头部 */}
+        <div className="flex items-center justify-between mb-5">
+          <div className="flex items-center gap-3">
+            {onBack && (
+              <button
+                onClick={onBack}
+                className="p-1.5 hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+              >
+                <ChevronLeftIcon className="w-5 h-5 text-text-secondary" />
+              </button>
+            )}
+            <div>
+              <h1 className="text-xl font-semibold text-text-primary">记忆库</h1>
+              <p className="text-xs text-text-muted mt-0.5">
+                {stats
+                  ? `共 ${stats.totalMemories} 条记忆 · 已归档 ${stats.archived} 条 · 当前显示 ${memories.length} 条`
+                  : 'Agent 长期记忆的浏览与维护'}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={loadData}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-text-secondary hover:text-text-primary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+          >
+            <ArrowPathIcon className="w-4 h-4" />
+            <span className="text-xs">刷新</span>
+          </button>
+        </div>
+
+        {/* 筛选 */}
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <FilterSelect
+            value={filters.type}
+            onChange={(v) => setFilter('type', v)}
+            options={Object.entries(TYPE_LABELS)}
+            placeholder="全部类型"
+          />
+          <FilterSelect
+            value={filters.scope}
+            onChange={(v) => setFilter('scope', v)}
+            options={Object.entries(SCOPE_LABELS)}
+            placeholder="全部范围"
+          />
+          <FilterSelect
+            value={filters.agentId}
+            onChange={(v) => setFilter('agentId', v)}
+            options={agentOptions}
+            placeholder="全部 Agent"
+          />
+          <label className="flex items-center gap-1.5 text-xs text-text-secondary ml-2">
+            <input
+              type="checkbox"
+              checked={filters.includeArchived}
+              onChange={(e) => setFilter('includeArchived', e.target.checked)}
+            />
+            显示已归档
+          </label>
+          <label className="flex items-center gap-1.5 text-xs text-text-secondary">
+            <input
+              type="checkbox"
+              checked={filters.includeSuperseded}
+              onChange={(e) => setFilter('includeSuperseded', e.target.checked)}
+            />
+            显示已替代
+          </label>
+          {checkedIds.size >= 2 && (
+            <button
+              onClick={handleMerge}
+              disabled={merging}
+              className="ml-auto flex items-center gap-1.5 px-3 py-1.5 text-xs rounded-lg bg-[var(--color-primary)] text-white hover:opacity-90 disabled:opacity-50"
+            >
+              <ArrowsPointingInIcon className="w-4 h-4" />
+              {merging ? '合并中...' : `合并 ${checkedIds.size} 条`}
+            </button>
+          )}
+        </div>
+
+        {/* 列表 + 详情 */}
+        <div className="flex-1 min-h-0 grid grid-cols-1 lg:grid-cols-5 gap-4 pb-6">
+          <div className="lg:col-span-3 bg-bg-elevated rounded-xl border border-[var(--border-color)] overflow-y-auto">
+            {loading ? (
+              <div className="flex items-center justify-center py-10">
+                <div className="w-6 h-6 border-2 border-[var(--color-primary)] border-t-transparent rounded-full animate-spin" />
+              </div>
+            ) : memories.length === 0 ? (
+              <div className="flex flex-col items-center justify-center py-10 text-text-muted">
+                <CircleStackIcon className="w-8 h-8 mb-2 opacity-40" />
+                <p className="text-sm">暂无记忆</p>
+                <p className="text-xs mt-1 opacity-70">Agent 会从对话和任务中自动提取记忆</p>
+              </div>
+            ) : (
+              memories.map((memory) => (
+                <MemoryRow
+                  key={memory.id}
+                  memory={memory}
+                  agentName={memory.agentId ? getAgent(memory.agentId)?.name || memory.agentId : null}
+                  active={memory.id === selectedId}
+                  checked={checkedIds.has(memory.id)}
+                  onSelect={() => setSelectedId(memory.id)}
+                  onToggleCheck={() => toggleCheck(memory.id)}
+                />
+              ))
+            )}
+          </div>
+          <div className="lg:col-span-2 bg-bg-elevated rounded-xl border border-[var(--border-color)] overflow-y-auto">
+            <MemoryDetail
+              memoryId={selectedId}
+              onChanged={loadData}
+              onSelect={setSelectedId}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
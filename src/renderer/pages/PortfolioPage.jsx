@@ -0,0 +1,296 @@
+/**
+ * SoloForge - 跨公司总览页面
+ * 汇总账号下所有公司的花费、未完成任务与项目健康度，并可开启/关闭公司的后台运行
+ */
+import { useState, useEffect, useCallback } from 'react';
+import {
+  ChevronLeftIcon,
+  ArrowPathIcon,
+  BuildingOffice2Icon,
+} from '@heroicons/react/24/outline';
+
+// ─────────────────────────────────────────────────────────────
+// 常量 & 格式化
+// ─────────────────────────────────────────────────────────────
+
+/** 页面可见时的自动刷新间隔 */
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+const CURRENCY_SYMBOLS = { USD: '$', CNY: '¥' };
+
+const STATUS_STYLES = {
+  active: { label: '当前公司', className: 'bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400' },
+  running: { label: '后台运行中', className: 'bg-green-50 dark:bg-green-900/30 text-green-600 dark:text-green-400' },
+  starting: { label: '启动中', className: 'bg-yellow-50 dark:bg-yellow-900/30 text-yellow-600 dark:text-yellow-400' },
+  stopped: { label: '未运行', className: 'bg-bg-muted text-text-secondary' },
+  crashed: { label: '已停止（多次崩溃）', className: 'bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400' },
+};
+
+const HEALTH_STYLES = {
+  on_track: { label: '正常', className: 'text-green-600 dark:text-green-400' },
+  at_risk: { label: '有风险', className: 'text-yellow-600 dark:text-yellow-400' },
+  off_track: { label: '偏离', className: 'text-red-600 dark:text-red-400' },
+};
+
+function formatNumber(num) {
+  if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
+  if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
+  return num?.toString() || '0';
+}
+
+function formatMoney(amount, currency) {
+  const value = Number(amount) || 0;
+  const digits = Math.abs(value) > 0 && Math.abs(value) < 1 ? 4 : 2;
+  const symbol = CURRENCY_SYMBOLS[currency] || `${currency || ''} `;
+  return `${symbol}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: digits })}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 组件
+// ─────────────────────────────────────────────────────────────
+
+function TotalCard({ title, value, subtitle }) {
+  return (
+    <div className="bg-bg-elevated rounded-xl border border-[var(--border-color)] p-4">
+      <div className="text-xs text-text-muted">{title}</div>
+      <div className="text-xl font-semibold text-text-primary mt-1 tabular-nums">{value}</div>
+      {subtitle && <div className="text-[11px] text-text-muted mt-0.5">{subtitle}</div>}
+    </div>
+  );
+}
+
+function Metric({ label, value, highlight = false }) {
+  return (
+    <div>
+      <div className="text-[11px] text-text-muted">{label}</div>
+      <div className={`text-sm font-medium tabular-nums ${highlight ? 'text-red-600 dark:text-red-400' : 'text-text-primary'}`}>
+        {value}
+      </div>
+    </div>
+  );
+}
+
+function CompanyCard({ company, onToggleBackground, toggling }) {
+  const status = STATUS_STYLES[company.status] || STATUS_STYLES.stopped;
+  const summary = company.summary;
+
+  return (
+    <div className="bg-bg-elevated rounded-xl border border-[var(--border-color)] p-4 flex flex-col gap-3">
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2">
+            <h3 className="text-sm font-semibold text-text-primary truncate">{company.name}</h3>
+            <span className={`text-[10px] px-1.5 py-0.5 rounded shrink-0 ${status.className}`}>{status.label}</span>
+          </div>
+          {company.description && (
+            <p className="text-xs text-text-muted mt-0.5 truncate">{company.description}</p>
+          )}
+        </div>
+        {company.status !== 'active' && (
+          <label className="flex items-center gap-1.5 text-xs text-text-secondary shrink-0 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={company.backgroundEnabled}
+              disabled={toggling}
+              onChange={(e) => onToggleBackground(company.id, e.target.checked)}
+            />
+            后台运行
+          </label>
+        )}
+      </div>
+
+      {company.lastError && (
+        <div className="text-[11px] text-red-600 dark:text-red-400">{company.lastError}</div>
+      )}
+
+      {summary ? (
+        <>
+          <div className="grid grid-cols-4 gap-3">
+            <Metric label="今日花费" value={formatMoney(summary.spend.today.cost, summary.spend.currency)} />
+            <Metric label="近 7 天" value={formatMoney(summary.spend.week.cost, summary.spend.currency)} />
+            <Metric label="未完成任务" value={summary.tasks.open + summary.tasks.delegatedOpen} />
+            <Metric label="余额为负" value={summary.budget.overdrawn} highlight={summary.budget.overdrawn > 0} />
+          </div>
+          <div className="text-[11px] text-text-muted">
+            {formatNumber(summary.spend.week.tokens)} tokens（7 天）· 进行中 {summary.tasks.inProgress} · 待审核 {summary.tasks.review}
+            · 高优先级 {summary.tasks.highPriority} · 委派中 {summary.tasks.delegatedOpen} · 员工 {summary.employees}
+            {summary.alerts > 0 && ` · 未处理预警 ${summary.alerts}`}
+          </div>
+
+          <div className="border-t border-[var(--border-color)]/60 pt-2">
+            <div className="flex items-center gap-3 text-xs mb-1.5">
+              <span className="text-text-secondary">项目 {summary.projects.live}</span>
+              <span className={HEALTH_STYLES.on_track.className}>正常 {summary.projects.onTrack}</span>
+              <span className={HEALTH_STYLES.at_risk.className}>有风险 {summary.projects.atRisk}</span>
+              <span className={HEALTH_STYLES.off_track.className}>偏离 {summary.projects.offTrack}</span>
+            </div>
+            {summary.projects.items.length === 0 ? (
+              <div className="text-[11px] text-text-muted">暂无进行中的项目</div>
+            ) : (
+              <div className="space-y-1">
+                {summary.projects.items.map((p) => {
+                  const health = HEALTH_STYLES[p.health] || HEALTH_STYLES.on_track;
+                  return (
+                    <div key={p.id} className="flex items-center justify-between gap-2 text-xs">
+                      <span className="text-text-primary truncate">{p.name}</span>
+                      <span className="flex items-center gap-2 shrink-0 text-text-muted tabular-nums">
+                        {p.progress ?? 0}%
+                        {p.overdue > 0 && <span>逾期 {p.overdue}</span>}
+                        {p.blocked > 0 && <span>阻塞 {p.blocked}</span>}
+                        <span className={health.className}>{health.label}</span>
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </>
+      ) : (
+        <div className="text-xs text-text-muted">暂无概况数据</div>
+      )}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// 页面
+// ─────────────────────────────────────────────────────────────
+
+export default function PortfolioPage({ onBack, isActive = true }) {
+  const [overview, setOverview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [togglingId, setTogglingId] = useState(null);
+
+  const loadData = useCallback(async () => {
+    try {
+      const res = await window.electronAPI.portfolio.getOverview();
+      if (res?.success) {
+        setOverview(res);
+        setError(null);
+      } else {
+        setError(res?.error || '加载失败');
+      }
+    } catch (err) {
+      console.error('加载跨公司总览失败:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isActive) return;
+    loadData();
+    const timer = setInterval(loadData, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [loadData, isActive]);
+
+  const handleToggleBackground = async (companyId, enabled) => {
+    setTogglingId(companyId);
+    try {
+      const res = await window.electronAPI.portfolio.setBackground({ companyId, enabled });
+      if (!res?.success) {
+        alert(res?.error || '设置失败');
+      }
+      await loadData();
+    } finally {
+      setTogglingId(null);
+    }
+  };
+
+  const totals = overview?.totals;
+  const currency = overview?.currency;
+  const companies = overview?.companies || [];
+  const runningCount = companies.filter((c) => c.status === 'active' || c.status === 'running').length;
+
+  return (
+    <div className="h-full bg-bg-base flex flex-col">
+      {/* macOS 标题栏占位 */}
+      <div className="shrink-0 h-8 drag-region" />
+
+      <div className="max-w-7xl w-full mx-auto px-6 pt-6 pb-6 flex-1 min-h-0 flex flex-col">
+        {/* 头部 */}
+        <div className="flex items-center justify-between mb-5">
+          <div className="flex items-center gap-3">
+            {onBack && (
+              <button
+                onClick={onBack}
+                className="p-1.5 hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+              >
+                <ChevronLeftIcon className="w-5 h-5 text-text-secondary" />
+              </button>
+            )}
+            <div>
+              <h1 className="text-xl font-semibold text-text-primary">公司总览</h1>
+              <p className="text-xs text-text-muted mt-0.5">
+                {overview
+                  ? `共 ${companies.length} 家公司 · ${runningCount} 家运行中`
+                  : '账号下所有公司的花费、任务与项目健康度'}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={loadData}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-text-secondary hover:text-text-primary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+          >
+            <ArrowPathIcon className="w-4 h-4" />
+            <span className="text-xs">刷新</span>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 px-3 py-2 rounded-lg bg-red-50 dark:bg-red-900/30 text-xs text-red-600 dark:text-red-400">
+            {error}
+          </div>
+        )}
+
+        {loading && !overview ? (
+          <div className="flex-1 flex items-center justify-center text-sm text-text-muted">加载中...</div>
+        ) : (
+          <div className="flex-1 min-h-0 overflow-y-auto">
+            {totals && (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                <TotalCard
+                  title="今日总花费"
+                  value={formatMoney(totals.todayCost, currency)}
+                  subtitle={`${formatNumber(totals.todayTokens)} tokens`}
+                />
+                <TotalCard
+                  title="近 7 天总花费"
+                  value={formatMoney(totals.weekCost, currency)}
+                  subtitle={`${formatNumber(totals.weekTokens)} tokens`}
+                />
+                <TotalCard title="未完成任务" value={totals.openTasks} subtitle="含委派中的任务" />
+                <TotalCard
+                  title="进行中的项目"
+                  value={totals.liveProjects}
+                  subtitle={`有风险 ${totals.atRisk} · 偏离 ${totals.offTrack}`}
+                />
+              </div>
+            )}
+
+            {companies.length === 0 ? (
+              <div className="flex flex-col items-center justify-center py-16 text-text-muted">
+                <BuildingOffice2Icon className="w-10 h-10 mb-2" />
+                <span className="text-sm">暂无公司</span>
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+                {companies.map((company) => (
+                  <CompanyCard
+                    key={company.id}
+                    company={company}
+                    toggling={togglingId === company.id}
+                    onToggleBackground={handleToggleBackground}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,768 @@
+/**
+ * SoloForge - Pull Request 代码审核页面
+ * 浏览 PR 的 diff 和行级评论线程；老板可以在任意 diff 行上评论、附带建议修改、解决 / 重新打开线程，
+ * 查看合并检查结果，运行检查或放行未通过的检查
+ */
+import { useState, useEffect, useCallback, useMemo, Fragment } from 'react';
+import {
+  ChevronLeftIcon,
+  ArrowPathIcon,
+  ChatBubbleLeftRightIcon,
+  CheckCircleIcon,
+  CodeBracketIcon,
+} from '@heroicons/react/24/outline';
+import { useAgentStore } from '../store/agent-store';
+
+// ─────────────────────────────────────────────────────────────
+// 常量 & 工具函数
+// ─────────────────────────────────────────────────────────────
+
+const STATUS_STYLES = {
+  open: { label: '待审核', className: 'bg-amber-50 dark:bg-amber-900/30 text-amber-600 dark:text-amber-400' },
+  approved: { label: '已批准', className: 'bg-green-50 dark:bg-green-900/30 text-green-600 dark:text-green-400' },
+  merged: { label: '已合并', className: 'bg-violet-50 dark:bg-violet-900/30 text-violet-600 dark:text-violet-400' },
+  closed: { label: '已关闭', className: 'bg-bg-muted text-text-secondary' },
+};
+
+const REVIEW_LABELS = { approve: '批准', request_changes: '要求修改', comment: '评论' };
+
+const GATE_STYLES = {
+  none: { label: '未配置合并检查', className: 'text-text-muted' },
+  not_run: { label: '尚未运行，合并时自动运行', className: 'text-text-secondary' },
+  stale: { label: '分支有新提交，合并时重新运行', className: 'text-amber-600 dark:text-amber-400' },
+  passed: { label: '全部通过', className: 'text-green-600 dark:text-green-400' },
+  failed: { label: '未通过', className: 'text-red-600 dark:text-red-400' },
+  overridden: { label: '老板已放行', className: 'text-violet-600 dark:text-violet-400' },
+};
+
+const CHECK_RESULT_STYLES = {
+  passed: 'text-green-600 dark:text-green-400',
+  failed: 'text-red-600 dark:text-red-400',
+  skipped: 'text-text-muted',
+};
+
+const LINE_STYLES = {
+  add: 'bg-green-50 dark:bg-green-900/20',
+  del: 'bg-red-50 dark:bg-red-900/20',
+  context: '',
+};
+
+const inputClass = 'w-full px-2 py-1.5 text-xs border border-[var(--border-color)] rounded-md bg-bg-elevated text-text-primary font-mono';
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleString('zh-CN');
+}
+
+/**
+ * 一行 diff 在某一侧的行号（新增行只有 new，删除行只有 old）
+ * @param {Object} line
+ * @returns {{ side: 'new' | 'old', number: number }}
+ */
+function lineAnchor(line) {
+  return line.newLine != null ? { side: 'new', number: line.newLine } : { side: 'old', number: line.oldLine };
+}
+
+/**
+ * 线程挂在哪一行下面：锚定范围的最后一行
+ * @param {Object} thread
+ * @param {Object} line
+ */
+function isThreadRow(thread, line) {
+  return thread.side === 'new' ? line.newLine === thread.endLine : line.oldLine === thread.endLine && line.type !== 'add';
+}
+
+// ─────────────────────────────────────────────────────────────
+// 组件
+// ─────────────────────────────────────────────────────────────
+
+function StatusBadge({ status }) {
+  const style = STATUS_STYLES[status] || STATUS_STYLES.open;
+  return <span className={`px-1.5 py-0.5 rounded text-[11px] font-medium ${style.className}`}>{style.label}</span>;
+}
+
+/**
+ * 评论 / 回复表单
+ */
+function CommentForm({ allowSuggestion, initialSuggestion, submitLabel, onSubmit, onCancel }) {
+  const [body, setBody] = useState('');
+  const [withSuggestion, setWithSuggestion] = useState(false);
+  const [suggestion, setSuggestion] = useState(initialSuggestion || '');
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    const ok = await onSubmit({ body, suggestion: withSuggestion ? suggestion : undefined });
+    setBusy(false);
+    if (ok) {
+      setBody('');
+      setWithSuggestion(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 font-sans">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        rows={2}
+        placeholder="写下评论..."
+        className={inputClass}
+        autoFocus
+      />
+      {allowSuggestion && (
+        <label className="flex items-center gap-1.5 text-xs text-text-secondary">
+          <input type="checkbox" checked={withSuggestion} onChange={(e) => setWithSuggestion(e.target.checked)} />
+          附带建议修改（PR 作者可一键应用）
+        </label>
+      )}
+      {withSuggestion && (
+        <textarea
+          value={suggestion}
+          onChange={(e) => setSuggestion(e.target.value)}
+          rows={Math.min(10, Math.max(2, suggestion.split('\n').length))}
+          className={inputClass}
+        />
+      )}
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-2 py-1 text-xs text-text-secondary hover:bg-[var(--bg-hover)] rounded"
+          >
+            取消
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={busy || (!body.trim() && !withSuggestion)}
+          className="px-2 py-1 text-xs bg-[var(--color-primary)] text-white rounded hover:opacity-90 disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * 评论线程
+ */
+function Thread({ thread, readOnly, authorLabel, onReply, onResolve }) {
+  const [replying, setReplying] = useState(false);
+  const [collapsed, setCollapsed] = useState(thread.resolved);
+  const range = thread.endLine !== thread.line ? `${thread.line}-${thread.endLine}` : `${thread.line}`;
+
+  return (
+    <div className="my-1 mx-2 rounded-lg border border-[var(--border-color)] bg-bg-elevated font-sans">
+      <div className="flex items-center justify-between px-3 py-1.5 border-b border-[var(--border-color)]">
+        <button onClick={() => setCollapsed(!collapsed)} className="flex items-center gap-2 text-xs text-text-secondary">
+          <ChatBubbleLeftRightIcon className="w-4 h-4" />
+          <span>第 {range} 行{thread.side === 'old' ? '（目标分支）' : ''} · {thread.comments.length} 条评论</span>
+          {thread.resolved && <span className="text-green-600 dark:text-green-400">已解决</span>}
+          {thread.outdated && <span className="text-amber-600 dark:text-amber-400">已过时</span>}
+          {thread.suggestionApplied && (
+            <span className="text-violet-600 dark:text-violet-400">建议已应用 {thread.suggestionApplied.commit}</span>
+          )}
+        </button>
+        {!readOnly && (
+          <button
+            onClick={() => onResolve(thread, !thread.resolved)}
+            className="px-2 py-0.5 text-xs text-text-secondary hover:bg-[var(--bg-hover)] rounded"
+          >
+            {thread.resolved ? '重新打开' : '标记为已解决'}
+          </button>
+        )}
+      </div>
+      {!collapsed && (
+        <div className="px-3 py-2 space-y-2">
+          {thread.comments.map((c) => (
+            <div key={c.id} className="text-xs">
+              <div className="text-text-muted">
+                <span className="font-medium text-text-primary">{authorLabel(c.author)}</span> · {formatTime(c.createdAt)}
+              </div>
+              {c.body && <div className="mt-0.5 text-text-primary whitespace-pre-wrap">{c.body}</div>}
+              {c.suggestion != null && (
+                <div className="mt-1 rounded border border-[var(--border-color)] overflow-hidden font-mono">
+                  <div className="px-2 py-0.5 text-[11px] text-text-muted bg-bg-muted">建议修改</div>
+                  {thread.originalLines.map((l, i) => (
+                    <div key={`o${i}`} className={`px-2 whitespace-pre ${LINE_STYLES.del}`}>-{l}</div>
+                  ))}
+                  {(c.suggestion === '' ? [] : c.suggestion.split('\n')).map((l, i) => (
+                    <div key={`s${i}`} className={`px-2 whitespace-pre ${LINE_STYLES.add}`}>+{l}</div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+          {!readOnly && (replying ? (
+            <CommentForm
+              allowSuggestion={thread.side === 'new' && !thread.suggestionApplied}
+              initialSuggestion={thread.originalLines.join('\n')}
+              submitLabel="回复"
+              onSubmit={async (params) => {
+                const ok = await onReply(thread, params);
+                if (ok) setReplying(false);
+                return ok;
+              }}
+              onCancel={() => setReplying(false)}
+            />
+          ) : (
+            <button onClick={() => setReplying(true)} className="text-xs text-[var(--color-primary)] hover:underline">
+              回复
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * 合并检查结果
+ */
+function MergeChecksPanel({ gate, readOnly, running, onRun, onOverride }) {
+  const [expandedId, setExpandedId] = useState(null);
+  const [reason, setReason] = useState('');
+  const style = GATE_STYLES[gate.state] || GATE_STYLES.none;
+  const results = gate.run?.results || [];
+
+  return (
+    <div className="mb-4 p-4 bg-bg-elevated rounded-xl border border-[var(--border-color)]">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm">
+          <span className="font-medium text-text-primary">合并检查</span>
+          <span className={`ml-2 text-xs ${style.className}`}>{running ? '运行中...' : style.label}</span>
+          {gate.run?.finishedAt && (
+            <span className="ml-2 text-xs text-text-muted">上次运行 {formatTime(gate.run.finishedAt)}</span>
+          )}
+        </div>
+        {!readOnly && gate.state !== 'none' && (
+          <button
+            onClick={onRun}
+            disabled={running}
+            className="px-2 py-1 text-xs text-[var(--color-primary)] hover:bg-[var(--bg-hover)] rounded disabled:opacity-50"
+          >
+            运行检查
+          </button>
+        )}
+      </div>
+
+      {results.length > 0 && (
+        <div className="mt-2 divide-y divide-[var(--border-color)]">
+          {results.map((r) => (
+            <div key={r.id} className="py-1">
+              <button
+                onClick={() => setExpandedId(expandedId === r.id ? null : r.id)}
+                className="w-full flex items-center gap-2 text-xs text-left"
+              >
+                <span className={`w-10 shrink-0 ${CHECK_RESULT_STYLES[r.status]}`}>
+                  {r.status === 'passed' ? '通过' : r.status === 'failed' ? '失败' : '跳过'}
+                </span>
+                <span className="text-text-primary">{r.name}</span>
+                {!r.required && <span className="text-text-muted">（非必需）</span>}
+                <span className="ml-auto text-text-muted">{(r.durationMs / 1000).toFixed(1)}s</span>
+              </button>
+              {expandedId === r.id && (
+                <pre className="mt-1 p-2 bg-bg-muted rounded text-[11px] text-text-secondary whitespace-pre-wrap break-all font-mono max-h-72 overflow-y-auto">
+                  {r.output || '（无输出）'}
+                </pre>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {gate.override && (
+        <div className="mt-2 text-xs text-violet-600 dark:text-violet-400">
+          已于 {formatTime(gate.override.at)} 放行{gate.override.reason ? `：${gate.override.reason}` : ''}
+        </div>
+      )}
+
+      {!readOnly && gate.state === 'failed' && (
+        <div className="mt-3 flex items-center gap-2">
+          <input
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="放行原因（可选）"
+            className="flex-1 px-2 py-1 text-xs border border-[var(--border-color)] rounded-md bg-bg-elevated text-text-primary"
+          />
+          <button
+            onClick={() => {
+              if (window.confirm('放行后，当前提交即使检查未通过也可以合并。确定放行？')) onOverride(reason);
+            }}
+            className="px-2 py-1 text-xs text-violet-600 dark:text-violet-400 hover:bg-[var(--bg-hover)] rounded"
+          >
+            放行合并
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * 远程平台同步状态
+ */
+function RemoteStatus({ remote, syncing, onSync }) {
+  const pending = remote.pending?.length || 0;
+  return (
+    <div className="mt-3 flex items-center gap-2 text-xs text-text-secondary">
+      {remote.number ? (
+        <button
+          onClick={() => window.electronAPI.openExternal(remote.url)}
+          className="text-[var(--color-primary)] hover:underline"
+        >
+          远程 #{remote.number}
+        </button>
+      ) : (
+        <span>远程 PR 尚未创建</span>
+      )}
+      {pending > 0 ? (
+        <span className="text-amber-600 dark:text-amber-400">{pending} 项待同步</span>
+      ) : (
+        remote.syncedAt && <span className="text-text-muted">已同步 {formatTime(remote.syncedAt)}</span>
+      )}
+      {remote.lastError && (
+        <span className="text-red-600 dark:text-red-400 truncate" title={remote.lastError}>{remote.lastError}</span>
+      )}
+      <button
+        onClick={onSync}
+        disabled={syncing}
+        className="ml-auto px-2 py-1 text-[var(--color-primary)] hover:bg-[var(--bg-hover)] rounded disabled:opacity-50 shrink-0"
+      >
+        {syncing ? '同步中...' : '立即同步'}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * 单个文件的 diff
+ */
+function FileDiff({ file, threads, readOnly, selection, onSelectLine, onClearSelection, onComment, renderThread }) {
+  const anchored = new Set();
+  const rowThreads = (line) => threads.filter((t) => {
+    if (anchored.has(t.id) || !isThreadRow(t, line)) return false;
+    anchored.add(t.id);
+    return true;
+  });
+
+  const isSelected = (line) => {
+    if (!selection || selection.file !== file.path) return false;
+    const key = selection.side === 'new' ? line.newLine : line.oldLine;
+    return key != null && key >= selection.line && key <= selection.endLine;
+  };
+
+  const rows = file.hunks.map((hunk) => (
+    <Fragment key={hunk.header}>
+      <tr className="bg-blue-50/60 dark:bg-blue-900/20 text-text-muted">
+        <td colSpan={3} className="px-2 py-0.5">{hunk.header}</td>
+      </tr>
+      {hunk.lines.map((line, i) => {
+        const lineThreads = rowThreads(line);
+        const showForm = selection?.file === file.path && isThreadRow(selection, line);
+        return (
+          <Fragment key={i}>
+            <tr className={`${LINE_STYLES[line.type]} ${isSelected(line) ? 'outline outline-1 outline-[var(--color-primary)]' : ''}`}>
+              <td
+                onClick={(e) => !readOnly && onSelectLine(file, line, e.shiftKey)}
+                className={`w-12 px-2 text-right text-text-muted select-none ${readOnly ? '' : 'cursor-pointer hover:text-[var(--color-primary)]'}`}
+                title={readOnly ? undefined : '点击评论此行，Shift+点击选择多行'}
+              >
+                {line.oldLine ?? ''}
+              </td>
+              <td
+                onClick={(e) => !readOnly && onSelectLine(file, line, e.shiftKey)}
+                className={`w-12 px-2 text-right text-text-muted select-none ${readOnly ? '' : 'cursor-pointer hover:text-[var(--color-primary)]'}`}
+              >
+                {line.newLine ?? ''}
+              </td>
+              <td className="px-2 whitespace-pre text-text-primary">
+                {line.type === 'add' ? '+' : line.type === 'del' ? '-' : ' '}{line.content}
+              </td>
+            </tr>
+            {lineThreads.map((t) => (
+              <tr key={t.id}>
+                <td colSpan={3}>{renderThread(t)}</td>
+              </tr>
+            ))}
+            {showForm && (
+              <tr>
+                <td colSpan={3}>
+                  <div className="my-1 mx-2 p-2 rounded-lg border border-[var(--color-primary)] bg-bg-elevated">
+                    <div className="mb-1 text-xs text-text-secondary font-sans">
+                      评论第 {selection.line}{selection.endLine !== selection.line ? `-${selection.endLine}` : ''} 行
+                      {selection.side === 'old' ? '（目标分支）' : ''}
+                    </div>
+                    <CommentForm
+                      allowSuggestion={selection.side === 'new'}
+                      initialSuggestion={selection.lines.join('\n')}
+                      submitLabel="发表评论"
+                      onSubmit={onComment}
+                      onCancel={onClearSelection}
+                    />
+                  </div>
+                </td>
+              </tr>
+            )}
+          </Fragment>
+        );
+      })}
+    </Fragment>
+  ));
+
+  // 锚定行已不在 diff 中的过时线程
+  const orphaned = threads.filter((t) => !anchored.has(t.id));
+
+  return (
+    <div className="mb-4 rounded-xl border border-[var(--border-color)] overflow-hidden">
+      <div className="px-3 py-2 bg-bg-muted text-xs font-medium text-text-primary flex items-center gap-2">
+        <CodeBracketIcon className="w-4 h-4 text-text-muted" />
+        {file.status === 'renamed' ? `${file.oldPath} → ${file.newPath}` : file.path}
+        <span className="text-text-muted font-normal">{file.status}</span>
+      </div>
+      {file.binary ? (
+        <div className="px-3 py-2 text-xs text-text-muted">二进制文件</div>
+      ) : (
+        <table className="w-full text-xs font-mono">
+          <tbody>{rows}</tbody>
+        </table>
+      )}
+      {orphaned.length > 0 && (
+        <div className="py-1 border-t border-[var(--border-color)]">
+          {orphaned.map((t) => <Fragment key={t.id}>{renderThread(t)}</Fragment>)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function PullRequestsPage({ onBack, isActive = true }) {
+  const getAgent = useAgentStore((s) => s.getAgent);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [prs, setPrs] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const [runningChecks, setRunningChecks] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState('');
+
+  const authorLabel = useCallback((id) => (id === 'boss' ? '老板' : getAgent(id)?.name || id), [getAgent]);
+
+  const loadList = useCallback(async () => {
+    try {
+      const res = await window.electronAPI.pullRequests.list(statusFilter ? { status: statusFilter } : {});
+      if (res?.success) {
+        setPrs(res.prs);
+      } else {
+        setError(res?.error || '加载 PR 列表失败');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [statusFilter]);
+
+  const loadDetail = useCallback(async (prId) => {
+    if (!prId) return;
+    try {
+      const res = await window.electronAPI.pullRequests.getDetail(prId);
+      if (res?.success) {
+        setDetail(res);
+      } else {
+        setError(res?.error || '加载 PR 详情失败');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isActive) loadList();
+  }, [loadList, isActive]);
+
+  useEffect(() => {
+    setSelection(null);
+    setDetail(null);
+    loadDetail(selectedId);
+  }, [selectedId, loadDetail]);
+
+  const refresh = async () => {
+    setError('');
+    await Promise.all([loadList(), loadDetail(selectedId)]);
+  };
+
+  /**
+   * 执行一个写操作，成功后刷新列表和详情
+   * @param {() => Promise<Object>} action
+   * @returns {Promise<boolean>}
+   */
+  const run = async (action) => {
+    setError('');
+    try {
+      const res = await action();
+      if (!res?.success) {
+        setError(res?.error || '操作失败');
+        return false;
+      }
+      await refresh();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const pr = detail?.pr;
+  const readOnly = !pr || pr.status === 'merged' || pr.status === 'closed';
+
+  const threadsByFile = useMemo(() => {
+    const map = new Map();
+    for (const t of detail?.threads || []) {
+      map.set(t.file, [...(map.get(t.file) || []), t]);
+    }
+    return map;
+  }, [detail]);
+
+  const handleSelectLine = (file, line, extend) => {
+    const { side, number } = lineAnchor(line);
+    let start = number;
+    let end = number;
+    if (extend && selection?.file === file.path && selection.side === side) {
+      start = Math.min(selection.line, number);
+      end = Math.max(selection.endLine, number);
+    }
+    const key = side === 'new' ? 'newLine' : 'oldLine';
+    const lines = file.hunks
+      .flatMap((h) => h.lines)
+      .filter((l) => l[key] != null && l[key] >= start && l[key] <= end)
+      .map((l) => l.content);
+    setSelection({ file: file.path, side, line: start, endLine: end, lines });
+  };
+
+  const handleComment = async ({ body, suggestion }) => {
+    const ok = await run(() => window.electronAPI.pullRequests.addComment({
+      prId: pr.id,
+      file: selection.file,
+      line: selection.line,
+      endLine: selection.endLine,
+      side: selection.side,
+      body,
+      suggestion,
+    }));
+    if (ok) setSelection(null);
+    return ok;
+  };
+
+  const handleReply = (thread, { body, suggestion }) => run(() => window.electronAPI.pullRequests.addComment({
+    prId: pr.id,
+    threadId: thread.id,
+    body,
+    suggestion,
+  }));
+
+  const handleResolve = (thread, resolved) => run(() => window.electronAPI.pullRequests.resolveThread({
+    prId: pr.id,
+    threadId: thread.id,
+    resolved,
+  }));
+
+  const handleRunChecks = async () => {
+    setRunningChecks(true);
+    await run(() => window.electronAPI.pullRequests.runChecks(pr.id));
+    setRunningChecks(false);
+  };
+
+  const handleSyncRemote = async () => {
+    setSyncing(true);
+    await run(() => window.electronAPI.pullRequests.syncRemote(pr.id));
+    setSyncing(false);
+  };
+
+  const handleOverrideChecks = (reason) => run(() => window.electronAPI.pullRequests.overrideChecks({
+    prId: pr.id,
+    reason: reason.trim() || undefined,
+  }));
+
+  const renderThread = (thread) => (
+    <Thread
+      key={thread.id}
+      thread={thread}
+      readOnly={readOnly}
+      authorLabel={authorLabel}
+      onReply={handleReply}
+      onResolve={handleResolve}
+    />
+  );
+
+  return (
+    <div className="h-full bg-bg-base flex flex-col">
+      {/* macOS 标题栏占位 */}
+      <div className="shrink-0 h-8 drag-region" />
+
+      <div className="max-w-7xl w-full mx-auto px-6 pt-6 pb-6 flex-1 min-h-0 flex flex-col">
+        {/* 头部 */}
+        <div className="flex items-center justify-between mb-5">
+          <div className="flex items-center gap-3">
+            {onBack && (
+              <button
+                onClick={onBack}
+                className="p-1.5 hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+              >
+                <ChevronLeftIcon className="w-5 h-5 text-text-secondary" />
+              </button>
+            )}
+            <div>
+              <h1 className="text-xl font-semibold text-text-primary">代码审核</h1>
+              <p className="text-xs text-text-muted mt-0.5">
+                查看员工提交的 Pull Request，点击行号发表评论；未解决的评论线程会阻止 PR 合并
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={refresh}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-text-secondary hover:text-text-primary hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+          >
+            <ArrowPathIcon className="w-4 h-4" />
+            <span className="text-xs">刷新</span>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 px-3 py-2 rounded-lg bg-red-50 dark:bg-red-900/30 text-xs text-red-600 dark:text-red-400">
+            {error}
+          </div>
+        )}
+
+        <div className="flex-1 min-h-0 flex gap-4">
+          {/* PR 列表 */}
+          <div className="w-72 shrink-0 flex flex-col min-h-0">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="mb-2 px-2 py-1.5 text-xs border border-[var(--border-color)] rounded-lg bg-bg-elevated text-text-primary"
+            >
+              <option value="">全部状态</option>
+              {Object.entries(STATUS_STYLES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <div className="flex-1 min-h-0 overflow-y-auto bg-bg-elevated rounded-xl border border-[var(--border-color)] divide-y divide-[var(--border-color)]">
+              {prs.length === 0 ? (
+                <div className="px-3 py-6 text-sm text-text-muted text-center">暂无 PR</div>
+              ) : (
+                prs.map((item) => (
+                  <button
+                    key={item.id}
+                    onClick={() => setSelectedId(item.id)}
+                    className={`w-full text-left px-3 py-2 hover:bg-[var(--bg-hover)] transition-colors ${
+                      item.id === selectedId ? 'bg-[var(--bg-hover)]' : ''
+                    }`}
+                  >
+                    <div className="flex items-center gap-2">
+                      <StatusBadge status={item.status} />
+                      <span className="text-sm text-text-primary truncate">{item.title}</span>
+                    </div>
+                    <div className="mt-0.5 text-[11px] text-text-muted truncate">
+                      {authorLabel(item.author)} · {item.sourceBranch} → {item.targetBranch}
+                    </div>
+                    {item.unresolvedThreads > 0 && (
+                      <div className="mt-0.5 text-[11px] text-amber-600 dark:text-amber-400">
+                        {item.unresolvedThreads} 个未解决的评论
+                      </div>
+                    )}
+                  </button>
+                ))
+              )}
+            </div>
+          </div>
+
+          {/* PR 详情 */}
+          <div className="flex-1 min-w-0 overflow-y-auto">
+            {!selectedId ? (
+              <div className="h-full flex flex-col items-center justify-center text-text-muted">
+                <CodeBracketIcon className="w-10 h-10 mb-2" />
+                <span className="text-sm">选择一个 PR 查看变更</span>
+              </div>
+            ) : !detail ? (
+              <div className="h-full flex items-center justify-center text-sm text-text-muted">加载中...</div>
+            ) : (
+              <>
+                <div className="mb-4 p-4 bg-bg-elevated rounded-xl border border-[var(--border-color)]">
+                  <div className="flex items-center gap-2">
+                    <StatusBadge status={pr.status} />
+                    <h2 className="text-base font-semibold text-text-primary">{pr.title}</h2>
+                  </div>
+                  <div className="mt-1 text-xs text-text-muted">
+                    {authorLabel(pr.author)} · {pr.sourceBranch} → {pr.targetBranch} · {formatTime(pr.createdAt)}
+                  </div>
+                  {pr.description && (
+                    <div className="mt-2 text-sm text-text-secondary whitespace-pre-wrap">{pr.description}</div>
+                  )}
+                  {pr.reviews.length > 0 && (
+                    <div className="mt-3 space-y-1">
+                      {pr.reviews.map((r, i) => (
+                        <div key={i} className="text-xs text-text-secondary">
+                          <span className="font-medium text-text-primary">{authorLabel(r.reviewer)}</span>
+                          {' '}{REVIEW_LABELS[r.status] || r.status}
+                          {r.comment ? `：${r.comment}` : ''}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {detail.threads.length > 0 && (
+                    <div className="mt-3 flex items-center gap-1.5 text-xs text-text-secondary">
+                      <CheckCircleIcon className="w-4 h-4" />
+                      评论线程 {detail.threads.filter((t) => t.resolved).length} / {detail.threads.length} 已解决
+                    </div>
+                  )}
+                  {pr.remote && <RemoteStatus remote={pr.remote} syncing={syncing} onSync={handleSyncRemote} />}
+                </div>
+
+                <MergeChecksPanel
+                  gate={detail.gate}
+                  readOnly={readOnly}
+                  running={runningChecks}
+                  onRun={handleRunChecks}
+                  onOverride={handleOverrideChecks}
+                />
+
+                {detail.diffError && (
+                  <div className="mb-4 px-3 py-2 rounded-lg bg-bg-muted text-xs text-text-secondary">
+                    无法获取变更内容：{detail.diffError}
+                  </div>
+                )}
+
+                {detail.files.map((file) => (
+                  <FileDiff
+                    key={file.path}
+                    file={file}
+                    threads={threadsByFile.get(file.path) || []}
+                    readOnly={readOnly}
+                    selection={selection}
+                    onSelectLine={handleSelectLine}
+                    onClearSelection={() => setSelection(null)}
+                    onComment={handleComment}
+                    renderThread={renderThread}
+                  />
+                ))}
+
+                {/* 文件已不在 diff 中的线程 */}
+                {[...threadsByFile.entries()]
+                  .filter(([filePath]) => !detail.files.some((f) => f.path === filePath))
+                  .map(([filePath, threads]) => (
+                    <div key={filePath} className="mb-4 rounded-xl border border-[var(--border-color)] py-1">
+                      <div className="px-3 py-1 text-xs font-medium text-text-primary">{filePath}</div>
+                      {threads.map(renderThread)}
+                    </div>
+                  ))}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
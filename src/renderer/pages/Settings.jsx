@@ -6,6 +6,13 @@ import { useState, useEffect, useCallback } from 'react';
 import { useAuthStore } from '../store/auth-store';
 import { useAgentStore } from '../store/agent-store';
 import AgentAvatar, { isImageAvatar } from '../components/AgentAvatar';
+import ProviderSettings from '../components/settings/ProviderSettings';
+import ExportTemplateModal from '../components/settings/ExportTemplateModal';
+import EncryptionSettings from '../components/settings/EncryptionSettings';
+import BackupSettings from '../components/settings/BackupSettings';
+import ApprovalRulesSettings from '../components/settings/ApprovalRulesSettings';
+import MergeChecksSettings from '../components/settings/MergeChecksSettings';
+import ForgeSettings from '../components/settings/ForgeSettings';
 
 /**
  * 权限开关组件
@@ -166,6 +173,80 @@ function PathList({ paths, onAdd, onRemove, disabled }) {
   );
 }
 
+/**
+ * Shell 沙箱设置：按 Agent 选择是否在隔离环境中执行命令
+ */
+function ShellSandboxSettings({ sandbox, networkEnabled, onChange, disabled }) {
+  const agentsMap = useAgentStore((s) => s.agents);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    window.electronAPI.getShellSandboxStatus?.()
+      .then(setStatus)
+      .catch((error) => console.error('获取沙箱状态失败:', error));
+  }, []);
+
+  const agents = [...agentsMap.values()].filter((a) => a.agentStatus !== 'terminated');
+  const toggleAgent = (agentId, checked) => {
+    const next = checked
+      ? [...sandbox.agents, agentId]
+      : sandbox.agents.filter((id) => id !== agentId);
+    onChange({ ...sandbox, agents: next });
+  };
+
+  return (
+    <div className="py-3 space-y-2">
+      <div className="font-medium text-text-primary">沙箱隔离执行</div>
+      <div className="text-sm text-text-secondary">
+        选中的 Agent 在隔离环境中执行命令：根目录只读，仅工作区可写，清空环境变量，
+        {networkEnabled ? '允许联网' : '禁止联网（开启「网络访问」后允许）'}。
+      </div>
+      {status && !status.available && (
+        <div className="text-sm text-amber-600">
+          当前系统不可用：{status.reason}。已启用沙箱的 Agent 将无法执行命令。
+        </div>
+      )}
+      <div className="flex flex-wrap gap-x-4 gap-y-2">
+        {agents.map((agent) => (
+          <label key={agent.id} className="flex items-center gap-1.5 text-sm text-text-primary">
+            <input
+              type="checkbox"
+              checked={sandbox.agents.includes(agent.id)}
+              onChange={(e) => toggleAgent(agent.id, e.target.checked)}
+              disabled={disabled}
+            />
+            {agent.name}
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-4 pt-1">
+        <label className="flex items-center gap-2 text-sm text-text-secondary">
+          内存上限 (MB)
+          <input
+            type="number"
+            min={256}
+            value={sandbox.memoryLimitMb}
+            onChange={(e) => onChange({ ...sandbox, memoryLimitMb: Number(e.target.value) })}
+            disabled={disabled}
+            className="w-24 px-2 py-1 border border-[var(--border-color)] rounded-md bg-bg-elevated text-text-primary"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-text-secondary" title="只限制 shell 命令，process_start 启动的后台进程不受限">
+          CPU 时间上限 (秒)
+          <input
+            type="number"
+            min={1}
+            value={sandbox.cpuTimeSeconds}
+            onChange={(e) => onChange({ ...sandbox, cpuTimeSeconds: Number(e.target.value) })}
+            disabled={disabled}
+            className="w-24 px-2 py-1 border border-[var(--border-color)] rounded-md bg-bg-elevated text-text-primary"
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
+
 /**
  * 设置分组组件
  */
@@ -192,6 +273,7 @@ export default function Settings({ onBack, onOpenAgentSettings, onOpenDashboard
   const bossConfig = useAgentStore((s) => s.bossConfig);
   const [bossName, setBossName] = useState(bossConfig.name || '老板');
   const [bossNameEditing, setBossNameEditing] = useState(false);
+  const [showExportTemplate, setShowExportTemplate] = useState(false);
 
   // boss 名字与 store 同步
   useEffect(() => {
@@ -509,6 +591,30 @@ export default function Settings({ onBack, onOpenAgentSettings, onOpenDashboard
                 </button>
               </div>
             </div>
+            <div className="py-3">
+              <div className="flex items-center justify-between">
+                <div>
+                  <div className="font-medium text-text-primary">导出为公司模板</div>
+                  <div className="text-sm text-text-secondary">把当前公司的组织结构保存为模板，用于创建新公司</div>
+                </div>
+                <button
+                  onClick={() => setShowExportTemplate(true)}
+                  className="px-3 py-1.5 text-sm text-[var(--color-primary)] hover:bg-[var(--bg-hover)] rounded-lg transition-colors"
+                >
+                  导出
+                </button>
+              </div>
+            </div>
+          </SettingsSection>
+
+          {/* 数据安全 */}
+          <SettingsSection title="🔒 数据安全">
+            <EncryptionSettings />
+          </SettingsSection>
+
+          {/* 备份与恢复 */}
+          <SettingsSection title="💾 备份与恢复">
+            <BackupSettings />
           </SettingsSection>
 
           {/* 文件权限 */}
@@ -567,6 +673,14 @@ export default function Settings({ onBack, onOpenAgentSettings, onOpenDashboard
               onChange={(checked) => updateShell({ confirmEach: checked })}
               disabled={saving || !permissions.shell.enabled}
             />
+            {permissions.shell.sandbox && (
+              <ShellSandboxSettings
+                sandbox={permissions.shell.sandbox}
+                networkEnabled={permissions.network.searchEnabled}
+                onChange={(sandbox) => updateShell({ sandbox })}
+                disabled={saving || !permissions.shell.enabled}
+              />
+            )}
             <div className="py-3">
               <div className="text-sm text-text-secondary">
                 危险命令已被自动禁止（如 rm -rf /、格式化磁盘等）
@@ -574,6 +688,11 @@ export default function Settings({ onBack, onOpenAgentSettings, onOpenDashboard
             </div>
           </SettingsSection>
 
+          {/* 工具调用审批规则 */}
+          <SettingsSection title="✅ 审批规则">
+            <ApprovalRulesSettings />
+          </SettingsSection>
+
           {/* 网络权限 */}
           <SettingsSection title="🌐 网络访问">
             <PermissionSwitch
@@ -585,6 +704,11 @@ export default function Settings({ onBack, onOpenAgentSettings, onOpenDashboard
             />
           </SettingsSection>
 
+          {/* 模型供应商 */}
+          <SettingsSection title="🤖 模型供应商">
+            <ProviderSettings />
+          </SettingsSection>
+
           {/* Git 协作 */}
           <SettingsSection title="📦 Git 协作">
             <PermissionSwitch
@@ -601,9 +725,17 @@ export default function Settings({ onBack, onOpenAgentSettings, onOpenDashboard
               onChange={(checked) => updateGit({ autoCommit: checked })}
               disabled={saving || !permissions.git.enabled}
             />
+            <MergeChecksSettings />
+            <ForgeSettings />
           </SettingsSection>
         </div>
       </div>
+
+      <ExportTemplateModal
+        isOpen={showExportTemplate}
+        onClose={() => setShowExportTemplate(false)}
+        companyName={currentCompany?.name}
+      />
     </div>
   );
 }
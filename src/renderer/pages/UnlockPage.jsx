@@ -0,0 +1,99 @@
+/**
+ * SoloForge - 解锁页面
+ * 本地数据开启加密后，每次启动需要输入口令解锁
+ */
+import { useState, useCallback } from 'react';
+import { useAuthStore } from '../store/auth-store';
+
+export default function UnlockPage() {
+  const [passphrase, setPassphrase] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const unlock = useAuthStore(s => s.unlock);
+  const error = useAuthStore(s => s.error);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const result = await unlock(passphrase);
+      if (!result.success) {
+        setPassphrase('');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [passphrase, unlock]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-bg-base">
+      {/* Background decoration */}
+      <div className="absolute inset-0 overflow-hidden pointer-events-none">
+        <div className="absolute -top-40 -right-40 w-80 h-80 bg-blue-500/5 rounded-full blur-3xl" />
+        <div className="absolute -bottom-40 -left-40 w-80 h-80 bg-purple-500/5 rounded-full blur-3xl" />
+      </div>
+
+      <div className="relative w-full max-w-md mx-4">
+        {/* Logo area */}
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-blue-500/10 rounded-2xl mb-4">
+            <span className="text-3xl">🔒</span>
+          </div>
+          <h1 className="text-2xl font-bold text-text-primary">SoloForge</h1>
+          <p className="text-sm text-text-secondary mt-1">本地数据已加密，请输入口令解锁</p>
+        </div>
+
+        {/* Card */}
+        <div className="bg-bg-elevated rounded-2xl shadow-xl border border-border-primary p-8">
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-text-secondary mb-1.5">
+                加密口令
+              </label>
+              <input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                required
+                autoFocus
+                className="w-full px-4 py-2.5 bg-bg-base border border-border-primary rounded-xl
+                         text-text-primary placeholder-text-muted
+                         focus:ring-2 focus:ring-blue-500/40 focus:border-blue-500 outline-none
+                         transition-all duration-200"
+                placeholder="请输入加密口令"
+              />
+            </div>
+
+            {error && (
+              <div className="px-4 py-2.5 bg-red-500/10 border border-red-500/20 rounded-xl">
+                <p className="text-sm text-red-500">{error}</p>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading || !passphrase}
+              className="w-full py-2.5 px-4 bg-blue-600 hover:bg-blue-700 active:bg-blue-800
+                       text-white font-medium rounded-xl shadow-lg shadow-blue-500/25
+                       disabled:opacity-50 disabled:cursor-not-allowed
+                       transition-all duration-200 mt-2"
+            >
+              {loading ? (
+                <span className="inline-flex items-center gap-2">
+                  <span className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                  解锁中...
+                </span>
+              ) : (
+                '解锁'
+              )}
+            </button>
+          </form>
+
+          <p className="mt-6 text-xs text-text-muted text-center">
+            口令只保存在你的记忆中，忘记口令将无法恢复已加密的数据
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
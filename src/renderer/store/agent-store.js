@@ -98,6 +98,20 @@ export const useAgentStore = create((set, get) => ({
   // 初始化：从后端同步 Agent 配置
   // ─────────────────────────────────────────────────────────────
 
+  /**
+   * 重新加载可用模型列表（自定义模型供应商变更后调用）
+   */
+  refreshAvailableModels: async () => {
+    try {
+      const models = await window.electronAPI?.getAvailableModels?.();
+      if (models && Array.isArray(models)) {
+        set({ availableModels: models });
+      }
+    } catch (e) {
+      console.warn('加载可用模型列表失败:', e);
+    }
+  },
+
   /**
    * 从后端加载 Agent 配置
    * 将后端的配置与前端的 DEFAULT_AGENTS 合并
@@ -112,14 +126,7 @@ export const useAgentStore = create((set, get) => ({
       get()._syncAgentConfigs(configs);
 
       // 加载可用模型列表（含 multimodal 标志）
-      try {
-        const models = await window.electronAPI?.getAvailableModels?.();
-        if (models && Array.isArray(models)) {
-          set({ availableModels: models });
-        }
-      } catch (e) {
-        console.warn('加载可用模型列表失败:', e);
-      }
+      await get().refreshAvailableModels();
 
       // 加载老板配置
       try {
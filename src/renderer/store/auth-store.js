@@ -6,7 +6,7 @@ import { create } from 'zustand';
 
 export const useAuthStore = create((set, get) => ({
   // State
-  appState: 'loading', // 'loading' | 'login' | 'company-select' | 'main'
+  appState: 'loading', // 'loading' | 'locked' | 'login' | 'company-select' | 'main'
   currentAccount: null, // { id, username }
   currentCompany: null, // { id, name, description }
   companies: [],
@@ -15,6 +15,13 @@ export const useAuthStore = create((set, get) => ({
   // Check existing session on app start
   checkSession: async () => {
     try {
+      // 本地数据已加密且未解锁时，先显示解锁页
+      const storageStatus = await window.electronAPI.storage.getStatus();
+      if (!storageStatus.unlocked) {
+        set({ appState: 'locked', error: null });
+        return;
+      }
+
       const session = await window.electronAPI.account.getSession();
       if (session) {
         set({
@@ -47,6 +54,24 @@ export const useAuthStore = create((set, get) => ({
     }
   },
 
+  // Unlock encrypted local data, then continue with the session check
+  unlock: async (passphrase) => {
+    try {
+      set({ error: null });
+      const result = await window.electronAPI.storage.unlock({ passphrase });
+      if (!result.success) {
+        set({ error: result.error || '解锁失败' });
+        return result;
+      }
+      await get().checkSession();
+      return { success: true };
+    } catch (error) {
+      const msg = error.message || '解锁失败';
+      set({ error: msg });
+      return { success: false, error: msg };
+    }
+  },
+
   // Login
   login: async (username, password) => {
     try {
@@ -136,10 +161,10 @@ export const useAuthStore = create((set, get) => ({
   },
 
   // Create company
-  createCompany: async (name, description) => {
+  createCompany: async (name, description, template = null) => {
     try {
       set({ error: null });
-      const result = await window.electronAPI.company.create({ name, description });
+      const result = await window.electronAPI.company.create({ name, description, template });
       if (result.success) {
         const companies = await window.electronAPI.company.list();
         set({ companies, error: null });
@@ -634,7 +634,7 @@ export const useChatStore = create(
                 name: t.name,
                 args: t.args || {},
                 groupIndex,
-                status: 'running',
+                status: 'queued', // 由 tool_status 事件推进为 running
                 result: null,
                 error: null,
                 duration: null,
@@ -652,6 +652,34 @@ export const useChatStore = create(
         });
       },
 
+      /**
+       * 更新单个工具调用的执行状态（排队 → 执行中）
+       * @param {string} messageId - 消息 ID
+       * @param {string} toolCallId - 工具调用 ID
+       * @param {'queued'|'running'} status
+       */
+      setToolCallStatus: (messageId, toolCallId, status) => {
+        set((state) => {
+          const nextMsgs = new Map(state.messagesByConversation);
+          for (const [convId, msgs] of nextMsgs) {
+            const idx = msgs.findIndex((m) => m.id === messageId);
+            if (idx !== -1) {
+              const msg = msgs[idx];
+              const tcIdx = msg.toolCalls?.findIndex((tc) => tc.id === toolCallId) ?? -1;
+              // 已完成的调用不回退状态
+              if (tcIdx === -1 || ['success', 'error'].includes(msg.toolCalls[tcIdx].status)) return state;
+              const updatedMsgs = [...msgs];
+              const updatedToolCalls = [...msg.toolCalls];
+              updatedToolCalls[tcIdx] = { ...updatedToolCalls[tcIdx], status };
+              updatedMsgs[idx] = { ...msg, toolCalls: updatedToolCalls };
+              nextMsgs.set(convId, updatedMsgs);
+              return { messagesByConversation: nextMsgs };
+            }
+          }
+          return state;
+        });
+      },
+
       /**
        * 更新单个工具调用的结果
        * @param {string} messageId - 消息 ID
@@ -676,6 +704,7 @@ export const useChatStore = create(
                 result: updates.result ?? null,
                 error: updates.error ?? null,
                 duration: updates.duration ?? null,
+                approval: updates.approval ?? null,
               };
               updatedMsgs[idx] = { ...msg, toolCalls: updatedToolCalls };
               nextMsgs.set(convId, updatedMsgs);
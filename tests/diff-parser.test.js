@@ -0,0 +1,81 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUnifiedDiff, getDiffLines, formatNumberedDiff } = require('../src/main/git/diff-parser');
+
+const DIFF = [
+  'diff --git a/src/app.js b/src/app.js',
+  'index 1111111..2222222 100644',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -1,3 +1,4 @@',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  '+const c = 4;',
+  ' module.exports = { a };',
+  'diff --git a/old.txt b/new.txt',
+  'similarity index 100%',
+  'rename from old.txt',
+  'rename to new.txt',
+  'diff --git a/logo.png b/logo.png',
+  'new file mode 100644',
+  'index 0000000..3333333',
+  'Binary files /dev/null and b/logo.png differ',
+  '',
+].join('\n');
+
+describe('parseUnifiedDiff', () => {
+  const files = parseUnifiedDiff(DIFF);
+
+  test('解析文件状态', () => {
+    assert.deepEqual(
+      files.map((f) => [f.path, f.status, f.binary]),
+      [['src/app.js', 'modified', false], ['new.txt', 'renamed', false], ['logo.png', 'added', true]]
+    );
+    assert.equal(files[1].oldPath, 'old.txt');
+  });
+
+  test('解析行号', () => {
+    const lines = files[0].hunks[0].lines;
+    assert.deepEqual(
+      lines.map((l) => [l.type, l.oldLine, l.newLine, l.content]),
+      [
+        ['context', 1, 1, 'const a = 1;'],
+        ['del', 2, null, 'const b = 2;'],
+        ['add', null, 2, 'const b = 3;'],
+        ['add', null, 3, 'const c = 4;'],
+        ['context', 3, 4, 'module.exports = { a };'],
+      ]
+    );
+  });
+
+  test('空输入返回空数组', () => {
+    assert.deepEqual(parseUnifiedDiff(''), []);
+  });
+});
+
+describe('getDiffLines', () => {
+  const files = parseUnifiedDiff(DIFF);
+
+  test('按一侧行号取连续行', () => {
+    assert.deepEqual(getDiffLines(files, 'src/app.js', 'new', 2, 3), ['const b = 3;', 'const c = 4;']);
+    assert.deepEqual(getDiffLines(files, 'src/app.js', 'old', 2), ['const b = 2;']);
+  });
+
+  test('行号不在 diff 中或文件不存在时返回 null', () => {
+    assert.equal(getDiffLines(files, 'src/app.js', 'new', 4, 5), null);
+    assert.equal(getDiffLines(files, 'src/app.js', 'new', 3, 2), null);
+    assert.equal(getDiffLines(files, 'missing.js', 'new', 1), null);
+  });
+});
+
+describe('formatNumberedDiff', () => {
+  test('每行带新旧行号', () => {
+    const text = formatNumberedDiff(parseUnifiedDiff(DIFF));
+    assert.match(text, /=== src\/app\.js \(modified\)/);
+    assert.match(text, /\s+2\s+\|-const b = 2;/);
+    assert.match(text, /\s+3 \|\+const c = 4;/);
+    assert.match(text, /=== old\.txt → new\.txt \(renamed\)/);
+    assert.match(text, /（二进制文件）/);
+  });
+});
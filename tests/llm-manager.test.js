@@ -0,0 +1,89 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Agent 配置等会写入数据目录，指向临时目录，避免写入真实的 ~/.soloforge
+const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'soloforge-test-'));
+process.env.HOME = homeDir;
+
+const { LLMManager } = require('../src/main/llm/llm-manager');
+const { ChatAgent } = require('../src/main/chat/chat-agent');
+const { budgetManager } = require('../src/main/budget/budget-manager');
+
+const READ_FILE = {
+  name: 'read_file',
+  description: '读取文件内容',
+  category: 'file',
+  parameters: { path: { type: 'string', description: '文件的绝对路径', required: true } },
+};
+
+/** 记录收到的请求的假 provider */
+function fakeProvider(name, native) {
+  return {
+    name,
+    calls: [],
+    supportsNativeTools: () => native,
+    async chat(messages, options) {
+      this.calls.push({ messages, options });
+      return { content: 'ok', model: options.model };
+    },
+  };
+}
+
+describe('预算降级到不支持原生工具调用的模型', () => {
+  let llmManager;
+  let nativeProvider;
+  let textProvider;
+  let agent;
+  const originalCheck = budgetManager.checkBudgetWithStrategy;
+
+  before(() => {
+    llmManager = new LLMManager();
+    nativeProvider = fakeProvider('duojie', true);
+    textProvider = fakeProvider('ollama', false);
+    llmManager.registerProvider(nativeProvider);
+    llmManager.registerProvider(textProvider);
+    llmManager.defaultProviderName = 'duojie';
+
+    agent = new ChatAgent('dev', '开发', 'developer', '你是开发工程师', { model: 'native-model' });
+    agent.setLLMManager(llmManager);
+  });
+
+  after(() => {
+    budgetManager.checkBudgetWithStrategy = originalCheck;
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  test('未降级时工具定义通过原生 API 传递', async () => {
+    budgetManager.checkBudgetWithStrategy = () => ({ action: 'allow' });
+    assert.equal(agent.supportsNativeTools(), true);
+
+    await agent.chat('看看 README', [], { stream: false, tools: [READ_FILE], _toolCalls: [] });
+
+    const { messages, options } = nativeProvider.calls.at(-1);
+    assert.deepEqual(options.tools, [READ_FILE]);
+    assert.doesNotMatch(messages[0].content, /【可用工具】/);
+  });
+
+  test('降级后改为在提示词中描述工具', async () => {
+    budgetManager.checkBudgetWithStrategy = () => ({
+      action: 'downgrade',
+      downgradeTo: 'llama3',
+      provider: 'ollama',
+      reason: '预算已用 90%',
+      usagePercent: 90,
+    });
+
+    await agent.chat('看看 README', [], { stream: false, tools: [READ_FILE], _toolCalls: [] });
+
+    assert.equal(textProvider.calls.length, 1);
+    const { messages, options } = textProvider.calls[0];
+    assert.equal(options.model, 'llama3');
+    assert.equal(options.tools, undefined);
+    assert.equal(messages[0].role, 'system');
+    assert.match(messages[0].content, /你是开发工程师/);
+    assert.match(messages[0].content, /【可用工具】[\s\S]*<tool_call>[\s\S]*工具: read_file/);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  isPathWithin,
+  checkPathScope,
+  splitShellCommand,
+  matchesCommandPrefix,
+  findUnsafeShellSyntax,
+  checkShellAllowlist,
+} = require('../src/main/config/tool-policy-store');
+
+const ALLOWLIST = ['npm test', 'git status', 'ls', 'cat'];
+
+describe('splitShellCommand', () => {
+  test('按 && || ; | & 和换行拆分并去掉空段', () => {
+    assert.deepEqual(
+      splitShellCommand('git status && ls -la || cat a; npm test | cat\nls &'),
+      ['git status', 'ls -la', 'cat a', 'npm test', 'cat', 'ls']
+    );
+  });
+
+  test('空命令返回空数组', () => {
+    assert.deepEqual(splitShellCommand('  ;  '), []);
+  });
+});
+
+describe('matchesCommandPrefix', () => {
+  test('按词匹配前缀', () => {
+    assert.equal(matchesCommandPrefix('git status', 'git status'), true);
+    assert.equal(matchesCommandPrefix('git status --short', 'git status'), true);
+    assert.equal(matchesCommandPrefix('git statusx', 'git status'), false);
+    assert.equal(matchesCommandPrefix('git', 'git status'), false);
+  });
+});
+
+describe('findUnsafeShellSyntax', () => {
+  test('识别替换、重定向和参数展开', () => {
+    assert.match(findUnsafeShellSyntax('ls `id`'), /命令替换/);
+    assert.match(findUnsafeShellSyntax('ls $(id)'), /命令替换/);
+    assert.match(findUnsafeShellSyntax('cat <(touch /tmp/x)'), /进程替换/);
+    assert.match(findUnsafeShellSyntax('ls >(rm -rf /tmp/zz)'), /进程替换/);
+    assert.match(findUnsafeShellSyntax('npm test > ~/.bashrc'), /重定向/);
+    assert.match(findUnsafeShellSyntax('cat < /etc/passwd'), /重定向/);
+    assert.match(findUnsafeShellSyntax('ls ${HOME}'), /参数展开/);
+  });
+
+  test('普通命令返回 null', () => {
+    assert.equal(findUnsafeShellSyntax('git status && npm test -- --watch=false'), null);
+  });
+});
+
+describe('checkShellAllowlist', () => {
+  test('每一段都在白名单内时允许', () => {
+    assert.deepEqual(checkShellAllowlist('git status && ls -la', ALLOWLIST), { allowed: true });
+  });
+
+  test('任一段不在白名单内时拒绝', () => {
+    const result = checkShellAllowlist('ls && rm -rf build', ALLOWLIST);
+    assert.equal(result.allowed, false);
+    assert.match(result.reason, /rm -rf build/);
+  });
+
+  test('白名单命令中夹带替换或重定向时拒绝', () => {
+    for (const command of [
+      'cat <(touch /tmp/x)',
+      'ls >(rm -rf /tmp/zz)',
+      'npm test > ~/.bashrc',
+      'npm test 2>&1',
+      'ls ${HOME}',
+      'ls $(rm -rf /)',
+      'cat `rm -rf /`',
+    ]) {
+      const result = checkShellAllowlist(command, ALLOWLIST);
+      assert.equal(result.allowed, false, command);
+      assert.match(result.reason, /命令白名单模式下不允许使用/, command);
+    }
+  });
+
+  test('缺少命令时拒绝', () => {
+    assert.equal(checkShellAllowlist('', ALLOWLIST).allowed, false);
+    assert.equal(checkShellAllowlist(undefined, ALLOWLIST).allowed, false);
+  });
+});
+
+describe('路径范围', () => {
+  let root;
+  let allowed;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'soloforge-scope-'));
+    allowed = path.join(root, 'allowed');
+    fs.mkdirSync(path.join(allowed, 'src'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'secret'));
+    fs.symlinkSync(path.join(root, 'secret'), path.join(allowed, 'link'));
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('目录内的路径（含尚不存在的文件）在范围内', () => {
+    assert.equal(isPathWithin(path.join(allowed, 'src', 'a.js'), allowed), true);
+    assert.equal(isPathWithin(path.join(allowed, 'new', 'dir', 'b.js'), allowed), true);
+    assert.equal(isPathWithin(path.join(allowed, '..', 'secret', 'x'), allowed), false);
+    assert.equal(isPathWithin(`${allowed}-other/a.js`, allowed), false);
+  });
+
+  test('指向范围外的符号链接不在范围内', () => {
+    assert.equal(isPathWithin(path.join(allowed, 'link', 'key.pem'), allowed), false);
+    assert.equal(checkPathScope(path.join(allowed, 'link', 'key.pem'), [allowed]).allowed, false);
+  });
+
+  test('相对路径以工作目录为根解析', () => {
+    assert.equal(checkPathScope('src/a.js', [allowed], allowed).allowed, true);
+    assert.equal(checkPathScope('../secret/a.js', [allowed], allowed).allowed, false);
+    assert.equal(checkPathScope('link/key.pem', [allowed], allowed).allowed, false);
+  });
+
+  test('没有工作目录时拒绝相对路径', () => {
+    const result = checkPathScope('src/a.js', [allowed]);
+    assert.equal(result.allowed, false);
+    assert.match(result.reason, /相对路径/);
+  });
+});